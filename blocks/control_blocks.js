@@ -66,12 +66,17 @@ Blockly.Blocks['protocol_definition'] = {
     }
 };
 
-// Protocol call block
+// Protocol call block; runs a saved library protocol, pinned to the version picked
 Blockly.Blocks['protocol_call'] = {
     init: function() {
         this.appendDummyInput()
             .appendField("Run Protocol:")
             .appendField(new Blockly.FieldTextInput("protocol_name"), "PROTOCOL_NAME");
+        this.appendDummyInput()
+            .appendField("from library")
+            .appendField(new Blockly.FieldDropdown(this.libraryOptions, this.onLibraryPicked), "LIBRARY_ID")
+            .appendField("version")
+            .appendField(new Blockly.FieldLabelSerializable(""), "LIBRARY_VERSION");
         this.appendStatementInput("PARAMETERS")
             .setCheck(null)
             .appendField("with parameters");
@@ -81,9 +86,52 @@ Blockly.Blocks['protocol_call'] = {
         this.setPreviousStatement(true, null);
         this.setNextStatement(true, null);
         this.setColour(300);
-        this.setTooltip("Call a previously defined protocol");
+        this.setTooltip("Call a protocol from the library");
+        this.setHelpUrl("");
+    },
+    // Picker options from the library the protocol library client last fetched
+    libraryOptions: function() {
+        const options = [["not linked", "NONE"]];
+        if (typeof protocolLibrary !== 'undefined') {
+            protocolLibrary.getEntries().forEach(entry => {
+                options.push([protocolLibrary.describeEntry(entry), entry.id]);
+            });
+        }
+        return options;
+    },
+    // Pin the call to the picked version and name it after the protocol it runs
+    onLibraryPicked: function(protocolId) {
+        const block = this.getSourceBlock();
+        const entry = typeof protocolLibrary !== 'undefined' ? protocolLibrary.findEntry(protocolId) : null;
+        if (!block) return protocolId;
+
+        block.setFieldValue(entry ? entry.version : '', 'LIBRARY_VERSION');
+        if (entry) {
+            if (block.getFieldValue('PROTOCOL_NAME') === 'protocol_name') {
+                block.setFieldValue(entry.interface ? entry.interface.name : entry.name, 'PROTOCOL_NAME');
+            }
+            block.setTooltip(`Call ${protocolLibrary.describeEntry(entry)}${protocolLibrary.describeInterface(entry)}`);
+        } else {
+            block.setTooltip("Call a protocol from the library");
+        }
+        return protocolId;
+    }
+};
+
+// Parameter passed to a called protocol, matched to its protocol inputs by name
+Blockly.Blocks['protocol_parameter'] = {
+    init: function() {
+        this.appendValueInput("VALUE")
+            .setCheck(null)
+            .appendField("Parameter:")
+            .appendField(new Blockly.FieldTextInput("input_name"), "NAME")
+            .appendField("=");
+        this.setInputsInline(true);
+        this.setPreviousStatement(true, null);
+        this.setNextStatement(true, null);
+        this.setColour(300);
+        this.setTooltip("Pass a value to an input of the called protocol");
         this.setHelpUrl("");
-        this.setOutput(true, null);
     }
 };
 
@@ -227,6 +275,11 @@ Blockly.Blocks['wait_step'] = {
         this.setColour(210);
         this.setTooltip("Wait for a specified amount of time");
         this.setHelpUrl("");
+    },
+    // Numbers are read in the units dropdown and quantities are converted into it
+    getInputUnit: function(inputName) {
+        if (inputName !== 'TIME') return undefined;
+        return this.getFieldValue('TIME_UNITS').toLowerCase();
     }
 };
 
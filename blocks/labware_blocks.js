@@ -0,0 +1,108 @@
+// Labware blocks: plates, tube racks and reservoirs with a plate map of what each well holds
+
+// Labware definition block; its well assignments are edited here or in the visual plate map
+Blockly.Blocks['labware_definition'] = {
+    init: function() {
+        this.appendDummyInput()
+            .appendField("Labware:")
+            .appendField(new Blockly.FieldTextInput("plate1"), "NAME");
+        this.appendDummyInput()
+            .appendField("format")
+            .appendField(new Blockly.FieldDropdown(Labware.formatOptions()), "FORMAT");
+        this.appendStatementInput("CONTENTS")
+            .setCheck("WellAssignment")
+            .appendField("wells");
+        this.setPreviousStatement(true, null);
+        this.setNextStatement(true, null);
+        this.setColour(160);
+        this.setTooltip("A plate, tube rack or reservoir. Right-click to edit its plate map.");
+        this.setHelpUrl("");
+    },
+    customContextMenu: function(options) {
+        if (typeof PlateMapDesigner === 'undefined' || this.isInFlyout) return;
+        options.push({
+            text: 'Edit plate map',
+            enabled: true,
+            callback: () => PlateMapDesigner.open(this)
+        });
+    },
+    // Flag wells that are off the plate or assigned twice while editing
+    onchange: function() {
+        if (!this.workspace || this.isInFlyout) return;
+        const format = Labware.getFormat(this.getFieldValue('FORMAT'));
+        const assigned = new Map();
+        const problems = [];
+        let assignment = this.getInputTargetBlock('CONTENTS');
+        while (assignment) {
+            if (assignment.type === 'well_assignment') {
+                try {
+                    Labware.expandWells(assignment.getFieldValue('WELLS'), format).forEach(well => {
+                        if (assigned.has(well)) {
+                            problems.push(`Well ${well} is assigned to ${assigned.get(well)} and ${assignment.getFieldValue('CONTENT')}`);
+                        }
+                        assigned.set(well, assignment.getFieldValue('CONTENT'));
+                    });
+                } catch (error) {
+                    problems.push(error.message);
+                }
+            }
+            assignment = assignment.getNextBlock();
+        }
+        this.setWarningText(problems.length > 0 ? problems.slice(0, 5).join('\n') : null);
+    }
+};
+
+// Well assignment block: what a group of wells holds, and how much is loaded before the run
+Blockly.Blocks['well_assignment'] = {
+    init: function() {
+        this.appendDummyInput()
+            .appendField("wells")
+            .appendField(new Blockly.FieldTextInput("A1"), "WELLS")
+            .appendField(new Blockly.FieldDropdown([
+                ["sample", "SAMPLE"],
+                ["control", "CONTROL"],
+                ["standard", "STANDARD"],
+                ["blank", "BLANK"],
+                ["reagent", "REAGENT"]
+            ]), "ROLE")
+            .appendField(new Blockly.FieldTextInput("sample1"), "CONTENT");
+        this.appendDummyInput()
+            .appendField("loaded volume (μL)")
+            .appendField(new Blockly.FieldNumber(0, 0), "VOLUME");
+        this.setInputsInline(true);
+        this.setPreviousStatement(true, "WellAssignment");
+        this.setNextStatement(true, "WellAssignment");
+        this.setColour(160);
+        this.setTooltip("Wells as A1, A1,B1 or A1-H1 (down each column). A loaded volume of 0 means the wells are filled by transfers.");
+        this.setHelpUrl("");
+    }
+};
+
+// Well reference block: wells of a defined labware, for transfer and liquid handler locations
+Blockly.Blocks['well_reference'] = {
+    init: function() {
+        this.appendDummyInput()
+            .appendField(new Blockly.FieldTextInput("plate1"), "LABWARE")
+            .appendField("wells")
+            .appendField(new Blockly.FieldTextInput("A1"), "WELLS");
+        this.setInputsInline(true);
+        this.setOutput(true, null);
+        this.setColour(160);
+        this.setTooltip("Wells of a labware, e.g. plate1 wells A1-H1");
+        this.setHelpUrl("");
+    },
+    onchange: function() {
+        if (!this.workspace || this.isInFlyout) return;
+        const definition = Labware.definitions(this.workspace)[this.getFieldValue('LABWARE')];
+        if (!definition) {
+            this.setWarningText(`No labware named "${this.getFieldValue('LABWARE')}"`);
+            return;
+        }
+        try {
+            Labware.expandWells(this.getFieldValue('WELLS'), definition.format);
+            this.setWarningText(null);
+        } catch (error) {
+            this.setWarningText(error.message);
+        }
+    }
+};
@@ -44,6 +44,9 @@ Blockly.Blocks['reagent_variable'] = {
         this.appendDummyInput()
             .appendField("Reagent:")
             .appendField(new Blockly.FieldTextInput("reagent1"), "NAME");
+        this.appendDummyInput()
+            .appendField("inventory")
+            .appendField(new Blockly.FieldDropdown(this.inventoryOptions, this.onInventoryPicked), "INVENTORY_ITEM");
         this.appendValueInput("CONCENTRATION")
             .setCheck("Number")
             .appendField("concentration");
@@ -83,6 +86,35 @@ Blockly.Blocks['reagent_variable'] = {
         this.setTooltip("Define a chemical reagent");
         this.setHelpUrl("");
         this.setOutput(true, "Reagent");
+    },
+    // Picker options from the items the inventory client last fetched
+    inventoryOptions: function() {
+        const options = [["not linked", "NONE"]];
+        if (typeof inventoryClient !== 'undefined') {
+            inventoryClient.getItems().forEach(item => {
+                options.push([inventoryClient.describeItem(item), item.id]);
+            });
+        }
+        return options;
+    },
+    // Name a freshly placed reagent after the inventory item it is linked to
+    onInventoryPicked: function(itemId) {
+        const block = this.getSourceBlock();
+        const item = typeof inventoryClient !== 'undefined' ? inventoryClient.findItem(itemId) : null;
+        if (block && item) {
+            if (block.getFieldValue('NAME') === 'reagent1') {
+                block.setFieldValue(item.name, 'NAME');
+            }
+            block.setTooltip(`Define a chemical reagent (inventory: ${inventoryClient.describeItem(item)}` +
+                `${item.storageConditions ? `, store ${item.storageConditions}` : ''})`);
+        }
+        return itemId;
+    },
+    // The concentration unit is picked in the units dropdown rather than the label
+    getInputUnit: function(inputName) {
+        if (inputName !== 'CONCENTRATION') return undefined;
+        const units = this.getFieldValue('UNITS');
+        return units.startsWith('PERCENT') ? '%' : units;
     }
 };
 
@@ -157,6 +189,14 @@ Blockly.Blocks['parameter_variable'] = {
         this.setTooltip("Define an experimental parameter");
         this.setHelpUrl("");
         this.setOutput(true, null);
+    },
+    // A parameter is measured in its units field, or in the unit of the quantity it is set to
+    getInputUnit: function(inputName) {
+        if (inputName !== 'VALUE') return undefined;
+        const units = this.getFieldValue('UNITS');
+        if (units) return units;
+        const value = this.getInputTargetBlock('VALUE');
+        return value && value.type === 'quantity' ? value.getFieldValue('UNIT') : null;
     }
 };
 
@@ -189,4 +229,106 @@ Blockly.Blocks['set_variable'] = {
         this.setTooltip("Set the value of a variable");
         this.setHelpUrl("");
     }
-};
\ No newline at end of file
+};
+
+// Quantity block: a number with a unit, converted to whatever unit the receiving input expects
+Blockly.Blocks['quantity'] = {
+    init: function() {
+        const units = [];
+        Object.values(Quantity.UNITS).forEach(group => {
+            Object.keys(group).forEach(unit => units.push([unit, unit]));
+        });
+        this.appendDummyInput()
+            .appendField(new Blockly.FieldNumber(0), "VALUE")
+            .appendField(new Blockly.FieldDropdown(units), "UNIT");
+        this.setInputsInline(true);
+        this.setOutput(true, ["Quantity", "Number"]);
+        this.setColour(230);
+        this.setTooltip("A value with units, e.g. 2 h or 500 μL. It is converted to the units of the input it is plugged into.");
+        this.setHelpUrl("");
+    },
+    // Warn while editing when the unit cannot be converted to the one the input expects
+    onchange: function() {
+        if (!this.workspace || this.isInFlyout) return;
+        const target = Quantity.targetOf(this);
+        const unit = this.getFieldValue('UNIT');
+        if (target.unit && !Quantity.compatible(unit, target.unit) && unit !== target.unit) {
+            this.setWarningText(`${unit} cannot be converted to ${target.unit}, which this input expects`);
+        } else {
+            this.setWarningText(null);
+        }
+    }
+};
+
+// Design of experiments block: sweeps parameters over the levels of its factors and is
+// expanded by ExperimentDesign into one run per combination (or sample) of levels
+Blockly.Blocks['doe_design'] = {
+    init: function() {
+        this.appendDummyInput()
+            .appendField("Design of experiments:")
+            .appendField(new Blockly.FieldTextInput("sweep1"), "NAME");
+        this.appendDummyInput()
+            .appendField("design")
+            .appendField(new Blockly.FieldDropdown([
+                ["full factorial", "FULL"],
+                ["fractional factorial", "FRACTIONAL"],
+                ["Latin hypercube", "LHS"]
+            ]), "DESIGN");
+        this.appendDummyInput()
+            .appendField("fraction")
+            .appendField(new Blockly.FieldDropdown([
+                ["1/2", "1"],
+                ["1/4", "2"],
+                ["1/8", "3"]
+            ]), "FRACTION")
+            .appendField("runs")
+            .appendField(new Blockly.FieldNumber(10, 2, ExperimentDesign.MAX_RUNS, 1), "RUNS")
+            .appendField("seed")
+            .appendField(new Blockly.FieldNumber(1, 0, undefined, 1), "SEED");
+        this.appendStatementInput("FACTORS")
+            .setCheck("DoeFactor")
+            .appendField("factors");
+        this.setPreviousStatement(true, null);
+        this.setNextStatement(true, null);
+        this.setColour(120);
+        this.setTooltip("Sweep parameters over factor levels. Fraction applies to fractional factorial designs; runs and seed to Latin hypercube designs.");
+        this.setHelpUrl("");
+    },
+    // Show the number of runs while editing, or why the design cannot be expanded
+    onchange: function() {
+        if (!this.workspace || this.isInFlyout) return;
+        try {
+            const expanded = ExperimentDesign.expand(ExperimentDesign.fromBlock(this));
+            this.setWarningText(expanded.warnings.length > 0 ? expanded.warnings.join('\n') : null);
+            this.setTooltip(ExperimentDesign.describe(expanded));
+        } catch (error) {
+            this.setWarningText(error.message);
+        }
+    }
+};
+
+// Factor of a design: the parameter_variable it sweeps and its levels, in the parameter's units
+Blockly.Blocks['doe_factor'] = {
+    init: function() {
+        this.appendDummyInput()
+            .appendField("Factor:")
+            .appendField(new Blockly.FieldTextInput("param1"), "PARAMETER")
+            .appendField("levels")
+            .appendField(new Blockly.FieldTextInput("1, 2, 3"), "LEVELS");
+        this.setInputsInline(true);
+        this.setPreviousStatement(true, "DoeFactor");
+        this.setNextStatement(true, "DoeFactor");
+        this.setColour(120);
+        this.setTooltip("Comma separated levels of a parameter, in the parameter's units. A Latin hypercube samples between the lowest and highest level.");
+        this.setHelpUrl("");
+    },
+    onchange: function() {
+        if (!this.workspace || this.isInFlyout) return;
+        const name = this.getFieldValue('PARAMETER');
+        if (!ExperimentDesign.findParameter(this.workspace, name)) {
+            this.setWarningText(`No parameter named "${name}"; add a parameter_variable for it`);
+        } else {
+            this.setWarningText(null);
+        }
+    }
+};
@@ -0,0 +1,294 @@
+// Design of experiments: a doe_design block sweeps parameter_variable values over factors and
+// levels, and is expanded here into the concrete runs the generators write out. Each run gives
+// every factor one value; parameters that are not factors keep the value they were declared with.
+// Runs carry both the coded setting (level number, -1/+1, or Latin hypercube stratum) and the
+// actual value, so the run matrix and the per-run parameter table come from the same expansion.
+
+const ExperimentDesign = {
+    DESIGNS: {
+        FULL: 'Full factorial',
+        FRACTIONAL: 'Fractional factorial',
+        LHS: 'Latin hypercube'
+    },
+
+    // Guard against a sweep that would generate an unusable number of runs
+    MAX_RUNS: 1000,
+
+    // Letters used to name factors in fractional factorial generators, e.g. "D = ABC"
+    FACTOR_LETTERS: 'ABCDEFGHJKLMNPQRSTUVWXYZ',
+
+    // Levels are typed as a comma separated list; numbers stay numbers so they can be swept
+    parseLevels: function(text) {
+        return String(text || '')
+            .split(',')
+            .map(level => level.trim())
+            .filter(level => level !== '')
+            .map(level => (isNaN(Number(level)) ? level : Number(level)));
+    },
+
+    isNumeric: function(factor) {
+        return factor.levels.length > 0 && factor.levels.every(level => typeof level === 'number');
+    },
+
+    // Every combination of levels, first factor changing fastest (standard order)
+    fullFactorial: function(factors) {
+        let runs = [{ coded: {}, values: {} }];
+        factors.forEach(factor => {
+            const expanded = [];
+            factor.levels.forEach((level, index) => {
+                runs.forEach(run => expanded.push({
+                    coded: { ...run.coded, [factor.name]: index + 1 },
+                    values: { ...run.values, [factor.name]: level }
+                }));
+            });
+            runs = expanded;
+        });
+        return runs;
+    },
+
+    // Two-level 2^(k-p) design. The first k-p factors form a full factorial and each remaining
+    // factor is aliased with an interaction of them, highest order first.
+    fractionalFactorial: function(factors, fraction) {
+        const k = factors.length;
+        const p = fraction;
+        const base = k - p;
+        const warnings = [];
+
+        if (k > this.FACTOR_LETTERS.length) {
+            throw new Error(`A fractional factorial design supports at most ${this.FACTOR_LETTERS.length} factors`);
+        }
+        const interactions = this.interactions(base);
+        if (base < 2 || interactions.length < p) {
+            throw new Error(`${k} factors cannot be run as a 1/${Math.pow(2, p)} fraction; ` +
+                `use a smaller fraction or more factors`);
+        }
+
+        factors.forEach(factor => {
+            if (factor.levels.length !== 2) {
+                warnings.push(`Factor "${factor.name}" has ${factor.levels.length} levels; ` +
+                    `the fractional design uses its first and last level`);
+            }
+        });
+
+        const generators = interactions.slice(0, p);
+        const runs = [];
+        for (let index = 0; index < Math.pow(2, base); index++) {
+            const signs = [];
+            for (let j = 0; j < base; j++) {
+                signs.push((index >> j) & 1 ? 1 : -1);
+            }
+            generators.forEach(columns => {
+                signs.push(columns.reduce((product, column) => product * signs[column], 1));
+            });
+            runs.push({
+                coded: Object.fromEntries(factors.map((factor, j) => [factor.name, signs[j]])),
+                values: Object.fromEntries(factors.map((factor, j) =>
+                    [factor.name, signs[j] < 0 ? factor.levels[0] : factor.levels[factor.levels.length - 1]]))
+            });
+        }
+
+        return {
+            runs: runs,
+            generators: generators.map((columns, j) =>
+                `${this.FACTOR_LETTERS[base + j]} = ${columns.map(column => this.FACTOR_LETTERS[column]).join('')}`),
+            resolution: this.resolution(generators, base),
+            warnings: warnings
+        };
+    },
+
+    // Interactions of the base factors usable as generators, highest order first
+    interactions: function(base) {
+        const subsets = [];
+        for (let mask = 1; mask < Math.pow(2, base); mask++) {
+            const columns = [];
+            for (let j = 0; j < base; j++) {
+                if (mask & (1 << j)) columns.push(j);
+            }
+            if (columns.length >= 2) subsets.push(columns);
+        }
+        return subsets.sort((a, b) => b.length - a.length || a.join().localeCompare(b.join()));
+    },
+
+    // Length of the shortest word in the defining relation
+    resolution: function(generators, base) {
+        const words = generators.map((columns, j) =>
+            columns.reduce((mask, column) => mask | (1 << column), 1 << (base + j)));
+        let shortest = Infinity;
+        for (let combination = 1; combination < Math.pow(2, words.length); combination++) {
+            let word = 0;
+            words.forEach((mask, j) => {
+                if (combination & (1 << j)) word ^= mask;
+            });
+            shortest = Math.min(shortest, word.toString(2).split('1').length - 1);
+        }
+        return shortest;
+    },
+
+    // Latin hypercube: each factor's range is split into one stratum per run and every stratum
+    // is used once. Numeric factors are sampled within their stratum between their lowest and
+    // highest level; text factors take the level their stratum falls in.
+    latinHypercube: function(factors, runCount, seed) {
+        const random = this.random(seed);
+        const runs = Array.from({ length: runCount }, () => ({ coded: {}, values: {} }));
+
+        factors.forEach(factor => {
+            const strata = this.shuffle(Array.from({ length: runCount }, (_, i) => i), random);
+            const numeric = this.isNumeric(factor);
+            const low = numeric ? Math.min(...factor.levels) : 0;
+            const high = numeric ? Math.max(...factor.levels) : 0;
+
+            runs.forEach((run, i) => {
+                const position = (strata[i] + random()) / runCount;
+                run.coded[factor.name] = strata[i] + 1;
+                run.values[factor.name] = numeric
+                    ? Number((low + position * (high - low)).toPrecision(4))
+                    : factor.levels[Math.floor(position * factor.levels.length)];
+            });
+        });
+
+        return runs;
+    },
+
+    // Seeded generator (mulberry32) so a design expands to the same runs every time
+    random: function(seed) {
+        let state = (Number(seed) || 0) >>> 0;
+        return function() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    shuffle: function(items, random) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    },
+
+    /**
+     * Expand a design into runs.
+     * design: { name, design: 'FULL' | 'FRACTIONAL' | 'LHS', factors: [{ name, levels, units }],
+     *           fraction (halvings for FRACTIONAL), runs and seed (for LHS) }
+     * Returns the design with runs [{ number, coded, values }], generators, resolution and
+     * warnings; throws when the design cannot be expanded.
+     */
+    expand: function(design) {
+        const factors = design.factors || [];
+        const label = design.name ? `Design "${design.name}"` : 'Design';
+        const warnings = [];
+
+        if (!this.DESIGNS[design.design]) {
+            throw new Error(`Unknown design type: ${design.design}`);
+        }
+        if (factors.length === 0) {
+            throw new Error(`${label} has no factors`);
+        }
+        const seen = new Set();
+        factors.forEach(factor => {
+            if (factor.levels.length === 0) {
+                throw new Error(`Factor "${factor.name}" of ${label.toLowerCase()} has no levels`);
+            }
+            if (seen.has(factor.name)) {
+                throw new Error(`Factor "${factor.name}" appears more than once in ${label.toLowerCase()}`);
+            }
+            seen.add(factor.name);
+        });
+
+        let result;
+        if (design.design === 'FULL') {
+            const count = factors.reduce((product, factor) => product * factor.levels.length, 1);
+            if (count > this.MAX_RUNS) {
+                throw new Error(`${label} would need ${count} runs; the limit is ${this.MAX_RUNS}`);
+            }
+            result = { runs: this.fullFactorial(factors), generators: [], resolution: null, warnings: [] };
+        } else if (design.design === 'FRACTIONAL') {
+            const fraction = Math.max(1, parseInt(design.fraction, 10) || 1);
+            const count = Math.pow(2, factors.length - fraction);
+            if (count > this.MAX_RUNS) {
+                throw new Error(`${label} would need ${count} runs; the limit is ${this.MAX_RUNS}`);
+            }
+            result = this.fractionalFactorial(factors, fraction);
+        } else {
+            const count = parseInt(design.runs, 10);
+            if (!(count >= 2) || count > this.MAX_RUNS) {
+                throw new Error(`${label} needs between 2 and ${this.MAX_RUNS} runs`);
+            }
+            factors.filter(factor => !this.isNumeric(factor) && factor.levels.length > count).forEach(factor => {
+                warnings.push(`Factor "${factor.name}" has more levels than runs; some levels are never used`);
+            });
+            result = { runs: this.latinHypercube(factors, count, design.seed), generators: [], resolution: null, warnings: [] };
+        }
+
+        return {
+            name: design.name,
+            design: design.design,
+            label: this.DESIGNS[design.design],
+            factors: factors,
+            runs: result.runs.map((run, index) => ({ number: index + 1, coded: run.coded, values: run.values })),
+            generators: result.generators,
+            resolution: result.resolution,
+            warnings: warnings.concat(result.warnings, design.warnings || [])
+        };
+    },
+
+    // Read a doe_design block and its doe_factor blocks; factor units come from the
+    // parameter_variable each factor sweeps
+    fromBlock: function(block) {
+        const factors = [];
+        const warnings = [];
+        let factorBlock = block.getInputTargetBlock('FACTORS');
+        while (factorBlock) {
+            if (factorBlock.type === 'doe_factor') {
+                const name = factorBlock.getFieldValue('PARAMETER');
+                if (!this.findParameter(block.workspace, name)) {
+                    warnings.push(`Factor "${name}" does not match any parameter`);
+                }
+                factors.push({
+                    name: name,
+                    levels: this.parseLevels(factorBlock.getFieldValue('LEVELS')),
+                    units: typeof Quantity !== 'undefined' ? Quantity.variableUnit(block.workspace, name) || '' : ''
+                });
+            }
+            factorBlock = factorBlock.getNextBlock();
+        }
+
+        return {
+            name: block.getFieldValue('NAME'),
+            design: block.getFieldValue('DESIGN'),
+            fraction: block.getFieldValue('FRACTION'),
+            runs: block.getFieldValue('RUNS'),
+            seed: block.getFieldValue('SEED'),
+            factors: factors,
+            warnings: warnings
+        };
+    },
+
+    findParameter: function(workspace, name) {
+        if (!workspace) return null;
+        return workspace.getBlocksByType('parameter_variable', false)
+            .find(block => block.getFieldValue('NAME') === name) || null;
+    },
+
+    // Column heading for a factor or parameter, with its units
+    heading: function(name, units) {
+        return units ? `${name} (${units})` : name;
+    },
+
+    describe: function(expanded) {
+        let text = `${expanded.label}, ${expanded.runs.length} runs`;
+        if (expanded.generators.length > 0) {
+            text += `, generators ${expanded.generators.join(', ')}`;
+            if (expanded.resolution) text += ` (resolution ${expanded.resolution})`;
+        }
+        return text;
+    }
+};
+
+// Allow designs to be expanded from Node scripts and tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExperimentDesign;
+}
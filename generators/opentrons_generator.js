@@ -0,0 +1,723 @@
+// Opentrons Python API v2 generator for OT-2 liquid handling protocols
+
+const OpentronsGenerator = new Blockly.Generator('Opentrons');
+
+OpentronsGenerator.ORDER_ATOMIC = 0;
+OpentronsGenerator.ORDER_MULTIPLICATIVE = 5;
+OpentronsGenerator.ORDER_ADDITIVE = 6;
+OpentronsGenerator.ORDER_RELATIONAL = 11;
+OpentronsGenerator.ORDER_NONE = 99;
+
+OpentronsGenerator.INDENT = '    ';
+OpentronsGenerator.API_LEVEL = '2.15';
+
+// Pipettes available on the OT-2, smallest first
+OpentronsGenerator.PIPETTES = [
+    { model: 'p20_single_gen2', name: 'p20', maxVolume: 20, aspirateRate: 7.56,
+      tipRack: 'opentrons_96_tiprack_20ul', filterTipRack: 'opentrons_96_filtertiprack_20ul' },
+    { model: 'p300_single_gen2', name: 'p300', maxVolume: 300, aspirateRate: 92.86,
+      tipRack: 'opentrons_96_tiprack_300ul', filterTipRack: 'opentrons_96_filtertiprack_200ul' },
+    { model: 'p1000_single_gen2', name: 'p1000', maxVolume: 1000, aspirateRate: 274.7,
+      tipRack: 'opentrons_96_tiprack_1000ul', filterTipRack: 'opentrons_96_filtertiprack_1000ul' }
+];
+
+// Tip types of the liquid_handler block mapped to the pipette they fit. There is no GEN2 p50,
+// so 50 µL tips go on the p300, which covers 20-300 µL.
+OpentronsGenerator.TIP_TYPE_PIPETTES = {
+    '50UL': 'p300_single_gen2',
+    '200UL': 'p300_single_gen2',
+    '1000UL': 'p1000_single_gen2'
+};
+
+OpentronsGenerator.ASPIRATION_SPEED_FACTORS = {
+    SLOW: 0.5,
+    MEDIUM: 1,
+    FAST: 1.5
+};
+
+OpentronsGenerator.DEFAULT_PLATE = 'corning_96_wellplate_360ul_flat';
+OpentronsGenerator.DEFAULT_RESERVOIR = 'nest_12_reservoir_15ml';
+OpentronsGenerator.DEFAULT_TUBE_RACK = 'opentrons_24_tuberack_eppendorf_1.5ml_safelock_snapcap';
+
+OpentronsGenerator.init = function(workspace) {
+    OpentronsGenerator.labware = {};      // python name -> { loadName, slot }
+    OpentronsGenerator.labwareOrder = [];
+    OpentronsGenerator.pipettes = {};     // model -> { name, mount, tipRacks, filter }
+    OpentronsGenerator.parameters = {};   // parameter_variable name -> python value
+    OpentronsGenerator.design = null;     // expanded doe_design, if the protocol has one
+    OpentronsGenerator.labwareDefinitions = Labware.definitions(workspace);
+    OpentronsGenerator.liquids = [];      // { content, role, labware, wells, volume } loaded before the run
+    OpentronsGenerator.nextSlot = 1;
+    OpentronsGenerator.protocolName = 'Generated Protocol';
+    OpentronsGenerator.protocolDescription = '';
+    OpentronsGenerator.warnings = [];
+    Labware.simulate(workspace).issues.forEach(issue => OpentronsGenerator.warnings.push(issue.message));
+};
+
+OpentronsGenerator.finish = function(code) {
+    let output = 'from opentrons import protocol_api\n\n';
+    output += 'metadata = {\n';
+    output += `    'protocolName': ${OpentronsGenerator.quote_(OpentronsGenerator.protocolName)},\n`;
+    output += `    'author': 'Scientific Protocol Builder',\n`;
+    output += `    'description': ${OpentronsGenerator.quote_(OpentronsGenerator.protocolDescription)},\n`;
+    output += `    'apiLevel': '${OpentronsGenerator.API_LEVEL}'\n`;
+    output += '}\n\n\n';
+
+    output += 'def run(protocol: protocol_api.ProtocolContext):\n';
+
+    OpentronsGenerator.warnings.forEach(warning => {
+        output += `    # WARNING: ${warning}\n`;
+    });
+
+    // A deck runs one configuration of a design at a time, picked by run_number
+    const design = OpentronsGenerator.design;
+    const factors = {};
+    if (design) {
+        const runsName = OpentronsGenerator.toIdentifier(`${design.name}_runs`);
+        output += `    # Design of experiments ${design.name}: ${ExperimentDesign.describe(design)}\n`;
+        output += `    # Set run_number to the run this deck is set up for\n`;
+        output += '    run_number = 1\n';
+        output += `    ${runsName} = [\n`;
+        design.runs.forEach(run => {
+            const values = design.factors.map(factor => {
+                const value = run.values[factor.name];
+                return `${OpentronsGenerator.quote_(factor.name)}: ${typeof value === 'number' ? value : OpentronsGenerator.quote_(value)}`;
+            });
+            output += `        {${values.join(', ')}},\n`;
+        });
+        output += '    ]\n';
+        output += `    run = ${runsName}[run_number - 1]\n`;
+        output += `    protocol.comment(f'Run {run_number} of {len(${runsName})}: {run}')\n\n`;
+        design.factors.forEach(factor => {
+            factors[OpentronsGenerator.toIdentifier(factor.name)] = `run[${OpentronsGenerator.quote_(factor.name)}]`;
+        });
+    }
+
+    const parameterNames = Object.keys(OpentronsGenerator.parameters);
+    if (parameterNames.length > 0) {
+        output += '    # Parameters\n';
+        parameterNames.forEach(name => {
+            output += `    ${name} = ${factors[name] || OpentronsGenerator.parameters[name]}\n`;
+        });
+        output += '\n';
+    }
+
+    if (OpentronsGenerator.labwareOrder.length > 0) {
+        output += '    # Labware\n';
+        OpentronsGenerator.labwareOrder.forEach(name => {
+            const labware = OpentronsGenerator.labware[name];
+            output += `    ${name} = protocol.load_labware('${labware.loadName}', ${labware.slot})\n`;
+        });
+        output += '\n';
+    }
+
+    // Liquids loaded by the plate maps, so the app shows what goes in each well
+    if (OpentronsGenerator.liquids.length > 0) {
+        output += '    # Liquids\n';
+        const defined = new Set();
+        OpentronsGenerator.liquids.forEach(liquid => {
+            const name = OpentronsGenerator.toIdentifier(`liquid_${liquid.content}`);
+            if (!defined.has(name)) {
+                defined.add(name);
+                output += `    ${name} = protocol.define_liquid(${OpentronsGenerator.quote_(liquid.content)}, ` +
+                    `${OpentronsGenerator.quote_(liquid.role.toLowerCase())}, '${Labware.ROLE_COLOURS[liquid.role]}')\n`;
+            }
+            output += `    for well in [${liquid.wells.map(well => `'${well}'`).join(', ')}]:\n`;
+            output += `        ${liquid.labware}[well].load_liquid(liquid=${name}, volume=${liquid.volume})\n`;
+        });
+        output += '\n';
+    }
+
+    const pipetteModels = Object.keys(OpentronsGenerator.pipettes);
+    if (pipetteModels.length > 0) {
+        output += '    # Pipettes\n';
+        pipetteModels.forEach(model => {
+            const pipette = OpentronsGenerator.pipettes[model];
+            output += `    ${pipette.name} = protocol.load_instrument('${model}', '${pipette.mount}', ` +
+                `tip_racks=[${pipette.tipRacks.join(', ')}])\n`;
+        });
+        output += '\n';
+    }
+
+    output += '    # Steps\n';
+    output += code.trim() ? OpentronsGenerator.prefixLines(code.trim(), '    ') + '\n' : '    pass\n';
+
+    return output;
+};
+
+// Follow the next connection so sequential blocks are all generated
+OpentronsGenerator.scrub_ = function(block, code, thisOnly) {
+    const nextBlock = block.nextConnection && block.nextConnection.targetBlock();
+    if (nextBlock && !thisOnly) {
+        return code + OpentronsGenerator.blockToCode(nextBlock);
+    }
+    return code;
+};
+
+OpentronsGenerator.quote_ = function(string) {
+    return "'" + String(string || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n')
+        .replace(/'/g, "\\'") + "'";
+};
+
+// Turn a user-facing name into a python identifier
+OpentronsGenerator.toIdentifier = function(name) {
+    let identifier = String(name || 'labware').trim().replace(/[^A-Za-z0-9_]/g, '_');
+    if (/^[0-9]/.test(identifier)) identifier = '_' + identifier;
+    return identifier || 'labware';
+};
+
+// Load a labware on the next free deck slot (tip racks included)
+OpentronsGenerator.useLabware = function(name, loadName) {
+    const identifier = OpentronsGenerator.toIdentifier(name);
+    if (!OpentronsGenerator.labware[identifier]) {
+        if (OpentronsGenerator.nextSlot > 11) {
+            throw new Error(`Not enough deck slots for labware "${name}" (the OT-2 has 11)`);
+        }
+        OpentronsGenerator.labware[identifier] = { loadName, slot: OpentronsGenerator.nextSlot++ };
+        OpentronsGenerator.labwareOrder.push(identifier);
+    }
+    return identifier;
+};
+
+// Pick the smallest pipette that can move the volume in one aspiration, or the one the tip type implies
+OpentronsGenerator.usePipette = function(volume, options = {}) {
+    let pipette = OpentronsGenerator.PIPETTES.find(p => p.model === options.model);
+    if (!pipette) {
+        pipette = OpentronsGenerator.PIPETTES.find(p => volume <= p.maxVolume) ||
+            OpentronsGenerator.PIPETTES[OpentronsGenerator.PIPETTES.length - 1];
+    }
+
+    if (!OpentronsGenerator.pipettes[pipette.model]) {
+        const mounts = ['left', 'right'];
+        const used = Object.keys(OpentronsGenerator.pipettes).length;
+        if (used >= mounts.length) {
+            throw new Error(`Protocol needs a third pipette (${pipette.model}); the OT-2 has two mounts`);
+        }
+
+        const tipRack = OpentronsGenerator.useLabware(
+            `tiprack_${pipette.name}${options.filter ? '_filter' : ''}`,
+            options.filter ? pipette.filterTipRack : pipette.tipRack);
+
+        OpentronsGenerator.pipettes[pipette.model] = {
+            name: pipette.name,
+            mount: mounts[used],
+            tipRacks: [tipRack],
+            maxVolume: pipette.maxVolume,
+            aspirateRate: pipette.aspirateRate,
+            filter: !!options.filter
+        };
+    } else if (OpentronsGenerator.pipettes[pipette.model].filter !== !!options.filter) {
+        OpentronsGenerator.warnings.push(
+            `${pipette.name} is loaded with ${options.filter ? 'standard' : 'filter'} tips; a step asked for the other kind`);
+    }
+
+    return OpentronsGenerator.pipettes[pipette.model];
+};
+
+// Expand "A1-H1" into wells in Opentrons order (down each column, then across)
+OpentronsGenerator.expandWellRange = function(start, end) {
+    const rows = 'ABCDEFGHIJKLMNOP';
+    const parse = well => {
+        const match = /^([A-P])(\d{1,2})$/i.exec(well.trim());
+        if (!match) throw new Error(`Invalid well "${well}"`);
+        return { row: rows.indexOf(match[1].toUpperCase()), column: parseInt(match[2], 10) };
+    };
+
+    const from = parse(start);
+    const to = parse(end);
+    const maxRow = Math.max(from.row, to.row, 7);
+    const wells = [];
+
+    for (let column = from.column; column <= to.column; column++) {
+        const firstRow = column === from.column ? from.row : 0;
+        const lastRow = column === to.column ? to.row : maxRow;
+        for (let row = firstRow; row <= lastRow; row++) {
+            wells.push(rows[row] + column);
+        }
+    }
+    return wells;
+};
+
+// Labware with a labware_definition loads its format; otherwise names like "buffer_reservoir"
+// or "pool_tubes" say what they are
+OpentronsGenerator.guessLoadName = function(name, defaultLoadName) {
+    const definition = OpentronsGenerator.labwareDefinitions[name];
+    if (definition && definition.format) {
+        if (!definition.format.loadName) {
+            throw new Error(`Labware "${name}" is a ${definition.format.label}, which the OT-2 cannot load`);
+        }
+        return definition.format.loadName;
+    }
+    if (/reservoir|trough/i.test(name)) return OpentronsGenerator.DEFAULT_RESERVOIR;
+    if (/tube/i.test(name)) return OpentronsGenerator.DEFAULT_TUBE_RACK;
+    return defaultLoadName;
+};
+
+/**
+ * Resolve a SOURCE/DESTINATION style input into wells.
+ * Text is read as "labware", "labware:A1", "labware:A1,B1" or "labware:A1-H1";
+ * variables and material blocks name the labware and default to its first well.
+ */
+OpentronsGenerator.resolveLocation = function(block, inputName, defaultLoadName) {
+    const target = block.getInputTargetBlock(inputName);
+    let spec = inputName.toLowerCase();
+
+    if (target) {
+        if (target.type === 'text') {
+            spec = target.getFieldValue('TEXT');
+        } else if (target.type === 'well_reference') {
+            spec = `${target.getFieldValue('LABWARE')}:${target.getFieldValue('WELLS')}`;
+        } else if (target.type === 'get_variable') {
+            spec = target.getFieldValue('VAR_NAME');
+        } else if (target.getField && target.getField('NAME')) {
+            spec = target.getFieldValue('NAME');
+            if (target.type === 'reagent_variable') defaultLoadName = OpentronsGenerator.DEFAULT_RESERVOIR;
+            if (target.type === 'sample_variable') defaultLoadName = OpentronsGenerator.DEFAULT_TUBE_RACK;
+        }
+    }
+
+    const [labwareName, wellSpec] = String(spec).split(':');
+    const labware = OpentronsGenerator.useLabware(labwareName,
+        OpentronsGenerator.guessLoadName(labwareName, defaultLoadName));
+
+    if (!wellSpec) {
+        return { labware, wells: null, code: `${labware}.wells()[0]`, count: 1 };
+    }
+    if (wellSpec.trim() === '*') {
+        return { labware, wells: null, code: `${labware}.wells()`, count: Infinity };
+    }
+
+    // Defined labware knows how many rows a range runs down before moving to the next column
+    const definition = OpentronsGenerator.labwareDefinitions[labwareName];
+    const wells = [];
+    if (definition && definition.format) {
+        wells.push(...Labware.expandWells(wellSpec, definition.format));
+    } else {
+        wellSpec.split(',').forEach(part => {
+            const [start, end] = part.split('-');
+            if (end) {
+                wells.push(...OpentronsGenerator.expandWellRange(start, end));
+            } else {
+                wells.push(start.trim().toUpperCase());
+            }
+        });
+    }
+
+    const code = wells.length === 1
+        ? `${labware}['${wells[0]}']`
+        : `[${labware}[w] for w in [${wells.map(w => `'${w}'`).join(', ')}]]`;
+    return { labware, wells, code, count: wells.length };
+};
+
+// Evaluate a numeric input to a constant when possible (for pipette selection)
+OpentronsGenerator.constantVolume = function(block, inputName, fallback) {
+    const target = block.getInputTargetBlock(inputName);
+    if (target && target.type === 'math_number') {
+        return parseFloat(target.getFieldValue('NUM'));
+    }
+    if (target && target.type === 'quantity') {
+        const resolved = Quantity.resolveBlock(target);
+        if (resolved.value !== undefined) return resolved.value;
+    }
+    if (target && target.type === 'get_variable') {
+        const value = parseFloat(OpentronsGenerator.parameters[target.getFieldValue('VAR_NAME')]);
+        if (!isNaN(value)) {
+            const unit = Quantity.variableUnit(block.workspace, target.getFieldValue('VAR_NAME'));
+            const expected = Quantity.expectedUnit(block, inputName);
+            return unit && expected && Quantity.compatible(unit, expected)
+                ? Quantity.convert({ value: value, unit: unit }, expected)
+                : value;
+        }
+    }
+    return fallback;
+};
+
+// Choose transfer, distribute or consolidate from the shape of the source and destination
+OpentronsGenerator.liquidCall = function(pipette, volume, source, destination, options) {
+    let method = 'transfer';
+    if (source.count === 1 && destination.count > 1) {
+        method = 'distribute';
+    } else if (source.count > 1 && destination.count === 1) {
+        method = 'consolidate';
+    }
+
+    const args = [volume, source.code, destination.code].concat(options);
+    return `${pipette.name}.${method}(${args.join(', ')})\n`;
+};
+
+OpentronsGenerator.comment = function(text) {
+    return `protocol.comment(${OpentronsGenerator.quote_(text)})\n`;
+};
+
+// Protocol structure
+OpentronsGenerator['protocol_definition'] = function(block) {
+    OpentronsGenerator.protocolName = block.getFieldValue('PROTOCOL_NAME');
+    OpentronsGenerator.protocolDescription = block.getFieldValue('DESCRIPTION');
+    const inputs = OpentronsGenerator.statementToCode(block, 'INPUTS');
+    const steps = OpentronsGenerator.statementToCode(block, 'STEPS');
+    return OpentronsGenerator.dedent(inputs) + OpentronsGenerator.dedent(steps);
+};
+
+OpentronsGenerator['protocol_input'] = function(block) {
+    return '';
+};
+
+OpentronsGenerator['protocol_output'] = function(block) {
+    return '';
+};
+
+// Parameters only annotate the call; labware and liquids are bound by the declarations
+OpentronsGenerator['protocol_parameter'] = function(block) {
+    return '';
+};
+
+// Library protocols fetched before generating are run inline; otherwise the robot pauses
+// for the operator to run the sub-protocol
+OpentronsGenerator['protocol_call'] = function(block) {
+    const protocolId = block.getFieldValue('LIBRARY_ID');
+    const version = block.getFieldValue('LIBRARY_VERSION');
+    const label = `${block.getFieldValue('PROTOCOL_NAME')}${version ? ` v${version}` : ''}`;
+    
+    const parameters = [];
+    let parameter = block.getInputTargetBlock('PARAMETERS');
+    while (parameter) {
+        if (parameter.type === 'protocol_parameter') {
+            const value = OpentronsGenerator.valueToCode(parameter, 'VALUE', OpentronsGenerator.ORDER_NONE) || 'None';
+            parameters.push(`${parameter.getFieldValue('NAME')}=${value}`);
+        }
+        parameter = parameter.getNextBlock();
+    }
+    const withParameters = parameters.length > 0 ? ` with ${parameters.join(', ')}` : '';
+    
+    const steps = typeof protocolLibrary === 'undefined' ? null : protocolLibrary.withDefinition(protocolId,
+        definition => OpentronsGenerator.statementToCode(definition, 'STEPS'));
+    if (steps) {
+        return OpentronsGenerator.comment(`Sub-protocol: ${label}${withParameters}`) + OpentronsGenerator.dedent(steps);
+    }
+    return `protocol.pause(${OpentronsGenerator.quote_(`Run library protocol ${label}${withParameters}, then resume`)})\n`;
+};
+
+OpentronsGenerator['protocol_sequence'] = function(block) {
+    const name = block.getFieldValue('NAME');
+    const steps = OpentronsGenerator.statementToCode(block, 'STEPS');
+    return OpentronsGenerator.comment(`Sequence: ${name}`) + OpentronsGenerator.dedent(steps);
+};
+
+// The OT-2 runs one thing at a time, so parallel branches run back to back
+OpentronsGenerator['parallel_steps'] = function(block) {
+    let code = OpentronsGenerator.comment('Parallel branches run sequentially on the OT-2');
+    ['BRANCH1', 'BRANCH2', 'BRANCH3'].forEach(branch => {
+        code += OpentronsGenerator.dedent(OpentronsGenerator.statementToCode(block, branch));
+    });
+    return code;
+};
+
+OpentronsGenerator['controls_repeat_ext'] = function(block) {
+    const times = OpentronsGenerator.valueToCode(block, 'TIMES', OpentronsGenerator.ORDER_NONE) || '0';
+    const body = OpentronsGenerator.statementToCode(block, 'DO') || OpentronsGenerator.INDENT + 'pass\n';
+    return `for _ in range(int(${times})):\n${body}`;
+};
+
+OpentronsGenerator['controls_if'] = function(block) {
+    let code = '';
+    let n = 0;
+    do {
+        const condition = OpentronsGenerator.valueToCode(block, 'IF' + n, OpentronsGenerator.ORDER_NONE) || 'False';
+        const branch = OpentronsGenerator.statementToCode(block, 'DO' + n) || OpentronsGenerator.INDENT + 'pass\n';
+        code += (n > 0 ? 'el' : '') + `if ${condition}:\n${branch}`;
+        ++n;
+    } while (block.getInput('IF' + n));
+
+    if (block.getInput('ELSE')) {
+        code += 'else:\n' + (OpentronsGenerator.statementToCode(block, 'ELSE') || OpentronsGenerator.INDENT + 'pass\n');
+    }
+    return code;
+};
+
+OpentronsGenerator['conditional_step'] = function(block) {
+    const condition = OpentronsGenerator.valueToCode(block, 'CONDITION', OpentronsGenerator.ORDER_NONE) || 'False';
+    const thenSteps = OpentronsGenerator.statementToCode(block, 'THEN_STEPS') || OpentronsGenerator.INDENT + 'pass\n';
+    const elseSteps = OpentronsGenerator.statementToCode(block, 'ELSE_STEPS');
+    return `if ${condition}:\n${thenSteps}` + (elseSteps ? `else:\n${elseSteps}` : '');
+};
+
+OpentronsGenerator['wait_step'] = function(block) {
+    const units = block.getFieldValue('TIME_UNITS');
+    // Hours are scaled to minutes, so the time has to bind tighter than the multiplication
+    const order = units === 'HOURS' ? OpentronsGenerator.ORDER_MULTIPLICATIVE : OpentronsGenerator.ORDER_NONE;
+    const time = OpentronsGenerator.valueToCode(block, 'TIME', order) || '0';
+    const reason = block.getFieldValue('REASON');
+    const argument = units === 'HOURS' ? `minutes=${time} * 60` : `${units.toLowerCase()}=${time}`;
+    return `protocol.delay(${argument}, msg=${OpentronsGenerator.quote_(reason)})\n`;
+};
+
+OpentronsGenerator['checkpoint'] = function(block) {
+    const name = block.getFieldValue('NAME');
+    const description = block.getFieldValue('DESCRIPTION');
+    const message = description ? `${name}: ${description}` : name;
+    if (block.getFieldValue('MANUAL_CONFIRM') === 'TRUE') {
+        return `protocol.pause(${OpentronsGenerator.quote_(message)})\n`;
+    }
+    return OpentronsGenerator.comment(`Checkpoint ${message}`);
+};
+
+// Materials
+OpentronsGenerator['sample_variable'] = function(block) {
+    OpentronsGenerator.useLabware(block.getFieldValue('NAME'), OpentronsGenerator.DEFAULT_TUBE_RACK);
+    return '';
+};
+
+OpentronsGenerator['reagent_variable'] = function(block) {
+    OpentronsGenerator.useLabware(block.getFieldValue('NAME'), OpentronsGenerator.DEFAULT_RESERVOIR);
+    return '';
+};
+
+OpentronsGenerator['equipment_variable'] = function(block) {
+    return '';
+};
+
+OpentronsGenerator['parameter_variable'] = function(block) {
+    const name = OpentronsGenerator.toIdentifier(block.getFieldValue('NAME'));
+    OpentronsGenerator.parameters[name] =
+        OpentronsGenerator.valueToCode(block, 'VALUE', OpentronsGenerator.ORDER_NONE) || 'None';
+    return '';
+};
+
+// Labware is loaded in its format, and wells with a loaded volume get their liquid
+OpentronsGenerator['labware_definition'] = function(block) {
+    const name = block.getFieldValue('NAME');
+    const labware = OpentronsGenerator.useLabware(name, OpentronsGenerator.guessLoadName(name, OpentronsGenerator.DEFAULT_PLATE));
+    const definition = OpentronsGenerator.labwareDefinitions[name];
+    if (definition && definition.blockId === block.id) {
+        definition.assignments.filter(assignment => assignment.volume > 0).forEach(assignment => {
+            try {
+                OpentronsGenerator.liquids.push({
+                    content: assignment.content,
+                    role: assignment.role,
+                    labware: labware,
+                    wells: Labware.expandWells(assignment.spec, definition.format),
+                    volume: assignment.volume
+                });
+            } catch (error) {
+                // Invalid wells are already listed in the warnings
+            }
+        });
+    }
+    return '';
+};
+
+OpentronsGenerator['well_assignment'] = function(block) {
+    return '';
+};
+
+OpentronsGenerator['well_reference'] = function(block) {
+    return [OpentronsGenerator.quote_(`${block.getFieldValue('LABWARE')}:${block.getFieldValue('WELLS')}`), OpentronsGenerator.ORDER_ATOMIC];
+};
+
+// The design's runs are written out with the parameters; see finish
+OpentronsGenerator['doe_design'] = function(block) {
+    if (OpentronsGenerator.design) {
+        throw new Error('Only one design of experiments block is supported per protocol');
+    }
+    const expanded = ExperimentDesign.expand(ExperimentDesign.fromBlock(block));
+    OpentronsGenerator.design = expanded;
+    expanded.warnings.forEach(warning => OpentronsGenerator.warnings.push(warning));
+    return '';
+};
+
+OpentronsGenerator['doe_factor'] = function(block) {
+    return '';
+};
+
+OpentronsGenerator['set_variable'] = function(block) {
+    const name = OpentronsGenerator.toIdentifier(block.getFieldValue('VAR_NAME'));
+    const value = OpentronsGenerator.valueToCode(block, 'VALUE', OpentronsGenerator.ORDER_NONE) || 'None';
+    return `${name} = ${value}\n`;
+};
+
+// Liquid handling
+OpentronsGenerator['transfer_step'] = function(block) {
+    const volumeCode = OpentronsGenerator.valueToCode(block, 'VOLUME', OpentronsGenerator.ORDER_NONE) || '0';
+    const volume = OpentronsGenerator.constantVolume(block, 'VOLUME', 300);
+    const method = block.getFieldValue('METHOD');
+    const tipType = block.getFieldValue('TIP_TYPE');
+
+    if (method === 'POUR') {
+        return OpentronsGenerator.comment(`Manual step: pour ${volumeCode} uL`);
+    }
+
+    const source = OpentronsGenerator.resolveLocation(block, 'SOURCE', OpentronsGenerator.DEFAULT_PLATE);
+    const destination = OpentronsGenerator.resolveLocation(block, 'DESTINATION', OpentronsGenerator.DEFAULT_PLATE);
+    const pipette = OpentronsGenerator.usePipette(volume, { filter: tipType === 'FILTER' });
+
+    const options = ["new_tip='always'"];
+    if (tipType === 'LOW_RETENTION' || tipType === 'WIDE_BORE') {
+        options.push('blow_out=True', "blowout_location='destination well'");
+    }
+
+    return OpentronsGenerator.liquidCall(pipette, volumeCode, source, destination, options);
+};
+
+OpentronsGenerator['liquid_handler'] = function(block) {
+    const system = block.getFieldValue('SYSTEM');
+    const tipType = block.getFieldValue('TIP_TYPE');
+    const mixEnable = block.getFieldValue('MIX_ENABLE') === 'TRUE';
+    const mixCycles = block.getFieldValue('MIX_CYCLES');
+    const aspSpeed = block.getFieldValue('ASP_SPEED');
+    const qcEnable = block.getFieldValue('QC_ENABLE') === 'TRUE';
+
+    let code = '';
+    if (system !== 'OPENTRONS') {
+        OpentronsGenerator.warnings.push(`liquid_handler block targets ${system}; generated for the OT-2 instead`);
+    }
+
+    // Volume mapping: a number (same volume everywhere) or text "50,100,25" (one volume per well)
+    const volumeTarget = block.getInputTargetBlock('VOLUME_MAP');
+    let volumeCode = OpentronsGenerator.valueToCode(block, 'VOLUME_MAP', OpentronsGenerator.ORDER_NONE) || '0';
+    let maxVolume = OpentronsGenerator.constantVolume(block, 'VOLUME_MAP', 300);
+    if (volumeTarget && volumeTarget.type === 'text') {
+        const volumes = volumeTarget.getFieldValue('TEXT').split(',').map(v => parseFloat(v)).filter(v => !isNaN(v));
+        volumeCode = volumes.length === 1 ? String(volumes[0]) : `[${volumes.join(', ')}]`;
+        maxVolume = Math.max(...volumes, 0);
+    }
+
+    const source = OpentronsGenerator.resolveLocation(block, 'SOURCE_PLATE', OpentronsGenerator.DEFAULT_PLATE);
+    const destination = OpentronsGenerator.resolveLocation(block, 'DEST_PLATE', OpentronsGenerator.DEFAULT_PLATE);
+    // Without explicit wells the handler works plate to plate, well by well
+    [source, destination].forEach(location => {
+        if (!location.wells) {
+            location.code = `${location.labware}.wells()`;
+            location.count = Infinity;
+        }
+    });
+
+    const pipette = OpentronsGenerator.usePipette(maxVolume, {
+        model: OpentronsGenerator.TIP_TYPE_PIPETTES[tipType],
+        filter: tipType === 'FILTER'
+    });
+
+    const speedFactor = OpentronsGenerator.ASPIRATION_SPEED_FACTORS[aspSpeed];
+    if (speedFactor && speedFactor !== 1) {
+        code += `${pipette.name}.flow_rate.aspirate = ${Math.round(pipette.aspirateRate * speedFactor * 100) / 100}\n`;
+    }
+
+    const options = ["new_tip='always'"];
+    if (mixEnable && mixCycles > 0) {
+        options.push(`mix_after=(${mixCycles}, ${Math.min(maxVolume, pipette.maxVolume)})`);
+    }
+
+    code += OpentronsGenerator.liquidCall(pipette, volumeCode, source, destination, options);
+
+    if (qcEnable) {
+        code += OpentronsGenerator.comment('Quality control: verify tip tracking and dispensed volumes');
+    }
+    if (speedFactor && speedFactor !== 1) {
+        code += `${pipette.name}.flow_rate.aspirate = ${pipette.aspirateRate}\n`;
+    }
+    return code;
+};
+
+// Steps the robot cannot perform become comments for the operator
+OpentronsGenerator['preparation_step'] = function(block) {
+    const substeps = OpentronsGenerator.statementToCode(block, 'SUBSTEPS');
+    return OpentronsGenerator.comment(`Manual step: prepare ${block.getFieldValue('WHAT')} (${block.getFieldValue('METHOD')})`) +
+        OpentronsGenerator.dedent(substeps);
+};
+
+OpentronsGenerator['mixing_step'] = function(block) {
+    const time = OpentronsGenerator.valueToCode(block, 'TIME', OpentronsGenerator.ORDER_NONE) || '0';
+    return OpentronsGenerator.comment(
+        `Manual step: mix ${block.getFieldValue('COMPONENTS')} by ${block.getFieldValue('METHOD')} for ${time} min`);
+};
+
+OpentronsGenerator['incubation_step'] = function(block) {
+    const temperature = OpentronsGenerator.valueToCode(block, 'TEMPERATURE', OpentronsGenerator.ORDER_NONE) || '?';
+    const time = OpentronsGenerator.valueToCode(block, 'TIME', OpentronsGenerator.ORDER_NONE) || '?';
+    return OpentronsGenerator.comment(
+        `Manual step: incubate ${block.getFieldValue('SAMPLE')} at ${temperature} C for ${time} min`);
+};
+
+OpentronsGenerator['centrifuge_step'] = function(block) {
+    const speed = OpentronsGenerator.valueToCode(block, 'SPEED', OpentronsGenerator.ORDER_NONE) || '?';
+    const time = OpentronsGenerator.valueToCode(block, 'TIME', OpentronsGenerator.ORDER_NONE) || '?';
+    return `protocol.pause(${OpentronsGenerator.quote_(`Centrifuge at ${speed} x g for ${time} min, then resume`)})\n`;
+};
+
+OpentronsGenerator['wash_step'] = function(block) {
+    const cycles = OpentronsGenerator.valueToCode(block, 'CYCLES', OpentronsGenerator.ORDER_NONE) || '1';
+    return OpentronsGenerator.comment(`Manual step: wash (${block.getFieldValue('METHOD')}), ${cycles} cycles`);
+};
+
+OpentronsGenerator['measurement_step'] = function(block) {
+    return OpentronsGenerator.comment(
+        `Manual step: measure ${block.getFieldValue('MEASUREMENT_TYPE')}, record as ${block.getFieldValue('RESULT_VAR')}`);
+};
+
+OpentronsGenerator['observation_step'] = function(block) {
+    return OpentronsGenerator.comment(
+        `Manual step: observe ${block.getFieldValue('OBSERVATION')} in ${block.getFieldValue('SAMPLE')}`);
+};
+
+OpentronsGenerator['quality_check'] = function(block) {
+    return OpentronsGenerator.comment(
+        `Quality check: ${block.getFieldValue('CHECK_NAME')} (on failure: ${block.getFieldValue('FAILURE_ACTION')})`);
+};
+
+// Values
+OpentronsGenerator['math_number'] = function(block) {
+    return [String(parseFloat(block.getFieldValue('NUM'))), OpentronsGenerator.ORDER_ATOMIC];
+};
+
+OpentronsGenerator['quantity'] = function(block) {
+    const resolved = Quantity.resolveBlock(block);
+    if (resolved.value !== undefined) {
+        return [String(resolved.value), OpentronsGenerator.ORDER_ATOMIC];
+    }
+    return [OpentronsGenerator.quote_(Quantity.format(resolved.quantity)), OpentronsGenerator.ORDER_ATOMIC];
+};
+
+OpentronsGenerator['text'] = function(block) {
+    return [OpentronsGenerator.quote_(block.getFieldValue('TEXT')), OpentronsGenerator.ORDER_ATOMIC];
+};
+
+OpentronsGenerator['logic_boolean'] = function(block) {
+    return [block.getFieldValue('BOOL') === 'TRUE' ? 'True' : 'False', OpentronsGenerator.ORDER_ATOMIC];
+};
+
+OpentronsGenerator['get_variable'] = function(block) {
+    const name = OpentronsGenerator.toIdentifier(block.getFieldValue('VAR_NAME'));
+    return [Quantity.resolveVariable(block, name), OpentronsGenerator.ORDER_ATOMIC];
+};
+
+OpentronsGenerator['math_arithmetic'] = function(block) {
+    const operators = {
+        ADD: [' + ', OpentronsGenerator.ORDER_ADDITIVE],
+        MINUS: [' - ', OpentronsGenerator.ORDER_ADDITIVE],
+        MULTIPLY: [' * ', OpentronsGenerator.ORDER_MULTIPLICATIVE],
+        DIVIDE: [' / ', OpentronsGenerator.ORDER_MULTIPLICATIVE],
+        POWER: [' ** ', OpentronsGenerator.ORDER_MULTIPLICATIVE]
+    };
+    const [operator, order] = operators[block.getFieldValue('OP')];
+    const a = OpentronsGenerator.valueToCode(block, 'A', order) || '0';
+    const b = OpentronsGenerator.valueToCode(block, 'B', order) || '0';
+    return [a + operator + b, order];
+};
+
+OpentronsGenerator['logic_compare'] = function(block) {
+    const operators = { EQ: '==', NEQ: '!=', LT: '<', LTE: '<=', GT: '>', GTE: '>=' };
+    const a = OpentronsGenerator.valueToCode(block, 'A', OpentronsGenerator.ORDER_RELATIONAL) || '0';
+    const b = OpentronsGenerator.valueToCode(block, 'B', OpentronsGenerator.ORDER_RELATIONAL) || '0';
+    return [`${a} ${operators[block.getFieldValue('OP')]} ${b}`, OpentronsGenerator.ORDER_RELATIONAL];
+};
+
+// statementToCode indents its output; structural blocks splice their children in flat
+OpentronsGenerator.dedent = function(code) {
+    return code.replace(new RegExp('^' + OpentronsGenerator.INDENT, 'gm'), '');
+};
+
+// Allow the generator to be loaded in Node against a headless Blockly for fixture tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OpentronsGenerator;
+}
@@ -27,12 +27,21 @@ PythonGenerator.ORDER_NONE = 99;
 PythonGenerator.init = function(workspace) {
     PythonGenerator.definitions_ = {};
     PythonGenerator.functionNames_ = {};
+    PythonGenerator.parameters_ = [];
+    PythonGenerator.design_ = null;
+    PythonGenerator.labwareDefinitions_ = Labware.definitions(workspace);
     
     // Add required imports
     PythonGenerator.definitions_['import_time'] = 'import time';
     PythonGenerator.definitions_['import_datetime'] = 'from datetime import datetime';
     PythonGenerator.definitions_['import_typing'] = 'from typing import Dict, List, Any, Optional';
     
+    // Add the volumes worked out from the plate maps
+    const layout = Labware.simulate(workspace);
+    if (layout.labware.length > 0) {
+        PythonGenerator.definitions_['labware_volumes'] = PythonGenerator.layoutDefinitions(layout);
+    }
+    
     // Add protocol base class
     PythonGenerator.definitions_['protocol_base'] = `
 class ProtocolStep:
@@ -105,8 +114,8 @@ PythonGenerator.finish = function(code) {
         definitions.push(PythonGenerator.definitions_[name]);
     }
     
-    // Add main execution
-    const mainCode = `
+    // Add main execution, once per run when the protocol has a design of experiments
+    const mainCode = PythonGenerator.design_ ? PythonGenerator.designMain(PythonGenerator.design_) : `
 # Generated protocol execution
 if __name__ == "__main__":
     protocol = create_protocol()
@@ -164,9 +173,17 @@ PythonGenerator['reagent_variable'] = function(block) {
     return code;
 };
 
+PythonGenerator['parameter_variable'] = function(block) {
+    const name = block.getFieldValue('NAME');
+    const value = PythonGenerator.valueToCode(block, 'VALUE', PythonGenerator.ORDER_NONE) || 'None';
+    const units = block.getInputUnit('VALUE');
+    PythonGenerator.parameters_.push(name);
+    return `protocol.set_variable('${name}', ${value})${units ? `  # ${units}` : ''}\n`;
+};
+
 PythonGenerator['get_variable'] = function(block) {
     const varName = block.getFieldValue('VAR_NAME');
-    const code = `protocol.get_variable('${varName}')`;
+    const code = Quantity.resolveVariable(block, `protocol.get_variable('${varName}')`);
     return [code, PythonGenerator.ORDER_FUNCTION_CALL];
 };
 
@@ -251,6 +268,26 @@ protocol.add_step(MeasurementStep("Measure ${measurementType}", "Measure ${measu
     return code;
 };
 
+PythonGenerator['wait_step'] = function(block) {
+    // Minutes and hours are scaled to seconds, so the time has to bind tighter than the multiplication
+    const time = PythonGenerator.valueToCode(block, 'TIME', PythonGenerator.ORDER_MULTIPLICATIVE) || '0';
+    const units = block.getFieldValue('TIME_UNITS').toLowerCase();
+    const reason = block.getFieldValue('REASON');
+    const seconds = { seconds: time, minutes: `${time} * 60`, hours: `${time} * 3600` }[units];
+    
+    const code = `
+class WaitStep(ProtocolStep):
+    def _execute_step(self, **kwargs):
+        print(f"  Waiting {${time}} ${units}: ${reason}")
+        time.sleep(${seconds})
+        return {}
+
+protocol.add_step(WaitStep("Wait", "Wait for ${reason}"))
+`;
+    
+    return code;
+};
+
 // Control flow blocks
 PythonGenerator['controls_if'] = function(block) {
     let n = 0;
@@ -294,7 +331,7 @@ PythonGenerator['protocol_definition'] = function(block) {
     const outputs = PythonGenerator.statementToCode(block, 'OUTPUTS');
     
     const code = `
-def create_protocol():
+def create_protocol(**parameters):
     protocol = Protocol("${protocolName}", "${description}")
     
     # Define inputs
@@ -312,12 +349,277 @@ ${PythonGenerator.prefixLines(outputs, '    ')}
     return code;
 };
 
+// Inputs read the value the protocol was called with, falling back to their default
+PythonGenerator['protocol_input'] = function(block) {
+    const name = block.getFieldValue('INPUT_NAME');
+    const type = block.getFieldValue('INPUT_TYPE').toLowerCase();
+    const required = block.getFieldValue('REQUIRED') === 'TRUE' ? 'True' : 'False';
+    const defaultValue = PythonGenerator.valueToCode(block, 'DEFAULT_VALUE', PythonGenerator.ORDER_NONE) || 'None';
+    
+    return `protocol.inputs['${name}'] = {'type': '${type}', 'required': ${required}}
+protocol.set_variable('${name}', parameters.get('${name}', ${defaultValue}))\n`;
+};
+
+PythonGenerator['protocol_output'] = function(block) {
+    const name = block.getFieldValue('OUTPUT_NAME');
+    const value = PythonGenerator.valueToCode(block, 'VALUE', PythonGenerator.ORDER_NONE) || `protocol.get_variable('${name}')`;
+    return `protocol.outputs['${name}'] = ${value}\n`;
+};
+
+// Parameters are written out by the protocol_call they belong to
+PythonGenerator['protocol_parameter'] = function(block) {
+    return '';
+};
+
+// Function adding a library protocol's steps, named after the protocol and its version
+PythonGenerator.subProtocolFunction = function(name, version) {
+    return `add_${name}_v${version || 'latest'}`.replace(/[^A-Za-z0-9_]/g, '_').toLowerCase();
+};
+
+// Statement code of an input without the generator's indent, to nest at any depth
+PythonGenerator.statementBody = function(block, inputName) {
+    return PythonGenerator.statementToCode(block, inputName)
+        .replace(new RegExp('^' + PythonGenerator.INDENT, 'gm'), '');
+};
+
+// A library protocol fetched before generating is inlined as a function adding its steps to
+// the calling protocol; one that could not be fetched is imported from the protocol_library
+// package, where each library protocol is exported under the same function name
+PythonGenerator['protocol_call'] = function(block) {
+    const protocolId = block.getFieldValue('LIBRARY_ID');
+    const version = block.getFieldValue('LIBRARY_VERSION');
+    const name = block.getFieldValue('PROTOCOL_NAME');
+    const resultVar = block.getFieldValue('RESULT_VAR');
+    const functionName = PythonGenerator.subProtocolFunction(name, version);
+    
+    const parameters = [];
+    let parameter = block.getInputTargetBlock('PARAMETERS');
+    while (parameter) {
+        if (parameter.type === 'protocol_parameter') {
+            const value = PythonGenerator.valueToCode(parameter, 'VALUE', PythonGenerator.ORDER_NONE) || 'None';
+            parameters.push(`'${parameter.getFieldValue('NAME')}': ${value}`);
+        }
+        parameter = parameter.getNextBlock();
+    }
+    
+    const key = `subprotocol_${functionName}`;
+    if (!PythonGenerator.definitions_[key]) {
+        const inlined = typeof protocolLibrary === 'undefined' ? null : protocolLibrary.withDefinition(protocolId, (definition, protocol) => {
+            const outputs = definition.getDescendants(false)
+                .filter(descendant => descendant.type === 'protocol_output')
+                .map(output => `'${output.getFieldValue('OUTPUT_NAME')}'`);
+            const body = PythonGenerator.statementBody(definition, 'INPUTS') +
+                PythonGenerator.statementBody(definition, 'STEPS') +
+                PythonGenerator.statementBody(definition, 'OUTPUTS');
+            
+            return `
+# Library protocol ${protocol.name} v${protocol.version} (${protocol.id})
+def ${functionName}(protocol, parameters):
+${PythonGenerator.prefixLines(body, '    ')}
+    return {name: protocol.outputs.get(name) for name in [${outputs.join(', ')}]}
+`;
+        });
+        
+        PythonGenerator.definitions_[key] = inlined ||
+            `from protocol_library.${functionName} import ${functionName}  # library protocol ${protocolId}`;
+    }
+    
+    return `protocol.set_variable('${resultVar}', ${functionName}(protocol, {${parameters.join(', ')}}))\n`;
+};
+
+// Labware is a variable holding its plate map; wells filled by transfers start empty
+PythonGenerator['labware_definition'] = function(block) {
+    const name = block.getFieldValue('NAME');
+    const definition = PythonGenerator.labwareDefinitions_[name];
+    const wells = [];
+    const seen = new Set();
+    if (definition && definition.format) {
+        definition.assignments.forEach(assignment => {
+            let assigned = [];
+            try {
+                assigned = Labware.expandWells(assignment.spec, definition.format);
+            } catch (error) {
+                // Reported with the labware volumes
+            }
+            // A well assigned twice keeps its first assignment, as in the labware volumes
+            assigned.filter(well => !seen.has(well)).forEach(well => {
+                seen.add(well);
+                wells.push(`        '${well}': {'role': '${assignment.role.toLowerCase()}', ` +
+                    `'content': ${PythonGenerator.literal(assignment.content)}, 'volume': ${assignment.volume}},`);
+            });
+        });
+    }
+    
+    return `protocol.set_variable('${name}', {
+    'format': '${block.getFieldValue('FORMAT')}',
+    'wells': {
+${wells.join('\n')}
+    }
+})\n`;
+};
+
+PythonGenerator['well_assignment'] = function(block) {
+    return '';
+};
+
+PythonGenerator['well_reference'] = function(block) {
+    const reference = `${block.getFieldValue('LABWARE')}:${block.getFieldValue('WELLS')}`;
+    return [PythonGenerator.literal(reference), PythonGenerator.ORDER_ATOMIC];
+};
+
+PythonGenerator['transfer_step'] = function(block) {
+    const source = PythonGenerator.valueToCode(block, 'SOURCE', PythonGenerator.ORDER_NONE) || "'source'";
+    const destination = PythonGenerator.valueToCode(block, 'DESTINATION', PythonGenerator.ORDER_NONE) || "'destination'";
+    const volume = PythonGenerator.valueToCode(block, 'VOLUME', PythonGenerator.ORDER_NONE) || '0';
+    const method = block.getFieldValue('METHOD');
+    const tipType = block.getFieldValue('TIP_TYPE');
+    const pairs = PythonGenerator.wellPairs(block, 'SOURCE', 'DESTINATION');
+    
+    const code = `
+class TransferStep(ProtocolStep):
+    def _execute_step(self, **kwargs):
+        print(f"  Transferring {${volume}} μL from {${source}} to {${destination}}")
+        print(f"  Method: ${method}")
+        print(f"  Tip type: ${tipType}")
+${pairs ? `        for source_well, destination_well in [${pairs.join(', ')}]:
+            print(f"    {source_well} -> {destination_well}")
+` : ''}        return {"transferred_volume": ${volume}}
+
+protocol.add_step(TransferStep("Transfer", "Transfer ${method.toLowerCase()} with ${tipType.toLowerCase()} tips"))
+`;
+    
+    return code;
+};
+
+// Well-to-well movements of a transfer between defined labware, as python tuples
+PythonGenerator.wellPairs = function(block, sourceInput, destinationInput) {
+    const wellsOf = inputName => {
+        const reference = Labware.referenceOf(block, inputName);
+        const wells = Labware.wellsOf(reference, PythonGenerator.labwareDefinitions_);
+        return wells ? wells.map(well => `${reference.labware}:${well}`) : null;
+    };
+    const sources = wellsOf(sourceInput);
+    const destinations = wellsOf(destinationInput);
+    const pairs = sources && destinations ? Labware.pairWells(sources, destinations) : null;
+    return pairs ? pairs.map(([from, to]) => `('${from}', '${to}')`) : null;
+};
+
+PythonGenerator.layoutDefinitions = function(layout) {
+    const warnings = layout.issues.map(issue => `# WARNING: ${issue.message}\n`).join('');
+    const requirements = layout.requirements
+        .map(requirement => `    ${PythonGenerator.literal(requirement.content)}: ${requirement.volume},`);
+    const wells = layout.labware.map(labware => `    '${labware.name}': {` + labware.wells
+        .filter(state => state.volume > 0)
+        .map(state => `'${state.well}': ${state.volume}`)
+        .join(', ') + '},');
+    
+    return `
+# Volumes worked out from the plate maps and transfers (μL)
+${warnings}VOLUMES_TO_PREPARE = {
+${requirements.join('\n')}
+}
+EXPECTED_WELL_VOLUMES = {
+${wells.join('\n')}
+}
+`;
+};
+
+// Design of experiments: the expanded runs become a module-level constant, and the protocol is
+// executed once per run with the run's factor values passed in as inputs
+PythonGenerator['doe_design'] = function(block) {
+    if (PythonGenerator.design_) {
+        throw new Error('Only one design of experiments block is supported per protocol');
+    }
+    const expanded = ExperimentDesign.expand(ExperimentDesign.fromBlock(block));
+    const constant = PythonGenerator.designConstant(expanded.name);
+    PythonGenerator.design_ = expanded;
+    
+    const runs = expanded.runs.map(run => '    {' + expanded.factors
+        .map(factor => `'${factor.name}': ${PythonGenerator.literal(run.values[factor.name])}`)
+        .join(', ') + '},');
+    const factors = expanded.factors.map(factor => `'${factor.name}'`);
+    const warnings = expanded.warnings.map(warning => `# WARNING: ${warning}\n`).join('');
+    
+    PythonGenerator.definitions_['doe_run_table'] = PythonGenerator.RUN_TABLE_HELPER;
+    PythonGenerator.definitions_[`doe_${constant}`] = `
+# Design of experiments ${expanded.name}: ${ExperimentDesign.describe(expanded)}
+${warnings}${constant}_FACTORS = [${factors.join(', ')}]
+${constant}_RUNS = [
+${runs.join('\n')}
+]
+`;
+    
+    return `protocol.set_variable('${expanded.name}_runs', ${constant}_RUNS)\n`;
+};
+
+// Factors are read by their design block
+PythonGenerator['doe_factor'] = function(block) {
+    return '';
+};
+
+PythonGenerator.designConstant = function(name) {
+    return String(name || 'design').replace(/[^A-Za-z0-9_]/g, '_').toUpperCase();
+};
+
+// Python literal for a level: numbers as they are, text quoted
+PythonGenerator.literal = function(value) {
+    return typeof value === 'number' ? String(value) : JSON.stringify(String(value));
+};
+
+PythonGenerator.RUN_TABLE_HELPER = `
+def print_run_table(runs, protocol, parameters):
+    # Every parameter for every run: factor values from the run, the rest as declared
+    columns = ['run'] + list(parameters)
+    rows = [[str(number)] + [str(run.get(name, protocol.get_variable(name))) for name in parameters]
+            for number, run in enumerate(runs, 1)]
+    widths = [max([len(column)] + [len(row[i]) for row in rows]) for i, column in enumerate(columns)]
+    print("  ".join(column.ljust(widths[i]) for i, column in enumerate(columns)))
+    print("  ".join("-" * width for width in widths))
+    for row in rows:
+        print("  ".join(value.ljust(widths[i]) for i, value in enumerate(row)))
+`;
+
+PythonGenerator.designMain = function(expanded) {
+    const constant = PythonGenerator.designConstant(expanded.name);
+    const parameters = expanded.factors.map(factor => factor.name);
+    PythonGenerator.parameters_.forEach(name => {
+        if (!parameters.includes(name)) parameters.push(name);
+    });
+    
+    return `
+# Generated protocol execution: one run per configuration of ${expanded.name}
+if __name__ == "__main__":
+    print(${JSON.stringify(`Design of experiments: ${expanded.name} (${ExperimentDesign.describe(expanded)})`)})
+    print_run_table(${constant}_RUNS, create_protocol(), [${parameters.map(name => `'${name}'`).join(', ')}])
+    
+    all_results = []
+    for number, run in enumerate(${constant}_RUNS, 1):
+        print(f"\\n=== Run {number}/{len(${constant}_RUNS)}: {run} ===")
+        protocol = create_protocol()
+        results = protocol.execute(**run)
+        all_results.append({'run': number, **run, **results})
+    
+    print("\\nResults by run:")
+    for result in all_results:
+        print(f"  {result}")
+`;
+};
+
 // Basic blocks (numbers, text, etc.)
 PythonGenerator['math_number'] = function(block) {
     const code = String(parseFloat(block.getFieldValue('NUM')));
     return [code, PythonGenerator.ORDER_ATOMIC];
 };
 
+// Quantities are emitted in the unit of the input they feed; without one they stay a string
+PythonGenerator['quantity'] = function(block) {
+    const resolved = Quantity.resolveBlock(block);
+    if (resolved.value !== undefined) {
+        return [String(resolved.value), PythonGenerator.ORDER_ATOMIC];
+    }
+    return [PythonGenerator.quote_(Quantity.format(resolved.quantity)), PythonGenerator.ORDER_ATOMIC];
+};
+
 PythonGenerator['text'] = function(block) {
     const code = PythonGenerator.quote_(block.getFieldValue('TEXT'));
     return [code, PythonGenerator.ORDER_ATOMIC];
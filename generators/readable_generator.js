@@ -2,6 +2,10 @@
 
 const ReadableGenerator = new Blockly.Generator('Readable');
 
+ReadableGenerator.ORDER_ATOMIC = 0;
+ReadableGenerator.ORDER_RELATIONAL = 11;
+ReadableGenerator.ORDER_NONE = 99;
+
 // Initialize generator
 ReadableGenerator.init = function(workspace) {
     ReadableGenerator.definitions_ = {};
@@ -11,6 +15,10 @@ ReadableGenerator.init = function(workspace) {
     ReadableGenerator.equipment = [];
     ReadableGenerator.reagents = [];
     ReadableGenerator.samples = [];
+    ReadableGenerator.parameters = [];
+    ReadableGenerator.design = null;
+    ReadableGenerator.labwareDefinitions = Labware.definitions(workspace);
+    ReadableGenerator.layout = Labware.simulate(workspace);
 };
 
 // Finish code generation
@@ -65,6 +73,16 @@ ReadableGenerator.finish = function(code) {
         }
     }
     
+    // Add plate maps and the volumes worked out from them
+    if (ReadableGenerator.layout.labware.length > 0) {
+        output += ReadableGenerator.layoutSection(ReadableGenerator.layout);
+    }
+    
+    // Add the run matrix and per-run parameters of a design of experiments
+    if (ReadableGenerator.design) {
+        output += ReadableGenerator.designSection(ReadableGenerator.design);
+    }
+    
     // Add procedure section
     output += "## PROCEDURE\n\n";
     output += code;
@@ -86,6 +104,15 @@ ReadableGenerator.finish = function(code) {
     return output;
 };
 
+// Follow the next connection so every step of a sequence is written out
+ReadableGenerator.scrub_ = function(block, code, thisOnly) {
+    const nextBlock = block.nextConnection && block.nextConnection.targetBlock();
+    if (nextBlock && !thisOnly) {
+        return code + ReadableGenerator.blockToCode(nextBlock);
+    }
+    return code;
+};
+
 // Variable blocks
 ReadableGenerator['sample_variable'] = function(block) {
     const name = block.getFieldValue('NAME');
@@ -145,15 +172,17 @@ ReadableGenerator['parameter_variable'] = function(block) {
     const name = block.getFieldValue('NAME');
     const value = ReadableGenerator.valueToCode(block, 'VALUE', ReadableGenerator.ORDER_NONE) || 'unspecified';
     const type = block.getFieldValue('TYPE');
-    const units = block.getFieldValue('UNITS') || '';
+    const units = block.getInputUnit('VALUE') || '';
     const description = block.getFieldValue('DESCRIPTION') || 'No description provided';
     
+    ReadableGenerator.parameters.push({ name: name, value: value, units: units });
+    
     return `Parameter ${name}: ${value} ${units} (${description})\n`;
 };
 
 ReadableGenerator['get_variable'] = function(block) {
     const varName = block.getFieldValue('VAR_NAME');
-    return [`${varName}`, ReadableGenerator.ORDER_ATOMIC];
+    return [Quantity.resolveVariable(block, `${varName}`, '×'), ReadableGenerator.ORDER_ATOMIC];
 };
 
 ReadableGenerator['set_variable'] = function(block) {
@@ -250,12 +279,28 @@ ReadableGenerator['transfer_step'] = function(block) {
     output += `**Transfer from:** ${source}\n`;
     output += `**Transfer to:** ${destination}\n`;
     output += `**Volume:** ${volume} μL\n`;
+    const perWell = ReadableGenerator.wellCounts(block, 'SOURCE', 'DESTINATION');
+    if (perWell) {
+        output += `**Wells:** ${perWell}\n`;
+    }
     output += `**Method:** ${method}\n`;
     output += `**Tip type:** ${tipType}\n\n`;
     
     return output;
 };
 
+// How many wells a transfer draws from and dispenses into, for locations on defined labware
+ReadableGenerator.wellCounts = function(block, sourceInput, destinationInput) {
+    const count = inputName => {
+        const wells = Labware.wellsOf(Labware.referenceOf(block, inputName), ReadableGenerator.labwareDefinitions);
+        return wells ? `${wells.length} well${wells.length === 1 ? '' : 's'}` : null;
+    };
+    const source = count(sourceInput);
+    const destination = count(destinationInput);
+    if (!source && !destination) return null;
+    return `${source || 'source'} → ${destination || 'destination'}`;
+};
+
 ReadableGenerator['centrifuge_step'] = function(block) {
     ReadableGenerator.stepCounter++;
     const sample = ReadableGenerator.valueToCode(block, 'SAMPLE', ReadableGenerator.ORDER_NONE) || 'sample';
@@ -308,6 +353,19 @@ ReadableGenerator['observation_step'] = function(block) {
     return output;
 };
 
+ReadableGenerator['wait_step'] = function(block) {
+    ReadableGenerator.stepCounter++;
+    const time = ReadableGenerator.valueToCode(block, 'TIME', ReadableGenerator.ORDER_NONE) || 'appropriate time';
+    const units = block.getFieldValue('TIME_UNITS').toLowerCase();
+    const reason = block.getFieldValue('REASON');
+    
+    let output = `### Step ${ReadableGenerator.stepCounter}: Wait\n\n`;
+    output += `**Duration:** ${time} ${units}\n`;
+    output += `**Reason:** ${reason}\n\n`;
+    
+    return output;
+};
+
 // Control flow blocks
 ReadableGenerator['controls_if'] = function(block) {
     let n = 0;
@@ -375,6 +433,223 @@ ReadableGenerator['protocol_definition'] = function(block) {
     return output;
 };
 
+ReadableGenerator['protocol_input'] = function(block) {
+    const name = block.getFieldValue('INPUT_NAME');
+    const type = block.getFieldValue('INPUT_TYPE').toLowerCase();
+    const required = block.getFieldValue('REQUIRED') === 'TRUE' ? 'required' : 'optional';
+    const defaultValue = ReadableGenerator.valueToCode(block, 'DEFAULT_VALUE', ReadableGenerator.ORDER_NONE);
+    const description = block.getFieldValue('DESCRIPTION');
+    
+    let output = `- **${name}** (${type}, ${required})`;
+    if (defaultValue) output += `, default ${defaultValue}`;
+    if (description) output += `: ${description}`;
+    
+    return output + "\n";
+};
+
+ReadableGenerator['protocol_output'] = function(block) {
+    const name = block.getFieldValue('OUTPUT_NAME');
+    const type = block.getFieldValue('OUTPUT_TYPE').toLowerCase();
+    const description = block.getFieldValue('DESCRIPTION');
+    
+    return `- **${name}** (${type})${description ? `: ${description}` : ''}\n`;
+};
+
+// Parameters are listed by the protocol_call they belong to
+ReadableGenerator['protocol_parameter'] = function(block) {
+    return '';
+};
+
+// Library protocols fetched before generating have their steps written out under the call;
+// otherwise the call refers the reader to the library protocol and version
+ReadableGenerator['protocol_call'] = function(block) {
+    ReadableGenerator.stepCounter++;
+    const protocolId = block.getFieldValue('LIBRARY_ID');
+    const version = block.getFieldValue('LIBRARY_VERSION');
+    const name = block.getFieldValue('PROTOCOL_NAME');
+    const resultVar = block.getFieldValue('RESULT_VAR');
+    
+    let output = `### Step ${ReadableGenerator.stepCounter}: Run protocol ${name}${version ? ` (v${version})` : ''}\n\n`;
+    
+    const parameters = [];
+    let parameter = block.getInputTargetBlock('PARAMETERS');
+    while (parameter) {
+        if (parameter.type === 'protocol_parameter') {
+            const value = ReadableGenerator.valueToCode(parameter, 'VALUE', ReadableGenerator.ORDER_NONE) || 'not set';
+            parameters.push(`- ${parameter.getFieldValue('NAME')}: ${value}`);
+        }
+        parameter = parameter.getNextBlock();
+    }
+    if (parameters.length > 0) {
+        output += `**Parameters:**\n${parameters.join('\n')}\n\n`;
+    }
+    
+    const steps = typeof protocolLibrary === 'undefined' ? null : protocolLibrary.withDefinition(protocolId,
+        definition => ReadableGenerator.statementToCode(definition, 'STEPS'));
+    if (steps) {
+        output += `**Sub-protocol steps:**\n\n${ReadableGenerator.prefixLines(steps, "  ")}\n`;
+    } else {
+        output += `*Follow library protocol ${name}${version ? ` v${version}` : ''}${protocolId && protocolId !== 'NONE' ? ` (${protocolId})` : ''}.*\n\n`;
+    }
+    
+    if (resultVar) {
+        output += `**Results recorded as:** ${resultVar}\n\n`;
+    }
+    
+    return output;
+};
+
+// Plate maps are drawn in the PLATE LAYOUT section; the block marks where the labware is set up
+ReadableGenerator['labware_definition'] = function(block) {
+    const format = Labware.getFormat(block.getFieldValue('FORMAT'));
+    return `Set up labware ${block.getFieldValue('NAME')} (${format ? format.label : 'unknown format'}) as shown under PLATE LAYOUT\n`;
+};
+
+ReadableGenerator['well_assignment'] = function(block) {
+    return '';
+};
+
+ReadableGenerator['well_reference'] = function(block) {
+    return [`${block.getFieldValue('LABWARE')} wells ${block.getFieldValue('WELLS')}`, ReadableGenerator.ORDER_ATOMIC];
+};
+
+// Plates up to 96 wells are drawn as a grid; larger ones are listed by content
+ReadableGenerator.MAX_GRID_WELLS = 96;
+
+ReadableGenerator.layoutSection = function(layout) {
+    let output = "## PLATE LAYOUT\n\n";
+    
+    layout.labware.forEach(labware => {
+        const format = labware.format;
+        const byWell = new Map(labware.wells.map(state => [state.well, state]));
+        output += `### ${labware.name} (${format.label}):\n\n`;
+        
+        if (format.rows * format.columns <= ReadableGenerator.MAX_GRID_WELLS) {
+            const columns = Array.from({ length: format.columns }, (_, column) => String(column + 1));
+            output += ReadableGenerator.markdownTable([''].concat(columns),
+                Array.from({ length: format.rows }, (_, row) => [`**${Labware.rowName(row)}**`].concat(columns.map((_, column) => {
+                    const state = byWell.get(Labware.wellName(row, column));
+                    return state && state.content ? state.content : '';
+                }))));
+            output += "\n";
+        }
+        
+        // Wells grouped by what they hold and how much is loaded before the run
+        const groups = new Map();
+        labware.wells.filter(state => state.content).forEach(state => {
+            const key = `${state.role}\u0000${state.content}\u0000${state.initialVolume}`;
+            if (!groups.has(key)) groups.set(key, { ...state, wells: [] });
+            groups.get(key).wells.push(state.well);
+        });
+        groups.forEach(group => {
+            output += `- **${group.content}** (${group.role.toLowerCase()}): ${Labware.compressWells(group.wells, format)}`;
+            output += group.initialVolume > 0 ? `, ${group.initialVolume} μL loaded per well\n` : ', filled by transfers\n';
+        });
+        
+        // Volumes each well ends the protocol with, grouped into ranges of equal volume
+        const volumes = new Map();
+        labware.wells.filter(state => state.volume > 0).forEach(state => {
+            if (!volumes.has(state.volume)) volumes.set(state.volume, []);
+            volumes.get(state.volume).push(state.well);
+        });
+        if (volumes.size > 0) {
+            output += "\n**Final well volumes:**\n";
+            volumes.forEach((wells, volume) => {
+                output += `- ${Labware.compressWells(wells, format)}: ${volume} μL\n`;
+            });
+        }
+        output += "\n";
+    });
+    
+    if (layout.requirements.length > 0) {
+        output += "### Volumes to Prepare:\n\n";
+        output += ReadableGenerator.markdownTable(['Content', 'Volume drawn (μL)', 'Drawn from'],
+            layout.requirements.map(requirement => [requirement.content, requirement.volume, requirement.wells.join(', ')]));
+        output += "\n";
+    }
+    
+    if (layout.issues.length > 0) {
+        output += "### Layout Issues:\n";
+        layout.issues.forEach(issue => {
+            output += `- ${issue.severity === 'error' ? '**Error:**' : '**Warning:**'} ${issue.message}\n`;
+        });
+        output += "\n";
+    }
+    
+    return output;
+};
+
+// The runs of a design are tabulated before the procedure; the block itself tells the
+// reader to repeat the procedure once per run
+ReadableGenerator['doe_design'] = function(block) {
+    if (ReadableGenerator.design) {
+        throw new Error('Only one design of experiments block is supported per protocol');
+    }
+    const expanded = ExperimentDesign.expand(ExperimentDesign.fromBlock(block));
+    ReadableGenerator.design = expanded;
+    
+    return `**Design of experiments ${expanded.name}:** repeat this protocol for each of the ` +
+        `${expanded.runs.length} runs under DESIGN OF EXPERIMENTS, using that run's parameter values\n\n`;
+};
+
+// Factors are read by their design block
+ReadableGenerator['doe_factor'] = function(block) {
+    return '';
+};
+
+ReadableGenerator.CODED_LEVELS = {
+    FULL: 'Coded values are level numbers, in the order the levels are listed.',
+    FRACTIONAL: 'Coded values: − is a factor\'s first (low) level, + its last (high) level.',
+    LHS: 'Coded values are the stratum of each factor\'s range sampled, from 1 (lowest) to the number of runs.'
+};
+
+ReadableGenerator.markdownTable = function(headings, rows) {
+    let table = `| ${headings.join(' | ')} |\n`;
+    table += `|${headings.map(() => '---').join('|')}|\n`;
+    rows.forEach(row => {
+        table += `| ${row.join(' | ')} |\n`;
+    });
+    return table;
+};
+
+ReadableGenerator.designSection = function(expanded) {
+    let output = "## DESIGN OF EXPERIMENTS\n\n";
+    output += `**Design:** ${expanded.name} (${ExperimentDesign.describe(expanded)})\n\n`;
+    
+    output += "### Factors:\n";
+    expanded.factors.forEach(factor => {
+        output += `- **${factor.name}**${factor.units ? ` (${factor.units})` : ''}: ${factor.levels.join(', ')}\n`;
+    });
+    output += "\n";
+    
+    expanded.warnings.forEach(warning => {
+        output += `> **Note:** ${warning}\n`;
+    });
+    if (expanded.warnings.length > 0) output += "\n";
+    
+    const coded = value => (expanded.design === 'FRACTIONAL' ? (value < 0 ? '−' : '+') : value);
+    output += "### Run Matrix:\n\n";
+    output += ReadableGenerator.markdownTable(
+        ['Run'].concat(expanded.factors.map(factor => factor.name)),
+        expanded.runs.map(run => [run.number].concat(expanded.factors.map(factor => coded(run.coded[factor.name])))));
+    output += `\n*${ReadableGenerator.CODED_LEVELS[expanded.design]}*\n\n`;
+    
+    // Parameters that are not swept keep the value they were declared with in every run
+    const fixed = ReadableGenerator.parameters
+        .filter(parameter => !expanded.factors.some(factor => factor.name === parameter.name));
+    output += "### Parameters per Run:\n\n";
+    output += ReadableGenerator.markdownTable(
+        ['Run']
+            .concat(expanded.factors.map(factor => ExperimentDesign.heading(factor.name, factor.units)))
+            .concat(fixed.map(parameter => ExperimentDesign.heading(parameter.name, parameter.units))),
+        expanded.runs.map(run => [run.number]
+            .concat(expanded.factors.map(factor => run.values[factor.name]))
+            .concat(fixed.map(parameter => parameter.value))));
+    output += "\n";
+    
+    return output;
+};
+
 ReadableGenerator['protocol_sequence'] = function(block) {
     ReadableGenerator.sectionCounter++;
     const name = block.getFieldValue('NAME');
@@ -417,6 +692,14 @@ ReadableGenerator['math_number'] = function(block) {
     return [code, ReadableGenerator.ORDER_ATOMIC];
 };
 
+ReadableGenerator['quantity'] = function(block) {
+    const resolved = Quantity.resolveBlock(block);
+    if (resolved.value !== undefined) {
+        return [String(resolved.value), ReadableGenerator.ORDER_ATOMIC];
+    }
+    return [Quantity.format(resolved.quantity), ReadableGenerator.ORDER_ATOMIC];
+};
+
 ReadableGenerator['text'] = function(block) {
     const code = block.getFieldValue('TEXT');
     return [code, ReadableGenerator.ORDER_ATOMIC];
@@ -442,4 +725,9 @@ ReadableGenerator['logic_compare'] = function(block) {
     const argument1 = ReadableGenerator.valueToCode(block, 'B', order) || '0';
     const code = argument0 + ' ' + operator + ' ' + argument1;
     return [code, order];
-};
\ No newline at end of file
+};
+
+// Allow the generator to be loaded in Node against a headless Blockly for round-trip tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReadableGenerator;
+}
@@ -112,6 +112,10 @@ ReadableGenerator['liquid_handler'] = function(block) {
     output += `**Destination plate:** ${destPlate}\n`;
     output += `**Tip type:** ${tipType}\n`;
     output += `**Volume mapping:** ${volumeMap}\n`;
+    const perWell = ReadableGenerator.wellCounts(block, 'SOURCE_PLATE', 'DEST_PLATE');
+    if (perWell) {
+        output += `**Wells:** ${perWell}\n`;
+    }
     output += `**Aspiration speed:** ${aspSpeed}\n`;
     if (mixEnable) {
         output += `**Mixing:** Enabled (${mixCycles} cycles)\n`;
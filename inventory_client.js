@@ -0,0 +1,79 @@
+// Inventory client - reagent and consumable stock from the backend inventory API
+
+class InventoryClient {
+    constructor() {
+        this.items = [];
+        this.loadCachedItems();
+    }
+
+    // API base URL, overridable for deployments that do not use the default port
+    getApiUrl() {
+        return localStorage.getItem('protocolBuilder_apiUrl') || 'http://localhost:3081/api';
+    }
+
+    // Token saved by the React app's persisted auth store, if the user is logged in there
+    getAuthToken() {
+        try {
+            const stored = JSON.parse(localStorage.getItem('auth-storage') || '{}');
+            return stored.state && stored.state.token ? stored.state.token : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async request(path, options = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        const token = this.getAuthToken();
+        if (token) headers['Authorization'] = `Bearer ${token}`;
+
+        const response = await fetch(this.getApiUrl() + path, { ...options, headers });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `Inventory request failed (${response.status})`);
+        }
+        return data;
+    }
+
+    // Fetch reagents and keep them for the block picker; falls back to the cached list offline
+    async refresh() {
+        try {
+            const data = await this.request('/inventory?category=reagent&limit=200');
+            this.items = data.items || [];
+            localStorage.setItem('protocolBuilder_inventory', JSON.stringify(this.items));
+        } catch (error) {
+            console.warn('Using cached inventory:', error.message);
+        }
+        return this.items;
+    }
+
+    loadCachedItems() {
+        try {
+            this.items = JSON.parse(localStorage.getItem('protocolBuilder_inventory') || '[]');
+        } catch (error) {
+            this.items = [];
+        }
+    }
+
+    getItems() {
+        return this.items;
+    }
+
+    findItem(id) {
+        return this.items.find(item => item.id === id) || null;
+    }
+
+    // Label shown in the picker, e.g. "Tris-HCl 1 M (120 mL, exp 2026-03-01)"
+    describeItem(item) {
+        const details = [];
+        if (item.quantityOnHand !== undefined && item.quantityOnHand !== null) {
+            details.push(`${item.quantityOnHand} ${item.unit}`);
+        }
+        if (item.nextExpiry) {
+            details.push(`exp ${String(item.nextExpiry).slice(0, 10)}`);
+        }
+        return details.length > 0 ? `${item.name} (${details.join(', ')})` : item.name;
+    }
+}
+
+// Create global inventory client instance
+window.inventoryClient = new InventoryClient();
@@ -0,0 +1,418 @@
+// Labware model: plates, tube racks and reservoirs with named wells. A labware_definition block
+// lays out what each well holds (samples, controls, standards, blanks, reagents), transfers
+// reference wells as "labware:A1", "labware:A1,B1" or "labware:A1-H1", and simulate() follows
+// the transfers in order to work out volumes and flag wells that are double-booked, drawn from
+// before anything is put in them, or laid out but never filled.
+
+// Well names and layouts shared with the backend: a global when the pages load wells.js before
+// this file, required from Node scripts and tests
+const LABWARE_WELLS = typeof Wells !== 'undefined'
+    ? Wells
+    : require('./scientific-protocol-builder/backend/src/utils/wells');
+
+const Labware = {
+    // Plates the Hamilton STAR handles, by well count (its plateFormats in instrument_manager.js)
+    DEFAULT_PLATE_FORMATS: [96, 384, 1536],
+
+    // Working volume of a well (μL) and the OT-2 labware loaded for each plate size
+    PLATES: {
+        96: { wellVolume: 360, loadName: 'corning_96_wellplate_360ul_flat' },
+        384: { wellVolume: 112, loadName: 'corning_384_wellplate_112ul_flat' },
+        1536: { wellVolume: 12.5, loadName: null }
+    },
+
+    // Working volume (μL) and OT-2 labware of the racks and reservoirs, laid out as in wells.js
+    RACKS: {
+        TUBE_RACK_24: { kind: 'tube_rack', wellVolume: 1500,
+            loadName: 'opentrons_24_tuberack_eppendorf_1.5ml_safelock_snapcap' },
+        TUBE_RACK_15: { kind: 'tube_rack', wellVolume: 15000, loadName: 'opentrons_15_tuberack_falcon_15ml_conical' },
+        RESERVOIR_12: { kind: 'reservoir', wellVolume: 15000, loadName: 'nest_12_reservoir_15ml' },
+        RESERVOIR_1: { kind: 'reservoir', wellVolume: 195000, loadName: 'nest_1_reservoir_195ml' }
+    },
+
+    // Colour of each well role in the plate map and on the OT-2 deck view
+    ROLE_COLOURS: {
+        SAMPLE: '#5ba5db',
+        CONTROL: '#e67e22',
+        STANDARD: '#27ae60',
+        BLANK: '#bdc3c7',
+        REAGENT: '#9b59b6'
+    },
+
+    // Issues that make the layout unrunnable; the rest are warnings
+    ERROR_ISSUES: ['invalid_wells', 'duplicate_assignment', 'unfilled_source', 'well_count_mismatch'],
+
+    // Plate sizes of the Hamilton STAR as registered with the instrument manager, when it is loaded
+    plateFormats: function() {
+        const manager = typeof window !== 'undefined' ? window.instrumentManager : null;
+        const config = manager && manager.getInstrumentConfig('liquid_handler', 'Hamilton STAR');
+        return config && Array.isArray(config.plateFormats) ? config.plateFormats : this.DEFAULT_PLATE_FORMATS;
+    },
+
+    // Every labware format by id; plates are laid out 2:3, e.g. 96 wells as 8 rows of 12
+    formats: function() {
+        const formats = {};
+        this.plateFormats().forEach(wells => {
+            const plate = this.PLATES[wells] || {};
+            formats[`PLATE_${wells}`] = {
+                ...LABWARE_WELLS.plateLayout(wells),
+                kind: 'plate',
+                wellVolume: plate.wellVolume || null,
+                loadName: plate.loadName || null
+            };
+        });
+        Object.entries(this.RACKS).forEach(([id, rack]) => {
+            formats[id] = { ...LABWARE_WELLS.RACKS[id], ...rack };
+        });
+        return formats;
+    },
+
+    getFormat: function(id) {
+        const format = this.formats()[id];
+        return format ? { id: id, ...format } : null;
+    },
+
+    formatOptions: function() {
+        return Object.entries(this.formats()).map(([id, format]) => [format.label, id]);
+    },
+
+    // Rows run A-Z, then AA-AF on 1536-well plates
+    rowName: function(index) {
+        return LABWARE_WELLS.rowName(index);
+    },
+
+    wellName: function(row, column) {
+        return `${this.rowName(row)}${column + 1}`;
+    },
+
+    parseWell: function(well, format) {
+        return LABWARE_WELLS.parseWell(well, format);
+    },
+
+    // Position of a well when wells are taken down each column, then across
+    wellIndex: function(well, format) {
+        const position = this.parseWell(well, format);
+        return position.column * format.rows + position.row;
+    },
+
+    allWells: function(format) {
+        const wells = [];
+        for (let column = 0; column < format.columns; column++) {
+            for (let row = 0; row < format.rows; row++) {
+                wells.push(this.wellName(row, column));
+            }
+        }
+        return wells;
+    },
+
+    // Expand "A1", "A1,B1", "A1-H1" (down each column, then across) or "*" into well names
+    expandWells: function(spec, format) {
+        if (String(spec).trim() === '*') return this.allWells(format);
+        return LABWARE_WELLS.expandWells(spec, format);
+    },
+
+    // Shortest well spec for a set of wells, joining neighbours down the columns into ranges
+    compressWells: function(wells, format) {
+        const indexes = [...new Set(wells.map(well => this.wellIndex(well, format)))].sort((a, b) => a - b);
+        const all = this.allWells(format);
+        const parts = [];
+        indexes.forEach((index, i) => {
+            if (i > 0 && index === indexes[i - 1] + 1) {
+                parts[parts.length - 1].end = index;
+            } else {
+                parts.push({ start: index, end: index });
+            }
+        });
+        return parts.map(part => (part.start === part.end ? all[part.start] : `${all[part.start]}-${all[part.end]}`)).join(',');
+    },
+
+    // "plate1:A1-A3" as { labware: 'plate1', wells: 'A1-A3' }; wells is null without a colon
+    parseReference: function(text) {
+        return LABWARE_WELLS.parseReference(text);
+    },
+
+    // Source and destination of each movement: well to well, one to many, or many to one;
+    // null when the counts do not match up
+    pairWells: function(sources, destinations) {
+        return LABWARE_WELLS.pairWells(sources, destinations);
+    },
+
+    // Labware and wells a SOURCE/DESTINATION style input refers to, or null
+    referenceOf: function(block, inputName) {
+        const target = block.getInputTargetBlock(inputName);
+        if (!target) return null;
+        if (target.type === 'well_reference') {
+            return { labware: target.getFieldValue('LABWARE'), wells: target.getFieldValue('WELLS') || null };
+        }
+        if (target.type === 'text') return this.parseReference(target.getFieldValue('TEXT'));
+        if (target.type === 'get_variable') return { labware: target.getFieldValue('VAR_NAME'), wells: null };
+        if (target.getField && target.getField('NAME')) return { labware: target.getFieldValue('NAME'), wells: null };
+        return null;
+    },
+
+    // Well names of a reference to defined labware, or null when they cannot be resolved
+    wellsOf: function(reference, definitions) {
+        const definition = reference && definitions[reference.labware];
+        if (!definition || !definition.format || !reference.wells) return null;
+        try {
+            return this.expandWells(reference.wells, definition.format);
+        } catch (error) {
+            return null;
+        }
+    },
+
+    // Volume in μL when an input is a constant; a text list gives one volume per well
+    constantVolumes: function(block, inputName) {
+        const target = block.getInputTargetBlock(inputName);
+        if (!target) return null;
+        if (target.type === 'math_number') return [parseFloat(target.getFieldValue('NUM'))];
+        if (target.type === 'quantity' && typeof Quantity !== 'undefined') {
+            const resolved = Quantity.resolveBlock(target);
+            if (resolved.value !== undefined) return [resolved.value];
+            try {
+                return [Quantity.convert(resolved.quantity, 'μL')];
+            } catch (error) {
+                return null;
+            }
+        }
+        if (target.type === 'text') {
+            const volumes = target.getFieldValue('TEXT').split(',').map(volume => parseFloat(volume));
+            return volumes.length > 0 && volumes.every(volume => !isNaN(volume)) ? volumes : null;
+        }
+        return null;
+    },
+
+    // labware_definition blocks by name, with their well assignments
+    definitions: function(workspace) {
+        const definitions = {};
+        if (!workspace) return definitions;
+        workspace.getBlocksByType('labware_definition', true).forEach(block => {
+            const name = block.getFieldValue('NAME');
+            if (definitions[name]) return;
+            const format = this.getFormat(block.getFieldValue('FORMAT'));
+            const assignments = [];
+            let assignment = block.getInputTargetBlock('CONTENTS');
+            while (assignment) {
+                if (assignment.type === 'well_assignment') {
+                    assignments.push({
+                        blockId: assignment.id,
+                        spec: assignment.getFieldValue('WELLS'),
+                        role: assignment.getFieldValue('ROLE'),
+                        content: assignment.getFieldValue('CONTENT'),
+                        volume: Number(assignment.getFieldValue('VOLUME')) || 0
+                    });
+                }
+                assignment = assignment.getNextBlock();
+            }
+            definitions[name] = { name: name, blockId: block.id, format: format, assignments: assignments };
+        });
+        return definitions;
+    },
+
+    // Transfer steps in the order they run: each stack top to bottom, stacks in reading order
+    transferBlocks: function(workspace) {
+        return workspace.getTopBlocks(true)
+            .reduce((blocks, top) => blocks.concat(top.getDescendants(true)), [])
+            .filter(block => block.type === 'transfer_step' || block.type === 'liquid_handler');
+    },
+
+    /**
+     * Follow the plate maps and transfers of a workspace.
+     * Returns { labware: [{ name, format, wells: [{ well, role, content, initialVolume, volume,
+     * contents }] }], requirements: [{ content, volume, wells }], issues: [{ type, severity,
+     * blockId, message }] }. Only labware with a labware_definition is tracked; free-text
+     * locations are left alone.
+     */
+    simulate: function(workspace) {
+        const definitions = this.definitions(workspace);
+        const wells = {};
+        const issues = [];
+        const drawn = {};
+        const reported = new Set();
+        const flagged = new Set();
+        const add = (type, blockId, message) => issues.push({
+            type: type,
+            severity: this.ERROR_ISSUES.includes(type) ? 'error' : 'warning',
+            blockId: blockId,
+            message: message
+        });
+        const key = (labware, well) => `${labware}:${well}`;
+        const describe = state => `${state.well} of ${state.labware}`;
+
+        Object.values(definitions).forEach(definition => {
+            if (!definition.format) return;
+            definition.assignments.forEach(assignment => {
+                let assigned;
+                try {
+                    assigned = this.expandWells(assignment.spec, definition.format);
+                } catch (error) {
+                    add('invalid_wells', assignment.blockId, `${definition.name}: ${error.message}`);
+                    return;
+                }
+                assigned.forEach(well => {
+                    const existing = wells[key(definition.name, well)];
+                    if (existing) {
+                        add('duplicate_assignment', assignment.blockId,
+                            `Well ${well} of ${definition.name} is assigned twice (${existing.content} and ${assignment.content})`);
+                        return;
+                    }
+                    wells[key(definition.name, well)] = {
+                        labware: definition.name,
+                        well: well,
+                        role: assignment.role,
+                        content: assignment.content,
+                        initialVolume: assignment.volume,
+                        volume: assignment.volume,
+                        contents: assignment.volume > 0 ? [assignment.content] : [],
+                        arrivals: [],
+                        blockId: assignment.blockId
+                    };
+                    if (definition.format.wellVolume && assignment.volume > definition.format.wellVolume) {
+                        add('overfilled', assignment.blockId,
+                            `Well ${well} of ${definition.name} is loaded with ${assignment.volume} μL; it holds ${definition.format.wellVolume} μL`);
+                    }
+                });
+            });
+        });
+
+        // Wells a transfer location covers, or null when the labware is not defined here
+        const locate = (reference, blockId, fallback) => {
+            const definition = reference && definitions[reference.labware];
+            if (!definition || !definition.format) return null;
+            try {
+                const names = reference.wells ? this.expandWells(reference.wells, definition.format) : fallback(definition);
+                return names.map(well => wells[key(definition.name, well)] || (wells[key(definition.name, well)] = {
+                    labware: definition.name, well: well, role: null, content: null,
+                    initialVolume: 0, volume: 0, contents: [], arrivals: []
+                }));
+            } catch (error) {
+                add('invalid_wells', blockId, `${definition.name}: ${error.message}`);
+                return null;
+            }
+        };
+
+        (workspace ? this.transferBlocks(workspace) : []).forEach(block => {
+            const liquidHandler = block.type === 'liquid_handler';
+            const volumes = this.constantVolumes(block, liquidHandler ? 'VOLUME_MAP' : 'VOLUME');
+            // A liquid handler without wells works plate to plate through the source's filled wells
+            const sourceReference = this.referenceOf(block, liquidHandler ? 'SOURCE_PLATE' : 'SOURCE');
+            let sources = locate(sourceReference, block.id,
+                definition => (liquidHandler
+                    ? this.allWells(definition.format).filter(well => (wells[key(definition.name, well)] || {}).volume > 0)
+                    : [this.allWells(definition.format)[0]]));
+            const destinations = locate(this.referenceOf(block, liquidHandler ? 'DEST_PLATE' : 'DESTINATION'), block.id,
+                definition => (liquidHandler && sources ? sources.map(source => source.well) : [this.allWells(definition.format)[0]]));
+            if (!sources) {
+                // Liquid from containers without a layout is named after the container
+                if (!destinations || !sourceReference) return;
+                sources = [{ labware: sourceReference.labware, well: sourceReference.wells, external: true,
+                    volume: Infinity, contents: [sourceReference.labware] }];
+            }
+
+            const pairs = destinations ? this.pairWells(sources, destinations) : sources.map(source => [source, null]);
+            if (!pairs) {
+                add('well_count_mismatch', block.id,
+                    `Transfer pairs ${sources.length} source wells with ${destinations.length} destination wells`);
+                return;
+            }
+
+            pairs.forEach(([source, destination], i) => {
+                const volume = volumes ? volumes[Math.min(i, volumes.length - 1)] : null;
+                const sourceKey = `${block.id}:${key(source.labware, source.well)}`;
+                if (source.external || flagged.has(sourceKey)) {
+                    // Containers without a layout are not checked; a source well is flagged once per step
+                } else if (source.contents.length === 0) {
+                    flagged.add(sourceKey);
+                    add('unfilled_source', block.id, `Transfer draws from ${describe(source)}, which is never filled before this step`);
+                } else if (volume !== null && source.volume < volume) {
+                    flagged.add(sourceKey);
+                    add('insufficient_volume', block.id,
+                        `${describe(source)} holds ${this.round(source.volume)} μL; the transfer takes ${volume} μL`);
+                }
+                if (volume !== null) {
+                    if (!source.external) source.volume = Math.max(0, source.volume - volume);
+                    source.contents.forEach(content => {
+                        drawn[content] = drawn[content] || { content: content, volume: 0, wells: new Set() };
+                        drawn[content].volume += volume / source.contents.length;
+                        drawn[content].wells.add(source.well ? `${source.labware}:${source.well}` : source.labware);
+                    });
+                }
+                if (!destination) return;
+
+                // A well laid out for, or already used by an earlier step for, one sample, control
+                // or standard must not receive another; pooling within a single step is intended
+                const tracked = contents => contents.filter(content => this.isTracked(content, wells));
+                const occupants = new Set(tracked((destination.content ? [destination.content] : [])
+                    .concat(destination.arrivals.filter(arrival => arrival.blockId !== block.id).map(arrival => arrival.content))));
+                const arriving = tracked(source.contents).filter(content => !occupants.has(content));
+                if (occupants.size > 0 && arriving.length > 0 && !reported.has(key(destination.labware, destination.well))) {
+                    reported.add(key(destination.labware, destination.well));
+                    add('reused_well', block.id,
+                        `${describe(destination)} is already used for ${[...occupants].join(', ')} and also receives ${arriving.join(', ')}`);
+                }
+                source.contents.forEach(content => {
+                    destination.arrivals.push({ content: content, blockId: block.id });
+                    if (!destination.contents.includes(content)) destination.contents.push(content);
+                });
+                if (volume !== null) {
+                    destination.volume += volume;
+                    const format = definitions[destination.labware].format;
+                    if (format.wellVolume && destination.volume > format.wellVolume) {
+                        add('overfilled', block.id,
+                            `${describe(destination)} reaches ${this.round(destination.volume)} μL; it holds ${format.wellVolume} μL`);
+                    }
+                }
+            });
+        });
+
+        // Wells laid out for a content that no transfer ever fills, one issue per assignment
+        const unfilled = new Map();
+        Object.values(wells)
+            .filter(state => state.content && state.contents.length === 0)
+            .forEach(state => {
+                if (!unfilled.has(state.blockId)) unfilled.set(state.blockId, { state: state, wells: [] });
+                unfilled.get(state.blockId).wells.push(state.well);
+            });
+        unfilled.forEach(({ state, wells: empty }, blockId) => add('unfilled_well', blockId,
+            `${describe({ labware: state.labware, well: this.compressWells(empty, definitions[state.labware].format) })} ` +
+            `is laid out for ${state.content} but never filled`));
+
+        return {
+            labware: Object.values(definitions).filter(definition => definition.format).map(definition => ({
+                name: definition.name,
+                format: definition.format,
+                wells: this.allWells(definition.format)
+                    .map(well => wells[key(definition.name, well)])
+                    .filter(state => state)
+                    .map(state => ({
+                        well: state.well,
+                        role: state.role,
+                        content: state.content,
+                        initialVolume: state.initialVolume,
+                        volume: this.round(state.volume),
+                        contents: state.contents
+                    }))
+            })),
+            requirements: Object.values(drawn).map(requirement => ({
+                content: requirement.content,
+                volume: this.round(requirement.volume),
+                wells: [...requirement.wells]
+            })),
+            issues: issues
+        };
+    },
+
+    // Samples, controls, standards and blanks are tracked per well; reagents are added freely
+    isTracked: function(content, wells) {
+        return Object.values(wells).some(state => state.content === content && state.role && state.role !== 'REAGENT');
+    },
+
+    round: function(volume) {
+        return Math.round(volume * 1000) / 1000;
+    }
+};
+
+// Allow layouts to be checked from Node scripts and tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Labware;
+}
@@ -14,10 +14,22 @@ const toolbox = {
                 {"kind": "block", "type": "reagent_variable"},
                 {"kind": "block", "type": "equipment_variable"},
                 {"kind": "block", "type": "parameter_variable"},
+                {"kind": "block", "type": "doe_design"},
+                {"kind": "block", "type": "doe_factor"},
                 {"kind": "block", "type": "get_variable"},
                 {"kind": "block", "type": "set_variable"}
             ]
         },
+        {
+            "kind": "category",
+            "name": "Labware & Plate Maps",
+            "colour": "#5ba58c",
+            "contents": [
+                {"kind": "block", "type": "labware_definition"},
+                {"kind": "block", "type": "well_assignment"},
+                {"kind": "block", "type": "well_reference"}
+            ]
+        },
         {
             "kind": "category",
             "name": "Basic Experiment Steps",
@@ -73,6 +85,7 @@ const toolbox = {
                 {"kind": "block", "type": "logic_negate"},
                 {"kind": "block", "type": "logic_boolean"},
                 {"kind": "block", "type": "math_number"},
+                {"kind": "block", "type": "quantity"},
                 {"kind": "block", "type": "math_arithmetic"},
                 {"kind": "block", "type": "text"}
             ]
@@ -84,6 +97,7 @@ const toolbox = {
             "contents": [
                 {"kind": "block", "type": "protocol_definition"},
                 {"kind": "block", "type": "protocol_call"},
+                {"kind": "block", "type": "protocol_parameter"},
                 {"kind": "block", "type": "protocol_input"},
                 {"kind": "block", "type": "protocol_output"}
             ]
@@ -113,6 +127,16 @@ document.addEventListener('DOMContentLoaded', function() {
         sounds: false
     });
     
+    // Load reagents for the inventory picker on reagent blocks
+    if (window.inventoryClient) {
+        inventoryClient.refresh();
+    }
+    
+    // Load library protocols for the picker on protocol call blocks
+    if (window.protocolLibrary) {
+        protocolLibrary.refresh();
+    }
+    
     // Add change listener for real-time updates
     workspace.addChangeListener(function(event) {
         if (event.type === Blockly.Events.BLOCK_CHANGE || 
@@ -126,9 +150,17 @@ document.addEventListener('DOMContentLoaded', function() {
     });
 });
 
+// Fetch the library protocols the workspace calls, so the generators can inline them
+async function prefetchCalledProtocols() {
+    if (window.protocolLibrary) {
+        await protocolLibrary.prefetch(workspace);
+    }
+}
+
 // Generate readable format
-function generateReadableFormat() {
+async function generateReadableFormat() {
     try {
+        await prefetchCalledProtocols();
         const code = ReadableGenerator.workspaceToCode(workspace);
         displayOutput('Readable Protocol', code);
     } catch (error) {
@@ -137,8 +169,9 @@ function generateReadableFormat() {
 }
 
 // Generate Python code
-function generatePythonCode() {
+async function generatePythonCode() {
     try {
+        await prefetchCalledProtocols();
         const code = PythonGenerator.workspaceToCode(workspace);
         displayOutput('Python Code', code);
     } catch (error) {
@@ -146,6 +179,17 @@ function generatePythonCode() {
     }
 }
 
+// Generate Opentrons protocol
+async function generateOpentronsCode() {
+    try {
+        await prefetchCalledProtocols();
+        const code = OpentronsGenerator.workspaceToCode(workspace);
+        displayOutput('Opentrons Protocol', code);
+    } catch (error) {
+        displayError('Error generating Opentrons protocol: ' + error.message);
+    }
+}
+
 // Analyze protocol inputs/outputs
 function analyzeProtocol() {
     try {
@@ -218,6 +262,25 @@ function displayAnalysis(analysis) {
         html += '</ul>';
     }
     
+    // Labware volumes
+    if (analysis.labware) {
+        html += '<h5>Labware:</h5>';
+        html += '<ul class="variable-list">';
+        analysis.labware.labware.forEach(labware => {
+            const filled = labware.wells.filter(state => state.volume > 0).length;
+            html += `<li><strong>${labware.name}</strong> (${labware.format.label}): ` +
+                `${labware.wells.length} wells used, ${filled} holding liquid at the end</li>`;
+        });
+        html += '</ul>';
+        if (analysis.labware.requirements.length > 0) {
+            html += '<p>Volumes to prepare:</p><ul>';
+            analysis.labware.requirements.forEach(requirement => {
+                html += `<li>${requirement.content}: ${requirement.volume} μL</li>`;
+            });
+            html += '</ul>';
+        }
+    }
+    
     // Warnings
     if (analysis.warnings.length > 0) {
         html += '<h5>Warnings:</h5>';
@@ -309,6 +372,36 @@ function loadProtocol() {
     }
 }
 
+// Import a written SOP (Markdown or plain text) into the workspace
+function importMarkdownProtocol() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.md,.markdown,.txt';
+    
+    input.onchange = () => {
+        const file = input.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const result = MarkdownProtocolParser.parse(reader.result);
+                const xml = Blockly.Xml.textToDom(result.xml);
+                Blockly.Xml.clearWorkspaceAndLoadFromXml(xml, workspace);
+                
+                if (result.warnings.length > 0) {
+                    displayOutput('Import Warnings', result.warnings.join('\n'));
+                }
+            } catch (error) {
+                displayError('Error importing protocol: ' + error.message);
+            }
+        };
+        reader.readAsText(file);
+    };
+    
+    input.click();
+}
+
 // Clear workspace
 function clearWorkspace() {
     if (confirm('Are you sure you want to clear the workspace?')) {
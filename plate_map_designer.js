@@ -0,0 +1,227 @@
+// Visual plate map for labware_definition blocks: select wells on a grid (drag for a block of
+// wells, click a row or column heading for the whole line) and assign them a role, a content and
+// a loaded volume. Saving rewrites the block's well_assignment blocks, grouped into well ranges.
+
+const PlateMapDesigner = {
+    block: null,
+    format: null,
+    wells: new Map(),      // well -> { role, content, volume }
+    selection: new Set(),
+    dragStart: null,
+
+    open: function(block) {
+        this.block = block;
+        this.format = Labware.getFormat(block.getFieldValue('FORMAT'));
+        this.wells = new Map();
+        this.selection = new Set();
+
+        let assignment = block.getInputTargetBlock('CONTENTS');
+        while (assignment) {
+            if (assignment.type === 'well_assignment') {
+                const contents = {
+                    role: assignment.getFieldValue('ROLE'),
+                    content: assignment.getFieldValue('CONTENT'),
+                    volume: Number(assignment.getFieldValue('VOLUME')) || 0
+                };
+                try {
+                    Labware.expandWells(assignment.getFieldValue('WELLS'), this.format)
+                        .forEach(well => this.wells.set(well, contents));
+                } catch (error) {
+                    // Wells that are not on this labware are dropped when the map is saved
+                }
+            }
+            assignment = assignment.getNextBlock();
+        }
+
+        document.getElementById('plateMapTitle').textContent =
+            `Plate map: ${block.getFieldValue('NAME')} (${this.format.label})`;
+        document.getElementById('plateMapModal').style.display = 'flex';
+        this.render();
+    },
+
+    close: function() {
+        document.getElementById('plateMapModal').style.display = 'none';
+        this.block = null;
+    },
+
+    render: function() {
+        const grid = document.getElementById('plateMapGrid');
+        const compact = this.format.rows * this.format.columns > 96;
+        grid.innerHTML = '';
+        grid.className = compact ? 'plate-map-grid compact' : 'plate-map-grid';
+        grid.style.gridTemplateColumns = `auto repeat(${this.format.columns}, 1fr)`;
+
+        grid.appendChild(this.heading('', () => this.select(Labware.allWells(this.format))));
+        for (let column = 0; column < this.format.columns; column++) {
+            grid.appendChild(this.heading(String(column + 1), () => this.select(
+                Array.from({ length: this.format.rows }, (_, row) => Labware.wellName(row, column)))));
+        }
+
+        for (let row = 0; row < this.format.rows; row++) {
+            grid.appendChild(this.heading(Labware.rowName(row), () => this.select(
+                Array.from({ length: this.format.columns }, (_, column) => Labware.wellName(row, column)))));
+            for (let column = 0; column < this.format.columns; column++) {
+                grid.appendChild(this.cell(Labware.wellName(row, column), row, column, compact));
+            }
+        }
+
+        this.renderSelection();
+        this.renderLegend();
+    },
+
+    heading: function(text, onClick) {
+        const heading = document.createElement('div');
+        heading.className = 'plate-map-heading';
+        heading.textContent = text;
+        heading.onclick = onClick;
+        return heading;
+    },
+
+    cell: function(well, row, column, compact) {
+        const cell = document.createElement('div');
+        const contents = this.wells.get(well);
+        cell.className = 'plate-map-well';
+        cell.dataset.well = well;
+        cell.title = contents
+            ? `${well}: ${contents.content} (${contents.role.toLowerCase()}${contents.volume ? `, ${contents.volume} μL` : ''})`
+            : well;
+        if (contents) {
+            cell.style.backgroundColor = Labware.ROLE_COLOURS[contents.role];
+            if (!compact) cell.textContent = contents.content.slice(0, 4);
+        }
+
+        cell.onmousedown = event => {
+            this.dragStart = { row, column, extend: event.shiftKey || event.ctrlKey || event.metaKey };
+            this.selectRectangle(row, column);
+            event.preventDefault();
+        };
+        cell.onmouseenter = () => {
+            if (this.dragStart) this.selectRectangle(row, column);
+        };
+        cell.onmouseup = () => {
+            this.dragStart = null;
+        };
+        return cell;
+    },
+
+    // Wells between where the drag started and the current cell; shift or ctrl adds to the selection
+    selectRectangle: function(row, column) {
+        const start = this.dragStart;
+        if (!start.extend) this.selection.clear();
+        if (!start.base) start.base = new Set(this.selection);
+        this.selection = new Set(start.base);
+        for (let r = Math.min(start.row, row); r <= Math.max(start.row, row); r++) {
+            for (let c = Math.min(start.column, column); c <= Math.max(start.column, column); c++) {
+                this.selection.add(Labware.wellName(r, c));
+            }
+        }
+        this.renderSelection();
+    },
+
+    select: function(wells) {
+        this.selection = new Set(wells);
+        this.renderSelection();
+    },
+
+    renderSelection: function() {
+        document.querySelectorAll('#plateMapGrid .plate-map-well').forEach(cell => {
+            cell.classList.toggle('selected', this.selection.has(cell.dataset.well));
+        });
+        document.getElementById('plateMapSelection').textContent = this.selection.size > 0
+            ? `Selected: ${Labware.compressWells([...this.selection], this.format)}`
+            : 'Select wells on the plate';
+
+        // Prefill the form from a selection that all holds the same thing
+        const selected = [...this.selection].map(well => this.wells.get(well));
+        if (selected.length > 0 && selected[0] && selected.every(contents => contents === selected[0])) {
+            document.getElementById('plateMapRole').value = selected[0].role;
+            document.getElementById('plateMapContent').value = selected[0].content;
+            document.getElementById('plateMapVolume').value = selected[0].volume;
+        }
+    },
+
+    renderLegend: function() {
+        const contents = new Map();
+        this.wells.forEach((value, well) => {
+            const key = `${value.role}\u0000${value.content}`;
+            if (!contents.has(key)) contents.set(key, { ...value, wells: [] });
+            contents.get(key).wells.push(well);
+        });
+
+        const legend = document.getElementById('plateMapLegend');
+        legend.innerHTML = '';
+        contents.forEach(entry => {
+            const item = document.createElement('div');
+            const swatch = document.createElement('span');
+            swatch.className = 'plate-map-swatch';
+            swatch.style.backgroundColor = Labware.ROLE_COLOURS[entry.role];
+            item.appendChild(swatch);
+            item.appendChild(document.createTextNode(
+                `${entry.content} (${entry.role.toLowerCase()}): ${Labware.compressWells(entry.wells, this.format)}`));
+            legend.appendChild(item);
+        });
+    },
+
+    assign: function() {
+        const content = document.getElementById('plateMapContent').value.trim();
+        if (this.selection.size === 0 || !content) return;
+        const contents = {
+            role: document.getElementById('plateMapRole').value,
+            content: content,
+            volume: Math.max(0, Number(document.getElementById('plateMapVolume').value) || 0)
+        };
+        this.selection.forEach(well => this.wells.set(well, contents));
+        this.render();
+    },
+
+    clearSelection: function() {
+        this.selection.forEach(well => this.wells.delete(well));
+        this.render();
+    },
+
+    // Replace the block's well assignments with one block per role, content and volume
+    save: function() {
+        const block = this.block;
+        const workspace = block.workspace;
+        const groups = new Map();
+        Labware.allWells(this.format).forEach(well => {
+            const contents = this.wells.get(well);
+            if (!contents) return;
+            const key = `${contents.role}\u0000${contents.content}\u0000${contents.volume}`;
+            if (!groups.has(key)) groups.set(key, { ...contents, wells: [] });
+            groups.get(key).wells.push(well);
+        });
+
+        Blockly.Events.setGroup(true);
+        try {
+            let existing = block.getInputTargetBlock('CONTENTS');
+            while (existing) {
+                const next = existing.getNextBlock();
+                existing.dispose(false);
+                existing = next;
+            }
+
+            let connection = block.getInput('CONTENTS').connection;
+            groups.forEach(group => {
+                const assignment = workspace.newBlock('well_assignment');
+                assignment.setFieldValue(Labware.compressWells(group.wells, this.format), 'WELLS');
+                assignment.setFieldValue(group.role, 'ROLE');
+                assignment.setFieldValue(group.content, 'CONTENT');
+                assignment.setFieldValue(group.volume, 'VOLUME');
+                if (workspace.rendered) {
+                    assignment.initSvg();
+                    assignment.render();
+                }
+                connection.connect(assignment.previousConnection);
+                connection = assignment.nextConnection;
+            });
+        } finally {
+            Blockly.Events.setGroup(false);
+        }
+        this.close();
+    }
+};
+
+document.addEventListener('mouseup', () => {
+    PlateMapDesigner.dragStart = null;
+});
@@ -8,6 +8,7 @@ const ProtocolAnalyzer = {
             outputs: [],
             stepCount: 0,
             controlFlow: [],
+            labware: null,
             warnings: []
         };
         
@@ -27,6 +28,9 @@ const ProtocolAnalyzer = {
         // Check for potential issues
         this.checkForIssues(analysis, definedVariables, usedVariables);
         
+        // Follow plate maps and transfers to work out well volumes
+        this.analyzeLabware(workspace, analysis);
+        
         return analysis;
     },
     
@@ -283,6 +287,16 @@ const ProtocolAnalyzer = {
         });
     },
     
+    analyzeLabware: function(workspace, analysis) {
+        const layout = Labware.simulate(workspace);
+        if (layout.labware.length === 0) return;
+        
+        analysis.labware = layout;
+        layout.issues.forEach(issue => {
+            analysis.warnings.push(issue.message);
+        });
+    },
+    
     // Helper functions
     getFieldValueOrDefault: function(block, fieldName, defaultValue) {
         try {
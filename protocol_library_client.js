@@ -0,0 +1,148 @@
+// Protocol library client - saved protocols that protocol_call blocks can run
+
+class ProtocolLibraryClient {
+    constructor() {
+        this.entries = [];
+        // Called protocols fetched for code generation, by id
+        this.protocols = {};
+        // Protocols being inlined, innermost last, so a protocol calling itself is not expanded forever
+        this.inlining = [];
+        this.loadCachedEntries();
+    }
+
+    // API base URL, overridable for deployments that do not use the default port
+    getApiUrl() {
+        return localStorage.getItem('protocolBuilder_apiUrl') || 'http://localhost:3081/api';
+    }
+
+    // Token saved by the React app's persisted auth store, if the user is logged in there
+    getAuthToken() {
+        try {
+            const stored = JSON.parse(localStorage.getItem('auth-storage') || '{}');
+            return stored.state && stored.state.token ? stored.state.token : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async request(path, options = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        const token = this.getAuthToken();
+        if (token) headers['Authorization'] = `Bearer ${token}`;
+
+        const response = await fetch(this.getApiUrl() + path, { ...options, headers });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `Library request failed (${response.status})`);
+        }
+        return data;
+    }
+
+    // Fetch the library for the protocol_call picker; falls back to the cached list offline
+    async refresh() {
+        try {
+            const data = await this.request('/protocols/meta/library');
+            this.entries = data.library || [];
+            localStorage.setItem('protocolBuilder_library', JSON.stringify(this.entries));
+        } catch (error) {
+            console.warn('Using cached protocol library:', error.message);
+        }
+        return this.entries;
+    }
+
+    loadCachedEntries() {
+        try {
+            this.entries = JSON.parse(localStorage.getItem('protocolBuilder_library') || '[]');
+        } catch (error) {
+            this.entries = [];
+        }
+    }
+
+    getEntries() {
+        return this.entries;
+    }
+
+    findEntry(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+
+    // Label shown in the picker, e.g. "DNA extraction v1.2" or "Lysis v0.3 (draft)"
+    describeEntry(entry) {
+        const label = `${entry.name} v${entry.version}`;
+        return entry.status && entry.status !== 'approved' ? `${label} (${entry.status.replace('_', ' ')})` : label;
+    }
+
+    // Inputs and outputs for tooltips, e.g. " - inputs: sample, volume*; outputs: dna"
+    describeInterface(entry) {
+        if (!entry.interface) return '';
+        const inputs = entry.interface.inputs.map(input => input.required && !input.hasDefault ? `${input.name}*` : input.name);
+        const outputs = entry.interface.outputs.map(output => output.name);
+        return ` - inputs: ${inputs.join(', ') || 'none'}; outputs: ${outputs.join(', ') || 'none'}`;
+    }
+
+    /**
+     * Fetch every protocol the workspace calls, and the protocols those call, so the
+     * generators can inline them. Protocols that cannot be fetched are left to be imported.
+     */
+    async prefetch(workspace) {
+        const pending = workspace.getBlocksByType('protocol_call', false)
+            .map(block => block.getFieldValue('LIBRARY_ID'));
+
+        while (pending.length > 0) {
+            const id = pending.shift();
+            if (!id || id === 'NONE' || this.protocols[id] !== undefined) continue;
+
+            try {
+                const data = await this.request(`/protocols/${id}`);
+                this.protocols[id] = data.protocol;
+                pending.push(...this.findCalledIds(data.protocol.workspaceJson));
+            } catch (error) {
+                console.warn(`Library protocol ${id} not available:`, error.message);
+                this.protocols[id] = null;
+            }
+        }
+    }
+
+    // Library ids of the protocol_call blocks in a serialized workspace
+    findCalledIds(workspaceJson) {
+        const ids = [];
+        const visit = (value) => {
+            if (!value || typeof value !== 'object') return;
+            if (value.type === 'protocol_call' && value.fields && value.fields.LIBRARY_ID) {
+                ids.push(value.fields.LIBRARY_ID);
+            }
+            Object.values(value).forEach(visit);
+        };
+        visit(typeof workspaceJson === 'string' ? JSON.parse(workspaceJson) : workspaceJson);
+        return ids;
+    }
+
+    getProtocol(id) {
+        return this.protocols[id] || null;
+    }
+
+    /**
+     * Call back with the called protocol's definition block, loaded into a headless workspace
+     * for the generator to walk. Returns null when the protocol was not fetched, has no
+     * definition, or is already being inlined further up.
+     */
+    withDefinition(id, callback) {
+        const protocol = this.getProtocol(id);
+        if (!protocol || !protocol.workspaceJson || this.inlining.includes(id)) return null;
+
+        const headless = new Blockly.Workspace();
+        this.inlining.push(id);
+        try {
+            const json = typeof protocol.workspaceJson === 'string' ? JSON.parse(protocol.workspaceJson) : protocol.workspaceJson;
+            Blockly.serialization.workspaces.load(json, headless);
+            const definition = headless.getTopBlocks(true).find(block => block.type === 'protocol_definition');
+            return definition ? callback(definition, protocol) : null;
+        } finally {
+            this.inlining.pop();
+            headless.dispose();
+        }
+    }
+}
+
+// Create global protocol library client instance
+window.protocolLibrary = new ProtocolLibraryClient();
@@ -0,0 +1,852 @@
+// Markdown protocol parser - builds a workspace from a written SOP or ReadableGenerator output
+
+const MarkdownProtocolParser = {
+    // "### Step N: <title>" sections written by ReadableGenerator, keyed by title
+    stepFormats: {
+        'Preparation': {
+            type: 'preparation_step',
+            fields: {
+                'Prepare': { field: 'WHAT' },
+                'Method': { field: 'METHOD' },
+                'Materials': { input: 'MATERIALS', empty: 'standard materials' },
+                'Conditions': { input: 'CONDITIONS', empty: 'standard conditions' }
+            },
+            statement: 'SUBSTEPS'
+        },
+        'Mixing': {
+            type: 'mixing_step',
+            fields: {
+                'Mix': { field: 'COMPONENTS' },
+                'Volume': { input: 'VOLUME', unit: 'μL', empty: 'appropriate volume' },
+                'Method': { field: 'METHOD' },
+                'Speed': { input: 'SPEED', unit: 'rpm', empty: 'appropriate speed' },
+                'Duration': { input: 'TIME', unit: 'minutes', empty: 'appropriate time' }
+            }
+        },
+        'Incubation': {
+            type: 'incubation_step',
+            fields: {
+                'Sample': { field: 'SAMPLE' },
+                'Temperature': { input: 'TEMPERATURE', unit: '°C', empty: 'room temperature' },
+                'Duration': { input: 'TIME', unit: 'minutes', empty: 'appropriate time' },
+                'Conditions': { field: 'CONDITIONS' },
+                'Humidity': { input: 'HUMIDITY', unit: '%', empty: 'ambient humidity' }
+            }
+        },
+        'Measurement': {
+            type: 'measurement_step',
+            fields: {
+                'Measurement type': { field: 'MEASUREMENT_TYPE' },
+                'Sample': { input: 'SAMPLE', empty: 'sample' },
+                'Wavelength': { input: 'WAVELENGTH', unit: 'nm', empty: 'appropriate wavelength' },
+                'Record result as': { field: 'RESULT_VAR' }
+            }
+        },
+        'Transfer': {
+            type: 'transfer_step',
+            fields: {
+                'Transfer from': { input: 'SOURCE', empty: 'source container' },
+                'Transfer to': { input: 'DESTINATION', empty: 'destination container' },
+                'Volume': { input: 'VOLUME', unit: 'μL', empty: 'appropriate volume' },
+                'Method': { field: 'METHOD' },
+                'Tip type': { field: 'TIP_TYPE' }
+            }
+        },
+        'Centrifugation': {
+            type: 'centrifuge_step',
+            fields: {
+                'Sample': { input: 'SAMPLE', empty: 'sample' },
+                'Speed': { input: 'SPEED', unit: 'rpm', empty: 'appropriate speed' },
+                'Duration': { input: 'TIME', unit: 'minutes', empty: 'appropriate time' },
+                'Temperature': { input: 'TEMPERATURE', unit: '°C', empty: 'room temperature' },
+                'Acceleration': { field: 'ACCELERATION' }
+            }
+        },
+        'Washing': {
+            type: 'wash_step',
+            fields: {
+                'Sample': { input: 'SAMPLE', empty: 'sample' },
+                'Wash buffer': { input: 'BUFFER', empty: 'wash buffer' },
+                'Volume per wash': { input: 'VOLUME', unit: 'μL', empty: 'appropriate volume' },
+                'Number of cycles': { input: 'CYCLES', empty: '3' },
+                'Method': { field: 'METHOD' }
+            }
+        },
+        'Observation': {
+            type: 'observation_step',
+            fields: {
+                'Sample': { field: 'SAMPLE' },
+                'Observe': { field: 'OBSERVATION' },
+                'Observation time': { input: 'TIME', unit: 'minutes', empty: '5' },
+                'Record as': { field: 'RECORD_VAR' }
+            }
+        },
+        'Wait': {
+            type: 'wait_step',
+            fields: {
+                'Duration': { input: 'TIME', unitField: 'TIME_UNITS', empty: 'appropriate time' },
+                'Reason': { field: 'REASON' }
+            }
+        }
+    },
+
+    // Dropdown options (value and label) so hand-written values land on a valid choice
+    dropdownOptions: {
+        'mixing_step.METHOD': [['VORTEX', 'vortex'], ['PIPETTE', 'pipette'], ['MAGNETIC', 'magnetic stirrer'], ['MANUAL', 'manual']],
+        'incubation_step.CONDITIONS': [['STATIC', 'static'], ['SHAKING', 'shaking'], ['ROTATING', 'rotating']],
+        'measurement_step.MEASUREMENT_TYPE': [['ABSORBANCE', 'absorbance'], ['FLUORESCENCE', 'fluorescence'],
+            ['LUMINESCENCE', 'luminescence'], ['PH', 'pH'], ['CONDUCTIVITY', 'conductivity'], ['TEMPERATURE', 'temperature'],
+            ['VOLUME', 'volume'], ['MASS', 'mass'], ['OD', 'optical density']],
+        'transfer_step.METHOD': [['PIPETTE', 'pipette'], ['SYRINGE', 'syringe'], ['DISPENSER', 'dispenser'], ['POUR', 'pour']],
+        'transfer_step.TIP_TYPE': [['STANDARD', 'standard'], ['FILTER', 'filter'], ['LOW_RETENTION', 'low retention'], ['WIDE_BORE', 'wide bore']],
+        'wait_step.TIME_UNITS': [['SECONDS', 'seconds'], ['MINUTES', 'minutes'], ['HOURS', 'hours']],
+        'centrifuge_step.ACCELERATION': [['FAST', 'fast'], ['SLOW', 'slow'], ['GRADUAL', 'gradual']],
+        'wash_step.METHOD': [['ASPIRATION', 'aspiration'], ['CENTRIFUGATION', 'centrifugation'], ['FILTRATION', 'filtration'], ['DECANTING', 'decanting']],
+        'sample_variable.TYPE': [['DNA', 'DNA'], ['RNA', 'RNA'], ['PROTEIN', 'protein'], ['CELLS', 'cell culture'], ['BUFFER', 'buffer'],
+            ['SERUM', 'serum'], ['PLASMA', 'plasma'], ['TISSUE', 'tissue'], ['OTHER', 'other']],
+        'reagent_variable.UNITS': [['M', 'M'], ['mM', 'mM'], ['μM', 'μM'], ['nM', 'nM'], ['mg/mL', 'mg/mL'], ['μg/mL', 'μg/mL'],
+            ['ng/mL', 'ng/mL'], ['PERCENT_WV', '% (w/v)'], ['PERCENT_VV', '% (v/v)'], ['X', 'X']],
+        'reagent_variable.STORAGE': [['RT', 'room temperature'], ['4C', '4°C'], ['-20C', '-20°C'], ['-80C', '-80°C'], ['ICE', 'ice']],
+        'equipment_variable.TYPE': [['PIPETTE', 'pipette'], ['CENTRIFUGE', 'centrifuge'], ['INCUBATOR', 'incubator'],
+            ['THERMOCYCLER', 'thermocycler'], ['PLATE_READER', 'plate reader'], ['MICROSCOPE', 'microscope'], ['SHAKER', 'shaker'],
+            ['VORTEX', 'vortex'], ['BALANCE', 'balance'], ['PH_METER', 'pH meter'], ['SPECTROPHOTOMETER', 'spectrophotometer'], ['OTHER', 'other']],
+        'parameter_variable.TYPE': [['NUMBER', 'number'], ['TEXT', 'text'], ['BOOLEAN', 'boolean'], ['TIME', 'time'],
+            ['TEMPERATURE', 'temperature'], ['VOLUME', 'volume'], ['CONCENTRATION', 'concentration']]
+    },
+
+    // Sections of an SOP that hold no steps
+    ignoredSections: /^(safety|quality|notes?|references?|description|overview|introduction|background|purpose|scope)\b/i,
+
+    /**
+     * Parse Markdown into workspace XML.
+     * Returns { xml, warnings } where warnings list the lines that were kept as observations or skipped.
+     */
+    parse: function(markdown) {
+        const context = {
+            name: null,
+            description: '',
+            materials: { samples: {}, reagents: {}, equipment: {} },
+            placed: new Set(),
+            variables: new Set(),
+            warnings: [],
+            stepCounter: 0
+        };
+
+        const procedure = this.splitSections(String(markdown || ''), context);
+
+        context.lines = procedure;
+        context.pos = 0;
+        let steps = this.parseChain(context);
+        while (context.pos < context.lines.length) {
+            // Lines indented less than the first step still belong to the procedure
+            const start = context.pos;
+            steps = steps.concat(this.parseChain(context));
+            if (context.pos === start) this.skipLine(context);
+        }
+
+        // Materials that the procedure never declares go first
+        const declarations = [];
+        Object.keys(context.materials.samples).forEach(name => {
+            if (!context.placed.has(name)) declarations.push(this.sampleBlock(name, {}, context));
+        });
+        Object.keys(context.materials.reagents).forEach(name => {
+            if (!context.placed.has(name)) declarations.push(this.reagentBlock(name, {}, context));
+        });
+        Object.keys(context.materials.equipment).forEach(name => {
+            if (!context.placed.has(name)) declarations.push(this.equipmentBlock(name, {}, context));
+        });
+        steps = declarations.concat(steps);
+
+        let topBlocks = steps;
+        if (context.name) {
+            topBlocks = [{
+                type: 'protocol_definition',
+                fields: { PROTOCOL_NAME: context.name, DESCRIPTION: context.description },
+                statements: { STEPS: steps }
+            }];
+        }
+
+        const xml = '<xml xmlns="https://developers.google.com/blockly/xml">' +
+            (topBlocks.length > 0 ? this.blockToXml(topBlocks[0], topBlocks.slice(1), 'x="20" y="20"') : '') +
+            '</xml>';
+
+        return { xml: xml, warnings: context.warnings };
+    },
+
+    // Read the header and materials, and return the procedure lines with their indentation
+    splitSections: function(markdown, context) {
+        const procedure = [];
+        let section = null;
+        let materialGroup = 'reagents';
+        let material = null;
+        let sawProcedure = false;
+
+        markdown.split(/\r?\n/).forEach(raw => {
+            if (!raw.trim()) return;
+            const indent = raw.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+            const text = raw.trim();
+
+            const heading = text.match(/^(#{1,2})\s+(.*)$/);
+            if (heading && !/^SEQUENCE\s+\d+:/i.test(heading[2]) && !/^PROTOCOL (INPUTS|OUTPUTS)$/i.test(heading[2])) {
+                const title = heading[2].trim();
+                const protocolName = title.match(/^Protocol:\s*(.*)$/i);
+
+                if (protocolName) {
+                    context.name = protocolName[1].trim();
+                    section = 'header';
+                } else if (heading[1] === '#') {
+                    if (!/^EXPERIMENTAL PROTOCOL$/i.test(title) && !context.name) context.name = title;
+                    section = 'header';
+                } else if (/^(materials|reagents|equipment)/i.test(title)) {
+                    section = 'materials';
+                    materialGroup = /^equipment/i.test(title) ? 'equipment' : 'reagents';
+                } else if (/^(procedure|method|methods|steps|protocol)\b/i.test(title)) {
+                    section = 'procedure';
+                    sawProcedure = true;
+                } else if (this.ignoredSections.test(title)) {
+                    section = 'ignored';
+                } else {
+                    section = 'procedure';
+                }
+                return;
+            }
+
+            const description = text.match(/^\*\*Description:\*\*\s*(.*)$/);
+            if (description && section === 'header') {
+                context.description = description[1];
+                return;
+            }
+
+            if (section === 'materials') {
+                const group = text.match(/^###\s*(samples|reagents|equipment)\s*:?\s*$/i);
+                if (group) {
+                    materialGroup = group[1].toLowerCase();
+                } else if (indent === 0 && /^[-*]\s+/.test(text)) {
+                    material = this.parseMaterial(text.replace(/^[-*]\s+/, ''), materialGroup, context);
+                } else if (material && /^[-*]\s+/.test(text)) {
+                    this.parseMaterialDetail(material, text.replace(/^[-*]\s+/, ''));
+                }
+                return;
+            }
+
+            const listItem = /^(\d+[.)]|[-*])\s+/.test(text);
+            if (section === 'header' && !listItem) {
+                // Prose under the title describes the protocol
+                context.description = context.description ? `${context.description} ${text}` : text;
+                return;
+            }
+
+            // Without a procedure heading every list item outside other sections is a step
+            if (section === 'procedure' || (!sawProcedure && section !== 'ignored' && listItem)) {
+                procedure.push({ indent: indent, text: text });
+            }
+        });
+
+        return procedure;
+    },
+
+    // "- **name** (TYPE): description", "- **name**: 50 mM" or a plain "- Tris-HCl, 50 mM"
+    parseMaterial: function(text, group, context) {
+        const bold = text.match(/^\*\*(.+?)\*\*\s*(?:\(([^)]*)\))?\s*:?\s*(.*)$/);
+        let name;
+        let type = '';
+        let rest;
+        if (bold) {
+            name = bold[1].trim();
+            type = bold[2] || '';
+            rest = bold[3].trim();
+        } else {
+            const plain = text.match(/^(.+?)(?:\s*[,:(]\s*|\s+)(\d.*)$/);
+            name = (plain ? plain[1] : text).replace(/[,:]$/, '').trim();
+            rest = plain ? plain[2].replace(/\)$/, '') : '';
+        }
+
+        // "(CELLS)" or "(CENTRIFUGE)" after a name says which kind of material it is
+        if (type && group === 'reagents') {
+            const isType = (key) => this.dropdownOptions[key].some(([value, label]) =>
+                value.toLowerCase() === type.toLowerCase() || label.toLowerCase() === type.toLowerCase());
+            if (isType('sample_variable.TYPE')) group = 'samples';
+            else if (isType('equipment_variable.TYPE')) group = 'equipment';
+        }
+
+        const material = { name: name };
+        if (group === 'samples') {
+            material.type = type;
+            material.description = rest;
+        } else if (group === 'equipment') {
+            material.type = type;
+        } else if (this.isVolume(rest)) {
+            // "E. coli culture (5 mL)" gives how much there is, not a concentration
+            material.volume = rest;
+        } else {
+            const amount = rest.match(/^(\S+)\s+(.+)$/);
+            material.concentration = amount ? amount[1] : rest;
+            material.units = amount ? amount[2] : '';
+        }
+
+        context.materials[group][name] = material;
+        context.variables.add(name);
+        return material;
+    },
+
+    isVolume: function(text) {
+        const quantity = Quantity.parse(text);
+        return !!(quantity && quantity.unit && Quantity.dimensionOf(quantity.unit) === 'volume');
+    },
+
+    parseMaterialDetail: function(material, text) {
+        const detail = text.match(/^(Volume|Concentration|Storage|Model|Settings):\s*(.*)$/);
+        if (detail) {
+            const key = detail[1].toLowerCase();
+            material[key] = key === 'volume' ? detail[2].replace(/\s*μL$/, '') : detail[2];
+        } else {
+            material.description = text;
+        }
+    },
+
+    // Parse consecutive blocks that share the indentation of the first line
+    parseChain: function(context) {
+        const blocks = [];
+        if (context.pos >= context.lines.length) return blocks;
+        const indent = context.lines[context.pos].indent;
+
+        while (context.pos < context.lines.length) {
+            const line = context.lines[context.pos];
+            if (line.indent < indent || this.isBranchMarker(line.text)) break;
+            if (line.indent > indent) {
+                // Stray deeper lines continue the chain
+                const start = context.pos;
+                blocks.push(...this.parseChain(context));
+                if (context.pos === start) this.skipLine(context);
+                continue;
+            }
+            const block = this.parseLine(context);
+            if (block) blocks.push(block);
+        }
+        return blocks;
+    },
+
+    // A branch marker outside any if or parallel block
+    skipLine: function(context) {
+        context.warnings.push(`Line "${context.lines[context.pos].text}" does not belong to any block; skipped`);
+        context.pos++;
+    },
+
+    // Lines that continue an enclosing if or parallel block rather than start a step
+    isBranchMarker: function(text) {
+        return /^\*\*(Else if\*\*|Otherwise:\*\*$|Branch\s+[123]:\*\*$)/.test(text) || /^\*Note:.*\*$/.test(text);
+    },
+
+    // Lines indented deeper than the current one
+    parseChildren: function(context, indent) {
+        if (context.pos < context.lines.length && context.lines[context.pos].indent > indent) {
+            return this.parseChain(context);
+        }
+        return [];
+    },
+
+    parseLine: function(context) {
+        const line = context.lines[context.pos];
+        const text = line.text;
+        context.pos++;
+
+        let match;
+        if ((match = text.match(/^#{2,}\s*SEQUENCE\s+\d+:\s*(.*)$/i))) {
+            const block = { type: 'protocol_sequence', fields: { NAME: match[1].trim(), DESCRIPTION: '' }, statements: {} };
+            const next = context.lines[context.pos];
+            if (next && next.indent === line.indent && (match = next.text.match(/^\*\*Description:\*\*\s*(.*)$/))) {
+                block.fields.DESCRIPTION = match[1];
+                context.pos++;
+            }
+            block.statements.STEPS = this.parseChildren(context, line.indent);
+            return block;
+        }
+
+        if (/^#{2,}\s*PROTOCOL (INPUTS|OUTPUTS)$/i.test(text)) {
+            return null;
+        }
+
+        if ((match = text.match(/^#{3,}\s*Step\s+\d+:\s*(.*)$/i))) {
+            return this.parseStepSection(match[1].trim(), line.indent, context);
+        }
+
+        if (/^#{3,}\s*Parallel Execution$/i.test(text)) {
+            return this.parseParallel(line.indent, context);
+        }
+
+        if ((match = text.match(/^\*\*If\*\*\s*(.*?),\s*\*\*then:\*\*$/))) {
+            return this.parseIf(match[1], line.indent, context);
+        }
+
+        if ((match = text.match(/^\*\*Repeat\*\*\s*(.*?)\s*\*\*times:\*\*$/))) {
+            return {
+                type: 'controls_repeat_ext',
+                inputs: { TIMES: this.valueBlock(match[1], context) },
+                statements: { DO: this.parseChildren(context, line.indent) }
+            };
+        }
+
+        const declaration = this.parseDeclaration(text, context);
+        if (declaration) return declaration;
+
+        if (/^#+\s/.test(text)) {
+            // Any other heading names a group of hand-written steps
+            return null;
+        }
+
+        // Numbered or bulleted hand-written step
+        const freeText = text.replace(/^(\d+[.)]|[-*]|Step\s+\d+[.:])\s+/i, '');
+        if ((match = freeText.match(/^If\s+(.+?)\s*:$/i))) {
+            // "If the lysate is cloudy:" with the steps to take indented below it
+            return this.parseIf(match[1], line.indent, context);
+        }
+        const block = this.parseFreeText(freeText, context);
+        const children = this.parseChildren(context, line.indent);
+        if (children.length > 0) {
+            if (block.type === 'preparation_step') {
+                block.statements = { SUBSTEPS: children };
+            } else {
+                return { chain: [block].concat(children) };
+            }
+        }
+        return block;
+    },
+
+    // A "### Step N: <title>" section and its "**Key:** value" lines
+    parseStepSection: function(title, indent, context) {
+        const format = this.stepFormats[title];
+        const values = {};
+        let hasSubsteps = false;
+
+        while (context.pos < context.lines.length) {
+            const line = context.lines[context.pos];
+            if (line.indent !== indent || this.isBranchMarker(line.text)) break;
+            const field = line.text.match(/^\*\*([^*]+?):\*\*\s*(.*)$/);
+            if (!field) break;
+            context.pos++;
+            if (field[1] === 'Detailed steps') {
+                hasSubsteps = true;
+                break;
+            }
+            values[field[1]] = field[2].trim();
+        }
+
+        if (!format) {
+            context.warnings.push(`Step "${title}" has no matching block; kept as an observation`);
+            this.parseChildren(context, indent);
+            return this.observationBlock(`${title}: ${Object.keys(values).map(key => `${key} ${values[key]}`).join('; ')}`, context);
+        }
+
+        const block = { type: format.type, fields: {}, inputs: {}, statements: {} };
+        Object.keys(format.fields).forEach(key => {
+            const spec = format.fields[key];
+            if (values[key] === undefined) return;
+            let value = values[key];
+            if (spec.unit && value.endsWith(spec.unit)) {
+                value = value.slice(0, -spec.unit.length).trim();
+            }
+            // Units picked in a dropdown, e.g. "**Duration:** 2 hours" on a wait step
+            const unitOption = spec.unitField && (this.dropdownOptions[`${format.type}.${spec.unitField}`] || [])
+                .find(([, label]) => value.endsWith(' ' + label));
+            if (unitOption) {
+                block.fields[spec.unitField] = unitOption[0];
+                value = value.slice(0, -unitOption[1].length).trim();
+            }
+
+            if (spec.field) {
+                block.fields[spec.field] = this.dropdownValue(format.type, spec.field, value, context);
+            } else if (value !== spec.empty) {
+                block.inputs[spec.input] = this.valueBlock(value, context);
+            }
+        });
+
+        ['RESULT_VAR', 'RECORD_VAR'].forEach(name => {
+            if (block.fields[name]) context.variables.add(block.fields[name]);
+        });
+
+        if (format.statement && (hasSubsteps || (context.lines[context.pos] && context.lines[context.pos].indent > indent))) {
+            block.statements[format.statement] = this.parseChildren(context, indent);
+        }
+        return block;
+    },
+
+    parseIf: function(condition, indent, context) {
+        const block = { type: 'controls_if', inputs: {}, statements: {}, mutation: { elseif: 0, else: 0 } };
+        let branch = 0;
+        block.inputs.IF0 = this.valueBlock(condition, context);
+        block.statements.DO0 = this.parseChildren(context, indent);
+
+        // An empty branch leaves the following marker indented, so deeper markers count too
+        while (context.pos < context.lines.length && context.lines[context.pos].indent >= indent) {
+            const text = context.lines[context.pos].text;
+            const elseIf = text.match(/^\*\*Else if\*\*\s*(.*?),\s*\*\*then:\*\*$/);
+            if (elseIf) {
+                context.pos++;
+                branch++;
+                block.mutation.elseif = branch;
+                block.inputs['IF' + branch] = this.valueBlock(elseIf[1], context);
+                block.statements['DO' + branch] = this.parseChildren(context, indent);
+            } else if (/^\*\*Otherwise:\*\*$/.test(text)) {
+                context.pos++;
+                block.mutation.else = 1;
+                block.statements.ELSE = this.parseChildren(context, indent);
+                break;
+            } else {
+                break;
+            }
+        }
+        return block;
+    },
+
+    parseParallel: function(indent, context) {
+        const block = { type: 'parallel_steps', statements: {} };
+        while (context.pos < context.lines.length && context.lines[context.pos].indent >= indent) {
+            const text = context.lines[context.pos].text;
+            const branch = text.match(/^\*\*Branch\s+([123]):\*\*$/);
+            if (branch) {
+                context.pos++;
+                block.statements['BRANCH' + branch[1]] = this.parseChildren(context, indent);
+            } else if (/^\*Note:.*\*$/.test(text)) {
+                context.pos++;
+                break;
+            } else {
+                break;
+            }
+        }
+        return block;
+    },
+
+    // Procedure lines written for variable blocks
+    parseDeclaration: function(text, context) {
+        let match;
+        if ((match = text.match(/^Sample (.+?) prepared \((\S+), (.+?) μL, concentration: (.+)\)$/))) {
+            return this.sampleBlock(match[1], { type: match[2], volume: match[3], concentration: match[4] }, context);
+        }
+        if ((match = text.match(/^Reagent (.+?) prepared \((.+?) (\S+), (.+?) μL, stored at (.+)\)$/))) {
+            return this.reagentBlock(match[1], { concentration: match[2], units: match[3], volume: match[4], storage: match[5] }, context);
+        }
+        if ((match = text.match(/^Equipment (.+?) \((\S+)\) set up with (.+)$/))) {
+            return this.equipmentBlock(match[1], { type: match[2], settings: match[3] }, context);
+        }
+        if ((match = text.match(/^Parameter ([^:]+): (.*) \((.*)\)$/))) {
+            const [value, ...units] = match[2].split(' ');
+            context.variables.add(match[1]);
+            const block = {
+                type: 'parameter_variable',
+                fields: {
+                    NAME: match[1],
+                    TYPE: /^-?\d+(\.\d+)?$/.test(value) ? 'NUMBER' : 'TEXT',
+                    UNITS: units.join(' ').trim(),
+                    DESCRIPTION: match[3] === 'No description provided' ? '' : match[3]
+                },
+                inputs: {}
+            };
+            if (value !== 'unspecified') block.inputs.VALUE = this.valueBlock(value, context);
+            return block;
+        }
+        if ((match = text.match(/^Set (\S+) to (.+)$/))) {
+            context.variables.add(match[1]);
+            const block = { type: 'set_variable', fields: { VAR_NAME: match[1] }, inputs: {} };
+            if (match[2] !== 'unspecified value') block.inputs.VALUE = this.valueBlock(match[2], context);
+            return block;
+        }
+        return null;
+    },
+
+    sampleBlock: function(name, line, context) {
+        const material = Object.assign({}, context.materials.samples[name], line);
+        context.placed.add(name);
+        context.variables.add(name);
+        const block = {
+            type: 'sample_variable',
+            fields: {
+                NAME: name,
+                TYPE: this.dropdownValue('sample_variable', 'TYPE', material.type || 'OTHER', context),
+                DESCRIPTION: material.description === 'No description provided' ? '' : (material.description || '')
+            },
+            inputs: {}
+        };
+        this.optionalInput(block, 'VOLUME', material.volume, context);
+        this.optionalInput(block, 'CONCENTRATION', material.concentration, context);
+        return block;
+    },
+
+    reagentBlock: function(name, line, context) {
+        const material = Object.assign({}, context.materials.reagents[name], line);
+        context.placed.add(name);
+        context.variables.add(name);
+        const block = {
+            type: 'reagent_variable',
+            fields: {
+                NAME: name,
+                UNITS: this.dropdownValue('reagent_variable', 'UNITS', material.units || 'X', context),
+                STORAGE: this.dropdownValue('reagent_variable', 'STORAGE', material.storage || 'RT', context),
+                DESCRIPTION: material.description === 'No description provided' ? '' : (material.description || '')
+            },
+            inputs: {}
+        };
+        this.optionalInput(block, 'CONCENTRATION', material.concentration, context);
+        this.optionalInput(block, 'VOLUME', material.volume, context);
+        return block;
+    },
+
+    equipmentBlock: function(name, line, context) {
+        const material = Object.assign({}, context.materials.equipment[name], line);
+        context.placed.add(name);
+        context.variables.add(name);
+        return {
+            type: 'equipment_variable',
+            fields: {
+                NAME: name,
+                TYPE: this.dropdownValue('equipment_variable', 'TYPE', material.type || 'OTHER', context),
+                MODEL: material.model === 'unspecified model' ? '' : (material.model || ''),
+                SETTINGS: material.settings === 'default settings' ? '' : (material.settings || '')
+            }
+        };
+    },
+
+    optionalInput: function(block, name, value, context) {
+        if (value !== undefined && value !== '' && value !== 'unspecified') {
+            block.inputs[name] = this.valueBlock(value, context);
+        }
+    },
+
+    // Turn a written value into a value block
+    valueBlock: function(text, context) {
+        const value = String(text).trim();
+        if (/^-?\d+(\.\d+)?$/.test(value)) {
+            return { type: 'math_number', fields: { NUM: value } };
+        }
+        if (value === 'true' || value === 'false') {
+            return { type: 'logic_boolean', fields: { BOOL: value.toUpperCase() } };
+        }
+        const quantity = Quantity.parse(value);
+        if (quantity && quantity.unit && Quantity.dimensionOf(quantity.unit)) {
+            return { type: 'quantity', fields: { VALUE: String(quantity.value), UNIT: quantity.unit } };
+        }
+
+        const comparison = value.match(/^(.+?) (=|≠|<|≤|>|≥) (.+)$/);
+        if (comparison) {
+            const operators = { '=': 'EQ', '≠': 'NEQ', '<': 'LT', '≤': 'LTE', '>': 'GT', '≥': 'GTE' };
+            return {
+                type: 'logic_compare',
+                fields: { OP: operators[comparison[2]] },
+                inputs: { A: this.valueBlock(comparison[1], context), B: this.valueBlock(comparison[3], context) }
+            };
+        }
+
+        if (context.variables.has(value)) {
+            return { type: 'get_variable', fields: { VAR_NAME: value } };
+        }
+        return { type: 'text', fields: { TEXT: value } };
+    },
+
+    // Match a dropdown by value or label, falling back to the first option
+    dropdownValue: function(blockType, fieldName, value, context) {
+        const options = this.dropdownOptions[`${blockType}.${fieldName}`];
+        if (!options) return value;
+
+        const lower = String(value).toLowerCase();
+        const option = options.find(([optionValue, label]) =>
+            optionValue.toLowerCase() === lower || label.toLowerCase() === lower);
+        if (option) return option[0];
+
+        context.warnings.push(`"${value}" is not a ${blockType} ${fieldName} option; using ${options[0][0]}`);
+        return options[0][0];
+    },
+
+    // Quantities with units in hand-written steps
+    parseQuantities: function(text) {
+        const number = '(\\d+(?:[.,]\\d+)?)';
+        const find = (pattern) => text.match(new RegExp(pattern, 'i'));
+        const toNumber = (value) => parseFloat(String(value).replace(',', '.'));
+        const quantities = {};
+
+        const temperature = find(`(-?\\d+(?:\\.\\d+)?)\\s*(?:°|º|degrees?\\s*)\\s*C\\b`);
+        if (temperature) {
+            quantities.temperature = toNumber(temperature[1]);
+        } else if (/\broom temperature\b|\bRT\b/.test(text)) {
+            quantities.temperature = 22;
+        } else if (/\bon ice\b/i.test(text)) {
+            quantities.temperature = 4;
+        }
+
+        const time = find(`${number}\\s*(hours?|hrs?|h|minutes?|mins?|seconds?|secs?|s)\\b`);
+        if (time) {
+            const minutes = Quantity.convert({ value: toNumber(time[1]), unit: time[2] }, 'min');
+            quantities.minutes = Math.round(minutes * 100) / 100;
+        } else if (/\bovernight\b(?!\s+culture)/i.test(text)) {
+            quantities.minutes = 960;
+        }
+
+        const volume = find(`${number}\\s*(µl|μl|ul|ml|nl|l)\\b`);
+        if (volume) {
+            const microliters = Quantity.convert({ value: toNumber(volume[1]), unit: volume[2] }, 'μL');
+            quantities.volume = Math.round(microliters * 1000) / 1000;
+        }
+
+        const speed = find(`(\\d[\\d,]*)\\s*(rpm|x\\s*g|×\\s*g|g)\\b`);
+        if (speed) {
+            quantities.speed = parseInt(speed[1].replace(/,/g, ''), 10);
+            quantities.speedInG = !/rpm/i.test(speed[2]);
+        }
+
+        const wavelength = find(`(\\d{3,4})\\s*nm\\b`);
+        if (wavelength) quantities.wavelength = parseInt(wavelength[1], 10);
+
+        const cycles = find(`(\\d+)\\s*(?:times|cycles|x)\\b`);
+        if (cycles) quantities.cycles = parseInt(cycles[1], 10);
+
+        return quantities;
+    },
+
+    // Pick the experiment block a hand-written step describes
+    parseFreeText: function(text, context) {
+        const q = this.parseQuantities(text);
+        const number = (value) => ({ type: 'math_number', fields: { NUM: String(value) } });
+        const block = { fields: {}, inputs: {}, statements: {} };
+        context.stepCounter++;
+
+        if (/^(wait|pause|let\s+(?:it\s+|them\s+)?(?:stand|sit))\b/i.test(text)) {
+            block.type = 'wait_step';
+            // Written in the largest unit that keeps the number whole
+            const minutes = q.minutes !== undefined ? q.minutes : 0;
+            if (minutes < 1) {
+                block.fields.TIME_UNITS = 'SECONDS';
+                block.inputs.TIME = number(Math.round(minutes * 60));
+            } else if (minutes % 60 === 0) {
+                block.fields.TIME_UNITS = 'HOURS';
+                block.inputs.TIME = number(minutes / 60);
+            } else {
+                block.fields.TIME_UNITS = 'MINUTES';
+                block.inputs.TIME = number(minutes);
+            }
+            const reason = text.match(/\b(?:for|until|while|so)\s+(?!\d)(.+?)[.;]?$/i);
+            block.fields.REASON = reason ? reason[1].trim() : '';
+            if (q.minutes === undefined) context.warnings.push(`"${text}": no duration given, waits 0 seconds`);
+        } else if (/\b(centrifug\w*|spin)\b/i.test(text)) {
+            block.type = 'centrifuge_step';
+            block.fields.ACCELERATION = /\bslow\b/i.test(text) ? 'SLOW' : /\bgradual\b/i.test(text) ? 'GRADUAL' : 'FAST';
+            if (q.speed !== undefined) {
+                block.inputs.SPEED = number(q.speed);
+                if (q.speedInG) context.warnings.push(`"${text}": speed given in g, stored as rpm`);
+            }
+            if (q.minutes !== undefined) block.inputs.TIME = number(q.minutes);
+            if (q.temperature !== undefined) block.inputs.TEMPERATURE = number(q.temperature);
+        } else if (/\b(wash\w*|rinse\w*)\b/i.test(text)) {
+            block.type = 'wash_step';
+            block.fields.METHOD = /filt/i.test(text) ? 'FILTRATION' : /decant/i.test(text) ? 'DECANTING' : 'ASPIRATION';
+            if (q.volume !== undefined) block.inputs.VOLUME = number(q.volume);
+            if (q.cycles !== undefined) block.inputs.CYCLES = number(q.cycles);
+            const buffer = text.match(/\bwith\s+(?:[\d.,]+\s*\S+\s+(?:of\s+)?)?([A-Za-z][\w\- ]*?)(?=[,.;]|$)/i);
+            if (buffer) block.inputs.BUFFER = this.valueBlock(buffer[1].trim(), context);
+        } else if (/\b(measure\w*|read\w*|absorbance|fluorescence|luminescence|OD\d*|pH|weigh\w*)\b/.test(text) ||
+                   /\b(measure|read)\b/i.test(text)) {
+            block.type = 'measurement_step';
+            const types = [
+                [/fluorescen/i, 'FLUORESCENCE'], [/luminescen/i, 'LUMINESCENCE'], [/\bOD\d*\b|optical density/i, 'OD'],
+                [/\bpH\b/, 'PH'], [/conductiv/i, 'CONDUCTIVITY'], [/\bweigh|\bmass\b/i, 'MASS'],
+                [/\bvolume\b/i, 'VOLUME'], [/temperature/i, 'TEMPERATURE']
+            ];
+            const match = types.find(([pattern]) => pattern.test(text));
+            block.fields.MEASUREMENT_TYPE = match ? match[1] : 'ABSORBANCE';
+            block.fields.RESULT_VAR = `measurement_${context.stepCounter}`;
+            context.variables.add(block.fields.RESULT_VAR);
+            if (q.wavelength !== undefined) block.inputs.WAVELENGTH = number(q.wavelength);
+        } else if (/\b(incubat\w*|heat\w*|warm\w*|chill\w*|cool\w*|denatur\w*)\b/i.test(text) ||
+                   (q.temperature !== undefined && q.minutes !== undefined)) {
+            block.type = 'incubation_step';
+            block.fields.SAMPLE = 'sample';
+            block.fields.CONDITIONS = /shak/i.test(text) ? 'SHAKING' : /rotat/i.test(text) ? 'ROTATING' : 'STATIC';
+            if (q.temperature !== undefined) block.inputs.TEMPERATURE = number(q.temperature);
+            if (q.minutes !== undefined) block.inputs.TIME = number(q.minutes);
+        } else if (/\b(vortex\w*|mix\w*|stir\w*|invert\w*)\b/i.test(text)) {
+            block.type = 'mixing_step';
+            block.fields.COMPONENTS = text.replace(/^\s*\w+\s*/, '').split(/\s+(?:for|at|with)\s+|[,.;]/)[0].trim() || 'sample';
+            block.fields.METHOD = /vortex/i.test(text) ? 'VORTEX' : /stir/i.test(text) ? 'MAGNETIC' :
+                /pipett/i.test(text) ? 'PIPETTE' : 'MANUAL';
+            if (q.volume !== undefined) block.inputs.VOLUME = number(q.volume);
+            if (q.minutes !== undefined) block.inputs.TIME = number(q.minutes);
+            if (q.speed !== undefined && !q.speedInG) block.inputs.SPEED = number(q.speed);
+        } else if (/\b(transfer\w*|pipett\w*|add\w*|dispens\w*|aliquot\w*)\b/i.test(text) && q.volume !== undefined) {
+            block.type = 'transfer_step';
+            block.fields.METHOD = /dispens/i.test(text) ? 'DISPENSER' : /syringe/i.test(text) ? 'SYRINGE' : 'PIPETTE';
+            block.fields.TIP_TYPE = /filter/i.test(text) ? 'FILTER' : /low.retention/i.test(text) ? 'LOW_RETENTION' :
+                /wide.bore/i.test(text) ? 'WIDE_BORE' : 'STANDARD';
+            block.inputs.VOLUME = number(q.volume);
+
+            const source = text.match(/\bfrom\s+(?:the\s+)?([\w\- ]+?)(?=\s+(?:to|into)\b|[,.;]|$)/i) ||
+                text.match(/\d\s*(?:µl|μl|ul|ml|nl|l)\s+(?:of\s+)?(?!(?:to|into)\b)([A-Za-z][\w\- ]*?)(?=\s+(?:to|into)\b|[,.;]|$)/i);
+            const destination = text.match(/\b(?:to|into)\s+(?:the\s+|each\s+|a\s+)?([\w\- ]+?)(?=[,.;]|$)/i);
+            if (source) block.inputs.SOURCE = this.valueBlock(source[1].trim(), context);
+            if (destination) block.inputs.DESTINATION = this.valueBlock(destination[1].trim(), context);
+        } else if (/\b(observe|check|inspect|examine|look|record|note)\b/i.test(text)) {
+            return this.observationBlock(text, context, q.minutes);
+        } else if (/\b(prepare|make|dissolve|dilute|combine|resuspend|thaw|label|add)\b/i.test(text)) {
+            const verb = text.match(/\b(prepare|make|dissolve|dilute|combine|resuspend|thaw|label|add)\b/i)[1];
+            block.type = 'preparation_step';
+            block.fields.WHAT = text.replace(new RegExp(`^.*?\\b${verb}\\b\\s*`, 'i'), '').replace(/[.;]\s*$/, '') || 'sample';
+            block.fields.METHOD = verb.toLowerCase();
+            const conditions = [];
+            if (q.temperature !== undefined) conditions.push(`${q.temperature} °C`);
+            if (q.minutes !== undefined) conditions.push(`${q.minutes} min`);
+            if (conditions.length > 0) block.inputs.CONDITIONS = { type: 'text', fields: { TEXT: conditions.join(', ') } };
+        } else {
+            context.warnings.push(`Step "${text}" has no matching block; kept as an observation`);
+            return this.observationBlock(text, context, q.minutes);
+        }
+
+        return block;
+    },
+
+    observationBlock: function(text, context, minutes) {
+        const block = {
+            type: 'observation_step',
+            fields: { SAMPLE: 'sample', OBSERVATION: text, RECORD_VAR: `observation_${context.stepCounter || 1}` },
+            inputs: {}
+        };
+        if (minutes !== undefined) block.inputs.TIME = { type: 'math_number', fields: { NUM: String(minutes) } };
+        return block;
+    },
+
+    escapeXml: function(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    },
+
+    // Serialize a block and the blocks chained after it
+    blockToXml: function(block, following, attributes) {
+        if (block.chain) {
+            return this.blockToXml(block.chain[0], block.chain.slice(1).concat(following || []), attributes);
+        }
+
+        let xml = `<block type="${block.type}"${attributes ? ' ' + attributes : ''}>`;
+        if (block.mutation && (block.mutation.elseif || block.mutation.else)) {
+            xml += `<mutation elseif="${block.mutation.elseif}" else="${block.mutation.else}"></mutation>`;
+        }
+        Object.keys(block.fields || {}).forEach(name => {
+            xml += `<field name="${name}">${this.escapeXml(block.fields[name])}</field>`;
+        });
+        Object.keys(block.inputs || {}).forEach(name => {
+            xml += `<value name="${name}">${this.blockToXml(block.inputs[name])}</value>`;
+        });
+        Object.keys(block.statements || {}).forEach(name => {
+            const statement = block.statements[name];
+            if (statement.length > 0) {
+                xml += `<statement name="${name}">${this.blockToXml(statement[0], statement.slice(1))}</statement>`;
+            }
+        });
+        if (following && following.length > 0) {
+            xml += `<next>${this.blockToXml(following[0], following.slice(1))}</next>`;
+        }
+        return xml + '</block>';
+    }
+};
+
+// Allow the parser to be used from Node scripts and tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownProtocolParser;
+}
@@ -50,7 +50,10 @@ class ProtocolStorage {
                 workspace_json: protocolData.json || null,
                 analysis: protocolData.analysis || null,
                 readonly: metadata.readonly || false,
-                shared: metadata.shared || false
+                shared: metadata.shared || false,
+                is_template: metadata.isTemplate || false,
+                template_parameters: metadata.templateParameters || [],
+                template_values: metadata.templateValues || null
             };
             
             // Save to storage
@@ -90,6 +93,26 @@ class ProtocolStorage {
         }
     }
     
+    // Update fields of a stored protocol in place
+    updateProtocol(protocolId, changes) {
+        const protocols = this.getAllProtocols();
+        const protocol = protocols[protocolId];
+        
+        if (!protocol) {
+            throw new Error('Protocol not found');
+        }
+        
+        protocols[protocolId] = {
+            ...protocol,
+            ...changes,
+            modified: new Date().toISOString()
+        };
+        localStorage.setItem(this.storageKey, JSON.stringify(protocols));
+        this.updateMetadataIndex(protocols[protocolId]);
+        
+        return protocols[protocolId];
+    }
+    
     // Delete protocol
     deleteProtocol(protocolId) {
         try {
@@ -220,7 +243,7 @@ class ProtocolStorage {
     }
     
     // Export protocol
-    exportProtocol(protocolId, format = 'json') {
+    exportProtocol(protocolId, format = 'json', options = {}) {
         try {
             const protocol = this.loadProtocol(protocolId);
             
@@ -245,6 +268,15 @@ class ProtocolStorage {
             
             const filename = `${protocol.name.replace(/[^a-z0-9]/gi, '_')}_${new Date().toISOString().split('T')[0]}.json`;
             
+            if (format === 'autoprotocol') {
+                const result = new AutoprotocolConverter(options).convert(protocol.workspace_xml);
+                if (result.errors.length > 0) {
+                    throw new Error(AutoprotocolConverter.formatReport(result.errors));
+                }
+                this.downloadJSON(result.protocol, filename.replace('.json', '.autoprotocol.json'));
+                return { protocol: result.protocol, warnings: result.warnings };
+            }
+            
             if (format === 'json') {
                 this.downloadJSON(exportData, filename);
             } else if (format === 'xml') {
@@ -269,6 +301,21 @@ class ProtocolStorage {
                 protocolData = fileData;
             }
             
+            // protocols.io exports are converted into blocks first
+            if (ProtocolsIoImporter.isProtocolsIoExport(protocolData)) {
+                const imported = new ProtocolsIoImporter().convert(protocolData);
+                if (imported.unmappedSteps > 0) {
+                    console.warn(`protocols.io import: ${imported.unmappedSteps} step(s) kept as observation steps`);
+                }
+                
+                return this.saveProtocol({ xml: imported.xml }, {
+                    ...imported.metadata,
+                    ...overwriteMetadata,
+                    author: this.currentUser,
+                    imported: new Date().toISOString()
+                });
+            }
+            
             // Validate import data
             if (!protocolData.workspace || !protocolData.workspace.xml) {
                 throw new Error('Invalid protocol file: missing workspace data');
@@ -344,7 +391,8 @@ class ProtocolStorage {
                 category: protocol.category,
                 tags: protocol.tags,
                 shared: protocol.shared,
-                readonly: protocol.readonly
+                readonly: protocol.readonly,
+                is_template: protocol.is_template || false
             };
             localStorage.setItem(this.metadataKey, JSON.stringify(metadata));
         } catch (error) {
@@ -397,10 +445,793 @@ class ProtocolStorage {
     }
 }
 
+// Autoprotocol Converter - Turn a stored workspace into Autoprotocol JSON for cloud lab submission
+class AutoprotocolConverter {
+    constructor(options = {}) {
+        // Centrifuge blocks are in rpm; Autoprotocol wants g, which needs the rotor radius
+        this.rotorRadiusCm = options.rotorRadiusCm || null;
+
+        // Incubator set points a cloud lab offers
+        this.incubatorLocations = {
+            4: 'cold_4',
+            22: 'ambient',
+            30: 'warm_30',
+            35: 'warm_35',
+            37: 'warm_37',
+            '-20': 'cold_20',
+            '-80': 'cold_80'
+        };
+
+        // qPCR chemistries and the dye Autoprotocol reads them with
+        this.qpcrDyes = {
+            SYBR: 'SYBR',
+            TAQMAN: 'FAM'
+        };
+
+        // Blocks that only declare things and produce no instruction
+        this.declarationBlocks = [
+            'sample_variable', 'reagent_variable', 'equipment_variable', 'parameter_variable',
+            'protocol_input', 'protocol_output', 'set_variable', 'labware_definition'
+        ];
+    }
+
+    // Convert workspace XML; returns the Autoprotocol document plus everything that could not be mapped
+    convert(workspaceXml) {
+        this.refs = {};
+        this.instructions = [];
+        this.errors = [];
+        this.warnings = [];
+
+        const dom = typeof workspaceXml === 'string'
+            ? new DOMParser().parseFromString(workspaceXml, 'text/xml')
+            : workspaceXml;
+        const root = dom.documentElement || dom;
+
+        // Layouts of the labware_definition blocks, so well ranges follow the plate's rows
+        this.labwareFormats = {};
+        Array.from(root.getElementsByTagName('block'))
+            .filter(block => block.getAttribute('type') === 'labware_definition')
+            .forEach(block => {
+                const labwareName = this.fieldValue(block, 'NAME');
+                if (!this.labwareFormats[labwareName]) this.labwareFormats[labwareName] = this.fieldValue(block, 'FORMAT');
+            });
+
+        this.childElements(root, 'block').forEach(block => this.convertChain(block));
+
+        return {
+            protocol: {
+                refs: this.refs,
+                instructions: this.instructions
+            },
+            errors: this.errors,
+            warnings: this.warnings
+        };
+    }
+
+    // Readable report of unmappable blocks and fields
+    static formatReport(errors) {
+        const lines = errors.map(error =>
+            `- ${error.blockType} (block ${error.blockId})${error.field ? `, field ${error.field}` : ''}: ${error.message}`);
+        return `${errors.length} block field(s) cannot be expressed in Autoprotocol:\n${lines.join('\n')}`;
+    }
+
+    static formatWarnings(warnings) {
+        return `${warnings.length} warning(s):\n${warnings.map(warning => `- ${warning}`).join('\n')}`;
+    }
+
+    // Walk a block and everything chained after it
+    convertChain(block) {
+        while (block) {
+            this.convertBlock(block);
+            const next = this.childElements(block, 'next')[0];
+            block = next ? this.childElements(next, 'block')[0] : null;
+        }
+    }
+
+    convertStatement(block, name) {
+        const statement = this.childElements(block, 'statement').find(s => s.getAttribute('name') === name);
+        const first = statement ? this.childElements(statement, 'block')[0] : null;
+        if (first) this.convertChain(first);
+    }
+
+    convertBlock(block) {
+        const type = block.getAttribute('type');
+
+        switch (type) {
+            case 'protocol_definition':
+                this.convertStatement(block, 'INPUTS');
+                this.convertStatement(block, 'STEPS');
+                break;
+            case 'protocol_sequence':
+                this.convertStatement(block, 'STEPS');
+                break;
+            case 'parallel_steps':
+                this.warnings.push(`parallel_steps (block ${this.blockId(block)}): branches are submitted one after another`);
+                ['BRANCH1', 'BRANCH2', 'BRANCH3'].forEach(branch => this.convertStatement(block, branch));
+                break;
+            case 'controls_repeat_ext':
+                this.convertRepeat(block);
+                break;
+            case 'checkpoint':
+                this.warnings.push(`checkpoint (block ${this.blockId(block)}): Autoprotocol runs unattended, checkpoint dropped`);
+                break;
+            case 'transfer_step':
+                this.convertTransfer(block);
+                break;
+            case 'incubation_step':
+                this.convertIncubation(block);
+                break;
+            case 'centrifuge_step':
+                this.convertCentrifuge(block);
+                break;
+            case 'measurement_step':
+                this.convertMeasurement(block);
+                break;
+            case 'qpcr_system':
+                this.convertQpcr(block);
+                break;
+            default:
+                if (!this.declarationBlocks.includes(type)) {
+                    this.addError(block, null, 'no Autoprotocol instruction for this block');
+                }
+        }
+    }
+
+    // Loops are unrolled, so the count has to be known up front
+    convertRepeat(block) {
+        const times = this.numberInput(block, 'TIMES');
+        if (times === null) {
+            this.addError(block, 'TIMES', 'repeat count must be a number to unroll the loop');
+            return;
+        }
+        for (let i = 0; i < times; i++) {
+            this.convertStatement(block, 'DO');
+        }
+    }
+
+    convertTransfer(block) {
+        const method = this.fieldValue(block, 'METHOD');
+        const tipType = this.fieldValue(block, 'TIP_TYPE');
+        const volume = this.numberInput(block, 'VOLUME', 'μL');
+        const source = this.wellsInput(block, 'SOURCE');
+        const destination = this.wellsInput(block, 'DESTINATION');
+
+        if (method !== 'PIPETTE') {
+            this.addError(block, 'METHOD', `"${method}" transfers have no Autoprotocol equivalent; only pipetting is supported`);
+        }
+        if (volume === null) {
+            this.addError(block, 'VOLUME', 'volume must be a number');
+        }
+        if (!source) this.addError(block, 'SOURCE', 'source location is required');
+        if (!destination) this.addError(block, 'DESTINATION', 'destination location is required');
+        if (tipType && tipType !== 'STANDARD') {
+            this.warnings.push(`transfer_step (block ${this.blockId(block)}): tip type ${tipType} is chosen by the lab`);
+        }
+        if (method !== 'PIPETTE' || volume === null || !source || !destination) return;
+
+        const amount = `${volume}:microliter`;
+        let group;
+        if (source.length === 1 && destination.length > 1) {
+            group = { distribute: { from: source[0], to: destination.map(well => ({ well, volume: amount })) } };
+        } else if (source.length > 1 && destination.length === 1) {
+            group = { consolidate: { to: destination[0], from: source.map(well => ({ well, volume: amount })) } };
+        } else if (source.length === destination.length) {
+            group = { transfer: source.map((well, i) => ({ from: well, to: destination[i], volume: amount })) };
+        } else {
+            this.addError(block, 'DESTINATION',
+                `${source.length} source wells cannot be paired with ${destination.length} destination wells`);
+            return;
+        }
+
+        this.instructions.push({ op: 'pipette', groups: [group] });
+    }
+
+    convertIncubation(block) {
+        const container = this.useRef(this.fieldValue(block, 'SAMPLE'));
+        const temperature = this.numberInput(block, 'TEMPERATURE', '°C');
+        const time = this.numberInput(block, 'TIME', 'min');
+        const conditions = this.fieldValue(block, 'CONDITIONS');
+
+        const where = temperature === null ? null : this.incubatorLocations[Math.round(temperature)];
+        if (!where) {
+            this.addError(block, 'TEMPERATURE',
+                `${temperature === null ? 'temperature must be a number' : `${temperature} °C is not an incubator set point`}` +
+                ` (available: ${Object.keys(this.incubatorLocations).join(', ')} °C)`);
+        }
+        if (time === null) {
+            this.addError(block, 'TIME', 'duration must be a number');
+        }
+        if (conditions === 'ROTATING') {
+            this.addError(block, 'CONDITIONS', 'rotating incubation is not available; use static or shaking');
+        }
+        if (this.valueBlock(block, 'HUMIDITY')) {
+            this.addError(block, 'HUMIDITY', 'incubator humidity cannot be specified');
+        }
+        if (!where || time === null || conditions === 'ROTATING') return;
+
+        this.instructions.push({
+            op: 'incubate',
+            object: container,
+            where,
+            duration: `${time}:minute`,
+            shaking: conditions === 'SHAKING'
+        });
+    }
+
+    convertCentrifuge(block) {
+        const container = this.containerInput(block, 'SAMPLE');
+        const speed = this.numberInput(block, 'SPEED', 'rpm');
+        const time = this.numberInput(block, 'TIME', 'min');
+        const temperature = this.numberInput(block, 'TEMPERATURE', '°C');
+        const acceleration = this.fieldValue(block, 'ACCELERATION');
+
+        if (speed === null) {
+            this.addError(block, 'SPEED', 'speed must be a number');
+        } else if (!this.rotorRadiusCm) {
+            this.addError(block, 'SPEED', 'speed is in rpm but spin needs g; set rotorRadiusCm to convert it');
+        }
+        if (time === null) {
+            this.addError(block, 'TIME', 'duration must be a number');
+        }
+        if (temperature !== null && Math.round(temperature) !== 22) {
+            this.addError(block, 'TEMPERATURE', 'spins run at ambient temperature');
+        }
+        if (acceleration && acceleration !== 'FAST') {
+            this.addError(block, 'ACCELERATION', `${acceleration.toLowerCase()} acceleration ramps cannot be specified`);
+        }
+        if (speed === null || !this.rotorRadiusCm || time === null) return;
+
+        // Relative centrifugal force: 1.118e-5 x radius (cm) x rpm^2
+        const g = Math.round(1.118e-5 * this.rotorRadiusCm * speed * speed);
+        this.instructions.push({
+            op: 'spin',
+            object: container,
+            acceleration: `${g}:g`,
+            duration: `${time}:minute`
+        });
+    }
+
+    convertMeasurement(block) {
+        const type = this.fieldValue(block, 'MEASUREMENT_TYPE');
+        const wells = this.wellsInput(block, 'SAMPLE');
+        const wavelength = this.numberInput(block, 'WAVELENGTH', 'nm');
+        const dataref = this.fieldValue(block, 'RESULT_VAR');
+
+        if (!wells) {
+            this.addError(block, 'SAMPLE', 'sample wells are required');
+            return;
+        }
+        const container = wells[0].split('/')[0];
+
+        switch (type) {
+            case 'ABSORBANCE':
+            case 'OD':
+                if (wavelength === null) {
+                    this.addError(block, 'WAVELENGTH', 'absorbance needs a wavelength');
+                    return;
+                }
+                this.instructions.push({
+                    op: 'absorbance',
+                    object: container,
+                    wells: wells.map(well => well.split('/')[1]),
+                    wavelength: `${wavelength}:nanometer`,
+                    num_flashes: 25,
+                    dataref
+                });
+                break;
+            case 'LUMINESCENCE':
+                this.instructions.push({
+                    op: 'luminescence',
+                    object: container,
+                    wells: wells.map(well => well.split('/')[1]),
+                    dataref
+                });
+                break;
+            case 'VOLUME':
+                this.instructions.push({ op: 'measure_volume', object: wells, dataref });
+                break;
+            case 'MASS':
+                this.instructions.push({ op: 'measure_mass', object: container, dataref });
+                break;
+            case 'FLUORESCENCE':
+                this.addError(block, 'WAVELENGTH', 'fluorescence needs both excitation and emission wavelengths');
+                break;
+            default:
+                this.addError(block, 'MEASUREMENT_TYPE', `${type} measurements have no Autoprotocol instruction`);
+        }
+    }
+
+    // qPCR becomes a seal followed by a thermocycle that reads every cycle
+    convertQpcr(block) {
+        const wells = this.wellsInput(block, 'SAMPLE');
+        const chemistry = this.fieldValue(block, 'CHEMISTRY');
+        const volume = parseFloat(this.fieldValue(block, 'VOLUME'));
+        const temperature = (name, fallback) => {
+            const value = this.numberInput(block, name, '°C');
+            if (value === null && this.valueBlock(block, name)) {
+                this.addError(block, name, 'temperature must be a number');
+            }
+            return `${value === null ? fallback : value}:celsius`;
+        };
+
+        if (!wells) {
+            this.addError(block, 'SAMPLE', 'sample wells are required');
+        }
+        if (!this.qpcrDyes[chemistry]) {
+            this.addError(block, 'CHEMISTRY', `${chemistry} chemistry has no Autoprotocol dye; use SYBR Green or TaqMan`);
+        }
+        const cycles = this.valueBlock(block, 'CYCLES') ? this.numberInput(block, 'CYCLES') : 40;
+        if (cycles === null) {
+            this.addError(block, 'CYCLES', 'cycle count must be a number');
+        }
+        const initialTime = this.valueBlock(block, 'INITIAL_DENATURATION_TIME')
+            ? this.numberInput(block, 'INITIAL_DENATURATION_TIME', 'min')
+            : 10;
+        if (initialTime === null) {
+            this.addError(block, 'INITIAL_DENATURATION_TIME', 'duration must be a number');
+        }
+
+        const groups = [
+            { cycles: 1, steps: [{ temperature: temperature('INITIAL_DENATURATION_TEMP', 95), duration: `${initialTime}:minute` }] },
+            {
+                cycles,
+                steps: [
+                    { temperature: temperature('DENATURATION_TEMP', 95), duration: '15:second' },
+                    { temperature: temperature('ANNEALING_TEMP', 60), duration: '30:second', read: true },
+                    { temperature: temperature('EXTENSION_TEMP', 72), duration: '30:second' }
+                ]
+            }
+        ];
+        if (!wells || !this.qpcrDyes[chemistry] || cycles === null || initialTime === null) return;
+
+        const container = wells[0].split('/')[0];
+        this.refs[container].new = '96-pcr';
+        this.warnings.push(`qpcr_system (block ${this.blockId(block)}): instrument ${this.fieldValue(block, 'SYSTEM')} is chosen by the lab`);
+
+        const thermocycle = {
+            op: 'thermocycle',
+            object: container,
+            groups,
+            volume: `${volume}:microliter`,
+            dataref: this.fieldValue(block, 'RESULT_VAR'),
+            dyes: { [this.qpcrDyes[chemistry]]: wells.map(well => well.split('/')[1]) }
+        };
+        if (this.fieldValue(block, 'MELT_CURVE') === 'TRUE') {
+            Object.assign(thermocycle, {
+                melting_start: '65:celsius',
+                melting_end: '95:celsius',
+                melting_increment: '0.5:celsius',
+                melting_rate: '5:second'
+            });
+        }
+
+        this.instructions.push({ op: 'seal', object: container, type: 'ultra-clear' });
+        this.instructions.push(thermocycle);
+    }
+
+    // Declare a container the first time it is used
+    useRef(name) {
+        const ref = String(name || 'plate').trim().replace(/[^A-Za-z0-9_]/g, '_');
+        if (!this.refs[ref]) {
+            let type = '96-flat';
+            if (/reservoir|trough/i.test(ref)) type = 'res-sw96-hp';
+            if (/tube/i.test(ref)) type = 'micro-1.5';
+            this.refs[ref] = { new: type, store: { where: 'cold_4' } };
+        }
+        return ref;
+    }
+
+    // A location is "container", "container:A1", "container:A1,B1" or "container:A1-H1", with
+    // wells laid out as the container's labware_definition says (a 96-well plate otherwise)
+    wellsInput(block, name) {
+        const spec = this.locationInput(block, name);
+        if (!spec) return null;
+
+        const [containerName, wellSpec] = spec.split(':');
+        const container = this.useRef(containerName);
+        if (!wellSpec) return [`${container}/A1`];
+
+        const formatId = this.labwareFormats[containerName.trim()] || 'PLATE_96';
+        const format = Labware.getFormat(formatId);
+        if (!format) {
+            this.addError(block, name, `${containerName.trim()} has an unknown labware format ${formatId}`);
+            return null;
+        }
+        try {
+            return Labware.expandWells(wellSpec, format).map(well => `${container}/${well}`);
+        } catch (error) {
+            this.addError(block, name, error.message);
+            return null;
+        }
+    }
+
+    containerInput(block, name) {
+        const spec = this.locationInput(block, name);
+        return this.useRef(spec ? spec.split(':')[0] : 'plate');
+    }
+
+    locationInput(block, name) {
+        const target = this.valueBlock(block, name);
+        if (!target) return null;
+
+        const type = target.getAttribute('type');
+        if (type === 'text') return this.fieldValue(target, 'TEXT');
+        if (type === 'get_variable') return this.fieldValue(target, 'VAR_NAME');
+        return this.fieldValue(target, 'NAME');
+    }
+
+    // Number plugged into an input, with quantity blocks converted into the unit the input
+    // expects (as in its label); null when there is no number or the units do not convert
+    numberInput(block, name, unit = null) {
+        const target = this.valueBlock(block, name);
+        if (!target) return null;
+        if (target.getAttribute('type') === 'quantity') {
+            const quantity = { value: this.fieldValue(target, 'VALUE'), unit: this.fieldValue(target, 'UNIT') };
+            if (!unit) {
+                this.addError(block, name, `expects a plain number, not ${Quantity.format(quantity)}`);
+                return null;
+            }
+            try {
+                return Quantity.convert(quantity, unit);
+            } catch (error) {
+                this.addError(block, name, error.message);
+                return null;
+            }
+        }
+        if (target.getAttribute('type') !== 'math_number') return null;
+        const value = parseFloat(this.fieldValue(target, 'NUM'));
+        return isNaN(value) ? null : value;
+    }
+
+    // Connected block of a value input (a shadow block if nothing else is plugged in)
+    valueBlock(block, name) {
+        const value = this.childElements(block, 'value').find(v => v.getAttribute('name') === name);
+        if (!value) return null;
+        return this.childElements(value, 'block')[0] || this.childElements(value, 'shadow')[0] || null;
+    }
+
+    fieldValue(block, name) {
+        const field = this.childElements(block, 'field').find(f => f.getAttribute('name') === name);
+        return field ? field.textContent : null;
+    }
+
+    childElements(element, tagName) {
+        return Array.from(element.childNodes).filter(node => node.nodeType === 1 && node.nodeName === tagName);
+    }
+
+    blockId(block) {
+        return block.getAttribute('id') || 'without id';
+    }
+
+    // Only the first problem found with a field is reported
+    addError(block, field, message) {
+        if (field && this.errors.some(error => error.blockId === this.blockId(block) && error.field === field)) return;
+        this.errors.push({
+            blockType: block.getAttribute('type'),
+            blockId: this.blockId(block),
+            field,
+            message
+        });
+    }
+}
+
+// protocols.io Importer - Map a protocols.io JSON export onto experiment blocks
+class ProtocolsIoImporter {
+    constructor() {
+        this.durationUnits = [
+            { pattern: 'hours?|hrs?|h', seconds: 3600 },
+            { pattern: 'minutes?|mins?', seconds: 60 },
+            { pattern: 'seconds?|secs?|s', seconds: 1 }
+        ];
+
+        this.incubationWords = /\b(incubat\w*|heat\w*|chill\w*|cool\w*|warm\w*|denatur\w*|keep|store)\b/i;
+        this.waitWords = /\b(wait|let|allow|stand|rest|pause|leave|sit)\b/i;
+        this.preparationWords = /\b(prepare|make|dissolve|add|mix|dilute|combine|resuspend|pipette|transfer|aliquot|weigh)\b/i;
+    }
+
+    // Exports come as {protocol: {...}}, {payload: {...}} or the bare protocol object
+    static isProtocolsIoExport(data) {
+        const protocol = data && (data.protocol || data.payload || data);
+        return !!(protocol && Array.isArray(protocol.steps) && (protocol.title || protocol.uri || protocol.doi));
+    }
+
+    // Returns the workspace XML plus metadata for ProtocolStorage.saveProtocol
+    convert(data) {
+        const protocol = data.protocol || data.payload || data;
+        this.reagents = new Map();   // variable name -> display name
+        this.unmapped = 0;
+
+        (protocol.materials || protocol.reagents || []).forEach(material => {
+            this.addReagent(material.name || material.title);
+        });
+
+        // Group steps by section so each section becomes its own sequence
+        const sections = [];
+        (protocol.steps || []).forEach((step, index) => {
+            const section = this.stripHtml(this.stepSection(step)) || '';
+            let group = sections[sections.length - 1];
+            if (!group || group.title !== section) {
+                group = { title: section, blocks: [] };
+                sections.push(group);
+            }
+            group.blocks.push(this.convertStep(step, index + 1));
+        });
+
+        let steps;
+        if (sections.length > 1 || (sections[0] && sections[0].title)) {
+            steps = sections.map((section, index) => this.block('protocol_sequence', {
+                NAME: section.title || `section_${index + 1}`,
+                DESCRIPTION: ''
+            }, {}, { STEPS: this.chain(section.blocks) }));
+        } else {
+            steps = sections.length > 0 ? sections[0].blocks : [];
+        }
+
+        const reagentBlocks = Array.from(this.reagents.entries()).map(([name, display]) =>
+            this.block('reagent_variable', { NAME: name, UNITS: 'X', STORAGE: 'RT', DESCRIPTION: display }));
+
+        const title = this.stripHtml(protocol.title) || 'Imported protocol';
+        const source = protocol.doi || protocol.uri || protocol.url;
+        const description = [this.richText(protocol.description), source ? `Imported from protocols.io: ${source}` : '']
+            .filter(Boolean).join('\n\n');
+        const sequence = this.block('protocol_sequence', {
+            NAME: title,
+            DESCRIPTION: description.slice(0, 200)
+        }, {}, { STEPS: this.chain(reagentBlocks.concat(steps)) }, 'x="20" y="20"');
+
+        return {
+            xml: `<xml xmlns="https://developers.google.com/blockly/xml">${sequence}</xml>`,
+            metadata: {
+                name: title,
+                description,
+                tags: (protocol.keywords ? String(protocol.keywords).split(',') : []).map(tag => tag.trim()).filter(Boolean)
+                    .concat('protocols.io'),
+                category: 'Imported'
+            },
+            unmappedSteps: this.unmapped
+        };
+    }
+
+    // Pick the block a step maps to from what its text and components say
+    convertStep(step, number) {
+        const text = this.stepText(step);
+        const structured = this.stepComponents(step);
+        const duration = structured.duration !== null ? structured.duration : this.parseDuration(text);
+        const temperature = structured.temperature !== null ? structured.temperature : this.parseTemperature(text);
+        const reagents = structured.reagents.concat(this.parseReagents(text));
+        reagents.forEach(reagent => this.addReagent(reagent));
+
+        const comment = `Step ${number}: ${text}`;
+
+        if (temperature !== null && (duration !== null || this.incubationWords.test(text))) {
+            return this.block('incubation_step', {
+                SAMPLE: 'sample',
+                CONDITIONS: /shak/i.test(text) ? 'SHAKING' : /rotat|invert/i.test(text) ? 'ROTATING' : 'STATIC'
+            }, {
+                TEMPERATURE: this.number(temperature),
+                TIME: duration !== null ? this.number(this.round(duration / 60)) : null
+            }, {}, '', comment);
+        }
+
+        if (duration !== null && (this.waitWords.test(text) || this.incubationWords.test(text) || text.split(/\s+/).length <= 6)) {
+            const [value, units] = duration >= 7200 ? [duration / 3600, 'HOURS']
+                : duration >= 60 ? [duration / 60, 'MINUTES'] : [duration, 'SECONDS'];
+            return this.block('wait_step', {
+                TIME_UNITS: units,
+                REASON: this.truncate(text, 60)
+            }, { TIME: this.number(this.round(value)) }, {}, '', comment);
+        }
+
+        if (reagents.length > 0 || this.preparationWords.test(text)) {
+            const verb = (text.match(this.preparationWords) || ['prepare'])[0].toLowerCase();
+            const conditions = [];
+            if (temperature !== null) conditions.push(`${temperature} °C`);
+            if (duration !== null) conditions.push(`${this.round(duration / 60)} min`);
+
+            return this.block('preparation_step', {
+                WHAT: reagents.length > 0 ? reagents[0] : this.truncate(text, 40),
+                METHOD: verb
+            }, {
+                MATERIALS: reagents.length > 0 ? this.text(Array.from(new Set(reagents)).join(', ')) : null,
+                CONDITIONS: conditions.length > 0 ? this.text(conditions.join(', ')) : null
+            }, {}, '', comment);
+        }
+
+        this.unmapped++;
+        return this.block('observation_step', {
+            SAMPLE: 'sample',
+            OBSERVATION: text,
+            RECORD_VAR: `step_${number}`
+        });
+    }
+
+    stepSection(step) {
+        const component = (step.components || []).find(c => c.type_id === 6 || c.name === 'section');
+        if (component && component.source) return component.source.title || component.source.section;
+        return step.section || step.section_title || '';
+    }
+
+    // Step text lives in a Draft.js document, an HTML description component or a plain field
+    stepText(step) {
+        const parts = [];
+        if (step.step) parts.push(this.richText(step.step));
+        (step.components || [])
+            .filter(c => c.type_id === 1 || c.name === 'description')
+            .forEach(c => parts.push(this.richText(c.source && (c.source.description || c.source.body))));
+        if (parts.length === 0 && (step.description || step.text)) {
+            parts.push(this.richText(step.description || step.text));
+        }
+        return parts.filter(Boolean).join(' ').replace(/\s+/g, ' ').trim();
+    }
+
+    // Durations, temperatures and reagents that protocols.io stores as typed data
+    stepComponents(step) {
+        const result = { duration: null, temperature: null, reagents: [] };
+        const entities = (step.components || []).map(c => ({ type: c.type_id, name: c.name, data: c.source || {} }));
+
+        const draft = this.parseDraft(step.step);
+        if (draft && draft.entityMap) {
+            Object.values(draft.entityMap).forEach(entity => {
+                entities.push({ name: String(entity.type || '').toLowerCase(), data: entity.data || {} });
+            });
+        }
+
+        entities.forEach(({ type, name, data }) => {
+            if ((type === 4 || name === 'duration') && data.duration !== undefined) {
+                result.duration = (result.duration || 0) + parseFloat(data.duration);
+            } else if ((type === 24 || name === 'temperature') && data.temperature !== undefined) {
+                const value = parseFloat(data.temperature);
+                result.temperature = /F/.test(data.unit || '') ? this.round((value - 32) * 5 / 9) : value;
+            } else if ((type === 19 || type === 20 || name === 'reagent') && (data.name || data.title)) {
+                result.reagents.push(this.stripHtml(data.name || data.title));
+            }
+        });
+        return result;
+    }
+
+    parseDuration(text) {
+        if (/\bovernight\b|\bo\/n\b/i.test(text)) return 16 * 3600;
+
+        let total = null;
+        this.durationUnits.forEach(({ pattern, seconds }) => {
+            const regex = new RegExp(`(\\d+(?:\\.\\d+)?)(?:\\s*[-–]\\s*(\\d+(?:\\.\\d+)?))?\\s*(?:${pattern})\\b`, 'gi');
+            let match;
+            while ((match = regex.exec(text)) !== null) {
+                // Ranges such as "10-15 min" take the upper bound
+                total = (total || 0) + parseFloat(match[2] || match[1]) * seconds;
+            }
+        });
+        return total;
+    }
+
+    parseTemperature(text) {
+        const match = text.match(/(-?\d+(?:\.\d+)?)\s*(?:°|º|degrees?\s*)\s*([CF])\b/i);
+        if (match) {
+            const value = parseFloat(match[1]);
+            return match[2].toUpperCase() === 'F' ? this.round((value - 32) * 5 / 9) : value;
+        }
+        if (/\broom temperature\b|\bRT\b/.test(text)) return 22;
+        if (/\bon ice\b/i.test(text)) return 4;
+        return null;
+    }
+
+    // Known materials mentioned in the text, plus "50 µl of <reagent>" phrases
+    parseReagents(text) {
+        const found = [];
+        this.reagents.forEach(display => {
+            if (display && text.toLowerCase().includes(display.toLowerCase())) found.push(display);
+        });
+
+        const regex = /\d+(?:\.\d+)?\s*(?:µl|μl|ul|ml|l|mg|g|µg|μg)\s+(?:of\s+)?([A-Za-z][\w\- ]{1,40}?)(?=\s*(?:[,.;()]|\b(?:to|into|and|in|per|for|from|with)\b|$))/gi;
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+            const name = match[1].trim();
+            if (!found.some(r => r.toLowerCase() === name.toLowerCase())) found.push(name);
+        }
+        return found;
+    }
+
+    addReagent(name) {
+        if (!name) return;
+        const display = this.stripHtml(name);
+        const variable = display.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+        if (variable && !this.reagents.has(variable)) {
+            this.reagents.set(variable, display);
+        }
+    }
+
+    parseDraft(value) {
+        if (typeof value !== 'string' || !value.trim().startsWith('{')) return null;
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Plain text from a Draft.js document, HTML or a plain string
+    richText(value) {
+        if (!value) return '';
+        const draft = this.parseDraft(value);
+        if (draft && Array.isArray(draft.blocks)) {
+            return draft.blocks.map(block => block.text).join('\n').trim();
+        }
+        return this.stripHtml(value);
+    }
+
+    stripHtml(value) {
+        return String(value || '')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<[^>]+>/g, ' ')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&amp;/g, '&')
+            .replace(/[ \t]+/g, ' ')
+            .trim();
+    }
+
+    truncate(text, length) {
+        return text.length > length ? text.slice(0, length - 1).trim() + '…' : text;
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    // XML helpers
+    escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    block(type, fields = {}, values = {}, statements = {}, attributes = '', comment = '') {
+        let xml = `<block type="${type}"${attributes ? ' ' + attributes : ''}>`;
+        Object.entries(fields).forEach(([name, value]) => {
+            xml += `<field name="${name}">${this.escapeXml(value)}</field>`;
+        });
+        if (comment) {
+            xml += `<comment pinned="false">${this.escapeXml(comment)}</comment>`;
+        }
+        Object.entries(values).forEach(([name, value]) => {
+            if (value) xml += `<value name="${name}">${value}</value>`;
+        });
+        Object.entries(statements).forEach(([name, value]) => {
+            if (value) xml += `<statement name="${name}">${value}</statement>`;
+        });
+        return xml + '</block>';
+    }
+
+    // Nest blocks through <next> so they run one after another. The replacement is a function so
+    // that "$&" or "$'" in step text is not read as a replacement pattern.
+    chain(blocks) {
+        return blocks.reduceRight((next, block) =>
+            next ? block.replace(/<\/block>$/, () => `<next>${next}</next></block>`) : block, '');
+    }
+
+    number(value) {
+        return this.block('math_number', { NUM: value });
+    }
+
+    text(value) {
+        return this.block('text', { TEXT: value });
+    }
+}
+
 // Protocol Templates System
+// A template is a saved protocol with parameters: values the author left open, each with a
+// type, range and default and the block fields it fills ({ blockId, field }). Instantiating a
+// template writes a parameter set into those fields and saves the result as a new protocol.
+// The rules mirror protocolTemplateService on the server.
 class ProtocolTemplates {
     constructor(storage) {
         this.storage = storage;
+        this.parameterTypes = ['number', 'integer', 'text', 'choice', 'boolean'];
+        // Value blocks shown as the value of the input they fill in previews
+        this.literalBlockTypes = ['math_number', 'quantity', 'text', 'logic_boolean'];
         this.loadDefaultTemplates();
     }
     
@@ -411,26 +1242,31 @@ class ProtocolTemplates {
                 description: 'Basic DNA extraction protocol template',
                 category: 'Molecular Biology',
                 tags: ['DNA', 'extraction', 'template'],
-                xml: this.getDNAExtractionTemplate()
+                xml: this.getDNAExtractionTemplate(),
+                parameters: this.getDNAExtractionParameters()
             },
             {
                 name: 'PCR Amplification Template',
                 description: 'Standard PCR protocol template',
                 category: 'Molecular Biology',
                 tags: ['PCR', 'amplification', 'template'],
-                xml: this.getPCRTemplate()
+                xml: this.getPCRTemplate(),
+                parameters: this.getPCRParameters()
             },
             {
                 name: 'Cell Culture Template',
                 description: 'Basic cell culture maintenance protocol',
                 category: 'Cell Biology',
                 tags: ['cell culture', 'maintenance', 'template'],
-                xml: this.getCellCultureTemplate()
+                xml: this.getCellCultureTemplate(),
+                parameters: this.getCellCultureParameters()
             }
         ];
         
         templates.forEach(template => {
             const existingTemplates = this.storage.searchProtocols(template.name);
+            const existing = existingTemplates.find(protocol => protocol.name === template.name && protocol.readonly);
+            
             if (existingTemplates.length === 0) {
                 this.storage.saveProtocol(
                     { xml: template.xml },
@@ -438,11 +1274,410 @@ class ProtocolTemplates {
                         ...template,
                         readonly: true,
                         shared: true,
-                        version: '1.0'
+                        version: '1.0',
+                        isTemplate: true,
+                        templateParameters: template.parameters
                     }
                 );
+            } else if (existing && !existing.is_template) {
+                // Templates seeded before parameters existed
+                this.storage.updateProtocol(existing.id, {
+                    workspace_xml: template.xml,
+                    is_template: true,
+                    template_parameters: template.parameters
+                });
+            }
+        });
+    }
+    
+    // Templates for the gallery, with the same search and filters as the protocol list
+    getTemplates(query = '', filters = {}) {
+        return this.storage.searchProtocols(query, filters).filter(protocol => protocol.is_template);
+    }
+    
+    // Mark a saved protocol as a template with the given parameters; returns the problems found
+    makeTemplate(protocolId, parameters) {
+        const protocol = this.storage.loadProtocol(protocolId);
+        const errors = this.validateDefinitions(parameters, protocol.workspace_xml);
+        if (errors.length === 0) {
+            this.storage.updateProtocol(protocolId, {
+                is_template: true,
+                template_parameters: parameters
+            });
+        }
+        return errors;
+    }
+    
+    // Check parameter definitions against the template's blocks
+    validateDefinitions(parameters, workspaceXml) {
+        const errors = [];
+        const dom = this.parseXml(workspaceXml);
+        const names = new Set();
+        
+        parameters.forEach(parameter => {
+            const name = parameter.name;
+            if (!name || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+                errors.push({ parameter: name || null, message: 'Parameter name must start with a letter or underscore and use only letters, digits and underscores' });
+                return;
+            }
+            if (names.has(name)) {
+                errors.push({ parameter: name, message: 'Parameter is defined more than once' });
+            }
+            names.add(name);
+            
+            if (!this.parameterTypes.includes(parameter.type)) {
+                errors.push({ parameter: name, message: `Unknown parameter type: ${parameter.type}` });
+                return;
+            }
+            if (parameter.type === 'choice' && (!parameter.options || parameter.options.length === 0)) {
+                errors.push({ parameter: name, message: 'Choice parameter needs at least one option' });
+            }
+            if (parameter.default !== undefined && parameter.default !== null) {
+                const result = this.coerceValue(parameter.default, parameter);
+                if (result.error) errors.push({ parameter: name, message: `Default ${result.error}` });
+            }
+            
+            (parameter.targets || []).forEach(target => {
+                if (!this.findField(dom, target.blockId, target.field)) {
+                    errors.push({ parameter: name, message: `Field ${target.field} of block ${target.blockId} is not in the template` });
+                }
+            });
+            if (!parameter.targets || parameter.targets.length === 0) {
+                errors.push({ parameter: name, message: 'Parameter does not fill any block field' });
+            }
+        });
+        
+        return errors;
+    }
+    
+    // Coerce a value to a parameter's type and check its range, pattern or options
+    coerceValue(value, parameter) {
+        let coerced = value;
+        const unit = parameter.unit ? ` ${parameter.unit}` : '';
+        
+        switch (parameter.type) {
+            case 'boolean':
+                coerced = value === true || value === 'TRUE' || value === 'true';
+                break;
+            case 'number':
+            case 'integer':
+                coerced = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+                if (isNaN(coerced)) return { error: 'must be a number' };
+                if (parameter.type === 'integer' && !Number.isInteger(coerced)) return { error: 'must be a whole number' };
+                if (parameter.min !== undefined && parameter.min !== null && coerced < Number(parameter.min)) {
+                    return { error: `must be at least ${parameter.min}${unit}` };
+                }
+                if (parameter.max !== undefined && parameter.max !== null && coerced > Number(parameter.max)) {
+                    return { error: `must be at most ${parameter.max}${unit}` };
+                }
+                break;
+            case 'text':
+                coerced = String(value).trim();
+                if (parameter.pattern && !new RegExp(parameter.pattern).test(coerced)) {
+                    return { error: `must match ${parameter.pattern}` };
+                }
+                break;
+            case 'choice':
+                coerced = String(value);
+                if (!parameter.options.map(String).includes(coerced)) {
+                    return { error: `must be one of ${parameter.options.join(', ')}` };
+                }
+                break;
+        }
+        
+        return { value: coerced };
+    }
+    
+    // Fill in defaults and check every value; returns { values, errors }
+    resolveValues(parameters, values = {}) {
+        const resolved = {};
+        const errors = [];
+        
+        parameters.forEach(parameter => {
+            let value = values[parameter.name];
+            if (value === undefined || value === null || value === '') {
+                if (parameter.default !== undefined && parameter.default !== null) {
+                    value = parameter.default;
+                } else if (parameter.required !== false) {
+                    errors.push({ parameter: parameter.name, message: `${parameter.label || parameter.name} is required` });
+                    return;
+                } else {
+                    return;
+                }
+            }
+            
+            const result = this.coerceValue(value, parameter);
+            if (result.error) {
+                errors.push({ parameter: parameter.name, message: `${parameter.label || parameter.name} ${result.error}` });
+            } else {
+                resolved[parameter.name] = result.value;
+            }
+        });
+        
+        return { values: resolved, errors };
+    }
+    
+    // Template XML with each value written to the fields its parameter targets
+    applyValues(workspaceXml, parameters, values) {
+        const dom = this.parseXml(workspaceXml);
+        
+        parameters.filter(parameter => values[parameter.name] !== undefined).forEach(parameter => {
+            const value = values[parameter.name];
+            const text = parameter.type === 'boolean' ? (value ? 'TRUE' : 'FALSE') : String(value);
+            parameter.targets.forEach(target => {
+                const field = this.findField(dom, target.blockId, target.field);
+                if (field) field.textContent = text;
+            });
+        });
+        
+        return new XMLSerializer().serializeToString(dom);
+    }
+    
+    /**
+     * Create a protocol from a template and a parameter set. Throws with the list of
+     * problems when a value is missing or out of range.
+     */
+    instantiate(templateId, values = {}, metadata = {}) {
+        const template = this.storage.loadProtocol(templateId);
+        const parameters = template.template_parameters || [];
+        const resolved = this.resolveValues(parameters, values);
+        
+        if (resolved.errors.length > 0) {
+            const error = new Error(resolved.errors.map(problem => problem.message).join('; '));
+            error.details = resolved.errors;
+            throw error;
+        }
+        
+        return this.storage.saveProtocol(
+            { xml: this.applyValues(template.workspace_xml, parameters, resolved.values) },
+            {
+                name: metadata.name || template.name.replace(/ Template$/, ''),
+                description: metadata.description || template.description,
+                category: template.category,
+                tags: template.tags.filter(tag => tag !== 'template'),
+                version: '1.0',
+                shared: metadata.shared || false,
+                templateValues: {
+                    templateId: template.id,
+                    templateVersion: template.version,
+                    values: resolved.values
+                }
             }
+        );
+    }
+    
+    /**
+     * Outline of a template's blocks for the gallery, one row per step in reading order.
+     * Rows name the parameters that fill them; values, when given, are written in first.
+     */
+    preview(template, values = null) {
+        const parameters = template.template_parameters || [];
+        const xml = values ? this.applyValues(template.workspace_xml, parameters, values) : template.workspace_xml;
+        const dom = this.parseXml(xml);
+        
+        const filledBy = {};
+        parameters.forEach(parameter => {
+            (parameter.targets || []).forEach(target => {
+                const block = this.findBlock(dom, target.blockId);
+                if (!block) return;
+                // Literal values are shown on the block they plug into
+                const row = this.literalBlockTypes.includes(block.getAttribute('type')) ? this.parentBlock(block) || block : block;
+                const rowId = row.getAttribute('id');
+                filledBy[rowId] = filledBy[rowId] || [];
+                if (!filledBy[rowId].includes(parameter.name)) filledBy[rowId].push(parameter.name);
+            });
         });
+        
+        const rows = [];
+        Array.from(dom.getElementsByTagName('block'))
+            .filter(block => !this.literalBlockTypes.includes(block.getAttribute('type')) || !this.parentBlock(block))
+            .forEach(block => {
+                const details = [
+                    ...this.childElements(block, 'field').map(field => `${field.getAttribute('name')}=${field.textContent}`),
+                    ...this.childElements(block, 'value')
+                        .map(input => [input.getAttribute('name'), this.childElements(input, 'block')[0]])
+                        .filter(([, child]) => child && this.literalBlockTypes.includes(child.getAttribute('type')))
+                        .map(([name, child]) => `${name}=${this.literalText(child)}`)
+                ];
+                rows.push({
+                    blockId: block.getAttribute('id'),
+                    depth: this.blockDepth(block),
+                    text: `${block.getAttribute('type')}${details.length > 0 ? ': ' + details.join(', ') : ''}`,
+                    parameters: filledBy[block.getAttribute('id')] || []
+                });
+            });
+        
+        return rows;
+    }
+    
+    literalText(block) {
+        return this.childElements(block, 'field').map(field => field.textContent).join(' ');
+    }
+    
+    parseXml(workspaceXml) {
+        return new DOMParser().parseFromString(workspaceXml, 'text/xml');
+    }
+    
+    findBlock(dom, blockId) {
+        return Array.from(dom.getElementsByTagName('block'))
+            .concat(Array.from(dom.getElementsByTagName('shadow')))
+            .find(block => block.getAttribute('id') === blockId) || null;
+    }
+    
+    // A block's own field; fields of nested blocks are not searched
+    findField(dom, blockId, fieldName) {
+        const block = this.findBlock(dom, blockId);
+        if (!block) return null;
+        return this.childElements(block, 'field').find(field => field.getAttribute('name') === fieldName) || null;
+    }
+    
+    parentBlock(block) {
+        let current = block.parentNode;
+        while (current && current.nodeType === 1) {
+            if (current.tagName === 'block') return current;
+            current = current.parentNode;
+        }
+        return null;
+    }
+    
+    // Nesting depth, counting statement inputs only; next blocks stay at their chain's depth
+    blockDepth(block) {
+        let depth = 0;
+        let current = block.parentNode;
+        while (current && current.nodeType === 1) {
+            if (current.tagName === 'statement' || current.tagName === 'value') depth++;
+            current = current.parentNode;
+        }
+        return depth;
+    }
+    
+    childElements(element, tagName) {
+        return Array.from(element.children).filter(child => child.tagName === tagName);
+    }
+    
+    getDNAExtractionParameters() {
+        return [
+            {
+                name: 'sample_type',
+                label: 'Sample type',
+                type: 'choice',
+                options: ['TISSUE', 'SERUM', 'PLASMA', 'CELLS', 'OTHER'],
+                default: 'TISSUE',
+                targets: [{ blockId: 'dna_sample', field: 'TYPE' }]
+            },
+            {
+                name: 'lysis_buffer',
+                label: 'Lysis buffer',
+                type: 'text',
+                pattern: '^[A-Za-z][A-Za-z0-9_]*$',
+                default: 'lysis_buffer',
+                description: 'Reagent name, as used in later steps',
+                targets: [{ blockId: 'dna_lysis_buffer', field: 'NAME' }]
+            },
+            {
+                name: 'mixing_method',
+                label: 'Mixing method',
+                type: 'choice',
+                options: ['VORTEX', 'PIPETTE', 'MAGNETIC', 'MANUAL'],
+                default: 'VORTEX',
+                targets: [{ blockId: 'dna_mixing', field: 'METHOD' }]
+            },
+            {
+                name: 'lysis_temperature',
+                label: 'Lysis temperature',
+                type: 'number',
+                unit: '°C',
+                min: 20,
+                max: 95,
+                default: 56,
+                targets: [{ blockId: 'dna_lysis_temperature', field: 'NUM' }]
+            }
+        ];
+    }
+    
+    getPCRParameters() {
+        return [
+            {
+                name: 'forward_primer',
+                label: 'Forward primer',
+                type: 'text',
+                pattern: '^[A-Za-z][A-Za-z0-9_]*$',
+                targets: [{ blockId: 'pcr_forward_primer', field: 'NAME' }]
+            },
+            {
+                name: 'reverse_primer',
+                label: 'Reverse primer',
+                type: 'text',
+                pattern: '^[A-Za-z][A-Za-z0-9_]*$',
+                targets: [{ blockId: 'pcr_reverse_primer', field: 'NAME' }]
+            },
+            {
+                name: 'annealing_temperature',
+                label: 'Annealing temperature',
+                type: 'number',
+                unit: '°C',
+                min: 45,
+                max: 72,
+                default: 60,
+                targets: [{ blockId: 'pcr_annealing_temp', field: 'NUM' }]
+            },
+            {
+                name: 'cycles',
+                label: 'PCR cycles',
+                type: 'integer',
+                min: 10,
+                max: 50,
+                default: 40,
+                targets: [{ blockId: 'pcr_cycles', field: 'NUM' }]
+            },
+            {
+                name: 'chemistry',
+                label: 'Detection chemistry',
+                type: 'choice',
+                options: ['SYBR', 'TAQMAN', 'BEACONS', 'FRET'],
+                default: 'SYBR',
+                targets: [{ blockId: 'pcr_qpcr', field: 'CHEMISTRY' }]
+            },
+            {
+                name: 'melt_curve',
+                label: 'Melt curve analysis',
+                type: 'boolean',
+                default: true,
+                targets: [{ blockId: 'pcr_qpcr', field: 'MELT_CURVE' }]
+            }
+        ];
+    }
+    
+    getCellCultureParameters() {
+        return [
+            {
+                name: 'cell_line',
+                label: 'Cell line',
+                type: 'text',
+                pattern: '^[A-Za-z][A-Za-z0-9_]*$',
+                default: 'cell_culture',
+                targets: [{ blockId: 'culture_cells', field: 'NAME' }]
+            },
+            {
+                name: 'incubation_temperature',
+                label: 'Incubation temperature',
+                type: 'number',
+                unit: '°C',
+                min: 25,
+                max: 42,
+                default: 37,
+                targets: [{ blockId: 'culture_temperature', field: 'NUM' }]
+            },
+            {
+                name: 'incubation_time',
+                label: 'Incubation time',
+                type: 'number',
+                unit: 'min',
+                min: 1,
+                default: 1440,
+                targets: [{ blockId: 'culture_time', field: 'NUM' }]
+            }
+        ];
     }
     
     getDNAExtractionTemplate() {
@@ -459,7 +1694,7 @@ class ProtocolTemplates {
                     </block>
                 </statement>
                 <statement name="STEPS">
-                    <block type="sample_variable">
+                    <block type="sample_variable" id="dna_sample">
                         <field name="NAME">biological_sample</field>
                         <field name="TYPE">TISSUE</field>
                         <field name="DESCRIPTION">Sample for DNA extraction</field>
@@ -468,17 +1703,22 @@ class ProtocolTemplates {
                                 <field name="WHAT">sample</field>
                                 <field name="METHOD">homogenization</field>
                                 <next>
-                                    <block type="reagent_variable">
+                                    <block type="reagent_variable" id="dna_lysis_buffer">
                                         <field name="NAME">lysis_buffer</field>
                                         <field name="DESCRIPTION">Cell lysis buffer</field>
                                         <next>
-                                            <block type="mixing_step">
+                                            <block type="mixing_step" id="dna_mixing">
                                                 <field name="COMPONENTS">sample with lysis buffer</field>
                                                 <field name="METHOD">VORTEX</field>
                                                 <next>
                                                     <block type="incubation_step">
                                                         <field name="SAMPLE">lysed sample</field>
                                                         <field name="CONDITIONS">STATIC</field>
+                                                        <value name="TEMPERATURE">
+                                                            <block type="math_number" id="dna_lysis_temperature">
+                                                                <field name="NUM">56</field>
+                                                            </block>
+                                                        </value>
                                                         <next>
                                                             <block type="measurement_step">
                                                                 <field name="MEASUREMENT_TYPE">ABSORBANCE</field>
@@ -516,14 +1756,37 @@ class ProtocolTemplates {
                         <field name="NAME">pcr_master_mix</field>
                         <field name="DESCRIPTION">PCR master mix with polymerase</field>
                         <next>
-                            <block type="preparation_step">
-                                <field name="WHAT">PCR reaction</field>
-                                <field name="METHOD">pipetting</field>
+                            <block type="reagent_variable" id="pcr_forward_primer">
+                                <field name="NAME">forward_primer</field>
+                                <field name="DESCRIPTION">Forward primer</field>
                                 <next>
-                                    <block type="qpcr_system">
-                                        <field name="SYSTEM">CFX96</field>
-                                        <field name="CHEMISTRY">SYBR</field>
-                                        <field name="RESULT_VAR">pcr_results</field>
+                                    <block type="reagent_variable" id="pcr_reverse_primer">
+                                        <field name="NAME">reverse_primer</field>
+                                        <field name="DESCRIPTION">Reverse primer</field>
+                                        <next>
+                                            <block type="preparation_step">
+                                                <field name="WHAT">PCR reaction</field>
+                                                <field name="METHOD">pipetting</field>
+                                                <next>
+                                                    <block type="qpcr_system" id="pcr_qpcr">
+                                                        <field name="SYSTEM">CFX96</field>
+                                                        <field name="CHEMISTRY">SYBR</field>
+                                                        <field name="MELT_CURVE">TRUE</field>
+                                                        <field name="RESULT_VAR">pcr_results</field>
+                                                        <value name="CYCLES">
+                                                            <block type="math_number" id="pcr_cycles">
+                                                                <field name="NUM">40</field>
+                                                            </block>
+                                                        </value>
+                                                        <value name="ANNEALING_TEMP">
+                                                            <block type="math_number" id="pcr_annealing_temp">
+                                                                <field name="NUM">60</field>
+                                                            </block>
+                                                        </value>
+                                                    </block>
+                                                </next>
+                                            </block>
+                                        </next>
                                     </block>
                                 </next>
                             </block>
@@ -540,7 +1803,7 @@ class ProtocolTemplates {
                 <field name="PROTOCOL_NAME">Cell_Culture_Template</field>
                 <field name="DESCRIPTION">Template for cell culture maintenance</field>
                 <statement name="STEPS">
-                    <block type="sample_variable">
+                    <block type="sample_variable" id="culture_cells">
                         <field name="NAME">cell_culture</field>
                         <field name="TYPE">CELLS</field>
                         <field name="DESCRIPTION">Cultured cells</field>
@@ -553,6 +1816,16 @@ class ProtocolTemplates {
                                     <block type="incubation_step">
                                         <field name="SAMPLE">cell culture</field>
                                         <field name="CONDITIONS">STATIC</field>
+                                        <value name="TEMPERATURE">
+                                            <block type="math_number" id="culture_temperature">
+                                                <field name="NUM">37</field>
+                                            </block>
+                                        </value>
+                                        <value name="TIME">
+                                            <block type="math_number" id="culture_time">
+                                                <field name="NUM">1440</field>
+                                            </block>
+                                        </value>
                                     </block>
                                 </next>
                             </block>
@@ -565,5 +1838,12 @@ class ProtocolTemplates {
 }
 
 // Global storage instance
-window.protocolStorage = new ProtocolStorage();
-window.protocolTemplates = new ProtocolTemplates(window.protocolStorage);
\ No newline at end of file
+if (typeof window !== 'undefined') {
+    window.protocolStorage = new ProtocolStorage();
+    window.protocolTemplates = new ProtocolTemplates(window.protocolStorage);
+}
+
+// Allow the converters to be checked from Node scripts and tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ProtocolStorage, ProtocolTemplates, AutoprotocolConverter, ProtocolsIoImporter };
+}
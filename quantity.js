@@ -0,0 +1,203 @@
+// Unit-aware quantities: a number paired with a unit, with conversion and dimensional checking.
+// Block inputs declare the unit they expect in their label, e.g. "time (min)" or "volume (μL)",
+// so a "2 h" quantity plugged into a "(min)" input is generated as 120 and a temperature
+// plugged into a volume input is rejected instead of silently passing through.
+
+// Unit tables shared with the backend: a global when the pages load units.js before this file,
+// required from Node scripts and tests
+const QUANTITY_UNITS = typeof QuantityUnits !== 'undefined'
+    ? QuantityUnits
+    : require('./scientific-protocol-builder/backend/src/utils/units');
+
+const Quantity = {
+    // Canonical units grouped by dimension, and the spellings normalizeUnit accepts
+    UNITS: QUANTITY_UNITS.UNITS,
+    ALIASES: QUANTITY_UNITS.ALIASES,
+
+    // Resolve a unit spelling to its canonical form, or null when the unit is unknown
+    normalizeUnit: function(unit) {
+        if (unit === null || unit === undefined) return null;
+        // Fold the micro sign (U+00B5) into the Greek mu used throughout the block labels
+        const text = String(unit).trim().replace(/µ/g, 'μ').replace(/\s+/g, ' ');
+        if (!text) return null;
+        if (this.dimensionOf(text, true)) return text;
+        if (/^[pnμum]?M$/.test(text)) {
+            return text.replace(/^u/, 'μ');
+        }
+        return this.ALIASES[text.toLowerCase()] || null;
+    },
+
+    // Dimension name of a unit ('time', 'volume', ...), or null when the unit is unknown
+    dimensionOf: function(unit, canonicalOnly) {
+        const canonical = canonicalOnly ? unit : this.normalizeUnit(unit);
+        if (!canonical) return null;
+        for (const [dimension, units] of Object.entries(this.UNITS)) {
+            if (Object.prototype.hasOwnProperty.call(units, canonical)) {
+                return dimension;
+            }
+        }
+        return null;
+    },
+
+    // Parse "2 h", "37°C" or "1.5e3 µL" into { value, unit }; returns null for anything else
+    parse: function(text) {
+        if (text === null || text === undefined) return null;
+        if (typeof text === 'object' && text.value !== undefined) {
+            const value = parseFloat(text.value);
+            if (isNaN(value)) return null;
+            return { value: value, unit: this.normalizeUnit(text.unit) || text.unit || null };
+        }
+        const match = String(text).trim().match(/^(-?\d+(?:\.\d+)?(?:e[+-]?\d+)?)\s*(.*)$/i);
+        if (!match) return null;
+        const value = parseFloat(match[1]);
+        if (!match[2]) return { value: value, unit: null };
+        const unit = this.normalizeUnit(match[2]);
+        return unit ? { value: value, unit: unit } : null;
+    },
+
+    // Whether two units measure the same dimension and can be converted into each other
+    compatible: function(fromUnit, toUnit) {
+        const from = this.dimensionOf(fromUnit);
+        return from !== null && from === this.dimensionOf(toUnit);
+    },
+
+    // Conversion from one unit into another as to = from * factor + offset.
+    // Throws when either unit is unknown or the dimensions differ.
+    conversion: function(fromUnit, toUnit) {
+        const from = this.normalizeUnit(fromUnit);
+        const to = this.normalizeUnit(toUnit);
+        if (!from) throw new Error(`Unknown unit "${fromUnit}"`);
+        if (!to) throw new Error(`Unknown unit "${toUnit}"`);
+
+        const fromDimension = this.dimensionOf(from, true);
+        const toDimension = this.dimensionOf(to, true);
+        if (fromDimension !== toDimension) {
+            throw new Error(`Cannot convert ${from} (${fromDimension.replace('_', ' ')}) to ` +
+                `${to} (${toDimension.replace('_', ' ')})`);
+        }
+
+        const source = this.UNITS[fromDimension][from];
+        const target = this.UNITS[toDimension][to];
+        const factor = source.factor / target.factor;
+        const offset = ((source.offset || 0) - (target.offset || 0)) / target.factor;
+        return { factor: factor, offset: offset };
+    },
+
+    // Convert a quantity ({ value, unit } or "2 h") into the given unit and return the number
+    convert: function(quantity, toUnit) {
+        const parsed = typeof quantity === 'number' ? null : this.parse(quantity);
+        if (!parsed) throw new Error(`Not a quantity: ${JSON.stringify(quantity)}`);
+        if (!parsed.unit) throw new Error(`Quantity ${parsed.value} has no unit`);
+        const { factor, offset } = this.conversion(parsed.unit, toUnit);
+        return this.round(parsed.value * factor + offset);
+    },
+
+    // Trim floating point noise such as 1999.9999999999998 from converted values
+    round: function(value) {
+        return parseFloat(value.toPrecision(12));
+    },
+
+    // Whether two quantities are the same amount, e.g. "2 h" and "120 min"
+    equals: function(a, b) {
+        const left = this.parse(a);
+        const right = this.parse(b);
+        if (!left || !right || !left.unit || !right.unit) return false;
+        if (!this.compatible(left.unit, right.unit)) return false;
+        return Math.abs(this.convert(left, right.unit) - right.value) <= 1e-9 * Math.max(1, Math.abs(right.value));
+    },
+
+    format: function(quantity) {
+        const parsed = this.parse(quantity);
+        if (!parsed) return '';
+        return parsed.unit ? `${parsed.value} ${parsed.unit}` : `${parsed.value}`;
+    },
+
+    // Wrap a generated expression so it evaluates in another unit, e.g. "(x * 60)"
+    conversionExpression: function(code, fromUnit, toUnit, multiply) {
+        const { factor, offset } = this.conversion(fromUnit, toUnit);
+        if (factor === 1 && offset === 0) return code;
+        const times = multiply || '*';
+        let expression = factor === 1 ? code : `${code} ${times} ${this.round(factor)}`;
+        if (offset > 0) expression += ` + ${this.round(offset)}`;
+        if (offset < 0) expression += ` - ${this.round(-offset)}`;
+        return `(${expression})`;
+    },
+
+    // Unit an input expects. Blocks can answer through a getInputUnit(name) method (used where
+    // the unit is chosen in a dropdown); otherwise the unit is read from the "(unit)" in the label.
+    expectedUnit: function(block, inputName) {
+        if (!block) return null;
+        if (typeof block.getInputUnit === 'function') {
+            const unit = block.getInputUnit(inputName);
+            if (unit !== undefined) return unit ? this.normalizeUnit(unit) || unit : null;
+        }
+        const input = block.getInput(inputName);
+        if (!input) return null;
+        for (const field of input.fieldRow) {
+            const match = String(field.getText ? field.getText() : field.getValue()).match(/\(([^()]+)\)\s*(from)?$/);
+            if (match) {
+                const unit = this.normalizeUnit(match[1]);
+                if (unit) return unit;
+            }
+        }
+        return null;
+    },
+
+    // The input a value block is plugged into and the unit it expects there
+    targetOf: function(block) {
+        const parent = block.getParent();
+        if (!parent || !block.outputConnection || !block.outputConnection.isConnected()) {
+            return { parent: null, inputName: null, unit: null };
+        }
+        const input = parent.getInputWithBlock(block);
+        const inputName = input ? input.name : null;
+        return { parent: parent, inputName: inputName, unit: inputName ? this.expectedUnit(parent, inputName) : null };
+    },
+
+    // Unit of a variable defined by a parameter_variable block, either from its units field or
+    // from the quantity block plugged into its value
+    variableUnit: function(workspace, name) {
+        if (!workspace) return null;
+        const definition = workspace.getBlocksByType('parameter_variable', false)
+            .find(block => block.getFieldValue('NAME') === name);
+        return definition ? this.expectedUnit(definition, 'VALUE') : null;
+    },
+
+    // Resolve the number a quantity block should contribute to the input it is plugged into.
+    // Returns { value } converted to the expected unit, or { quantity } when the input has no
+    // unit of its own, and throws when the dimensions do not match.
+    resolveBlock: function(block) {
+        const quantity = { value: Number(block.getFieldValue('VALUE')), unit: block.getFieldValue('UNIT') };
+        const target = this.targetOf(block);
+        if (!target.unit) return { quantity: quantity };
+        if (!this.dimensionOf(target.unit)) {
+            if (target.unit === quantity.unit) return { value: quantity.value };
+            throw new Error(`Cannot convert ${this.format(quantity)} for "${target.inputName}" on ` +
+                `${target.parent.type}, which expects ${target.unit}`);
+        }
+        try {
+            return { value: this.convert(quantity, target.unit) };
+        } catch (error) {
+            throw new Error(`${error.message} for "${target.inputName}" on ${target.parent.type}`);
+        }
+    },
+
+    // Expression for a get_variable block, converted when it refers to a parameter with units
+    // and is plugged into an input expecting a different unit of the same dimension
+    resolveVariable: function(block, code, multiply) {
+        const target = this.targetOf(block);
+        if (!target.unit || !this.dimensionOf(target.unit)) return code;
+        const unit = this.variableUnit(block.workspace, block.getFieldValue('VAR_NAME'));
+        if (!unit || !this.dimensionOf(unit)) return code;
+        try {
+            return this.conversionExpression(code, unit, target.unit, multiply);
+        } catch (error) {
+            throw new Error(`${error.message} for "${target.inputName}" on ${target.parent.type}`);
+        }
+    }
+};
+
+// Allow the conversions to be used from Node scripts and tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Quantity;
+}
@@ -9,8 +9,16 @@ require('dotenv').config();
 // Import routes
 const authRoutes = require('./routes/auth');
 const protocolRoutes = require('./routes/protocols');
+const executionRoutes = require('./routes/executions');
 const instrumentRoutes = require('./routes/instruments');
 const userRoutes = require('./routes/users');
+const inventoryRoutes = require('./routes/inventory');
+const reservationRoutes = require('./routes/reservations');
+const reservationFeedRoutes = require('./routes/reservationFeeds');
+const chemicalRoutes = require('./routes/chemicals');
+const validationRuleRoutes = require('./routes/validationRules');
+const protocolApprovalRoutes = require('./routes/protocolApprovals');
+const auditRoutes = require('./routes/audit');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
@@ -59,7 +67,8 @@ app.use(limiter);
 // Compression middleware
 app.use(compression());
 
-// Logging middleware
+// Logging middleware; calendar feed tokens are kept out of the access log
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&]token=)[^&]*/, '$1[redacted]'));
 app.use(morgan('combined', {
     stream: {
         write: (message) => logger.info(message.trim())
@@ -84,8 +93,16 @@ app.get('/health', (req, res) => {
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/protocols', authMiddleware, protocolRoutes);
+app.use('/api/protocols', authMiddleware, executionRoutes);
+app.use('/api/protocols', authMiddleware, protocolApprovalRoutes);
 app.use('/api/instruments', authMiddleware, instrumentRoutes);
 app.use('/api/users', authMiddleware, userRoutes);
+app.use('/api/inventory', authMiddleware, inventoryRoutes);
+app.use('/api/reservations', reservationFeedRoutes);
+app.use('/api/reservations', authMiddleware, reservationRoutes);
+app.use('/api/chemicals', authMiddleware, chemicalRoutes);
+app.use('/api/validation-rules', authMiddleware, validationRuleRoutes);
+app.use('/api/audit', authMiddleware, auditRoutes);
 
 // Welcome route
 app.get('/', (req, res) => {
@@ -139,6 +156,13 @@ async function startServer() {
         const InstrumentHandler = require('./socket/instrumentHandler');
         const instrumentHandler = new InstrumentHandler(io);
 
+        // Initialize protocol execution engine
+        const protocolExecutionEngine = require('./services/protocolExecutionEngine');
+        protocolExecutionEngine.setInstrumentHandler(instrumentHandler);
+        protocolExecutionEngine.restoreInterruptedExecutions().catch(error => {
+            logger.error('Failed to restore interrupted executions:', error);
+        });
+
         // Store handlers for access in other parts of the app
         app.set('collaborationHandler', collaborationHandler);
         app.set('instrumentHandler', instrumentHandler);
@@ -60,6 +60,22 @@ const database = {
         return await pool.connect();
     },
 
+    // Run callback(client) in a transaction, committing on success and rolling back on error
+    async transaction(callback) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const result = await callback(client);
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    },
+
     // Close all connections
     async close() {
         await pool.end();
@@ -80,6 +96,7 @@ const initializeTables = async () => {
                 last_name VARCHAR(100),
                 role VARCHAR(50) DEFAULT 'researcher',
                 organization VARCHAR(255),
+                calendar_feed_token VARCHAR(64) UNIQUE,
                 created_at TIMESTAMP DEFAULT NOW(),
                 updated_at TIMESTAMP DEFAULT NOW(),
                 last_login TIMESTAMP,
@@ -87,6 +104,11 @@ const initializeTables = async () => {
             )
         `);
 
+        // Add the calendar feed token to users tables created before it
+        await database.query(`
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS calendar_feed_token VARCHAR(64) UNIQUE
+        `);
+
         // Create protocols table
         await database.query(`
             CREATE TABLE IF NOT EXISTS protocols (
@@ -104,10 +126,30 @@ const initializeTables = async () => {
                 updated_at TIMESTAMP DEFAULT NOW(),
                 is_public BOOLEAN DEFAULT FALSE,
                 is_template BOOLEAN DEFAULT FALSE,
-                parent_protocol_id UUID REFERENCES protocols(id)
+                parent_protocol_id UUID REFERENCES protocols(id),
+                status VARCHAR(20) DEFAULT 'draft',
+                approved_by UUID REFERENCES users(id),
+                approved_at TIMESTAMP,
+                retired_at TIMESTAMP,
+                template_parameters JSONB DEFAULT '[]',
+                template_values JSONB
             )
         `);
 
+        // Add the approval workflow columns to protocols tables created before them
+        await database.query(`
+            ALTER TABLE protocols ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'draft';
+            ALTER TABLE protocols ADD COLUMN IF NOT EXISTS approved_by UUID REFERENCES users(id);
+            ALTER TABLE protocols ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP;
+            ALTER TABLE protocols ADD COLUMN IF NOT EXISTS retired_at TIMESTAMP;
+        `);
+
+        // Add the template columns to protocols tables created before them
+        await database.query(`
+            ALTER TABLE protocols ADD COLUMN IF NOT EXISTS template_parameters JSONB DEFAULT '[]';
+            ALTER TABLE protocols ADD COLUMN IF NOT EXISTS template_values JSONB;
+        `);
+
         // Create instruments table
         await database.query(`
             CREATE TABLE IF NOT EXISTS instruments (
@@ -127,6 +169,230 @@ const initializeTables = async () => {
             )
         `);
 
+        // Create executions table (protocol runs and their checkpointed state)
+        await database.query(`
+            CREATE TABLE IF NOT EXISTS executions (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                protocol_id UUID REFERENCES protocols(id),
+                version_id UUID REFERENCES protocols(id),
+                protocol_version VARCHAR(20),
+                workspace_hash VARCHAR(64),
+                status VARCHAR(30) DEFAULT 'pending',
+                workspace_json JSONB NOT NULL,
+                parameters JSONB,
+                state JSONB,
+                error TEXT,
+                started_by UUID REFERENCES users(id),
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW(),
+                started_at TIMESTAMP,
+                completed_at TIMESTAMP
+            )
+        `);
+
+        // Create execution steps table (per-step audit trail of a run)
+        await database.query(`
+            CREATE TABLE IF NOT EXISTS execution_steps (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                execution_id UUID REFERENCES executions(id) ON DELETE CASCADE,
+                step_key VARCHAR(500) NOT NULL,
+                block_id VARCHAR(100),
+                block_type VARCHAR(100),
+                status VARCHAR(30) DEFAULT 'running',
+                operator_id UUID REFERENCES users(id),
+                parameters JSONB,
+                result JSONB,
+                outcome VARCHAR(30),
+                notes TEXT,
+                started_at TIMESTAMP DEFAULT NOW(),
+                completed_at TIMESTAMP
+            )
+        `);
+
+        // Create inventory tables (reagents and consumables, tracked per lot)
+        await database.query(`
+            CREATE TABLE IF NOT EXISTS inventory_items (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                name VARCHAR(255) NOT NULL,
+                category VARCHAR(50) DEFAULT 'reagent',
+                catalog_number VARCHAR(100),
+                supplier VARCHAR(255),
+                unit VARCHAR(20) NOT NULL DEFAULT 'mL',
+                storage_conditions VARCHAR(100),
+                reorder_level NUMERIC,
+                notes TEXT,
+                created_by UUID REFERENCES users(id),
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW(),
+                is_active BOOLEAN DEFAULT TRUE
+            )
+        `);
+
+        await database.query(`
+            CREATE TABLE IF NOT EXISTS inventory_lots (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                item_id UUID REFERENCES inventory_items(id) ON DELETE CASCADE,
+                lot_number VARCHAR(100) NOT NULL,
+                quantity NUMERIC NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+                unit VARCHAR(20) NOT NULL,
+                expiry_date DATE,
+                location VARCHAR(255),
+                received_at DATE DEFAULT CURRENT_DATE,
+                created_by UUID REFERENCES users(id),
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
+        // Create reservations table (instrument bookings; recurring bookings share a series_id)
+        await database.query(`
+            CREATE TABLE IF NOT EXISTS reservations (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                instrument_id UUID REFERENCES instruments(id) ON DELETE CASCADE,
+                user_id UUID REFERENCES users(id),
+                protocol_id UUID REFERENCES protocols(id),
+                series_id UUID,
+                recurrence JSONB,
+                purpose VARCHAR(500) NOT NULL,
+                notes TEXT,
+                start_time TIMESTAMPTZ NOT NULL,
+                end_time TIMESTAMPTZ NOT NULL,
+                status VARCHAR(20) DEFAULT 'confirmed',
+                cancelled_by UUID REFERENCES users(id),
+                cancelled_at TIMESTAMPTZ,
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW(),
+                CHECK (end_time > start_time)
+            )
+        `);
+
+        // Create chemicals table (hazard reference data: GHS codes, incompatibility groups, PPE)
+        await database.query(`
+            CREATE TABLE IF NOT EXISTS chemicals (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                name VARCHAR(255) NOT NULL,
+                cas_number VARCHAR(20) UNIQUE,
+                synonyms TEXT[] DEFAULT '{}',
+                formula VARCHAR(100),
+                ghs_hazards TEXT[] DEFAULT '{}',
+                signal_word VARCHAR(20),
+                incompatibility_groups TEXT[] DEFAULT '{}',
+                ppe TEXT[] DEFAULT '{}',
+                storage_class VARCHAR(255),
+                notes TEXT,
+                source VARCHAR(50) DEFAULT 'manual',
+                created_by UUID REFERENCES users(id),
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
+        // Create validation rules table (declarative rules authored per organization)
+        await database.query(`
+            CREATE TABLE IF NOT EXISTS validation_rules (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                organization VARCHAR(255) NOT NULL,
+                name VARCHAR(100) NOT NULL,
+                description TEXT,
+                category VARCHAR(50) DEFAULT 'quality',
+                severity VARCHAR(20) DEFAULT 'warning',
+                definition JSONB NOT NULL,
+                is_active BOOLEAN DEFAULT true,
+                created_by UUID REFERENCES users(id),
+                updated_by UUID REFERENCES users(id),
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW(),
+                UNIQUE (organization, name)
+            )
+        `);
+
+        // Create protocol reviews table (reviewers assigned to a protocol version and their decisions)
+        await database.query(`
+            CREATE TABLE IF NOT EXISTS protocol_reviews (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                protocol_id UUID REFERENCES protocols(id) ON DELETE CASCADE,
+                reviewer_id UUID REFERENCES users(id),
+                assigned_by UUID REFERENCES users(id),
+                decision VARCHAR(20) DEFAULT 'pending',
+                decided_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT NOW(),
+                UNIQUE (protocol_id, reviewer_id)
+            )
+        `);
+
+        // Create protocol comments table
+        await database.query(`
+            CREATE TABLE IF NOT EXISTS protocol_comments (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                protocol_id UUID REFERENCES protocols(id) ON DELETE CASCADE,
+                user_id UUID REFERENCES users(id),
+                block_id VARCHAR(100),
+                body TEXT NOT NULL,
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
+        // Create protocol signatures table (electronic signatures; rows are never updated or deleted)
+        await database.query(`
+            CREATE TABLE IF NOT EXISTS protocol_signatures (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                protocol_id UUID REFERENCES protocols(id),
+                user_id UUID REFERENCES users(id),
+                signer_name VARCHAR(255) NOT NULL,
+                meaning VARCHAR(20) NOT NULL,
+                reason TEXT,
+                protocol_version VARCHAR(20),
+                content_hash VARCHAR(64) NOT NULL,
+                auth_method VARCHAR(20) NOT NULL,
+                signed_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
+        // Create protocol calls table (protocol_call blocks linking a protocol to the library
+        // protocol version it runs; rebuilt from the workspace whenever the caller is saved)
+        await database.query(`
+            CREATE TABLE IF NOT EXISTS protocol_calls (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                caller_id UUID REFERENCES protocols(id) ON DELETE CASCADE,
+                callee_id UUID REFERENCES protocols(id) ON DELETE CASCADE,
+                callee_version VARCHAR(20),
+                block_id VARCHAR(255) NOT NULL,
+                created_at TIMESTAMP DEFAULT NOW(),
+                UNIQUE(caller_id, block_id)
+            )
+        `);
+
+        // Create audit log table (append-only, each entry chains the hash of the one before;
+        // created_at keeps its time zone so the hashed timestamp reads back unchanged)
+        await database.query(`
+            CREATE TABLE IF NOT EXISTS audit_log (
+                sequence BIGSERIAL PRIMARY KEY,
+                entity_type VARCHAR(50) NOT NULL,
+                entity_id VARCHAR(100) NOT NULL,
+                action VARCHAR(50) NOT NULL,
+                actor_id UUID,
+                reason TEXT,
+                changes JSONB NOT NULL,
+                previous_hash VARCHAR(64) NOT NULL,
+                hash VARCHAR(64) NOT NULL UNIQUE,
+                created_at TIMESTAMPTZ NOT NULL
+            )
+        `);
+
+        // Reject updates and deletes of audit entries at the database level
+        await database.query(`
+            CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+            BEGIN
+                RAISE EXCEPTION 'audit_log is append-only';
+            END;
+            $$ LANGUAGE plpgsql;
+
+            DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+            CREATE TRIGGER audit_log_append_only
+                BEFORE UPDATE OR DELETE OR TRUNCATE ON audit_log
+                FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
+        `);
+
         // Create indexes for better performance
         await database.query(`
             CREATE INDEX IF NOT EXISTS idx_protocols_created_by ON protocols(created_by);
@@ -134,6 +400,28 @@ const initializeTables = async () => {
             CREATE INDEX IF NOT EXISTS idx_protocols_tags ON protocols USING GIN(tags);
             CREATE INDEX IF NOT EXISTS idx_instruments_type ON instruments(type);
             CREATE INDEX IF NOT EXISTS idx_instruments_created_by ON instruments(created_by);
+            CREATE INDEX IF NOT EXISTS idx_executions_protocol_id ON executions(protocol_id);
+            CREATE INDEX IF NOT EXISTS idx_executions_status ON executions(status);
+            CREATE INDEX IF NOT EXISTS idx_execution_steps_execution_id ON execution_steps(execution_id);
+            CREATE INDEX IF NOT EXISTS idx_inventory_items_name ON inventory_items(LOWER(name));
+            CREATE INDEX IF NOT EXISTS idx_inventory_lots_item_id ON inventory_lots(item_id);
+            CREATE INDEX IF NOT EXISTS idx_inventory_lots_expiry_date ON inventory_lots(expiry_date);
+            CREATE INDEX IF NOT EXISTS idx_reservations_instrument_time ON reservations(instrument_id, start_time, end_time);
+            CREATE INDEX IF NOT EXISTS idx_reservations_user_id ON reservations(user_id);
+            CREATE INDEX IF NOT EXISTS idx_reservations_series_id ON reservations(series_id);
+            CREATE INDEX IF NOT EXISTS idx_chemicals_name ON chemicals(LOWER(name));
+            CREATE INDEX IF NOT EXISTS idx_chemicals_synonyms ON chemicals USING GIN(synonyms);
+            CREATE INDEX IF NOT EXISTS idx_chemicals_groups ON chemicals USING GIN(incompatibility_groups);
+            CREATE INDEX IF NOT EXISTS idx_validation_rules_organization ON validation_rules(organization, is_active);
+            CREATE INDEX IF NOT EXISTS idx_protocols_status ON protocols(status);
+            CREATE INDEX IF NOT EXISTS idx_protocols_is_template ON protocols(is_template) WHERE is_template = true;
+            CREATE INDEX IF NOT EXISTS idx_protocol_reviews_reviewer_id ON protocol_reviews(reviewer_id, decision);
+            CREATE INDEX IF NOT EXISTS idx_protocol_comments_protocol_id ON protocol_comments(protocol_id);
+            CREATE INDEX IF NOT EXISTS idx_protocol_signatures_protocol_id ON protocol_signatures(protocol_id);
+            CREATE INDEX IF NOT EXISTS idx_protocol_calls_callee_id ON protocol_calls(callee_id);
+            CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id);
+            CREATE INDEX IF NOT EXISTS idx_audit_log_actor_id ON audit_log(actor_id);
+            CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at);
         `);
 
         logger.info('Database tables initialized successfully');
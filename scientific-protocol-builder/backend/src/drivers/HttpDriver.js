@@ -0,0 +1,79 @@
+const InstrumentDriver = require('./InstrumentDriver');
+
+/**
+ * HTTP/REST driver
+ * Expects the instrument (or its vendor gateway) to expose:
+ *   GET  {endpoint}/capabilities
+ *   GET  {endpoint}/status
+ *   POST {endpoint}/commands/{name}
+ */
+class HttpDriver extends InstrumentDriver {
+  constructor(config = {}) {
+    super(config);
+    this.endpoint = (config.endpoint || '').replace(/\/+$/, '');
+    this.timeout = config.timeout || 5000;
+    this.headers = {
+      'Content-Type': 'application/json',
+      ...(config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {}),
+      ...(config.headers || {})
+    };
+  }
+
+  async connect() {
+    if (!this.endpoint) {
+      throw new Error('HTTP driver requires an endpoint');
+    }
+
+    // A status request proves the endpoint is reachable
+    await this.request('GET', '/status');
+    this.connected = true;
+  }
+
+  async disconnect() {
+    this.connected = false;
+  }
+
+  async command(name, parameters = {}) {
+    return this.request('POST', `/commands/${encodeURIComponent(name)}`, parameters);
+  }
+
+  async read() {
+    return this.request('GET', '/status');
+  }
+
+  async discoverCapabilities() {
+    return this.request('GET', '/capabilities');
+  }
+
+  async request(method, path, body) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(`${this.endpoint}${path}`, {
+        method,
+        headers: this.headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: controller.signal
+      });
+
+      const text = await response.text();
+      const data = text ? JSON.parse(text) : {};
+
+      if (!response.ok) {
+        throw new Error(data.error || data.message || `HTTP ${response.status}`);
+      }
+
+      return data;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`Request to ${this.endpoint}${path} timed out`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+module.exports = HttpDriver;
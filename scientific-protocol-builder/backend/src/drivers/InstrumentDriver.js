@@ -0,0 +1,57 @@
+/**
+ * Base class for instrument drivers
+ * A driver owns one connection to one instrument. Subclasses implement the
+ * transport; the instrument service only talks to this interface.
+ */
+class InstrumentDriver {
+  constructor(config = {}) {
+    this.config = config;
+    this.connected = false;
+  }
+
+  /**
+   * Open the connection to the instrument
+   */
+  async connect() {
+    throw new Error(`${this.constructor.name} does not implement connect()`);
+  }
+
+  /**
+   * Close the connection to the instrument
+   */
+  async disconnect() {
+    throw new Error(`${this.constructor.name} does not implement disconnect()`);
+  }
+
+  /**
+   * Send a named command with parameters; resolves with the instrument's response data
+   */
+  async command(name, parameters = {}) {
+    throw new Error(`${this.constructor.name} does not implement command()`);
+  }
+
+  /**
+   * Read the current values of the instrument's live readings
+   */
+  async read() {
+    throw new Error(`${this.constructor.name} does not implement read()`);
+  }
+
+  /**
+   * Ask the instrument what it is and which commands and readings it supports
+   */
+  async discoverCapabilities() {
+    throw new Error(`${this.constructor.name} does not implement discoverCapabilities()`);
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  // Kept for callers that treat the driver as a plain connection object
+  close() {
+    return this.disconnect();
+  }
+}
+
+module.exports = InstrumentDriver;
@@ -0,0 +1,29 @@
+const TcpScpiDriver = require('./TcpScpiDriver');
+
+/**
+ * Serial-over-TCP bridge driver (ser2net, Moxa NPort and similar terminal servers)
+ * The bridge forwards raw bytes to an RS-232 instrument, so framing is CR/LF by
+ * default and the line settings are only recorded for the bridge operator.
+ */
+class SerialBridgeDriver extends TcpScpiDriver {
+  constructor(config = {}) {
+    super({
+      port: 4001,
+      terminator: '\r\n',
+      ...config
+    });
+    this.serialSettings = {
+      baudRate: config.baudRate || 9600,
+      dataBits: config.dataBits || 8,
+      parity: config.parity || 'none',
+      stopBits: config.stopBits || 1
+    };
+  }
+
+  async discoverCapabilities() {
+    const capabilities = await super.discoverCapabilities();
+    return { ...capabilities, serialSettings: this.serialSettings };
+  }
+}
+
+module.exports = SerialBridgeDriver;
@@ -0,0 +1,175 @@
+const net = require('net');
+const InstrumentDriver = require('./InstrumentDriver');
+
+const DEFAULT_READINGS = {
+  temperature: 'MEAS:TEMP?',
+  pressure: 'MEAS:PRES?',
+  status: 'STAT?'
+};
+
+/**
+ * Raw TCP driver for SCPI-style text instruments
+ * Commands are newline-terminated lines; queries (ending in '?') read one response line.
+ * apiConfig.commands maps command names to templates such as "SOUR:TEMP {temperature}"
+ * and apiConfig.readings maps reading names to queries.
+ */
+class TcpScpiDriver extends InstrumentDriver {
+  constructor(config = {}) {
+    super(config);
+    this.host = config.host || 'localhost';
+    this.port = config.port || 5025;
+    this.timeout = config.timeout || 5000;
+    this.terminator = config.terminator || '\n';
+    this.commands = config.commands || {};
+    this.readings = config.readings || DEFAULT_READINGS;
+    this.socket = null;
+    this.buffer = '';
+    this.pending = [];
+    this.queue = Promise.resolve();
+  }
+
+  async connect() {
+    await new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      const timer = setTimeout(() => {
+        socket.destroy();
+        reject(new Error(`Connection to ${this.host}:${this.port} timed out`));
+      }, this.timeout);
+
+      socket.once('connect', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      socket.once('error', error => {
+        clearTimeout(timer);
+        reject(error);
+      });
+
+      socket.setEncoding('utf8');
+      socket.on('data', chunk => this.handleData(chunk));
+      socket.on('close', () => this.handleClose());
+      this.socket = socket;
+    });
+
+    this.connected = true;
+  }
+
+  async disconnect() {
+    if (this.socket) {
+      this.socket.end();
+      this.socket.destroy();
+      this.socket = null;
+    }
+    this.connected = false;
+  }
+
+  async command(name, parameters = {}) {
+    const line = this.formatCommand(name, parameters);
+    const response = await this.send(line);
+    return { command: line, response };
+  }
+
+  async read() {
+    const data = { timestamp: new Date() };
+    for (const [name, queryCommand] of Object.entries(this.readings)) {
+      data[name] = this.parseValue(await this.send(queryCommand));
+    }
+    return data;
+  }
+
+  async discoverCapabilities() {
+    const identity = await this.send('*IDN?');
+    const [manufacturer, model, serialNumber, firmware] = identity.split(',').map(part => part.trim());
+
+    let commands = Object.keys(this.commands);
+    try {
+      const reported = await this.send('SYST:CAP?');
+      if (reported) {
+        commands = reported.split(',').map(part => part.trim()).filter(Boolean);
+      }
+    } catch (error) {
+      // SYST:CAP? is optional; fall back to the configured command table
+    }
+
+    return {
+      identity: { manufacturer, model, serialNumber, firmware },
+      commands,
+      readings: Object.keys(this.readings)
+    };
+  }
+
+  /**
+   * Send one line; queries resolve with the response line, writes with null.
+   * Requests are serialized so responses pair up with their queries.
+   */
+  send(line) {
+    const result = this.queue.then(() => this.transmit(line));
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  transmit(line) {
+    if (!this.socket || !this.connected) {
+      return Promise.reject(new Error('Instrument is not connected'));
+    }
+
+    const isQuery = line.trim().endsWith('?');
+    this.socket.write(`${line}${this.terminator}`);
+
+    if (!isQuery) {
+      return Promise.resolve(null);
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { resolve, reject };
+      entry.timer = setTimeout(() => {
+        this.pending = this.pending.filter(item => item !== entry);
+        reject(new Error(`No response to ${line}`));
+      }, this.timeout);
+      this.pending.push(entry);
+    });
+  }
+
+  handleData(chunk) {
+    this.buffer += chunk;
+    let index;
+    while ((index = this.buffer.indexOf(this.terminator)) !== -1) {
+      const line = this.buffer.slice(0, index).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(index + this.terminator.length);
+
+      const entry = this.pending.shift();
+      if (entry) {
+        clearTimeout(entry.timer);
+        entry.resolve(line);
+      }
+    }
+  }
+
+  handleClose() {
+    this.connected = false;
+    this.pending.forEach(entry => {
+      clearTimeout(entry.timer);
+      entry.reject(new Error('Connection closed'));
+    });
+    this.pending = [];
+  }
+
+  formatCommand(name, parameters) {
+    const template = this.commands[name];
+    if (template) {
+      return template.replace(/\{(\w+)\}/g, (match, key) =>
+        (parameters[key] !== undefined ? String(parameters[key]) : ''));
+    }
+
+    const values = Object.values(parameters).map(String);
+    return [name.toUpperCase(), values.join(',')].filter(Boolean).join(' ');
+  }
+
+  parseValue(value) {
+    if (value === null || value === '') return null;
+    const number = Number(value);
+    return Number.isNaN(number) ? value : number;
+  }
+}
+
+module.exports = TcpScpiDriver;
@@ -0,0 +1,39 @@
+const HttpDriver = require('./HttpDriver');
+const TcpScpiDriver = require('./TcpScpiDriver');
+const SerialBridgeDriver = require('./SerialBridgeDriver');
+const InstrumentDriver = require('./InstrumentDriver');
+
+// apiConfig.protocol -> driver class
+const drivers = new Map();
+
+const registerDriver = (protocol, DriverClass) => {
+  if (!(DriverClass.prototype instanceof InstrumentDriver)) {
+    throw new Error(`Driver for ${protocol} must extend InstrumentDriver`);
+  }
+  drivers.set(protocol.toLowerCase(), DriverClass);
+};
+
+const createDriver = (protocol, config = {}) => {
+  const DriverClass = drivers.get(String(protocol || '').toLowerCase());
+  if (!DriverClass) {
+    throw new Error(`No driver registered for protocol: ${protocol}`);
+  }
+  return new DriverClass(config);
+};
+
+const getRegisteredProtocols = () => Array.from(drivers.keys());
+
+registerDriver('http', HttpDriver);
+registerDriver('https', HttpDriver);
+registerDriver('rest', HttpDriver);
+registerDriver('tcp', TcpScpiDriver);
+registerDriver('scpi', TcpScpiDriver);
+registerDriver('serial', SerialBridgeDriver);
+registerDriver('serial-tcp', SerialBridgeDriver);
+
+module.exports = {
+  InstrumentDriver,
+  registerDriver,
+  createDriver,
+  getRegisteredProtocols
+};
@@ -0,0 +1,83 @@
+/**
+ * In-memory instrument model shared by the driver simulators
+ * Temperature drifts toward the setpoint so readings change the way a real
+ * heater block would, instead of being random.
+ */
+class SimulatedInstrument {
+  constructor(options = {}) {
+    this.manufacturer = options.manufacturer || 'Protocol Builder';
+    this.model = options.model || 'SIM-1000';
+    this.serialNumber = options.serialNumber || 'SIM0001';
+    this.firmware = options.firmware || '1.0.0';
+    this.temperature = options.temperature !== undefined ? options.temperature : 25;
+    this.setpoint = this.temperature;
+    this.pressure = options.pressure !== undefined ? options.pressure : 1013.25;
+    this.status = 'idle';
+    this.lastUpdate = Date.now();
+  }
+
+  get commands() {
+    return ['start', 'stop', 'set_temperature', 'calibrate', 'get_reading'];
+  }
+
+  // Move 0.5 °C per second toward the setpoint
+  tick() {
+    const elapsed = (Date.now() - this.lastUpdate) / 1000;
+    const step = Math.min(Math.abs(this.setpoint - this.temperature), elapsed * 0.5);
+    this.temperature += Math.sign(this.setpoint - this.temperature) * step;
+    this.lastUpdate = Date.now();
+  }
+
+  readings() {
+    this.tick();
+    return {
+      temperature: Math.round(this.temperature * 100) / 100,
+      pressure: this.pressure,
+      status: this.status,
+      setpoint: this.setpoint
+    };
+  }
+
+  execute(name, parameters = {}) {
+    this.tick();
+    switch (name) {
+      case 'start':
+        this.status = 'operating';
+        return { status: this.status };
+      case 'stop':
+        this.status = 'idle';
+        return { status: this.status };
+      case 'set_temperature': {
+        const value = Number(parameters.temperature);
+        if (Number.isNaN(value)) {
+          throw new Error('temperature must be a number');
+        }
+        this.setpoint = value;
+        return { targetTemperature: value, currentTemperature: this.temperature };
+      }
+      case 'get_reading':
+        return this.readings();
+      case 'calibrate':
+        this.status = 'calibrating';
+        setTimeout(() => { this.status = 'idle'; }, 1000).unref();
+        return { status: this.status };
+      default:
+        throw new Error(`Unknown command: ${name}`);
+    }
+  }
+
+  capabilities() {
+    return {
+      identity: {
+        manufacturer: this.manufacturer,
+        model: this.model,
+        serialNumber: this.serialNumber,
+        firmware: this.firmware
+      },
+      commands: this.commands,
+      readings: ['temperature', 'pressure', 'status', 'setpoint']
+    };
+  }
+}
+
+module.exports = SimulatedInstrument;
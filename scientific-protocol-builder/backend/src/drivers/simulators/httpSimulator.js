@@ -0,0 +1,51 @@
+const http = require('http');
+const SimulatedInstrument = require('./SimulatedInstrument');
+
+/**
+ * Stand-in REST server for HttpDriver
+ */
+const startHttpSimulator = ({ port = 0, host = '127.0.0.1', instrument = new SimulatedInstrument() } = {}) => {
+  const send = (res, status, data) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      try {
+        const path = req.url.split('?')[0];
+
+        if (req.method === 'GET' && path === '/status') {
+          return send(res, 200, instrument.readings());
+        }
+        if (req.method === 'GET' && path === '/capabilities') {
+          return send(res, 200, instrument.capabilities());
+        }
+
+        const match = path.match(/^\/commands\/([^/]+)$/);
+        if (req.method === 'POST' && match) {
+          const parameters = body ? JSON.parse(body) : {};
+          return send(res, 200, instrument.execute(decodeURIComponent(match[1]), parameters));
+        }
+
+        send(res, 404, { error: 'Not found' });
+      } catch (error) {
+        send(res, 400, { error: error.message });
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(port, host, () => {
+      resolve({
+        port: server.address().port,
+        instrument,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+};
+
+module.exports = startHttpSimulator;
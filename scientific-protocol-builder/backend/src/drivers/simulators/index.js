@@ -0,0 +1,26 @@
+const startHttpSimulator = require('./httpSimulator');
+const startScpiSimulator = require('./scpiSimulator');
+const startSerialBridgeSimulator = require('./serialBridgeSimulator');
+const SimulatedInstrument = require('./SimulatedInstrument');
+
+module.exports = {
+  SimulatedInstrument,
+  startHttpSimulator,
+  startScpiSimulator,
+  startSerialBridgeSimulator
+};
+
+// `npm run simulators` starts one stand-in server per driver
+if (require.main === module) {
+  const logger = require('../../utils/logger');
+
+  Promise.all([
+    startHttpSimulator({ port: process.env.SIM_HTTP_PORT || 8081 }),
+    startScpiSimulator({ port: process.env.SIM_SCPI_PORT || 5025 }),
+    startSerialBridgeSimulator({ port: process.env.SIM_SERIAL_PORT || 4001 })
+  ]).then(([httpSim, scpiSim, serialSim]) => {
+    logger.info(`HTTP instrument simulator on port ${httpSim.port}`);
+    logger.info(`SCPI instrument simulator on port ${scpiSim.port}`);
+    logger.info(`Serial bridge simulator on port ${serialSim.port}`);
+  });
+}
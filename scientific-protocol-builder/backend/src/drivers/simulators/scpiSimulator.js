@@ -0,0 +1,85 @@
+const net = require('net');
+const SimulatedInstrument = require('./SimulatedInstrument');
+
+/**
+ * Stand-in SCPI text server for TcpScpiDriver (and, with CR/LF framing, SerialBridgeDriver)
+ */
+const startScpiSimulator = ({
+  port = 0,
+  host = '127.0.0.1',
+  terminator = '\n',
+  instrument = new SimulatedInstrument()
+} = {}) => {
+  const respond = (line) => {
+    const [header, ...rest] = line.trim().split(/\s+/);
+    const argument = rest.join(' ');
+
+    switch (header.toUpperCase()) {
+      case '*IDN?': {
+        const { identity } = instrument.capabilities();
+        return [identity.manufacturer, identity.model, identity.serialNumber, identity.firmware].join(',');
+      }
+      case 'SYST:CAP?':
+        return instrument.commands.join(',');
+      case 'MEAS:TEMP?':
+        return String(instrument.readings().temperature);
+      case 'MEAS:PRES?':
+        return String(instrument.readings().pressure);
+      case 'STAT?':
+        return instrument.readings().status;
+      case 'SOUR:TEMP':
+      case 'SET_TEMPERATURE':
+        instrument.execute('set_temperature', { temperature: argument });
+        return null;
+      case 'START':
+      case 'STOP':
+      case 'CALIBRATE':
+        instrument.execute(header.toLowerCase());
+        return null;
+      default:
+        // Unknown queries still answer so the client does not hang
+        return header.endsWith('?') ? 'ERR' : null;
+    }
+  };
+
+  const sockets = new Set();
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.setEncoding('utf8');
+    let buffer = '';
+
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf(terminator)) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + terminator.length);
+        if (!line.trim()) continue;
+
+        try {
+          const reply = respond(line);
+          if (reply !== null) socket.write(`${reply}${terminator}`);
+        } catch (error) {
+          if (line.trim().endsWith('?')) socket.write(`ERR${terminator}`);
+        }
+      }
+    });
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => sockets.delete(socket));
+  });
+
+  return new Promise(resolve => {
+    server.listen(port, host, () => {
+      resolve({
+        port: server.address().port,
+        instrument,
+        close: () => new Promise(done => {
+          sockets.forEach(socket => socket.destroy());
+          server.close(done);
+        })
+      });
+    });
+  });
+};
+
+module.exports = startScpiSimulator;
@@ -0,0 +1,8 @@
+const startScpiSimulator = require('./scpiSimulator');
+
+/**
+ * Stand-in serial-over-TCP bridge: an RS-232 instrument behind a terminal server uses CR/LF framing
+ */
+const startSerialBridgeSimulator = (options = {}) => startScpiSimulator({ terminator: '\r\n', ...options });
+
+module.exports = startSerialBridgeSimulator;
@@ -56,4 +56,28 @@ const authorize = (...roles) => {
     };
 };
 
-module.exports = { authMiddleware, authorize };
\ No newline at end of file
+// Calendar feeds: a ?token= feed token (calendar clients cannot send headers), else a bearer token
+const calendarFeedAuth = async (req, res, next) => {
+    if (!req.query.token) {
+        return authMiddleware(req, res, next);
+    }
+
+    try {
+        const user = await User.findByCalendarFeedToken(req.query.token);
+        if (!user) {
+            return res.status(401).json({
+                error: 'Calendar feed token is not valid.'
+            });
+        }
+
+        req.user = user;
+        next();
+    } catch (error) {
+        logger.error('Calendar feed auth error:', error);
+        res.status(401).json({
+            error: 'Calendar feed token is not valid.'
+        });
+    }
+};
+
+module.exports = { authMiddleware, authorize, calendarFeedAuth };
\ No newline at end of file
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const database = require('../config/database');
+
+// Previous hash of the first entry in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Snapshot fields left out of diffs: they change on every write and say nothing about the change
+const IGNORED_FIELDS = ['updatedAt'];
+
+class AuditLog {
+    constructor(data) {
+        this.sequence = data.sequence !== undefined ? Number(data.sequence) : undefined;
+        this.entityType = data.entity_type;
+        this.entityId = data.entity_id;
+        this.action = data.action;
+        this.actorId = data.actor_id;
+        this.reason = data.reason;
+        this.changes = data.changes;
+        this.previousHash = data.previous_hash;
+        this.hash = data.hash;
+        this.createdAt = data.created_at;
+    }
+
+    /**
+     * Append an entry, chained to the last one. Pass the client of the transaction making the
+     * change so the entry commits or rolls back with it. The table lock serializes appenders,
+     * so two entries can never chain to the same predecessor.
+     */
+    static async append(entryData, client) {
+        const {
+            entityType,
+            entityId,
+            action,
+            actorId = null,
+            reason = null,
+            before = {},
+            after = {}
+        } = entryData;
+
+        await client.query('LOCK TABLE audit_log IN SHARE ROW EXCLUSIVE MODE');
+        const last = await client.query('SELECT hash FROM audit_log ORDER BY sequence DESC LIMIT 1');
+
+        const entry = {
+            entityType,
+            entityId: String(entityId),
+            action,
+            actorId,
+            reason,
+            changes: AuditLog.diff(before, after),
+            previousHash: last.rows.length > 0 ? last.rows[0].hash : GENESIS_HASH,
+            createdAt: new Date()
+        };
+        entry.hash = AuditLog.computeHash(entry);
+
+        const query = `
+            INSERT INTO audit_log (
+                entity_type, entity_id, action, actor_id, reason, changes, previous_hash, hash, created_at
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING *
+        `;
+
+        const result = await client.query(query, [
+            entry.entityType, entry.entityId, entry.action, entry.actorId, entry.reason,
+            entry.changes, entry.previousHash, entry.hash, entry.createdAt
+        ]);
+
+        return new AuditLog(result.rows[0]);
+    }
+
+    // Fields that differ between two snapshots, as { field: { before, after } }
+    static diff(before, after) {
+        const changes = {};
+        const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+        fields.forEach(field => {
+            if (IGNORED_FIELDS.includes(field)) return;
+            const previous = before?.[field] === undefined ? null : before[field];
+            const next = after?.[field] === undefined ? null : after[field];
+            if (AuditLog.canonicalize(previous) !== AuditLog.canonicalize(next)) {
+                changes[field] = { before: previous, after: next };
+            }
+        });
+
+        return changes;
+    }
+
+    static computeHash(entry) {
+        return crypto.createHash('sha256').update(AuditLog.canonicalize({
+            entityType: entry.entityType,
+            entityId: entry.entityId,
+            action: entry.action,
+            actorId: entry.actorId || null,
+            reason: entry.reason || null,
+            changes: entry.changes,
+            previousHash: entry.previousHash,
+            createdAt: new Date(entry.createdAt).toISOString()
+        })).digest('hex');
+    }
+
+    // JSON with object keys sorted at every level, so JSONB's key reordering does not change the hash
+    static canonicalize(value) {
+        if (value instanceof Date) return JSON.stringify(value.toISOString());
+        if (Array.isArray(value)) return `[${value.map(item => AuditLog.canonicalize(item)).join(',')}]`;
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${AuditLog.canonicalize(value[key])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value === undefined ? null : value);
+    }
+
+    static async findAll(options = {}) {
+        const { where, params } = AuditLog.buildFilters(options);
+        let query = `SELECT * FROM audit_log ${where} ORDER BY sequence DESC`;
+        let paramCount = params.length;
+
+        if (options.limit) {
+            paramCount++;
+            query += ` LIMIT $${paramCount}`;
+            params.push(options.limit);
+        }
+
+        if (options.offset) {
+            paramCount++;
+            query += ` OFFSET $${paramCount}`;
+            params.push(options.offset);
+        }
+
+        const result = await database.query(query, params);
+        return result.rows.map(row => new AuditLog(row));
+    }
+
+    static async count(options = {}) {
+        const { where, params } = AuditLog.buildFilters(options);
+        const result = await database.query(`SELECT COUNT(*) AS total FROM audit_log ${where}`, params);
+        return Number(result.rows[0].total);
+    }
+
+    static buildFilters(options) {
+        const conditions = [];
+        const params = [];
+        const filters = [
+            ['entityType', 'entity_type = '],
+            ['entityId', 'entity_id = '],
+            ['action', 'action = '],
+            ['actorId', 'actor_id = '],
+            ['from', 'created_at >= '],
+            ['to', 'created_at < ']
+        ];
+
+        filters.forEach(([option, condition]) => {
+            if (options[option]) {
+                params.push(options[option]);
+                conditions.push(`${condition}$${params.length}`);
+            }
+        });
+
+        return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+    }
+
+    // Entries after a sequence number in chain order, for verification
+    static async findAfter(sequence, limit) {
+        const query = 'SELECT * FROM audit_log WHERE sequence > $1 ORDER BY sequence ASC LIMIT $2';
+        const result = await database.query(query, [sequence, limit]);
+        return result.rows.map(row => new AuditLog(row));
+    }
+
+    static get GENESIS_HASH() {
+        return GENESIS_HASH;
+    }
+
+    toJSON() {
+        return {
+            sequence: this.sequence,
+            entityType: this.entityType,
+            entityId: this.entityId,
+            action: this.action,
+            actorId: this.actorId,
+            reason: this.reason,
+            changes: this.changes,
+            previousHash: this.previousHash,
+            hash: this.hash,
+            createdAt: this.createdAt
+        };
+    }
+}
+
+module.exports = AuditLog;
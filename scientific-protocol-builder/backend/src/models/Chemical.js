@@ -0,0 +1,273 @@
+const database = require('../config/database');
+
+class Chemical {
+    constructor(data) {
+        this.id = data.id;
+        this.name = data.name;
+        this.casNumber = data.cas_number;
+        this.synonyms = data.synonyms || [];
+        this.formula = data.formula;
+        this.ghsHazards = data.ghs_hazards || [];
+        this.signalWord = data.signal_word;
+        this.incompatibilityGroups = data.incompatibility_groups || [];
+        this.ppe = data.ppe || [];
+        this.storageClass = data.storage_class;
+        this.notes = data.notes;
+        this.source = data.source;
+        this.createdBy = data.created_by;
+        this.createdAt = data.created_at;
+        this.updatedAt = data.updated_at;
+    }
+
+    static async create(chemicalData, userId) {
+        const {
+            name,
+            casNumber = null,
+            synonyms = [],
+            formula,
+            ghsHazards = [],
+            signalWord = null,
+            incompatibilityGroups = [],
+            ppe = [],
+            storageClass,
+            notes,
+            source = 'manual'
+        } = chemicalData;
+
+        const query = `
+            INSERT INTO chemicals (
+                name, cas_number, synonyms, formula, ghs_hazards, signal_word,
+                incompatibility_groups, ppe, storage_class, notes, source, created_by
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+            RETURNING *
+        `;
+
+        const result = await database.query(query, [
+            name, casNumber, synonyms, formula, ghsHazards, signalWord,
+            incompatibilityGroups, ppe, storageClass, notes, source, userId
+        ]);
+
+        return new Chemical(result.rows[0]);
+    }
+
+    /**
+     * Insert a chemical, or refresh the stored entry with the same CAS number.
+     * Returns the chemical and whether it was newly inserted.
+     */
+    static async upsert(chemicalData, userId) {
+        const {
+            name,
+            casNumber,
+            synonyms = [],
+            formula,
+            ghsHazards = [],
+            signalWord = null,
+            incompatibilityGroups = [],
+            ppe = [],
+            storageClass,
+            notes,
+            source = 'import'
+        } = chemicalData;
+
+        const query = `
+            INSERT INTO chemicals (
+                name, cas_number, synonyms, formula, ghs_hazards, signal_word,
+                incompatibility_groups, ppe, storage_class, notes, source, created_by
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+            ON CONFLICT (cas_number) DO UPDATE SET
+                name = EXCLUDED.name,
+                synonyms = EXCLUDED.synonyms,
+                formula = EXCLUDED.formula,
+                ghs_hazards = EXCLUDED.ghs_hazards,
+                signal_word = EXCLUDED.signal_word,
+                incompatibility_groups = EXCLUDED.incompatibility_groups,
+                ppe = EXCLUDED.ppe,
+                storage_class = EXCLUDED.storage_class,
+                notes = COALESCE(EXCLUDED.notes, chemicals.notes),
+                source = EXCLUDED.source,
+                updated_at = NOW()
+            RETURNING *, (xmax = 0) AS inserted
+        `;
+
+        const result = await database.query(query, [
+            name, casNumber, synonyms, formula, ghsHazards, signalWord,
+            incompatibilityGroups, ppe, storageClass, notes, source, userId
+        ]);
+
+        return {
+            chemical: new Chemical(result.rows[0]),
+            inserted: result.rows[0].inserted
+        };
+    }
+
+    static async findById(id) {
+        const query = 'SELECT * FROM chemicals WHERE id = $1';
+        const result = await database.query(query, [id]);
+
+        if (result.rows.length === 0) return null;
+        return new Chemical(result.rows[0]);
+    }
+
+    static async findByCas(casNumber) {
+        const query = 'SELECT * FROM chemicals WHERE cas_number = $1';
+        const result = await database.query(query, [casNumber]);
+
+        if (result.rows.length === 0) return null;
+        return new Chemical(result.rows[0]);
+    }
+
+    // Case-insensitive match on the name or any synonym, used to resolve reagent names
+    static async findByName(name) {
+        const query = `
+            SELECT * FROM chemicals
+            WHERE LOWER(name) = LOWER($1)
+                OR EXISTS (SELECT 1 FROM unnest(synonyms) AS synonym WHERE LOWER(synonym) = LOWER($1))
+            ORDER BY (LOWER(name) = LOWER($1)) DESC, created_at ASC
+            LIMIT 1
+        `;
+        const result = await database.query(query, [name]);
+
+        if (result.rows.length === 0) return null;
+        return new Chemical(result.rows[0]);
+    }
+
+    static async findAll(options = {}) {
+        let query = 'SELECT * FROM chemicals WHERE 1 = 1';
+        const params = [];
+        let paramCount = 0;
+
+        // Search by name, CAS number or synonym
+        if (options.search) {
+            paramCount++;
+            query += ` AND (name ILIKE $${paramCount} OR cas_number ILIKE $${paramCount}
+                OR EXISTS (SELECT 1 FROM unnest(synonyms) AS synonym WHERE synonym ILIKE $${paramCount}))`;
+            params.push(`%${options.search}%`);
+        }
+
+        // Filter by incompatibility group
+        if (options.group) {
+            paramCount++;
+            query += ` AND $${paramCount} = ANY(incompatibility_groups)`;
+            params.push(options.group);
+        }
+
+        // Filter by GHS hazard statement code
+        if (options.hazard) {
+            paramCount++;
+            query += ` AND $${paramCount} = ANY(ghs_hazards)`;
+            params.push(options.hazard);
+        }
+
+        query += ' ORDER BY name ASC';
+
+        // Pagination
+        if (options.limit) {
+            paramCount++;
+            query += ` LIMIT $${paramCount}`;
+            params.push(options.limit);
+        }
+
+        if (options.offset) {
+            paramCount++;
+            query += ` OFFSET $${paramCount}`;
+            params.push(options.offset);
+        }
+
+        const result = await database.query(query, params);
+        return result.rows.map(row => new Chemical(row));
+    }
+
+    async update(updateData, user) {
+        // Reference data is shared, so only its author or an admin may change it
+        if (this.createdBy !== user.id && user.role !== 'admin') {
+            throw new Error('Access denied: You can only update chemicals you added');
+        }
+
+        const fieldMap = {
+            name: 'name',
+            casNumber: 'cas_number',
+            synonyms: 'synonyms',
+            formula: 'formula',
+            ghsHazards: 'ghs_hazards',
+            signalWord: 'signal_word',
+            incompatibilityGroups: 'incompatibility_groups',
+            ppe: 'ppe',
+            storageClass: 'storage_class',
+            notes: 'notes'
+        };
+
+        const updates = [];
+        const params = [];
+        let paramCount = 0;
+
+        Object.keys(updateData).forEach(key => {
+            if (fieldMap[key] && updateData[key] !== undefined) {
+                paramCount++;
+                updates.push(`${fieldMap[key]} = $${paramCount}`);
+                params.push(updateData[key]);
+            }
+        });
+
+        if (updates.length === 0) {
+            throw new Error('No valid fields to update');
+        }
+
+        updates.push('updated_at = NOW()');
+        paramCount++;
+        params.push(this.id);
+
+        const query = `
+            UPDATE chemicals
+            SET ${updates.join(', ')}
+            WHERE id = $${paramCount}
+            RETURNING *
+        `;
+
+        const result = await database.query(query, params);
+
+        if (result.rows.length === 0) {
+            throw new Error('Chemical not found');
+        }
+
+        Object.assign(this, new Chemical(result.rows[0]));
+        return this;
+    }
+
+    async delete(user) {
+        if (this.createdBy !== user.id && user.role !== 'admin') {
+            throw new Error('Access denied: You can only delete chemicals you added');
+        }
+
+        const result = await database.query('DELETE FROM chemicals WHERE id = $1 RETURNING id', [this.id]);
+
+        if (result.rows.length === 0) {
+            throw new Error('Chemical not found');
+        }
+
+        return true;
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            casNumber: this.casNumber,
+            synonyms: this.synonyms,
+            formula: this.formula,
+            ghsHazards: this.ghsHazards,
+            signalWord: this.signalWord,
+            incompatibilityGroups: this.incompatibilityGroups,
+            ppe: this.ppe,
+            storageClass: this.storageClass,
+            notes: this.notes,
+            source: this.source,
+            createdBy: this.createdBy,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+}
+
+module.exports = Chemical;
@@ -0,0 +1,139 @@
+const database = require('../config/database');
+
+class Execution {
+    constructor(data) {
+        this.id = data.id;
+        this.protocolId = data.protocol_id;
+        this.versionId = data.version_id;
+        this.protocolVersion = data.protocol_version;
+        this.workspaceHash = data.workspace_hash;
+        this.status = data.status;
+        this.workspaceJson = data.workspace_json;
+        this.parameters = data.parameters || {};
+        this.state = data.state || {};
+        this.error = data.error;
+        this.startedBy = data.started_by;
+        this.createdAt = data.created_at;
+        this.updatedAt = data.updated_at;
+        this.startedAt = data.started_at;
+        this.completedAt = data.completed_at;
+    }
+
+    static async create(executionData, userId) {
+        const {
+            protocolId,
+            versionId,
+            protocolVersion,
+            workspaceHash,
+            workspaceJson,
+            parameters = {},
+            state = {}
+        } = executionData;
+
+        const query = `
+            INSERT INTO executions (
+                protocol_id, version_id, protocol_version, workspace_hash,
+                status, workspace_json, parameters, state, started_by
+            )
+            VALUES ($1, $2, $3, $4, 'pending', $5, $6, $7, $8)
+            RETURNING *
+        `;
+
+        const result = await database.query(query, [
+            protocolId, versionId, protocolVersion, workspaceHash,
+            workspaceJson, parameters, state, userId
+        ]);
+
+        return new Execution(result.rows[0]);
+    }
+
+    static async findById(id) {
+        const query = 'SELECT * FROM executions WHERE id = $1';
+        const result = await database.query(query, [id]);
+
+        if (result.rows.length === 0) return null;
+        return new Execution(result.rows[0]);
+    }
+
+    static async findByStatus(statuses) {
+        const query = 'SELECT * FROM executions WHERE status = ANY($1) ORDER BY created_at ASC';
+        const result = await database.query(query, [statuses]);
+        return result.rows.map(row => new Execution(row));
+    }
+
+    static async findByProtocol(protocolId, options = {}) {
+        const limit = options.limit || 20;
+        const offset = options.offset || 0;
+
+        const query = `
+            SELECT * FROM executions
+            WHERE protocol_id = $1
+            ORDER BY created_at DESC
+            LIMIT $2 OFFSET $3
+        `;
+        const result = await database.query(query, [protocolId, limit, offset]);
+        return result.rows.map(row => new Execution(row));
+    }
+
+    async updateStatus(status, error = null) {
+        const query = `
+            UPDATE executions
+            SET status = $1,
+                error = $2,
+                started_at = CASE WHEN $1 = 'running' AND started_at IS NULL THEN NOW() ELSE started_at END,
+                completed_at = CASE WHEN $1 IN ('completed', 'aborted', 'failed') THEN NOW() ELSE completed_at END,
+                updated_at = NOW()
+            WHERE id = $3
+            RETURNING *
+        `;
+
+        const result = await database.query(query, [status, error, this.id]);
+
+        if (result.rows.length === 0) {
+            throw new Error('Execution not found');
+        }
+
+        Object.assign(this, new Execution(result.rows[0]));
+        return this;
+    }
+
+    async saveState(state) {
+        const query = `
+            UPDATE executions
+            SET state = $1, updated_at = NOW()
+            WHERE id = $2
+            RETURNING updated_at
+        `;
+
+        const result = await database.query(query, [state, this.id]);
+
+        if (result.rows.length === 0) {
+            throw new Error('Execution not found');
+        }
+
+        this.state = state;
+        this.updatedAt = result.rows[0].updated_at;
+        return this;
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            protocolId: this.protocolId,
+            versionId: this.versionId,
+            protocolVersion: this.protocolVersion,
+            workspaceHash: this.workspaceHash,
+            status: this.status,
+            parameters: this.parameters,
+            state: this.state,
+            error: this.error,
+            startedBy: this.startedBy,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt,
+            startedAt: this.startedAt,
+            completedAt: this.completedAt
+        };
+    }
+}
+
+module.exports = Execution;
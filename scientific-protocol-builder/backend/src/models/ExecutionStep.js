@@ -0,0 +1,104 @@
+const database = require('../config/database');
+
+class ExecutionStep {
+    constructor(data) {
+        this.id = data.id;
+        this.executionId = data.execution_id;
+        this.stepKey = data.step_key;
+        this.blockId = data.block_id;
+        this.blockType = data.block_type;
+        this.status = data.status;
+        this.operatorId = data.operator_id;
+        this.parameters = data.parameters || {};
+        this.result = data.result;
+        this.outcome = data.outcome;
+        this.notes = data.notes;
+        this.startedAt = data.started_at;
+        this.completedAt = data.completed_at;
+    }
+
+    static async start(stepData) {
+        const {
+            executionId,
+            stepKey,
+            blockId,
+            blockType,
+            operatorId,
+            parameters = {}
+        } = stepData;
+
+        const query = `
+            INSERT INTO execution_steps (
+                execution_id, step_key, block_id, block_type, status, operator_id, parameters
+            )
+            VALUES ($1, $2, $3, $4, 'running', $5, $6)
+            RETURNING *
+        `;
+
+        const result = await database.query(query, [
+            executionId, stepKey, blockId, blockType, operatorId, parameters
+        ]);
+
+        return new ExecutionStep(result.rows[0]);
+    }
+
+    static async findByExecution(executionId, options = {}) {
+        let query = 'SELECT * FROM execution_steps WHERE execution_id = $1';
+        const params = [executionId];
+
+        if (options.blockType) {
+            query += ' AND block_type = $2';
+            params.push(options.blockType);
+        }
+
+        query += ' ORDER BY started_at ASC';
+
+        const result = await database.query(query, params);
+        return result.rows.map(row => new ExecutionStep(row));
+    }
+
+    async finish(status, { result = null, outcome = null, notes = null, operatorId = null } = {}) {
+        const query = `
+            UPDATE execution_steps
+            SET status = $1,
+                result = $2,
+                outcome = $3,
+                notes = COALESCE($4, notes),
+                operator_id = COALESCE($5, operator_id),
+                completed_at = NOW()
+            WHERE id = $6
+            RETURNING *
+        `;
+
+        const queryResult = await database.query(query, [
+            status, result, outcome, notes, operatorId, this.id
+        ]);
+
+        if (queryResult.rows.length === 0) {
+            throw new Error('Execution step not found');
+        }
+
+        Object.assign(this, new ExecutionStep(queryResult.rows[0]));
+        return this;
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            executionId: this.executionId,
+            stepKey: this.stepKey,
+            blockId: this.blockId,
+            blockType: this.blockType,
+            status: this.status,
+            operatorId: this.operatorId,
+            parameters: this.parameters,
+            result: this.result,
+            outcome: this.outcome,
+            notes: this.notes,
+            startedAt: this.startedAt,
+            completedAt: this.completedAt
+        };
+    }
+}
+
+module.exports = ExecutionStep;
@@ -1,4 +1,5 @@
 const database = require('../config/database');
+const AuditLog = require('./AuditLog');
 
 class Instrument {
     constructor(data) {
@@ -38,12 +39,23 @@ class Instrument {
             RETURNING *
         `;
 
-        const result = await database.query(query, [
-            name, type, manufacturer, model, serialNumber,
-            location, specifications, calibrationData, userId
-        ]);
-
-        return new Instrument(result.rows[0]);
+        return database.transaction(async (client) => {
+            const result = await client.query(query, [
+                name, type, manufacturer, model, serialNumber,
+                location, specifications, calibrationData, userId
+            ]);
+            const instrument = new Instrument(result.rows[0]);
+
+            await AuditLog.append({
+                entityType: 'instrument',
+                entityId: instrument.id,
+                action: 'create',
+                actorId: userId,
+                after: instrument.toJSON()
+            }, client);
+
+            return instrument;
+        });
     }
 
     static async findById(id) {
@@ -134,7 +146,7 @@ class Instrument {
         return result.rows.map(row => row.location);
     }
 
-    async update(updateData, userId) {
+    async update(updateData, userId, reason = null) {
         // Check if user has permission to update (owner or admin)
         if (this.createdBy !== userId) {
             throw new Error('Access denied: You can only update instruments you created');
@@ -172,17 +184,10 @@ class Instrument {
             RETURNING *
         `;
 
-        const result = await database.query(query, params);
-
-        if (result.rows.length === 0) {
-            throw new Error('Instrument not found');
-        }
-
-        Object.assign(this, result.rows[0]);
-        return this;
+        return this.applyChange('update', query, params, userId, reason);
     }
 
-    async updateCalibration(calibrationData, userId) {
+    async updateCalibration(calibrationData, userId, reason = null) {
         // Check if user has permission to update calibration
         if (this.createdBy !== userId) {
             throw new Error('Access denied: You can only update calibration for instruments you created');
@@ -195,17 +200,10 @@ class Instrument {
             RETURNING *
         `;
 
-        const result = await database.query(query, [calibrationData, this.id]);
-
-        if (result.rows.length === 0) {
-            throw new Error('Instrument not found');
-        }
-
-        Object.assign(this, result.rows[0]);
-        return this;
+        return this.applyChange('calibration_update', query, [calibrationData, this.id], userId, reason);
     }
 
-    async deactivate(userId) {
+    async deactivate(userId, reason = null) {
         // Check if user has permission to deactivate
         if (this.createdBy !== userId) {
             throw new Error('Access denied: You can only deactivate instruments you created');
@@ -218,13 +216,33 @@ class Instrument {
             RETURNING *
         `;
 
-        const result = await database.query(query, [this.id]);
+        return this.applyChange('deactivate', query, [this.id], userId, reason);
+    }
 
-        if (result.rows.length === 0) {
-            throw new Error('Instrument not found');
-        }
+    // Run an UPDATE returning the instrument row and record it in the audit log, in one transaction
+    async applyChange(action, query, params, userId, reason) {
+        const updated = await database.transaction(async (client) => {
+            const result = await client.query(query, params);
+
+            if (result.rows.length === 0) {
+                throw new Error('Instrument not found');
+            }
+
+            const instrument = new Instrument(result.rows[0]);
+            await AuditLog.append({
+                entityType: 'instrument',
+                entityId: this.id,
+                action,
+                actorId: userId,
+                reason,
+                before: this.toJSON(),
+                after: instrument.toJSON()
+            }, client);
+
+            return instrument;
+        });
 
-        this.isActive = false;
+        Object.assign(this, updated);
         return this;
     }
 
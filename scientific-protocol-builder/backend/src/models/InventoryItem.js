@@ -0,0 +1,257 @@
+const database = require('../config/database');
+
+class InventoryItem {
+    constructor(data) {
+        this.id = data.id;
+        this.name = data.name;
+        this.category = data.category;
+        this.catalogNumber = data.catalog_number;
+        this.supplier = data.supplier;
+        this.unit = data.unit;
+        this.storageConditions = data.storage_conditions;
+        this.reorderLevel = data.reorder_level !== null && data.reorder_level !== undefined
+            ? parseFloat(data.reorder_level)
+            : null;
+        this.notes = data.notes;
+        this.createdBy = data.created_by;
+        this.createdAt = data.created_at;
+        this.updatedAt = data.updated_at;
+        this.isActive = data.is_active;
+        // Present when loaded through findAll, which totals unexpired lots
+        this.quantityOnHand = data.quantity_on_hand !== undefined && data.quantity_on_hand !== null
+            ? parseFloat(data.quantity_on_hand)
+            : undefined;
+        this.nextExpiry = data.next_expiry;
+    }
+
+    static async create(itemData, userId) {
+        const {
+            name,
+            category = 'reagent',
+            catalogNumber,
+            supplier,
+            unit = 'mL',
+            storageConditions,
+            reorderLevel = null,
+            notes
+        } = itemData;
+
+        const query = `
+            INSERT INTO inventory_items (
+                name, category, catalog_number, supplier, unit,
+                storage_conditions, reorder_level, notes, created_by
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING *
+        `;
+
+        const result = await database.query(query, [
+            name, category, catalogNumber, supplier, unit,
+            storageConditions, reorderLevel, notes, userId
+        ]);
+
+        return new InventoryItem(result.rows[0]);
+    }
+
+    static async findById(id) {
+        const query = 'SELECT * FROM inventory_items WHERE id = $1 AND is_active = true';
+        const result = await database.query(query, [id]);
+
+        if (result.rows.length === 0) return null;
+        return new InventoryItem(result.rows[0]);
+    }
+
+    // Case-insensitive lookup used to match reagent_variable names that are not linked by ID
+    static async findByName(name) {
+        const query = `
+            SELECT * FROM inventory_items
+            WHERE LOWER(name) = LOWER($1) AND is_active = true
+            ORDER BY created_at ASC
+            LIMIT 1
+        `;
+        const result = await database.query(query, [name]);
+
+        if (result.rows.length === 0) return null;
+        return new InventoryItem(result.rows[0]);
+    }
+
+    static async findAll(options = {}) {
+        let query = `
+            SELECT i.*,
+                COALESCE(SUM(l.quantity) FILTER (
+                    WHERE l.expiry_date IS NULL OR l.expiry_date >= CURRENT_DATE
+                ), 0) AS quantity_on_hand,
+                MIN(l.expiry_date) FILTER (
+                    WHERE l.quantity > 0 AND l.expiry_date >= CURRENT_DATE
+                ) AS next_expiry
+            FROM inventory_items i
+            LEFT JOIN inventory_lots l ON l.item_id = i.id
+            WHERE i.is_active = true
+        `;
+        const params = [];
+        let paramCount = 0;
+
+        // Filter by category
+        if (options.category) {
+            paramCount++;
+            query += ` AND i.category = $${paramCount}`;
+            params.push(options.category);
+        }
+
+        // Filter by storage location of any lot
+        if (options.location) {
+            paramCount++;
+            query += ` AND EXISTS (
+                SELECT 1 FROM inventory_lots loc
+                WHERE loc.item_id = i.id AND loc.location ILIKE $${paramCount}
+            )`;
+            params.push(`%${options.location}%`);
+        }
+
+        // Search by name, catalog number or supplier
+        if (options.search) {
+            paramCount++;
+            query += ` AND (i.name ILIKE $${paramCount} OR i.catalog_number ILIKE $${paramCount} OR i.supplier ILIKE $${paramCount})`;
+            params.push(`%${options.search}%`);
+        }
+
+        query += ' GROUP BY i.id';
+
+        // Only items at or below their reorder level
+        if (options.lowStock) {
+            query += ' HAVING i.reorder_level IS NOT NULL AND COALESCE(SUM(l.quantity) FILTER (WHERE l.expiry_date IS NULL OR l.expiry_date >= CURRENT_DATE), 0) <= i.reorder_level';
+        }
+
+        // Order by
+        const orderBy = options.orderBy || 'name';
+        const orderDirection = options.orderDirection || 'ASC';
+        query += ` ORDER BY i.${orderBy} ${orderDirection}`;
+
+        // Pagination
+        if (options.limit) {
+            paramCount++;
+            query += ` LIMIT $${paramCount}`;
+            params.push(options.limit);
+        }
+
+        if (options.offset) {
+            paramCount++;
+            query += ` OFFSET $${paramCount}`;
+            params.push(options.offset);
+        }
+
+        const result = await database.query(query, params);
+        return result.rows.map(row => new InventoryItem(row));
+    }
+
+    static async getLocations() {
+        const query = `
+            SELECT DISTINCT l.location
+            FROM inventory_lots l
+            JOIN inventory_items i ON i.id = l.item_id
+            WHERE l.location IS NOT NULL AND i.is_active = true
+            ORDER BY l.location
+        `;
+        const result = await database.query(query);
+        return result.rows.map(row => row.location);
+    }
+
+    async update(updateData, userId) {
+        // Check if user has permission to update (owner)
+        if (this.createdBy !== userId) {
+            throw new Error('Access denied: You can only update inventory items you created');
+        }
+
+        const fieldMap = {
+            name: 'name',
+            category: 'category',
+            catalogNumber: 'catalog_number',
+            supplier: 'supplier',
+            unit: 'unit',
+            storageConditions: 'storage_conditions',
+            reorderLevel: 'reorder_level',
+            notes: 'notes'
+        };
+
+        const updates = [];
+        const params = [];
+        let paramCount = 0;
+
+        Object.keys(updateData).forEach(key => {
+            if (fieldMap[key] && updateData[key] !== undefined) {
+                paramCount++;
+                updates.push(`${fieldMap[key]} = $${paramCount}`);
+                params.push(updateData[key]);
+            }
+        });
+
+        if (updates.length === 0) {
+            throw new Error('No valid fields to update');
+        }
+
+        updates.push('updated_at = NOW()');
+        paramCount++;
+        params.push(this.id);
+
+        const query = `
+            UPDATE inventory_items
+            SET ${updates.join(', ')}
+            WHERE id = $${paramCount} AND is_active = true
+            RETURNING *
+        `;
+
+        const result = await database.query(query, params);
+
+        if (result.rows.length === 0) {
+            throw new Error('Inventory item not found');
+        }
+
+        Object.assign(this, new InventoryItem(result.rows[0]));
+        return this;
+    }
+
+    async deactivate(userId) {
+        // Check if user has permission to deactivate
+        if (this.createdBy !== userId) {
+            throw new Error('Access denied: You can only deactivate inventory items you created');
+        }
+
+        const query = `
+            UPDATE inventory_items
+            SET is_active = false, updated_at = NOW()
+            WHERE id = $1
+            RETURNING *
+        `;
+
+        const result = await database.query(query, [this.id]);
+
+        if (result.rows.length === 0) {
+            throw new Error('Inventory item not found');
+        }
+
+        this.isActive = false;
+        return this;
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            category: this.category,
+            catalogNumber: this.catalogNumber,
+            supplier: this.supplier,
+            unit: this.unit,
+            storageConditions: this.storageConditions,
+            reorderLevel: this.reorderLevel,
+            notes: this.notes,
+            quantityOnHand: this.quantityOnHand,
+            nextExpiry: this.nextExpiry,
+            createdBy: this.createdBy,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt,
+            isActive: this.isActive
+        };
+    }
+}
+
+module.exports = InventoryItem;
@@ -0,0 +1,186 @@
+const database = require('../config/database');
+
+class InventoryLot {
+    constructor(data) {
+        this.id = data.id;
+        this.itemId = data.item_id;
+        this.lotNumber = data.lot_number;
+        this.quantity = data.quantity !== null && data.quantity !== undefined ? parseFloat(data.quantity) : 0;
+        this.unit = data.unit;
+        this.expiryDate = data.expiry_date;
+        this.location = data.location;
+        this.receivedAt = data.received_at;
+        this.createdBy = data.created_by;
+        this.createdAt = data.created_at;
+        this.updatedAt = data.updated_at;
+        // Present when loaded through findExpiring
+        this.itemName = data.item_name;
+    }
+
+    static async create(itemId, lotData, userId) {
+        const {
+            lotNumber,
+            quantity = 0,
+            unit,
+            expiryDate = null,
+            location,
+            receivedAt = null
+        } = lotData;
+
+        const query = `
+            INSERT INTO inventory_lots (
+                item_id, lot_number, quantity, unit, expiry_date,
+                location, received_at, created_by
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, CURRENT_DATE), $8)
+            RETURNING *
+        `;
+
+        const result = await database.query(query, [
+            itemId, lotNumber, quantity, unit, expiryDate,
+            location, receivedAt, userId
+        ]);
+
+        return new InventoryLot(result.rows[0]);
+    }
+
+    static async findById(id) {
+        const query = 'SELECT * FROM inventory_lots WHERE id = $1';
+        const result = await database.query(query, [id]);
+
+        if (result.rows.length === 0) return null;
+        return new InventoryLot(result.rows[0]);
+    }
+
+    // Lots of an item, soonest expiry first so they are used first-expired-first-out
+    static async findByItem(itemId, options = {}) {
+        let query = 'SELECT * FROM inventory_lots WHERE item_id = $1';
+        const params = [itemId];
+
+        if (!options.includeExpired) {
+            query += ' AND (expiry_date IS NULL OR expiry_date >= CURRENT_DATE)';
+        }
+
+        if (!options.includeEmpty) {
+            query += ' AND quantity > 0';
+        }
+
+        query += ' ORDER BY expiry_date ASC NULLS LAST, received_at ASC';
+
+        const result = await database.query(query, params);
+        return result.rows.map(row => new InventoryLot(row));
+    }
+
+    // Lots with stock left that expire within the given number of days (or already have)
+    static async findExpiring(days = 30) {
+        const query = `
+            SELECT l.*, i.name AS item_name
+            FROM inventory_lots l
+            JOIN inventory_items i ON i.id = l.item_id
+            WHERE i.is_active = true
+                AND l.quantity > 0
+                AND l.expiry_date IS NOT NULL
+                AND l.expiry_date <= CURRENT_DATE + $1::int
+            ORDER BY l.expiry_date ASC
+        `;
+
+        const result = await database.query(query, [days]);
+        return result.rows.map(row => new InventoryLot(row));
+    }
+
+    async update(updateData) {
+        const fieldMap = {
+            lotNumber: 'lot_number',
+            quantity: 'quantity',
+            unit: 'unit',
+            expiryDate: 'expiry_date',
+            location: 'location'
+        };
+
+        const updates = [];
+        const params = [];
+        let paramCount = 0;
+
+        Object.keys(updateData).forEach(key => {
+            if (fieldMap[key] && updateData[key] !== undefined) {
+                paramCount++;
+                updates.push(`${fieldMap[key]} = $${paramCount}`);
+                params.push(updateData[key]);
+            }
+        });
+
+        if (updates.length === 0) {
+            throw new Error('No valid fields to update');
+        }
+
+        updates.push('updated_at = NOW()');
+        paramCount++;
+        params.push(this.id);
+
+        const query = `
+            UPDATE inventory_lots
+            SET ${updates.join(', ')}
+            WHERE id = $${paramCount}
+            RETURNING *
+        `;
+
+        const result = await database.query(query, params);
+
+        if (result.rows.length === 0) {
+            throw new Error('Inventory lot not found');
+        }
+
+        Object.assign(this, new InventoryLot(result.rows[0]));
+        return this;
+    }
+
+    // Add (positive) or consume (negative) stock without letting the lot go below zero
+    async adjustQuantity(delta) {
+        const query = `
+            UPDATE inventory_lots
+            SET quantity = quantity + $1, updated_at = NOW()
+            WHERE id = $2 AND quantity + $1 >= 0
+            RETURNING *
+        `;
+
+        const result = await database.query(query, [delta, this.id]);
+
+        if (result.rows.length === 0) {
+            throw new Error('Insufficient quantity in lot');
+        }
+
+        Object.assign(this, new InventoryLot(result.rows[0]));
+        return this;
+    }
+
+    async delete() {
+        await database.query('DELETE FROM inventory_lots WHERE id = $1', [this.id]);
+    }
+
+    isExpired(onDate = new Date()) {
+        if (!this.expiryDate) return false;
+        const expiry = new Date(this.expiryDate);
+        expiry.setHours(23, 59, 59, 999);
+        return expiry < onDate;
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            itemId: this.itemId,
+            itemName: this.itemName,
+            lotNumber: this.lotNumber,
+            quantity: this.quantity,
+            unit: this.unit,
+            expiryDate: this.expiryDate,
+            location: this.location,
+            receivedAt: this.receivedAt,
+            isExpired: this.isExpired(),
+            createdBy: this.createdBy,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+}
+
+module.exports = InventoryLot;
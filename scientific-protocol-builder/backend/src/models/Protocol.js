@@ -1,6 +1,12 @@
 const database = require('../config/database');
+const AuditLog = require('./AuditLog');
+const { getProtocolCalls } = require('../utils/blocklyWorkspace');
 const { v4: uuidv4 } = require('uuid');
 
+// Review states a protocol version moves through; approved and retired versions never change
+const STATUSES = ['draft', 'in_review', 'approved', 'retired'];
+const LOCKED_STATUSES = ['approved', 'retired'];
+
 class Protocol {
     constructor(data) {
         this.id = data.id;
@@ -18,6 +24,12 @@ class Protocol {
         this.isPublic = data.is_public;
         this.isTemplate = data.is_template;
         this.parentProtocolId = data.parent_protocol_id;
+        this.status = data.status;
+        this.approvedBy = data.approved_by;
+        this.approvedAt = data.approved_at;
+        this.retiredAt = data.retired_at;
+        this.templateParameters = data.template_parameters || [];
+        this.templateValues = data.template_values;
     }
 
     static async create(protocolData, userId) {
@@ -32,34 +44,52 @@ class Protocol {
             analysisData,
             isPublic = false,
             isTemplate = false,
-            parentProtocolId
+            parentProtocolId,
+            templateParameters = [],
+            templateValues = null
         } = protocolData;
 
         const query = `
             INSERT INTO protocols (
                 name, description, category, tags, version, workspace_xml, 
                 workspace_json, analysis_data, created_by, is_public, 
-                is_template, parent_protocol_id
+                is_template, parent_protocol_id, template_parameters, template_values
             )
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
             RETURNING *
         `;
 
-        const result = await database.query(query, [
-            name, description, category, tags, version, workspaceXml,
-            workspaceJson, analysisData, userId, isPublic, isTemplate, parentProtocolId
-        ]);
-
-        return new Protocol(result.rows[0]);
+        return database.transaction(async (client) => {
+            // Arrays would be sent as Postgres arrays, so JSONB lists go as text
+            const result = await client.query(query, [
+                name, description, category, tags, version, workspaceXml,
+                workspaceJson, analysisData, userId, isPublic, isTemplate, parentProtocolId,
+                JSON.stringify(templateParameters), templateValues
+            ]);
+            const created = new Protocol(result.rows[0]);
+            await created.syncCalls(client);
+
+            await AuditLog.append({
+                entityType: 'protocol',
+                entityId: created.id,
+                action: 'create',
+                actorId: userId,
+                after: created.toJSON()
+            }, client);
+
+            return created;
+        });
     }
 
     static async findById(id, userId = null) {
         let query = 'SELECT * FROM protocols WHERE id = $1';
         const params = [id];
 
-        // If userId is provided, check access permissions
+        // If userId is provided, check access permissions; assigned reviewers can read the protocol too
         if (userId) {
-            query += ' AND (created_by = $2 OR is_public = true)';
+            query += ` AND (created_by = $2 OR is_public = true OR EXISTS (
+                SELECT 1 FROM protocol_reviews WHERE protocol_id = protocols.id AND reviewer_id = $2
+            ) OR (is_template = true AND ${Protocol.sameOrganization('protocols.created_by', '$2')}))`;
             params.push(userId);
         } else {
             query += ' AND is_public = true';
@@ -151,16 +181,20 @@ class Protocol {
         return result.rows.map(row => row.tag);
     }
 
-    async update(updateData, userId) {
+    async update(updateData, userId, reason = null) {
         // Check if user has permission to update
         if (this.createdBy !== userId) {
             throw new Error('Access denied: You can only update your own protocols');
         }
 
+        if (this.status !== 'draft') {
+            throw new Error(`Protocol is ${this.status} and cannot be changed`);
+        }
+
         const allowedFields = [
             'name', 'description', 'category', 'tags', 'version',
             'workspace_xml', 'workspace_json', 'analysis_data',
-            'is_public', 'is_template'
+            'is_public', 'is_template', 'template_parameters'
         ];
 
         const updates = [];
@@ -171,7 +205,7 @@ class Protocol {
             if (allowedFields.includes(key) && updateData[key] !== undefined) {
                 paramCount++;
                 updates.push(`${key} = $${paramCount}`);
-                params.push(updateData[key]);
+                params.push(key === 'template_parameters' ? JSON.stringify(updateData[key]) : updateData[key]);
             }
         });
 
@@ -190,29 +224,70 @@ class Protocol {
             RETURNING *
         `;
 
-        const result = await database.query(query, params);
+        const updated = await database.transaction(async (client) => {
+            const result = await client.query(query, params);
 
-        if (result.rows.length === 0) {
-            throw new Error('Protocol not found');
-        }
+            if (result.rows.length === 0) {
+                throw new Error('Protocol not found');
+            }
+
+            const protocol = new Protocol(result.rows[0]);
+            await protocol.syncCalls(client);
 
-        Object.assign(this, result.rows[0]);
+            await AuditLog.append({
+                entityType: 'protocol',
+                entityId: this.id,
+                action: 'update',
+                actorId: userId,
+                reason,
+                before: this.toJSON(),
+                after: protocol.toJSON()
+            }, client);
+
+            return protocol;
+        });
+
+        Object.assign(this, updated);
         return this;
     }
 
-    async delete(userId) {
+    async delete(userId, reason = null) {
         // Check if user has permission to delete
         if (this.createdBy !== userId) {
             throw new Error('Access denied: You can only delete your own protocols');
         }
 
-        const query = 'DELETE FROM protocols WHERE id = $1 AND created_by = $2';
-        const result = await database.query(query, [this.id, userId]);
+        // Approved and retired versions are kept as records
+        if (LOCKED_STATUSES.includes(this.status)) {
+            throw new Error(`Protocol is ${this.status} and cannot be deleted`);
+        }
 
-        if (result.rowCount === 0) {
-            throw new Error('Protocol not found or access denied');
+        // Shared sub-protocols stay while other protocols call them
+        const callers = await Protocol.findCallers(this.id, { maxDepth: 1 });
+        const otherCallers = new Set(callers.map(caller => caller.callerId).filter(id => id !== this.id));
+        if (otherCallers.size > 0) {
+            throw new Error(`Protocol is used by ${otherCallers.size} other protocol(s) and cannot be deleted`);
         }
 
+        const query = 'DELETE FROM protocols WHERE id = $1 AND created_by = $2';
+
+        await database.transaction(async (client) => {
+            const result = await client.query(query, [this.id, userId]);
+
+            if (result.rowCount === 0) {
+                throw new Error('Protocol not found or access denied');
+            }
+
+            await AuditLog.append({
+                entityType: 'protocol',
+                entityId: this.id,
+                action: 'delete',
+                actorId: userId,
+                reason,
+                before: this.toJSON()
+            }, client);
+        });
+
         return true;
     }
 
@@ -234,6 +309,109 @@ class Protocol {
         return Protocol.create(clonedData, userId);
     }
 
+    isLocked() {
+        return LOCKED_STATUSES.includes(this.status);
+    }
+
+    // Start the next version from this one, with the given changes, as a new draft
+    async createDraft(updateData, userId) {
+        if (this.createdBy !== userId) {
+            throw new Error('Access denied: You can only update your own protocols');
+        }
+
+        const draftData = {
+            name: this.name,
+            description: this.description,
+            category: this.category,
+            tags: this.tags,
+            workspaceXml: this.workspaceXml,
+            workspaceJson: this.workspaceJson,
+            analysisData: this.analysisData,
+            isPublic: this.isPublic,
+            isTemplate: this.isTemplate,
+            templateParameters: this.templateParameters
+        };
+
+        Object.keys(draftData).forEach(key => {
+            if (updateData[key] !== undefined) draftData[key] = updateData[key];
+        });
+
+        return Protocol.create({
+            ...draftData,
+            version: updateData.version && updateData.version !== this.version
+                ? updateData.version
+                : Protocol.nextVersion(this.version),
+            parentProtocolId: this.id
+        }, userId);
+    }
+
+    // Next minor version: 1.0 -> 1.1, 2 -> 2.1
+    static nextVersion(version) {
+        const match = /^(\d+)(?:\.(\d+))?$/.exec(version || '');
+        if (!match) return `${version || '1.0'}.1`;
+        return `${match[1]}.${match[2] !== undefined ? Number(match[2]) + 1 : 1}`;
+    }
+
+    /**
+     * Run callback(protocol, client) in a transaction holding the protocol's row lock, with the
+     * protocol as currently stored. Concurrent workflow changes to a protocol queue on the lock.
+     */
+    static async withLock(id, callback) {
+        return database.transaction(async (client) => {
+            const result = await client.query('SELECT * FROM protocols WHERE id = $1 FOR UPDATE', [id]);
+
+            if (result.rows.length === 0) {
+                throw new Error('Protocol not found');
+            }
+
+            return callback(new Protocol(result.rows[0]), client);
+        });
+    }
+
+    // Pass client to make the change within a transaction already open (withLock)
+    async updateStatus(status, userId, reason = null, client = null) {
+        if (!STATUSES.includes(status)) {
+            throw new Error(`Unknown protocol status: ${status}`);
+        }
+
+        const query = `
+            UPDATE protocols
+            SET status = $1,
+                approved_by = CASE WHEN $1 = 'approved' THEN $2::uuid ELSE approved_by END,
+                approved_at = CASE WHEN $1 = 'approved' THEN NOW() ELSE approved_at END,
+                retired_at = CASE WHEN $1 = 'retired' THEN NOW() ELSE retired_at END,
+                updated_at = NOW()
+            WHERE id = $3
+            RETURNING *
+        `;
+
+        const apply = async (db) => {
+            const result = await db.query(query, [status, userId, this.id]);
+
+            if (result.rows.length === 0) {
+                throw new Error('Protocol not found');
+            }
+
+            const protocol = new Protocol(result.rows[0]);
+            await AuditLog.append({
+                entityType: 'protocol',
+                entityId: this.id,
+                action: 'status_change',
+                actorId: userId,
+                reason,
+                before: this.toJSON(),
+                after: protocol.toJSON()
+            }, db);
+
+            return protocol;
+        };
+
+        const updated = client ? await apply(client) : await database.transaction(apply);
+
+        Object.assign(this, updated);
+        return this;
+    }
+
     async getVersionHistory() {
         const query = `
             SELECT * FROM protocols 
@@ -244,6 +422,164 @@ class Protocol {
         return result.rows.map(row => new Protocol(row));
     }
 
+    // Later versions of this protocol: drafts started from it, and from those, under the same name
+    async getLaterVersions() {
+        const query = `
+            WITH RECURSIVE later AS (
+                SELECT * FROM protocols WHERE parent_protocol_id = $1 AND name = $2
+                UNION ALL
+                SELECT protocols.* FROM protocols
+                JOIN later ON protocols.parent_protocol_id = later.id AND protocols.name = later.name
+            )
+            SELECT * FROM later ORDER BY created_at DESC
+        `;
+        const result = await database.query(query, [this.id, this.name]);
+        return result.rows.map(row => new Protocol(row));
+    }
+
+    // Rebuild the library links of this protocol's protocol_call blocks. Calls to protocols that
+    // do not exist are not linked; validation reports them.
+    async syncCalls(client) {
+        await client.query('DELETE FROM protocol_calls WHERE caller_id = $1', [this.id]);
+
+        for (const call of getProtocolCalls(this.workspaceJson)) {
+            await client.query(`
+                INSERT INTO protocol_calls (caller_id, callee_id, callee_version, block_id)
+                SELECT $1, id, $3, $4 FROM protocols WHERE id = $2
+                ON CONFLICT (caller_id, block_id) DO NOTHING
+            `, [this.id, call.protocolId, call.version, call.blockId]);
+        }
+    }
+
+    // Protocols calling a protocol, directly (depth 1) or through other sub-protocols
+    static async findCallers(id, options = {}) {
+        const { maxDepth = 10 } = options;
+
+        const query = `
+            WITH RECURSIVE usage AS (
+                SELECT caller_id, callee_id, callee_version, block_id, 1 AS depth,
+                       ARRAY[callee_id, caller_id] AS path
+                FROM protocol_calls
+                WHERE callee_id = $1
+                UNION ALL
+                SELECT calls.caller_id, calls.callee_id, calls.callee_version, calls.block_id, usage.depth + 1,
+                       usage.path || calls.caller_id
+                FROM protocol_calls calls
+                JOIN usage ON calls.callee_id = usage.caller_id
+                WHERE usage.depth < $2 AND NOT calls.caller_id = ANY(usage.path)
+            )
+            SELECT usage.*, protocols.name AS caller_name, protocols.version AS caller_version,
+                   protocols.status AS caller_status, protocols.created_by AS caller_created_by,
+                   protocols.is_public AS caller_is_public
+            FROM usage
+            JOIN protocols ON protocols.id = usage.caller_id
+            ORDER BY usage.depth ASC, protocols.name ASC
+        `;
+
+        const result = await database.query(query, [id, maxDepth]);
+        return result.rows.map(row => ({
+            callerId: row.caller_id,
+            callerName: row.caller_name,
+            callerVersion: row.caller_version,
+            callerStatus: row.caller_status,
+            callerCreatedBy: row.caller_created_by,
+            callerIsPublic: row.caller_is_public,
+            calleeId: row.callee_id,
+            pinnedVersion: row.callee_version,
+            blockId: row.block_id,
+            depth: row.depth
+        }));
+    }
+
+    // Protocols a user can call as sub-protocols: their own and public ones defining a protocol
+    static async findLibrary(userId, options = {}) {
+        let query = `
+            SELECT * FROM protocols
+            WHERE (created_by = $1 OR is_public = true)
+            AND status <> 'retired'
+            AND jsonb_path_exists(workspace_json, '$.blocks.blocks[*] ? (@.type == "protocol_definition")')
+        `;
+        const params = [userId];
+
+        if (options.search) {
+            params.push(`%${options.search}%`);
+            query += ` AND (name ILIKE $${params.length} OR description ILIKE $${params.length})`;
+        }
+
+        query += ' ORDER BY name ASC, created_at DESC';
+
+        const result = await database.query(query, params);
+        return result.rows.map(row => new Protocol(row));
+    }
+
+    // SQL condition: the user owning a protocol shares an organization with the given user
+    static sameOrganization(ownerColumn, userParam) {
+        return `EXISTS (
+            SELECT 1 FROM users owner JOIN users viewer ON viewer.organization = owner.organization
+            WHERE owner.id = ${ownerColumn} AND viewer.id = ${userParam}
+        )`;
+    }
+
+    // Templates a user can instantiate: their own, public ones and those shared in their organization
+    static async findTemplates(user, options = {}) {
+        let query = `
+            SELECT protocols.*,
+                   TRIM(CONCAT(users.first_name, ' ', users.last_name)) AS author_name,
+                   (SELECT COUNT(*) FROM protocols instances
+                    WHERE instances.parent_protocol_id = protocols.id
+                    AND instances.template_values IS NOT NULL) AS instance_count
+            FROM protocols
+            LEFT JOIN users ON users.id = protocols.created_by
+            WHERE protocols.is_template = true
+            AND protocols.status <> 'retired'
+            AND (protocols.created_by = $1 OR protocols.is_public = true
+                 OR ${Protocol.sameOrganization('protocols.created_by', '$1')})
+        `;
+        const params = [user.id];
+
+        if (options.category) {
+            params.push(options.category);
+            query += ` AND protocols.category = $${params.length}`;
+        }
+
+        if (options.search) {
+            params.push(`%${options.search}%`);
+            query += ` AND (protocols.name ILIKE $${params.length} OR protocols.description ILIKE $${params.length})`;
+        }
+
+        query += ' ORDER BY protocols.name ASC, protocols.created_at DESC';
+
+        const result = await database.query(query, params);
+        return result.rows.map(row => ({
+            protocol: new Protocol(row),
+            authorName: row.author_name || null,
+            instanceCount: parseInt(row.instance_count)
+        }));
+    }
+
+    // This protocol and its ancestors through versions and clones, nearest first
+    async getLineage() {
+        const query = `
+            WITH RECURSIVE lineage AS (
+                SELECT protocols.*, 0 AS depth FROM protocols WHERE id = $1
+                UNION ALL
+                SELECT parent.*, lineage.depth + 1 FROM protocols parent
+                JOIN lineage ON parent.id = lineage.parent_protocol_id
+                WHERE lineage.depth < 1000
+            )
+            SELECT * FROM lineage ORDER BY depth ASC
+        `;
+        const result = await database.query(query, [this.id]);
+        return result.rows.map(row => new Protocol(row));
+    }
+
+    // Nearest protocol both lineages pass through: the base of a three-way merge
+    async findCommonAncestor(other) {
+        const [ours, theirs] = await Promise.all([this.getLineage(), other.getLineage()]);
+        const theirIds = new Set(theirs.map(protocol => protocol.id));
+        return ours.find(protocol => theirIds.has(protocol.id)) || null;
+    }
+
     toJSON() {
         return {
             id: this.id,
@@ -260,7 +596,13 @@ class Protocol {
             updatedAt: this.updatedAt,
             isPublic: this.isPublic,
             isTemplate: this.isTemplate,
-            parentProtocolId: this.parentProtocolId
+            parentProtocolId: this.parentProtocolId,
+            status: this.status,
+            approvedBy: this.approvedBy,
+            approvedAt: this.approvedAt,
+            retiredAt: this.retiredAt,
+            templateParameters: this.templateParameters,
+            templateValues: this.templateValues
         };
     }
 }
@@ -0,0 +1,61 @@
+const database = require('../config/database');
+
+class ProtocolComment {
+    constructor(data) {
+        this.id = data.id;
+        this.protocolId = data.protocol_id;
+        this.userId = data.user_id;
+        this.blockId = data.block_id;
+        this.body = data.body;
+        this.createdAt = data.created_at;
+        // Present when loaded with the author joined
+        this.userEmail = data.user_email;
+    }
+
+    static async create(commentData, userId, client = database) {
+        const { protocolId, blockId = null, body } = commentData;
+
+        const query = `
+            INSERT INTO protocol_comments (protocol_id, user_id, block_id, body)
+            VALUES ($1, $2, $3, $4)
+            RETURNING *
+        `;
+
+        const result = await client.query(query, [protocolId, userId, blockId, body]);
+        return new ProtocolComment(result.rows[0]);
+    }
+
+    static async findByProtocol(protocolId, options = {}) {
+        let query = `
+            SELECT c.*, u.email AS user_email
+            FROM protocol_comments c
+            LEFT JOIN users u ON u.id = c.user_id
+            WHERE c.protocol_id = $1
+        `;
+        const params = [protocolId];
+
+        if (options.blockId) {
+            query += ' AND c.block_id = $2';
+            params.push(options.blockId);
+        }
+
+        query += ' ORDER BY c.created_at ASC';
+
+        const result = await database.query(query, params);
+        return result.rows.map(row => new ProtocolComment(row));
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            protocolId: this.protocolId,
+            userId: this.userId,
+            userEmail: this.userEmail,
+            blockId: this.blockId,
+            body: this.body,
+            createdAt: this.createdAt
+        };
+    }
+}
+
+module.exports = ProtocolComment;
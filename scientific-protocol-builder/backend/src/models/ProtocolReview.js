@@ -0,0 +1,124 @@
+const database = require('../config/database');
+
+// Decisions a reviewer can record on the version under review
+const DECISIONS = ['approved', 'changes_requested'];
+
+class ProtocolReview {
+    constructor(data) {
+        this.id = data.id;
+        this.protocolId = data.protocol_id;
+        this.reviewerId = data.reviewer_id;
+        this.assignedBy = data.assigned_by;
+        this.decision = data.decision;
+        this.decidedAt = data.decided_at;
+        this.createdAt = data.created_at;
+        // Present when loaded with the reviewer and protocol joined
+        this.reviewerEmail = data.reviewer_email;
+        this.reviewerName = data.reviewer_name;
+        this.protocolName = data.protocol_name;
+        this.protocolVersion = data.protocol_version;
+    }
+
+    static async create(protocolId, reviewerId, assignedBy) {
+        const query = `
+            INSERT INTO protocol_reviews (protocol_id, reviewer_id, assigned_by)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (protocol_id, reviewer_id) DO NOTHING
+            RETURNING *
+        `;
+
+        const result = await database.query(query, [protocolId, reviewerId, assignedBy]);
+
+        if (result.rows.length === 0) return null;
+        return new ProtocolReview(result.rows[0]);
+    }
+
+    static async findByProtocol(protocolId, client = database) {
+        const query = `
+            SELECT r.*, u.email AS reviewer_email,
+                   TRIM(CONCAT(u.first_name, ' ', u.last_name)) AS reviewer_name
+            FROM protocol_reviews r
+            JOIN users u ON u.id = r.reviewer_id
+            WHERE r.protocol_id = $1
+            ORDER BY r.created_at ASC
+        `;
+        const result = await client.query(query, [protocolId]);
+        return result.rows.map(row => new ProtocolReview(row));
+    }
+
+    // With forUpdate, pass the client of a transaction: the review row stays locked until it ends
+    static async findOne(protocolId, reviewerId, client = database, { forUpdate = false } = {}) {
+        const query = 'SELECT * FROM protocol_reviews WHERE protocol_id = $1 AND reviewer_id = $2' +
+            (forUpdate ? ' FOR UPDATE' : '');
+        const result = await client.query(query, [protocolId, reviewerId]);
+
+        if (result.rows.length === 0) return null;
+        return new ProtocolReview(result.rows[0]);
+    }
+
+    // Reviews assigned to a user on protocols currently in review
+    static async findPendingForReviewer(reviewerId) {
+        const query = `
+            SELECT r.*, p.name AS protocol_name, p.version AS protocol_version
+            FROM protocol_reviews r
+            JOIN protocols p ON p.id = r.protocol_id
+            WHERE r.reviewer_id = $1 AND r.decision = 'pending' AND p.status = 'in_review'
+            ORDER BY r.created_at ASC
+        `;
+        const result = await database.query(query, [reviewerId]);
+        return result.rows.map(row => new ProtocolReview(row));
+    }
+
+    // Clear every decision on a protocol, so a resubmitted version is reviewed afresh
+    static async resetDecisions(protocolId, client = database) {
+        await client.query(
+            "UPDATE protocol_reviews SET decision = 'pending', decided_at = NULL WHERE protocol_id = $1",
+            [protocolId]
+        );
+    }
+
+    async decide(decision, client = database) {
+        if (!DECISIONS.includes(decision)) {
+            throw new Error(`Unknown review decision: ${decision}`);
+        }
+
+        const query = `
+            UPDATE protocol_reviews
+            SET decision = $1, decided_at = NOW()
+            WHERE id = $2
+            RETURNING *
+        `;
+
+        const result = await client.query(query, [decision, this.id]);
+
+        if (result.rows.length === 0) {
+            throw new Error('Review not found');
+        }
+
+        Object.assign(this, new ProtocolReview(result.rows[0]));
+        return this;
+    }
+
+    async delete() {
+        await database.query('DELETE FROM protocol_reviews WHERE id = $1', [this.id]);
+        return true;
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            protocolId: this.protocolId,
+            reviewerId: this.reviewerId,
+            reviewerEmail: this.reviewerEmail,
+            reviewerName: this.reviewerName,
+            protocolName: this.protocolName,
+            protocolVersion: this.protocolVersion,
+            assignedBy: this.assignedBy,
+            decision: this.decision,
+            decidedAt: this.decidedAt,
+            createdAt: this.createdAt
+        };
+    }
+}
+
+module.exports = ProtocolReview;
@@ -0,0 +1,67 @@
+const database = require('../config/database');
+
+// Signatures are records in their own right: they are only ever inserted and read
+class ProtocolSignature {
+    constructor(data) {
+        this.id = data.id;
+        this.protocolId = data.protocol_id;
+        this.userId = data.user_id;
+        this.signerName = data.signer_name;
+        this.meaning = data.meaning;
+        this.reason = data.reason;
+        this.protocolVersion = data.protocol_version;
+        this.contentHash = data.content_hash;
+        this.authMethod = data.auth_method;
+        this.signedAt = data.signed_at;
+    }
+
+    static async create(signatureData, client = database) {
+        const {
+            protocolId,
+            userId,
+            signerName,
+            meaning,
+            reason = null,
+            protocolVersion,
+            contentHash,
+            authMethod
+        } = signatureData;
+
+        const query = `
+            INSERT INTO protocol_signatures (
+                protocol_id, user_id, signer_name, meaning, reason, protocol_version, content_hash, auth_method
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING *
+        `;
+
+        const result = await client.query(query, [
+            protocolId, userId, signerName, meaning, reason, protocolVersion, contentHash, authMethod
+        ]);
+
+        return new ProtocolSignature(result.rows[0]);
+    }
+
+    static async findByProtocol(protocolId) {
+        const query = 'SELECT * FROM protocol_signatures WHERE protocol_id = $1 ORDER BY signed_at ASC';
+        const result = await database.query(query, [protocolId]);
+        return result.rows.map(row => new ProtocolSignature(row));
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            protocolId: this.protocolId,
+            userId: this.userId,
+            signerName: this.signerName,
+            meaning: this.meaning,
+            reason: this.reason,
+            protocolVersion: this.protocolVersion,
+            contentHash: this.contentHash,
+            authMethod: this.authMethod,
+            signedAt: this.signedAt
+        };
+    }
+}
+
+module.exports = ProtocolSignature;
@@ -0,0 +1,276 @@
+const database = require('../config/database');
+
+// Overlap test for half-open intervals, so back-to-back bookings do not conflict
+const OVERLAP_CONDITION = 'start_time < $3 AND end_time > $2';
+
+class Reservation {
+    constructor(data) {
+        this.id = data.id;
+        this.instrumentId = data.instrument_id;
+        this.userId = data.user_id;
+        this.protocolId = data.protocol_id;
+        this.seriesId = data.series_id;
+        this.recurrence = data.recurrence;
+        this.purpose = data.purpose;
+        this.notes = data.notes;
+        this.startTime = data.start_time;
+        this.endTime = data.end_time;
+        this.status = data.status;
+        this.cancelledBy = data.cancelled_by;
+        this.cancelledAt = data.cancelled_at;
+        this.createdAt = data.created_at;
+        this.updatedAt = data.updated_at;
+        // Present when loaded with the instrument and user joined
+        this.instrumentName = data.instrument_name;
+        this.userEmail = data.user_email;
+    }
+
+    /**
+     * Book one or more slots in a single transaction. The instruments involved are
+     * locked first so concurrent bookings cannot both pass the conflict check; if any
+     * slot conflicts nothing is stored and the error carries the conflicts.
+     */
+    static async createMany(slots, userId) {
+        const client = await database.getClient();
+
+        try {
+            await client.query('BEGIN');
+
+            const instrumentIds = [...new Set(slots.map(slot => slot.instrumentId))];
+            await client.query(
+                'SELECT id FROM instruments WHERE id = ANY($1::uuid[]) ORDER BY id FOR UPDATE',
+                [instrumentIds]
+            );
+
+            const conflicts = [];
+            for (const slot of slots) {
+                const result = await client.query(`
+                    SELECT * FROM reservations
+                    WHERE instrument_id = $1 AND status = 'confirmed' AND ${OVERLAP_CONDITION}
+                    ORDER BY start_time
+                `, [slot.instrumentId, slot.startTime, slot.endTime]);
+
+                result.rows.forEach(row => conflicts.push({
+                    requested: slot,
+                    existing: new Reservation(row).toJSON()
+                }));
+            }
+
+            // Slots of the same request must not overlap each other either
+            slots.forEach((slot, i) => {
+                slots.slice(i + 1).forEach(other => {
+                    if (other.instrumentId === slot.instrumentId &&
+                        new Date(other.startTime) < new Date(slot.endTime) &&
+                        new Date(other.endTime) > new Date(slot.startTime)) {
+                        conflicts.push({ requested: other, existing: slot });
+                    }
+                });
+            });
+
+            if (conflicts.length > 0) {
+                const error = new Error('Reservation conflicts with existing bookings');
+                error.conflicts = conflicts;
+                throw error;
+            }
+
+            const reservations = [];
+            for (const slot of slots) {
+                const result = await client.query(`
+                    INSERT INTO reservations (
+                        instrument_id, user_id, protocol_id, series_id, recurrence,
+                        purpose, notes, start_time, end_time
+                    )
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                    RETURNING *
+                `, [
+                    slot.instrumentId, userId, slot.protocolId || null, slot.seriesId || null,
+                    slot.recurrence || null, slot.purpose, slot.notes || null,
+                    slot.startTime, slot.endTime
+                ]);
+                reservations.push(new Reservation(result.rows[0]));
+            }
+
+            await client.query('COMMIT');
+            return reservations;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    static async findById(id) {
+        const query = `
+            SELECT r.*, i.name AS instrument_name, u.email AS user_email
+            FROM reservations r
+            JOIN instruments i ON i.id = r.instrument_id
+            LEFT JOIN users u ON u.id = r.user_id
+            WHERE r.id = $1
+        `;
+        const result = await database.query(query, [id]);
+
+        if (result.rows.length === 0) return null;
+        return new Reservation(result.rows[0]);
+    }
+
+    static async findAll(options = {}) {
+        let query = `
+            SELECT r.*, i.name AS instrument_name, u.email AS user_email
+            FROM reservations r
+            JOIN instruments i ON i.id = r.instrument_id
+            LEFT JOIN users u ON u.id = r.user_id
+            WHERE 1 = 1
+        `;
+        const params = [];
+        let paramCount = 0;
+
+        if (options.instrumentId) {
+            paramCount++;
+            query += ` AND r.instrument_id = $${paramCount}`;
+            params.push(options.instrumentId);
+        }
+
+        if (options.userId) {
+            paramCount++;
+            query += ` AND r.user_id = $${paramCount}`;
+            params.push(options.userId);
+        }
+
+        if (options.protocolId) {
+            paramCount++;
+            query += ` AND r.protocol_id = $${paramCount}`;
+            params.push(options.protocolId);
+        }
+
+        if (options.seriesId) {
+            paramCount++;
+            query += ` AND r.series_id = $${paramCount}`;
+            params.push(options.seriesId);
+        }
+
+        // Cancelled bookings are only listed when asked for
+        if (options.status) {
+            paramCount++;
+            query += ` AND r.status = $${paramCount}`;
+            params.push(options.status);
+        } else if (!options.includeCancelled) {
+            query += ` AND r.status = 'confirmed'`;
+        }
+
+        // Bookings overlapping the [from, to) window
+        if (options.from) {
+            paramCount++;
+            query += ` AND r.end_time > $${paramCount}`;
+            params.push(options.from);
+        }
+
+        if (options.to) {
+            paramCount++;
+            query += ` AND r.start_time < $${paramCount}`;
+            params.push(options.to);
+        }
+
+        query += ' ORDER BY r.start_time ASC';
+
+        if (options.limit) {
+            paramCount++;
+            query += ` LIMIT $${paramCount}`;
+            params.push(options.limit);
+        }
+
+        if (options.offset) {
+            paramCount++;
+            query += ` OFFSET $${paramCount}`;
+            params.push(options.offset);
+        }
+
+        const result = await database.query(query, params);
+        return result.rows.map(row => new Reservation(row));
+    }
+
+    // Confirmed bookings of an instrument that overlap the given interval
+    static async findConflicts(instrumentId, startTime, endTime, excludeId = null) {
+        let query = `
+            SELECT * FROM reservations
+            WHERE instrument_id = $1 AND status = 'confirmed' AND ${OVERLAP_CONDITION}
+        `;
+        const params = [instrumentId, startTime, endTime];
+
+        if (excludeId) {
+            query += ' AND id <> $4';
+            params.push(excludeId);
+        }
+
+        query += ' ORDER BY start_time';
+
+        const result = await database.query(query, params);
+        return result.rows.map(row => new Reservation(row));
+    }
+
+    // Cancel this booking, or with scope 'following'/'series' the rest of its recurring series
+    async cancel(userId, scope = 'single') {
+        let query;
+        let params;
+
+        if (scope !== 'single' && this.seriesId) {
+            query = `
+                UPDATE reservations
+                SET status = 'cancelled', cancelled_by = $1, cancelled_at = NOW(), updated_at = NOW()
+                WHERE series_id = $2 AND status = 'confirmed'
+                    ${scope === 'following' ? 'AND start_time >= $3' : ''}
+                RETURNING *
+            `;
+            params = scope === 'following'
+                ? [userId, this.seriesId, this.startTime]
+                : [userId, this.seriesId];
+        } else {
+            query = `
+                UPDATE reservations
+                SET status = 'cancelled', cancelled_by = $1, cancelled_at = NOW(), updated_at = NOW()
+                WHERE id = $2 AND status = 'confirmed'
+                RETURNING *
+            `;
+            params = [userId, this.id];
+        }
+
+        const result = await database.query(query, params);
+
+        if (result.rows.length === 0) {
+            throw new Error('Reservation is already cancelled');
+        }
+
+        const cancelled = result.rows.map(row => new Reservation(row));
+        const own = cancelled.find(reservation => reservation.id === this.id);
+        if (own) {
+            this.status = own.status;
+            this.cancelledBy = own.cancelledBy;
+            this.cancelledAt = own.cancelledAt;
+        }
+        return cancelled;
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            instrumentId: this.instrumentId,
+            instrumentName: this.instrumentName,
+            userId: this.userId,
+            userEmail: this.userEmail,
+            protocolId: this.protocolId,
+            seriesId: this.seriesId,
+            recurrence: this.recurrence,
+            purpose: this.purpose,
+            notes: this.notes,
+            startTime: this.startTime,
+            endTime: this.endTime,
+            status: this.status,
+            cancelledBy: this.cancelledBy,
+            cancelledAt: this.cancelledAt,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+}
+
+module.exports = Reservation;
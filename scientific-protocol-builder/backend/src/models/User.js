@@ -1,5 +1,7 @@
 const database = require('../config/database');
+const AuditLog = require('./AuditLog');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 
 class User {
@@ -11,12 +13,19 @@ class User {
         this.lastName = data.last_name;
         this.role = data.role;
         this.organization = data.organization;
+        this.calendarFeedToken = data.calendar_feed_token;
         this.createdAt = data.created_at;
         this.updatedAt = data.updated_at;
         this.lastLogin = data.last_login;
         this.isActive = data.is_active;
     }
 
+    // Roles are assigned by an administrator (assignRole); accounts register as researchers.
+    // QA reviewers read the audit trail without managing protocols or rules.
+    static get ROLES() {
+        return ['researcher', 'qa_reviewer', 'lab_manager', 'admin'];
+    }
+
     static async create(userData) {
         const { email, password, firstName, lastName, role = 'researcher', organization } = userData;
         
@@ -30,11 +39,23 @@ class User {
             RETURNING *
         `;
         
-        const result = await database.query(query, [
-            email, passwordHash, firstName, lastName, role, organization
-        ]);
-        
-        return new User(result.rows[0]);
+        // Accounts register themselves, so the new user is also the actor
+        return database.transaction(async (client) => {
+            const result = await client.query(query, [
+                email, passwordHash, firstName, lastName, role, organization
+            ]);
+            const user = new User(result.rows[0]);
+
+            await AuditLog.append({
+                entityType: 'user',
+                entityId: user.id,
+                action: 'create',
+                actorId: user.id,
+                after: user.toJSON()
+            }, client);
+
+            return user;
+        });
     }
 
     static async findById(id) {
@@ -73,8 +94,9 @@ class User {
         return result.rows.map(row => new User(row));
     }
 
-    async update(updateData) {
-        const allowedFields = ['first_name', 'last_name', 'organization'];
+    async update(updateData, actorId = this.id, reason = null) {
+        // Role and organization gate access, so they are only changed through assignRole
+        const allowedFields = ['first_name', 'last_name'];
         const updates = [];
         const params = [];
         
@@ -99,14 +121,49 @@ class User {
             RETURNING *
         `;
         
-        const result = await database.query(query, params);
-        
-        if (result.rows.length === 0) {
-            throw new Error('User not found');
+        return this.applyChange('update', query, params, actorId, reason);
+    }
+
+    async assignRole(role, organization, actorId, reason = null) {
+        if (!User.ROLES.includes(role)) {
+            throw new Error(`Invalid role: ${role}`);
         }
-        
-        Object.assign(this, result.rows[0]);
-        return this;
+
+        const query = `
+            UPDATE users
+            SET role = $1, organization = $2, updated_at = NOW()
+            WHERE id = $3
+            RETURNING *
+        `;
+
+        return this.applyChange('role_change', query, [role, organization, this.id], actorId, reason);
+    }
+
+    // Calendar feeds are fetched by calendar clients that cannot send a bearer token, so they
+    // authenticate with a token in the URL. Only its hash is stored; rotating it revokes the old one.
+    static hashCalendarFeedToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    static async findByCalendarFeedToken(token) {
+        const query = 'SELECT * FROM users WHERE calendar_feed_token = $1 AND is_active = true';
+        const result = await database.query(query, [User.hashCalendarFeedToken(token)]);
+
+        if (result.rows.length === 0) return null;
+        return new User(result.rows[0]);
+    }
+
+    async rotateCalendarFeedToken() {
+        const token = crypto.randomBytes(32).toString('hex');
+        const hash = User.hashCalendarFeedToken(token);
+        await database.query('UPDATE users SET calendar_feed_token = $1 WHERE id = $2', [hash, this.id]);
+        this.calendarFeedToken = hash;
+        return token;
+    }
+
+    async revokeCalendarFeedToken() {
+        await database.query('UPDATE users SET calendar_feed_token = NULL WHERE id = $1', [this.id]);
+        this.calendarFeedToken = null;
     }
 
     async updateLastLogin() {
@@ -115,23 +172,49 @@ class User {
         this.lastLogin = new Date();
     }
 
-    async changePassword(newPassword) {
+    async changePassword(newPassword, actorId = this.id) {
         const saltRounds = 12;
         const passwordHash = await bcrypt.hash(newPassword, saltRounds);
         
-        const query = 'UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2';
-        await database.query(query, [passwordHash, this.id]);
-        this.passwordHash = passwordHash;
+        const query = 'UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2 RETURNING *';
+        await this.applyChange('password_change', query, [passwordHash, this.id], actorId, null);
     }
 
     async validatePassword(password) {
         return await bcrypt.compare(password, this.passwordHash);
     }
 
-    async deactivate() {
-        const query = 'UPDATE users SET is_active = false, updated_at = NOW() WHERE id = $1';
-        await database.query(query, [this.id]);
-        this.isActive = false;
+    async deactivate(actorId, reason = null) {
+        const query = 'UPDATE users SET is_active = false, updated_at = NOW() WHERE id = $1 RETURNING *';
+        await this.applyChange('deactivate', query, [this.id], actorId, reason);
+    }
+
+    // Run an UPDATE returning the user row and record it in the audit log, in one transaction.
+    // Snapshots come from toJSON, so password hashes never reach the log.
+    async applyChange(action, query, params, actorId, reason) {
+        const updated = await database.transaction(async (client) => {
+            const result = await client.query(query, params);
+
+            if (result.rows.length === 0) {
+                throw new Error('User not found');
+            }
+
+            const user = new User(result.rows[0]);
+            await AuditLog.append({
+                entityType: 'user',
+                entityId: this.id,
+                action,
+                actorId,
+                reason,
+                before: this.toJSON(),
+                after: user.toJSON()
+            }, client);
+
+            return user;
+        });
+
+        Object.assign(this, updated);
+        return this;
     }
 
     toJSON() {
@@ -0,0 +1,180 @@
+const database = require('../config/database');
+
+class ValidationRule {
+    constructor(data) {
+        this.id = data.id;
+        this.organization = data.organization;
+        this.name = data.name;
+        this.description = data.description;
+        this.category = data.category;
+        this.severity = data.severity;
+        this.definition = data.definition;
+        this.isActive = data.is_active;
+        this.createdBy = data.created_by;
+        this.updatedBy = data.updated_by;
+        this.createdAt = data.created_at;
+        this.updatedAt = data.updated_at;
+    }
+
+    static async create(ruleData, userId) {
+        const {
+            organization,
+            name,
+            description,
+            category = 'quality',
+            severity = 'warning',
+            definition,
+            isActive = true
+        } = ruleData;
+
+        const query = `
+            INSERT INTO validation_rules (
+                organization, name, description, category, severity, definition, is_active, created_by, updated_by
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8)
+            RETURNING *
+        `;
+
+        const result = await database.query(query, [
+            organization, name, description, category, severity, definition, isActive, userId
+        ]);
+
+        return new ValidationRule(result.rows[0]);
+    }
+
+    static async findById(id) {
+        const query = 'SELECT * FROM validation_rules WHERE id = $1';
+        const result = await database.query(query, [id]);
+
+        if (result.rows.length === 0) return null;
+        return new ValidationRule(result.rows[0]);
+    }
+
+    static async findByName(organization, name) {
+        const query = 'SELECT * FROM validation_rules WHERE organization = $1 AND name = $2';
+        const result = await database.query(query, [organization, name]);
+
+        if (result.rows.length === 0) return null;
+        return new ValidationRule(result.rows[0]);
+    }
+
+    static async findAll(options = {}) {
+        let query = 'SELECT * FROM validation_rules WHERE 1 = 1';
+        const params = [];
+        let paramCount = 0;
+
+        if (options.organization) {
+            paramCount++;
+            query += ` AND organization = $${paramCount}`;
+            params.push(options.organization);
+        }
+
+        if (options.category) {
+            paramCount++;
+            query += ` AND category = $${paramCount}`;
+            params.push(options.category);
+        }
+
+        if (options.active !== undefined) {
+            paramCount++;
+            query += ` AND is_active = $${paramCount}`;
+            params.push(options.active);
+        }
+
+        query += ' ORDER BY name ASC';
+
+        const result = await database.query(query, params);
+        return result.rows.map(row => new ValidationRule(row));
+    }
+
+    // Admins manage every organization's rules, lab managers only their own
+    canManage(user) {
+        return user.role === 'admin' || (user.role === 'lab_manager' && user.organization === this.organization);
+    }
+
+    async update(updateData, user) {
+        if (!this.canManage(user)) {
+            throw new Error('Access denied: Only lab managers of this organization can change its rules');
+        }
+
+        const fieldMap = {
+            name: 'name',
+            description: 'description',
+            category: 'category',
+            severity: 'severity',
+            definition: 'definition',
+            isActive: 'is_active'
+        };
+
+        const updates = [];
+        const params = [];
+        let paramCount = 0;
+
+        Object.keys(updateData).forEach(key => {
+            if (fieldMap[key] && updateData[key] !== undefined) {
+                paramCount++;
+                updates.push(`${fieldMap[key]} = $${paramCount}`);
+                params.push(updateData[key]);
+            }
+        });
+
+        if (updates.length === 0) {
+            throw new Error('No valid fields to update');
+        }
+
+        paramCount++;
+        updates.push(`updated_by = $${paramCount}`, 'updated_at = NOW()');
+        params.push(user.id);
+        paramCount++;
+        params.push(this.id);
+
+        const query = `
+            UPDATE validation_rules
+            SET ${updates.join(', ')}
+            WHERE id = $${paramCount}
+            RETURNING *
+        `;
+
+        const result = await database.query(query, params);
+
+        if (result.rows.length === 0) {
+            throw new Error('Validation rule not found');
+        }
+
+        Object.assign(this, new ValidationRule(result.rows[0]));
+        return this;
+    }
+
+    async delete(user) {
+        if (!this.canManage(user)) {
+            throw new Error('Access denied: Only lab managers of this organization can delete its rules');
+        }
+
+        const result = await database.query('DELETE FROM validation_rules WHERE id = $1 RETURNING id', [this.id]);
+
+        if (result.rows.length === 0) {
+            throw new Error('Validation rule not found');
+        }
+
+        return true;
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            organization: this.organization,
+            name: this.name,
+            description: this.description,
+            category: this.category,
+            severity: this.severity,
+            definition: this.definition,
+            isActive: this.isActive,
+            createdBy: this.createdBy,
+            updatedBy: this.updatedBy,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+}
+
+module.exports = ValidationRule;
@@ -0,0 +1,82 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const auditService = require('../services/auditService');
+const { authorize } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// The audit trail is read by QA; nobody writes to it through the API
+router.use(authorize('admin', 'lab_manager', 'qa_reviewer'));
+
+// Query audit entries, newest first
+router.get('/', [
+    query('entityType').optional().isIn(['protocol', 'instrument', 'user']),
+    query('entityId').optional().trim(),
+    query('action').optional().trim(),
+    query('actorId').optional().isUUID(),
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 500 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const {
+            entityType,
+            entityId,
+            action,
+            actorId,
+            from,
+            to,
+            page = 1,
+            limit = 50
+        } = req.query;
+
+        const { entries, total } = await auditService.query(
+            { entityType, entityId, action, actorId, from, to },
+            { limit: parseInt(limit), offset: (page - 1) * limit }
+        );
+
+        res.json({
+            entries: entries.map(entry => entry.toJSON()),
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get audit log error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Walk the hash chain and report any entry that was changed, removed or inserted
+router.get('/verify', async (req, res) => {
+    try {
+        const verification = await auditService.verify();
+
+        logger.info(`Audit log verified by ${req.user.email}: ${verification.valid ? 'intact' : 'TAMPERED'} (${verification.entriesChecked} entries)`);
+
+        res.json({ verification });
+
+    } catch (error) {
+        logger.error('Verify audit log error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+module.exports = router;
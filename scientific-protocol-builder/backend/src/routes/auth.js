@@ -32,7 +32,8 @@ router.post('/register', registerValidation, async (req, res) => {
             });
         }
 
-        const { email, password, firstName, lastName, role, organization } = req.body;
+        // Roles are assigned by an administrator, never chosen at registration
+        const { email, password, firstName, lastName, organization } = req.body;
 
         // Check if user already exists
         const existingUser = await User.findByEmail(email);
@@ -48,7 +49,7 @@ router.post('/register', registerValidation, async (req, res) => {
             password,
             firstName,
             lastName,
-            role: role || 'researcher',
+            role: 'researcher',
             organization
         });
 
@@ -147,8 +148,7 @@ router.get('/me', authMiddleware, async (req, res) => {
 // Update user profile
 router.put('/profile', authMiddleware, [
     body('firstName').optional().trim().isLength({ min: 1 }),
-    body('lastName').optional().trim().isLength({ min: 1 }),
-    body('organization').optional().trim()
+    body('lastName').optional().trim().isLength({ min: 1 })
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -159,14 +159,15 @@ router.put('/profile', authMiddleware, [
             });
         }
 
-        const { firstName, lastName, organization } = req.body;
+        // The organization decides whose rules and records a user can manage, so an
+        // administrator changes it (PUT /api/users/:id/role)
+        const { firstName, lastName } = req.body;
         const updateData = {};
 
         if (firstName !== undefined) updateData.first_name = firstName;
         if (lastName !== undefined) updateData.last_name = lastName;
-        if (organization !== undefined) updateData.organization = organization;
 
-        await req.user.update(updateData);
+        await req.user.update(updateData, req.user.id);
 
         res.json({
             message: 'Profile updated successfully',
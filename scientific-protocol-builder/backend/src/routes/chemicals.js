@@ -0,0 +1,357 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Chemical = require('../models/Chemical');
+const chemicalHazardService = require('../services/chemicalHazardService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation rules
+const chemicalValidation = [
+    body('name').optional().trim().isLength({ min: 1, max: 255 }),
+    body('casNumber').optional({ nullable: true }).trim(),
+    body('synonyms').optional().isArray(),
+    body('formula').optional().trim().isLength({ max: 100 }),
+    body('ghsHazards').optional().isArray(),
+    body('signalWord').optional({ nullable: true }).trim(),
+    body('incompatibilityGroups').optional().isArray(),
+    body('ppe').optional().isArray(),
+    body('storageClass').optional().trim(),
+    body('notes').optional().trim()
+];
+
+// Messages thrown by normalizeRecord for bad chemical data
+const isRequestError = (error) =>
+    error.message.startsWith('Invalid CAS') ||
+    error.message.startsWith('Unknown GHS') ||
+    error.message.startsWith('Signal word') ||
+    error.message.startsWith('Chemical name') ||
+    error.message.startsWith('CAS number');
+
+// List chemicals in the hazard database
+router.get('/', [
+    query('search').optional().trim(),
+    query('group').optional().trim(),
+    query('hazard').optional().trim(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 200 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { search, group, hazard, page = 1, limit = 50 } = req.query;
+
+        const chemicals = await Chemical.findAll({
+            search,
+            group,
+            hazard,
+            offset: (page - 1) * limit,
+            limit: parseInt(limit)
+        });
+
+        res.json({
+            chemicals: chemicals.map(chemical => chemical.toJSON()),
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total: chemicals.length
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get chemicals error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Incompatibility rules applied by the compatibility check
+router.get('/incompatibilities', (req, res) => {
+    res.json({ rules: chemicalHazardService.getIncompatibilityRules() });
+});
+
+// Resolve a reagent name, synonym or CAS number to its hazard profile
+router.get('/resolve', [
+    query('name').trim().isLength({ min: 1 }).withMessage('Name is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const chemical = await chemicalHazardService.resolveChemical(req.query.name);
+        if (!chemical) {
+            return res.status(404).json({
+                error: 'Chemical not found'
+            });
+        }
+
+        res.json({ chemical });
+
+    } catch (error) {
+        logger.error('Resolve chemical error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Check a set of reagents for hazardous combinations
+router.post('/check', [
+    body('chemicals').isArray({ min: 2, max: 100 }).withMessage('Provide between 2 and 100 chemicals'),
+    body('chemicals.*').isString().trim().isLength({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const result = await chemicalHazardService.checkCompatibility(req.body.chemicals);
+
+        res.json({
+            compatible: result.conflicts.length === 0,
+            ...result
+        });
+
+    } catch (error) {
+        logger.error('Chemical compatibility check error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Import chemicals from JSON records, CSV text, or the bundled reference data
+router.post('/import', [
+    body('chemicals').optional().isArray({ min: 1, max: 5000 }),
+    body('csv').optional().isString(),
+    body('builtin').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { chemicals, csv, builtin } = req.body;
+
+        let summary;
+        if (builtin) {
+            summary = await chemicalHazardService.importBuiltIn(req.user);
+        } else if (chemicals || csv) {
+            summary = await chemicalHazardService.importChemicals(chemicals || csv, req.user);
+        } else {
+            return res.status(400).json({
+                error: 'Provide chemicals, csv or builtin'
+            });
+        }
+
+        res.json({
+            message: 'Chemical import completed',
+            ...summary
+        });
+
+    } catch (error) {
+        if (error.message.includes('Access denied')) {
+            return res.status(403).json({
+                error: error.message
+            });
+        }
+
+        logger.error('Chemical import error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Get chemical by ID
+router.get('/:id', [param('id').isUUID()], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const chemical = await Chemical.findById(req.params.id);
+        if (!chemical) {
+            return res.status(404).json({
+                error: 'Chemical not found'
+            });
+        }
+
+        res.json({
+            chemical: {
+                ...chemical.toJSON(),
+                hazardStatements: chemical.ghsHazards.map(code => chemicalHazardService.describeHazard(code))
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get chemical error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Add a chemical
+router.post('/', chemicalValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const chemicalData = chemicalHazardService.normalizeRecord(req.body);
+
+        if (chemicalData.casNumber && await Chemical.findByCas(chemicalData.casNumber)) {
+            return res.status(409).json({
+                error: 'Chemical with this CAS number already exists'
+            });
+        }
+
+        const chemical = await Chemical.create(chemicalData, req.user.id);
+
+        logger.info(`Chemical created: ${chemical.name} by ${req.user.email}`);
+
+        res.status(201).json({
+            message: 'Chemical created successfully',
+            chemical: chemical.toJSON()
+        });
+
+    } catch (error) {
+        if (isRequestError(error)) {
+            return res.status(400).json({
+                error: error.message
+            });
+        }
+
+        logger.error('Create chemical error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Update chemical
+router.put('/:id', [param('id').isUUID(), ...chemicalValidation], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const chemical = await Chemical.findById(req.params.id);
+        if (!chemical) {
+            return res.status(404).json({
+                error: 'Chemical not found'
+            });
+        }
+
+        const updateData = chemicalHazardService.normalizeRecord(req.body, { partial: true });
+
+        if (updateData.casNumber && updateData.casNumber !== chemical.casNumber &&
+            await Chemical.findByCas(updateData.casNumber)) {
+            return res.status(409).json({
+                error: 'Chemical with this CAS number already exists'
+            });
+        }
+
+        await chemical.update(updateData, req.user);
+
+        logger.info(`Chemical updated: ${chemical.name} by ${req.user.email}`);
+
+        res.json({
+            message: 'Chemical updated successfully',
+            chemical: chemical.toJSON()
+        });
+
+    } catch (error) {
+        if (error.message.includes('Access denied')) {
+            return res.status(403).json({
+                error: error.message
+            });
+        }
+
+        if (isRequestError(error) || error.message === 'No valid fields to update') {
+            return res.status(400).json({
+                error: error.message
+            });
+        }
+
+        logger.error('Update chemical error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Delete chemical
+router.delete('/:id', [param('id').isUUID()], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const chemical = await Chemical.findById(req.params.id);
+        if (!chemical) {
+            return res.status(404).json({
+                error: 'Chemical not found'
+            });
+        }
+
+        await chemical.delete(req.user);
+
+        logger.info(`Chemical deleted: ${chemical.name} by ${req.user.email}`);
+
+        res.json({
+            message: 'Chemical deleted successfully'
+        });
+
+    } catch (error) {
+        if (error.message.includes('Access denied')) {
+            return res.status(403).json({
+                error: error.message
+            });
+        }
+
+        logger.error('Delete chemical error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,383 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Protocol = require('../models/Protocol');
+const Execution = require('../models/Execution');
+const ExecutionStep = require('../models/ExecutionStep');
+const protocolExecutionEngine = require('../services/protocolExecutionEngine');
+const inventoryService = require('../services/inventoryService');
+const sampleLineageService = require('../services/sampleLineageService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Load a run and check the user can access the protocol it belongs to
+const findAccessibleRun = async (runId, userId) => {
+    const execution = await Execution.findById(runId);
+    if (!execution) return null;
+
+    const protocol = await Protocol.findById(execution.protocolId, userId);
+    if (!protocol) return null;
+
+    return execution;
+};
+
+// Start a run of a protocol
+router.post('/:id/runs', [
+    body('versionId').optional().isUUID(),
+    body('parameters').optional().isObject(),
+    body('timeScale').optional().isFloat({ min: 0 }),
+    body('awaitOperatorInput').optional().isBoolean(),
+    body('simulate').optional().isBoolean(),
+    body('sampleCount').optional().isInt({ min: 1 }),
+    body('skipPreflight').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { versionId, parameters, timeScale, awaitOperatorInput, simulate, sampleCount, skipPreflight } = req.body;
+
+        const protocol = await Protocol.findById(id, req.user.id);
+        if (!protocol) {
+            return res.status(404).json({
+                error: 'Protocol not found'
+            });
+        }
+
+        // Every run is pinned to an entry of the protocol's version history
+        const versions = await protocol.getVersionHistory();
+        const version = versions.find(v => v.id === (versionId || protocol.id));
+        if (!version) {
+            return res.status(404).json({
+                error: 'Protocol version not found'
+            });
+        }
+
+        // Refuse to start while reagents are short or only expired lots remain
+        const preflight = await inventoryService.preflight(version, { sampleCount });
+        if (!preflight.passed && !skipPreflight) {
+            return res.status(409).json({
+                error: 'Inventory pre-flight failed',
+                preflight
+            });
+        }
+
+        const execution = await protocolExecutionEngine.startExecution(protocol, req.user.id, {
+            version,
+            parameters,
+            timeScale,
+            awaitOperatorInput,
+            simulate,
+            operatorId: req.user.id
+        });
+
+        logger.info(`Run started: ${execution.id} of ${protocol.name} (version ${version.version}) by ${req.user.email}`);
+
+        res.status(201).json({
+            message: 'Run started successfully',
+            run: execution.toJSON(),
+            preflight
+        });
+
+    } catch (error) {
+        if (error.message.includes('no executable workspace')) {
+            return res.status(400).json({
+                error: error.message
+            });
+        }
+
+        logger.error('Start run error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// List runs of a protocol
+router.get('/:id/runs', [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { page = 1, limit = 20 } = req.query;
+
+        const protocol = await Protocol.findById(id, req.user.id);
+        if (!protocol) {
+            return res.status(404).json({
+                error: 'Protocol not found'
+            });
+        }
+
+        const runs = await Execution.findByProtocol(id, {
+            limit: parseInt(limit),
+            offset: (page - 1) * limit
+        });
+
+        res.json({
+            runs: runs.map(run => run.toJSON()),
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total: runs.length
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get runs error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Get a run with its step log
+router.get('/runs/:runId', [
+    param('runId').isUUID()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const execution = await findAccessibleRun(req.params.runId, req.user.id);
+        if (!execution) {
+            return res.status(404).json({
+                error: 'Run not found'
+            });
+        }
+
+        const [status, steps] = await Promise.all([
+            protocolExecutionEngine.getExecutionStatus(execution.id),
+            ExecutionStep.findByExecution(execution.id)
+        ]);
+
+        res.json({
+            run: status,
+            steps: steps.map(step => step.toJSON())
+        });
+
+    } catch (error) {
+        logger.error('Get run error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Get the step log of a run, optionally filtered by block type
+router.get('/runs/:runId/steps', [
+    param('runId').isUUID(),
+    query('blockType').optional().trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const execution = await findAccessibleRun(req.params.runId, req.user.id);
+        if (!execution) {
+            return res.status(404).json({
+                error: 'Run not found'
+            });
+        }
+
+        const steps = await ExecutionStep.findByExecution(execution.id, {
+            blockType: req.query.blockType
+        });
+
+        res.json({
+            steps: steps.map(step => step.toJSON())
+        });
+
+    } catch (error) {
+        logger.error('Get run steps error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Get the sample lineage of a run: what each step aliquoted, pooled or processed. ?well=plate1:C7
+// answers which source samples contributed to that well; ?format=prov exports W3C PROV-JSON
+router.get('/runs/:runId/lineage', [
+    param('runId').isUUID(),
+    query('well').optional().trim().notEmpty(),
+    query('format').optional().isIn(['json', 'prov'])
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const execution = await findAccessibleRun(req.params.runId, req.user.id);
+        if (!execution) {
+            return res.status(404).json({
+                error: 'Run not found'
+            });
+        }
+
+        const steps = await ExecutionStep.findByExecution(execution.id);
+        const lineage = sampleLineageService.traceRun(execution, steps);
+
+        if (req.query.format === 'prov') {
+            res.set('Content-Type', 'application/json; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="lineage-${execution.id}.prov.json"`);
+            return res.send(JSON.stringify(sampleLineageService.toProv(lineage), null, 2));
+        }
+
+        if (req.query.well) {
+            const contributors = sampleLineageService.contributors(lineage, req.query.well);
+            if (contributors.length === 0) {
+                return res.status(404).json({
+                    error: `Nothing was put in ${req.query.well} during this run`
+                });
+            }
+            return res.json({ well: req.query.well, contributors });
+        }
+
+        res.json({ lineage });
+
+    } catch (error) {
+        if (error.message.startsWith('Invalid well')) {
+            return res.status(400).json({
+                error: error.message
+            });
+        }
+
+        logger.error('Get run lineage error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Submit the operator's result for the step a run is waiting on
+router.post('/runs/:runId/input', [
+    param('runId').isUUID(),
+    body('result').exists().withMessage('Result is required'),
+    body('notes').optional().trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const execution = await findAccessibleRun(req.params.runId, req.user.id);
+        if (!execution) {
+            return res.status(404).json({
+                error: 'Run not found'
+            });
+        }
+
+        const resumed = await protocolExecutionEngine.submitStepInput(execution.id, {
+            result: req.body.result,
+            notes: req.body.notes
+        }, req.user.id);
+
+        res.json({
+            message: 'Step result recorded',
+            run: resumed.toJSON()
+        });
+
+    } catch (error) {
+        if (error.message.includes('not waiting')) {
+            return res.status(409).json({
+                error: error.message
+            });
+        }
+
+        logger.error('Submit run input error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Pause, resume or abort a run
+router.post('/runs/:runId/:action', [
+    param('runId').isUUID(),
+    param('action').isIn(['pause', 'resume', 'abort']),
+    body('reason').optional().trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { runId, action } = req.params;
+        const execution = await findAccessibleRun(runId, req.user.id);
+        if (!execution) {
+            return res.status(404).json({
+                error: 'Run not found'
+            });
+        }
+
+        let updated;
+        if (action === 'pause') {
+            updated = await protocolExecutionEngine.pauseExecution(execution.id);
+        } else if (action === 'resume') {
+            updated = await protocolExecutionEngine.resumeExecution(execution.id);
+        } else {
+            updated = await protocolExecutionEngine.abortExecution(execution.id, req.body.reason);
+        }
+
+        logger.info(`Run ${action}: ${execution.id} by ${req.user.email}`);
+
+        res.json({
+            message: `Run ${action} requested`,
+            run: updated.toJSON()
+        });
+
+    } catch (error) {
+        if (error.message.includes('not running') ||
+            error.message.includes('already running') ||
+            error.message.includes('Cannot resume') ||
+            error.message.includes('Invalid execution transition')) {
+            return res.status(409).json({
+                error: error.message
+            });
+        }
+
+        logger.error('Run control error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+module.exports = router;
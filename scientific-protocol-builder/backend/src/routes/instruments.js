@@ -14,7 +14,8 @@ const instrumentValidation = [
     body('serialNumber').optional().trim(),
     body('location').optional().trim(),
     body('specifications').optional().isObject(),
-    body('calibrationData').optional().isObject()
+    body('calibrationData').optional().isObject(),
+    body('reason').optional().trim().isLength({ max: 1000 })
 ];
 
 // Get all instruments with filtering and pagination
@@ -150,7 +151,7 @@ router.put('/:id', instrumentValidation, async (req, res) => {
             });
         }
 
-        await instrument.update(req.body, req.user.id);
+        await instrument.update(req.body, req.user.id, req.body.reason);
 
         logger.info(`Instrument updated: ${instrument.name} by ${req.user.email}`);
 
@@ -175,7 +176,8 @@ router.put('/:id', instrumentValidation, async (req, res) => {
 
 // Update instrument calibration
 router.put('/:id/calibration', [
-    body('calibrationData').isObject().withMessage('Calibration data must be an object')
+    body('calibrationData').isObject().withMessage('Calibration data must be an object'),
+    body('reason').optional().trim().isLength({ max: 1000 })
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -196,7 +198,7 @@ router.put('/:id/calibration', [
             });
         }
 
-        await instrument.updateCalibration(calibrationData, req.user.id);
+        await instrument.updateCalibration(calibrationData, req.user.id, req.body.reason);
 
         logger.info(`Instrument calibration updated: ${instrument.name} by ${req.user.email}`);
 
@@ -231,7 +233,7 @@ router.delete('/:id', async (req, res) => {
             });
         }
 
-        await instrument.deactivate(req.user.id);
+        await instrument.deactivate(req.user.id, req.body?.reason);
 
         logger.info(`Instrument deactivated: ${instrument.name} by ${req.user.email}`);
 
@@ -204,6 +204,34 @@ router.post('/:id/connect', [
   }
 });
 
+// Discover capabilities of a connected instrument
+router.get('/:id/capabilities', [
+  param('id').isMongoId().withMessage('Invalid instrument ID')
+], auth, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const capabilities = await instrumentService.discoverCapabilities(req.params.id);
+
+    res.json({
+      success: true,
+      data: capabilities
+    });
+  } catch (error) {
+    logger.error('Error discovering instrument capabilities:', error);
+    res.status(500).json({
+      error: 'Failed to discover instrument capabilities',
+      message: error.message
+    });
+  }
+});
+
 // Disconnect instrument
 router.post('/:id/disconnect', [
   param('id').isMongoId().withMessage('Invalid instrument ID')
@@ -0,0 +1,539 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const InventoryItem = require('../models/InventoryItem');
+const InventoryLot = require('../models/InventoryLot');
+const Protocol = require('../models/Protocol');
+const inventoryService = require('../services/inventoryService');
+const quantity = require('../utils/quantity');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const CATEGORIES = ['reagent', 'consumable', 'sample'];
+
+// Validation rules
+const itemValidation = [
+    body('name').trim().isLength({ min: 1 }).withMessage('Item name is required'),
+    body('category').optional().isIn(CATEGORIES),
+    body('catalogNumber').optional().trim(),
+    body('supplier').optional().trim(),
+    body('unit').optional().trim().isLength({ min: 1, max: 20 }),
+    body('storageConditions').optional().trim(),
+    body('reorderLevel').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('notes').optional().trim()
+];
+
+const lotValidation = [
+    body('lotNumber').trim().isLength({ min: 1 }).withMessage('Lot number is required'),
+    body('quantity').isFloat({ min: 0 }).withMessage('Quantity must be a non-negative number'),
+    body('unit').optional().trim().isLength({ min: 1, max: 20 }),
+    body('expiryDate').optional({ nullable: true }).isISO8601(),
+    body('location').optional().trim(),
+    body('receivedAt').optional({ nullable: true }).isISO8601()
+];
+
+// Lots are stored in the item's unit unless they say otherwise; volumes must be real units
+const checkLotUnit = (unit, item) => {
+    const lotUnit = unit || item.unit;
+    if (quantity.dimensionOf(item.unit) && quantity.dimensionOf(lotUnit) !== quantity.dimensionOf(item.unit)) {
+        throw new Error(`Lot unit ${lotUnit} is not compatible with ${item.unit}`);
+    }
+    return lotUnit;
+};
+
+// Get all inventory items with their unexpired quantity on hand
+router.get('/', [
+    query('category').optional().isIn(CATEGORIES),
+    query('location').optional().trim(),
+    query('search').optional().trim(),
+    query('lowStock').optional().isBoolean(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 200 }),
+    query('orderBy').optional().isIn(['name', 'category', 'created_at', 'updated_at']),
+    query('orderDirection').optional().isIn(['ASC', 'DESC'])
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const {
+            category,
+            location,
+            search,
+            lowStock,
+            page = 1,
+            limit = 50,
+            orderBy = 'name',
+            orderDirection = 'ASC'
+        } = req.query;
+
+        const items = await InventoryItem.findAll({
+            category,
+            location,
+            search,
+            lowStock: lowStock === 'true',
+            offset: (page - 1) * limit,
+            limit: parseInt(limit),
+            orderBy,
+            orderDirection
+        });
+
+        res.json({
+            items: items.map(item => item.toJSON()),
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total: items.length
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get inventory error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Get storage locations in use
+router.get('/meta/locations', async (req, res) => {
+    try {
+        const locations = await InventoryItem.getLocations();
+        res.json({ locations });
+    } catch (error) {
+        logger.error('Get inventory locations error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Get lots that are expired or expire within the given number of days
+router.get('/expiring', [
+    query('days').optional().isInt({ min: 0, max: 3650 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const days = parseInt(req.query.days || 30);
+        const lots = await InventoryLot.findExpiring(days);
+
+        res.json({
+            days,
+            lots: lots.map(lot => lot.toJSON())
+        });
+
+    } catch (error) {
+        logger.error('Get expiring lots error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Pre-flight a protocol: required reagent volumes against the lots on hand
+router.post('/preflight', [
+    body('protocolId').isUUID().withMessage('Protocol ID is required'),
+    body('versionId').optional().isUUID(),
+    body('sampleCount').optional().isInt({ min: 1 }),
+    body('runDate').optional().isISO8601()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { protocolId, versionId, sampleCount, runDate } = req.body;
+
+        const protocol = await Protocol.findById(protocolId, req.user.id);
+        if (!protocol) {
+            return res.status(404).json({
+                error: 'Protocol not found'
+            });
+        }
+
+        let version = protocol;
+        if (versionId) {
+            const versions = await protocol.getVersionHistory();
+            version = versions.find(v => v.id === versionId);
+            if (!version) {
+                return res.status(404).json({
+                    error: 'Protocol version not found'
+                });
+            }
+        }
+
+        const preflight = await inventoryService.preflight(version, { sampleCount, runDate });
+
+        res.json({ preflight });
+
+    } catch (error) {
+        logger.error('Inventory pre-flight error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Get an inventory item with all of its lots
+router.get('/:id', [
+    param('id').isUUID()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const item = await InventoryItem.findById(req.params.id);
+        if (!item) {
+            return res.status(404).json({
+                error: 'Inventory item not found'
+            });
+        }
+
+        const lots = await InventoryLot.findByItem(item.id, { includeExpired: true, includeEmpty: true });
+
+        res.json({
+            item: item.toJSON(),
+            lots: lots.map(lot => lot.toJSON())
+        });
+
+    } catch (error) {
+        logger.error('Get inventory item error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Create inventory item
+router.post('/', itemValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const item = await InventoryItem.create(req.body, req.user.id);
+
+        logger.info(`Inventory item created: ${item.name} by ${req.user.email}`);
+
+        res.status(201).json({
+            message: 'Inventory item created successfully',
+            item: item.toJSON()
+        });
+
+    } catch (error) {
+        logger.error('Create inventory item error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Update inventory item
+router.put('/:id', [param('id').isUUID(), ...itemValidation], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const item = await InventoryItem.findById(req.params.id);
+        if (!item) {
+            return res.status(404).json({
+                error: 'Inventory item not found'
+            });
+        }
+
+        await item.update(req.body, req.user.id);
+
+        logger.info(`Inventory item updated: ${item.name} by ${req.user.email}`);
+
+        res.json({
+            message: 'Inventory item updated successfully',
+            item: item.toJSON()
+        });
+
+    } catch (error) {
+        if (error.message.includes('Access denied')) {
+            return res.status(403).json({
+                error: error.message
+            });
+        }
+
+        logger.error('Update inventory item error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Deactivate inventory item
+router.delete('/:id', [param('id').isUUID()], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const item = await InventoryItem.findById(req.params.id);
+        if (!item) {
+            return res.status(404).json({
+                error: 'Inventory item not found'
+            });
+        }
+
+        await item.deactivate(req.user.id);
+
+        logger.info(`Inventory item deactivated: ${item.name} by ${req.user.email}`);
+
+        res.json({
+            message: 'Inventory item deleted successfully'
+        });
+
+    } catch (error) {
+        if (error.message.includes('Access denied')) {
+            return res.status(403).json({
+                error: error.message
+            });
+        }
+
+        logger.error('Delete inventory item error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Receive a new lot of an item
+router.post('/:id/lots', [param('id').isUUID(), ...lotValidation], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const item = await InventoryItem.findById(req.params.id);
+        if (!item) {
+            return res.status(404).json({
+                error: 'Inventory item not found'
+            });
+        }
+
+        const unit = checkLotUnit(req.body.unit, item);
+        const lot = await InventoryLot.create(item.id, { ...req.body, unit }, req.user.id);
+
+        logger.info(`Inventory lot received: ${item.name} lot ${lot.lotNumber} by ${req.user.email}`);
+
+        res.status(201).json({
+            message: 'Lot added successfully',
+            lot: lot.toJSON()
+        });
+
+    } catch (error) {
+        if (error.message.includes('not compatible')) {
+            return res.status(400).json({
+                error: error.message
+            });
+        }
+
+        logger.error('Create inventory lot error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Load a lot and check it belongs to the item in the URL
+const findItemLot = async (itemId, lotId) => {
+    const item = await InventoryItem.findById(itemId);
+    if (!item) return {};
+    const lot = await InventoryLot.findById(lotId);
+    if (!lot || lot.itemId !== item.id) return { item };
+    return { item, lot };
+};
+
+// Update a lot (location, expiry, corrected quantity)
+router.put('/:id/lots/:lotId', [
+    param('id').isUUID(),
+    param('lotId').isUUID(),
+    body('lotNumber').optional().trim().isLength({ min: 1 }),
+    body('quantity').optional().isFloat({ min: 0 }),
+    body('unit').optional().trim().isLength({ min: 1, max: 20 }),
+    body('expiryDate').optional({ nullable: true }).isISO8601(),
+    body('location').optional().trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { item, lot } = await findItemLot(req.params.id, req.params.lotId);
+        if (!lot) {
+            return res.status(404).json({
+                error: item ? 'Inventory lot not found' : 'Inventory item not found'
+            });
+        }
+
+        if (req.body.unit) checkLotUnit(req.body.unit, item);
+        await lot.update(req.body);
+
+        logger.info(`Inventory lot updated: ${item.name} lot ${lot.lotNumber} by ${req.user.email}`);
+
+        res.json({
+            message: 'Lot updated successfully',
+            lot: lot.toJSON()
+        });
+
+    } catch (error) {
+        if (error.message.includes('not compatible') || error.message.includes('No valid fields')) {
+            return res.status(400).json({
+                error: error.message
+            });
+        }
+
+        logger.error('Update inventory lot error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Record stock used (negative) or topped up (positive), e.g. { "amount": "-1.5 mL" }
+router.post('/:id/lots/:lotId/adjust', [
+    param('id').isUUID(),
+    param('lotId').isUUID(),
+    body('amount').exists().withMessage('Amount is required'),
+    body('reason').optional().trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { item, lot } = await findItemLot(req.params.id, req.params.lotId);
+        if (!lot) {
+            return res.status(404).json({
+                error: item ? 'Inventory lot not found' : 'Inventory item not found'
+            });
+        }
+
+        // Amounts may carry their own unit and are converted into the lot's unit;
+        // lots counted in pieces ("each", "box") take plain numbers
+        const delta = quantity.dimensionOf(lot.unit)
+            ? quantity.convert(req.body.amount, lot.unit, lot.unit)
+            : parseFloat(req.body.amount);
+        if (isNaN(delta)) {
+            return res.status(400).json({
+                error: `Amount must be a number of ${lot.unit}`
+            });
+        }
+        await lot.adjustQuantity(delta);
+
+        logger.info(`Inventory lot adjusted: ${item.name} lot ${lot.lotNumber} by ${delta} ${lot.unit}` +
+            `${req.body.reason ? ` (${req.body.reason})` : ''} by ${req.user.email}`);
+
+        res.json({
+            message: 'Lot quantity adjusted successfully',
+            lot: lot.toJSON()
+        });
+
+    } catch (error) {
+        if (error.message.includes('Insufficient') || error.message.includes('convert') ||
+            error.message.includes('unit') || error.message.includes('Not a quantity')) {
+            return res.status(400).json({
+                error: error.message
+            });
+        }
+
+        logger.error('Adjust inventory lot error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Remove a lot entered by mistake
+router.delete('/:id/lots/:lotId', [
+    param('id').isUUID(),
+    param('lotId').isUUID()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { item, lot } = await findItemLot(req.params.id, req.params.lotId);
+        if (!lot) {
+            return res.status(404).json({
+                error: item ? 'Inventory lot not found' : 'Inventory item not found'
+            });
+        }
+
+        if (lot.createdBy !== req.user.id && item.createdBy !== req.user.id) {
+            return res.status(403).json({
+                error: 'Access denied: You can only delete lots you received'
+            });
+        }
+
+        await lot.delete();
+
+        logger.info(`Inventory lot deleted: ${item.name} lot ${lot.lotNumber} by ${req.user.email}`);
+
+        res.json({
+            message: 'Lot deleted successfully'
+        });
+
+    } catch (error) {
+        logger.error('Delete inventory lot error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,363 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Protocol = require('../models/Protocol');
+const approvalWorkflowService = require('../services/approvalWorkflowService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation rules
+const passwordValidation = body('password').notEmpty().withMessage('Password is required to sign');
+
+// Map workflow errors to responses; returns false for unexpected errors
+const sendWorkflowError = (res, error) => {
+    if (error.message.includes('Access denied')) {
+        res.status(403).json({ error: error.message });
+    } else if (error.message.startsWith('Re-authentication failed')) {
+        res.status(401).json({ error: error.message });
+    } else if (error.message.startsWith('Protocol is ')) {
+        res.status(409).json({ error: error.message });
+    } else if (error.message.startsWith('Invalid')) {
+        res.status(400).json({ error: error.message });
+    } else if (error.message === 'Review not found') {
+        res.status(404).json({ error: error.message });
+    } else {
+        return false;
+    }
+    return true;
+};
+
+// Load the protocol a request is about, or answer 404
+const loadProtocol = async (req, res) => {
+    const protocol = await Protocol.findById(req.params.id, req.user.id);
+    if (!protocol) {
+        res.status(404).json({
+            error: 'Protocol not found'
+        });
+    }
+    return protocol;
+};
+
+// Reviews waiting on the current user
+router.get('/meta/review-queue', async (req, res) => {
+    try {
+        const reviews = await approvalWorkflowService.getReviewQueue(req.user);
+
+        res.json({
+            reviews: reviews.map(review => review.toJSON())
+        });
+
+    } catch (error) {
+        logger.error('Get review queue error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Get review state, reviewers and signatures of a protocol version
+router.get('/:id/approval', [param('id').isUUID()], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const protocol = await loadProtocol(req, res);
+        if (!protocol) return;
+
+        res.json({
+            approval: await approvalWorkflowService.getApproval(protocol)
+        });
+
+    } catch (error) {
+        logger.error('Get protocol approval error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Assign reviewers
+router.post('/:id/reviewers', [
+    param('id').isUUID(),
+    body('reviewerIds').isArray({ min: 1 }).withMessage('At least one reviewer is required'),
+    body('reviewerIds.*').isUUID()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const protocol = await loadProtocol(req, res);
+        if (!protocol) return;
+
+        const assigned = await approvalWorkflowService.assignReviewers(protocol, req.body.reviewerIds, req.user);
+
+        logger.info(`Reviewers assigned to protocol ${protocol.name}: ${assigned.length} by ${req.user.email}`);
+
+        res.status(201).json({
+            message: 'Reviewers assigned successfully',
+            reviews: assigned.map(review => review.toJSON())
+        });
+
+    } catch (error) {
+        if (sendWorkflowError(res, error)) return;
+
+        logger.error('Assign reviewers error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Remove a reviewer
+router.delete('/:id/reviewers/:reviewerId', [
+    param('id').isUUID(),
+    param('reviewerId').isUUID()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const protocol = await loadProtocol(req, res);
+        if (!protocol) return;
+
+        await approvalWorkflowService.removeReviewer(protocol, req.params.reviewerId, req.user);
+
+        res.json({
+            message: 'Reviewer removed successfully'
+        });
+
+    } catch (error) {
+        if (sendWorkflowError(res, error)) return;
+
+        logger.error('Remove reviewer error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Submit a draft for review, signing for authorship
+router.post('/:id/submit', [param('id').isUUID(), passwordValidation], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const protocol = await loadProtocol(req, res);
+        if (!protocol) return;
+
+        const signature = await approvalWorkflowService.submit(protocol, req.user, req.body.password);
+
+        logger.info(`Protocol submitted for review: ${protocol.name} v${protocol.version} by ${req.user.email}`);
+
+        res.json({
+            message: 'Protocol submitted for review',
+            protocol: protocol.toJSON(),
+            signature: signature.toJSON()
+        });
+
+    } catch (error) {
+        if (sendWorkflowError(res, error)) return;
+
+        logger.error('Submit protocol error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Withdraw a protocol from review
+router.post('/:id/withdraw', [param('id').isUUID()], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const protocol = await loadProtocol(req, res);
+        if (!protocol) return;
+
+        await approvalWorkflowService.withdraw(protocol, req.user);
+
+        logger.info(`Protocol withdrawn from review: ${protocol.name} by ${req.user.email}`);
+
+        res.json({
+            message: 'Protocol withdrawn from review',
+            protocol: protocol.toJSON()
+        });
+
+    } catch (error) {
+        if (sendWorkflowError(res, error)) return;
+
+        logger.error('Withdraw protocol error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Approve (signed) or request changes as an assigned reviewer
+router.post('/:id/review', [
+    param('id').isUUID(),
+    body('decision').isIn(approvalWorkflowService.getReviewDecisions()),
+    body('password').if(body('decision').equals('approve')).notEmpty().withMessage('Password is required to sign'),
+    body('comment').optional().trim().isLength({ max: 5000 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const protocol = await loadProtocol(req, res);
+        if (!protocol) return;
+
+        const { review, signature } = await approvalWorkflowService.review(protocol, req.user, req.body);
+
+        logger.info(`Protocol review: ${protocol.name} ${review.decision} by ${req.user.email}`);
+
+        res.json({
+            message: 'Review recorded',
+            protocol: protocol.toJSON(),
+            review: review.toJSON(),
+            signature: signature ? signature.toJSON() : null
+        });
+
+    } catch (error) {
+        if (sendWorkflowError(res, error)) return;
+
+        logger.error('Review protocol error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Retire an approved protocol
+router.post('/:id/retire', [
+    param('id').isUUID(),
+    passwordValidation,
+    body('reason').trim().isLength({ min: 1, max: 1000 }).withMessage('A reason for retiring is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const protocol = await loadProtocol(req, res);
+        if (!protocol) return;
+
+        const signature = await approvalWorkflowService.retire(protocol, req.user, req.body.password, req.body.reason);
+
+        logger.info(`Protocol retired: ${protocol.name} v${protocol.version} by ${req.user.email}`);
+
+        res.json({
+            message: 'Protocol retired',
+            protocol: protocol.toJSON(),
+            signature: signature.toJSON()
+        });
+
+    } catch (error) {
+        if (sendWorkflowError(res, error)) return;
+
+        logger.error('Retire protocol error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Get comments, optionally on one block
+router.get('/:id/comments', [
+    param('id').isUUID(),
+    query('blockId').optional().trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const protocol = await loadProtocol(req, res);
+        if (!protocol) return;
+
+        const comments = await approvalWorkflowService.getComments(protocol, { blockId: req.query.blockId });
+
+        res.json({
+            comments: comments.map(comment => comment.toJSON())
+        });
+
+    } catch (error) {
+        logger.error('Get protocol comments error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Comment on a protocol or one of its blocks
+router.post('/:id/comments', [
+    param('id').isUUID(),
+    body('body').trim().isLength({ min: 1, max: 5000 }).withMessage('Comment text is required'),
+    body('blockId').optional().trim().isLength({ max: 100 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const protocol = await loadProtocol(req, res);
+        if (!protocol) return;
+
+        const comment = await approvalWorkflowService.addComment(protocol, req.user, req.body);
+
+        res.status(201).json({
+            message: 'Comment added successfully',
+            comment: comment.toJSON()
+        });
+
+    } catch (error) {
+        logger.error('Add protocol comment error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,6 +1,13 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const Protocol = require('../models/Protocol');
+const protocolValidationEngine = require('../services/protocolValidationEngine');
+const complianceProfileService = require('../services/complianceProfileService');
+const approvalWorkflowService = require('../services/approvalWorkflowService');
+const protocolDiffService = require('../services/protocolDiffService');
+const subProtocolService = require('../services/subProtocolService');
+const protocolTemplateService = require('../services/protocolTemplateService');
+const { flattenWorkspace } = require('../utils/blocklyWorkspace');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -16,7 +23,8 @@ const protocolValidation = [
     body('workspaceJson').optional(),
     body('analysisData').optional(),
     body('isPublic').optional().isBoolean(),
-    body('isTemplate').optional().isBoolean()
+    body('isTemplate').optional().isBoolean(),
+    body('reason').optional().trim().isLength({ max: 1000 })
 ];
 
 // Get all protocols with filtering and pagination
@@ -133,7 +141,7 @@ router.post('/', protocolValidation, async (req, res) => {
     }
 });
 
-// Update protocol
+// Update protocol; approved and retired versions are immutable, so editing one starts a new draft
 router.put('/:id', protocolValidation, async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -153,7 +161,18 @@ router.put('/:id', protocolValidation, async (req, res) => {
             });
         }
 
-        await protocol.update(req.body, req.user.id);
+        if (protocol.isLocked()) {
+            const draft = await protocol.createDraft(req.body, req.user.id);
+
+            logger.info(`Protocol draft created: ${draft.name} v${draft.version} from v${protocol.version} by ${req.user.email}`);
+
+            return res.status(201).json({
+                message: `Version ${protocol.version} is ${protocol.status}; changes were saved as new draft version ${draft.version}`,
+                protocol: draft.toJSON()
+            });
+        }
+
+        await protocol.update(req.body, req.user.id, req.body.reason);
 
         logger.info(`Protocol updated: ${protocol.name} by ${req.user.email}`);
 
@@ -168,6 +187,12 @@ router.put('/:id', protocolValidation, async (req, res) => {
                 error: error.message
             });
         }
+
+        if (error.message.startsWith('Protocol is ')) {
+            return res.status(409).json({
+                error: error.message
+            });
+        }
         
         logger.error('Update protocol error:', error);
         res.status(500).json({
@@ -188,7 +213,7 @@ router.delete('/:id', async (req, res) => {
             });
         }
 
-        await protocol.delete(req.user.id);
+        await protocol.delete(req.user.id, req.body?.reason);
 
         logger.info(`Protocol deleted: ${protocol.name} by ${req.user.email}`);
 
@@ -202,6 +227,12 @@ router.delete('/:id', async (req, res) => {
                 error: error.message
             });
         }
+
+        if (error.message.startsWith('Protocol is ')) {
+            return res.status(409).json({
+                error: error.message
+            });
+        }
         
         logger.error('Delete protocol error:', error);
         res.status(500).json({
@@ -250,6 +281,86 @@ router.post('/:id/clone', [
     }
 });
 
+// Validate protocol, optionally against a compliance profile; format csv or markdown downloads the report
+router.post('/:id/validate', [
+    body('profile').optional().isIn(complianceProfileService.getProfileIds()),
+    body('options').optional().isObject(),
+    body('options.sampleCount').optional().isInt({ min: 1 }).toInt(),
+    query('format').optional().isIn(['json', 'csv', 'markdown'])
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { profile } = req.body;
+        const format = req.query.format || 'json';
+
+        if (format !== 'json' && !profile) {
+            return res.status(400).json({
+                error: 'A compliance profile is required to export a report'
+            });
+        }
+
+        const protocol = await Protocol.findById(id, req.user.id);
+        if (!protocol) {
+            return res.status(404).json({
+                error: 'Protocol not found'
+            });
+        }
+
+        // A report is only validated with the options its profile allows and the server's date
+        const options = profile
+            ? complianceProfileService.reportOptions(profile, req.body.options)
+            : req.body.options;
+
+        // Signatures come from the approval records and callees from the library, never from the request
+        const validation = await protocolValidationEngine.validateProtocol(protocol, flattenWorkspace(protocol.workspaceJson), {
+            ...options,
+            complianceProfile: profile,
+            organization: req.user.organization,
+            signatures: await approvalWorkflowService.getSignatureRecords(protocol),
+            subProtocols: await subProtocolService.resolveCalls(protocol, req.user.id)
+        });
+
+        if (!profile) {
+            return res.json({ validation });
+        }
+
+        const report = complianceProfileService.buildReport(profile, protocol, validation, {
+            id: req.user.id,
+            email: req.user.email
+        }, options);
+
+        logger.info(`Compliance report ${report.reportId} (${profile}): ${protocol.name} is ${report.status} for ${req.user.email}`);
+
+        if (format === 'csv') {
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="compliance-${profile}-${protocol.id}.csv"`);
+            return res.send(complianceProfileService.toCsv(report));
+        }
+
+        if (format === 'markdown') {
+            res.set('Content-Type', 'text/markdown; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="compliance-${profile}-${protocol.id}.md"`);
+            return res.send(complianceProfileService.toMarkdown(report));
+        }
+
+        res.json({ validation, report });
+
+    } catch (error) {
+        logger.error('Validate protocol error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
 // Get protocol version history
 router.get('/:id/versions', async (req, res) => {
     try {
@@ -276,6 +387,393 @@ router.get('/:id/versions', async (req, res) => {
     }
 });
 
+// Library protocols a protocol_call block can run, with their inputs and outputs
+router.get('/meta/library', [
+    query('search').optional().trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const library = await subProtocolService.getLibrary(req.user.id, { search: req.query.search });
+
+        res.json({
+            library
+        });
+
+    } catch (error) {
+        logger.error('Get protocol library error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Library protocols called by a protocol, resolved, with the problems found in each call
+router.get('/:id/calls', async (req, res) => {
+    try {
+        const protocol = await Protocol.findById(req.params.id, req.user.id);
+        if (!protocol) {
+            return res.status(404).json({
+                error: 'Protocol not found'
+            });
+        }
+
+        const resolutions = await subProtocolService.resolveCalls(protocol, req.user.id);
+        const blocks = flattenWorkspace(protocol.workspaceJson);
+
+        const calls = blocks
+            .filter(block => block.type === 'protocol_call')
+            .map(block => ({
+                blockId: block.id,
+                name: block.fields.PROTOCOL_NAME,
+                resolution: resolutions[block.id] || null,
+                parameters: subProtocolService.getCallParameters(block, blocks),
+                issues: subProtocolService.checkCall(block, blocks, resolutions[block.id])
+            }));
+
+        res.json({
+            calls
+        });
+
+    } catch (error) {
+        logger.error('Get protocol calls error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Protocols that call this one, directly or through other sub-protocols
+router.get('/:id/where-used', async (req, res) => {
+    try {
+        const protocol = await Protocol.findById(req.params.id, req.user.id);
+        if (!protocol) {
+            return res.status(404).json({
+                error: 'Protocol not found'
+            });
+        }
+
+        const usage = await subProtocolService.whereUsed(protocol, req.user);
+
+        res.json({
+            usage
+        });
+
+    } catch (error) {
+        logger.error('Get protocol usage error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Template gallery: templates shared with the user, with their parameters and a preview
+router.get('/meta/templates', [
+    query('search').optional().trim(),
+    query('category').optional().trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const templates = await protocolTemplateService.getGallery(req.user, {
+            search: req.query.search,
+            category: req.query.category
+        });
+
+        res.json({
+            templates
+        });
+
+    } catch (error) {
+        logger.error('Get template gallery error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Mark a protocol as a template and define its parameters
+router.put('/:id/template', [
+    body('parameters').isArray().withMessage('Template parameters must be a list'),
+    body('isPublic').optional().isBoolean(),
+    body('reason').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const protocol = await Protocol.findById(req.params.id, req.user.id);
+        if (!protocol) {
+            return res.status(404).json({
+                error: 'Protocol not found'
+            });
+        }
+
+        const { parameters, isPublic } = req.body;
+        const problems = protocolTemplateService.validateDefinitions(parameters, protocol);
+        if (problems.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid template parameters',
+                details: problems
+            });
+        }
+
+        await protocol.update({
+            is_template: true,
+            is_public: isPublic,
+            template_parameters: parameters
+        }, req.user.id, req.body.reason);
+
+        logger.info(`Protocol template saved: ${protocol.name} with ${parameters.length} parameter(s) by ${req.user.email}`);
+
+        res.json({
+            message: 'Template saved successfully',
+            template: protocolTemplateService.describeTemplate(protocol)
+        });
+
+    } catch (error) {
+        if (error.message.includes('Access denied')) {
+            return res.status(403).json({
+                error: error.message
+            });
+        }
+
+        if (error.message.startsWith('Protocol is ')) {
+            return res.status(409).json({
+                error: error.message
+            });
+        }
+
+        logger.error('Save protocol template error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Create a protocol from a template and a parameter set; with preview set, only show the result
+router.post('/:id/instantiate', [
+    body('name').optional().trim().isLength({ min: 1, max: 255 }),
+    body('values').optional().isObject(),
+    body('preview').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const template = await Protocol.findById(req.params.id, req.user.id);
+        if (!template) {
+            return res.status(404).json({
+                error: 'Protocol not found'
+            });
+        }
+
+        if (!template.isTemplate) {
+            return res.status(400).json({
+                error: 'Only templates can be instantiated'
+            });
+        }
+
+        const instance = protocolTemplateService.instantiate(template, req.body.values);
+        if (instance.errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid template parameters',
+                details: instance.errors
+            });
+        }
+
+        if (req.body.preview) {
+            return res.json({
+                values: instance.values,
+                preview: protocolTemplateService.preview(instance.workspaceJson, template.templateParameters)
+            });
+        }
+
+        const protocol = await Protocol.create({
+            name: req.body.name || template.name,
+            description: template.description,
+            category: template.category,
+            tags: template.tags,
+            workspaceXml: instance.workspaceXml,
+            workspaceJson: instance.workspaceJson,
+            parentProtocolId: template.id,
+            templateValues: {
+                templateId: template.id,
+                templateVersion: template.version,
+                values: instance.values
+            }
+        }, req.user.id);
+
+        logger.info(`Protocol instantiated: ${template.name} v${template.version} -> ${protocol.name} by ${req.user.email}`);
+
+        res.status(201).json({
+            message: 'Protocol created from template',
+            protocol: protocol.toJSON()
+        });
+
+    } catch (error) {
+        logger.error('Instantiate protocol template error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Identify a protocol version in diff and merge responses
+const describeVersion = (protocol) => ({
+    id: protocol.id,
+    name: protocol.name,
+    version: protocol.version,
+    status: protocol.status
+});
+
+// Block-level diff against another protocol, by default the one this was versioned or cloned from
+router.get('/:id/diff', [
+    query('against').optional().isUUID()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const protocol = await Protocol.findById(req.params.id, req.user.id);
+        if (!protocol) {
+            return res.status(404).json({
+                error: 'Protocol not found'
+            });
+        }
+
+        const baseId = req.query.against || protocol.parentProtocolId;
+        if (!baseId) {
+            return res.status(400).json({
+                error: 'Protocol has no parent version; say which protocol to compare against'
+            });
+        }
+
+        const base = await Protocol.findById(baseId, req.user.id);
+        if (!base) {
+            return res.status(404).json({
+                error: 'Protocol to compare against not found'
+            });
+        }
+
+        if (!base.workspaceJson || !protocol.workspaceJson) {
+            return res.status(400).json({
+                error: 'Cannot compare protocols saved without a workspace JSON'
+            });
+        }
+
+        const diff = protocolDiffService.diff(base.workspaceJson, protocol.workspaceJson);
+
+        res.json({
+            base: describeVersion(base),
+            target: describeVersion(protocol),
+            diff,
+            changelog: protocolDiffService.changelog(diff),
+            sideBySide: protocolDiffService.sideBySide(base.workspaceJson, protocol.workspaceJson)
+        });
+
+    } catch (error) {
+        logger.error('Diff protocol error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Three-way merge of another fork into this protocol, based on their nearest common ancestor.
+// Returns the merged workspace for the editor to load and save; nothing is stored here.
+router.post('/:id/merge', [
+    body('sourceId').isUUID(),
+    body('resolutions').optional().isObject(),
+    body('resolutions.*').optional().isIn(['ours', 'theirs', 'base'])
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const [protocol, source] = await Promise.all([
+            Protocol.findById(req.params.id, req.user.id),
+            Protocol.findById(req.body.sourceId, req.user.id)
+        ]);
+        if (!protocol || !source) {
+            return res.status(404).json({
+                error: 'Protocol not found'
+            });
+        }
+
+        const ancestor = await protocol.findCommonAncestor(source);
+        if (!ancestor) {
+            return res.status(400).json({
+                error: 'Protocols do not share an ancestor and cannot be merged'
+            });
+        }
+
+        if (!ancestor.workspaceJson || !protocol.workspaceJson || !source.workspaceJson) {
+            return res.status(400).json({
+                error: 'Cannot merge protocols saved without a workspace JSON'
+            });
+        }
+
+        const merge = protocolDiffService.merge(
+            ancestor.workspaceJson,
+            protocol.workspaceJson,
+            source.workspaceJson,
+            req.body.resolutions
+        );
+
+        res.json({
+            base: describeVersion(ancestor),
+            ours: describeVersion(protocol),
+            theirs: describeVersion(source),
+            workspaceJson: merge.workspaceJson,
+            conflicts: merge.conflicts,
+            unresolved: merge.unresolved,
+            changelog: {
+                ours: protocolDiffService.changelog(merge.ours),
+                theirs: protocolDiffService.changelog(merge.theirs)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Merge protocol error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
 // Get categories
 router.get('/meta/categories', async (req, res) => {
     try {
@@ -293,6 +791,13 @@ router.get('/meta/categories', async (req, res) => {
     }
 });
 
+// Get compliance profiles
+router.get('/meta/compliance-profiles', (req, res) => {
+    res.json({
+        profiles: complianceProfileService.getProfiles()
+    });
+});
+
 // Get tags
 router.get('/meta/tags', async (req, res) => {
     try {
@@ -0,0 +1,79 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const Reservation = require('../models/Reservation');
+const reservationService = require('../services/reservationService');
+const { calendarFeedAuth } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+// iCalendar feeds of reservations, mounted ahead of the authenticated reservation routes.
+// Calendar clients subscribe with the user's feed token in the URL (?token=), which
+// POST /api/reservations/feed-token issues and DELETE revokes; API clients can still send
+// a bearer token.
+const router = express.Router();
+
+const sendCalendar = (res, filename, reservations, calendarName) => {
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(reservationService.toICalendar(reservations, calendarName));
+};
+
+// iCalendar feed of the current user's bookings
+router.get('/mine.ics', calendarFeedAuth, async (req, res) => {
+    try {
+        const reservations = await Reservation.findAll({
+            userId: req.user.id,
+            includeCancelled: true,
+            from: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)
+        });
+
+        sendCalendar(res, 'my-reservations.ics', reservations, 'My instrument reservations');
+
+    } catch (error) {
+        logger.error('Get reservation feed error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// iCalendar feed of one instrument's bookings
+router.get('/instruments/:instrumentId/calendar.ics', calendarFeedAuth, [
+    param('instrumentId').isUUID().withMessage('Invalid instrument ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const calendar = await reservationService.getInstrumentCalendar(
+            req.params.instrumentId,
+            new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
+            new Date(Date.now() + 365 * 24 * 60 * 60 * 1000)
+        );
+
+        sendCalendar(
+            res,
+            `instrument-${req.params.instrumentId}.ics`,
+            calendar.reservations,
+            `${calendar.instrument.name} reservations`
+        );
+
+    } catch (error) {
+        if (error.message === 'Instrument not found') {
+            return res.status(404).json({
+                error: error.message
+            });
+        }
+
+        logger.error('Get instrument feed error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+module.exports = router;
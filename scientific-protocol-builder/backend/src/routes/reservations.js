@@ -0,0 +1,523 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Protocol = require('../models/Protocol');
+const Reservation = require('../models/Reservation');
+const reservationService = require('../services/reservationService');
+const schedulingService = require('../services/schedulingService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation rules
+const reservationValidation = [
+    body('instrumentId').isUUID().withMessage('Valid instrument ID is required'),
+    body('startTime').isISO8601().withMessage('Valid start time is required'),
+    body('endTime').isISO8601().withMessage('Valid end time is required'),
+    body('purpose').trim().isLength({ min: 1, max: 500 }).withMessage('Reservation purpose is required'),
+    body('notes').optional().trim(),
+    body('protocolId').optional({ nullable: true }).isUUID(),
+    body('recurrence').optional({ nullable: true }).isObject(),
+    body('recurrence.frequency').optional().isIn(['daily', 'weekly', 'monthly']),
+    body('recurrence.interval').optional().isInt({ min: 1, max: 52 }),
+    body('recurrence.count').optional().isInt({ min: 1 }),
+    body('recurrence.until').optional().isISO8601(),
+    body('recurrence.daysOfWeek').optional().isArray()
+];
+
+const windowValidation = [
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601()
+];
+
+// Errors raised by the reservation service that describe a bad request rather than a failure
+const isRequestError = (error) =>
+    error.message.startsWith('Recurrence') || error.message.startsWith('Reservation must');
+
+// List reservations, optionally for one instrument, the current user, or a time window
+router.get('/', [
+    query('instrumentId').optional().isUUID(),
+    query('protocolId').optional().isUUID(),
+    query('mine').optional().isBoolean(),
+    query('includeCancelled').optional().isBoolean(),
+    ...windowValidation,
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 500 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const {
+            instrumentId,
+            protocolId,
+            mine,
+            includeCancelled,
+            from,
+            to,
+            page = 1,
+            limit = 100
+        } = req.query;
+
+        const reservations = await Reservation.findAll({
+            instrumentId,
+            protocolId,
+            userId: mine === 'true' ? req.user.id : undefined,
+            includeCancelled: includeCancelled === 'true',
+            from,
+            to,
+            offset: (page - 1) * limit,
+            limit: parseInt(limit)
+        });
+
+        res.json({
+            reservations: reservations.map(reservation => reservation.toJSON()),
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total: reservations.length
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get reservations error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Issue a calendar feed token, revoking any earlier one, with the feed URLs to subscribe to
+router.post('/feed-token', async (req, res) => {
+    try {
+        const token = await req.user.rotateCalendarFeedToken();
+
+        logger.info(`Calendar feed token issued for ${req.user.email}`);
+
+        res.status(201).json({
+            token,
+            feeds: {
+                mine: `/api/reservations/mine.ics?token=${token}`,
+                instrument: `/api/reservations/instruments/{instrumentId}/calendar.ics?token=${token}`
+            }
+        });
+
+    } catch (error) {
+        logger.error('Issue calendar feed token error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Revoke the calendar feed token, so subscribed calendars stop updating
+router.delete('/feed-token', async (req, res) => {
+    try {
+        await req.user.revokeCalendarFeedToken();
+
+        logger.info(`Calendar feed token revoked for ${req.user.email}`);
+
+        res.json({
+            message: 'Calendar feed token revoked'
+        });
+
+    } catch (error) {
+        logger.error('Revoke calendar feed token error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Check whether a slot is free before booking it
+router.get('/conflicts', [
+    query('instrumentId').isUUID().withMessage('Valid instrument ID is required'),
+    query('startTime').isISO8601().withMessage('Valid start time is required'),
+    query('endTime').isISO8601().withMessage('Valid end time is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { instrumentId, startTime, endTime } = req.query;
+        const conflicts = await reservationService.checkConflicts(instrumentId, startTime, endTime);
+
+        res.json({
+            available: conflicts.length === 0,
+            conflicts: conflicts.map(reservation => reservation.toJSON())
+        });
+
+    } catch (error) {
+        logger.error('Check reservation conflicts error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Calendar of one instrument: bookings in the window and the free gaps between them
+router.get('/instruments/:instrumentId/calendar', [
+    param('instrumentId').isUUID().withMessage('Invalid instrument ID'),
+    ...windowValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const calendar = await reservationService.getInstrumentCalendar(
+            req.params.instrumentId,
+            req.query.from,
+            req.query.to
+        );
+
+        res.json({
+            ...calendar,
+            reservations: calendar.reservations.map(reservation => reservation.toJSON())
+        });
+
+    } catch (error) {
+        if (error.message === 'Instrument not found') {
+            return res.status(404).json({
+                error: error.message
+            });
+        }
+
+        logger.error('Get instrument calendar error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Plan a protocol run from a start time and, with book set, reserve every instrument it needs
+router.post('/plan', [
+    body('protocolId').isUUID().withMessage('Protocol ID is required'),
+    body('versionId').optional().isUUID(),
+    body('startTime').isISO8601().withMessage('Valid start time is required'),
+    body('bufferMinutes').optional().isInt({ min: 0, max: 240 }),
+    body('flexible').optional().isBoolean(),
+    body('searchHours').optional().isInt({ min: 1, max: 24 * 31 }),
+    body('book').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { protocolId, versionId, startTime, bufferMinutes, flexible, searchHours, book } = req.body;
+
+        const protocol = await Protocol.findById(protocolId, req.user.id);
+        if (!protocol) {
+            return res.status(404).json({
+                error: 'Protocol not found'
+            });
+        }
+
+        let version = protocol;
+        if (versionId) {
+            const versions = await protocol.getVersionHistory();
+            version = versions.find(v => v.id === versionId);
+            if (!version) {
+                return res.status(404).json({
+                    error: 'Protocol version not found'
+                });
+            }
+        }
+
+        const plan = await schedulingService.planProtocolRun(version, {
+            startTime,
+            bufferMinutes,
+            flexible,
+            searchHours,
+            book,
+            userId: req.user.id
+        });
+
+        if (book && !plan.feasible) {
+            return res.status(409).json({
+                error: 'No feasible schedule for the requested start time',
+                plan
+            });
+        }
+
+        res.status(plan.booked ? 201 : 200).json({
+            plan: {
+                ...plan,
+                reservations: plan.reservations.map(reservation => reservation.toJSON())
+            }
+        });
+
+    } catch (error) {
+        if (error.conflicts) {
+            // Someone booked one of the instruments between planning and booking
+            return res.status(409).json({
+                error: error.message,
+                conflicts: error.conflicts
+            });
+        }
+
+        if (error.message.startsWith('Protocol has no') || error.message.startsWith('Schedule') ||
+            error.message.startsWith('Circular dependency') || isRequestError(error)) {
+            return res.status(400).json({
+                error: error.message
+            });
+        }
+
+        logger.error('Plan protocol run error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Plan several protocol runs together on shared instruments, as Gantt-style JSON
+router.post('/plan/batch', [
+    body('runs').isArray({ min: 1, max: 10 }).withMessage('Between 1 and 10 runs are required'),
+    body('runs.*.protocolId').isUUID().withMessage('Protocol ID is required for every run'),
+    body('runs.*.versionId').optional().isUUID(),
+    body('runs.*.deadline').optional({ nullable: true }).isISO8601(),
+    body('runs.*.earliestStart').optional({ nullable: true }).isISO8601(),
+    body('startTime').isISO8601().withMessage('Valid start time is required'),
+    body('bufferMinutes').optional().isInt({ min: 0, max: 240 }),
+    body('book').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { runs, startTime, bufferMinutes, book } = req.body;
+
+        const loadedRuns = [];
+        for (const run of runs) {
+            const protocol = await Protocol.findById(run.protocolId, req.user.id);
+            if (!protocol) {
+                return res.status(404).json({
+                    error: `Protocol not found: ${run.protocolId}`
+                });
+            }
+
+            let version = protocol;
+            if (run.versionId) {
+                const versions = await protocol.getVersionHistory();
+                version = versions.find(v => v.id === run.versionId);
+                if (!version) {
+                    return res.status(404).json({
+                        error: `Protocol version not found: ${run.versionId}`
+                    });
+                }
+            }
+
+            loadedRuns.push({ protocol: version, deadline: run.deadline, earliestStart: run.earliestStart });
+        }
+
+        const plan = await schedulingService.planBatch(loadedRuns, {
+            startTime,
+            bufferMinutes,
+            book,
+            userId: req.user.id
+        });
+
+        if (book && !plan.booked && (!plan.feasible || !plan.deadlinesMet)) {
+            return res.status(409).json({
+                error: plan.feasible
+                    ? 'Batch schedule misses at least one deadline; nothing was booked'
+                    : 'No feasible batch schedule; nothing was booked',
+                plan
+            });
+        }
+
+        res.status(plan.booked ? 201 : 200).json({
+            plan: {
+                ...plan,
+                reservations: plan.reservations.map(reservation => reservation.toJSON())
+            }
+        });
+
+    } catch (error) {
+        if (error.conflicts) {
+            return res.status(409).json({
+                error: error.message,
+                conflicts: error.conflicts
+            });
+        }
+
+        if (error.message.startsWith('Protocol has no') || error.message.startsWith('Schedule') ||
+            error.message.startsWith('Circular dependency') || isRequestError(error)) {
+            return res.status(400).json({
+                error: error.message
+            });
+        }
+
+        logger.error('Plan batch error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Get reservation by ID
+router.get('/:id', [
+    param('id').isUUID().withMessage('Invalid reservation ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const reservation = await Reservation.findById(req.params.id);
+        if (!reservation) {
+            return res.status(404).json({
+                error: 'Reservation not found'
+            });
+        }
+
+        res.json({
+            reservation: reservation.toJSON()
+        });
+
+    } catch (error) {
+        logger.error('Get reservation error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Create a reservation, or a recurring series of them
+router.post('/', reservationValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { instrumentId, ...reservationData } = req.body;
+        const reservations = await reservationService.createReservation(
+            instrumentId,
+            reservationData,
+            req.user.id
+        );
+
+        logger.info(`Reservation created for instrument ${instrumentId} by ${req.user.email}`);
+
+        res.status(201).json({
+            message: reservations.length > 1
+                ? `${reservations.length} reservations created successfully`
+                : 'Reservation created successfully',
+            seriesId: reservations[0].seriesId,
+            reservations: reservations.map(reservation => reservation.toJSON())
+        });
+
+    } catch (error) {
+        if (error.message === 'Instrument not found') {
+            return res.status(404).json({
+                error: error.message
+            });
+        }
+
+        if (error.conflicts) {
+            return res.status(409).json({
+                error: error.message,
+                conflicts: error.conflicts
+            });
+        }
+
+        if (isRequestError(error)) {
+            return res.status(400).json({
+                error: error.message
+            });
+        }
+
+        logger.error('Create reservation error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Cancel a reservation; scope 'following' or 'series' also cancels the rest of a recurring series
+router.delete('/:id', [
+    param('id').isUUID().withMessage('Invalid reservation ID'),
+    query('scope').optional().isIn(['single', 'following', 'series'])
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const cancelled = await reservationService.cancelReservation(
+            req.params.id,
+            req.user,
+            req.query.scope || 'single'
+        );
+
+        logger.info(`Reservation cancelled: ${req.params.id} by ${req.user.email}`);
+
+        res.json({
+            message: cancelled.length > 1
+                ? `${cancelled.length} reservations cancelled successfully`
+                : 'Reservation cancelled successfully',
+            reservations: cancelled.map(reservation => reservation.toJSON())
+        });
+
+    } catch (error) {
+        if (error.message === 'Reservation not found') {
+            return res.status(404).json({
+                error: error.message
+            });
+        }
+
+        if (error.message.includes('Access denied')) {
+            return res.status(403).json({
+                error: error.message
+            });
+        }
+
+        if (error.message === 'Reservation is already cancelled') {
+            return res.status(409).json({
+                error: error.message
+            });
+        }
+
+        logger.error('Cancel reservation error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+module.exports = router;
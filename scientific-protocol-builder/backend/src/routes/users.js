@@ -1,5 +1,5 @@
 const express = require('express');
-const { query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { authorize } = require('../middleware/auth');
 const logger = require('../utils/logger');
@@ -83,6 +83,50 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+// Assign a user's role and organization (admin only)
+router.put('/:id/role', authorize('admin'), [
+    param('id').isUUID(),
+    body('role').isIn(User.ROLES),
+    body('organization').optional({ nullable: true }).trim(),
+    body('reason').optional().trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { role, reason } = req.body;
+
+        const user = await User.findById(id);
+        if (!user) {
+            return res.status(404).json({
+                error: 'User not found'
+            });
+        }
+
+        const organization = req.body.organization !== undefined ? req.body.organization || null : user.organization;
+        await user.assignRole(role, organization, req.user.id, reason || null);
+
+        logger.info(`Role of ${user.email} set to ${role}${organization ? ` in ${organization}` : ''} by ${req.user.email}`);
+
+        res.json({
+            message: 'Role assigned successfully',
+            user: user.toJSON()
+        });
+
+    } catch (error) {
+        logger.error('Assign role error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
 // Deactivate user (admin only)
 router.delete('/:id', authorize('admin'), async (req, res) => {
     try {
@@ -101,7 +145,7 @@ router.delete('/:id', authorize('admin'), async (req, res) => {
             });
         }
 
-        await user.deactivate();
+        await user.deactivate(req.user.id, req.body?.reason);
 
         logger.info(`User deactivated: ${user.email} by ${req.user.email}`);
 
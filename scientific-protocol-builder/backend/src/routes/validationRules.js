@@ -0,0 +1,329 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const ValidationRule = require('../models/ValidationRule');
+const Protocol = require('../models/Protocol');
+const validationRuleService = require('../services/validationRuleService');
+const { authorize } = require('../middleware/auth');
+const { flattenWorkspace } = require('../utils/blocklyWorkspace');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation rules
+const ruleValidation = [
+    body('name').optional().trim().isLength({ min: 1, max: 100 }),
+    body('description').optional().trim(),
+    body('category').optional().trim(),
+    body('severity').optional().trim(),
+    body('definition').optional().isObject(),
+    body('isActive').optional().isBoolean()
+];
+
+// Organization whose rules a request works on: admins may name one, everyone else gets their own
+const resolveOrganization = (req, requested) => {
+    if (requested && requested !== req.user.organization) {
+        if (req.user.role !== 'admin') {
+            throw new Error('Access denied: You can only work with your own organization\'s rules');
+        }
+        return requested;
+    }
+    if (!req.user.organization) {
+        throw new Error('Organization is required: your account does not belong to one');
+    }
+    return req.user.organization;
+};
+
+// List an organization's rules
+router.get('/', [
+    query('organization').optional().trim(),
+    query('category').optional().trim(),
+    query('active').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { category, active } = req.query;
+        const organization = resolveOrganization(req, req.query.organization);
+
+        const rules = await ValidationRule.findAll({
+            organization,
+            category,
+            active: active === undefined ? undefined : active === 'true'
+        });
+
+        res.json({
+            organization,
+            rules: rules.map(rule => rule.toJSON())
+        });
+
+    } catch (error) {
+        if (error.message.includes('Access denied')) {
+            return res.status(403).json({
+                error: error.message
+            });
+        }
+
+        if (error.message.startsWith('Organization is required')) {
+            return res.status(400).json({
+                error: error.message
+            });
+        }
+
+        logger.error('Get validation rules error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Operators, requirements and an example rule for rule authors
+router.get('/language', (req, res) => {
+    res.json(validationRuleService.getLanguageReference());
+});
+
+// Try a rule, saved or not, against a protocol without storing anything
+router.post('/test', [
+    body('protocolId').isUUID().withMessage('Protocol ID is required'),
+    body('ruleId').optional().isUUID(),
+    body('definition').optional().isObject()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        let rule;
+        if (req.body.ruleId) {
+            rule = await ValidationRule.findById(req.body.ruleId);
+            if (!rule || (rule.organization !== req.user.organization && req.user.role !== 'admin')) {
+                return res.status(404).json({
+                    error: 'Validation rule not found'
+                });
+            }
+        } else if (req.body.definition) {
+            rule = {
+                category: 'quality',
+                severity: 'warning',
+                ...validationRuleService.normalizeRule({ ...req.body, name: req.body.name || 'draft' })
+            };
+        } else {
+            return res.status(400).json({
+                error: 'Provide ruleId or definition'
+            });
+        }
+
+        const protocol = await Protocol.findById(req.body.protocolId, req.user.id);
+        if (!protocol) {
+            return res.status(404).json({
+                error: 'Protocol not found'
+            });
+        }
+
+        const result = validationRuleService.evaluate(rule, protocol, flattenWorkspace(protocol.workspaceJson));
+
+        res.json({ result });
+
+    } catch (error) {
+        if (error.message.startsWith('Invalid rule')) {
+            return res.status(400).json({
+                error: error.message
+            });
+        }
+
+        logger.error('Test validation rule error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Get rule by ID
+router.get('/:id', [param('id').isUUID()], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const rule = await ValidationRule.findById(req.params.id);
+        if (!rule || (rule.organization !== req.user.organization && req.user.role !== 'admin')) {
+            return res.status(404).json({
+                error: 'Validation rule not found'
+            });
+        }
+
+        res.json({ rule: rule.toJSON() });
+
+    } catch (error) {
+        logger.error('Get validation rule error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Create rule
+router.post('/', authorize('admin', 'lab_manager'), [
+    body('organization').optional().trim(),
+    ...ruleValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const organization = resolveOrganization(req, req.body.organization);
+        const ruleData = validationRuleService.normalizeRule(req.body);
+
+        if (await ValidationRule.findByName(organization, ruleData.name)) {
+            return res.status(409).json({
+                error: 'A rule with this name already exists in the organization'
+            });
+        }
+
+        const rule = await ValidationRule.create({ ...ruleData, organization }, req.user.id);
+
+        logger.info(`Validation rule created: ${rule.name} for ${organization} by ${req.user.email}`);
+
+        res.status(201).json({
+            message: 'Validation rule created successfully',
+            rule: rule.toJSON()
+        });
+
+    } catch (error) {
+        if (error.message.includes('Access denied')) {
+            return res.status(403).json({
+                error: error.message
+            });
+        }
+
+        if (error.message.startsWith('Invalid rule') || error.message.startsWith('Organization is required')) {
+            return res.status(400).json({
+                error: error.message
+            });
+        }
+
+        logger.error('Create validation rule error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Update rule
+router.put('/:id', authorize('admin', 'lab_manager'), [
+    param('id').isUUID(),
+    ...ruleValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const rule = await ValidationRule.findById(req.params.id);
+        if (!rule) {
+            return res.status(404).json({
+                error: 'Validation rule not found'
+            });
+        }
+
+        const updateData = validationRuleService.normalizeRule(req.body, { partial: true });
+
+        if (updateData.name && updateData.name !== rule.name &&
+            await ValidationRule.findByName(rule.organization, updateData.name)) {
+            return res.status(409).json({
+                error: 'A rule with this name already exists in the organization'
+            });
+        }
+
+        await rule.update(updateData, req.user);
+
+        logger.info(`Validation rule updated: ${rule.name} for ${rule.organization} by ${req.user.email}`);
+
+        res.json({
+            message: 'Validation rule updated successfully',
+            rule: rule.toJSON()
+        });
+
+    } catch (error) {
+        if (error.message.includes('Access denied')) {
+            return res.status(403).json({
+                error: error.message
+            });
+        }
+
+        if (error.message.startsWith('Invalid rule') || error.message === 'No valid fields to update') {
+            return res.status(400).json({
+                error: error.message
+            });
+        }
+
+        logger.error('Update validation rule error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+// Delete rule
+router.delete('/:id', authorize('admin', 'lab_manager'), [param('id').isUUID()], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const rule = await ValidationRule.findById(req.params.id);
+        if (!rule) {
+            return res.status(404).json({
+                error: 'Validation rule not found'
+            });
+        }
+
+        await rule.delete(req.user);
+
+        logger.info(`Validation rule deleted: ${rule.name} for ${rule.organization} by ${req.user.email}`);
+
+        res.json({
+            message: 'Validation rule deleted successfully'
+        });
+
+    } catch (error) {
+        if (error.message.includes('Access denied')) {
+            return res.status(403).json({
+                error: error.message
+            });
+        }
+
+        logger.error('Delete validation rule error:', error);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+});
+
+module.exports = router;
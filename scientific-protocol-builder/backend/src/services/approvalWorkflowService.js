@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Protocol = require('../models/Protocol');
+const ProtocolReview = require('../models/ProtocolReview');
+const ProtocolComment = require('../models/ProtocolComment');
+const ProtocolSignature = require('../models/ProtocolSignature');
+const logger = require('../utils/logger');
+
+/**
+ * Approval Workflow Service
+ * Moves protocol versions through draft -> in review -> approved -> retired. Authors
+ * assign reviewers and submit, reviewers approve or request changes, and every step
+ * that vouches for a version is an electronic signature: the signer re-enters their
+ * password, and the signature records its meaning, time and a hash of the content signed.
+ */
+
+// What a signature attests, by the workflow step that makes it
+const SIGNATURE_MEANINGS = {
+  submit: 'authorship',
+  approve: 'approval',
+  retire: 'retirement'
+};
+
+const REVIEW_DECISIONS = {
+  approve: 'approved',
+  request_changes: 'changes_requested'
+};
+
+// Roles allowed to retire any approved protocol besides its author
+const RETIRING_ROLES = ['admin', 'lab_manager'];
+
+class ApprovalWorkflowService {
+  getReviewDecisions() {
+    return Object.keys(REVIEW_DECISIONS);
+  }
+
+  /**
+   * Hash of what a signature vouches for; a signature only applies while the hash matches
+   */
+  contentHash(protocol) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([protocol.name, protocol.version, protocol.workspaceXml, protocol.workspaceJson || null]))
+      .digest('hex');
+  }
+
+  // Re-authenticate a signer with their password before they sign
+  async authenticateSigner(userId, password) {
+    const signer = await User.findById(userId);
+    if (!signer || !password || !(await signer.validatePassword(password))) {
+      throw new Error('Re-authentication failed: the password is incorrect');
+    }
+    return signer;
+  }
+
+  // Record the signature of an authenticated signer; pass client to sign within a transaction
+  async createSignature(protocol, signer, meaning, reason = null, client = undefined) {
+    const signature = await ProtocolSignature.create({
+      protocolId: protocol.id,
+      userId: signer.id,
+      signerName: [signer.firstName, signer.lastName].filter(Boolean).join(' ') || signer.email,
+      meaning,
+      reason,
+      protocolVersion: protocol.version,
+      contentHash: this.contentHash(protocol),
+      authMethod: 'password'
+    }, client);
+
+    logger.info(`Protocol ${protocol.id} signed (${meaning}) by ${signer.email}`);
+    return signature;
+  }
+
+  /**
+   * Signatures still valid for the protocol content, in the form the compliance rule reads
+   */
+  async getSignatureRecords(protocol) {
+    const hash = this.contentHash(protocol);
+    const signatures = await ProtocolSignature.findByProtocol(protocol.id);
+
+    return signatures
+      .filter(signature => signature.contentHash === hash)
+      .map(signature => ({
+        signedBy: signature.userId,
+        meaning: signature.meaning,
+        signedAt: signature.signedAt
+      }));
+  }
+
+  async getApproval(protocol) {
+    const hash = this.contentHash(protocol);
+    const [reviews, signatures] = await Promise.all([
+      ProtocolReview.findByProtocol(protocol.id),
+      ProtocolSignature.findByProtocol(protocol.id)
+    ]);
+
+    return {
+      protocolId: protocol.id,
+      version: protocol.version,
+      status: protocol.status,
+      approvedBy: protocol.approvedBy,
+      approvedAt: protocol.approvedAt,
+      retiredAt: protocol.retiredAt,
+      contentHash: hash,
+      reviewers: reviews.map(review => review.toJSON()),
+      signatures: signatures.map(signature => ({
+        ...signature.toJSON(),
+        valid: signature.contentHash === hash
+      }))
+    };
+  }
+
+  async assignReviewers(protocol, reviewerIds, user) {
+    this.requireOwner(protocol, user, 'assign reviewers');
+    this.requireStatus(protocol, ['draft', 'in_review'], 'reviewers can only be assigned before approval');
+
+    const assigned = [];
+    for (const reviewerId of [...new Set(reviewerIds)]) {
+      if (reviewerId === protocol.createdBy) {
+        throw new Error('Invalid reviewer: authors cannot review their own protocol');
+      }
+      const reviewer = await User.findById(reviewerId);
+      if (!reviewer) {
+        throw new Error(`Invalid reviewer: user ${reviewerId} not found`);
+      }
+
+      const review = await ProtocolReview.create(protocol.id, reviewerId, user.id);
+      if (review) assigned.push(review);
+    }
+
+    return assigned;
+  }
+
+  async removeReviewer(protocol, reviewerId, user) {
+    this.requireOwner(protocol, user, 'remove reviewers');
+    this.requireStatus(protocol, ['draft', 'in_review'], 'reviewers can only be changed before approval');
+
+    const review = await ProtocolReview.findOne(protocol.id, reviewerId);
+    if (!review) {
+      throw new Error('Review not found');
+    }
+
+    await review.delete();
+    return review;
+  }
+
+  /**
+   * Submit a draft for review; the author signs for authorship. Like review(), the signature,
+   * reset decisions and status change commit together under the protocol's row lock.
+   */
+  async submit(protocol, user, password) {
+    this.requireOwner(protocol, user, 'submit it for review');
+    this.requireStatus(protocol, ['draft'], 'only drafts can be submitted for review');
+
+    const signer = await this.authenticateSigner(user.id, password);
+
+    const result = await Protocol.withLock(protocol.id, async (current, client) => {
+      this.requireStatus(current, ['draft'], 'only drafts can be submitted for review');
+
+      const reviews = await ProtocolReview.findByProtocol(current.id, client);
+      if (reviews.length === 0) {
+        throw new Error('Invalid submission: assign at least one reviewer first');
+      }
+
+      const signature = await this.createSignature(current, signer, SIGNATURE_MEANINGS.submit, null, client);
+      await ProtocolReview.resetDecisions(current.id, client);
+      await current.updateStatus('in_review', user.id, null, client);
+
+      return { signature, current };
+    });
+
+    Object.assign(protocol, result.current);
+    return result.signature;
+  }
+
+  // Take a protocol back out of review to edit it; decisions made so far are discarded on resubmission
+  async withdraw(protocol, user) {
+    this.requireOwner(protocol, user, 'withdraw it from review');
+    this.requireStatus(protocol, ['in_review'], 'only protocols in review can be withdrawn');
+
+    await protocol.updateStatus('draft', user.id);
+    return protocol;
+  }
+
+  /**
+   * Record a reviewer's decision. Approving is signed; the protocol is approved once every
+   * assigned reviewer has approved it. Requesting changes returns it to draft with the comment.
+   * The decision, signature, comment and status change commit together under the protocol's
+   * row lock, so of two concurrent final approvals the second sees the first and approves.
+   */
+  async review(protocol, user, { decision, password, comment }) {
+    this.requireStatus(protocol, ['in_review'], 'only protocols in review can be reviewed');
+    if (decision === 'request_changes' && !comment?.trim()) {
+      throw new Error('Invalid review: say what needs to change');
+    }
+
+    // Password hashing is slow, so the signer is checked before any lock is taken
+    const signer = decision === 'approve' ? await this.authenticateSigner(user.id, password) : null;
+
+    const result = await Protocol.withLock(protocol.id, async (current, client) => {
+      this.requireStatus(current, ['in_review'], 'only protocols in review can be reviewed');
+
+      const review = await ProtocolReview.findOne(current.id, user.id, client, { forUpdate: true });
+      if (!review) {
+        throw new Error('Access denied: You are not a reviewer of this protocol');
+      }
+      if (review.decision !== 'pending') {
+        throw new Error('Invalid review: you have already reviewed this version');
+      }
+
+      let signature = null;
+      if (signer) {
+        signature = await this.createSignature(current, signer, SIGNATURE_MEANINGS.approve, comment || null, client);
+      }
+      if (comment?.trim()) {
+        await ProtocolComment.create({ protocolId: current.id, body: comment.trim() }, user.id, client);
+      }
+
+      await review.decide(REVIEW_DECISIONS[decision], client);
+
+      let approved = false;
+      if (decision === 'request_changes') {
+        await current.updateStatus('draft', user.id, comment.trim(), client);
+      } else {
+        const reviews = await ProtocolReview.findByProtocol(current.id, client);
+        if (reviews.every(other => other.decision === 'approved')) {
+          await current.updateStatus('approved', user.id, null, client);
+          approved = true;
+        }
+      }
+
+      return { review, signature, current, approved };
+    });
+
+    Object.assign(protocol, result.current);
+    if (result.approved) {
+      logger.info(`Protocol approved: ${protocol.name} v${protocol.version}`);
+    }
+
+    return { review: result.review, signature: result.signature };
+  }
+
+  // Withdraw an approved version from use; signed by its author or a lab manager
+  async retire(protocol, user, password, reason) {
+    if (protocol.createdBy !== user.id && !RETIRING_ROLES.includes(user.role)) {
+      throw new Error('Access denied: Only the author or a lab manager can retire a protocol');
+    }
+    this.requireStatus(protocol, ['approved'], 'only approved protocols can be retired');
+
+    const signer = await this.authenticateSigner(user.id, password);
+
+    const result = await Protocol.withLock(protocol.id, async (current, client) => {
+      this.requireStatus(current, ['approved'], 'only approved protocols can be retired');
+
+      const signature = await this.createSignature(current, signer, SIGNATURE_MEANINGS.retire, reason, client);
+      await current.updateStatus('retired', user.id, reason, client);
+
+      return { signature, current };
+    });
+
+    Object.assign(protocol, result.current);
+    return result.signature;
+  }
+
+  async addComment(protocol, user, { body, blockId }) {
+    return ProtocolComment.create({ protocolId: protocol.id, body, blockId }, user.id);
+  }
+
+  async getComments(protocol, options = {}) {
+    return ProtocolComment.findByProtocol(protocol.id, options);
+  }
+
+  async getReviewQueue(user) {
+    return ProtocolReview.findPendingForReviewer(user.id);
+  }
+
+  requireOwner(protocol, user, action) {
+    if (protocol.createdBy !== user.id) {
+      throw new Error(`Access denied: Only the protocol author can ${action}`);
+    }
+  }
+
+  requireStatus(protocol, statuses, explanation) {
+    if (!statuses.includes(protocol.status)) {
+      throw new Error(`Protocol is ${protocol.status}: ${explanation}`);
+    }
+  }
+}
+
+module.exports = new ApprovalWorkflowService();
@@ -0,0 +1,518 @@
+const Chemical = require('../models/Chemical');
+const logger = require('../utils/logger');
+const BUILT_IN_CHEMICALS = require('../data/chemicals.json');
+
+/**
+ * Chemical Hazard Service
+ * Resolves reagent names to chemicals with GHS hazard statements, incompatibility
+ * groups and PPE, and checks sets of chemicals for hazardous combinations. Entries in
+ * the chemicals table take precedence over the bundled reference data.
+ */
+
+// GHS hazard statements (plus the EU supplemental statements used for incompatibilities)
+const GHS_STATEMENTS = {
+  H200: 'Unstable explosive',
+  H201: 'Explosive; mass explosion hazard',
+  H202: 'Explosive; severe projection hazard',
+  H203: 'Explosive; fire, blast or projection hazard',
+  H204: 'Fire or projection hazard',
+  H205: 'May mass explode in fire',
+  H220: 'Extremely flammable gas',
+  H222: 'Extremely flammable aerosol',
+  H224: 'Extremely flammable liquid and vapour',
+  H225: 'Highly flammable liquid and vapour',
+  H226: 'Flammable liquid and vapour',
+  H228: 'Flammable solid',
+  H240: 'Heating may cause an explosion',
+  H241: 'Heating may cause a fire or explosion',
+  H242: 'Heating may cause a fire',
+  H250: 'Catches fire spontaneously if exposed to air',
+  H260: 'In contact with water releases flammable gases which may ignite spontaneously',
+  H261: 'In contact with water releases flammable gas',
+  H270: 'May cause or intensify fire; oxidiser',
+  H271: 'May cause fire or explosion; strong oxidiser',
+  H272: 'May intensify fire; oxidiser',
+  H280: 'Contains gas under pressure; may explode if heated',
+  H281: 'Contains refrigerated gas; may cause cryogenic burns or injury',
+  H290: 'May be corrosive to metals',
+  H300: 'Fatal if swallowed',
+  H301: 'Toxic if swallowed',
+  H302: 'Harmful if swallowed',
+  H304: 'May be fatal if swallowed and enters airways',
+  H310: 'Fatal in contact with skin',
+  H311: 'Toxic in contact with skin',
+  H312: 'Harmful in contact with skin',
+  H314: 'Causes severe skin burns and eye damage',
+  H315: 'Causes skin irritation',
+  H317: 'May cause an allergic skin reaction',
+  H318: 'Causes serious eye damage',
+  H319: 'Causes serious eye irritation',
+  H330: 'Fatal if inhaled',
+  H331: 'Toxic if inhaled',
+  H332: 'Harmful if inhaled',
+  H334: 'May cause allergy or asthma symptoms or breathing difficulties if inhaled',
+  H335: 'May cause respiratory irritation',
+  H336: 'May cause drowsiness or dizziness',
+  H340: 'May cause genetic defects',
+  H341: 'Suspected of causing genetic defects',
+  H350: 'May cause cancer',
+  H351: 'Suspected of causing cancer',
+  H360: 'May damage fertility or the unborn child',
+  H361: 'Suspected of damaging fertility or the unborn child',
+  H370: 'Causes damage to organs',
+  H371: 'May cause damage to organs',
+  H372: 'Causes damage to organs through prolonged or repeated exposure',
+  H373: 'May cause damage to organs through prolonged or repeated exposure',
+  H400: 'Very toxic to aquatic life',
+  H410: 'Very toxic to aquatic life with long lasting effects',
+  H411: 'Toxic to aquatic life with long lasting effects',
+  H412: 'Harmful to aquatic life with long lasting effects',
+  EUH014: 'Reacts violently with water',
+  EUH019: 'May form explosive peroxides',
+  EUH031: 'Contact with acids liberates toxic gas',
+  EUH032: 'Contact with acids liberates very toxic gas'
+};
+
+// Incompatibility groups implied by hazard statements, on top of those listed per chemical
+const GROUPS_BY_CODE = {
+  explosives: ['H200', 'H201', 'H202', 'H203', 'H204', 'H205'],
+  flammables: ['H220', 'H222', 'H224', 'H225', 'H226', 'H228'],
+  organic_peroxides: ['H240', 'H241', 'H242'],
+  pyrophorics: ['H250'],
+  water_reactive: ['H260', 'H261', 'EUH014'],
+  oxidizers: ['H270', 'H271', 'H272'],
+  cryogenic: ['H281'],
+  toxic_gas_with_acids: ['EUH031', 'EUH032'],
+  peroxide_formers: ['EUH019']
+};
+
+// Hazard codes that explain membership of groups listed on the chemical itself
+const GROUP_EVIDENCE = {
+  acids_inorganic: ['H290', 'H314'],
+  acids_organic: ['H314'],
+  bases: ['H290', 'H314'],
+  ammonia: ['H314', 'H335'],
+  hypochlorites: ['EUH031', 'H314'],
+  cyanides: ['EUH032', 'H300'],
+  azides: ['EUH032', 'H300'],
+  thiocyanates: ['EUH032'],
+  organic_solvents: ['H224', 'H225', 'H226'],
+  halogenated_solvents: ['H351'],
+  aldehydes: ['H317', 'H350'],
+  reducing_agents: ['H260', 'H301']
+};
+
+// Broader groups that more specific ones belong to
+const GROUP_ALIASES = {
+  acids_inorganic: ['acids'],
+  acids_organic: ['acids']
+};
+
+/**
+ * Group pairs that must not be combined. A fallback rule only applies to a pair of
+ * chemicals when no more specific rule matched it.
+ */
+const INCOMPATIBILITIES = [
+  { between: [['acids'], ['bases']], hazard: 'Violent neutralisation with heat and spattering of corrosive liquid' },
+  { between: [['acids'], ['cyanides']], hazard: 'Releases highly toxic hydrogen cyanide gas' },
+  { between: [['acids'], ['azides']], hazard: 'Releases toxic and explosive hydrazoic acid' },
+  { between: [['acids'], ['hypochlorites']], hazard: 'Releases chlorine gas' },
+  { between: [['acids'], ['thiocyanates']], hazard: 'Releases toxic hydrogen cyanide and sulfur-containing gases' },
+  { between: [['acids'], ['toxic_gas_with_acids']], hazard: 'Releases toxic gas on contact with acid', fallback: true },
+  { between: [['hypochlorites'], ['thiocyanates']], hazard: 'Forms hydrogen cyanide and other toxic gases' },
+  { between: [['hypochlorites'], ['ammonia']], hazard: 'Forms toxic chloramine vapours' },
+  { between: [['hypochlorites'], ['organic_solvents']], hazard: 'Forms chloroform and other chlorinated by-products' },
+  { between: [['hypochlorites'], ['reducing_agents']], hazard: 'Vigorous redox reaction with heat and gas evolution' },
+  {
+    between: [['oxidizers'], ['flammables', 'organic_solvents', 'acids_organic', 'aldehydes']],
+    hazard: 'Fire or explosion: oxidiser in contact with organic or flammable material'
+  },
+  { between: [['oxidizers'], ['reducing_agents']], hazard: 'Violent redox reaction' },
+  { between: [['water_reactive'], ['water', 'acids']], hazard: 'Releases flammable hydrogen gas that may ignite' },
+  { between: [['halogenated_solvents'], ['bases', 'alkali_metals']], hazard: 'Violent reaction; may form explosive or toxic products' },
+  { between: [['alkali_metals'], ['water', 'acids']], hazard: 'Violent reaction releasing hydrogen gas that may ignite' }
+];
+
+// Hazards that warrant a warning whenever the chemical appears in a protocol
+const SEVERE_CODES = [
+  'H200', 'H201', 'H202', 'H203', 'H250', 'H260', 'H271',
+  'H300', 'H310', 'H330', 'H340', 'H350', 'H360', 'H370'
+];
+
+const SIGNAL_WORDS = ['Danger', 'Warning'];
+
+const CAS_PATTERN = /^\d{2,7}-\d{2}-\d$/;
+const HAZARD_CODE_PATTERN = /^(H\d{3}[A-Za-z]{0,2}|EUH\d{3})$/;
+
+// Fields of an import record that hold lists; in CSV they are separated by ';' or '|'
+const LIST_FIELDS = ['synonyms', 'ghsHazards', 'incompatibilityGroups', 'ppe'];
+
+// CSV headers accepted for each record field
+const CSV_HEADERS = {
+  name: 'name',
+  cas: 'casNumber',
+  cas_number: 'casNumber',
+  casnumber: 'casNumber',
+  synonyms: 'synonyms',
+  formula: 'formula',
+  ghs_hazards: 'ghsHazards',
+  ghshazards: 'ghsHazards',
+  hazards: 'ghsHazards',
+  signal_word: 'signalWord',
+  signalword: 'signalWord',
+  incompatibility_groups: 'incompatibilityGroups',
+  incompatibilitygroups: 'incompatibilityGroups',
+  groups: 'incompatibilityGroups',
+  ppe: 'ppe',
+  storage_class: 'storageClass',
+  storageclass: 'storageClass',
+  notes: 'notes'
+};
+
+class ChemicalHazardService {
+  constructor() {
+    // Lookup of the bundled data by lower-cased name, synonym and CAS number
+    this.builtInIndex = new Map();
+    BUILT_IN_CHEMICALS.forEach(chemical => {
+      [chemical.name, chemical.casNumber, ...(chemical.synonyms || [])].forEach(key => {
+        const normalized = String(key).toLowerCase();
+        if (!this.builtInIndex.has(normalized)) {
+          this.builtInIndex.set(normalized, chemical);
+        }
+      });
+    });
+  }
+
+  isValidCasNumber(casNumber) {
+    if (!CAS_PATTERN.test(casNumber)) return false;
+
+    // The check digit is the weighted sum of the other digits, right to left, modulo 10
+    const digits = casNumber.replace(/-/g, '');
+    const body = digits.slice(0, -1).split('').reverse();
+    const sum = body.reduce((total, digit, index) => total + Number(digit) * (index + 1), 0);
+    return sum % 10 === Number(digits[digits.length - 1]);
+  }
+
+  // 'H360FD' -> 'H360': category suffixes do not change the statement
+  baseCode(code) {
+    const match = String(code).toUpperCase().match(/^(EUH\d{3}|H\d{3})/);
+    return match ? match[1] : null;
+  }
+
+  describeHazard(code) {
+    return {
+      code,
+      statement: GHS_STATEMENTS[this.baseCode(code)] || 'Unknown hazard statement'
+    };
+  }
+
+  /**
+   * Resolve a reagent name, synonym or CAS number to a chemical profile.
+   * Concentrations ('1 M HCl', '70% ethanol') and a trailing 'solution' are ignored
+   * when the name as written is not known. Returns null for unknown chemicals.
+   */
+  async resolveChemical(name) {
+    const candidates = this.nameCandidates(name);
+
+    for (const candidate of candidates) {
+      const stored = CAS_PATTERN.test(candidate)
+        ? await Chemical.findByCas(candidate)
+        : await Chemical.findByName(candidate);
+      if (stored) {
+        return this.toProfile(stored.toJSON(), 'database');
+      }
+    }
+
+    for (const candidate of candidates) {
+      const builtIn = this.builtInIndex.get(candidate.toLowerCase());
+      if (builtIn) {
+        return this.toProfile(builtIn, 'builtin');
+      }
+    }
+
+    return null;
+  }
+
+  nameCandidates(name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) return [];
+
+    const stripped = trimmed
+      .replace(/^[\d.]+\s*(%|[mµu]?M|N|x|X|mg\/mL|g\/L)?\s+/, '')
+      .replace(/\s+solution$/i, '')
+      .trim();
+
+    return stripped && stripped !== trimmed ? [trimmed, stripped] : [trimmed];
+  }
+
+  toProfile(chemical, source) {
+    const ghsHazards = chemical.ghsHazards || [];
+    return {
+      id: chemical.id || null,
+      name: chemical.name,
+      casNumber: chemical.casNumber || null,
+      formula: chemical.formula || null,
+      ghsHazards,
+      hazardStatements: ghsHazards.map(code => this.describeHazard(code)),
+      signalWord: chemical.signalWord || null,
+      incompatibilityGroups: chemical.incompatibilityGroups || [],
+      ppe: chemical.ppe || [],
+      storageClass: chemical.storageClass || null,
+      source
+    };
+  }
+
+  /**
+   * All incompatibility groups of a chemical, each with the hazard codes behind it.
+   */
+  groupsOf(chemical) {
+    const groups = new Map();
+    const add = (group, code) => {
+      if (!groups.has(group)) groups.set(group, []);
+      if (code && !groups.get(group).includes(code)) groups.get(group).push(code);
+    };
+
+    (chemical.incompatibilityGroups || []).forEach(group => {
+      add(group, null);
+      (chemical.ghsHazards || [])
+        .filter(code => (GROUP_EVIDENCE[group] || []).includes(this.baseCode(code)))
+        .forEach(code => add(group, code));
+    });
+    (chemical.ghsHazards || []).forEach(code => {
+      const base = this.baseCode(code);
+      Object.entries(GROUPS_BY_CODE).forEach(([group, codes]) => {
+        if (codes.includes(base)) add(group, code);
+      });
+    });
+    Array.from(groups.entries()).forEach(([group, codes]) => {
+      (GROUP_ALIASES[group] || []).forEach(alias => {
+        add(alias, null);
+        codes.forEach(code => add(alias, code));
+      });
+    });
+
+    return groups;
+  }
+
+  /**
+   * Hazardous combinations between two resolved chemicals.
+   * Each conflict names the groups involved, the hazard and the GHS codes behind it.
+   */
+  findConflicts(first, second) {
+    if (first.casNumber && first.casNumber === second.casNumber) return [];
+
+    const firstGroups = this.groupsOf(first);
+    const secondGroups = this.groupsOf(second);
+
+    const matchRule = (rule, a, b) => {
+      const groupA = rule.between[0].find(group => a.has(group));
+      const groupB = rule.between[1].find(group => b.has(group));
+      return groupA && groupB ? [groupA, groupB] : null;
+    };
+
+    const conflicts = [];
+    const fallbacks = [];
+
+    INCOMPATIBILITIES.forEach(rule => {
+      const forward = matchRule(rule, firstGroups, secondGroups);
+      const reverse = forward ? null : matchRule(rule, secondGroups, firstGroups);
+      if (!forward && !reverse) return;
+
+      const [firstGroup, secondGroup] = forward || [reverse[1], reverse[0]];
+      const conflict = {
+        groups: [firstGroup, secondGroup],
+        hazard: rule.hazard,
+        codes: [...new Set([...firstGroups.get(firstGroup), ...secondGroups.get(secondGroup)])]
+      };
+      (rule.fallback ? fallbacks : conflicts).push(conflict);
+    });
+
+    return conflicts.length > 0 ? conflicts : fallbacks;
+  }
+
+  severeHazards(chemical) {
+    return (chemical.ghsHazards || []).filter(code => SEVERE_CODES.includes(this.baseCode(code)));
+  }
+
+  /**
+   * Resolve a list of reagent names and report every incompatible pair among them
+   */
+  async checkCompatibility(names) {
+    const resolved = [];
+    const unresolved = [];
+
+    for (const name of [...new Set(names.map(name => String(name).trim()).filter(Boolean))]) {
+      const chemical = await this.resolveChemical(name);
+      if (chemical) {
+        resolved.push({ query: name, ...chemical });
+      } else {
+        unresolved.push(name);
+      }
+    }
+
+    const conflicts = [];
+    resolved.forEach((first, i) => {
+      resolved.slice(i + 1).forEach(second => {
+        const pairConflicts = this.findConflicts(first, second);
+        if (pairConflicts.length > 0) {
+          conflicts.push({
+            chemical1: { name: first.name, casNumber: first.casNumber },
+            chemical2: { name: second.name, casNumber: second.casNumber },
+            conflicts: pairConflicts
+          });
+        }
+      });
+    });
+
+    return { resolved, unresolved, conflicts };
+  }
+
+  /**
+   * Import chemical records, given as objects or as CSV text with a header row.
+   * Records are matched on CAS number, so re-importing refreshes existing entries.
+   * Invalid rows are skipped and reported with their row number.
+   */
+  async importChemicals(input, user, source = 'import') {
+    if (user.role !== 'admin') {
+      throw new Error('Access denied: Only administrators can import chemical data');
+    }
+
+    const records = typeof input === 'string' ? this.parseCsv(input) : input;
+    const summary = { imported: 0, updated: 0, errors: [] };
+
+    for (const [index, record] of records.entries()) {
+      let normalized;
+      try {
+        normalized = this.normalizeRecord(record, { requireCas: true });
+      } catch (error) {
+        summary.errors.push({ row: index + 1, name: record.name || null, error: error.message });
+        continue;
+      }
+
+      const { inserted } = await Chemical.upsert({ ...normalized, source }, user.id);
+      if (inserted) {
+        summary.imported++;
+      } else {
+        summary.updated++;
+      }
+    }
+
+    logger.info(`Chemical import by user ${user.id}: ${summary.imported} new, ${summary.updated} updated, ${summary.errors.length} rejected`);
+    return summary;
+  }
+
+  async importBuiltIn(user) {
+    return this.importChemicals(BUILT_IN_CHEMICALS, user, 'builtin');
+  }
+
+  /**
+   * Check and tidy a chemical record. Lists may be arrays or ';'/'|' separated strings.
+   * Throws on the first problem found.
+   */
+  normalizeRecord(record, options = {}) {
+    const normalized = {};
+
+    Object.entries(record).forEach(([key, value]) => {
+      if (value === undefined || value === null || value === '') return;
+      if (LIST_FIELDS.includes(key)) {
+        const items = Array.isArray(value) ? value : String(value).split(/[;|]/);
+        normalized[key] = items.map(item => String(item).trim()).filter(Boolean);
+      } else {
+        normalized[key] = typeof value === 'string' ? value.trim() : value;
+      }
+    });
+
+    if (!normalized.name && !options.partial) {
+      throw new Error('Chemical name is required');
+    }
+
+    if (normalized.casNumber) {
+      if (!this.isValidCasNumber(normalized.casNumber)) {
+        throw new Error(`Invalid CAS number: ${normalized.casNumber}`);
+      }
+    } else if (options.requireCas) {
+      throw new Error('CAS number is required for import');
+    }
+
+    if (normalized.ghsHazards) {
+      // Suffix case is significant (H360F vs H361f), so only the prefix is normalised
+      normalized.ghsHazards = normalized.ghsHazards.map(code => code.replace(/^(euh|h)/i, prefix => prefix.toUpperCase()));
+      const invalid = normalized.ghsHazards.filter(code => !HAZARD_CODE_PATTERN.test(code) || !GHS_STATEMENTS[this.baseCode(code)]);
+      if (invalid.length > 0) {
+        throw new Error(`Unknown GHS hazard codes: ${invalid.join(', ')}`);
+      }
+    }
+
+    if (normalized.signalWord) {
+      const signalWord = SIGNAL_WORDS.find(word => word.toLowerCase() === normalized.signalWord.toLowerCase());
+      if (!signalWord) {
+        throw new Error(`Signal word must be one of: ${SIGNAL_WORDS.join(', ')}`);
+      }
+      normalized.signalWord = signalWord;
+    }
+
+    if (normalized.incompatibilityGroups) {
+      normalized.incompatibilityGroups = normalized.incompatibilityGroups
+        .map(group => group.toLowerCase().replace(/[\s-]+/g, '_'));
+    }
+
+    return normalized;
+  }
+
+  // Minimal RFC 4180 parser: quoted fields may contain commas, newlines and doubled quotes
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    if (field || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    const [header, ...body] = rows.filter(cells => cells.some(cell => cell.trim()));
+    if (!header) return [];
+
+    const keys = header.map(cell => CSV_HEADERS[cell.trim().toLowerCase().replace(/\s+/g, '_')] || null);
+    return body.map(cells => {
+      const record = {};
+      keys.forEach((key, index) => {
+        if (key) record[key] = cells[index];
+      });
+      return record;
+    });
+  }
+
+  getIncompatibilityRules() {
+    return INCOMPATIBILITIES.map(rule => ({ ...rule }));
+  }
+}
+
+module.exports = new ChemicalHazardService();
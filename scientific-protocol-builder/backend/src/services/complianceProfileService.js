@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+
+/**
+ * Compliance Profile Service
+ * Regulatory profiles (GLP, 21 CFR Part 11, ISO/IEC 17025) bundling the validation rules
+ * and records each regime expects, and the auditor reports built from a validation run.
+ */
+
+// Requirements the regulatory compliance rule checks; a profile configures the ones it needs
+const REQUIREMENTS = {
+  required_metadata: 'Protocol metadata recorded',
+  approval_signatures: 'Approved with electronic signatures',
+  checkpoints: 'Mandatory checkpoints',
+  calibration_current: 'Instrument calibration current',
+  deviation_path: 'Documented deviation path on quality check failure'
+};
+
+const PROFILES = {
+  glp: {
+    id: 'glp',
+    name: 'Good Laboratory Practice',
+    reference: 'OECD Principles of GLP / 21 CFR Part 58',
+    description: 'Non-clinical safety studies: an approved study plan, calibrated apparatus and recorded deviations',
+    rules: ['documentation_requirements', 'quality_controls', 'traceability', 'reagent_quantities'],
+    options: ['sampleCount'],
+    requirements: {
+      required_metadata: { fields: ['description', 'version', 'category'], clause: 'OECD GLP II.8.2; 21 CFR 58.120' },
+      approval_signatures: { count: 1, meanings: ['approval'], clause: 'OECD GLP II.8.1; 21 CFR 58.120(b)' },
+      checkpoints: { min: 1, manualConfirm: false, clause: 'OECD GLP II.8.3' },
+      calibration_current: { clause: 'OECD GLP II.4.2; 21 CFR 58.63' },
+      deviation_path: { clause: 'OECD GLP II.8.3; 21 CFR 58.130(b)' }
+    }
+  },
+  cfr_part_11: {
+    id: 'cfr_part_11',
+    name: '21 CFR Part 11',
+    reference: 'FDA 21 CFR Part 11, Electronic Records; Electronic Signatures',
+    description: 'Electronic records: signed by author and approver, with operator-confirmed step sequencing',
+    rules: ['documentation_requirements', 'traceability'],
+    options: [],
+    requirements: {
+      required_metadata: { fields: ['description', 'version'], clause: '§ 11.10(e)' },
+      approval_signatures: { count: 2, meanings: ['authorship', 'approval'], clause: '§ 11.50; § 11.70' },
+      checkpoints: { min: 1, manualConfirm: true, clause: '§ 11.10(f)' },
+      deviation_path: { clause: '§ 11.10(f)' }
+    }
+  },
+  iso_17025: {
+    id: 'iso_17025',
+    name: 'ISO/IEC 17025',
+    reference: 'ISO/IEC 17025:2017, Testing and calibration laboratories',
+    description: 'Testing methods: approved documents, traceable calibrated equipment and controlled nonconforming work',
+    rules: ['documentation_requirements', 'quality_controls', 'traceability', 'measurement_precision'],
+    options: [],
+    requirements: {
+      required_metadata: { fields: ['description', 'version', 'category'], clause: '7.2.1.1' },
+      approval_signatures: { count: 1, meanings: ['approval'], clause: '8.3.2 a)' },
+      checkpoints: { min: 1, manualConfirm: false, clause: '7.7.1' },
+      calibration_current: { clause: '6.4.7; 6.5' },
+      deviation_path: { clause: '7.10.1' }
+    }
+  }
+};
+
+class ComplianceProfileService {
+  getProfiles() {
+    return Object.values(PROFILES).map(profile => ({
+      id: profile.id,
+      name: profile.name,
+      reference: profile.reference,
+      description: profile.description,
+      rules: profile.rules,
+      options: profile.options,
+      requirements: Object.entries(profile.requirements).map(([id, requirement]) => ({
+        id,
+        title: REQUIREMENTS[id],
+        ...requirement
+      }))
+    }));
+  }
+
+  getProfileIds() {
+    return Object.keys(PROFILES);
+  }
+
+  getProfile(id) {
+    const profile = PROFILES[id];
+    if (!profile) {
+      throw new Error(`Unknown compliance profile: ${id}`);
+    }
+    return profile;
+  }
+
+  getRequirementTitle(id) {
+    return REQUIREMENTS[id];
+  }
+
+  /**
+   * Validation options for a report under the profile: only the options the profile lets
+   * the requester choose are kept, and the run date is always the server's clock, so
+   * thresholds and dates behind a report cannot be supplied by the client
+   */
+  reportOptions(profileId, requested = {}) {
+    const profile = this.getProfile(profileId);
+    const options = {};
+    profile.options.forEach(name => {
+      if (requested[name] !== undefined) options[name] = requested[name];
+    });
+    options.runDate = new Date().toISOString();
+    return options;
+  }
+
+  /**
+   * Build the auditor report for a validation run made with the profile selected.
+   * Requirements come from the regulatory compliance rule, the bundled rules from their own
+   * results; the protocol is compliant only when every one of them passed. The workspace hash
+   * ties the report to the exact content validated and the report hash to the report itself.
+   * options are the validation options the run was made with (reportOptions).
+   */
+  buildReport(profileId, protocol, validation, generatedBy, options = {}) {
+    const profile = this.getProfile(profileId);
+    const regulatory = validation.ruleResults.regulatory_compliance;
+    const findings = regulatory?.data?.issues || [];
+
+    const requirements = Object.entries(profile.requirements).map(([id, requirement]) => {
+      const requirementFindings = findings.filter(finding => finding.requirement === id);
+      return {
+        id,
+        title: REQUIREMENTS[id],
+        clause: requirement.clause,
+        status: !regulatory ? 'not_evaluated' : (requirementFindings.length === 0 ? 'met' : 'not_met'),
+        findings: requirementFindings
+      };
+    });
+
+    const rules = profile.rules.map(rule => {
+      const result = validation.ruleResults[rule];
+      return {
+        rule,
+        status: !result ? 'not_evaluated' : (result.passed ? 'passed' : 'failed'),
+        severity: result?.severity || null,
+        message: result?.message || 'Rule did not run',
+        findings: result?.data?.issues || []
+      };
+    });
+
+    const report = {
+      reportId: crypto.randomUUID(),
+      profile: {
+        id: profile.id,
+        name: profile.name,
+        reference: profile.reference
+      },
+      protocol: {
+        id: protocol.id,
+        name: protocol.name,
+        version: protocol.version,
+        category: protocol.category,
+        createdBy: protocol.createdBy,
+        updatedAt: protocol.updatedAt,
+        workspaceHash: this.hash(protocol.workspaceJson || protocol.workspaceXml || '')
+      },
+      generatedAt: new Date().toISOString(),
+      generatedBy,
+      options,
+      status: requirements.every(requirement => requirement.status === 'met') &&
+        rules.every(rule => rule.status === 'passed') ? 'compliant' : 'non_compliant',
+      summary: {
+        requirementsMet: requirements.filter(requirement => requirement.status === 'met').length,
+        requirementsTotal: requirements.length,
+        rulesPassed: rules.filter(rule => rule.status === 'passed').length,
+        rulesTotal: rules.length,
+        errors: validation.errors.length,
+        warnings: validation.warnings.length,
+        overallScore: validation.overallScore
+      },
+      requirements,
+      rules
+    };
+
+    report.reportHash = this.hash(report);
+    return report;
+  }
+
+  hash(content) {
+    const text = typeof content === 'string' ? content : JSON.stringify(content);
+    return crypto.createHash('sha256').update(text).digest('hex');
+  }
+
+  /**
+   * Render a report as Markdown for filing with study or quality records
+   */
+  toMarkdown(report) {
+    const lines = [
+      `# Compliance Report: ${report.protocol.name}`,
+      '',
+      `- Profile: ${report.profile.name} (${report.profile.reference})`,
+      `- Protocol: ${report.protocol.id}, version ${report.protocol.version || 'unversioned'}`,
+      `- Status: ${report.status === 'compliant' ? 'COMPLIANT' : 'NON-COMPLIANT'}`,
+      `- Generated: ${report.generatedAt}${report.generatedBy ? ` by ${report.generatedBy.email}` : ''}`,
+      `- Report ID: ${report.reportId}`,
+      ...Object.entries(report.options || {}).map(([name, value]) => `- Option ${name}: ${value}`),
+      `- Workspace SHA-256: ${report.protocol.workspaceHash}`,
+      `- Report SHA-256: ${report.reportHash}`,
+      '',
+      '## Requirements',
+      '',
+      '| Requirement | Clause | Status |',
+      '| --- | --- | --- |',
+      ...report.requirements.map(requirement =>
+        `| ${this.escapeMarkdownCell(requirement.title)} | ${this.escapeMarkdownCell(requirement.clause)} | ${requirement.status} |`),
+      '',
+      '## Validation Rules',
+      '',
+      '| Rule | Status | Result |',
+      '| --- | --- | --- |',
+      ...report.rules.map(rule =>
+        `| ${rule.rule} | ${rule.status} | ${this.escapeMarkdownCell(rule.message)} |`),
+      ''
+    ];
+
+    const findings = [
+      ...report.requirements.flatMap(requirement => requirement.findings.map(finding => ({ source: requirement.title, finding }))),
+      ...report.rules.flatMap(rule => rule.findings.map(finding => ({ source: rule.rule, finding })))
+    ];
+
+    lines.push('## Findings', '');
+    if (findings.length === 0) {
+      lines.push('No findings.');
+    } else {
+      findings.forEach(({ source, finding }) => {
+        lines.push(`- **${source}**: ${finding.message}${finding.blockId ? ` (block ${finding.blockId})` : ''}`);
+      });
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Render a report as CSV, one row per requirement, rule and finding
+   */
+  toCsv(report) {
+    const rows = [['section', 'item', 'clause', 'status', 'block', 'message']];
+
+    Object.entries(report.options || {}).forEach(([name, value]) => {
+      rows.push(['option', name, '', '', '', String(value)]);
+    });
+
+    report.requirements.forEach(requirement => {
+      rows.push(['requirement', requirement.id, requirement.clause, requirement.status, '', requirement.title]);
+      requirement.findings.forEach(finding => {
+        rows.push(['finding', requirement.id, requirement.clause, 'not_met', finding.blockId || '', finding.message]);
+      });
+    });
+
+    report.rules.forEach(rule => {
+      rows.push(['rule', rule.rule, '', rule.status, '', rule.message]);
+      rule.findings.forEach(finding => {
+        rows.push(['finding', rule.rule, '', rule.status, finding.blockId || '', finding.message]);
+      });
+    });
+
+    return rows.map(row => row.map(cell => this.escapeCsvCell(cell)).join(',')).join('\r\n') + '\r\n';
+  }
+
+  escapeMarkdownCell(text) {
+    return String(text ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  }
+
+  escapeCsvCell(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+module.exports = new ComplianceProfileService();
@@ -1,4 +1,6 @@
 const logger = require('../utils/logger');
+const quantity = require('../utils/quantity');
+const sampleLineageService = require('./sampleLineageService');
 
 /**
  * Dependency Analysis Engine for Protocol Analysis
@@ -52,6 +54,9 @@ class DependencyAnalysisEngine {
         graph.nodes.set(block.id, node);
       });
 
+      // Follow samples through the steps that aliquot, pool and process them
+      graph.lineage = sampleLineageService.trace(blocks);
+
       // Analyze dependencies between blocks
       this.analyzeDependencies(blocks, graph);
 
@@ -108,17 +113,50 @@ class DependencyAnalysisEngine {
   analyzeDataFlowDependencies(block, blocks, graph) {
     const node = graph.nodes.get(block.id);
     const blockInputs = this.extractBlockInputs(block);
-    const blockOutputs = this.extractBlockOutputs(block);
+    const lineage = graph.lineage;
+
+    // Samples this step uses come from the step that created them
+    const tracked = lineage && this.isLineageTracked(block.id, lineage);
+    if (tracked) {
+      this.sampleSources(block.id, lineage).forEach(({ blockId, sample }) => {
+        this.addDependency(graph, blockId, block.id, {
+          type: 'data_flow',
+          data: {
+            output: 'sample',
+            input: 'sample',
+            dataType: 'sample',
+            sampleId: sample.id,
+            sample: sample.label
+          }
+        });
+      });
+    }
+
+    // Results stored in variables flow to the blocks that read them
+    this.referencedResults(block, blocks).forEach(({ blockId, variable }) => {
+      this.addDependency(graph, blockId, block.id, {
+        type: 'data_flow',
+        data: {
+          output: variable,
+          input: variable,
+          dataType: 'variable'
+        }
+      });
+    });
 
-    // Find blocks that produce data this block needs
-    blocks.forEach(otherBlock => {
-      if (otherBlock.id === block.id) return;
+    // Find earlier blocks that produce data this block needs; data only flows forward in the
+    // protocol, and matching later blocks too would turn every next link into a cycle
+    const position = blocks.indexOf(block);
+    blocks.forEach((otherBlock, otherPosition) => {
+      if (otherBlock.id === block.id || otherPosition > position) return;
 
-      const otherOutputs = this.extractBlockOutputs(otherBlock);
+      const otherOutputs = this.extractBlockOutputs(otherBlock, lineage);
       
       // Check if any inputs match outputs
       blockInputs.forEach(input => {
         otherOutputs.forEach(output => {
+          // Between steps the lineage follows, samples flow only where it says they do
+          if (output.type === 'sample' && tracked && this.isLineageTracked(otherBlock.id, lineage)) return;
           if (this.isDataCompatible(input, output)) {
             this.addDependency(graph, otherBlock.id, block.id, {
               type: 'data_flow',
@@ -139,9 +177,11 @@ class DependencyAnalysisEngine {
    */
   analyzeResourceDependencies(block, blocks, graph) {
     const blockResources = this.extractBlockResources(block);
+    const position = blocks.indexOf(block);
 
-    blocks.forEach(otherBlock => {
-      if (otherBlock.id === block.id) return;
+    // Shared resources order blocks as they appear in the protocol; linking both ways would form a cycle
+    blocks.forEach((otherBlock, otherPosition) => {
+      if (otherBlock.id === block.id || otherPosition > position) return;
 
       const otherResources = this.extractBlockResources(otherBlock);
 
@@ -214,10 +254,11 @@ class DependencyAnalysisEngine {
 
     const instrumentId = block.fields?.INSTRUMENT_ID;
     const instrumentType = this.extractInstrumentType(block);
+    const position = blocks.indexOf(block);
 
-    // Find other blocks using the same instrument
-    blocks.forEach(otherBlock => {
-      if (otherBlock.id === block.id) return;
+    // Find earlier blocks using the same instrument
+    blocks.forEach((otherBlock, otherPosition) => {
+      if (otherBlock.id === block.id || otherPosition > position) return;
 
       const otherInstrumentId = otherBlock.fields?.INSTRUMENT_ID;
       const otherInstrumentType = this.extractInstrumentType(otherBlock);
@@ -543,18 +584,21 @@ class DependencyAnalysisEngine {
   }
 
   estimateBlockDuration(block) {
-    // Duration from explicit field
-    if (block.fields?.DURATION) {
-      const duration = parseFloat(block.fields.DURATION);
-      const unit = block.fields.DURATION_UNIT || 'minutes';
-      
-      const unitMultipliers = {
-        'seconds': 1,
-        'minutes': 60,
-        'hours': 3600
-      };
-      
-      return duration * (unitMultipliers[unit] || 60);
+    // Duration from an explicit DURATION field (with DURATION_UNIT) or the block's TIME input.
+    // Quantities carry their own unit; bare numbers are in the block's unit field, or minutes.
+    const sources = [
+      ['DURATION', block.fields?.DURATION_UNIT],
+      ['TIME', block.fields?.TIME_UNITS]
+    ];
+    for (const [name, unitField] of sources) {
+      const duration = quantity.readBlockQuantity(block, name);
+      if (duration) {
+        try {
+          return quantity.convert(duration, 's', unitField || 'min');
+        } catch (error) {
+          logger.warn(`Ignoring ${name} on block ${block.id}: ${error.message}`);
+        }
+      }
     }
 
     // Duration from block type
@@ -645,7 +689,7 @@ class DependencyAnalysisEngine {
     return inputs;
   }
 
-  extractBlockOutputs(block) {
+  extractBlockOutputs(block, lineage = null) {
     const outputs = [];
 
     // Measurement blocks typically produce data
@@ -657,12 +701,12 @@ class DependencyAnalysisEngine {
       });
     }
 
-    // Sample preparation blocks produce samples
-    if (block.type.includes('preparation') || block.type.includes('transfer')) {
+    // Sample preparation blocks produce samples, as do the steps that aliquot, pool or process them
+    if (block.type.includes('preparation') || sampleLineageService.isLineageStep(block.type)) {
       outputs.push({
         name: 'sample',
         type: 'sample',
-        properties: this.extractSampleProperties(block)
+        properties: this.extractSampleProperties(block, lineage)
       });
     }
 
@@ -866,13 +910,75 @@ class DependencyAnalysisEngine {
     return 'any';
   }
 
-  extractSampleProperties(block) {
-    return {
+  extractSampleProperties(block, lineage = null) {
+    const properties = {
       volume: block.fields?.VOLUME || 'unknown',
       concentration: block.fields?.CONCENTRATION || 'unknown',
       purity: block.fields?.PURITY || 'unknown',
       temperature: block.fields?.TEMPERATURE || 'room_temperature'
     };
+
+    // Samples the step creates, by identity, when the lineage follows it
+    const activity = lineage && lineage.activities.find(entry => entry.blockId === block.id);
+    if (activity) {
+      const samples = new Map(lineage.samples.map(sample => [sample.id, sample]));
+      properties.samples = activity.generated.map(id => ({
+        id,
+        kind: samples.get(id).kind,
+        label: samples.get(id).label,
+        location: sampleLineageService.locationKey(samples.get(id).location),
+        derivedFrom: samples.get(id).derivedFrom
+      }));
+    }
+
+    return properties;
+  }
+
+  // Earlier blocks whose RESULT_VAR or RECORD_VAR a block reads through a variables_get input
+  referencedResults(block, blocks) {
+    const byId = new Map(blocks.map(other => [other.id, other]));
+    const position = blocks.indexOf(block);
+    const variableName = value => (value && typeof value === 'object' ? value.id || value.name : value);
+    const references = [];
+
+    Object.values(block.inputs || {}).forEach(input => {
+      const getter = byId.get(input.id);
+      if (!getter || getter.type !== 'variables_get') return;
+      const variable = variableName(getter.fields?.VAR);
+      if (!variable) return;
+
+      // The latest earlier block storing that result is the one the value comes from
+      const producer = blocks
+        .slice(0, position)
+        .filter(other => variableName(other.fields?.RESULT_VAR || other.fields?.RECORD_VAR) === variable)
+        .pop();
+      if (producer) references.push({ blockId: producer.id, variable });
+    });
+
+    return references;
+  }
+
+  isLineageTracked(blockId, lineage) {
+    return lineage.activities.some(activity => activity.blockId === blockId);
+  }
+
+  // Steps that created the samples a step uses, with the sample taken from each
+  sampleSources(blockId, lineage) {
+    const samples = new Map(lineage.samples.map(sample => [sample.id, sample]));
+    const creators = new Map(lineage.activities.map(activity => [activity.id, activity.blockId]));
+    const sources = new Map();
+
+    lineage.activities
+      .filter(activity => activity.blockId === blockId)
+      .forEach(activity => activity.used.forEach(sampleId => {
+        const sample = samples.get(sampleId);
+        const creator = sample && creators.get(sample.createdBy);
+        if (creator && creator !== blockId && !sources.has(creator)) {
+          sources.set(creator, { blockId: creator, sample });
+        }
+      }));
+
+    return Array.from(sources.values());
   }
 
   canCombineNodes(node1, node2) {
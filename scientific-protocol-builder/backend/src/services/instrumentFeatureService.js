@@ -0,0 +1,464 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+
+/**
+ * Instrument Feature Service
+ * SiLA 2-style typed feature declarations: every instrument declares features made of
+ * commands (with parameter schemas), observable properties and observable commands
+ * that report progress. Command dispatch and Blockly block generation are both driven
+ * from these declarations.
+ */
+
+const DATA_TYPES = ['Boolean', 'Integer', 'Real', 'String', 'Timestamp', 'Any'];
+
+// An observable command without its own timeout (seconds) fails after this many estimated durations
+const TIMEOUT_ESTIMATES = 3;
+// Finished observable commands stay readable for this long, then are dropped
+const EXECUTION_RETENTION_MS = 10 * 60 * 1000;
+
+// Features every instrument has unless it declares its own
+const DEFAULT_FEATURES = [
+  {
+    identifier: 'InstrumentControl',
+    displayName: 'Instrument Control',
+    description: 'Start and stop the instrument',
+    commands: [
+      {
+        identifier: 'Start',
+        displayName: 'Start',
+        description: 'Start the instrument',
+        parameters: [],
+        responses: [{ identifier: 'status', dataType: { type: 'String' } }]
+      },
+      {
+        identifier: 'Stop',
+        displayName: 'Stop',
+        description: 'Stop the instrument',
+        parameters: [],
+        responses: [{ identifier: 'status', dataType: { type: 'String' } }]
+      }
+    ],
+    properties: [
+      {
+        identifier: 'Status',
+        displayName: 'Status',
+        description: 'Operating status reported by the instrument',
+        observable: true,
+        source: 'status',
+        dataType: { type: 'String' }
+      }
+    ]
+  },
+  {
+    identifier: 'Calibration',
+    displayName: 'Calibration',
+    description: 'Run the instrument self-calibration',
+    commands: [
+      {
+        identifier: 'Calibrate',
+        displayName: 'Calibrate',
+        description: 'Run a calibration cycle',
+        observable: true,
+        estimatedDuration: 300,
+        completesWhen: { property: 'status', notEqual: 'calibrating' },
+        parameters: [],
+        responses: [{ identifier: 'status', dataType: { type: 'String' } }]
+      }
+    ],
+    properties: []
+  },
+  {
+    identifier: 'TemperatureController',
+    displayName: 'Temperature Controller',
+    description: 'Control and observe the instrument temperature',
+    commands: [
+      {
+        identifier: 'SetTemperature',
+        displayName: 'Set Temperature',
+        description: 'Set the target temperature',
+        parameters: [
+          {
+            identifier: 'temperature',
+            displayName: 'Temperature',
+            dataType: { type: 'Real', unit: '°C', constraints: { minimum: -80, maximum: 150 } },
+            defaultValue: 25
+          }
+        ],
+        responses: [{ identifier: 'targetTemperature', dataType: { type: 'Real', unit: '°C' } }]
+      }
+    ],
+    properties: [
+      {
+        identifier: 'CurrentTemperature',
+        displayName: 'Current Temperature',
+        observable: true,
+        source: 'temperature',
+        dataType: { type: 'Real', unit: '°C' }
+      },
+      {
+        identifier: 'TargetTemperature',
+        displayName: 'Target Temperature',
+        observable: true,
+        source: 'setpoint',
+        dataType: { type: 'Real', unit: '°C' }
+      }
+    ]
+  },
+  {
+    identifier: 'SensorReadings',
+    displayName: 'Sensor Readings',
+    description: 'Take a snapshot of the instrument sensors',
+    commands: [
+      {
+        identifier: 'GetReading',
+        displayName: 'Get Reading',
+        description: 'Read all sensors once',
+        parameters: [],
+        responses: [
+          { identifier: 'temperature', dataType: { type: 'Real', unit: '°C' } },
+          { identifier: 'pressure', dataType: { type: 'Real', unit: 'hPa' } }
+        ]
+      }
+    ],
+    properties: [
+      {
+        identifier: 'Pressure',
+        displayName: 'Pressure',
+        observable: true,
+        source: 'pressure',
+        dataType: { type: 'Real', unit: 'hPa' }
+      }
+    ]
+  }
+];
+
+class InstrumentFeatureService {
+  constructor() {
+    this.commandExecutions = new Map(); // commandExecutionId -> observable command state
+  }
+
+  /**
+   * Get the feature declarations of an instrument
+   */
+  getFeatures(instrument) {
+    const declared = instrument.features || instrument.specifications?.features;
+    if (Array.isArray(declared) && declared.length > 0) {
+      return declared.map(feature => this.normalizeFeature(feature));
+    }
+
+    // Legacy capability lists become a single feature
+    if (Array.isArray(instrument.capabilities) && instrument.capabilities.length > 0) {
+      return [this.featureFromCapabilities(instrument.capabilities)];
+    }
+
+    return DEFAULT_FEATURES.map(feature => this.normalizeFeature(feature));
+  }
+
+  /**
+   * Check a feature declaration and fill in defaults
+   */
+  normalizeFeature(feature) {
+    if (!feature.identifier) {
+      throw new Error('Feature declaration requires an identifier');
+    }
+
+    const normalizeDataType = (dataType = {}) => {
+      const type = dataType.type || 'String';
+      if (!DATA_TYPES.includes(type)) {
+        throw new Error(`Unsupported data type ${type} in feature ${feature.identifier}`);
+      }
+      return { ...dataType, type, constraints: dataType.constraints || {} };
+    };
+
+    return {
+      identifier: feature.identifier,
+      displayName: feature.displayName || feature.identifier,
+      description: feature.description || '',
+      commands: (feature.commands || []).map(command => ({
+        ...command,
+        displayName: command.displayName || command.identifier,
+        observable: !!command.observable,
+        driverCommand: command.driverCommand || this.toSnakeCase(command.identifier),
+        parameters: (command.parameters || []).map(param => ({
+          ...param,
+          displayName: param.displayName || param.identifier,
+          dataType: normalizeDataType(param.dataType)
+        })),
+        responses: (command.responses || []).map(response => ({
+          ...response,
+          dataType: normalizeDataType(response.dataType)
+        }))
+      })),
+      properties: (feature.properties || []).map(property => ({
+        ...property,
+        displayName: property.displayName || property.identifier,
+        observable: property.observable !== false,
+        source: property.source || this.toSnakeCase(property.identifier),
+        dataType: normalizeDataType(property.dataType)
+      }))
+    };
+  }
+
+  featureFromCapabilities(capabilities) {
+    const typeMap = { number: 'Real', range: 'Real', boolean: 'Boolean', select: 'String', string: 'String' };
+
+    return this.normalizeFeature({
+      identifier: 'Capabilities',
+      displayName: 'Capabilities',
+      commands: capabilities.map(capability => ({
+        identifier: capability.name.replace(/\s+/g, ''),
+        displayName: capability.name,
+        description: capability.description,
+        driverCommand: capability.name.toLowerCase().replace(/\s+/g, '_'),
+        parameters: (capability.parameters || []).map(param => ({
+          identifier: param.name.replace(/\s+/g, '_'),
+          displayName: param.name,
+          defaultValue: param.default,
+          dataType: {
+            type: typeMap[param.type] || 'String',
+            constraints: {
+              minimum: param.min,
+              maximum: param.max,
+              set: param.options
+            }
+          }
+        })),
+        responses: (capability.outputs || []).map(output => ({
+          identifier: output.name || 'result',
+          dataType: { type: 'Any' }
+        }))
+      }))
+    });
+  }
+
+  /**
+   * Find a command by "Feature/Command", "Command" or its snake_case driver name
+   */
+  resolveCommand(features, reference) {
+    const [featureId, commandId] = reference.includes('/') ? reference.split('/') : [null, reference];
+
+    for (const feature of features) {
+      if (featureId && feature.identifier !== featureId) continue;
+
+      const command = feature.commands.find(candidate =>
+        candidate.identifier === commandId || candidate.driverCommand === commandId);
+      if (command) {
+        return { feature, command };
+      }
+    }
+
+    throw new Error(`Unknown command: ${reference}`);
+  }
+
+  /**
+   * Find a property by "Feature/Property" or "Property"
+   */
+  resolveProperty(features, reference) {
+    const [featureId, propertyId] = reference.includes('/') ? reference.split('/') : [null, reference];
+
+    for (const feature of features) {
+      if (featureId && feature.identifier !== featureId) continue;
+
+      const property = feature.properties.find(candidate =>
+        candidate.identifier === propertyId || candidate.source === propertyId);
+      if (property) {
+        return { feature, property };
+      }
+    }
+
+    throw new Error(`Unknown property: ${reference}`);
+  }
+
+  /**
+   * Validate and coerce command parameters against the command's schema.
+   * Block fields arrive upper-cased, so identifiers match case-insensitively.
+   */
+  validateParameters(command, parameters = {}) {
+    const validated = {};
+    const errors = [];
+
+    command.parameters.forEach(param => {
+      const key = Object.keys(parameters).find(name => name.toLowerCase() === param.identifier.toLowerCase());
+      let value = key !== undefined ? parameters[key] : undefined;
+
+      if (value === undefined || value === null || value === '') {
+        if (param.defaultValue !== undefined) {
+          value = param.defaultValue;
+        } else if (param.required !== false) {
+          errors.push(`${param.identifier} is required`);
+          return;
+        } else {
+          return;
+        }
+      }
+
+      const result = this.coerceValue(value, param.dataType);
+      if (result.error) {
+        errors.push(`${param.identifier} ${result.error}`);
+      } else {
+        validated[param.identifier] = result.value;
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid parameters for ${command.identifier}: ${errors.join(', ')}`);
+    }
+
+    return validated;
+  }
+
+  coerceValue(value, dataType) {
+    const { type, constraints = {} } = dataType;
+    let coerced = value;
+
+    switch (type) {
+      case 'Boolean':
+        coerced = value === true || value === 'TRUE' || value === 'true';
+        break;
+      case 'Integer':
+      case 'Real':
+        coerced = Number(value);
+        if (Number.isNaN(coerced)) return { error: 'must be a number' };
+        if (type === 'Integer' && !Number.isInteger(coerced)) return { error: 'must be an integer' };
+        if (constraints.minimum !== undefined && coerced < constraints.minimum) {
+          return { error: `must be at least ${constraints.minimum}` };
+        }
+        if (constraints.maximum !== undefined && coerced > constraints.maximum) {
+          return { error: `must be at most ${constraints.maximum}` };
+        }
+        break;
+      case 'String':
+        coerced = String(value);
+        if (constraints.pattern && !new RegExp(constraints.pattern).test(coerced)) {
+          return { error: `must match ${constraints.pattern}` };
+        }
+        break;
+      case 'Timestamp':
+        coerced = new Date(value);
+        if (Number.isNaN(coerced.getTime())) return { error: 'must be a timestamp' };
+        break;
+      default:
+        break;
+    }
+
+    if (Array.isArray(constraints.set) && constraints.set.length > 0 && !constraints.set.includes(coerced)) {
+      return { error: `must be one of ${constraints.set.join(', ')}` };
+    }
+
+    return { value: coerced };
+  }
+
+  /**
+   * Run an unobservable command through a transport function (driver or simulator)
+   */
+  async executeCommand(command, parameters, transport) {
+    return transport(command.driverCommand, parameters);
+  }
+
+  /**
+   * Start an observable command; progress and the final result are reported through onUpdate.
+   * The command fails once it runs past command.timeout seconds (by default a few times its
+   * estimated duration), and its state is dropped a while after it ends.
+   */
+  startObservableCommand(command, parameters, { transport, readProperties, onUpdate }) {
+    const commandExecutionId = uuidv4();
+    const estimatedMs = (command.estimatedDuration || 60) * 1000;
+    const timeoutMs = command.timeout ? command.timeout * 1000 : estimatedMs * TIMEOUT_ESTIMATES;
+    const startedAt = Date.now();
+
+    const execution = {
+      commandExecutionId,
+      command: command.identifier,
+      status: 'running',
+      progress: 0,
+      estimatedRemainingTime: command.estimatedDuration || null,
+      result: null,
+      error: null,
+      startedAt: new Date(startedAt)
+    };
+    this.commandExecutions.set(commandExecutionId, execution);
+
+    const report = () => {
+      try {
+        onUpdate({ ...execution });
+      } catch (error) {
+        logger.error('Error reporting command progress:', error);
+      }
+    };
+
+    const isComplete = async () => {
+      if (!command.completesWhen || !readProperties) return true;
+      const { property, equals, notEqual } = command.completesWhen;
+      const values = await readProperties();
+      if (equals !== undefined) return values[property] === equals;
+      if (notEqual !== undefined) return values[property] !== notEqual;
+      return true;
+    };
+
+    execution.promise = (async () => {
+      try {
+        execution.result = await transport(command.driverCommand, parameters);
+
+        while (!(await isComplete())) {
+          const elapsed = Date.now() - startedAt;
+          if (elapsed >= timeoutMs) {
+            throw new Error(`${command.identifier} did not complete within ${Math.round(timeoutMs / 1000)}s`);
+          }
+          execution.progress = Math.min(0.99, elapsed / estimatedMs);
+          execution.estimatedRemainingTime = Math.max(0, Math.round((estimatedMs - elapsed) / 1000));
+          report();
+          await new Promise(resolve => setTimeout(resolve, command.progressInterval || 1000));
+        }
+
+        execution.status = 'finished';
+        execution.progress = 1;
+        execution.estimatedRemainingTime = 0;
+      } catch (error) {
+        execution.status = 'error';
+        execution.error = error.message;
+        logger.error(`Observable command ${command.identifier} failed:`, error);
+      }
+
+      execution.completedAt = new Date();
+      report();
+      setTimeout(() => this.commandExecutions.delete(commandExecutionId), EXECUTION_RETENTION_MS).unref();
+      return execution;
+    })();
+
+    report();
+    return execution;
+  }
+
+  getCommandExecution(commandExecutionId) {
+    const execution = this.commandExecutions.get(commandExecutionId);
+    if (!execution) return null;
+
+    const { promise, ...info } = execution;
+    return info;
+  }
+
+  /**
+   * Map a raw driver reading onto the declared properties
+   */
+  mapProperties(features, reading, { observableOnly = false } = {}) {
+    const values = {};
+    features.forEach(feature => {
+      feature.properties.forEach(property => {
+        if (observableOnly && !property.observable) return;
+        if (reading[property.source] !== undefined) {
+          values[`${feature.identifier}/${property.identifier}`] = reading[property.source];
+        }
+      });
+    });
+    return values;
+  }
+
+  toSnakeCase(identifier) {
+    return identifier
+      .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+      .replace(/\s+/g, '_')
+      .toLowerCase();
+  }
+}
+
+module.exports = new InstrumentFeatureService();
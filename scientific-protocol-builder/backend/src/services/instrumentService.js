@@ -1,4 +1,9 @@
 const Instrument = require('../models/Instrument');
+const Reservation = require('../models/Reservation');
+const { createDriver } = require('../drivers');
+const SimulatedInstrument = require('../drivers/simulators/SimulatedInstrument');
+const instrumentFeatureService = require('./instrumentFeatureService');
+const reservationService = require('./reservationService');
 const logger = require('../utils/logger');
 
 /**
@@ -10,6 +15,7 @@ class InstrumentService {
     this.connectedInstruments = new Map(); // instrumentId -> connection info
     this.instrumentSubscriptions = new Map(); // instrumentId -> subscribers
     this.calibrationAlerts = new Map(); // instrumentId -> alert status
+    this.simulatedInstruments = new Map(); // instrumentId -> stand-in used while not connected
   }
 
   /**
@@ -175,58 +181,58 @@ class InstrumentService {
       }
 
       const blocks = [];
-
-      // Generate blocks for each capability
-      instrument.capabilities.forEach((capability, capIndex) => {
-        const blockType = `instrument_${instrument.category}_${capability.name.toLowerCase().replace(/\s+/g, '_')}`;
-        
-        const block = {
-          type: blockType,
-          message0: `${instrument.name} - ${capability.name}`,
-          args0: [],
-          colour: this.getCategoryColor(instrument.category),
-          tooltip: capability.description || `Use ${instrument.name} for ${capability.name}`,
-          helpUrl: instrument.documentation?.manual || '',
-          data: {
-            instrumentId: instrument._id.toString(),
-            capability: capability.name,
-            category: instrument.category
-          }
-        };
-
-        // Add input fields for parameters
-        capability.parameters.forEach((param, paramIndex) => {
-          block.message0 += ` ${param.name}: %${paramIndex + 1}`;
-          
-          const arg = {
-            type: this.getBlocklyInputType(param.type),
-            name: param.name.toUpperCase().replace(/\s+/g, '_'),
-            text: param.default || ''
+      const features = instrumentFeatureService.getFeatures(instrument);
+
+      features.forEach(feature => {
+        // A statement block for each command
+        feature.commands.forEach(command => {
+          const block = {
+            type: `instrument_${instrument.category}_${command.driverCommand}`,
+            message0: `${instrument.name} - ${command.displayName}`,
+            args0: [],
+            colour: this.getCategoryColor(instrument.category),
+            tooltip: command.description || `Use ${instrument.name} for ${command.displayName}`,
+            helpUrl: instrument.documentation?.manual || '',
+            data: {
+              instrumentId: instrument._id.toString(),
+              feature: feature.identifier,
+              command: `${feature.identifier}/${command.identifier}`,
+              observable: command.observable,
+              category: instrument.category
+            }
           };
 
-          if (param.type === 'select' && param.options) {
-            arg.options = param.options.map(opt => [opt, opt]);
-          }
+          // Add input fields for parameters
+          command.parameters.forEach((param, paramIndex) => {
+            const unit = param.dataType.unit ? ` (${param.dataType.unit})` : '';
+            block.message0 += ` ${param.displayName}${unit}: %${paramIndex + 1}`;
+            block.args0.push(this.getBlocklyArg(param));
+          });
 
-          if (param.type === 'number') {
-            if (param.min !== undefined) arg.min = param.min;
-            if (param.max !== undefined) arg.max = param.max;
-            if (param.precision !== undefined) arg.precision = param.precision;
-          }
+          // Add connection points
+          block.previousStatement = null;
+          block.nextStatement = null;
 
-          block.args0.push(arg);
+          blocks.push(block);
         });
 
-        // Add connection points
-        block.previousStatement = null;
-        block.nextStatement = null;
-
-        // Add output if the capability produces data
-        if (capability.outputs && capability.outputs.length > 0) {
-          block.output = capability.outputs[0].type || 'String';
-        }
-
-        blocks.push(block);
+        // A value block for each property
+        feature.properties.forEach(property => {
+          blocks.push({
+            type: `instrument_${instrument.category}_read_${instrumentFeatureService.toSnakeCase(property.identifier)}`,
+            message0: `${instrument.name} ${property.displayName}`,
+            args0: [],
+            output: this.getBlocklyOutputType(property.dataType),
+            colour: this.getCategoryColor(instrument.category),
+            tooltip: property.description || `Read ${property.displayName} from ${instrument.name}`,
+            data: {
+              instrumentId: instrument._id.toString(),
+              feature: feature.identifier,
+              property: `${feature.identifier}/${property.identifier}`,
+              observable: property.observable
+            }
+          });
+        });
       });
 
       // Generate utility blocks (status, configuration, etc.)
@@ -237,6 +243,7 @@ class InstrumentService {
         instrumentId: instrument._id.toString(),
         instrumentName: instrument.name,
         category: instrument.category,
+        features,
         blocks: blocks,
         blockDefinitions: this.generateBlockDefinitions(blocks),
         customBlocks: this.generateCustomBlockCode(instrument, blocks)
@@ -263,6 +270,7 @@ class InstrumentService {
       if (connection) {
         this.connectedInstruments.set(instrumentId, {
           connection,
+          features: instrumentFeatureService.getFeatures(instrument),
           lastPing: new Date(),
           dataPoints: [],
           subscribers: new Set()
@@ -307,9 +315,10 @@ class InstrumentService {
       const connectionInfo = this.connectedInstruments.get(instrumentId);
       
       if (connectionInfo) {
-        // Close connection
-        if (connectionInfo.connection && connectionInfo.connection.close) {
-          connectionInfo.connection.close();
+        // Stop polling and close the driver connection
+        clearInterval(connectionInfo.pollTimer);
+        if (connectionInfo.connection) {
+          await connectionInfo.connection.disconnect();
         }
 
         // Clean up
@@ -341,51 +350,11 @@ class InstrumentService {
    */
   async reserveInstrument(instrumentId, userId, startTime, endTime, purpose) {
     try {
-      const instrument = await Instrument.findById(instrumentId);
-      if (!instrument) {
-        throw new Error('Instrument not found');
-      }
-
-      if (instrument.status !== 'available') {
-        throw new Error('Instrument is not available for reservation');
-      }
-
-      // Check for conflicting reservations
-      const conflicts = await this.checkReservationConflicts(instrumentId, startTime, endTime);
-      if (conflicts.length > 0) {
-        throw new Error('Reservation conflicts with existing bookings');
-      }
-
-      // Create reservation
-      const reservation = {
-        user: userId,
-        instrument: instrumentId,
-        startTime: new Date(startTime),
-        endTime: new Date(endTime),
-        purpose,
-        status: 'confirmed',
-        createdAt: new Date()
-      };
-
-      // Update instrument
-      await Instrument.findByIdAndUpdate(instrumentId, {
-        status: 'reserved',
-        reservedBy: userId,
-        reservedUntil: endTime
-      });
-
-      // Store reservation (you might want a separate Reservation model)
-      // For now, we'll add it to the instrument's usage history
-      await Instrument.findByIdAndUpdate(instrumentId, {
-        $push: {
-          usageHistory: {
-            user: userId,
-            startTime: new Date(startTime),
-            purpose: `RESERVATION: ${purpose}`,
-            settings: {}
-          }
-        }
-      });
+      const [reservation] = await reservationService.createReservation(instrumentId, {
+        startTime,
+        endTime,
+        purpose
+      }, userId);
 
       logger.info(`Instrument reserved: ${instrumentId} by user ${userId}`);
       return reservation;
@@ -516,6 +485,42 @@ class InstrumentService {
     return colors[category] || '#A0A0A0';
   }
 
+  /**
+   * Build a Blockly field for a typed command parameter
+   */
+  getBlocklyArg(param) {
+    const { type, constraints } = param.dataType;
+    const name = param.identifier.toUpperCase().replace(/\s+/g, '_');
+
+    if (Array.isArray(constraints.set) && constraints.set.length > 0) {
+      return { type: 'field_dropdown', name, options: constraints.set.map(opt => [String(opt), String(opt)]) };
+    }
+
+    if (type === 'Integer' || type === 'Real') {
+      const arg = { type: 'field_number', name, value: param.defaultValue !== undefined ? param.defaultValue : 0 };
+      if (constraints.minimum !== undefined) arg.min = constraints.minimum;
+      if (constraints.maximum !== undefined) arg.max = constraints.maximum;
+      if (type === 'Integer') arg.precision = 1;
+      return arg;
+    }
+
+    if (type === 'Boolean') {
+      return { type: 'field_checkbox', name, checked: !!param.defaultValue };
+    }
+
+    return { type: 'field_input', name, text: param.defaultValue !== undefined ? String(param.defaultValue) : '' };
+  }
+
+  getBlocklyOutputType(dataType) {
+    const typeMap = {
+      Boolean: 'Boolean',
+      Integer: 'Number',
+      Real: 'Number',
+      String: 'String'
+    };
+    return typeMap[dataType.type] || null;
+  }
+
   getBlocklyInputType(paramType) {
     const typeMap = {
       number: 'field_number',
@@ -563,35 +568,146 @@ class InstrumentService {
     };
   }
 
-  async establishConnection(instrument, config) {
-    // Implementation would depend on the instrument's API configuration
-    // This is a placeholder for the actual connection logic
-    logger.info(`Establishing connection to ${instrument.name} using ${instrument.apiConfig?.protocol || 'unknown'} protocol`);
-    
-    // Return a mock connection object
+  /**
+   * Open a driver connection selected by apiConfig.protocol; connectionConfig overrides apiConfig
+   */
+  async establishConnection(instrument, config = {}) {
+    const apiConfig = { ...(instrument.apiConfig || instrument.specifications?.apiConfig || {}), ...config };
+    const protocol = apiConfig.protocol || 'http';
+
+    logger.info(`Establishing connection to ${instrument.name} using ${protocol} protocol`);
+
+    const driver = createDriver(protocol, apiConfig);
+    await driver.connect();
+    driver.pollInterval = apiConfig.pollInterval || 5000;
+    return driver;
+  }
+
+  /**
+   * Send a command to a connected instrument through its driver
+   */
+  async executeCommand(instrumentId, command, parameters = {}) {
+    const connectionInfo = this.connectedInstruments.get(instrumentId);
+    if (!connectionInfo) {
+      throw new Error('Instrument is not connected');
+    }
+
+    const data = await connectionInfo.connection.command(command, parameters);
+    connectionInfo.lastPing = new Date();
+    this.notifySubscribers(instrumentId, 'command_executed', { command, parameters, data });
+    return data;
+  }
+
+  /**
+   * Execute a command by its feature reference ("Feature/Command"), with the parameters
+   * checked against its declaration before they reach the driver
+   */
+  async executeFeatureCommand(instrumentId, reference, parameters = {}) {
+    const features = await this.getInstrumentFeatures(instrumentId);
+    const { command } = instrumentFeatureService.resolveCommand(features, reference);
+    const validated = instrumentFeatureService.validateParameters(command, parameters);
+    return this.executeCommand(instrumentId, command.driverCommand, validated);
+  }
+
+  /**
+   * Ask a connected instrument which commands and readings it supports
+   */
+  async discoverCapabilities(instrumentId) {
+    const connectionInfo = this.connectedInstruments.get(instrumentId);
+    if (!connectionInfo) {
+      throw new Error('Instrument is not connected');
+    }
+
+    return connectionInfo.connection.discoverCapabilities();
+  }
+
+  isInstrumentConnected(instrumentId) {
+    return this.connectedInstruments.has(instrumentId);
+  }
+
+  /**
+   * Get the feature declarations of an instrument
+   */
+  async getInstrumentFeatures(instrumentId) {
+    const connectionInfo = this.connectedInstruments.get(instrumentId);
+    if (connectionInfo && connectionInfo.features) {
+      return connectionInfo.features;
+    }
+
+    const instrument = await Instrument.findById(instrumentId);
+    if (!instrument) {
+      throw new Error('Instrument not found');
+    }
+    return instrumentFeatureService.getFeatures(instrument);
+  }
+
+  /**
+   * Get the functions used to send commands and read properties: the driver when
+   * connected. A simulated stand-in is only used when options.simulate asks for one, so a
+   * run never silently succeeds against a simulator in place of a disconnected instrument.
+   */
+  getCommandTransport(instrumentId, options = {}) {
+    if (this.connectedInstruments.has(instrumentId)) {
+      return {
+        simulated: false,
+        transport: (command, parameters) => this.executeCommand(instrumentId, command, parameters),
+        readProperties: () => this.connectedInstruments.get(instrumentId).connection.read()
+      };
+    }
+
+    if (!options.simulate) {
+      throw new Error('Instrument is not connected; connect it or enable simulation');
+    }
+
+    if (!this.simulatedInstruments.has(instrumentId)) {
+      this.simulatedInstruments.set(instrumentId, new SimulatedInstrument({ serialNumber: instrumentId }));
+    }
+    const simulated = this.simulatedInstruments.get(instrumentId);
+
     return {
-      protocol: instrument.apiConfig?.protocol || 'http',
-      endpoint: instrument.apiConfig?.endpoint,
-      lastPing: new Date(),
-      close: () => logger.info(`Connection closed for ${instrument.name}`)
+      simulated: true,
+      transport: async (command, parameters) => simulated.execute(command, parameters),
+      readProperties: async () => simulated.readings()
+    };
+  }
+
+  /**
+   * Read the current value of a declared property
+   */
+  async readProperty(instrumentId, propertyReference, options = {}) {
+    const features = await this.getInstrumentFeatures(instrumentId);
+    const { feature, property } = instrumentFeatureService.resolveProperty(features, propertyReference);
+    const { simulated, readProperties } = this.getCommandTransport(instrumentId, options);
+    const reading = await readProperties();
+
+    return {
+      property: `${feature.identifier}/${property.identifier}`,
+      value: reading[property.source] !== undefined ? reading[property.source] : null,
+      unit: property.dataType.unit || null,
+      simulated,
+      timestamp: new Date()
     };
   }
 
   startDataCollection(instrumentId, io) {
-    const interval = setInterval(async () => {
-      const connectionInfo = this.connectedInstruments.get(instrumentId);
-      if (!connectionInfo) {
-        clearInterval(interval);
+    const connectionInfo = this.connectedInstruments.get(instrumentId);
+    if (!connectionInfo) return;
+
+    connectionInfo.pollTimer = setInterval(async () => {
+      const current = this.connectedInstruments.get(instrumentId);
+      if (!current) {
+        clearInterval(connectionInfo.pollTimer);
         return;
       }
 
-      // Simulate data collection
-      const dataPoint = {
-        timestamp: new Date(),
-        temperature: 20 + Math.random() * 10,
-        pressure: 1000 + Math.random() * 100,
-        status: 'operating'
-      };
+      let dataPoint;
+      try {
+        dataPoint = { timestamp: new Date(), ...(await current.connection.read()) };
+      } catch (error) {
+        logger.error(`Error reading instrument ${instrumentId}:`, error);
+        this.notifySubscribers(instrumentId, 'error', { message: error.message, timestamp: new Date() });
+        return;
+      }
 
       connectionInfo.dataPoints.push(dataPoint);
       connectionInfo.lastPing = new Date();
@@ -611,7 +727,10 @@ class InstrumentService {
 
       // Notify real-time subscribers
       this.notifySubscribers(instrumentId, 'data_update', dataPoint);
-    }, 5000); // Collect data every 5 seconds
+      this.notifySubscribers(instrumentId, 'property_update', instrumentFeatureService.mapProperties(
+        connectionInfo.features, dataPoint, { observableOnly: true }
+      ));
+    }, connectionInfo.connection.pollInterval || 5000);
   }
 
   notifySubscribers(instrumentId, event, data) {
@@ -668,9 +787,7 @@ class InstrumentService {
   }
 
   async getUpcomingReservations(instrumentId, limit = 5) {
-    // This would typically query a separate Reservations collection
-    // For now, we'll return mock data
-    return [];
+    return Reservation.findAll({ instrumentId, from: new Date(), limit });
   }
 
   async getRecentActivity(instrumentId, limit = 10) {
@@ -692,8 +809,7 @@ class InstrumentService {
   }
 
   async checkReservationConflicts(instrumentId, startTime, endTime) {
-    // Implementation for checking reservation conflicts
-    return [];
+    return reservationService.checkConflicts(instrumentId, startTime, endTime);
   }
 
   async getRecentInstrumentActivity(limit = 10) {
@@ -756,8 +872,9 @@ class InstrumentService {
     }));
   }
 
+  // Generators of the command blocks; value, status and configuration blocks have no command to run
   generateCustomBlockCode(instrument, blocks) {
-    return blocks.map(block => ({
+    return blocks.filter(block => block.data?.command).map(block => ({
       type: block.type,
       generator: `
         function(block) {
@@ -766,7 +883,7 @@ class InstrumentService {
             `values.${arg.name} = Blockly.JavaScript.valueToCode(block, '${arg.name}', Blockly.JavaScript.ORDER_ATOMIC) || '${arg.text || ''}';`
           ).join('\n          ') || ''}
           
-          return \`await instrumentService.executeCommand('${instrument._id}', '${block.data?.capability || 'unknown'}', \${JSON.stringify(values)});\`;
+          return \`await instrumentService.executeFeatureCommand('${block.data.instrumentId}', '${block.data.command}', \${JSON.stringify(values)});\`;
         }
       `
     }));
@@ -0,0 +1,345 @@
+const InventoryItem = require('../models/InventoryItem');
+const InventoryLot = require('../models/InventoryLot');
+const logger = require('../utils/logger');
+const quantity = require('../utils/quantity');
+const wells = require('../utils/wells');
+const {
+  parseWorkspace,
+  getTopBlocks,
+  getInputBlock,
+  getNextBlock,
+  getFieldValue
+} = require('../utils/blocklyWorkspace');
+
+/**
+ * Inventory Service
+ * Works out how much of each reagent a protocol consumes and checks it against the
+ * lots on hand, so shortfalls and expired stock are caught before a run starts.
+ */
+
+// Value of the reagent_variable inventory picker when the reagent is not linked
+const NOT_LINKED = 'NONE';
+
+// Volumes are totalled in microlitres and compared against lots after conversion
+const REQUIREMENT_UNIT = 'μL';
+
+class InventoryService {
+  /**
+   * Total the volumes a workspace draws from each reagent.
+   * transfer_step counts its volume against the source once per well it dispenses into
+   * (or draws from, when several source wells pool into one); mixing_step counts its volume
+   * against every declared reagent named in its components (an upper bound, since the
+   * split between components is not recorded). Steps inside a repeat count once per
+   * iteration, and the per-run total is multiplied by the sample count.
+   */
+  computeRequirements(workspaceJson, options = {}) {
+    const workspace = parseWorkspace(workspaceJson);
+    const reagents = new Map(); // name -> { inventoryItemId, blockId }
+    const samples = new Set();
+    const formats = {}; // labware name -> well layout
+    const usages = [];
+    const issues = [];
+
+    const visit = (block, multiplier) => {
+      let current = block;
+      while (current) {
+        this.collectBlock(current, multiplier, { reagents, samples, formats, usages, issues });
+
+        const childMultiplier = current.type === 'controls_repeat_ext'
+          ? multiplier * this.getRepeatCount(current)
+          : multiplier;
+        Object.keys(current.inputs || {}).forEach(inputName => {
+          const child = getInputBlock(current, inputName);
+          if (child) visit(child, childMultiplier);
+        });
+        current = getNextBlock(current);
+      }
+    };
+
+    if (workspace) {
+      getTopBlocks(workspace).forEach(block => visit(block, 1));
+    }
+
+    const sampleCount = options.sampleCount ? parseInt(options.sampleCount, 10) : Math.max(samples.size, 1);
+    const totals = new Map();
+
+    usages.forEach(usage => {
+      const wellCount = usage.locations ? this.countTransfers(usage, formats, issues) : 1;
+      const names = usage.components
+        ? Array.from(reagents.keys()).filter(name => this.mentions(usage.components, name))
+        : [usage.source];
+
+      names
+        .filter(name => name && !samples.has(name))
+        .forEach(name => {
+          const total = totals.get(name) || { perRun: 0, blockIds: new Set() };
+          total.perRun += usage.volume * usage.multiplier * wellCount;
+          total.blockIds.add(usage.blockId);
+          totals.set(name, total);
+        });
+    });
+
+    const requirements = Array.from(totals.entries()).map(([name, total]) => {
+      const declaration = reagents.get(name);
+      return {
+        name,
+        inventoryItemId: declaration ? declaration.inventoryItemId : null,
+        declaredIn: declaration ? declaration.blockId : null,
+        perRun: quantity.convert(total.perRun, REQUIREMENT_UNIT, REQUIREMENT_UNIT),
+        required: quantity.convert(total.perRun * sampleCount, REQUIREMENT_UNIT, REQUIREMENT_UNIT),
+        unit: REQUIREMENT_UNIT,
+        blockIds: Array.from(total.blockIds)
+      };
+    });
+
+    return { sampleCount, requirements, issues };
+  }
+
+  collectBlock(block, multiplier, collected) {
+    switch (block.type) {
+      case 'reagent_variable': {
+        const name = getFieldValue(block, 'NAME');
+        const itemId = getFieldValue(block, 'INVENTORY_ITEM');
+        collected.reagents.set(name, {
+          inventoryItemId: itemId && itemId !== NOT_LINKED ? itemId : null,
+          blockId: block.id
+        });
+        break;
+      }
+      case 'sample_variable':
+        collected.samples.add(getFieldValue(block, 'NAME'));
+        break;
+      case 'labware_definition': {
+        const name = getFieldValue(block, 'NAME');
+        if (name && !collected.formats[name]) collected.formats[name] = wells.getFormat(getFieldValue(block, 'FORMAT'));
+        break;
+      }
+      case 'transfer_step': {
+        const volume = this.readVolume(block, collected.issues);
+        const source = this.resolveSourceName(getInputBlock(block, 'SOURCE'));
+        if (volume && source) {
+          collected.usages.push({
+            source,
+            volume,
+            multiplier,
+            blockId: block.id,
+            locations: {
+              source: this.locationReference(getInputBlock(block, 'SOURCE')),
+              destination: this.locationReference(getInputBlock(block, 'DESTINATION'))
+            }
+          });
+        }
+        break;
+      }
+      case 'mixing_step': {
+        const volume = this.readVolume(block, collected.issues);
+        const components = getFieldValue(block, 'COMPONENTS', '');
+        if (volume && components) {
+          collected.usages.push({ components, volume, multiplier, blockId: block.id });
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  readVolume(block, issues) {
+    const volume = quantity.readBlockQuantity(block, 'VOLUME');
+    if (!volume) return null;
+    try {
+      return quantity.convert(volume, REQUIREMENT_UNIT, REQUIREMENT_UNIT);
+    } catch (error) {
+      issues.push({
+        type: 'invalid_volume',
+        severity: 'error',
+        blockId: block.id,
+        message: `Volume of ${block.type} could not be read: ${error.message}`
+      });
+      return null;
+    }
+  }
+
+  // Reagent name behind a transfer source: a variable, an inline declaration, or "name:A1" text
+  resolveSourceName(source) {
+    if (!source) return null;
+    switch (source.type) {
+      case 'get_variable':
+        return getFieldValue(source, 'VAR_NAME');
+      case 'reagent_variable':
+      case 'sample_variable':
+        return getFieldValue(source, 'NAME');
+      case 'text':
+        return String(getFieldValue(source, 'TEXT', '')).split(':')[0].trim() || null;
+      default:
+        return null;
+    }
+  }
+
+  // Labware and well spec of a location input; null when it names no wells
+  locationReference(block) {
+    if (!block) return null;
+    if (block.type === 'well_reference') {
+      return { labware: getFieldValue(block, 'LABWARE'), wells: getFieldValue(block, 'WELLS') || null };
+    }
+    if (block.type === 'text') return wells.parseReference(getFieldValue(block, 'TEXT', ''));
+    return null;
+  }
+
+  // Number of movements a transfer makes, pairing its source and destination wells as the lineage does
+  countTransfers(usage, formats, issues) {
+    try {
+      const [sources, destinations] = [usage.locations.source, usage.locations.destination].map(reference =>
+        (reference && reference.wells ? wells.expandWells(reference.wells, formats[reference.labware]) : [null]));
+      const pairs = wells.pairWells(sources, destinations);
+      return pairs ? pairs.length : destinations.length;
+    } catch (error) {
+      issues.push({
+        type: 'invalid_wells',
+        severity: 'error',
+        blockId: usage.blockId,
+        message: `Wells of transfer_step could not be read: ${error.message}`
+      });
+      return 1;
+    }
+  }
+
+  getRepeatCount(block) {
+    const times = quantity.readBlockQuantity(block, 'TIMES');
+    return times && times.value > 0 ? Math.floor(times.value) : 1;
+  }
+
+  mentions(text, name) {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\w])${escaped}([^\\w]|$)`, 'i').test(text);
+  }
+
+  /**
+   * Compare requirements with the lots on hand. Lots expired on the run date are not
+   * counted; usable lots are allocated first-expired-first-out.
+   */
+  async checkAvailability(requirements, options = {}) {
+    const runDate = options.runDate ? new Date(options.runDate) : new Date();
+    const reagents = [];
+    const issues = [];
+
+    for (const requirement of requirements) {
+      const item = requirement.inventoryItemId
+        ? await InventoryItem.findById(requirement.inventoryItemId)
+        : await InventoryItem.findByName(requirement.name);
+
+      if (!item) {
+        issues.push({
+          type: 'not_in_inventory',
+          // A reagent linked to an item that no longer exists is a broken reference
+          severity: requirement.inventoryItemId ? 'error' : 'warning',
+          reagent: requirement.name,
+          blockId: requirement.declaredIn || requirement.blockIds[0],
+          message: requirement.inventoryItemId
+            ? `Reagent ${requirement.name} is linked to an inventory item that no longer exists`
+            : `Reagent ${requirement.name} is not linked to an inventory item`
+        });
+        reagents.push({ ...requirement, item: null, available: null, allocation: [] });
+        continue;
+      }
+
+      const lots = await InventoryLot.findByItem(item.id, { includeExpired: true });
+      const expired = lots.filter(lot => lot.isExpired(runDate));
+      const usable = [];
+      let available = 0;
+
+      lots.filter(lot => !lot.isExpired(runDate)).forEach(lot => {
+        try {
+          const amount = quantity.convert({ value: lot.quantity, unit: lot.unit }, REQUIREMENT_UNIT);
+          available += amount;
+          usable.push({ lot, amount });
+        } catch (error) {
+          issues.push({
+            type: 'unit_mismatch',
+            severity: 'warning',
+            reagent: requirement.name,
+            lotId: lot.id,
+            message: `Lot ${lot.lotNumber} of ${item.name} is counted in ${lot.unit}, which is not a volume`
+          });
+        }
+      });
+      available = quantity.convert(available, REQUIREMENT_UNIT, REQUIREMENT_UNIT);
+
+      if (expired.length > 0) {
+        issues.push({
+          type: 'expired_lot',
+          severity: 'warning',
+          reagent: requirement.name,
+          blockId: requirement.declaredIn || requirement.blockIds[0],
+          lots: expired.map(lot => ({ id: lot.id, lotNumber: lot.lotNumber, expiryDate: lot.expiryDate, location: lot.location })),
+          message: `${expired.length} lot(s) of ${item.name} will be expired on the run date: ` +
+            expired.map(lot => lot.lotNumber).join(', ')
+        });
+      }
+
+      if (available < requirement.required) {
+        issues.push({
+          type: 'shortfall',
+          severity: 'error',
+          reagent: requirement.name,
+          blockId: requirement.declaredIn || requirement.blockIds[0],
+          required: requirement.required,
+          available,
+          unit: REQUIREMENT_UNIT,
+          message: `Need ${quantity.format({ value: requirement.required, unit: REQUIREMENT_UNIT })} of ${item.name} ` +
+            `but only ${quantity.format({ value: available, unit: REQUIREMENT_UNIT })} is in unexpired lots`
+        });
+      }
+
+      // First-expired-first-out allocation of the required volume
+      let remaining = requirement.required;
+      const allocation = [];
+      usable.forEach(({ lot, amount }) => {
+        if (remaining <= 0) return;
+        const used = Math.min(amount, remaining);
+        remaining -= used;
+        allocation.push({
+          lotId: lot.id,
+          lotNumber: lot.lotNumber,
+          location: lot.location,
+          expiryDate: lot.expiryDate,
+          quantity: quantity.convert({ value: used, unit: REQUIREMENT_UNIT }, lot.unit),
+          unit: lot.unit
+        });
+      });
+
+      reagents.push({
+        ...requirement,
+        item: { id: item.id, name: item.name, storageConditions: item.storageConditions },
+        available,
+        allocation
+      });
+    }
+
+    return { reagents, issues };
+  }
+
+  /**
+   * Pre-flight a protocol (or a version of it) against the inventory
+   */
+  async preflight(protocol, options = {}) {
+    const { sampleCount, requirements, issues } = this.computeRequirements(protocol.workspaceJson, options);
+    const availability = await this.checkAvailability(requirements, options);
+    const allIssues = issues.concat(availability.issues);
+
+    logger.info(`Inventory pre-flight of protocol ${protocol.id}: ${requirements.length} reagents, ${allIssues.length} issues`);
+
+    return {
+      protocolId: protocol.id,
+      protocolVersion: protocol.version,
+      sampleCount,
+      runDate: options.runDate || new Date().toISOString().slice(0, 10),
+      reagents: availability.reagents,
+      issues: allIssues,
+      passed: !allIssues.some(issue => issue.severity === 'error'),
+      checkedAt: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = new InventoryService();
@@ -1,6 +1,7 @@
 const Protocol = require('../models/Protocol');
 const Instrument = require('../models/Instrument');
 const logger = require('../utils/logger');
+const { quantityOfValueBlock } = require('../utils/quantity');
 
 /**
  * Protocol Analysis Engine for Week 11 Implementation
@@ -578,6 +579,14 @@ class ProtocolAnalysisService {
             type: childBlock.getAttribute('type'),
             id: childBlock.getAttribute('id')
           };
+
+          // Number and quantity values, read from the child's own fields only
+          const childFields = {};
+          Array.from(childBlock.childNodes)
+            .filter(node => node.nodeName === 'field')
+            .forEach(field => { childFields[field.getAttribute('name')] = field.textContent; });
+          const quantity = quantityOfValueBlock(childBlock.getAttribute('type'), childFields);
+          if (quantity) block.inputs[inputName].quantity = quantity;
         }
       });
 
@@ -0,0 +1,581 @@
+const { getTopBlocks, getInputBlock, getNextBlock, parseWorkspace } = require('../utils/blocklyWorkspace');
+const quantity = require('../utils/quantity');
+const dependencyAnalysisEngine = require('./dependencyAnalysisEngine');
+
+/**
+ * Protocol Diff Service
+ * Block-level comparison of protocol workspaces. Blocks are matched by their Blockly id,
+ * which survives saving, versioning and Protocol.clone, so a block keeps its identity
+ * across versions and forks. Literal value blocks (numbers, quantities, text) are folded
+ * into the input they fill, so a changed temperature reads as a change to the step.
+ *
+ * diff() reports added, removed, moved and changed blocks, changelog() renders them as
+ * readable lines and sideBySide() aligns both versions row by row. merge() combines two
+ * forks of a common ancestor; where both changed the same thing it reports a conflict and
+ * takes the resolution given for it, or "ours" by default.
+ */
+
+// Value blocks holding a single literal; compared as the value of the input they fill
+const LITERAL_BLOCK_TYPES = ['math_number', 'quantity', 'text', 'logic_boolean'];
+
+// Fields that name a block, shown next to its type in changelogs
+const NAME_FIELDS = ['NAME', 'CHECK_NAME', 'PROTOCOL_NAME', 'STEP_NAME', 'WHAT', 'SAMPLE'];
+
+const TOP_LEVEL = 'top';
+
+const RESOLUTIONS = ['ours', 'theirs', 'base'];
+
+class ProtocolDiffService {
+  /**
+   * Index a workspace by block id. Each node records its fields, the literal values of its
+   * inputs and where it sits: parent block, input and the block before it in its chain.
+   */
+  indexWorkspace(workspaceJson) {
+    const nodes = new Map();
+    const order = [];
+
+    const visitChain = (first, parentId, input, depth) => {
+      let current = first;
+      let previousId = null;
+      while (current) {
+        visit(current, { parentId, input, previousId }, depth);
+        previousId = current.id;
+        current = getNextBlock(current);
+      }
+    };
+
+    const visit = (block, location, depth) => {
+      const raw = { ...block, inputs: {} };
+      delete raw.next;
+      const node = { id: block.id, type: block.type, fields: {}, values: {}, ...location, depth, raw };
+
+      Object.entries(block.fields || {}).forEach(([name, value]) => {
+        node.fields[name] = this.fieldText(value);
+      });
+      nodes.set(block.id, node);
+      order.push(block.id);
+
+      Object.entries(block.inputs || {}).forEach(([name, input]) => {
+        const child = getInputBlock(block, name);
+        if (child && this.isLiteral(child)) {
+          node.values[name] = this.literalText(child);
+          raw.inputs[name] = input;
+        } else if (input.block) {
+          // Shadows stay with the parent; real children are rebuilt from their own nodes
+          if (input.shadow) raw.inputs[name] = { shadow: input.shadow };
+          visitChain(input.block, block.id, name, depth + 1);
+        } else {
+          raw.inputs[name] = input;
+        }
+      });
+      if (Object.keys(raw.inputs).length === 0) delete raw.inputs;
+    };
+
+    getTopBlocks(workspaceJson).forEach(block => visitChain(block, null, null, 0));
+
+    return { nodes, order };
+  }
+
+  isLiteral(block) {
+    return LITERAL_BLOCK_TYPES.includes(block.type) && !block.inputs;
+  }
+
+  literalText(block) {
+    const fields = block.fields || {};
+    if (block.type === 'text') return `"${fields.TEXT ?? ''}"`;
+    if (block.type === 'logic_boolean') return String(fields.BOOL);
+    return quantity.format(quantity.quantityOfValueBlock(block.type, fields));
+  }
+
+  fieldText(value) {
+    // Variable fields serialize as { id }
+    if (value && typeof value === 'object') return value.id !== undefined ? String(value.id) : JSON.stringify(value);
+    return String(value);
+  }
+
+  label(node) {
+    const label = dependencyAnalysisEngine.getBlockLabel(node);
+    const name = NAME_FIELDS.map(field => node.fields[field]).find(value => value && value !== label);
+    return name ? `${label} "${name}"` : label;
+  }
+
+  locationText(node, index) {
+    if (!node.parentId) return 'top level';
+    const parent = index.nodes.get(node.parentId);
+    return `${parent ? this.label(parent) : node.parentId} › ${node.input}`;
+  }
+
+  // Differences between two nodes of the same block: type, fields and literal input values
+  compareNodes(before, after) {
+    const differences = [];
+    if (before.type !== after.type) {
+      differences.push({ name: 'type', kind: 'type', before: before.type, after: after.type });
+    }
+    ['fields', 'values'].forEach(kind => {
+      const names = new Set([...Object.keys(before[kind]), ...Object.keys(after[kind])]);
+      names.forEach(name => {
+        const previous = before[kind][name] ?? null;
+        const next = after[kind][name] ?? null;
+        if (previous !== next) {
+          differences.push({ name, kind: kind === 'fields' ? 'field' : 'value', before: previous, after: next });
+        }
+      });
+    });
+    return differences;
+  }
+
+  // Blocks that changed parent or input, or whose order among the blocks both versions share changed
+  findMoved(base, other) {
+    const moved = new Set();
+    const slotKey = node => (node.parentId ? `${node.parentId}.${node.input}` : TOP_LEVEL);
+    const slots = new Map();
+
+    base.order.forEach(id => {
+      const after = other.nodes.get(id);
+      if (!after) return;
+      const before = base.nodes.get(id);
+      if (slotKey(before) !== slotKey(after)) {
+        moved.add(id);
+        return;
+      }
+      if (!slots.has(slotKey(before))) slots.set(slotKey(before), []);
+      slots.get(slotKey(before)).push(id);
+    });
+
+    slots.forEach((ids, key) => {
+      const shared = new Set(ids);
+      const otherIds = other.order.filter(id => shared.has(id) && slotKey(other.nodes.get(id)) === key);
+      const kept = new Set(this.longestCommonSubsequence(ids, otherIds));
+      ids.filter(id => !kept.has(id)).forEach(id => moved.add(id));
+    });
+
+    return moved;
+  }
+
+  longestCommonSubsequence(a, b) {
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const common = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        common.push(a[i]);
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        i++;
+      } else {
+        j++;
+      }
+    }
+    return common;
+  }
+
+  /**
+   * Compare two workspaces; changes are listed removed first, then in the order of the new version
+   */
+  diff(baseJson, otherJson) {
+    const base = this.indexWorkspace(baseJson);
+    const other = this.indexWorkspace(otherJson);
+    const moved = this.findMoved(base, other);
+    const changes = [];
+
+    const describe = (node, index) => ({
+      blockId: node.id,
+      type: node.type,
+      label: this.label(node),
+      location: this.locationText(node, index)
+    });
+
+    base.order
+      .filter(id => !other.nodes.has(id))
+      .forEach(id => changes.push({ kind: 'removed', ...describe(base.nodes.get(id), base) }));
+
+    other.order.forEach(id => {
+      const after = other.nodes.get(id);
+      const before = base.nodes.get(id);
+      if (!before) {
+        changes.push({ kind: 'added', ...describe(after, other) });
+        return;
+      }
+      if (moved.has(id)) {
+        changes.push({ kind: 'moved', ...describe(after, other), from: this.locationText(before, base) });
+      }
+      const differences = this.compareNodes(before, after);
+      if (differences.length > 0) {
+        changes.push({ kind: 'changed', ...describe(after, other), changes: differences });
+      }
+    });
+
+    const count = kind => changes.filter(change => change.kind === kind).length;
+
+    return {
+      identical: changes.length === 0,
+      summary: {
+        added: count('added'),
+        removed: count('removed'),
+        moved: count('moved'),
+        changed: count('changed'),
+        blocksBefore: base.order.length,
+        blocksAfter: other.order.length
+      },
+      changes
+    };
+  }
+
+  /**
+   * Render a diff as changelog lines
+   */
+  changelog(diff) {
+    if (diff.identical) return ['No changes'];
+
+    return diff.changes.map(change => {
+      switch (change.kind) {
+        case 'added':
+          return `Added ${change.label} in ${change.location}`;
+        case 'removed':
+          return `Removed ${change.label} from ${change.location}`;
+        case 'moved':
+          return change.from === change.location
+            ? `Reordered ${change.label} within ${change.location}`
+            : `Moved ${change.label} from ${change.from} to ${change.location}`;
+        default:
+          return `Changed ${change.label}: ${change.changes
+            .map(difference => `${difference.name} ${difference.before ?? '(none)'} → ${difference.after ?? '(none)'}`)
+            .join('; ')}`;
+      }
+    });
+  }
+
+  /**
+   * Align two workspaces for side-by-side display. Rows pair a block with itself where the
+   * order allows; removed blocks only have a left side, added blocks only a right side, and
+   * moved blocks appear on each side at their own position.
+   */
+  sideBySide(baseJson, otherJson) {
+    const base = this.indexWorkspace(baseJson);
+    const other = this.indexWorkspace(otherJson);
+    const aligned = new Set(this.longestCommonSubsequence(base.order, other.order));
+    const moved = this.findMoved(base, other);
+
+    const cell = (node) => ({
+      blockId: node.id,
+      depth: node.depth,
+      text: this.nodeText(node)
+    });
+    const status = (id) => {
+      if (moved.has(id)) return 'moved';
+      return this.compareNodes(base.nodes.get(id), other.nodes.get(id)).length > 0 ? 'changed' : 'unchanged';
+    };
+
+    const rows = [];
+    let i = 0;
+    let j = 0;
+    while (i < base.order.length || j < other.order.length) {
+      const left = base.order[i];
+      const right = other.order[j];
+
+      if (left !== undefined && right !== undefined && left === right) {
+        rows.push({ status: status(left), left: cell(base.nodes.get(left)), right: cell(other.nodes.get(right)) });
+        i++;
+        j++;
+      } else if (left !== undefined && !aligned.has(left)) {
+        rows.push({
+          status: other.nodes.has(left) ? 'moved' : 'removed',
+          left: cell(base.nodes.get(left)),
+          right: null
+        });
+        i++;
+      } else {
+        rows.push({
+          status: base.nodes.has(right) ? 'moved' : 'added',
+          left: null,
+          right: cell(other.nodes.get(right))
+        });
+        j++;
+      }
+    }
+
+    return rows;
+  }
+
+  nodeText(node) {
+    const details = [
+      ...Object.entries(node.fields).filter(([name]) => !NAME_FIELDS.includes(name)),
+      ...Object.entries(node.values)
+    ].map(([name, value]) => `${name}=${value}`);
+    return details.length > 0 ? `${this.label(node)}: ${details.join(', ')}` : this.label(node);
+  }
+
+  /**
+   * Three-way merge of two forks (ours, theirs) of a common ancestor (base).
+   * resolutions maps conflict ids to 'ours', 'theirs' or 'base'. Returns the merged
+   * workspace JSON, the conflicts with the resolution applied, and each side's diff.
+   */
+  merge(baseJson, oursJson, theirsJson, resolutions = {}) {
+    const base = this.indexWorkspace(baseJson);
+    const ours = this.indexWorkspace(oursJson);
+    const theirs = this.indexWorkspace(theirsJson);
+    const conflicts = [];
+    const merged = new Map();
+
+    const resolve = (conflict) => {
+      const resolution = RESOLUTIONS.includes(resolutions[conflict.id]) ? resolutions[conflict.id] : 'ours';
+      conflicts.push({ ...conflict, resolution, resolved: resolutions[conflict.id] !== undefined });
+      return resolution;
+    };
+    const indexes = { base, ours, theirs };
+    const contentChanged = (from, to) => this.compareNodes(from, to).length > 0;
+
+    const ids = [...new Set([...ours.order, ...theirs.order, ...base.order])];
+    const reinstated = new Set();
+
+    ids.forEach(id => {
+      const b = base.nodes.get(id);
+      const o = ours.nodes.get(id);
+      const t = theirs.nodes.get(id);
+
+      if (o && t) {
+        merged.set(id, this.mergeNode(id, b, o, t, resolve));
+      } else if (o || t) {
+        const kept = o || t;
+        if (!b) {
+          merged.set(id, { ...kept });
+        } else if (contentChanged(b, kept)) {
+          // Deleted on one side, edited on the other
+          const resolution = resolve({
+            id: `${id}:block`,
+            blockId: id,
+            label: this.label(kept),
+            property: 'block',
+            base: 'present',
+            ours: o ? 'modified' : 'deleted',
+            theirs: t ? 'modified' : 'deleted'
+          });
+          const chosen = indexes[resolution].nodes.get(id);
+          if (chosen) {
+            merged.set(id, { ...chosen });
+            reinstated.add(id);
+          }
+        }
+        // Otherwise the side that kept it left it unchanged, so the deletion wins
+      }
+    });
+
+    // The block after a deleted one that is kept after all follows it again, not its predecessor
+    merged.forEach(node => {
+      const before = base.nodes.get(node.id);
+      const previous = before && reinstated.has(before.previousId) ? merged.get(before.previousId) : null;
+      if (previous && node.parentId === previous.parentId && node.input === previous.input &&
+          node.previousId === previous.previousId) {
+        node.previousId = previous.id;
+      }
+    });
+
+    // A block kept inside a deleted parent brings the parent back
+    let restored = true;
+    while (restored) {
+      restored = false;
+      [...merged.values()].forEach(node => {
+        if (node.parentId && !merged.has(node.parentId)) {
+          const parent = ours.nodes.get(node.parentId) || theirs.nodes.get(node.parentId) || base.nodes.get(node.parentId);
+          if (parent) {
+            merged.set(parent.id, { ...parent });
+            conflicts.push({
+              id: `${parent.id}:block`,
+              blockId: parent.id,
+              label: this.label(parent),
+              property: 'block',
+              base: 'present',
+              ours: ours.nodes.has(parent.id) ? 'present' : 'deleted',
+              theirs: theirs.nodes.has(parent.id) ? 'present' : 'deleted',
+              resolution: 'kept',
+              resolved: true
+            });
+            restored = true;
+          } else {
+            node.parentId = null;
+            node.input = null;
+          }
+        }
+      });
+    }
+
+    const workspace = this.buildWorkspace(merged, indexes, conflicts, [oursJson, theirsJson, baseJson].map(parseWorkspace));
+
+    return {
+      workspaceJson: workspace,
+      conflicts,
+      unresolved: conflicts.filter(conflict => !conflict.resolved).length,
+      ours: this.diff(baseJson, oursJson),
+      theirs: this.diff(baseJson, theirsJson)
+    };
+  }
+
+  // Merge one block both sides kept: each property takes the side that changed it
+  mergeNode(id, b, o, t, resolve) {
+    const pick = (property, baseValue, oursValue, theirsValue, describe = value => value) => {
+      const same = (x, y) => JSON.stringify(x) === JSON.stringify(y);
+      if (same(oursValue, theirsValue) || !b || same(theirsValue, baseValue)) return 'ours';
+      if (same(oursValue, baseValue)) return 'theirs';
+      return resolve({
+        id: `${id}:${property}`,
+        blockId: id,
+        label: this.label(o),
+        property,
+        base: describe(baseValue),
+        ours: describe(oursValue),
+        theirs: describe(theirsValue)
+      });
+    };
+    const sides = { base: b, ours: o, theirs: t };
+    const node = { ...o, fields: { ...o.fields }, values: { ...o.values }, raw: { ...o.raw } };
+    node.raw.fields = { ...(o.raw.fields || {}) };
+    node.raw.inputs = { ...(o.raw.inputs || {}) };
+
+    const typeSide = pick('type', b?.type, o.type, t.type);
+    if (sides[typeSide]) {
+      node.type = sides[typeSide].type;
+      node.raw.type = node.type;
+    }
+
+    const fieldNames = new Set([...Object.keys(o.fields), ...Object.keys(t.fields), ...Object.keys(b?.fields || {})]);
+    fieldNames.forEach(name => {
+      const side = sides[pick(`field:${name}`, b?.fields[name], o.fields[name], t.fields[name])];
+      if (!side) return;
+      node.fields[name] = side.fields[name];
+      if (side.raw.fields && side.raw.fields[name] !== undefined) node.raw.fields[name] = side.raw.fields[name];
+      else delete node.raw.fields[name];
+    });
+
+    const valueNames = new Set([...Object.keys(o.values), ...Object.keys(t.values), ...Object.keys(b?.values || {})]);
+    valueNames.forEach(name => {
+      const side = sides[pick(`value:${name}`, b?.values[name], o.values[name], t.values[name])];
+      if (!side) return;
+      node.values[name] = side.values[name];
+      if (side.values[name] !== undefined) node.raw.inputs[name] = side.raw.inputs[name];
+      else delete node.raw.inputs[name];
+    });
+
+    const location = side => side && { parentId: side.parentId, input: side.input, previousId: side.previousId };
+    const locationSide = sides[pick('location', location(b), location(o), location(t),
+      value => (value ? `${value.parentId ? `${value.parentId} › ${value.input}` : 'top level'}${value.previousId ? ` after ${value.previousId}` : ''}` : null))];
+    if (locationSide) Object.assign(node, location(locationSide));
+
+    if (Object.keys(node.raw.inputs).length === 0) delete node.raw.inputs;
+    return node;
+  }
+
+  // Rebuild Blockly JSON from merged nodes: link each slot's chain, then nest slots in parents
+  // workspaces are ours, theirs and base; ours supplies everything besides blocks and variables
+  buildWorkspace(merged, indexes, conflicts, workspaces) {
+    const template = workspaces[0];
+    const slotKey = node => (node.parentId ? `${node.parentId}.${node.input}` : TOP_LEVEL);
+    const rank = new Map();
+    [...indexes.ours.order, ...indexes.theirs.order].forEach(id => {
+      if (!rank.has(id)) rank.set(id, rank.size);
+    });
+
+    // Where a block's predecessor is gone, it follows the predecessor's own predecessor
+    const previousOf = (node) => {
+      let previousId = node.previousId;
+      const seen = new Set();
+      while (previousId && !seen.has(previousId)) {
+        seen.add(previousId);
+        const previous = merged.get(previousId);
+        if (previous) return slotKey(previous) === slotKey(node) ? previousId : null;
+        const removed = indexes.base.nodes.get(previousId) || indexes.ours.nodes.get(previousId) || indexes.theirs.nodes.get(previousId);
+        previousId = removed ? removed.previousId : null;
+      }
+      return null;
+    };
+
+    const slots = new Map();
+    merged.forEach(node => {
+      if (!slots.has(slotKey(node))) slots.set(slotKey(node), []);
+      slots.get(slotKey(node)).push(node);
+    });
+
+    const built = new Map();
+    merged.forEach(node => {
+      built.set(node.id, JSON.parse(JSON.stringify(node.raw)));
+    });
+
+    const chains = new Map();
+    slots.forEach((nodes, key) => {
+      const followers = new Map();
+      const heads = [];
+      nodes.sort((x, y) => (rank.get(x.id) ?? Infinity) - (rank.get(y.id) ?? Infinity)).forEach(node => {
+        const previousId = previousOf(node);
+        if (previousId) {
+          if (!followers.has(previousId)) followers.set(previousId, []);
+          followers.get(previousId).push(node.id);
+        } else {
+          heads.push(node.id);
+        }
+      });
+
+      // Blocks inserted after the same block on both sides follow one another, ours first
+      const chainFrom = (id, chain) => {
+        chain.push(id);
+        (followers.get(id) || []).forEach(next => chainFrom(next, chain));
+        return chain;
+      };
+      const headChains = heads.map(id => chainFrom(id, []));
+      chains.set(key, key === TOP_LEVEL ? headChains : [headChains.flat()]);
+
+      if (key !== TOP_LEVEL && headChains.length > 1) {
+        conflicts.push({
+          id: `${key}:slot`,
+          blockId: nodes[0].parentId,
+          label: `${nodes[0].parentId} › ${nodes[0].input}`,
+          property: 'slot',
+          base: null,
+          ours: null,
+          theirs: null,
+          resolution: 'concatenated',
+          resolved: false
+        });
+      }
+    });
+
+    chains.forEach((slotChains, key) => {
+      slotChains.forEach(chain => {
+        chain.forEach((id, position) => {
+          if (position + 1 < chain.length) built.get(id).next = { block: built.get(chain[position + 1]) };
+        });
+      });
+      if (key === TOP_LEVEL) return;
+
+      const head = built.get(slotChains[0][0]);
+      const { parentId, input } = merged.get(slotChains[0][0]);
+      const parent = built.get(parentId);
+      parent.inputs = parent.inputs || {};
+      parent.inputs[input] = { ...(parent.inputs[input] || {}), block: head };
+    });
+
+    const variables = new Map();
+    workspaces.forEach(workspace => {
+      (workspace?.variables || []).forEach(variable => {
+        if (!variables.has(variable.id)) variables.set(variable.id, variable);
+      });
+    });
+
+    const workspace = { ...(template || {}) };
+    workspace.blocks = {
+      languageVersion: template?.blocks?.languageVersion ?? 0,
+      blocks: (chains.get(TOP_LEVEL) || []).map(chain => built.get(chain[0]))
+    };
+    if (variables.size > 0) workspace.variables = [...variables.values()];
+
+    return workspace;
+  }
+}
+
+module.exports = new ProtocolDiffService();
@@ -0,0 +1,956 @@
+const crypto = require('crypto');
+const Execution = require('../models/Execution');
+const ExecutionStep = require('../models/ExecutionStep');
+const logger = require('../utils/logger');
+const quantity = require('../utils/quantity');
+const {
+  parseWorkspace,
+  getTopBlocks,
+  getInputBlock,
+  getNextBlock,
+  getStatementBlocks,
+  getFieldValue,
+  isFieldChecked,
+  getBlockData
+} = require('../utils/blocklyWorkspace');
+
+const STATES = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  ABORTED: 'aborted',
+  FAILED: 'failed'
+};
+
+const TRANSITIONS = {
+  [STATES.PENDING]: [STATES.RUNNING, STATES.ABORTED],
+  [STATES.RUNNING]: [STATES.PAUSED, STATES.COMPLETED, STATES.ABORTED, STATES.FAILED],
+  [STATES.PAUSED]: [STATES.RUNNING, STATES.ABORTED],
+  [STATES.COMPLETED]: [],
+  [STATES.ABORTED]: [],
+  [STATES.FAILED]: []
+};
+
+const TIME_UNIT_MS = {
+  SECONDS: 1000,
+  MINUTES: 60 * 1000,
+  HOURS: 60 * 60 * 1000
+};
+
+// Unit each TIME_UNITS option reads quantities in
+const TIME_UNIT_SYMBOLS = {
+  SECONDS: 's',
+  MINUTES: 'min',
+  HOURS: 'h'
+};
+
+// Steps performed by an operator (or a bench integration) rather than an instrument driver
+const MANUAL_STEP_TYPES = [
+  'preparation_step', 'mixing_step', 'incubation_step', 'measurement_step',
+  'transfer_step', 'centrifuge_step', 'wash_step', 'observation_step',
+  'flow_cytometer', 'mass_spectrometer', 'nmr_spectrometer', 'liquid_handler',
+  'high_content_imaging', 'qpcr_system', 'ngs_sequencer', 'protein_purification',
+  'cell_sorter', 'automated_western'
+];
+
+// Steps whose results are entered by the operator when a run awaits operator input
+const OPERATOR_INPUT_STEP_TYPES = ['measurement_step', 'observation_step'];
+
+const MAX_WHILE_ITERATIONS = 1000;
+const MAX_QUALITY_RETRIES = 3;
+
+/**
+ * Signals used to unwind the block tree when a run is paused or aborted
+ */
+class ExecutionInterrupt extends Error {
+  constructor(reason) {
+    super(`Execution ${reason}`);
+    this.reason = reason;
+  }
+}
+
+/**
+ * Protocol Execution Engine
+ * Runs a protocol's workspace_json headlessly as a resumable state machine
+ */
+class ProtocolExecutionEngine {
+  constructor() {
+    this.activeRuns = new Map(); // executionId -> run context
+    this.runSubscriptions = new Map(); // executionId -> subscribers
+    this.blockHandlers = new Map();
+    this.instrumentHandler = null;
+    this.initializeBlockHandlers();
+  }
+
+  /**
+   * Register the statement block handlers
+   */
+  initializeBlockHandlers() {
+    this.blockHandlers.set('protocol_definition', this.executeProtocolDefinition.bind(this));
+    this.blockHandlers.set('protocol_sequence', this.executeProtocolSequence.bind(this));
+    this.blockHandlers.set('parallel_steps', this.executeParallelSteps.bind(this));
+    this.blockHandlers.set('conditional_step', this.executeConditionalStep.bind(this));
+    this.blockHandlers.set('controls_if', this.executeControlsIf.bind(this));
+    this.blockHandlers.set('controls_repeat_ext', this.executeRepeat.bind(this));
+    this.blockHandlers.set('controls_whileUntil', this.executeWhileUntil.bind(this));
+    this.blockHandlers.set('controls_for', this.executeFor.bind(this));
+    this.blockHandlers.set('wait_step', this.executeWaitStep.bind(this));
+    this.blockHandlers.set('checkpoint', this.executeCheckpoint.bind(this));
+    this.blockHandlers.set('quality_check', this.executeQualityCheck.bind(this));
+    this.blockHandlers.set('sample_variable', this.executeVariableDeclaration.bind(this));
+    this.blockHandlers.set('reagent_variable', this.executeVariableDeclaration.bind(this));
+    this.blockHandlers.set('equipment_variable', this.executeVariableDeclaration.bind(this));
+    this.blockHandlers.set('parameter_variable', this.executeVariableDeclaration.bind(this));
+    this.blockHandlers.set('set_variable', this.executeSetVariable.bind(this));
+
+    MANUAL_STEP_TYPES.forEach(type => {
+      this.blockHandlers.set(type, this.executeManualStep.bind(this));
+    });
+  }
+
+  /**
+   * Attach the socket instrument handler used to dispatch instrument blocks
+   */
+  setInstrumentHandler(instrumentHandler) {
+    this.instrumentHandler = instrumentHandler;
+  }
+
+  /**
+   * Create an execution record for a protocol and start running it.
+   * options.version selects an entry from protocol.getVersionHistory(); defaults to the protocol itself
+   */
+  async startExecution(protocol, userId, options = {}) {
+    const version = options.version || protocol;
+    const workspace = parseWorkspace(version.workspaceJson);
+    if (!workspace || getTopBlocks(workspace).length === 0) {
+      throw new Error('Protocol has no executable workspace');
+    }
+
+    const state = this.createInitialState();
+    state.settings = {
+      timeScale: options.timeScale !== undefined ? options.timeScale : 1,
+      awaitOperatorInput: !!options.awaitOperatorInput,
+      // Disconnected instruments are simulated only in runs started with simulate
+      simulate: !!options.simulate,
+      operatorId: options.operatorId || userId
+    };
+
+    const execution = await Execution.create({
+      protocolId: protocol.id,
+      versionId: version.id,
+      protocolVersion: version.version,
+      workspaceHash: this.hashWorkspace(workspace),
+      workspaceJson: workspace,
+      parameters: options.parameters || {},
+      state
+    }, userId);
+
+    logger.info(`Starting execution ${execution.id} of protocol ${protocol.id}`);
+
+    this.launch(execution, options);
+    return execution;
+  }
+
+  /**
+   * Request a running execution to pause at the next step boundary
+   */
+  async pauseExecution(executionId) {
+    const run = this.activeRuns.get(executionId);
+    if (!run || run.execution.status !== STATES.RUNNING) {
+      throw new Error('Execution is not running');
+    }
+
+    run.abortController.abort(new ExecutionInterrupt(STATES.PAUSED));
+    await run.promise;
+    return run.execution;
+  }
+
+  /**
+   * Resume a paused execution from its last checkpointed state
+   */
+  async resumeExecution(executionId, options = {}) {
+    if (this.activeRuns.has(executionId)) {
+      throw new Error('Execution is already running');
+    }
+
+    const execution = await Execution.findById(executionId);
+    if (!execution) {
+      throw new Error('Execution not found');
+    }
+    if (execution.status !== STATES.PAUSED) {
+      throw new Error(`Cannot resume execution in status ${execution.status}`);
+    }
+
+    // Resuming confirms any checkpoint that was waiting on the operator
+    const state = { ...this.createInitialState(), ...execution.state, awaitingConfirmation: null };
+    execution.state = state;
+
+    logger.info(`Resuming execution ${executionId}`);
+
+    this.launch(execution, { ...state.settings, ...options });
+    return execution;
+  }
+
+  /**
+   * Record the operator's result for the step a paused run is waiting on, then resume it
+   */
+  async submitStepInput(executionId, input, operatorId) {
+    const execution = await Execution.findById(executionId);
+    if (!execution) {
+      throw new Error('Execution not found');
+    }
+
+    const awaiting = execution.state && execution.state.awaitingInput;
+    if (execution.status !== STATES.PAUSED || !awaiting) {
+      throw new Error('Execution is not waiting for operator input');
+    }
+
+    execution.state.submittedInputs = {
+      ...(execution.state.submittedInputs || {}),
+      [awaiting.stepKey]: { result: input.result, notes: input.notes || null, operatorId }
+    };
+    execution.state.awaitingInput = null;
+    await execution.saveState(execution.state);
+
+    return this.resumeExecution(executionId);
+  }
+
+  /**
+   * Abort an execution; waits in progress are interrupted immediately
+   */
+  async abortExecution(executionId, reason = 'Aborted by user') {
+    const run = this.activeRuns.get(executionId);
+    if (run) {
+      run.abortReason = reason;
+      run.abortController.abort(new ExecutionInterrupt(STATES.ABORTED));
+      await run.promise;
+      return run.execution;
+    }
+
+    const execution = await Execution.findById(executionId);
+    if (!execution) {
+      throw new Error('Execution not found');
+    }
+
+    await this.transition(execution, STATES.ABORTED, reason);
+    return execution;
+  }
+
+  /**
+   * Persist the current state of a running execution
+   */
+  async checkpointExecution(executionId) {
+    const run = this.activeRuns.get(executionId);
+    if (!run) {
+      throw new Error('Execution is not running');
+    }
+
+    await this.saveCheckpoint(run);
+    return run.execution;
+  }
+
+  /**
+   * Get the persisted status of an execution, with live details when it is running
+   */
+  async getExecutionStatus(executionId) {
+    const run = this.activeRuns.get(executionId);
+    const execution = run ? run.execution : await Execution.findById(executionId);
+    if (!execution) {
+      return null;
+    }
+
+    return {
+      ...execution.toJSON(),
+      state: run ? run.state : execution.state,
+      isActive: !!run
+    };
+  }
+
+  /**
+   * Mark runs left running by a previous server process as paused so they can be resumed
+   */
+  async restoreInterruptedExecutions() {
+    const interrupted = await Execution.findByStatus([STATES.RUNNING]);
+
+    for (const execution of interrupted) {
+      if (this.activeRuns.has(execution.id)) continue;
+      await this.transition(execution, STATES.PAUSED, 'Interrupted by server restart');
+      logger.warn(`Execution ${execution.id} was interrupted and is now paused`);
+    }
+
+    return interrupted.length;
+  }
+
+  /**
+   * Subscribe to execution events; returns an unsubscribe function
+   */
+  subscribe(executionId, callback) {
+    if (!this.runSubscriptions.has(executionId)) {
+      this.runSubscriptions.set(executionId, new Set());
+    }
+    this.runSubscriptions.get(executionId).add(callback);
+
+    return () => {
+      const subscribers = this.runSubscriptions.get(executionId);
+      if (subscribers) {
+        subscribers.delete(callback);
+        if (subscribers.size === 0) this.runSubscriptions.delete(executionId);
+      }
+    };
+  }
+
+  notifySubscribers(executionId, event, data) {
+    const subscribers = this.runSubscriptions.get(executionId);
+    if (subscribers) {
+      subscribers.forEach(callback => {
+        try {
+          callback(event, data);
+        } catch (error) {
+          logger.error('Error notifying subscriber:', error);
+        }
+      });
+    }
+  }
+
+  createInitialState() {
+    return {
+      variables: {},
+      outputs: {},
+      completedSteps: {},
+      loopCounters: {},
+      branchDecisions: {},
+      waits: {},
+      warnings: [],
+      checkpoints: [],
+      submittedInputs: {},
+      settings: {},
+      currentStep: null,
+      awaitingConfirmation: null,
+      awaitingInput: null
+    };
+  }
+
+  hashWorkspace(workspace) {
+    return crypto.createHash('sha256').update(JSON.stringify(workspace)).digest('hex');
+  }
+
+  /**
+   * Validate and persist a state machine transition
+   */
+  async transition(execution, status, error = null) {
+    const allowed = TRANSITIONS[execution.status] || [];
+    if (!allowed.includes(status)) {
+      throw new Error(`Invalid execution transition: ${execution.status} -> ${status}`);
+    }
+
+    await execution.updateStatus(status, error);
+    this.notifySubscribers(execution.id, 'status', { status, error, timestamp: new Date() });
+    return execution;
+  }
+
+  /**
+   * Run an execution in the background, tracking it in activeRuns until it settles
+   */
+  launch(execution, options) {
+    const run = {
+      execution,
+      state: execution.state,
+      parameters: execution.parameters || {},
+      options: { ...(execution.state.settings || {}), ...options },
+      abortController: new AbortController(),
+      abortReason: null,
+      promise: null
+    };
+
+    this.activeRuns.set(execution.id, run);
+    run.promise = this.runExecution(run)
+      .catch(error => logger.error(`Execution ${execution.id} crashed:`, error))
+      .finally(() => this.activeRuns.delete(execution.id));
+  }
+
+  async runExecution(run) {
+    const { execution } = run;
+
+    try {
+      await this.transition(execution, STATES.RUNNING);
+      await this.executeStatementList(getTopBlocks(execution.workspaceJson), run, '');
+
+      run.state.currentStep = null;
+      await execution.saveState(run.state);
+      await this.transition(execution, STATES.COMPLETED);
+      logger.info(`Execution ${execution.id} completed`);
+    } catch (error) {
+      if (error instanceof ExecutionInterrupt) {
+        await execution.saveState(run.state);
+        await this.transition(execution, error.reason, error.reason === STATES.ABORTED ? run.abortReason : null);
+        logger.info(`Execution ${execution.id} ${error.reason}`);
+        return;
+      }
+
+      logger.error(`Execution ${execution.id} failed:`, error);
+      run.state.currentStep = null;
+      await execution.saveState(run.state);
+      await this.transition(execution, STATES.FAILED, error.message);
+    }
+  }
+
+  /**
+   * Execute a chain of statement blocks in order
+   */
+  async executeStatementList(blocks, run, scope) {
+    let previous = null;
+    for (const block of blocks) {
+      await this.executeBlock(block, run, scope, previous);
+      previous = block;
+    }
+  }
+
+  /**
+   * Execute a single statement block, skipping steps completed before a pause or restart
+   */
+  async executeBlock(block, run, scope, previous = null) {
+    this.throwIfInterrupted(run);
+
+    const stepKey = `${scope}${block.id}`;
+    if (run.state.completedSteps[stepKey]) {
+      return run.state.completedSteps[stepKey].result;
+    }
+
+    const handler = this.blockHandlers.get(block.type) ||
+      (block.type.startsWith('instrument_') ? this.executeInstrumentBlock.bind(this) : null);
+
+    if (!handler) {
+      this.addWarning(run, block, `Block type ${block.type} is not executable and was skipped`);
+      return null;
+    }
+
+    const context = { run, scope, stepKey, previous };
+    if (this.isContainerBlock(block)) {
+      return handler(block, context);
+    }
+
+    const startedAt = new Date();
+    run.state.currentStep = { stepKey, blockId: block.id, type: block.type, startedAt };
+    this.notifySubscribers(run.execution.id, 'step_started', run.state.currentStep);
+
+    const stepLog = await ExecutionStep.start({
+      executionId: run.execution.id,
+      stepKey,
+      blockId: block.id,
+      blockType: block.type,
+      operatorId: run.options.operatorId || run.execution.startedBy,
+      parameters: this.collectStepParameters(block, run)
+    });
+
+    let result;
+    try {
+      result = await handler(block, context);
+    } catch (error) {
+      const status = error instanceof ExecutionInterrupt ? error.reason : 'failed';
+      await stepLog.finish(status, { notes: error.message });
+      throw error;
+    }
+
+    const submitted = run.state.submittedInputs[stepKey];
+    await stepLog.finish('completed', {
+      result: result === undefined ? null : result,
+      outcome: this.getStepOutcome(block, result),
+      notes: submitted ? submitted.notes : null,
+      operatorId: submitted ? submitted.operatorId : null
+    });
+
+    run.state.completedSteps[stepKey] = {
+      blockId: block.id,
+      type: block.type,
+      startedAt,
+      completedAt: new Date(),
+      result: result === undefined ? null : result
+    };
+    run.state.currentStep = null;
+    await run.execution.saveState(run.state);
+    this.notifySubscribers(run.execution.id, 'step_completed', run.state.completedSteps[stepKey]);
+
+    return result;
+  }
+
+  /**
+   * Summarize quality check results for the step log
+   */
+  getStepOutcome(block, result) {
+    if (block.type !== 'quality_check' || !result) {
+      return null;
+    }
+    if (result.passed === null) return 'inconclusive';
+    if (result.passed) return 'passed';
+    return result.action === 'WARN' ? 'warning' : 'failed';
+  }
+
+  isContainerBlock(block) {
+    return [
+      'protocol_definition', 'protocol_sequence', 'parallel_steps', 'conditional_step',
+      'controls_if', 'controls_repeat_ext', 'controls_whileUntil', 'controls_for'
+    ].includes(block.type);
+  }
+
+  throwIfInterrupted(run) {
+    if (run.abortController.signal.aborted) {
+      throw run.abortController.signal.reason;
+    }
+  }
+
+  async saveCheckpoint(run, name = null) {
+    run.state.checkpoints.push({ name, timestamp: new Date() });
+    await run.execution.saveState(run.state);
+    this.notifySubscribers(run.execution.id, 'checkpoint', { name, timestamp: new Date() });
+  }
+
+  addWarning(run, block, message) {
+    logger.warn(`Execution ${run.execution.id}: ${message}`);
+    run.state.warnings.push({ blockId: block.id, type: block.type, message, timestamp: new Date() });
+  }
+
+  // Container blocks
+
+  async executeProtocolDefinition(block, { run, scope }) {
+    for (const input of getStatementBlocks(block, 'INPUTS')) {
+      if (input.type !== 'protocol_input') continue;
+
+      const name = getFieldValue(input, 'INPUT_NAME');
+      if (Object.prototype.hasOwnProperty.call(run.parameters, name)) {
+        run.state.variables[name] = run.parameters[name];
+      } else if (getInputBlock(input, 'DEFAULT_VALUE')) {
+        run.state.variables[name] = this.evaluateValue(getInputBlock(input, 'DEFAULT_VALUE'), run);
+      } else if (isFieldChecked(input, 'REQUIRED')) {
+        throw new Error(`Missing required protocol input: ${name}`);
+      }
+    }
+
+    await this.executeStatementList(getStatementBlocks(block, 'STEPS'), run, scope);
+
+    for (const output of getStatementBlocks(block, 'OUTPUTS')) {
+      if (output.type !== 'protocol_output') continue;
+      run.state.outputs[getFieldValue(output, 'OUTPUT_NAME')] =
+        this.evaluateValue(getInputBlock(output, 'VALUE'), run);
+    }
+  }
+
+  async executeProtocolSequence(block, { run, scope }) {
+    await this.executeStatementList(getStatementBlocks(block, 'STEPS'), run, scope);
+  }
+
+  async executeParallelSteps(block, { run, scope }) {
+    const branches = ['BRANCH1', 'BRANCH2', 'BRANCH3']
+      .map(name => getStatementBlocks(block, name))
+      .filter(steps => steps.length > 0);
+
+    // Let every branch reach a step boundary before surfacing the first error
+    const results = await Promise.allSettled(
+      branches.map(steps => this.executeStatementList(steps, run, scope))
+    );
+
+    const failure = results.find(result => result.status === 'rejected');
+    if (failure) {
+      throw failure.reason;
+    }
+  }
+
+  async executeConditionalStep(block, { run, scope, stepKey }) {
+    const branch = this.decideBranch(run, stepKey, () =>
+      (this.evaluateValue(getInputBlock(block, 'CONDITION'), run) ? 'THEN_STEPS' : 'ELSE_STEPS'));
+
+    await this.executeStatementList(getStatementBlocks(block, branch), run, scope);
+  }
+
+  async executeControlsIf(block, { run, scope, stepKey }) {
+    const branch = this.decideBranch(run, stepKey, () => {
+      for (let i = 0; block.inputs && block.inputs[`IF${i}`]; i++) {
+        if (this.evaluateValue(getInputBlock(block, `IF${i}`), run)) {
+          return `DO${i}`;
+        }
+      }
+      return 'ELSE';
+    });
+
+    await this.executeStatementList(getStatementBlocks(block, branch), run, scope);
+  }
+
+  /**
+   * Branch decisions are recorded so a resumed run follows the same path
+   */
+  decideBranch(run, stepKey, decide) {
+    if (!run.state.branchDecisions[stepKey]) {
+      run.state.branchDecisions[stepKey] = decide();
+    }
+    return run.state.branchDecisions[stepKey];
+  }
+
+  async executeRepeat(block, { run, scope, stepKey }) {
+    const times = Math.floor(Number(this.evaluateValue(getInputBlock(block, 'TIMES'), run)) || 0);
+    const body = getStatementBlocks(block, 'DO');
+
+    for (let i = run.state.loopCounters[stepKey] || 0; i < times; i++) {
+      run.state.loopCounters[stepKey] = i;
+      await this.executeStatementList(body, run, `${stepKey}[${i}]/`);
+    }
+    run.state.loopCounters[stepKey] = times;
+  }
+
+  async executeWhileUntil(block, { run, scope, stepKey }) {
+    const untilMode = getFieldValue(block, 'MODE', 'WHILE') === 'UNTIL';
+    const body = getStatementBlocks(block, 'DO');
+    let i = run.state.loopCounters[stepKey] || 0;
+
+    while (true) {
+      const condition = !!this.evaluateValue(getInputBlock(block, 'BOOL'), run);
+      if (condition === untilMode) break;
+
+      if (i >= MAX_WHILE_ITERATIONS) {
+        throw new Error(`Loop exceeded ${MAX_WHILE_ITERATIONS} iterations`);
+      }
+
+      run.state.loopCounters[stepKey] = i;
+      await this.executeStatementList(body, run, `${stepKey}[${i}]/`);
+      i++;
+    }
+    run.state.loopCounters[stepKey] = i;
+  }
+
+  async executeFor(block, { run, scope, stepKey }) {
+    const variable = getFieldValue(block, 'VAR', 'i');
+    const from = Number(this.evaluateValue(getInputBlock(block, 'FROM'), run)) || 0;
+    const to = Number(this.evaluateValue(getInputBlock(block, 'TO'), run)) || 0;
+    const by = Math.abs(Number(this.evaluateValue(getInputBlock(block, 'BY'), run)) || 1);
+    const step = from <= to ? by : -by;
+    const body = getStatementBlocks(block, 'DO');
+
+    for (let i = run.state.loopCounters[stepKey] || 0; ; i++) {
+      const value = from + i * step;
+      if (step > 0 ? value > to : value < to) {
+        run.state.loopCounters[stepKey] = i;
+        break;
+      }
+
+      run.state.loopCounters[stepKey] = i;
+      run.state.variables[variable] = value;
+      await this.executeStatementList(body, run, `${stepKey}[${i}]/`);
+    }
+  }
+
+  // Step blocks
+
+  async executeWaitStep(block, { run, stepKey }) {
+    const units = getFieldValue(block, 'TIME_UNITS', 'SECONDS');
+    const time = this.evaluateNumber(getInputBlock(block, 'TIME'), run, TIME_UNIT_SYMBOLS[units] || 's');
+    const timeScale = run.options.timeScale !== undefined ? run.options.timeScale : 1;
+    const durationMs = time * (TIME_UNIT_MS[units] || 1000) * timeScale;
+
+    // A wait interrupted by a pause only waits out its remainder on resume
+    const remainingMs = run.state.waits[stepKey] !== undefined ? run.state.waits[stepKey] : durationMs;
+    const startedAt = Date.now();
+
+    try {
+      await this.sleep(remainingMs, run.abortController.signal);
+    } catch (error) {
+      run.state.waits[stepKey] = Math.max(0, remainingMs - (Date.now() - startedAt));
+      throw error;
+    }
+
+    delete run.state.waits[stepKey];
+    return { duration: time, units, reason: getFieldValue(block, 'REASON', '') };
+  }
+
+  sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  async executeCheckpoint(block, { run, stepKey }) {
+    const name = getFieldValue(block, 'NAME', 'checkpoint');
+    await this.saveCheckpoint(run, name);
+
+    if (isFieldChecked(block, 'MANUAL_CONFIRM')) {
+      // Record the step as done so resuming (the confirmation) continues past it
+      run.state.completedSteps[stepKey] = {
+        blockId: block.id,
+        type: block.type,
+        startedAt: new Date(),
+        completedAt: new Date(),
+        result: { name, confirmed: true }
+      };
+      run.state.awaitingConfirmation = { stepKey, name, description: getFieldValue(block, 'DESCRIPTION', '') };
+      this.notifySubscribers(run.execution.id, 'confirmation_required', run.state.awaitingConfirmation);
+      throw new ExecutionInterrupt(STATES.PAUSED);
+    }
+
+    return { name };
+  }
+
+  async executeQualityCheck(block, { run, scope, stepKey, previous }) {
+    const name = getFieldValue(block, 'CHECK_NAME', 'check');
+    const action = getFieldValue(block, 'FAILURE_ACTION', 'STOP');
+    const maxRetries = run.options.maxQualityRetries !== undefined
+      ? run.options.maxQualityRetries
+      : MAX_QUALITY_RETRIES;
+
+    let result = this.evaluateQualityCheck(block, run);
+    let attempts = 1;
+
+    while (result.passed === false && action === 'REPEAT' && previous && attempts <= maxRetries) {
+      this.addWarning(run, block, `Quality check ${name} failed, repeating previous step (attempt ${attempts})`);
+      await this.executeBlock(previous, run, `${stepKey}[retry${attempts}]/`);
+      result = this.evaluateQualityCheck(block, run);
+      attempts++;
+    }
+
+    result = { ...result, name, attempts, action };
+
+    if (result.passed === null) {
+      this.addWarning(run, block, `Quality check ${name} could not be evaluated`);
+    } else if (!result.passed) {
+      if (action === 'STOP' || action === 'REPEAT') {
+        throw new Error(`Quality check ${name} failed`);
+      }
+      if (action === 'WARN') {
+        this.addWarning(run, block, `Quality check ${name} failed`);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Compare a measured value against the expected value within a percentage tolerance
+   */
+  evaluateQualityCheck(block, run) {
+    const measured = this.resolveMeasurement(this.evaluateValue(getInputBlock(block, 'SAMPLE'), run));
+    const expected = this.resolveMeasurement(this.evaluateValue(getInputBlock(block, 'EXPECTED'), run));
+    const tolerance = Number(this.evaluateValue(getInputBlock(block, 'TOLERANCE'), run)) || 0;
+
+    if (measured === null || measured === undefined || expected === null || expected === undefined) {
+      return { passed: null, measured, expected, tolerance };
+    }
+
+    if (typeof measured === 'number' && typeof expected === 'number') {
+      const deviation = expected === 0
+        ? Math.abs(measured) * 100
+        : Math.abs((measured - expected) / expected) * 100;
+      return { passed: deviation <= tolerance, measured, expected, tolerance, deviation };
+    }
+
+    return { passed: measured === expected, measured, expected, tolerance };
+  }
+
+  resolveMeasurement(value) {
+    if (value && typeof value === 'object' && 'value' in value) {
+      return value.value;
+    }
+    return value;
+  }
+
+  async executeVariableDeclaration(block, { run }) {
+    const name = getFieldValue(block, 'NAME');
+    const kind = block.type.replace('_variable', '');
+    let value;
+
+    if (kind === 'parameter') {
+      value = Object.prototype.hasOwnProperty.call(run.parameters, name)
+        ? run.parameters[name]
+        : this.evaluateValue(getInputBlock(block, 'VALUE'), run);
+    } else {
+      value = { kind, name, ...this.collectStepParameters(block, run) };
+    }
+
+    run.state.variables[name] = value;
+    return { name, value };
+  }
+
+  async executeSetVariable(block, { run }) {
+    const name = getFieldValue(block, 'VAR_NAME');
+    const value = this.evaluateValue(getInputBlock(block, 'VALUE'), run);
+    run.state.variables[name] = value;
+    return { name, value };
+  }
+
+  async executeManualStep(block, { run, stepKey }) {
+    const parameters = this.collectStepParameters(block, run);
+    let result = null;
+
+    if (run.state.submittedInputs[stepKey]) {
+      result = run.state.submittedInputs[stepKey].result;
+    } else if (run.options.awaitOperatorInput && OPERATOR_INPUT_STEP_TYPES.includes(block.type)) {
+      run.state.awaitingInput = { stepKey, blockId: block.id, type: block.type, parameters };
+      this.notifySubscribers(run.execution.id, 'input_required', run.state.awaitingInput);
+      throw new ExecutionInterrupt(STATES.PAUSED);
+    } else if (typeof run.options.manualStepHandler === 'function') {
+      result = await run.options.manualStepHandler({
+        executionId: run.execution.id,
+        stepKey,
+        blockId: block.id,
+        type: block.type,
+        parameters
+      });
+    }
+
+    const resultVar = getFieldValue(block, 'RESULT_VAR') || getFieldValue(block, 'RECORD_VAR');
+    if (resultVar) {
+      run.state.variables[resultVar] = result;
+    }
+
+    return { parameters, result };
+  }
+
+  async executeInstrumentBlock(block, { run }) {
+    if (!this.instrumentHandler) {
+      throw new Error('Instrument handler not configured');
+    }
+
+    const data = getBlockData(block);
+    const instrumentId = getFieldValue(block, 'INSTRUMENT_ID') || data.instrumentId;
+    const command = data.command || data.capability || getFieldValue(block, 'COMMAND') || block.type.split('_').pop();
+    const parameters = this.collectStepParameters(block, run);
+
+    if (!instrumentId) {
+      throw new Error(`No instrument configured for block ${block.id}`);
+    }
+
+    const response = await this.instrumentHandler.executeInstrumentCommand(instrumentId, command, parameters, {
+      awaitCompletion: true,
+      simulate: !!run.options.simulate
+    });
+    if (!response || !response.success) {
+      throw new Error(`Instrument command ${command} failed: ${response ? response.message : 'no response'}`);
+    }
+
+    const resultVar = getFieldValue(block, 'RESULT_VAR');
+    if (resultVar) {
+      run.state.variables[resultVar] = response.data;
+    }
+
+    return { instrumentId, command, parameters, simulated: !!response.simulated, data: response.data };
+  }
+
+  /**
+   * Resolve a block's fields and value inputs into plain parameters
+   */
+  collectStepParameters(block, run) {
+    const parameters = {};
+
+    Object.keys(block.fields || {}).forEach(name => {
+      parameters[name] = getFieldValue(block, name);
+    });
+
+    Object.keys(block.inputs || {}).forEach(name => {
+      const child = getInputBlock(block, name);
+      if (child && !getNextBlock(child) && this.isValueBlock(child)) {
+        parameters[name] = this.evaluateValue(child, run);
+      }
+    });
+
+    return parameters;
+  }
+
+  isValueBlock(block) {
+    return [
+      'math_number', 'text', 'logic_boolean', 'logic_compare', 'logic_operation',
+      'logic_negate', 'math_arithmetic', 'get_variable', 'quality_check', 'quantity'
+    ].includes(block.type);
+  }
+
+  /**
+   * Evaluate a value block as a number in the given unit: quantities are converted into it
+   * (a quantity of another dimension fails the step), plain numbers are taken as they are
+   */
+  evaluateNumber(block, run, unit) {
+    const value = this.evaluateValue(block, run);
+    if (value && typeof value === 'object' && value.unit) {
+      return quantity.convert(value, unit);
+    }
+    return Number(this.resolveMeasurement(value)) || 0;
+  }
+
+  /**
+   * Evaluate a value block against the current run variables
+   */
+  evaluateValue(block, run) {
+    if (!block) return null;
+
+    switch (block.type) {
+      case 'math_number':
+        return Number(getFieldValue(block, 'NUM', 0));
+
+      // { value, unit }, so parameters keep their unit and steps can convert them
+      case 'quantity':
+        return quantity.parse({ value: getFieldValue(block, 'VALUE'), unit: getFieldValue(block, 'UNIT') });
+
+      case 'text':
+        return getFieldValue(block, 'TEXT', '');
+
+      case 'logic_boolean':
+        return getFieldValue(block, 'BOOL', 'TRUE') === 'TRUE';
+
+      case 'logic_negate':
+        return !this.evaluateValue(getInputBlock(block, 'BOOL'), run);
+
+      case 'logic_operation': {
+        const a = this.evaluateValue(getInputBlock(block, 'A'), run);
+        const b = this.evaluateValue(getInputBlock(block, 'B'), run);
+        return getFieldValue(block, 'OP', 'AND') === 'OR' ? !!(a || b) : !!(a && b);
+      }
+
+      case 'logic_compare': {
+        const a = this.resolveMeasurement(this.evaluateValue(getInputBlock(block, 'A'), run));
+        const b = this.resolveMeasurement(this.evaluateValue(getInputBlock(block, 'B'), run));
+        switch (getFieldValue(block, 'OP', 'EQ')) {
+          case 'NEQ': return a !== b;
+          case 'LT': return a < b;
+          case 'LTE': return a <= b;
+          case 'GT': return a > b;
+          case 'GTE': return a >= b;
+          default: return a === b;
+        }
+      }
+
+      case 'math_arithmetic': {
+        const a = Number(this.resolveMeasurement(this.evaluateValue(getInputBlock(block, 'A'), run))) || 0;
+        const b = Number(this.resolveMeasurement(this.evaluateValue(getInputBlock(block, 'B'), run))) || 0;
+        switch (getFieldValue(block, 'OP', 'ADD')) {
+          case 'MINUS': return a - b;
+          case 'MULTIPLY': return a * b;
+          case 'DIVIDE': return b === 0 ? null : a / b;
+          case 'POWER': return Math.pow(a, b);
+          default: return a + b;
+        }
+      }
+
+      case 'get_variable': {
+        const name = getFieldValue(block, 'VAR_NAME');
+        return run.state.variables[name] !== undefined ? run.state.variables[name] : null;
+      }
+
+      case 'quality_check':
+        return !!this.evaluateQualityCheck(block, run).passed;
+
+      default:
+        // Variable blocks used as values evaluate to their name
+        return getFieldValue(block, 'NAME', null);
+    }
+  }
+}
+
+module.exports = new ProtocolExecutionEngine();
@@ -0,0 +1,348 @@
+const Protocol = require('../models/Protocol');
+const { flattenWorkspace, parseWorkspace, walkBlocks } = require('../utils/blocklyWorkspace');
+const protocolDiffService = require('./protocolDiffService');
+
+/**
+ * Protocol Template Service
+ * Turns a saved protocol into a parameterized template and instantiates it. A template
+ * parameter names a value the author left open (a temperature, a sample count, a primer
+ * name), gives it a type, range and default, and lists the block fields it fills. Targets
+ * are { blockId, field } pairs; Blockly block ids survive saving and cloning, so the same
+ * pair addresses the block in both the workspace JSON and the workspace XML.
+ *
+ * Units stay with the template: a parameter bound to a quantity block's VALUE field fills
+ * the number, and its min and max are read in the unit the block already shows.
+ */
+
+const PARAMETER_TYPES = ['number', 'integer', 'text', 'choice', 'boolean'];
+
+// Parameter names are used as keys in the values given to instantiate()
+const PARAMETER_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Rows shown in a gallery preview before it is cut off
+const PREVIEW_ROWS = 40;
+
+class ProtocolTemplateService {
+  /**
+   * Check parameter definitions against the template's workspace. Returns a list of
+   * { parameter, message } errors; an empty list means the definitions can be saved.
+   */
+  validateDefinitions(parameters, protocol) {
+    const errors = [];
+    const add = (parameter, message) => errors.push({ parameter, message });
+
+    if (!Array.isArray(parameters)) {
+      return [{ parameter: null, message: 'Template parameters must be a list' }];
+    }
+
+    const blocks = new Map(flattenWorkspace(protocol.workspaceJson).map(block => [block.id, block]));
+    const names = new Set();
+    const targets = new Map();
+
+    parameters.forEach(parameter => {
+      const name = parameter && parameter.name;
+      if (!name || !PARAMETER_NAME_PATTERN.test(name)) {
+        add(name || null, 'Parameter name must start with a letter or underscore and use only letters, digits and underscores');
+        return;
+      }
+      if (names.has(name)) add(name, 'Parameter is defined more than once');
+      names.add(name);
+
+      if (!PARAMETER_TYPES.includes(parameter.type)) {
+        add(name, `Unknown parameter type: ${parameter.type}`);
+        return;
+      }
+      if (['number', 'integer'].includes(parameter.type) &&
+          parameter.min !== undefined && parameter.max !== undefined && Number(parameter.min) > Number(parameter.max)) {
+        add(name, `Minimum ${parameter.min} is above maximum ${parameter.max}`);
+      }
+      if (parameter.type === 'choice' && (!Array.isArray(parameter.options) || parameter.options.length === 0)) {
+        add(name, 'Choice parameter needs at least one option');
+      }
+      if (parameter.type === 'text' && parameter.pattern) {
+        try {
+          new RegExp(parameter.pattern);
+        } catch (error) {
+          add(name, `Invalid pattern: ${error.message}`);
+        }
+      }
+      if (parameter.default !== undefined && parameter.default !== null) {
+        const result = this.coerceValue(parameter.default, parameter);
+        if (result.error) add(name, `Default ${result.error}`);
+      }
+
+      if (!Array.isArray(parameter.targets) || parameter.targets.length === 0) {
+        add(name, 'Parameter does not fill any block field');
+        return;
+      }
+      parameter.targets.forEach(target => {
+        const block = target && blocks.get(target.blockId);
+        if (!block) {
+          add(name, `Block ${target && target.blockId} is not in the template`);
+        } else if (!(target.field in block.fields)) {
+          add(name, `Block ${block.type} has no field ${target.field}`);
+        } else if (!this.findXmlField(protocol.workspaceXml, target.blockId, target.field)) {
+          add(name, `Field ${target.field} of block ${target.blockId} is missing from the workspace XML; save the template again`);
+        } else {
+          const key = `${target.blockId}:${target.field}`;
+          if (targets.has(key)) add(name, `Field ${target.field} of block ${target.blockId} is already filled by ${targets.get(key)}`);
+          targets.set(key, name);
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * Coerce a value to a parameter's type and check it against the parameter's range,
+   * pattern or options
+   */
+  coerceValue(value, parameter) {
+    let coerced = value;
+
+    switch (parameter.type) {
+      case 'boolean':
+        coerced = value === true || value === 'TRUE' || value === 'true';
+        break;
+      case 'number':
+      case 'integer':
+        coerced = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+        if (Number.isNaN(coerced)) return { error: 'must be a number' };
+        if (parameter.type === 'integer' && !Number.isInteger(coerced)) return { error: 'must be a whole number' };
+        if (parameter.min !== undefined && parameter.min !== null && coerced < Number(parameter.min)) {
+          return { error: `must be at least ${parameter.min}${parameter.unit ? ` ${parameter.unit}` : ''}` };
+        }
+        if (parameter.max !== undefined && parameter.max !== null && coerced > Number(parameter.max)) {
+          return { error: `must be at most ${parameter.max}${parameter.unit ? ` ${parameter.unit}` : ''}` };
+        }
+        break;
+      case 'text':
+        coerced = String(value).trim();
+        if (parameter.pattern && !new RegExp(parameter.pattern).test(coerced)) {
+          return { error: `must match ${parameter.pattern}` };
+        }
+        break;
+      case 'choice':
+        coerced = String(value);
+        if (!parameter.options.map(String).includes(coerced)) {
+          return { error: `must be one of ${parameter.options.join(', ')}` };
+        }
+        break;
+      default:
+        break;
+    }
+
+    return { value: coerced };
+  }
+
+  /**
+   * Resolve a parameter set against the definitions: defaults fill what was not given,
+   * and every value is coerced and checked. Unknown names are errors so typos are not lost.
+   */
+  resolveValues(parameters, values = {}) {
+    const resolved = {};
+    const errors = [];
+    const known = new Set(parameters.map(parameter => parameter.name));
+
+    Object.keys(values).filter(name => !known.has(name)).forEach(name => {
+      errors.push({ parameter: name, message: 'Template has no such parameter' });
+    });
+
+    parameters.forEach(parameter => {
+      let value = values[parameter.name];
+      if (value === undefined || value === null || value === '') {
+        if (parameter.default !== undefined && parameter.default !== null) {
+          value = parameter.default;
+        } else if (parameter.required !== false) {
+          errors.push({ parameter: parameter.name, message: `${parameter.label || parameter.name} is required` });
+          return;
+        } else {
+          return;
+        }
+      }
+
+      const result = this.coerceValue(value, parameter);
+      if (result.error) {
+        errors.push({ parameter: parameter.name, message: `${parameter.label || parameter.name} ${result.error}` });
+      } else {
+        resolved[parameter.name] = result.value;
+      }
+    });
+
+    return { values: resolved, errors };
+  }
+
+  // Value a block field stores: checkboxes hold TRUE/FALSE, number fields serialize as numbers
+  fieldValue(value, parameter) {
+    if (parameter.type === 'boolean') return value ? 'TRUE' : 'FALSE';
+    return value;
+  }
+
+  // Copy of the workspace JSON with each resolved value written to the fields it targets
+  applyToJson(workspaceJson, parameters, values) {
+    const workspace = JSON.parse(JSON.stringify(parseWorkspace(workspaceJson)));
+    const assignments = this.getAssignments(parameters, values);
+
+    walkBlocks(workspace, (block) => {
+      (assignments.get(block.id) || []).forEach(({ field, value }) => {
+        block.fields = { ...(block.fields || {}), [field]: value };
+      });
+    });
+
+    return workspace;
+  }
+
+  // The workspace XML with each resolved value written to the fields it targets
+  applyToXml(workspaceXml, parameters, values) {
+    let xml = workspaceXml;
+    this.getAssignments(parameters, values).forEach((fields, blockId) => {
+      fields.forEach(({ field, value }) => {
+        const text = String(value);
+        const location = this.findXmlField(xml, blockId, field);
+        if (!location) return;
+        // An empty field may be written as <field name="X"/>; open it up around the new text
+        const replacement = location.selfClosing
+          ? `${location.tag.replace(/\s*\/>$/, '>')}${this.escapeXml(text)}</field>`
+          : this.escapeXml(text);
+        xml = xml.slice(0, location.start) + replacement + xml.slice(location.end);
+      });
+    });
+    return xml;
+  }
+
+  // Field writes grouped by block id; parameters without a value leave their fields as saved
+  getAssignments(parameters, values) {
+    const assignments = new Map();
+    parameters.filter(parameter => values[parameter.name] !== undefined).forEach(parameter => {
+      const value = this.fieldValue(values[parameter.name], parameter);
+      parameter.targets.forEach(({ blockId, field }) => {
+        if (!assignments.has(blockId)) assignments.set(blockId, []);
+        assignments.get(blockId).push({ field, value });
+      });
+    });
+    return assignments;
+  }
+
+  /**
+   * Position of a field's text in Blockly XML, as { start, end }, or null. A block's own
+   * fields come before its inputs, next block and closing tag, so the search stops there
+   * and never reaches the fields of nested blocks.
+   */
+  findXmlField(workspaceXml, blockId, field) {
+    if (!workspaceXml || !blockId) return null;
+
+    const open = new RegExp(`<(?:block|shadow)\\b[^>]*\\sid="${this.escapeRegExp(this.escapeXml(blockId))}"[^>]*>`);
+    const block = open.exec(workspaceXml);
+    if (!block) return null;
+
+    const ownStart = block.index + block[0].length;
+    const rest = workspaceXml.slice(ownStart);
+    const ownLength = rest.search(/<(?:block|shadow|value|statement|next)\b|<\/(?:block|shadow)>/);
+    const own = ownLength === -1 ? rest : rest.slice(0, ownLength);
+
+    const fieldTag = new RegExp(`<field\\b[^>]*\\sname="${this.escapeRegExp(field)}"[^>]*?(/?)>`);
+    const match = fieldTag.exec(own);
+    if (!match) return null;
+
+    const start = ownStart + match.index + match[0].length;
+    if (match[1] === '/') {
+      return { start: ownStart + match.index, end: start, selfClosing: true, tag: match[0] };
+    }
+    const end = workspaceXml.indexOf('</field>', start);
+    return end === -1 ? null : { start, end };
+  }
+
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  escapeRegExp(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Build a concrete protocol from a template and a parameter set. Returns the filled-in
+   * workspace JSON and XML with the resolved values, or the errors that stop it.
+   */
+  instantiate(template, values = {}) {
+    const parameters = template.templateParameters || [];
+    const resolved = this.resolveValues(parameters, values);
+    if (resolved.errors.length > 0) {
+      return { errors: resolved.errors };
+    }
+
+    return {
+      errors: [],
+      values: resolved.values,
+      workspaceJson: this.applyToJson(template.workspaceJson, parameters, resolved.values),
+      workspaceXml: this.applyToXml(template.workspaceXml, parameters, resolved.values)
+    };
+  }
+
+  /**
+   * Outline of a workspace for previews, one row per block in reading order. Rows filled
+   * by a parameter name it, so the gallery can show where each value ends up.
+   */
+  preview(workspaceJson, parameters = []) {
+    const { nodes, order } = protocolDiffService.indexWorkspace(workspaceJson);
+    const parents = new Map(flattenWorkspace(workspaceJson).map(block => [block.id, block.parent]));
+
+    // Literal value blocks are folded into their parent's row, so the parent shows their parameters
+    const rowParameters = new Map();
+    parameters.forEach(parameter => {
+      (parameter.targets || []).forEach(({ blockId }) => {
+        const rowId = nodes.has(blockId) ? blockId : parents.get(blockId);
+        const names = rowParameters.get(rowId) || [];
+        if (rowId && !names.includes(parameter.name)) rowParameters.set(rowId, [...names, parameter.name]);
+      });
+    });
+
+    return order.slice(0, PREVIEW_ROWS).map(id => ({
+      blockId: id,
+      depth: nodes.get(id).depth,
+      text: protocolDiffService.nodeText(nodes.get(id)),
+      parameters: rowParameters.get(id) || []
+    }));
+  }
+
+  /**
+   * Gallery entry for a template: its parameters and a preview of the protocol the
+   * defaults produce
+   */
+  describeTemplate(template, extra = {}) {
+    const parameters = template.templateParameters || [];
+    const defaults = this.resolveValues(parameters.filter(parameter => parameter.default !== undefined && parameter.default !== null));
+
+    return {
+      id: template.id,
+      name: template.name,
+      description: template.description,
+      category: template.category,
+      tags: template.tags,
+      version: template.version,
+      status: template.status,
+      createdBy: template.createdBy,
+      isPublic: template.isPublic,
+      updatedAt: template.updatedAt,
+      ...extra,
+      parameters,
+      preview: template.workspaceJson
+        ? this.preview(this.applyToJson(template.workspaceJson, parameters, defaults.values), parameters)
+        : []
+    };
+  }
+
+  async getGallery(user, options = {}) {
+    const templates = await Protocol.findTemplates(user, options);
+    return templates.map(({ protocol, authorName, instanceCount }) =>
+      this.describeTemplate(protocol, { authorName, instanceCount })
+    );
+  }
+}
+
+module.exports = new ProtocolTemplateService();
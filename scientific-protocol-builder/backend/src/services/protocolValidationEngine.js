@@ -1,14 +1,116 @@
 const Instrument = require('../models/Instrument');
 const logger = require('../utils/logger');
+const quantity = require('../utils/quantity');
+const inventoryService = require('./inventoryService');
+const chemicalHazardService = require('./chemicalHazardService');
+const validationRuleService = require('./validationRuleService');
+const complianceProfileService = require('./complianceProfileService');
+const dependencyAnalysisEngine = require('./dependencyAnalysisEngine');
+const subProtocolService = require('./subProtocolService');
+const { isFieldChecked, precedingBlocks } = require('../utils/blocklyWorkspace');
 
 /**
  * Protocol Validation Engine for Week 11 Implementation
  * Provides comprehensive validation rules and quality assurance
  */
+
+// Instrument specifications the rules read, all optional:
+//   centrifuges       maxSpeed (rpm), maxRcf (x g), rotorRadius (cm)
+//   pressurised kit   maxPressure (bar)
+//   readers           wavelengths { min, max } (nm)
+//   liquid handling   volumes { min, max } (μL), as in the instrument manager configs
+//   any measurement   precision (% CV)
+// Calibration is due at calibrationData.nextCalibrationDue.
+
+// Relative centrifugal force per cm of rotor radius per rpm²
+const RCF_FACTOR = 1.118e-5;
+
+// Used when neither the options nor the instrument give a pressure limit, in bar
+const DEFAULT_MAX_PRESSURE = 5;
+
+// Volumes an air-displacement pipette handles reliably, in μL
+const PIPETTE_VOLUMES = { min: 0.2, max: 1000 };
+
+// A quality check tolerance tighter than this multiple of the instrument CV cannot be met reliably
+const TOLERANCE_TO_PRECISION = 2;
+
+// Temperatures beyond which a step needs documented emergency handling, in °C
+const HOT_TEMPERATURE = 60;
+const CRYOGENIC_TEMPERATURE = -150;
+
+const EMERGENCY_PATTERN = /emergenc|spill|first aid|eyewash|safety shower|evacuat|exposure|\bsds\b/i;
+const NEGATIVE_CONTROL_PATTERN = /\b(negative|blank|ntc|no[- ]template|vehicle|mock|untreated)\b/i;
+const POSITIVE_CONTROL_PATTERN = /\b(positive|standard|calibrator|reference|spike[- ]?in)\b/i;
+
+// Steps that leave the operator waiting, so independent work can run alongside them
+const PASSIVE_STEP_TYPES = ['incubation_step', 'centrifuge_step', 'wait_step'];
+
+// Steps defined by how long they run, so a missing TIME leaves the run length a guess
+const TIMED_STEP_TYPES = ['incubation_step', 'centrifuge_step', 'wait_step'];
+
+// Specialized equipment blocks, which run as steps like the instrument_* blocks
+const EQUIPMENT_BLOCK_TYPES = [
+  'flow_cytometer', 'mass_spectrometer', 'nmr_spectrometer', 'liquid_handler', 'high_content_imaging',
+  'qpcr_system', 'ngs_sequencer', 'automated_western', 'cell_sorter', 'protein_purification'
+];
+
+// Steps that produce data, and so need controls to interpret it
+const ASSAY_BLOCK_TYPES = [
+  'measurement_step', 'flow_cytometer', 'mass_spectrometer', 'nmr_spectrometer',
+  'high_content_imaging', 'qpcr_system', 'ngs_sequencer', 'automated_western'
+];
+
+// Instrument types able to take each wavelength-based reading of a measurement_step
+const WAVELENGTH_INSTRUMENT_TYPES = {
+  ABSORBANCE: ['plate_reader', 'spectrophotometer'],
+  FLUORESCENCE: ['plate_reader', 'fluorometer'],
+  OD: ['plate_reader', 'spectrophotometer']
+};
+
+const DECLARATION_TYPES = ['sample_variable', 'reagent_variable', 'equipment_variable', 'parameter_variable'];
+
+// Blocks whose DESCRIPTION field is their only documentation
+const DESCRIBED_BLOCK_TYPES = ['protocol_definition', 'protocol_sequence', 'protocol_input', 'protocol_output'];
+
+const MIN_DESCRIPTION_LENGTH = 20;
+
+// Values blocks are created with; left unchanged they say nothing about the step
+const PLACEHOLDER_FIELDS = {
+  protocol_definition: { PROTOCOL_NAME: 'my_protocol' },
+  protocol_sequence: { NAME: 'sequence1' },
+  protocol_input: { INPUT_NAME: 'input_name' },
+  protocol_output: { OUTPUT_NAME: 'output_name' },
+  protocol_call: { PROTOCOL_NAME: 'protocol_name' },
+  protocol_parameter: { NAME: 'input_name' },
+  preparation_step: { WHAT: 'sample', METHOD: 'method' },
+  mixing_step: { COMPONENTS: 'components' },
+  incubation_step: { SAMPLE: 'sample' },
+  observation_step: { SAMPLE: 'sample', OBSERVATION: 'changes' },
+  quality_check: { CHECK_NAME: 'check_name' },
+  checkpoint: { NAME: 'checkpoint1' },
+  sample_variable: { NAME: 'sample1' },
+  reagent_variable: { NAME: 'reagent1' },
+  equipment_variable: { NAME: 'equipment1' },
+  parameter_variable: { NAME: 'param1' }
+};
+
+// Quality check failure actions that continue the run; the deviation must then be recorded
+const CONTINUING_FAILURE_ACTIONS = ['WARN', 'SKIP'];
+
+// Blocks branching on a quality check: the condition input and the branch taken when it fails
+const FAILURE_BRANCHES = {
+  conditional_step: { condition: 'CONDITION', branch: 'ELSE_STEPS' },
+  controls_if: { condition: 'IF0', branch: 'ELSE' }
+};
+
 class ProtocolValidationEngine {
   constructor() {
     this.validationRules = new Map();
     this.customRules = new Map();
+    // Resolved chemicals per validated block list, shared by the safety rules
+    this.chemicalCache = new WeakMap();
+    // Scheduler timeline per protocol, shared by the efficiency and time rules
+    this.timelineCache = new WeakMap();
     this.ruleCategories = {
       structural: [],
       safety: [],
@@ -85,6 +187,37 @@ class ProtocolValidationEngine {
         }
       }
 
+      // Execute the declarative rules authored by the organization, if one is given
+      if (options.organization) {
+        const organizationRules = await validationRuleService.getActiveRules(options.organization);
+        for (const rule of organizationRules) {
+          try {
+            const ruleResult = validationRuleService.evaluate(rule, protocol, blocks);
+            validation.ruleResults[`org_${rule.name}`] = ruleResult;
+            validation.metadata.rulesExecuted++;
+
+            this.processRuleResult(validation, `org_${rule.name}`, ruleResult);
+          } catch (error) {
+            // A rule that cannot be evaluated must not pass silently
+            logger.error(`Organization validation rule ${rule.name} failed:`, error);
+            const message = `${rule.name}: rule could not be evaluated (${error.message})`;
+            const ruleResult = {
+              passed: false,
+              severity: rule.severity,
+              category: rule.category,
+              message,
+              location: null,
+              data: { ruleId: rule.id, organization: rule.organization, violations: [{ blockId: null, message }] },
+              suggestions: []
+            };
+            validation.ruleResults[`org_${rule.name}`] = ruleResult;
+            validation.metadata.rulesExecuted++;
+
+            this.processRuleResult(validation, `org_${rule.name}`, ruleResult);
+          }
+        }
+      }
+
       // Calculate overall scores
       this.calculateScores(validation);
 
@@ -194,6 +327,7 @@ class ProtocolValidationEngine {
     this.addRule('block_connections', this.validateBlockConnections.bind(this));
     this.addRule('orphaned_blocks', this.validateOrphanedBlocks.bind(this));
     this.addRule('circular_dependencies', this.validateCircularDependencies.bind(this));
+    this.addRule('sub_protocol_calls', this.validateSubProtocolCalls.bind(this));
 
     // Safety Rules
     this.addRule('temperature_safety', this.validateTemperatureSafety.bind(this));
@@ -369,7 +503,18 @@ class ProtocolValidationEngine {
     const minSafeTemp = options.minSafeTemperature || -80; // Celsius
 
     blocks.forEach(block => {
-      const temp = this.extractTemperature(block);
+      let temp;
+      try {
+        temp = this.extractTemperature(block);
+      } catch (error) {
+        temperatureIssues.push({
+          blockId: block.id,
+          temperature: null,
+          issue: 'invalid_unit',
+          message: `Temperature could not be read: ${error.message}`
+        });
+        return;
+      }
       if (temp !== null) {
         if (temp > maxSafeTemp) {
           temperatureIssues.push({
@@ -407,47 +552,47 @@ class ProtocolValidationEngine {
 
   async validateChemicalCompatibility(protocol, blocks, options) {
     const compatibilityIssues = [];
-    const chemicals = this.extractChemicals(blocks);
-    
-    // Check for known incompatible chemical combinations
-    const incompatiblePairs = [
-      ['acid', 'base'],
-      ['oxidizer', 'reducer'],
-      ['organic_solvent', 'water_sensitive'],
-      ['flammable', 'oxidizer']
-    ];
-
-    for (let i = 0; i < chemicals.length; i++) {
-      for (let j = i + 1; j < chemicals.length; j++) {
-        const chem1 = chemicals[i];
-        const chem2 = chemicals[j];
-        
-        incompatiblePairs.forEach(([type1, type2]) => {
-          if ((chem1.type === type1 && chem2.type === type2) ||
-              (chem1.type === type2 && chem2.type === type1)) {
-            compatibilityIssues.push({
-              chemical1: chem1.name,
-              chemical2: chem2.name,
-              issue: 'incompatible_combination',
-              blocks: [chem1.blockId, chem2.blockId]
-            });
-          }
+    const { chemicals } = await this.extractChemicals(blocks);
+    const uses = this.groupChemicalUses(chemicals);
+
+    // Check every pair against the GHS-derived incompatibility groups
+    for (let i = 0; i < uses.length; i++) {
+      for (let j = i + 1; j < uses.length; j++) {
+        const first = uses[i];
+        const second = uses[j];
+        const conflicts = chemicalHazardService.findConflicts(first.chemical, second.chemical);
+        if (conflicts.length === 0) continue;
+
+        const mixedIn = [...first.mixingBlocks].filter(blockId => second.mixingBlocks.has(blockId));
+        compatibilityIssues.push({
+          chemical1: this.summarizeChemical(first.chemical),
+          chemical2: this.summarizeChemical(second.chemical),
+          issue: mixedIn.length > 0 ? 'mixed_together' : 'incompatible_combination',
+          severity: mixedIn.length > 0 ? 'error' : 'warning',
+          conflicts,
+          blocks: [...new Set([...first.blockIds, ...second.blockIds])],
+          mixedIn,
+          message: `${first.chemical.name} and ${second.chemical.name}: ${conflicts.map(conflict => conflict.hazard).join('; ')}`
         });
       }
     }
 
+    const mixed = compatibilityIssues.filter(issue => issue.mixedIn.length > 0);
+    const first = mixed[0] || compatibilityIssues[0];
+
     return {
       passed: compatibilityIssues.length === 0,
-      severity: compatibilityIssues.length > 0 ? 'error' : 'info',
+      severity: mixed.length > 0 ? 'error' : (compatibilityIssues.length > 0 ? 'warning' : 'info'),
       category: 'safety',
       message: compatibilityIssues.length === 0 
-        ? 'No chemical compatibility issues found'
-        : `Found ${compatibilityIssues.length} chemical compatibility issues`,
-      location: compatibilityIssues.length > 0 ? compatibilityIssues[0].blocks[0] : null,
+        ? `No chemical compatibility issues found among ${uses.length} identified chemicals`
+        : `Found ${compatibilityIssues.length} chemical compatibility issues` +
+          (mixed.length > 0 ? ` (${mixed.length} combined in the same step)` : ''),
+      location: first ? (first.mixedIn[0] || first.blocks[0]) : null,
       data: { issues: compatibilityIssues },
-      suggestions: compatibilityIssues.length > 0 
-        ? ['Review chemical combinations and separate incompatible substances']
-        : []
+      suggestions: compatibilityIssues.map(issue => issue.mixedIn.length > 0
+        ? `Do not combine ${issue.chemical1.name} and ${issue.chemical2.name}: ${issue.conflicts[0].hazard}`
+        : `Keep ${issue.chemical1.name} and ${issue.chemical2.name} apart, including in waste containers: ${issue.conflicts[0].hazard}`)
     };
   }
 
@@ -584,51 +729,250 @@ class ProtocolValidationEngine {
     return processTypes.some(type => block.type.startsWith(type));
   }
 
+  // Temperature in °C from a TEMPERATURE field or input; bare numbers are taken as °C.
+  // Throws when the value carries a unit that is not a temperature.
   extractTemperature(block) {
-    if (block.fields?.TEMPERATURE) {
-      const temp = parseFloat(block.fields.TEMPERATURE);
-      return isNaN(temp) ? null : temp;
-    }
-    return null;
+    const temperature = quantity.readBlockQuantity(block, 'TEMPERATURE');
+    return temperature ? quantity.convert(temperature, '°C', '°C') : null;
   }
 
-  extractChemicals(blocks) {
-    const chemicals = [];
-    
+  /**
+   * Chemicals named in the protocol, resolved against the chemical hazard database.
+   * Sources are reagent_variable names, REAGENT/CHEMICAL fields and the components of
+   * mixing steps; a chemical counts as mixed in a step when that step lists it.
+   * Declared reagents that cannot be resolved are returned as unresolved. Results are
+   * cached per block list, since several rules ask for them.
+   */
+  async extractChemicals(blocks) {
+    if (this.chemicalCache.has(blocks)) {
+      return this.chemicalCache.get(blocks);
+    }
+
+    const mentions = [];
+    const declaredNames = [];
+
     blocks.forEach(block => {
-      Object.entries(block.fields || {}).forEach(([key, value]) => {
-        if (key.includes('REAGENT') || key.includes('CHEMICAL')) {
-          chemicals.push({
-            name: value,
-            type: this.inferChemicalType(value),
-            blockId: block.id,
-            concentration: block.fields[`${key}_CONC`] || 'unknown'
-          });
+      const fields = block.fields || {};
+
+      if (block.type === 'reagent_variable' && fields.NAME) {
+        declaredNames.push(fields.NAME);
+        mentions.push({ name: fields.NAME, blockId: block.id, mixingBlockId: null, declared: true });
+      }
+
+      Object.entries(fields).forEach(([key, value]) => {
+        if ((key.includes('REAGENT') || key.includes('CHEMICAL')) && value && typeof value === 'string') {
+          mentions.push({ name: value, blockId: block.id, mixingBlockId: null, declared: true });
         }
       });
+
+      if (block.type === 'mixing_step' && fields.COMPONENTS) {
+        const names = new Set(this.splitComponents(fields.COMPONENTS));
+        declaredNames
+          .filter(name => inventoryService.mentions(fields.COMPONENTS, name))
+          .forEach(name => names.add(name));
+        names.forEach(name => mentions.push({ name, blockId: block.id, mixingBlockId: block.id, declared: false }));
+      }
     });
 
-    return chemicals;
+    const resolutions = new Map();
+    for (const name of new Set(mentions.map(mention => mention.name))) {
+      resolutions.set(name, await chemicalHazardService.resolveChemical(name));
+    }
+
+    const chemicals = mentions
+      .filter(mention => resolutions.get(mention.name))
+      .map(mention => ({ ...mention, chemical: resolutions.get(mention.name) }));
+
+    const unresolved = new Map();
+    mentions
+      .filter(mention => mention.declared && !resolutions.get(mention.name))
+      .forEach(mention => {
+        const entry = unresolved.get(mention.name) || { name: mention.name, blockIds: [] };
+        entry.blockIds.push(mention.blockId);
+        unresolved.set(mention.name, entry);
+      });
+
+    const result = { chemicals, unresolved: Array.from(unresolved.values()) };
+    this.chemicalCache.set(blocks, result);
+    return result;
+  }
+
+  // '1 M HCl, 10 mL of water + 70% ethanol' -> ['HCl', 'water', 'ethanol']
+  splitComponents(components) {
+    return String(components)
+      .split(/\s*(?:[,;+&|]|\band\b|\bwith\b)\s*/i)
+      .map(part => part.replace(/^[\d.]+\s*[a-zA-Zµμ%]*\s+(of\s+)?/, '').trim())
+      .filter(part => part.length >= 2);
   }
 
-  inferChemicalType(chemicalName) {
-    const typePatterns = {
-      'acid': ['acid', 'hcl', 'h2so4', 'hno3'],
-      'base': ['base', 'naoh', 'koh', 'nh4oh'],
-      'oxidizer': ['h2o2', 'kmno4', 'bleach'],
-      'organic_solvent': ['acetone', 'ethanol', 'methanol', 'chloroform'],
-      'flammable': ['ethanol', 'methanol', 'acetone', 'ether']
+  // One entry per chemical with every block that uses it and the mixing steps it is in
+  groupChemicalUses(chemicals) {
+    const uses = new Map();
+
+    chemicals.forEach(({ chemical, blockId, mixingBlockId }) => {
+      const key = chemical.casNumber || chemical.name.toLowerCase();
+      const use = uses.get(key) || { chemical, blockIds: new Set(), mixingBlocks: new Set() };
+      use.blockIds.add(blockId);
+      if (mixingBlockId) use.mixingBlocks.add(mixingBlockId);
+      uses.set(key, use);
+    });
+
+    return Array.from(uses.values());
+  }
+
+  summarizeChemical(chemical) {
+    return {
+      name: chemical.name,
+      casNumber: chemical.casNumber,
+      ghsHazards: chemical.ghsHazards,
+      signalWord: chemical.signalWord
     };
+  }
 
-    const lowerName = chemicalName.toLowerCase();
-    
-    for (const [type, patterns] of Object.entries(typePatterns)) {
-      if (patterns.some(pattern => lowerName.includes(pattern))) {
-        return type;
+  // Steps take bench time and run in sequence: procedures, instruments and specialized equipment
+  isStepBlock(block) {
+    const category = dependencyAnalysisEngine.getBlockCategory(block.type);
+    return category === 'procedure' || category === 'instrument' || EQUIPMENT_BLOCK_TYPES.includes(block.type);
+  }
+
+  // Statement chains in execution order, one per block that no other block follows
+  getSequences(blocks) {
+    const byId = new Map(blocks.map(block => [block.id, block]));
+    const followers = new Set(blocks.map(block => block.next).filter(Boolean));
+
+    return blocks
+      .filter(block => !followers.has(block.id) && (block.next || this.isStepBlock(block)))
+      .map(head => {
+        const sequence = [];
+        const seen = new Set();
+        for (let current = head; current && !seen.has(current.id); current = byId.get(current.next)) {
+          seen.add(current.id);
+          sequence.push(current);
+        }
+        return sequence;
+      });
+  }
+
+  // Names of samples, reagents and variables a block works on, from its text fields and plugged-in blocks
+  referencedNames(block, byId) {
+    const names = new Set();
+    ['SAMPLE', 'WHAT', 'COMPONENTS'].forEach(field => {
+      const value = block.fields?.[field];
+      if (typeof value === 'string' && value.trim()) names.add(value.trim().toLowerCase());
+    });
+    Object.values(block.inputs || {}).forEach(input => {
+      const child = byId.get(input.id);
+      const name = child?.fields?.VAR_NAME || child?.fields?.NAME || child?.fields?.TEXT;
+      if (typeof name === 'string' && name.trim()) names.add(name.trim().toLowerCase());
+    });
+    return names;
+  }
+
+  // Type, fields and inputs of a step; equal signatures mean the step does exactly the same thing
+  stepSignature(block, byId) {
+    const fields = Object.entries(block.fields || {}).sort(([a], [b]) => a.localeCompare(b));
+    const inputs = Object.entries(block.inputs || {})
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([name, input]) => {
+        if (input.quantity) return [name, quantity.format(input.quantity)];
+        const child = byId.get(input.id);
+        return [name, child ? [child.type, child.fields || {}] : null];
+      });
+    return JSON.stringify([block.type, fields, inputs]);
+  }
+
+  // A quantity converted to the given unit, or null when the block does not set it
+  readQuantityIn(block, name, unit, defaultUnit = unit) {
+    const value = quantity.readBlockQuantity(block, name);
+    return value ? quantity.convert(value, unit, defaultUnit) : null;
+  }
+
+  blockInstrumentId(block) {
+    // Generated instrument blocks carry the instrument in their data rather than a field
+    return block.fields?.INSTRUMENT_ID || block.data?.instrumentId || null;
+  }
+
+  // Registered instruments the blocks are linked to, by id; unknown ids are left out
+  async loadBlockInstruments(blocks) {
+    const instruments = new Map();
+    for (const id of new Set(blocks.map(block => this.blockInstrumentId(block)).filter(Boolean))) {
+      const instrument = await Instrument.findById(id);
+      if (instrument) instruments.set(id, instrument);
+    }
+    return instruments;
+  }
+
+  async findInstrumentsOfType(type, cache) {
+    if (!cache.has(type)) {
+      cache.set(type, await Instrument.findAll({ type }));
+    }
+    return cache.get(type);
+  }
+
+  // The timeline the scheduler would run, or null when it cannot be built. Required here rather than
+  // at the top because the scheduler depends on this engine; cached per protocol for the rules sharing it.
+  getTimeline(protocol) {
+    if (!protocol.workspaceJson) return null;
+    if (!this.timelineCache.has(protocol)) {
+      const schedulingService = require('./schedulingService');
+      let timeline = null;
+      try {
+        timeline = schedulingService.buildTimeline(protocol.workspaceJson);
+      } catch (error) {
+        logger.warn(`No timeline for protocol ${protocol.id}: ${error.message}`);
       }
+      this.timelineCache.set(protocol, timeline);
     }
+    return this.timelineCache.get(protocol);
+  }
+
+  /**
+   * Check a centrifugation speed against the rotor rating of the centrifuge running it: the linked
+   * instrument, or else every registered centrifuge, failing only when none of them is rated for it.
+   * Speeds are in rpm (the default) or x g; comparing one with the other needs the rotor radius.
+   * Returns an issue, { issue: 'unrated' } when no rating is recorded, or null.
+   */
+  async checkCentrifugeSpeed(block, instrument, cache) {
+    const speed = quantity.readBlockQuantity(block, 'SPEED');
+    if (!speed) return null;
+
+    const unit = speed.unit || 'rpm';
+    const dimension = quantity.dimensionOf(unit);
+    if (dimension !== 'rotation' && dimension !== 'acceleration') {
+      return { blockId: block.id, issue: 'invalid_unit', message: `Centrifuge speed must be in rpm or x g, not ${unit}` };
+    }
+
+    const candidates = instrument ? [instrument] : await this.findInstrumentsOfType('centrifuge', cache);
+    const rated = candidates.filter(centrifuge =>
+      centrifuge.specifications && (centrifuge.specifications.maxSpeed || centrifuge.specifications.maxRcf));
+    if (rated.length === 0) return { issue: 'unrated' };
+
+    const rpm = dimension === 'rotation' ? quantity.convert(speed, 'rpm') : null;
+    const rcf = dimension === 'acceleration' ? quantity.convert(speed, 'x g') : null;
+    const exceeds = ({ maxSpeed, maxRcf, rotorRadius }) => {
+      const speedRpm = rpm !== null ? rpm : (rotorRadius ? Math.sqrt(rcf / (RCF_FACTOR * rotorRadius)) : null);
+      const force = rcf !== null ? rcf : (rotorRadius ? RCF_FACTOR * rotorRadius * rpm ** 2 : null);
+      return Boolean((maxSpeed && speedRpm !== null && speedRpm > maxSpeed) || (maxRcf && force !== null && force > maxRcf));
+    };
+    if (rated.some(centrifuge => !exceeds(centrifuge.specifications))) return null;
 
-    return 'unknown';
+    const ratings = rated.map(centrifuge => ({
+      id: centrifuge.id,
+      name: centrifuge.name,
+      maxSpeed: centrifuge.specifications.maxSpeed || null,
+      maxRcf: centrifuge.specifications.maxRcf || null
+    }));
+    const describe = rating => [rating.maxRcf && `${rating.maxRcf} x g`, rating.maxSpeed && `${rating.maxSpeed} rpm`]
+      .filter(Boolean).join(' / ');
+
+    return {
+      blockId: block.id,
+      speed: quantity.format({ value: speed.value, unit }),
+      ratings,
+      issue: 'exceeds_rotor_rating',
+      message: `${quantity.format({ value: speed.value, unit })} exceeds the rotor rating of ` +
+        ratings.map(rating => `${rating.name} (${describe(rating)})`).join(', ')
+    };
   }
 
   extractRequiredInstruments(blocks) {
@@ -637,7 +981,7 @@ class ProtocolValidationEngine {
     blocks.forEach(block => {
       if (block.type.startsWith('instrument_')) {
         const instrumentType = block.type.split('_')[1];
-        const specificId = block.fields?.INSTRUMENT_ID;
+        const specificId = this.blockInstrumentId(block);
         
         instruments.push({
           blockId: block.id,
@@ -696,67 +1040,1102 @@ class ProtocolValidationEngine {
     };
   }
 
-  // Placeholder implementations for remaining rules
+  // Calls to library protocols; options.subProtocols holds the resolved callees by call block id
+  async validateSubProtocolCalls(protocol, blocks, options) {
+    const calls = blocks.filter(block => block.type === 'protocol_call');
+    const resolutions = options.subProtocols || {};
+    const issues = calls.flatMap(call => subProtocolService.checkCall(call, blocks, resolutions[call.id]));
+    const errors = issues.filter(issue => issue.severity === 'error');
+    const lead = errors[0] || issues[0];
+
+    const suggestions = [];
+    if (issues.some(issue => issue.type === 'unlinked')) {
+      suggestions.push('Pick the library protocol each call runs, so its inputs can be checked and it can be generated');
+    }
+    if (issues.some(issue => ['missing_input', 'unknown_parameter', 'type_mismatch'].includes(issue.type))) {
+      suggestions.push('Match the call parameters to the inputs of the called protocol');
+    }
+    if (issues.some(issue => ['newer_version', 'version_mismatch', 'unapproved', 'retired'].includes(issue.type))) {
+      suggestions.push('Link calls to an approved version of the library protocol');
+    }
+
+    return {
+      passed: issues.length === 0,
+      severity: errors.length > 0 ? 'error' : issues.length > 0 ? 'warning' : 'info',
+      category: 'structural',
+      message: calls.length === 0
+        ? 'Protocol does not call other protocols'
+        : issues.length === 0
+        ? `All ${calls.length} sub-protocol calls resolve and match their inputs`
+        : `Found ${issues.length} problems in ${calls.length} sub-protocol calls: ${lead.message}`,
+      location: lead ? lead.blockId : null,
+      data: { issues },
+      suggestions
+    };
+  }
+
   async validatePressureSafety(protocol, blocks, options) {
-    return { passed: true, category: 'safety', message: 'Pressure safety check passed' };
+    const pressureIssues = [];
+    const unratedSteps = [];
+    const maxSafePressure = options.maxSafePressure || DEFAULT_MAX_PRESSURE;
+    const instruments = await this.loadBlockInstruments(blocks);
+    const centrifugeCache = new Map();
+
+    for (const block of blocks) {
+      const instrument = instruments.get(this.blockInstrumentId(block));
+
+      let pressure = null;
+      try {
+        pressure = this.readQuantityIn(block, 'PRESSURE', 'bar');
+      } catch (error) {
+        pressureIssues.push({ blockId: block.id, issue: 'invalid_unit', message: `Pressure cannot be read: ${error.message}` });
+      }
+      const rating = instrument?.specifications?.maxPressure;
+      if (pressure !== null && pressure > (rating || maxSafePressure)) {
+        pressureIssues.push({
+          blockId: block.id,
+          pressure,
+          limit: rating || maxSafePressure,
+          issue: 'exceeds_pressure_limit',
+          message: rating
+            ? `Pressure of ${pressure} bar exceeds the ${rating} bar rating of ${instrument.name}`
+            : `Pressure of ${pressure} bar exceeds the safe maximum of ${maxSafePressure} bar`
+        });
+      }
+
+      if (block.type === 'centrifuge_step' || dependencyAnalysisEngine.extractInstrumentType(block) === 'centrifuge') {
+        const speedIssue = await this.checkCentrifugeSpeed(block, instrument, centrifugeCache);
+        if (speedIssue?.issue === 'unrated') {
+          unratedSteps.push(block.id);
+        } else if (speedIssue) {
+          pressureIssues.push(speedIssue);
+        }
+      }
+    }
+
+    const hasIssue = type => pressureIssues.some(issue => issue.issue === type);
+
+    return {
+      passed: pressureIssues.length === 0,
+      severity: pressureIssues.length > 0 ? 'error' : 'info',
+      priority: hasIssue('exceeds_rotor_rating') ? 'high' : 'medium',
+      category: 'safety',
+      message: pressureIssues.length === 0
+        ? 'Pressures and centrifuge speeds are within equipment ratings'
+        : `Found ${pressureIssues.length} pressure or centrifuge speed issues`,
+      location: pressureIssues.length > 0 ? pressureIssues[0].blockId : null,
+      data: { issues: pressureIssues, unratedSteps },
+      suggestions: [
+        ...(hasIssue('exceeds_rotor_rating') ? ['Lower the centrifuge speed or use a rotor rated for this force; an overloaded rotor can fail'] : []),
+        ...(hasIssue('exceeds_pressure_limit') ? ['Lower the operating pressure or use equipment rated for it'] : []),
+        ...(hasIssue('invalid_unit') ? ['Give pressures in bar, kPa or psi and centrifuge speeds in rpm or x g'] : []),
+        ...(unratedSteps.length > 0 ? ['Record maxSpeed, maxRcf and rotorRadius in the centrifuge specifications so speeds can be checked'] : [])
+      ]
+    };
   }
 
   async validateHazardousMaterials(protocol, blocks, options) {
-    return { passed: true, category: 'safety', message: 'Hazardous materials check passed' };
+    const { chemicals, unresolved } = await this.extractChemicals(blocks);
+
+    const materials = this.groupChemicalUses(chemicals)
+      .filter(use => use.chemical.ghsHazards.length > 0)
+      .map(use => ({
+        ...this.summarizeChemical(use.chemical),
+        hazardStatements: use.chemical.hazardStatements,
+        severeHazards: chemicalHazardService.severeHazards(use.chemical),
+        ppe: use.chemical.ppe,
+        storageClass: use.chemical.storageClass,
+        blocks: [...use.blockIds]
+      }));
+
+    const severe = materials.filter(material => material.severeHazards.length > 0);
+    const requiredPpe = [...new Set(materials.flatMap(material => material.ppe))];
+    const fumeHood = materials.filter(material => material.ppe.some(item => item.includes('fume hood')));
+
+    const suggestions = [];
+    if (requiredPpe.length > 0) {
+      suggestions.push(`Required PPE: ${requiredPpe.join(', ')}`);
+    }
+    severe.forEach(material => {
+      const statements = material.hazardStatements
+        .filter(statement => material.severeHazards.includes(statement.code))
+        .map(statement => `${statement.code} ${statement.statement}`);
+      suggestions.push(`${material.name}: ${statements.join('; ')}. Review the SDS and handling procedure before use`);
+    });
+    if (fumeHood.length > 0) {
+      suggestions.push(`Handle ${fumeHood.map(material => material.name).join(', ')} in a fume hood`);
+    }
+    if (unresolved.length > 0) {
+      suggestions.push(`Add ${unresolved.map(reagent => reagent.name).join(', ')} to the chemical database so their hazards can be checked`);
+    }
+
+    return {
+      passed: severe.length === 0,
+      severity: severe.length > 0 ? 'warning' : 'info',
+      priority: severe.length > 0 ? 'high' : 'medium',
+      category: 'safety',
+      message: materials.length === 0
+        ? 'No hazardous materials identified'
+        : `${materials.length} hazardous material(s) identified` +
+          (severe.length > 0 ? `, ${severe.length} with severe hazards` : ''),
+      location: severe.length > 0 ? severe[0].blocks[0] : (materials.length > 0 ? materials[0].blocks[0] : null),
+      data: { materials, requiredPpe, unresolved },
+      suggestions
+    };
   }
 
   async validateEmergencyProcedures(protocol, blocks, options) {
-    return { passed: true, category: 'safety', message: 'Emergency procedures check passed' };
+    const { chemicals } = await this.extractChemicals(blocks);
+    const hazards = new Map(); // blockId -> what makes the step hazardous
+    const addHazard = (blockId, hazard) => {
+      if (!hazards.has(blockId)) hazards.set(blockId, new Set());
+      hazards.get(blockId).add(hazard);
+    };
+
+    // A dangerous chemical is hazardous where it is handled; the declaration stands in when no step names it
+    this.groupChemicalUses(chemicals)
+      .filter(({ chemical }) => chemical.signalWord === 'Danger' || chemicalHazardService.severeHazards(chemical).length > 0)
+      .forEach(({ chemical, blockIds }) => {
+        const handledIn = [...blockIds].filter(id => blocks.find(block => block.id === id)?.type !== 'reagent_variable');
+        (handledIn.length > 0 ? handledIn : [...blockIds]).forEach(id => addHazard(id, chemical.name));
+      });
+
+    blocks.forEach(block => {
+      try {
+        const temperature = this.extractTemperature(block);
+        const pressure = this.readQuantityIn(block, 'PRESSURE', 'bar');
+        if (temperature !== null && temperature >= HOT_TEMPERATURE) addHazard(block.id, `${temperature}°C`);
+        if (temperature !== null && temperature <= CRYOGENIC_TEMPERATURE) addHazard(block.id, `cryogenic ${temperature}°C`);
+        if (pressure !== null && pressure > 1) addHazard(block.id, `${pressure} bar`);
+      } catch (error) {
+        // Unreadable temperatures and pressures are reported by their own rules
+      }
+    });
+
+    const emergencyIssues = [];
+    if (hazards.size > 0) {
+      const texts = [protocol.description, ...blocks.map(block => block.fields?.DESCRIPTION)];
+      if (!texts.some(text => typeof text === 'string' && EMERGENCY_PATTERN.test(text))) {
+        const [firstId, firstHazards] = hazards.entries().next().value;
+        emergencyIssues.push({
+          blockId: firstId,
+          issue: 'no_emergency_procedure',
+          message: `Protocol involves ${[...firstHazards].join(', ')} but documents no spill, exposure or emergency procedure`
+        });
+      }
+
+      hazards.forEach((stepHazards, blockId) => {
+        const block = blocks.find(other => other.id === blockId);
+        const confirmed = precedingBlocks(block, blocks)
+          .some(other => other.type === 'checkpoint' && isFieldChecked(other, 'MANUAL_CONFIRM'));
+        if (!confirmed) {
+          const label = dependencyAnalysisEngine.getBlockLabel(block);
+          const details = [...stepHazards].filter(hazard => hazard !== label);
+          emergencyIssues.push({
+            blockId,
+            hazards: [...stepHazards],
+            issue: 'no_safety_checkpoint',
+            message: `${label}${details.length > 0 ? ` (${details.join(', ')})` : ''} has no confirmed safety checkpoint before it`
+          });
+        }
+      });
+    }
+
+    return {
+      passed: emergencyIssues.length === 0,
+      severity: emergencyIssues.length > 0 ? 'warning' : 'info',
+      priority: emergencyIssues.length > 0 ? 'high' : 'medium',
+      category: 'safety',
+      message: hazards.size === 0
+        ? 'No steps need emergency procedures'
+        : (emergencyIssues.length === 0
+          ? `Emergency procedures cover ${hazards.size} hazardous step(s)`
+          : `Found ${emergencyIssues.length} emergency procedure issues`),
+      location: emergencyIssues.length > 0 ? emergencyIssues[0].blockId : null,
+      data: {
+        hazardousSteps: [...hazards].map(([blockId, stepHazards]) => ({ blockId, hazards: [...stepHazards] })),
+        issues: emergencyIssues
+      },
+      suggestions: [
+        ...(emergencyIssues.some(issue => issue.issue === 'no_emergency_procedure')
+          ? ['Describe spill clean-up, exposure first aid and the nearest eyewash and safety shower in the protocol description'] : []),
+        ...(emergencyIssues.some(issue => issue.issue === 'no_safety_checkpoint')
+          ? ['Add a checkpoint with manual confirmation before each hazardous step (PPE on, fume hood running, emergency kit at hand)'] : [])
+      ]
+    };
   }
 
   async validateRedundantSteps(protocol, blocks, options) {
-    return { passed: true, category: 'efficiency', message: 'No redundant steps found' };
+    const byId = new Map(blocks.map(block => [block.id, block]));
+    const redundancies = [];
+
+    this.getSequences(blocks).forEach(sequence => {
+      for (let i = 1; i < sequence.length; i++) {
+        const previous = sequence[i - 1];
+        const block = sequence[i];
+        if (!this.isStepBlock(previous) || !this.isStepBlock(block)) continue;
+
+        if (this.stepSignature(previous, byId) === this.stepSignature(block, byId)) {
+          redundancies.push({
+            blockId: block.id,
+            duplicateOf: previous.id,
+            type: block.type,
+            issue: 'duplicate_step',
+            message: `${dependencyAnalysisEngine.getBlockLabel(block)} repeats the step before it with identical settings`
+          });
+        } else if (previous.type === 'wait_step' && block.type === 'wait_step') {
+          redundancies.push({
+            blockId: block.id,
+            duplicateOf: previous.id,
+            type: block.type,
+            issue: 'consecutive_waits',
+            message: 'Two waits in a row can be merged into one'
+          });
+        }
+      }
+    });
+
+    const duplicates = redundancies.filter(redundancy => redundancy.issue === 'duplicate_step');
+
+    return {
+      passed: redundancies.length === 0,
+      severity: redundancies.length > 0 ? 'warning' : 'info',
+      category: 'efficiency',
+      message: redundancies.length === 0
+        ? 'No redundant steps found'
+        : `Found ${redundancies.length} redundant steps`,
+      location: redundancies.length > 0 ? redundancies[0].blockId : null,
+      data: { redundancies },
+      suggestions: [
+        ...(duplicates.some(redundancy => redundancy.type === 'wash_step') ? ['Raise the cycle count of a wash instead of repeating the wash step'] : []),
+        ...(duplicates.some(redundancy => redundancy.type !== 'wash_step') ? ['Remove repeated steps, or note why the repeat is needed (e.g. replicate readings)'] : []),
+        ...(redundancies.some(redundancy => redundancy.issue === 'consecutive_waits') ? ['Merge consecutive waits into a single wait step'] : [])
+      ]
+    };
   }
 
   async validateOptimalSequence(protocol, blocks, options) {
-    return { passed: true, category: 'efficiency', message: 'Sequence optimization check passed' };
+    const byId = new Map(blocks.map(block => [block.id, block]));
+    const sequenceIssues = [];
+    const instrumentOf = block => this.blockInstrumentId(block) || dependencyAnalysisEngine.extractInstrumentType(block);
+
+    this.getSequences(blocks).forEach(sequence => {
+      const steps = sequence.filter(block => this.isStepBlock(block));
+
+      // Returning to an instrument straight after switching away from it means setting it up twice
+      for (let i = 2; i < steps.length; i++) {
+        const instrument = instrumentOf(steps[i]);
+        const between = instrumentOf(steps[i - 1]);
+        if (instrument && between && between !== instrument && instrumentOf(steps[i - 2]) === instrument) {
+          sequenceIssues.push({
+            blockId: steps[i].id,
+            instrument,
+            issue: 'interleaved_instrument_use',
+            message: `${instrument} is used again right after switching to ${between}; group its steps together if the order allows`
+          });
+        }
+      }
+
+      // A wait at the very end of the protocol only delays the finish
+      const last = sequence[sequence.length - 1];
+      const parent = byId.get(sequence[0].parent);
+      if (last.type === 'wait_step' && (!parent || parent.type === 'protocol_definition')) {
+        sequenceIssues.push({
+          blockId: last.id,
+          issue: 'trailing_wait',
+          message: 'The protocol ends with a wait that nothing follows'
+        });
+      }
+    });
+
+    return {
+      passed: sequenceIssues.length === 0,
+      severity: sequenceIssues.length > 0 ? 'warning' : 'info',
+      category: 'efficiency',
+      message: sequenceIssues.length === 0
+        ? 'Step order makes good use of instruments'
+        : `Found ${sequenceIssues.length} step ordering issues`,
+      location: sequenceIssues.length > 0 ? sequenceIssues[0].blockId : null,
+      data: { issues: sequenceIssues },
+      suggestions: [
+        ...(sequenceIssues.some(issue => issue.issue === 'interleaved_instrument_use') ? ['Group steps on the same instrument so it is set up once'] : []),
+        ...(sequenceIssues.some(issue => issue.issue === 'trailing_wait') ? ['Remove the final wait, or replace it with the step it was waiting for'] : [])
+      ]
+    };
   }
 
   async validateResourceUtilization(protocol, blocks, options) {
-    return { passed: true, category: 'efficiency', message: 'Resource utilization check passed' };
+    const utilizationIssues = [];
+    const maxIdle = (options.maxInstrumentIdleMinutes || 30) * 60;
+
+    // Declarations nothing refers to, by variable name or in a step's text
+    blocks
+      .filter(block => DECLARATION_TYPES.includes(block.type) && block.fields?.NAME)
+      .forEach(declaration => {
+        const name = declaration.fields.NAME;
+        const used = blocks.some(block => block.id !== declaration.id &&
+          Object.values(block.fields || {}).some(value =>
+            typeof value === 'string' && (value === name || inventoryService.mentions(value, name))));
+        if (!used) {
+          utilizationIssues.push({
+            blockId: declaration.id,
+            name,
+            issue: 'unused_declaration',
+            message: `${declaration.type.replace('_variable', '')} "${name}" is declared but never used`
+          });
+        }
+      });
+
+    // Instruments held for a long window but busy for little of it
+    const timeline = this.getTimeline(protocol);
+    if (timeline) {
+      const schedulingService = require('./schedulingService');
+      const instruments = await this.loadBlockInstruments(timeline.blocks);
+      const stepsById = new Map(timeline.steps.map(step => [step.blockId, step]));
+
+      schedulingService.collectInstrumentUsages(timeline, 0).forEach(usage => {
+        if (usage.windows.length < 2) return;
+        const start = usage.windows[0].startOffset;
+        const end = Math.max(...usage.windows.map(window => window.endOffset));
+        const busy = usage.windows
+          .flatMap(window => window.blockIds)
+          .reduce((total, blockId) => total + stepsById.get(blockId).duration, 0);
+        const idle = end - start - busy;
+
+        if (idle >= maxIdle && busy / (end - start) < 0.5) {
+          const name = instruments.get(usage.instrumentId)?.name || usage.instrumentType;
+          utilizationIssues.push({
+            blockId: usage.windows[1].blockIds[0],
+            instrumentId: usage.instrumentId,
+            instrumentType: usage.instrumentType,
+            busy,
+            idle,
+            issue: 'instrument_idle',
+            message: `${name} is busy ${Math.round(busy / 60)} min of the ${Math.round((end - start) / 60)} min ` +
+              'between its first and last use'
+          });
+        }
+      });
+    }
+
+    return {
+      passed: utilizationIssues.length === 0,
+      severity: utilizationIssues.length > 0 ? 'warning' : 'info',
+      category: 'efficiency',
+      message: utilizationIssues.length === 0
+        ? 'All declared resources are used and instruments are not held idle'
+        : `Found ${utilizationIssues.length} resource utilization issues`,
+      location: utilizationIssues.length > 0 ? utilizationIssues[0].blockId : null,
+      data: { issues: utilizationIssues },
+      suggestions: [
+        ...(utilizationIssues.some(issue => issue.issue === 'unused_declaration') ? ['Remove unused declarations, or refer to them in the steps that use them'] : []),
+        ...(utilizationIssues.some(issue => issue.issue === 'instrument_idle') ? ['Move steps on the same instrument closer together so it can be released in between'] : [])
+      ]
+    };
   }
 
   async validateParallelization(protocol, blocks, options) {
-    return { passed: true, category: 'efficiency', message: 'Parallelization opportunities checked' };
+    const byId = new Map(blocks.map(block => [block.id, block]));
+    const minWindow = (options.minParallelWindowMinutes || 10) * 60;
+    const opportunities = [];
+
+    this.getSequences(blocks).forEach(sequence => {
+      sequence.forEach((block, index) => {
+        if (!PASSIVE_STEP_TYPES.includes(block.type)) return;
+        const duration = dependencyAnalysisEngine.estimateBlockDuration(block);
+        if (duration < minWindow) return;
+
+        // A wait holds whatever the step before it is working on
+        const holder = block.type === 'wait_step' && index > 0 ? sequence[index - 1] : block;
+        const held = this.referencedNames(holder, byId);
+        if (held.size === 0) return;
+
+        // Active steps straight after it that work on other material could run during it
+        const independent = [];
+        for (const next of sequence.slice(index + 1)) {
+          if (!this.isStepBlock(next) || PASSIVE_STEP_TYPES.includes(next.type)) break;
+          const names = this.referencedNames(next, byId);
+          if (names.size === 0 || [...names].some(name => held.has(name))) break;
+          independent.push(next);
+        }
+        if (independent.length === 0) return;
+
+        const activeTime = independent.reduce((total, step) => total + dependencyAnalysisEngine.estimateBlockDuration(step), 0);
+        opportunities.push({
+          blockId: block.id,
+          duration,
+          steps: independent.map(step => step.id),
+          timeSaving: Math.min(duration, activeTime),
+          message: `${independent.map(step => dependencyAnalysisEngine.getBlockLabel(step)).join(', ')} ` +
+            `could run during the ${Math.round(duration / 60)} min ${dependencyAnalysisEngine.getBlockLabel(block).toLowerCase().replace(/_/g, ' ')}`
+        });
+      });
+    });
+
+    const totalSaving = opportunities.reduce((total, opportunity) => total + opportunity.timeSaving, 0);
+
+    return {
+      passed: opportunities.length === 0,
+      severity: opportunities.length > 0 ? 'warning' : 'info',
+      priority: 'low',
+      category: 'efficiency',
+      message: opportunities.length === 0
+        ? 'No parallelization opportunities found'
+        : `Found ${opportunities.length} parallelization opportunities saving up to ${Math.round(totalSaving / 60)} min`,
+      location: opportunities.length > 0 ? opportunities[0].blockId : null,
+      data: { opportunities, totalSaving },
+      suggestions: opportunities.map(opportunity => `${opportunity.message}; wrap them in a parallel steps block`)
+    };
   }
 
+  // Checks the requirements of the compliance profile selected with options.complianceProfile;
+  // approval signatures are read from options.signatures ({ signedBy, meaning, signedAt })
   async validateRegulatoryCompliance(protocol, blocks, options) {
-    return { passed: true, category: 'compliance', message: 'Regulatory compliance check passed' };
+    if (!options.complianceProfile) {
+      return { passed: true, severity: 'info', category: 'compliance', message: 'No compliance profile selected' };
+    }
+
+    const profile = complianceProfileService.getProfile(options.complianceProfile);
+    const { requirements } = profile;
+    const complianceIssues = [];
+    const addIssue = (requirement, issue) => complianceIssues.push({ requirement, blockId: null, ...issue });
+
+    if (requirements.required_metadata) {
+      requirements.required_metadata.fields
+        .filter(field => {
+          const value = protocol[field];
+          return Array.isArray(value) ? value.length === 0 : !String(value ?? '').trim();
+        })
+        .forEach(field => addIssue('required_metadata', {
+          field,
+          issue: 'metadata_missing',
+          message: `The protocol has no ${field}`
+        }));
+    }
+
+    if (requirements.approval_signatures) {
+      const { count, meanings } = requirements.approval_signatures;
+      const signatures = (options.signatures || []).filter(signature => signature.signedBy && signature.meaning);
+      const signers = new Set(signatures.map(signature => signature.signedBy));
+
+      if (signers.size < count) {
+        addIssue('approval_signatures', {
+          issue: 'signatures_missing',
+          message: `The protocol has ${signers.size} of the ${count} approval signatures the profile requires`
+        });
+      }
+      meanings
+        .filter(meaning => !signatures.some(signature => signature.meaning === meaning))
+        .forEach(meaning => addIssue('approval_signatures', {
+          meaning,
+          issue: 'signature_meaning_missing',
+          message: `No signature records ${meaning} of the protocol`
+        }));
+    }
+
+    if (requirements.checkpoints) {
+      const { min, manualConfirm } = requirements.checkpoints;
+      const checkpoints = blocks.filter(block => block.type === 'checkpoint');
+
+      if (checkpoints.length < min) {
+        addIssue('checkpoints', {
+          issue: 'checkpoints_missing',
+          message: `The protocol has ${checkpoints.length} checkpoints; the profile requires at least ${min}`
+        });
+      }
+      checkpoints
+        .filter(block => manualConfirm ? !this.isDocumentedCheckpoint(block) : !block.fields?.DESCRIPTION?.trim())
+        .forEach(block => addIssue('checkpoints', {
+          blockId: block.id,
+          issue: 'checkpoint_undocumented',
+          message: manualConfirm
+            ? `Checkpoint "${block.fields?.NAME}" needs a description and manual confirmation by the operator`
+            : `Checkpoint "${block.fields?.NAME}" has no description`
+        }));
+    }
+
+    if (requirements.calibration_current) {
+      const runDate = options.runDate ? new Date(options.runDate) : new Date();
+      const instruments = await this.loadBlockInstruments(blocks);
+
+      blocks.forEach(block => {
+        const id = this.blockInstrumentId(block);
+        if (!id) {
+          if (block.type.startsWith('instrument_')) {
+            addIssue('calibration_current', {
+              blockId: block.id,
+              issue: 'instrument_not_identified',
+              message: `${dependencyAnalysisEngine.getBlockLabel(block)} does not name an instrument, so its calibration cannot be shown`
+            });
+          }
+          return;
+        }
+
+        const instrument = instruments.get(id);
+        const due = instrument?.calibrationData?.nextCalibrationDue;
+        if (!instrument) {
+          addIssue('calibration_current', {
+            blockId: block.id,
+            instrumentId: id,
+            issue: 'instrument_not_registered',
+            message: `${dependencyAnalysisEngine.getBlockLabel(block)} uses an instrument that is not registered`
+          });
+        } else if (!due) {
+          addIssue('calibration_current', {
+            blockId: block.id,
+            instrumentId: id,
+            issue: 'calibration_not_recorded',
+            message: `${instrument.name} has no calibration record`
+          });
+        } else if (new Date(due) < runDate) {
+          addIssue('calibration_current', {
+            blockId: block.id,
+            instrumentId: id,
+            calibrationDue: due,
+            issue: 'calibration_overdue',
+            message: `${instrument.name} was due for calibration on ${new Date(due).toISOString().slice(0, 10)}`
+          });
+        }
+      });
+    }
+
+    if (requirements.deviation_path) {
+      blocks
+        .filter(block => block.type === 'quality_check' && !this.hasDeviationPath(block, blocks))
+        .forEach(block => addIssue('deviation_path', {
+          blockId: block.id,
+          issue: 'deviation_undocumented',
+          message: `Quality check "${block.fields?.CHECK_NAME || block.id}" lets the run continue after a failure without recording the deviation`
+        }));
+    }
+
+    const hasIssue = type => complianceIssues.some(issue => issue.issue === type);
+
+    return {
+      passed: complianceIssues.length === 0,
+      severity: complianceIssues.length > 0 ? 'error' : 'info',
+      priority: 'high',
+      category: 'compliance',
+      message: complianceIssues.length === 0
+        ? `Meets the ${profile.name} requirements`
+        : `Found ${complianceIssues.length} ${profile.name} compliance gaps`,
+      location: complianceIssues.find(issue => issue.blockId)?.blockId || null,
+      data: { profile: profile.id, issues: complianceIssues },
+      suggestions: [
+        ...(hasIssue('metadata_missing') ? ['Fill in the protocol description, version and category'] : []),
+        ...(hasIssue('signatures_missing') || hasIssue('signature_meaning_missing') ? ['Have the protocol reviewed and signed before it is used'] : []),
+        ...(hasIssue('checkpoints_missing') ? ['Add checkpoints at the points where the operator must confirm progress'] : []),
+        ...(hasIssue('checkpoint_undocumented') ? ['Describe each checkpoint and require manual confirmation'] : []),
+        ...(hasIssue('instrument_not_identified') || hasIssue('instrument_not_registered') ? ['Select a registered instrument for each instrument step'] : []),
+        ...(hasIssue('calibration_not_recorded') || hasIssue('calibration_overdue') ? ['Record a current calibration for every instrument used'] : []),
+        ...(hasIssue('deviation_undocumented') ? ['Stop on quality check failures, or follow them with a confirmed checkpoint that records the deviation'] : [])
+      ]
+    };
+  }
+
+  // A checkpoint the operator must confirm, saying what they confirm
+  isDocumentedCheckpoint(block) {
+    return block?.type === 'checkpoint' && isFieldChecked(block, 'MANUAL_CONFIRM') && Boolean(block.fields?.DESCRIPTION?.trim());
+  }
+
+  // A failing quality check either halts the run (stop, or repeat until retries run out), leads
+  // straight to a confirmed checkpoint, or is the condition of a branch that records the deviation
+  hasDeviationPath(block, blocks) {
+    const byId = new Map(blocks.map(other => [other.id, other]));
+    const parent = byId.get(block.parent);
+    const branching = parent && FAILURE_BRANCHES[parent.type];
+
+    if (branching && parent.inputs?.[branching.condition]?.id === block.id) {
+      const branch = [];
+      let current = byId.get(parent.inputs[branching.branch]?.id);
+      while (current && !branch.includes(current)) {
+        branch.push(current);
+        current = byId.get(current.next);
+      }
+      return branch.some(step => this.isDocumentedCheckpoint(step));
+    }
+
+    if (!CONTINUING_FAILURE_ACTIONS.includes(block.fields?.FAILURE_ACTION)) {
+      return true;
+    }
+    return this.isDocumentedCheckpoint(byId.get(block.next));
   }
 
   async validateDocumentation(protocol, blocks, options) {
-    return { passed: true, category: 'compliance', message: 'Documentation requirements met' };
+    const documentationIssues = [];
+    const definition = blocks.find(block => block.type === 'protocol_definition');
+    const description = [protocol.description, definition?.fields?.DESCRIPTION]
+      .filter(text => typeof text === 'string')
+      .reduce((longest, text) => (text.trim().length > longest.length ? text.trim() : longest), '');
+
+    if (description.length < MIN_DESCRIPTION_LENGTH) {
+      documentationIssues.push({
+        blockId: definition?.id || null,
+        issue: 'missing_protocol_description',
+        message: description ? 'The protocol description is too short to explain its purpose' : 'The protocol has no description'
+      });
+    }
+
+    blocks.forEach(block => {
+      if (DESCRIBED_BLOCK_TYPES.includes(block.type) && block.type !== 'protocol_definition' && !block.fields?.DESCRIPTION?.trim()) {
+        documentationIssues.push({
+          blockId: block.id,
+          issue: 'missing_description',
+          message: `${dependencyAnalysisEngine.getBlockLabel(block)} has no description`
+        });
+      }
+
+      const placeholders = Object.entries(PLACEHOLDER_FIELDS[block.type] || {})
+        .filter(([field, placeholder]) => block.fields?.[field] === placeholder)
+        .map(([field]) => field);
+      if (placeholders.length > 0) {
+        documentationIssues.push({
+          blockId: block.id,
+          fields: placeholders,
+          issue: 'placeholder_value',
+          message: `${dependencyAnalysisEngine.getBlockLabel(block)} still has its default ${placeholders.join(', ')}`
+        });
+      }
+    });
+
+    return {
+      passed: documentationIssues.length === 0,
+      severity: documentationIssues.length > 0 ? 'warning' : 'info',
+      category: 'compliance',
+      message: documentationIssues.length === 0
+        ? 'Documentation requirements met'
+        : `Found ${documentationIssues.length} documentation gaps`,
+      location: documentationIssues.length > 0 ? documentationIssues[0].blockId : null,
+      data: { issues: documentationIssues },
+      suggestions: [
+        ...(documentationIssues.some(issue => issue.issue === 'missing_protocol_description') ? ['Describe the purpose, scope and expected outcome of the protocol'] : []),
+        ...(documentationIssues.some(issue => issue.issue === 'missing_description') ? ['Describe each sequence, input and output so others can reuse them'] : []),
+        ...(documentationIssues.some(issue => issue.issue === 'placeholder_value') ? ['Replace default block values with the actual samples, methods and names'] : [])
+      ]
+    };
   }
 
   async validateQualityControls(protocol, blocks, options) {
-    return { passed: true, category: 'compliance', message: 'Quality controls validated' };
+    const controlIssues = [];
+    const assays = blocks.filter(block => ASSAY_BLOCK_TYPES.includes(block.type));
+
+    if (assays.length > 0) {
+      // Controls are named in free text; dropdown values are upper case and never name one
+      const texts = blocks.flatMap(block => Object.values(block.fields || {}))
+        .filter(value => typeof value === 'string' && value !== value.toUpperCase());
+      const hasControl = pattern => texts.some(text => pattern.test(text));
+
+      if (!hasControl(NEGATIVE_CONTROL_PATTERN)) {
+        controlIssues.push({
+          blockId: assays[0].id,
+          issue: 'missing_negative_control',
+          message: `${dependencyAnalysisEngine.getBlockLabel(assays[0])} has no negative control (blank, no-template or vehicle)`
+        });
+      }
+      if (!hasControl(POSITIVE_CONTROL_PATTERN)) {
+        controlIssues.push({
+          blockId: assays[0].id,
+          issue: 'missing_positive_control',
+          message: `${dependencyAnalysisEngine.getBlockLabel(assays[0])} has no positive control or reference standard`
+        });
+      }
+    }
+
+    blocks
+      .filter(block => block.type === 'quality_check')
+      .forEach(block => {
+        const missing = ['EXPECTED', 'TOLERANCE'].filter(input => !block.inputs?.[input]);
+        if (missing.length > 0) {
+          controlIssues.push({
+            blockId: block.id,
+            missing,
+            issue: 'incomplete_acceptance_criteria',
+            message: `Quality check "${block.fields?.CHECK_NAME || block.id}" has no ${missing.join(' or ').toLowerCase()} value`
+          });
+        }
+      });
+
+    return {
+      passed: controlIssues.length === 0,
+      severity: controlIssues.length > 0 ? 'warning' : 'info',
+      priority: controlIssues.some(issue => issue.issue.startsWith('missing_')) ? 'high' : 'medium',
+      category: 'compliance',
+      message: controlIssues.length === 0
+        ? (assays.length > 0 ? 'Assays have negative and positive controls' : 'No assays requiring controls')
+        : `Found ${controlIssues.length} quality control issues`,
+      location: controlIssues.length > 0 ? controlIssues[0].blockId : null,
+      data: { assays: assays.map(block => block.id), issues: controlIssues },
+      suggestions: [
+        ...(controlIssues.some(issue => issue.issue === 'missing_negative_control') ? ['Run a negative control (blank, no-template or vehicle sample) alongside the samples'] : []),
+        ...(controlIssues.some(issue => issue.issue === 'missing_positive_control') ? ['Include a positive control or reference standard to show the assay works'] : []),
+        ...(controlIssues.some(issue => issue.issue === 'incomplete_acceptance_criteria') ? ['Give every quality check an expected value and a tolerance'] : [])
+      ]
+    };
   }
 
   async validateTraceability(protocol, blocks, options) {
-    return { passed: true, category: 'compliance', message: 'Traceability requirements met' };
+    const traceabilityIssues = [];
+    const runDate = options.runDate ? new Date(options.runDate) : new Date();
+    const instruments = await this.loadBlockInstruments(blocks);
+
+    blocks.forEach(block => {
+      const fields = block.fields || {};
+
+      if (block.type === 'reagent_variable' && (!fields.INVENTORY_ITEM || fields.INVENTORY_ITEM === 'NONE')) {
+        traceabilityIssues.push({
+          blockId: block.id,
+          issue: 'reagent_not_linked',
+          message: `Reagent "${fields.NAME}" is not linked to an inventory item, so its lot is not recorded`
+        });
+      }
+
+      if (block.type === 'equipment_variable' && !fields.MODEL?.trim()) {
+        traceabilityIssues.push({
+          blockId: block.id,
+          issue: 'equipment_model_missing',
+          message: `Equipment "${fields.NAME}" has no model`
+        });
+      }
+
+      if (block.type.startsWith('instrument_') && !this.blockInstrumentId(block)) {
+        traceabilityIssues.push({
+          blockId: block.id,
+          issue: 'instrument_not_identified',
+          message: `${dependencyAnalysisEngine.getBlockLabel(block)} does not name the instrument that runs it`
+        });
+      }
+    });
+
+    instruments.forEach((instrument, id) => {
+      const due = instrument.calibrationData?.nextCalibrationDue;
+      if (due && new Date(due) < runDate) {
+        traceabilityIssues.push({
+          blockId: blocks.find(block => this.blockInstrumentId(block) === id).id,
+          instrumentId: id,
+          calibrationDue: due,
+          issue: 'calibration_overdue',
+          message: `${instrument.name} was due for calibration on ${new Date(due).toISOString().slice(0, 10)}`
+        });
+      }
+    });
+
+    // Results stored under the same name overwrite each other
+    const resultNames = new Map();
+    blocks.forEach(block => {
+      const name = block.fields?.RESULT_VAR || block.fields?.RECORD_VAR;
+      if (!name) return;
+      if (resultNames.has(name)) {
+        traceabilityIssues.push({
+          blockId: block.id,
+          duplicateOf: resultNames.get(name),
+          issue: 'duplicate_result_name',
+          message: `Result "${name}" is also stored by an earlier step and will be overwritten`
+        });
+      } else {
+        resultNames.set(name, block.id);
+      }
+    });
+
+    const overdue = traceabilityIssues.filter(issue => issue.issue === 'calibration_overdue');
+    const hasIssue = type => traceabilityIssues.some(issue => issue.issue === type);
+
+    return {
+      passed: traceabilityIssues.length === 0,
+      severity: overdue.length > 0 ? 'error' : (traceabilityIssues.length > 0 ? 'warning' : 'info'),
+      category: 'compliance',
+      message: traceabilityIssues.length === 0
+        ? 'Traceability requirements met'
+        : `Found ${traceabilityIssues.length} traceability gaps`,
+      location: traceabilityIssues.length > 0 ? (overdue[0] || traceabilityIssues[0]).blockId : null,
+      data: { issues: traceabilityIssues },
+      suggestions: [
+        ...(overdue.length > 0 ? [`Calibrate ${overdue.map(issue => instruments.get(issue.instrumentId).name).join(', ')} before the run`] : []),
+        ...(hasIssue('reagent_not_linked') ? ['Link each reagent to an inventory item so lot numbers are recorded'] : []),
+        ...(hasIssue('instrument_not_identified') ? ['Select the specific instrument for each instrument step'] : []),
+        ...(hasIssue('equipment_model_missing') ? ['Record the model of each piece of equipment'] : []),
+        ...(hasIssue('duplicate_result_name') ? ['Give every stored result a unique name'] : [])
+      ]
+    };
   }
 
   async validateReagentQuantities(protocol, blocks, options) {
-    return { passed: true, category: 'resource', message: 'Reagent quantities validated' };
+    if (!protocol.workspaceJson) {
+      return { passed: true, category: 'resource', message: 'No workspace to check reagent quantities against' };
+    }
+
+    const preflight = await inventoryService.preflight(protocol, {
+      sampleCount: options.sampleCount,
+      runDate: options.runDate
+    });
+    const errors = preflight.issues.filter(issue => issue.severity === 'error');
+
+    return {
+      passed: preflight.passed,
+      severity: errors.length > 0 ? 'error' : (preflight.issues.length > 0 ? 'warning' : 'info'),
+      category: 'resource',
+      message: preflight.issues.length === 0
+        ? `Inventory covers all ${preflight.reagents.length} reagents for ${preflight.sampleCount} sample(s)`
+        : `Found ${preflight.issues.length} reagent inventory issues`,
+      location: preflight.issues.length > 0 ? preflight.issues[0].blockId : null,
+      data: { sampleCount: preflight.sampleCount, reagents: preflight.reagents, issues: preflight.issues },
+      suggestions: [
+        ...(errors.some(issue => issue.type === 'shortfall') ? ['Order or prepare more stock, or reduce the sample count'] : []),
+        ...(preflight.issues.some(issue => issue.type === 'expired_lot') ? ['Discard expired lots and record their removal in the inventory'] : []),
+        ...(preflight.issues.some(issue => issue.type === 'not_in_inventory') ? ['Link each reagent to an inventory item with the reagent block picker'] : [])
+      ]
+    };
   }
 
   async validateTimeConstraints(protocol, blocks, options) {
-    return { passed: true, category: 'resource', message: 'Time constraints validated' };
+    const timeIssues = [];
+    const maxDuration = (options.maxDurationHours || 8) * 3600;
+
+    blocks
+      .filter(block => TIMED_STEP_TYPES.includes(block.type))
+      .forEach(block => {
+        const label = dependencyAnalysisEngine.getBlockLabel(block);
+        try {
+          if (this.readQuantityIn(block, 'TIME', 's', block.fields?.TIME_UNITS || 'min') === null) {
+            timeIssues.push({
+              blockId: block.id,
+              issue: 'missing_duration',
+              message: `${label} has no duration, so the run time is estimated`
+            });
+          }
+        } catch (error) {
+          timeIssues.push({ blockId: block.id, issue: 'invalid_duration', message: `${label} duration cannot be read: ${error.message}` });
+        }
+      });
+
+    // Run length from the scheduler's timeline, or the sum of step estimates without a workspace
+    const timeline = this.getTimeline(protocol);
+    const totalDuration = timeline
+      ? timeline.totalDuration
+      : blocks.filter(block => this.isStepBlock(block))
+        .reduce((total, block) => total + dependencyAnalysisEngine.estimateBlockDuration(block), 0);
+
+    if (totalDuration > maxDuration) {
+      const overrun = timeline?.steps.find(step => step.endOffset > maxDuration);
+      timeIssues.push({
+        blockId: overrun ? overrun.blockId : null,
+        totalDuration,
+        issue: 'exceeds_session',
+        message: `The protocol takes ${(totalDuration / 3600).toFixed(1)} h, longer than a ${maxDuration / 3600} h session`
+      });
+    }
+
+    const hasIssue = type => timeIssues.some(issue => issue.issue === type);
+
+    return {
+      passed: timeIssues.length === 0,
+      severity: hasIssue('invalid_duration') ? 'error' : (timeIssues.length > 0 ? 'warning' : 'info'),
+      category: 'resource',
+      message: timeIssues.length === 0
+        ? `Protocol fits a ${maxDuration / 3600} h session (${Math.round(totalDuration / 60)} min)`
+        : `Found ${timeIssues.length} time constraint issues`,
+      location: timeIssues.length > 0 ? timeIssues[0].blockId : null,
+      data: { totalDuration, maxDuration, criticalPath: timeline ? timeline.criticalPath : [], issues: timeIssues },
+      suggestions: [
+        ...(hasIssue('missing_duration') ? ['Set a time on every incubation, centrifugation and wait step'] : []),
+        ...(hasIssue('invalid_duration') ? ['Give durations in s, min or h'] : []),
+        ...(hasIssue('exceeds_session') ? ['Add a checkpoint where the run can pause safely (e.g. an overnight incubation) or split the protocol into sessions'] : [])
+      ]
+    };
   }
 
   async validateSpaceRequirements(protocol, blocks, options) {
-    return { passed: true, category: 'resource', message: 'Space requirements validated' };
+    const required = new Map(); // space -> blockIds
+    const need = (space, blockId) => {
+      if (!required.has(space)) required.set(space, new Set());
+      required.get(space).add(blockId);
+    };
+
+    const { chemicals } = await this.extractChemicals(blocks);
+    chemicals
+      .filter(({ chemical }) => chemical.ppe.some(item => item.includes('fume hood')))
+      .forEach(({ blockId }) => need('fume_hood', blockId));
+
+    blocks.forEach(block => {
+      if (block.type === 'sample_variable' && block.fields?.TYPE === 'CELLS') need('biosafety_cabinet', block.id);
+      if (dependencyAnalysisEngine.requiresSpecialEnvironment(block)) {
+        need(dependencyAnalysisEngine.getRequiredEnvironment(block), block.id);
+      }
+
+      let temperature = null;
+      try {
+        temperature = this.extractTemperature(block);
+      } catch (error) {
+        return; // Reported by the temperature safety rule
+      }
+      if (temperature === null) return;
+      if (block.type === 'incubation_step' && temperature <= 8) need('cold_room', block.id);
+      if (block.type === 'incubation_step' && temperature >= 25 && temperature <= 45) need('incubator', block.id);
+      if (block.type === 'centrifuge_step' && temperature < 15) need('refrigerated_centrifuge', block.id);
+    });
+
+    const spaceIssues = [];
+    if (options.availableSpaces) {
+      required.forEach((blockIds, space) => {
+        if (!options.availableSpaces.includes(space)) {
+          spaceIssues.push({
+            blockId: [...blockIds][0],
+            space,
+            issue: 'space_unavailable',
+            message: `${space.replace(/_/g, ' ')} is needed but not available`
+          });
+        }
+      });
+    }
+
+    // Consecutive instrument steps in different rooms mean carrying samples between them
+    const instruments = await this.loadBlockInstruments(blocks);
+    this.getSequences(blocks).forEach(sequence => {
+      const located = sequence
+        .map(block => ({ block, instrument: instruments.get(this.blockInstrumentId(block)) }))
+        .filter(({ instrument }) => instrument?.location);
+      for (let i = 1; i < located.length; i++) {
+        const from = located[i - 1].instrument;
+        const to = located[i].instrument;
+        if (from.location !== to.location) {
+          spaceIssues.push({
+            blockId: located[i].block.id,
+            from: from.location,
+            to: to.location,
+            issue: 'location_change',
+            message: `Samples move from ${from.name} (${from.location}) to ${to.name} (${to.location})`
+          });
+        }
+      }
+    });
+
+    const unavailable = spaceIssues.filter(issue => issue.issue === 'space_unavailable');
+
+    return {
+      passed: spaceIssues.length === 0,
+      severity: unavailable.length > 0 ? 'error' : (spaceIssues.length > 0 ? 'warning' : 'info'),
+      category: 'resource',
+      message: spaceIssues.length === 0
+        ? (required.size > 0 ? `Needs ${[...required.keys()].join(', ').replace(/_/g, ' ')}` : 'No special lab spaces needed')
+        : `Found ${spaceIssues.length} space issues`,
+      location: spaceIssues.length > 0 ? spaceIssues[0].blockId : null,
+      data: {
+        requiredSpaces: [...required].map(([space, blockIds]) => ({ space, blocks: [...blockIds] })),
+        issues: spaceIssues
+      },
+      suggestions: [
+        ...unavailable.map(issue => `Book a ${issue.space.replace(/_/g, ' ')} or adapt the steps that need it`),
+        ...(spaceIssues.some(issue => issue.issue === 'location_change') ? ['Use instruments in the same room where possible, and plan sample transport between rooms'] : [])
+      ]
+    };
   }
 
   async validateMeasurementPrecision(protocol, blocks, options) {
-    return { passed: true, category: 'quality', message: 'Measurement precision validated' };
+    const precisionIssues = [];
+    const instruments = await this.loadBlockInstruments(blocks);
+    const typeCache = new Map();
+    const within = (value, range) => value >= range.min && value <= range.max;
+
+    for (const block of blocks) {
+      const instrument = instruments.get(this.blockInstrumentId(block));
+      const label = dependencyAnalysisEngine.getBlockLabel(block);
+
+      try {
+        const readerTypes = block.type === 'measurement_step' && WAVELENGTH_INSTRUMENT_TYPES[block.fields?.MEASUREMENT_TYPE];
+        if (readerTypes) {
+          const wavelength = this.readQuantityIn(block, 'WAVELENGTH', 'nm');
+          if (wavelength === null) {
+            precisionIssues.push({
+              blockId: block.id,
+              issue: 'missing_wavelength',
+              message: `${block.fields.MEASUREMENT_TYPE.toLowerCase()} measurement has no wavelength`
+            });
+          } else {
+            const readers = instrument
+              ? [instrument]
+              : (await Promise.all(readerTypes.map(type => this.findInstrumentsOfType(type, typeCache)))).flat();
+            const ranged = readers.filter(reader => reader.specifications?.wavelengths);
+            if (ranged.length > 0 && !ranged.some(reader => within(wavelength, reader.specifications.wavelengths))) {
+              precisionIssues.push({
+                blockId: block.id,
+                wavelength,
+                issue: 'wavelength_out_of_range',
+                message: `No reader covers ${wavelength} nm (` +
+                  ranged.map(reader => `${reader.name}: ${reader.specifications.wavelengths.min}-${reader.specifications.wavelengths.max} nm`).join(', ') + ')'
+              });
+            }
+          }
+        }
+
+        if (block.type === 'transfer_step' && block.fields?.METHOD === 'PIPETTE') {
+          const volume = this.readQuantityIn(block, 'VOLUME', 'μL');
+          if (volume !== null && !within(volume, PIPETTE_VOLUMES)) {
+            precisionIssues.push({
+              blockId: block.id,
+              volume,
+              issue: 'pipette_volume_out_of_range',
+              message: `Pipetting ${volume} μL is outside the ${PIPETTE_VOLUMES.min}-${PIPETTE_VOLUMES.max} μL pipettes handle accurately`
+            });
+          }
+        }
+
+        const volumes = instrument?.specifications?.volumes;
+        if (volumes && block.type !== 'transfer_step') {
+          const volume = this.readQuantityIn(block, 'VOLUME', 'μL');
+          if (volume !== null && !within(volume, volumes)) {
+            precisionIssues.push({
+              blockId: block.id,
+              volume,
+              issue: 'volume_out_of_range',
+              message: `${label} volume of ${volume} μL is outside the ${volumes.min}-${volumes.max} μL range of ${instrument.name}`
+            });
+          }
+        }
+      } catch (error) {
+        precisionIssues.push({ blockId: block.id, issue: 'invalid_unit', message: `${label}: ${error.message}` });
+      }
+
+      // A relative tolerance tighter than the measuring instrument's CV fails on noise alone
+      if (block.type === 'quality_check') {
+        const tolerance = quantity.readBlockQuantity(block, 'TOLERANCE');
+        const measuredBy = precedingBlocks(block, blocks)
+          .map(other => instruments.get(this.blockInstrumentId(other)))
+          .find(other => other?.specifications?.precision);
+        if (tolerance?.unit === '%' && measuredBy &&
+            tolerance.value < TOLERANCE_TO_PRECISION * measuredBy.specifications.precision) {
+          precisionIssues.push({
+            blockId: block.id,
+            tolerance: tolerance.value,
+            precision: measuredBy.specifications.precision,
+            issue: 'tolerance_below_precision',
+            message: `Tolerance of ${tolerance.value}% is tight for ${measuredBy.name}, whose CV is ${measuredBy.specifications.precision}%`
+          });
+        }
+      }
+    }
+
+    const hasIssue = type => precisionIssues.some(issue => issue.issue === type);
+
+    return {
+      passed: precisionIssues.length === 0,
+      severity: precisionIssues.length > 0 ? 'warning' : 'info',
+      category: 'quality',
+      message: precisionIssues.length === 0
+        ? 'Measurements are within instrument specifications'
+        : `Found ${precisionIssues.length} measurement precision issues`,
+      location: precisionIssues.length > 0 ? precisionIssues[0].blockId : null,
+      data: { issues: precisionIssues },
+      suggestions: [
+        ...(hasIssue('missing_wavelength') ? ['Set the wavelength for absorbance, fluorescence and OD measurements'] : []),
+        ...(hasIssue('wavelength_out_of_range') ? ['Pick a wavelength the available readers cover, or a reader that covers it'] : []),
+        ...(hasIssue('pipette_volume_out_of_range') ? ['Dilute to pipette small volumes, or use a dispenser or serological pipette for large ones'] : []),
+        ...(hasIssue('volume_out_of_range') ? ['Adjust the volume to the instrument range'] : []),
+        ...(hasIssue('tolerance_below_precision') ? [`Widen the tolerance to at least ${TOLERANCE_TO_PRECISION}x the instrument CV, or add replicate measurements`] : []),
+        ...(hasIssue('invalid_unit') ? ['Use wavelengths in nm and volumes in μL or mL'] : [])
+      ]
+    };
   }
 
+  // Placeholder implementations
   async validateErrorHandling(protocol, blocks, options) {
     return { passed: true, category: 'quality', message: 'Error handling validated' };
   }
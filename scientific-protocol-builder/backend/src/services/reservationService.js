@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const Instrument = require('../models/Instrument');
+const Reservation = require('../models/Reservation');
+const logger = require('../utils/logger');
+
+/**
+ * Reservation Service
+ * Books instruments for time slots, expands recurring bookings into individual
+ * occurrences, answers per-instrument calendar queries and renders iCalendar feeds.
+ */
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// iCalendar weekday codes, indexed like Date.getUTCDay()
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Upper bound on the occurrences one recurring booking may create
+const MAX_OCCURRENCES = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ReservationService {
+  /**
+   * Expand a recurrence rule into concrete slots.
+   * The rule is { frequency, interval, count | until, daysOfWeek } where frequency is
+   * daily, weekly or monthly and daysOfWeek (weekly only) lists iCalendar codes such
+   * as ['MO', 'WE']. Occurrences never start before the requested slot.
+   */
+  expandRecurrence(startTime, endTime, recurrence) {
+    const start = new Date(startTime);
+    const duration = new Date(endTime) - start;
+
+    if (!recurrence) {
+      return [{ startTime: start, endTime: new Date(start.getTime() + duration) }];
+    }
+
+    const { frequency, interval = 1, count, until, daysOfWeek } = recurrence;
+
+    if (!FREQUENCIES.includes(frequency)) {
+      throw new Error(`Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}`);
+    }
+    if (!count && !until) {
+      throw new Error('Recurrence needs either a count or an until date');
+    }
+    if (count > MAX_OCCURRENCES) {
+      throw new Error(`Recurrence may create at most ${MAX_OCCURRENCES} occurrences`);
+    }
+
+    const untilDate = until ? new Date(until) : null;
+    // One more than allowed, so an until date that is too far away can be reported
+    const limit = count || MAX_OCCURRENCES + 1;
+    const step = Math.max(parseInt(interval, 10) || 1, 1);
+    const weekdays = frequency === 'weekly' && Array.isArray(daysOfWeek) && daysOfWeek.length > 0
+      ? daysOfWeek.map(day => WEEKDAYS.indexOf(String(day).toUpperCase())).filter(day => day >= 0)
+      : null;
+
+    const starts = [];
+    const accept = candidate => {
+      if (candidate < start) return true;
+      if (untilDate && candidate > untilDate) return false;
+      if (starts.length >= limit) return false;
+      starts.push(candidate);
+      return true;
+    };
+
+    for (let period = 0; starts.length < limit; period++) {
+      let keepGoing = true;
+
+      if (frequency === 'daily') {
+        keepGoing = accept(new Date(start.getTime() + period * step * DAY_MS));
+      } else if (frequency === 'weekly') {
+        const weekStart = new Date(start.getTime() + period * step * 7 * DAY_MS);
+        if (weekdays) {
+          // Occurrences on each listed weekday of the week the period starts in
+          const sunday = new Date(weekStart.getTime() - weekStart.getUTCDay() * DAY_MS);
+          for (const day of [...weekdays].sort((a, b) => a - b)) {
+            keepGoing = accept(new Date(sunday.getTime() + day * DAY_MS));
+            if (!keepGoing) break;
+          }
+        } else {
+          keepGoing = accept(weekStart);
+        }
+      } else {
+        const candidate = new Date(start);
+        candidate.setUTCMonth(start.getUTCMonth() + period * step);
+        // Skip months without this day (e.g. the 31st) rather than rolling into the next month
+        keepGoing = candidate.getUTCDate() === start.getUTCDate() ? accept(candidate) : true;
+      }
+
+      if (!keepGoing || period > MAX_OCCURRENCES * 31) break;
+    }
+
+    if (starts.length > MAX_OCCURRENCES) {
+      throw new Error(`Recurrence may create at most ${MAX_OCCURRENCES} occurrences`);
+    }
+
+    return starts.map(slotStart => ({
+      startTime: slotStart,
+      endTime: new Date(slotStart.getTime() + duration)
+    }));
+  }
+
+  /**
+   * Reserve an instrument, optionally as a recurring series. All occurrences are
+   * booked atomically: if any of them conflicts, none are stored.
+   */
+  async createReservation(instrumentId, reservationData, userId) {
+    const { startTime, endTime, purpose, notes, protocolId, recurrence } = reservationData;
+
+    const instrument = await Instrument.findById(instrumentId);
+    if (!instrument) {
+      throw new Error('Instrument not found');
+    }
+
+    this.validateInterval(startTime, endTime);
+
+    const occurrences = this.expandRecurrence(startTime, endTime, recurrence);
+    const seriesId = recurrence ? crypto.randomUUID() : null;
+
+    const reservations = await this.bookSlots(occurrences.map(occurrence => ({
+      instrumentId,
+      protocolId,
+      seriesId,
+      recurrence: recurrence || null,
+      purpose,
+      notes,
+      startTime: occurrence.startTime,
+      endTime: occurrence.endTime
+    })), userId);
+
+    logger.info(`Instrument ${instrument.name} reserved by user ${userId}: ${reservations.length} slot(s)`);
+    return reservations;
+  }
+
+  /**
+   * Book a set of slots, possibly across instruments, all or nothing.
+   * Each slot is { instrumentId, startTime, endTime, purpose, notes, protocolId, seriesId }.
+   */
+  async bookSlots(slots, userId) {
+    slots.forEach(slot => this.validateInterval(slot.startTime, slot.endTime));
+    return Reservation.createMany(slots, userId);
+  }
+
+  validateInterval(startTime, endTime) {
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      throw new Error('Reservation start and end times must be valid dates');
+    }
+    if (end <= start) {
+      throw new Error('Reservation must end after it starts');
+    }
+    if (end <= new Date()) {
+      throw new Error('Reservation must end in the future');
+    }
+  }
+
+  /**
+   * Cancel a reservation. Scope 'single' cancels one occurrence, 'following' this and
+   * later occurrences of its series, 'series' the whole series. Only the person who
+   * booked it or an admin may cancel.
+   */
+  async cancelReservation(reservationId, user, scope = 'single') {
+    const reservation = await Reservation.findById(reservationId);
+    if (!reservation) {
+      throw new Error('Reservation not found');
+    }
+
+    if (reservation.userId !== user.id && user.role !== 'admin') {
+      throw new Error('Access denied: You can only cancel your own reservations');
+    }
+
+    const cancelled = await reservation.cancel(user.id, scope);
+    logger.info(`Reservation ${reservationId} cancelled by user ${user.id} (${cancelled.length} slot(s))`);
+    return cancelled;
+  }
+
+  async checkConflicts(instrumentId, startTime, endTime, excludeId = null) {
+    return Reservation.findConflicts(instrumentId, new Date(startTime), new Date(endTime), excludeId);
+  }
+
+  /**
+   * Bookings of one instrument in a window, with the free gaps between them
+   */
+  async getInstrumentCalendar(instrumentId, from, to) {
+    const instrument = await Instrument.findById(instrumentId);
+    if (!instrument) {
+      throw new Error('Instrument not found');
+    }
+
+    const windowStart = from ? new Date(from) : new Date();
+    const windowEnd = to ? new Date(to) : new Date(windowStart.getTime() + 7 * DAY_MS);
+
+    const reservations = await Reservation.findAll({
+      instrumentId,
+      from: windowStart,
+      to: windowEnd
+    });
+
+    const free = [];
+    let cursor = windowStart;
+    reservations.forEach(reservation => {
+      const start = new Date(reservation.startTime);
+      const end = new Date(reservation.endTime);
+      if (start > cursor) {
+        free.push({ startTime: cursor, endTime: start });
+      }
+      if (end > cursor) cursor = end;
+    });
+    if (cursor < windowEnd) {
+      free.push({ startTime: cursor, endTime: windowEnd });
+    }
+
+    return {
+      instrument: { id: instrument.id, name: instrument.name, location: instrument.location },
+      from: windowStart,
+      to: windowEnd,
+      reservations,
+      free
+    };
+  }
+
+  /**
+   * Render reservations as an iCalendar (RFC 5545) feed. Cancelled bookings are kept
+   * with STATUS:CANCELLED so subscribed calendars remove them.
+   */
+  toICalendar(reservations, calendarName) {
+    const stamp = this.formatICalDate(new Date());
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Scientific Protocol Builder//Instrument Reservations//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeICalText(calendarName)}`
+    ];
+
+    reservations.forEach(reservation => {
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${reservation.id}@scientific-protocol-builder`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${this.formatICalDate(new Date(reservation.startTime))}`,
+        `DTEND:${this.formatICalDate(new Date(reservation.endTime))}`,
+        `SUMMARY:${this.escapeICalText(
+          reservation.instrumentName ? `${reservation.instrumentName}: ${reservation.purpose}` : reservation.purpose
+        )}`,
+        `STATUS:${reservation.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`
+      );
+      if (reservation.notes) {
+        lines.push(`DESCRIPTION:${this.escapeICalText(reservation.notes)}`);
+      }
+      if (reservation.userEmail) {
+        lines.push(`ORGANIZER:mailto:${reservation.userEmail}`);
+      }
+      if (reservation.updatedAt) {
+        lines.push(`LAST-MODIFIED:${this.formatICalDate(new Date(reservation.updatedAt))}`);
+      }
+      lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(line => this.foldICalLine(line)).join('\r\n') + '\r\n';
+  }
+
+  formatICalDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  escapeICalText(text) {
+    return String(text || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  // Lines longer than 75 octets continue on the next line after a single space
+  foldICalLine(line) {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+      const limit = parts.length === 0 ? 75 : 74;
+      if (Buffer.byteLength(current + char) > limit) {
+        parts.push(current);
+        current = '';
+      }
+      current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
+}
+
+module.exports = new ReservationService();
@@ -0,0 +1,497 @@
+const logger = require('../utils/logger');
+const { flattenWorkspace } = require('../utils/blocklyWorkspace');
+const wells = require('../utils/wells');
+
+/**
+ * Sample Lineage Service
+ * Gives every sample an explicit identity and follows it through the steps that move or change
+ * it, so a run's lineage is a DAG from the source samples to what ends up in each well. It can
+ * answer which sources contributed to a well and be exported as W3C PROV-JSON.
+ */
+
+// Steps that create samples: transfers make aliquots (pooled when the destination already holds
+// something), mixing pools its components, centrifugation derives a processed sample
+const LINEAGE_STEP_TYPES = ['transfer_step', 'mixing_step', 'centrifuge_step'];
+
+// Declarations that name a source sample before any step uses it
+const DECLARATION_TYPES = {
+  sample_variable: 'SAMPLE',
+  reagent_variable: 'REAGENT'
+};
+
+const PROV_NAMESPACE = 'urn:scientific-protocol-builder:';
+
+const SAMPLE_KIND_TYPES = {
+  source: 'spb:SourceSample',
+  aliquot: 'spb:Aliquot',
+  pool: 'spb:Pool',
+  derivative: 'spb:Derivative'
+};
+
+class SampleLineageService {
+  /**
+   * Lineage of a protocol as written: every lineage step once, in workspace order.
+   * blocks are flattened blocks (flattenWorkspace); returns { samples, activities, locations, issues }
+   */
+  trace(blocks) {
+    return this.build(blocks, blocks.map(block => ({ blockId: block.id, stepKey: block.id })));
+  }
+
+  /**
+   * Lineage of a run from its step log, so steps repeated by loops create new samples on every
+   * iteration and each activity records when it ran and who performed it
+   */
+  traceRun(execution, steps) {
+    const blocks = flattenWorkspace(execution.workspaceJson);
+    const runSteps = steps
+      .filter(step => step.status === 'completed')
+      .map(step => ({
+        blockId: step.blockId,
+        stepKey: step.stepKey,
+        parameters: step.parameters || {},
+        startedAt: step.startedAt,
+        endedAt: step.completedAt,
+        operatorId: step.operatorId
+      }));
+
+    const lineage = this.build(blocks, runSteps);
+    lineage.executionId = execution.id;
+    lineage.protocolId = execution.protocolId;
+    logger.info(`Lineage of run ${execution.id}: ${lineage.samples.length} samples, ${lineage.activities.length} activities`);
+    return lineage;
+  }
+
+  isLineageStep(blockType) {
+    return LINEAGE_STEP_TYPES.includes(blockType);
+  }
+
+  // Other steps only use the samples named in their SAMPLE input, e.g. a measurement of a well
+  usesSamples(block) {
+    return this.isLineageStep(block.type) || (block.type.endsWith('_step') && !!block.inputs?.SAMPLE);
+  }
+
+  build(blocks, steps) {
+    const byId = new Map(blocks.map(block => [block.id, block]));
+    const formats = this.labwareFormats(blocks);
+    const samples = [];
+    const activities = [];
+    const current = new Map(); // location key -> sample id now held there
+    const history = new Map(); // location key -> every sample id held there, in order
+    const issues = [];
+
+    const place = (sample) => {
+      const key = this.locationKey(sample.location);
+      current.set(key, sample.id);
+      if (!history.has(key)) history.set(key, []);
+      history.get(key).push(sample.id);
+    };
+    const create = (properties) => {
+      const sample = {
+        id: `sample-${samples.length + 1}`,
+        derivedFrom: [],
+        createdBy: null,
+        ...properties
+      };
+      samples.push(sample);
+      place(sample);
+      return sample;
+    };
+    const sampleById = id => samples[parseInt(id.slice('sample-'.length), 10) - 1];
+    // Sample held at a location; a location nothing has been put in yet holds an undeclared source
+    const holding = (location) => {
+      const id = current.get(this.locationKey(location));
+      if (id) return sampleById(id);
+      return create({ kind: 'source', label: this.locationKey(location), location, declared: false });
+    };
+
+    this.declaredSources(blocks, formats).forEach(source => create({ kind: 'source', declared: true, ...source }));
+
+    steps.forEach(step => {
+      const block = byId.get(step.blockId);
+      if (!block || !this.usesSamples(block)) return;
+
+      const activity = {
+        id: `activity-${activities.length + 1}`,
+        blockId: block.id,
+        stepKey: step.stepKey,
+        type: block.type,
+        startedAt: step.startedAt || null,
+        endedAt: step.endedAt || null,
+        operatorId: step.operatorId || null,
+        used: [],
+        generated: []
+      };
+      activities.push(activity);
+
+      const use = (sample) => {
+        if (!activity.used.includes(sample.id)) activity.used.push(sample.id);
+        return sample;
+      };
+      const generate = (properties) => {
+        const sample = create({ createdBy: activity.id, ...properties });
+        activity.generated.push(sample.id);
+        return sample;
+      };
+      const locate = (inputName) => {
+        try {
+          return this.locationsOf(block, inputName, byId, formats, step.parameters);
+        } catch (error) {
+          issues.push({ blockId: block.id, message: error.message });
+          return null;
+        }
+      };
+
+      if (block.type === 'transfer_step') {
+        const sources = locate('SOURCE');
+        const destinations = locate('DESTINATION');
+        if (!sources || !destinations) return;
+        const pairs = wells.pairWells(sources, destinations);
+        if (!pairs) {
+          issues.push({
+            blockId: block.id,
+            message: `Transfer pairs ${sources.length} source wells with ${destinations.length} destination wells`
+          });
+          return;
+        }
+        const volume = this.inputValue(block, 'VOLUME', step.parameters);
+        pairs.forEach(([from, to]) => {
+          const source = use(holding(from));
+          const existing = current.get(this.locationKey(to));
+          const aliquot = generate({
+            kind: 'aliquot',
+            label: `Aliquot of ${source.label}`,
+            location: to,
+            volume,
+            derivedFrom: [source.id]
+          });
+          if (existing) {
+            const previous = use(sampleById(existing));
+            generate({
+              kind: 'pool',
+              label: `Pool in ${this.locationKey(to)}`,
+              location: to,
+              derivedFrom: [previous.id, aliquot.id]
+            });
+          }
+        });
+      } else if (block.type === 'mixing_step') {
+        // One container is mixed well by well; several named components are combined into a
+        // pool in the first one's container
+        const components = this.componentLocations(block, formats, issues);
+        if (components.length === 1) {
+          components[0].forEach(location => {
+            const sample = use(holding(location));
+            generate({ kind: 'derivative', label: `${sample.label} (mixed)`, process: 'mixing', location, derivedFrom: [sample.id] });
+          });
+        } else if (components.length > 1) {
+          const locations = components.reduce((all, group) => all.concat(group), []);
+          const parts = locations.map(location => use(holding(location)));
+          generate({
+            kind: 'pool',
+            label: `Mix of ${parts.map(part => part.label).join(', ')}`,
+            location: locations[0],
+            derivedFrom: parts.map(part => part.id)
+          });
+        }
+      } else if (block.type === 'centrifuge_step') {
+        const locations = locate('SAMPLE');
+        if (!locations) return;
+        const conditions = {
+          speed: this.inputValue(block, 'SPEED', step.parameters),
+          time: this.inputValue(block, 'TIME', step.parameters),
+          temperature: this.inputValue(block, 'TEMPERATURE', step.parameters)
+        };
+        locations.forEach(location => {
+          const sample = use(holding(location));
+          generate({
+            kind: 'derivative',
+            label: `${sample.label} (centrifuged)`,
+            process: 'centrifugation',
+            conditions,
+            location,
+            derivedFrom: [sample.id]
+          });
+        });
+      } else {
+        (locate('SAMPLE') || []).forEach(location => use(holding(location)));
+      }
+    });
+
+    return {
+      samples,
+      activities,
+      locations: Object.fromEntries(Array.from(history.entries()).map(([key, ids]) => [key, {
+        current: current.get(key),
+        history: ids
+      }])),
+      issues
+    };
+  }
+
+  // labware_definition formats by labware name
+  labwareFormats(blocks) {
+    const formats = {};
+    blocks.filter(block => block.type === 'labware_definition').forEach(block => {
+      const name = block.fields?.NAME;
+      if (name && !formats[name]) formats[name] = wells.getFormat(block.fields?.FORMAT);
+    });
+    return formats;
+  }
+
+  // Sources known before the first step: wells loaded in a plate map, and declared samples and reagents
+  declaredSources(blocks, formats) {
+    const byId = new Map(blocks.map(block => [block.id, block]));
+    const sources = [];
+
+    blocks.filter(block => block.type === 'labware_definition').forEach(definition => {
+      const labware = definition.fields?.NAME;
+      let assignment = byId.get(definition.inputs?.CONTENTS?.id);
+      while (assignment) {
+        const volume = Number(assignment.fields?.VOLUME) || 0;
+        // Wells with no loaded volume are filled by transfers, so they are not sources
+        if (assignment.type === 'well_assignment' && volume > 0) {
+          try {
+            wells.expandWells(assignment.fields?.WELLS, formats[labware]).forEach(well => sources.push({
+              label: assignment.fields?.CONTENT,
+              content: assignment.fields?.CONTENT,
+              role: assignment.fields?.ROLE,
+              location: { labware, well },
+              volume,
+              blockId: assignment.id
+            }));
+          } catch (error) {
+            // Invalid wells are reported by the plate map checks
+          }
+        }
+        assignment = byId.get(assignment.next);
+      }
+    });
+
+    blocks.filter(block => DECLARATION_TYPES[block.type]).forEach(block => {
+      const name = block.fields?.NAME;
+      if (!name || sources.some(source => source.location.labware === name)) return;
+      sources.push({
+        label: name,
+        content: name,
+        role: DECLARATION_TYPES[block.type],
+        location: { labware: name, well: null },
+        blockId: block.id
+      });
+    });
+
+    return sources;
+  }
+
+  /**
+   * Locations a SOURCE/DESTINATION style input refers to, one per well. The run's evaluated
+   * parameter is used when the input is an expression, e.g. a variable holding a location.
+   */
+  locationsOf(block, inputName, byId, formats, parameters = {}) {
+    const input = block.inputs?.[inputName];
+    const child = input && byId.get(input.id);
+    let reference = null;
+
+    if (child && child.type === 'well_reference') {
+      reference = { labware: child.fields?.LABWARE, wells: child.fields?.WELLS || null };
+    } else if (typeof parameters[inputName] === 'string' && parameters[inputName].trim()) {
+      reference = wells.parseReference(parameters[inputName]);
+    } else if (child && child.type === 'text') {
+      reference = wells.parseReference(child.fields?.TEXT || '');
+    } else if (child) {
+      const name = child.fields?.VAR_NAME || child.fields?.NAME;
+      if (name) reference = { labware: name, wells: null };
+    }
+
+    if (!reference || !reference.labware) return null;
+    if (!reference.wells) return [{ labware: reference.labware, well: null }];
+    return wells.expandWells(reference.wells, formats[reference.labware])
+      .map(well => ({ labware: reference.labware, well }));
+  }
+
+  // Containers named in a mixing step's components, e.g. "sample1, buffer" or "plate1:A1,B1 and buffer"
+  componentLocations(block, formats, issues) {
+    const components = [];
+    String(block.fields?.COMPONENTS || '')
+      .split(/,|;|\+|\band\b/i)
+      .map(part => part.trim())
+      .filter(part => part)
+      .forEach(part => {
+        // A bare well continues the well list of the labware before it
+        const previous = components[components.length - 1];
+        if (previous && previous.includes(':') && /^A?[A-Z]\d{1,2}(-A?[A-Z]\d{1,2})?$/i.test(part)) {
+          components[components.length - 1] = `${previous},${part}`;
+        } else {
+          components.push(part);
+        }
+      });
+
+    return components
+      .map(component => {
+        const reference = wells.parseReference(component);
+        if (!reference.wells) return [{ labware: reference.labware, well: null }];
+        try {
+          return wells.expandWells(reference.wells, formats[reference.labware])
+            .map(well => ({ labware: reference.labware, well }));
+        } catch (error) {
+          issues.push({ blockId: block.id, message: error.message });
+          return [];
+        }
+      })
+      .filter(group => group.length > 0);
+  }
+
+  // Value of a number input: the run's parameter when there is one, else the block's constant
+  inputValue(block, inputName, parameters = {}) {
+    if (parameters[inputName] !== undefined && parameters[inputName] !== null) return parameters[inputName];
+    const quantity = block.inputs?.[inputName]?.quantity;
+    if (!quantity) return null;
+    return quantity.unit ? { value: quantity.value, unit: quantity.unit } : quantity.value;
+  }
+
+  locationKey(location) {
+    return location.well ? `${location.labware}:${location.well}` : location.labware;
+  }
+
+  /**
+   * Which source samples contributed to a location. location is "plate1:C7", or "C7" for that
+   * well of any labware. Returns one entry per matching location with the sample held there and
+   * the sources it derives from.
+   */
+  contributors(lineage, location) {
+    const text = String(location).trim();
+    const reference = wells.parseReference(text);
+    let keys;
+    if (reference.wells) {
+      const well = wells.normalizeWell(reference.wells);
+      keys = [`${reference.labware}:${well}`];
+    } else if (/^A?[A-Z]\d{1,2}$/i.test(text)) {
+      const well = wells.normalizeWell(text);
+      keys = Object.keys(lineage.locations).filter(key => key.endsWith(`:${well}`));
+    } else {
+      keys = [text];
+    }
+
+    const byId = new Map(lineage.samples.map(sample => [sample.id, sample]));
+    return keys.filter(key => lineage.locations[key]).map(key => {
+      const sample = byId.get(lineage.locations[key].current);
+      const ancestors = this.ancestors(lineage, sample.id);
+      return {
+        location: key,
+        sample,
+        sources: ancestors.filter(ancestor => ancestor.kind === 'source'),
+        steps: Array.from(new Set([sample, ...ancestors].map(entry => entry.createdBy).filter(id => id)))
+      };
+    });
+  }
+
+  // Every sample a sample derives from, nearest first
+  ancestors(lineage, sampleId) {
+    const byId = new Map(lineage.samples.map(sample => [sample.id, sample]));
+    const ancestors = [];
+    const seen = new Set([sampleId]);
+    const queue = [...(byId.get(sampleId)?.derivedFrom || [])];
+
+    while (queue.length > 0) {
+      const id = queue.shift();
+      if (seen.has(id)) continue;
+      seen.add(id);
+      const sample = byId.get(id);
+      if (!sample) continue;
+      ancestors.push(sample);
+      queue.push(...sample.derivedFrom);
+    }
+
+    return ancestors;
+  }
+
+  /**
+   * Export a lineage as a W3C PROV-JSON document: samples are entities, steps are activities
+   * and operators are agents
+   */
+  toProv(lineage, options = {}) {
+    const qualified = value => ({ $: value, type: 'prov:QUALIFIED_NAME' });
+    const time = value => (value ? new Date(value).toISOString() : undefined);
+    const document = {
+      prefix: { spb: PROV_NAMESPACE },
+      entity: {},
+      activity: {},
+      agent: {},
+      used: {},
+      wasGeneratedBy: {},
+      wasDerivedFrom: {},
+      wasAssociatedWith: {}
+    };
+    const activities = new Map(lineage.activities.map(activity => [activity.id, activity]));
+    let relation = 0;
+    const relationId = () => `_:r${++relation}`;
+
+    if (options.runId || lineage.executionId) {
+      document.prefix.run = `${PROV_NAMESPACE}run:${options.runId || lineage.executionId}:`;
+    }
+    const ns = document.prefix.run ? 'run' : 'spb';
+
+    lineage.samples.forEach(sample => {
+      const entity = {
+        'prov:label': sample.label,
+        'prov:type': qualified(SAMPLE_KIND_TYPES[sample.kind]),
+        'spb:location': this.locationKey(sample.location)
+      };
+      if (sample.content) entity['spb:content'] = sample.content;
+      if (sample.role) entity['spb:role'] = sample.role;
+      if (sample.volume !== undefined && sample.volume !== null) {
+        entity['spb:volume'] = typeof sample.volume === 'object' ? `${sample.volume.value} ${sample.volume.unit}` : sample.volume;
+      }
+      if (sample.process) entity['spb:process'] = sample.process;
+      document.entity[`${ns}:${sample.id}`] = entity;
+
+      if (sample.createdBy) {
+        const activity = activities.get(sample.createdBy);
+        document.wasGeneratedBy[relationId()] = {
+          'prov:entity': `${ns}:${sample.id}`,
+          'prov:activity': `${ns}:${sample.createdBy}`,
+          ...(time(activity.endedAt) ? { 'prov:time': time(activity.endedAt) } : {})
+        };
+      }
+      sample.derivedFrom.forEach(parentId => {
+        document.wasDerivedFrom[relationId()] = {
+          'prov:generatedEntity': `${ns}:${sample.id}`,
+          'prov:usedEntity': `${ns}:${parentId}`,
+          ...(sample.createdBy ? { 'prov:activity': `${ns}:${sample.createdBy}` } : {})
+        };
+      });
+    });
+
+    lineage.activities.forEach(activity => {
+      document.activity[`${ns}:${activity.id}`] = {
+        'prov:label': activity.type,
+        'prov:type': qualified(`spb:${activity.type}`),
+        'spb:blockId': activity.blockId,
+        ...(time(activity.startedAt) ? { 'prov:startTime': time(activity.startedAt) } : {}),
+        ...(time(activity.endedAt) ? { 'prov:endTime': time(activity.endedAt) } : {})
+      };
+      activity.used.forEach(sampleId => {
+        document.used[relationId()] = {
+          'prov:activity': `${ns}:${activity.id}`,
+          'prov:entity': `${ns}:${sampleId}`,
+          ...(time(activity.startedAt) ? { 'prov:time': time(activity.startedAt) } : {})
+        };
+      });
+      if (activity.operatorId) {
+        const agentId = `spb:operator-${activity.operatorId}`;
+        document.agent[agentId] = { 'prov:type': qualified('prov:Person') };
+        document.wasAssociatedWith[relationId()] = {
+          'prov:activity': `${ns}:${activity.id}`,
+          'prov:agent': agentId
+        };
+      }
+    });
+
+    // PROV-JSON leaves out empty sections
+    Object.keys(document).forEach(section => {
+      if (Object.keys(document[section]).length === 0) delete document[section];
+    });
+    return document;
+  }
+}
+
+module.exports = new SampleLineageService();
@@ -0,0 +1,601 @@
+const crypto = require('crypto');
+const Instrument = require('../models/Instrument');
+const Reservation = require('../models/Reservation');
+const dependencyAnalysisEngine = require('./dependencyAnalysisEngine');
+const protocolValidationEngine = require('./protocolValidationEngine');
+const reservationService = require('./reservationService');
+const logger = require('../utils/logger');
+const { flattenWorkspace } = require('../utils/blocklyWorkspace');
+
+/**
+ * Scheduling Service
+ * Turns a protocol's dependency graph into a timeline for a chosen start time and
+ * reserves every instrument the run needs, all at once or not at all. Batches of runs
+ * are interleaved on shared instruments.
+ */
+
+// Only steps and instrument commands take bench time; variables, values and control blocks do not
+const TIMED_CATEGORIES = ['procedure', 'instrument'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class SchedulingService {
+  /**
+   * Offsets (in seconds from the run start) of every timed block, derived from the
+   * dependency graph. Blocks on the same level have no dependency between them and
+   * start together, as identifyParallelGroups reports.
+   */
+  buildTimeline(workspaceJson) {
+    const blocks = flattenWorkspace(workspaceJson);
+    if (blocks.length === 0) {
+      throw new Error('Protocol has no blocks to schedule');
+    }
+
+    const graph = dependencyAnalysisEngine.buildDependencyGraph(blocks);
+
+    graph.nodes.forEach(node => {
+      if (!TIMED_CATEGORIES.includes(node.category)) {
+        node.properties.duration = 0;
+      }
+    });
+    const criticalPath = dependencyAnalysisEngine.findCriticalPath(graph);
+    const parallelGroups = dependencyAnalysisEngine.identifyParallelGroups(graph);
+
+    // Earliest start of each block: when the last of its dependencies finishes
+    const offsets = new Map();
+    graph.levels.forEach(level => {
+      level.forEach(nodeId => {
+        const node = graph.nodes.get(nodeId);
+        const start = node.dependencies.reduce((latest, depId) => {
+          const dep = offsets.get(depId);
+          return dep ? Math.max(latest, dep.end) : latest;
+        }, 0);
+        offsets.set(nodeId, { start, end: start + node.properties.duration });
+      });
+    });
+
+    // Nearest timed blocks each block waits for, looking through untimed ones
+    const timedDependencies = new Map();
+    graph.levels.forEach(level => {
+      level.forEach(nodeId => {
+        const found = new Set();
+        graph.nodes.get(nodeId).dependencies.forEach(depId => {
+          if (graph.nodes.get(depId).properties.duration > 0) {
+            found.add(depId);
+          } else {
+            (timedDependencies.get(depId) || []).forEach(id => found.add(id));
+          }
+        });
+        timedDependencies.set(nodeId, Array.from(found));
+      });
+    });
+
+    const steps = Array.from(graph.nodes.values())
+      .filter(node => node.properties.duration > 0)
+      .map(node => ({
+        blockId: node.id,
+        type: node.type,
+        label: node.label,
+        level: node.position.level,
+        startOffset: offsets.get(node.id).start,
+        endOffset: offsets.get(node.id).end,
+        duration: node.properties.duration,
+        dependsOn: timedDependencies.get(node.id),
+        critical: criticalPath.path.includes(node.id)
+      }))
+      .sort((a, b) => a.startOffset - b.startOffset || a.level - b.level);
+
+    return {
+      blocks,
+      steps,
+      totalDuration: criticalPath.totalDuration,
+      criticalPath: criticalPath.path,
+      parallelGroups: parallelGroups.map(group => ({
+        level: group.level,
+        blockIds: group.nodes.filter(node => node.duration > 0).map(node => node.id),
+        timeSaving: group.potential_time_saving,
+        feasibility: group.feasibility
+      })).filter(group => group.blockIds.length > 1)
+    };
+  }
+
+  /**
+   * Instrument usages of a timeline. Each booking is padded by the buffer on both sides, so
+   * consecutive uses of the same instrument less than two buffers apart are held as one
+   * booking; booked separately, their padded slots would overlap.
+   */
+  collectInstrumentUsages(timeline, bufferSeconds) {
+    const stepsById = new Map(timeline.steps.map(step => [step.blockId, step]));
+    const usages = new Map(); // instrument key -> usage
+
+    protocolValidationEngine.extractRequiredInstruments(timeline.blocks).forEach(requirement => {
+      const step = stepsById.get(requirement.blockId);
+      if (!step) return;
+
+      const key = requirement.specificId || `type:${requirement.type}`;
+      if (!usages.has(key)) {
+        usages.set(key, {
+          key,
+          instrumentId: requirement.specificId || null,
+          instrumentType: requirement.type,
+          windows: []
+        });
+      }
+      usages.get(key).windows.push({
+        startOffset: step.startOffset,
+        endOffset: step.endOffset,
+        blockIds: [step.blockId]
+      });
+    });
+
+    usages.forEach(usage => {
+      usage.windows.sort((a, b) => a.startOffset - b.startOffset);
+      usage.windows = usage.windows.reduce((merged, window) => {
+        const last = merged[merged.length - 1];
+        if (last && window.startOffset - last.endOffset <= 2 * bufferSeconds) {
+          last.endOffset = Math.max(last.endOffset, window.endOffset);
+          last.blockIds.push(...window.blockIds);
+        } else {
+          merged.push({ ...window, blockIds: [...window.blockIds] });
+        }
+        return merged;
+      }, []);
+    });
+
+    return Array.from(usages.values());
+  }
+
+  // Instruments that could serve a usage: the named one, or any active instrument of the type
+  async findCandidateInstruments(usage) {
+    if (usage.instrumentId) {
+      const instrument = await Instrument.findById(usage.instrumentId);
+      return instrument ? [instrument] : [];
+    }
+    return Instrument.findAll({ type: usage.instrumentType });
+  }
+
+  /**
+   * Shift (ms) a window must move forward to clear every booking of an instrument,
+   * or 0 when it is already free
+   */
+  requiredShift(window, runStart, bufferMs, bookings) {
+    const start = runStart + window.startOffset * 1000 - bufferMs;
+    const end = runStart + window.endOffset * 1000 + bufferMs;
+
+    return bookings.reduce((shift, booking) => {
+      const bookedStart = new Date(booking.startTime).getTime();
+      const bookedEnd = new Date(booking.endTime).getTime();
+      return bookedStart < end && bookedEnd > start
+        ? Math.max(shift, bookedEnd - start)
+        : shift;
+    }, 0);
+  }
+
+  /**
+   * Earliest run start at or after the requested one at which every instrument usage
+   * fits around existing bookings. Each conflict moves the run just past the booking
+   * that caused it, so no feasible start is skipped.
+   */
+  async findFeasibleStart(usages, requestedStart, options) {
+    const { bufferMs, flexible, searchMs, totalMs } = options;
+
+    const candidates = new Map();
+    for (const usage of usages) {
+      candidates.set(usage.key, await this.findCandidateInstruments(usage));
+    }
+
+    const instrumentIds = [...new Set(
+      Array.from(candidates.values()).flat().map(instrument => instrument.id)
+    )];
+    const bookings = new Map(instrumentIds.map(id => [id, []]));
+    const horizonEnd = new Date(requestedStart + searchMs + totalMs + bufferMs);
+    for (const instrumentId of instrumentIds) {
+      bookings.set(instrumentId, await Reservation.findAll({
+        instrumentId,
+        from: new Date(requestedStart - bufferMs),
+        to: horizonEnd
+      }));
+    }
+
+    const unavailable = usages.filter(usage => candidates.get(usage.key).length === 0);
+    if (unavailable.length > 0) {
+      return {
+        feasible: false,
+        reason: 'missing_instruments',
+        conflicts: unavailable.map(usage => ({
+          instrumentId: usage.instrumentId,
+          instrumentType: usage.instrumentType,
+          message: usage.instrumentId
+            ? `Instrument ${usage.instrumentId} does not exist or is inactive`
+            : `No active ${usage.instrumentType} instrument found`
+        }))
+      };
+    }
+
+    let runStart = requestedStart;
+    while (runStart <= requestedStart + searchMs) {
+      let shift = 0;
+      const assignment = new Map();
+      const conflicts = [];
+
+      usages.forEach(usage => {
+        // Pick the candidate that is free now, or that frees up soonest
+        let best = null;
+        candidates.get(usage.key).forEach(instrument => {
+          const needed = usage.windows.reduce((max, window) =>
+            Math.max(max, this.requiredShift(window, runStart, bufferMs, bookings.get(instrument.id))), 0);
+          if (!best || needed < best.needed) {
+            best = { instrument, needed };
+          }
+        });
+
+        assignment.set(usage.key, best.instrument);
+        if (best.needed > 0) {
+          shift = Math.max(shift, best.needed);
+          conflicts.push({
+            instrumentId: best.instrument.id,
+            instrumentName: best.instrument.name,
+            message: `${best.instrument.name} is booked during the planned window`
+          });
+        }
+      });
+
+      if (shift === 0) {
+        return { feasible: true, runStart, assignment };
+      }
+
+      if (!flexible) {
+        return { feasible: false, reason: 'instruments_booked', conflicts };
+      }
+
+      runStart += shift;
+    }
+
+    return {
+      feasible: false,
+      reason: 'no_slot_in_search_window',
+      conflicts: [{
+        message: `No start within ${Math.round(searchMs / HOUR_MS)} h of the requested time has every instrument free`
+      }]
+    };
+  }
+
+  /**
+   * Plan a run of a protocol (or a version of it) starting at the given time.
+   * With book set, every instrument window is reserved in one transaction.
+   */
+  async planProtocolRun(protocol, options = {}) {
+    const {
+      startTime,
+      bufferMinutes = 0,
+      flexible = true,
+      searchHours = 72,
+      book = false,
+      userId
+    } = options;
+
+    const requestedStart = new Date(startTime).getTime();
+    if (isNaN(requestedStart)) {
+      throw new Error('Schedule start time must be a valid date');
+    }
+
+    const timeline = this.buildTimeline(protocol.workspaceJson);
+    const bufferMs = bufferMinutes * 60 * 1000;
+    const usages = this.collectInstrumentUsages(timeline, bufferMinutes * 60);
+
+    const placement = await this.findFeasibleStart(usages, requestedStart, {
+      bufferMs,
+      flexible,
+      searchMs: searchHours * HOUR_MS,
+      totalMs: timeline.totalDuration * 1000
+    });
+
+    const plan = {
+      protocolId: protocol.id,
+      protocolVersion: protocol.version,
+      requestedStart: new Date(requestedStart),
+      feasible: placement.feasible,
+      reason: placement.reason || null,
+      conflicts: placement.conflicts || [],
+      totalDuration: timeline.totalDuration,
+      criticalPath: timeline.criticalPath,
+      parallelGroups: timeline.parallelGroups,
+      booked: false,
+      reservations: []
+    };
+
+    if (!placement.feasible) {
+      plan.steps = timeline.steps;
+      return plan;
+    }
+
+    const at = offset => new Date(placement.runStart + offset * 1000);
+    plan.startTime = at(0);
+    plan.endTime = at(timeline.totalDuration);
+    plan.shiftedBy = Math.round((placement.runStart - requestedStart) / 1000);
+    plan.steps = timeline.steps.map(step => ({
+      ...step,
+      startTime: at(step.startOffset),
+      endTime: at(step.endOffset)
+    }));
+
+    const purpose = `Protocol run: ${protocol.name || protocol.id}`;
+    plan.instrumentSlots = usages.flatMap(usage => {
+      const instrument = placement.assignment.get(usage.key);
+      return usage.windows.map(window => ({
+        instrumentId: instrument.id,
+        instrumentName: instrument.name,
+        requested: usage.instrumentId ? 'specific' : usage.instrumentType,
+        blockIds: window.blockIds,
+        startTime: new Date(at(window.startOffset).getTime() - bufferMs),
+        endTime: new Date(at(window.endOffset).getTime() + bufferMs)
+      }));
+    });
+
+    if (book && plan.instrumentSlots.length > 0) {
+      const planId = crypto.randomUUID();
+      const reservations = await reservationService.bookSlots(plan.instrumentSlots.map(slot => ({
+        instrumentId: slot.instrumentId,
+        protocolId: protocol.id,
+        seriesId: planId,
+        purpose,
+        notes: `Steps: ${slot.blockIds.join(', ')}`,
+        startTime: slot.startTime,
+        endTime: slot.endTime
+      })), userId);
+
+      plan.planId = planId;
+      plan.booked = true;
+      plan.reservations = reservations;
+      logger.info(`Booked ${reservations.length} instrument slot(s) for protocol ${protocol.id} starting ${plan.startTime.toISOString()}`);
+    }
+
+    return plan;
+  }
+
+  /**
+   * Earliest time at or after the given one (ms) when an instrument with the given
+   * bookings is free for the duration, keeping the buffer to either side
+   */
+  earliestFreeTime(intervals, earliest, durationMs, bufferMs) {
+    let start = earliest;
+    let moved = true;
+    while (moved) {
+      moved = false;
+      for (const interval of intervals) {
+        if (interval.start < start + durationMs + bufferMs && interval.end > start - bufferMs) {
+          start = interval.end + bufferMs;
+          moved = true;
+        }
+      }
+    }
+    return start;
+  }
+
+  /**
+   * Schedule several protocol runs together on shared instruments.
+   * Steps are placed one at a time: among the steps whose dependencies are placed, the
+   * run with the earliest deadline goes first, then the step with the most work still
+   * behind it. An instrument step takes the earliest free slot on any instrument that
+   * can serve it, so runs interleave on shared instruments instead of queueing end to end.
+   * Each run is { protocol, deadline, earliestStart }.
+   */
+  async planBatch(runs, options = {}) {
+    const { startTime, bufferMinutes = 0, book = false, userId } = options;
+
+    const batchStart = new Date(startTime).getTime();
+    if (isNaN(batchStart)) {
+      throw new Error('Schedule start time must be a valid date');
+    }
+    const bufferMs = bufferMinutes * 60 * 1000;
+
+    const prepared = runs.map((run, runIndex) => {
+      const timeline = this.buildTimeline(run.protocol.workspaceJson);
+      const requirements = new Map(
+        protocolValidationEngine.extractRequiredInstruments(timeline.blocks)
+          .map(requirement => [requirement.blockId, requirement])
+      );
+
+      // Work remaining from each step to the end of its run, used to prioritise steps
+      const remaining = new Map();
+      [...timeline.steps].reverse().forEach(step => {
+        const after = timeline.steps
+          .filter(other => other.dependsOn.includes(step.blockId))
+          .reduce((max, other) => Math.max(max, remaining.get(other.blockId) || 0), 0);
+        remaining.set(step.blockId, step.duration + after);
+      });
+
+      return {
+        runIndex,
+        protocol: run.protocol,
+        timeline,
+        requirements,
+        remaining,
+        release: run.earliestStart ? Math.max(batchStart, new Date(run.earliestStart).getTime()) : batchStart,
+        deadline: run.deadline ? new Date(run.deadline).getTime() : null
+      };
+    });
+
+    // Instruments able to serve each requirement
+    const candidates = new Map();
+    const missing = [];
+    for (const run of prepared) {
+      for (const requirement of run.requirements.values()) {
+        const key = requirement.specificId || `type:${requirement.type}`;
+        if (!candidates.has(key)) {
+          candidates.set(key, await this.findCandidateInstruments({
+            instrumentId: requirement.specificId,
+            instrumentType: requirement.type
+          }));
+        }
+        if (candidates.get(key).length === 0) {
+          missing.push({
+            runIndex: run.runIndex,
+            blockId: requirement.blockId,
+            instrumentId: requirement.specificId || null,
+            instrumentType: requirement.type,
+            message: requirement.specificId
+              ? `Instrument ${requirement.specificId} does not exist or is inactive`
+              : `No active ${requirement.type} instrument found`
+          });
+        }
+      }
+    }
+
+    if (missing.length > 0) {
+      return { feasible: false, reason: 'missing_instruments', conflicts: missing, booked: false, reservations: [] };
+    }
+
+    // Existing bookings block time on each instrument; placed steps are added as we go
+    const instruments = new Map();
+    for (const instrument of Array.from(candidates.values()).flat()) {
+      if (instruments.has(instrument.id)) continue;
+      const bookings = await Reservation.findAll({ instrumentId: instrument.id, from: new Date(batchStart - bufferMs) });
+      instruments.set(instrument.id, {
+        instrument,
+        busy: bookings.map(booking => ({
+          start: new Date(booking.startTime).getTime(),
+          end: new Date(booking.endTime).getTime(),
+          reservationId: booking.id
+        })),
+        taskIds: []
+      });
+    }
+
+    const taskId = (run, blockId) => `${run.runIndex}:${blockId}`;
+    const tasks = new Map();
+    let pending = prepared.flatMap(run => run.timeline.steps.map(step => ({ run, step })));
+
+    while (pending.length > 0) {
+      const ready = pending.filter(({ run, step }) =>
+        step.dependsOn.every(depId => tasks.has(taskId(run, depId))));
+
+      ready.sort((a, b) =>
+        (a.run.deadline ?? Infinity) - (b.run.deadline ?? Infinity) ||
+        b.run.remaining.get(b.step.blockId) - a.run.remaining.get(a.step.blockId) ||
+        a.run.runIndex - b.run.runIndex ||
+        a.step.startOffset - b.step.startOffset);
+
+      const { run, step } = ready[0];
+      pending = pending.filter(entry => entry !== ready[0]);
+
+      const earliest = step.dependsOn.reduce(
+        (latest, depId) => Math.max(latest, tasks.get(taskId(run, depId)).end),
+        run.release
+      );
+      const durationMs = step.duration * 1000;
+
+      let start = earliest;
+      let assigned = null;
+      const requirement = run.requirements.get(step.blockId);
+      if (requirement) {
+        candidates.get(requirement.specificId || `type:${requirement.type}`).forEach(instrument => {
+          const entry = instruments.get(instrument.id);
+          const free = this.earliestFreeTime(entry.busy, earliest, durationMs, bufferMs);
+          if (!assigned || free < start) {
+            assigned = entry;
+            start = free;
+          }
+        });
+        assigned.busy.push({ start, end: start + durationMs });
+        assigned.taskIds.push(taskId(run, step.blockId));
+      }
+
+      tasks.set(taskId(run, step.blockId), {
+        id: taskId(run, step.blockId),
+        runIndex: run.runIndex,
+        protocolId: run.protocol.id,
+        blockId: step.blockId,
+        type: step.type,
+        label: step.label,
+        start,
+        end: start + durationMs,
+        duration: step.duration,
+        waited: Math.round((start - earliest) / 1000),
+        dependencies: step.dependsOn.map(depId => taskId(run, depId)),
+        instrumentId: assigned ? assigned.instrument.id : null,
+        instrumentName: assigned ? assigned.instrument.name : null,
+        critical: step.critical
+      });
+    }
+
+    const allTasks = Array.from(tasks.values()).sort((a, b) => a.start - b.start || a.runIndex - b.runIndex);
+    const batchEnd = allTasks.reduce((max, task) => Math.max(max, task.end), batchStart);
+    const makespan = Math.round((batchEnd - batchStart) / 1000);
+
+    const runSummaries = prepared.map(run => {
+      const runTasks = allTasks.filter(task => task.runIndex === run.runIndex);
+      const start = runTasks.length > 0 ? Math.min(...runTasks.map(task => task.start)) : run.release;
+      const end = runTasks.length > 0 ? Math.max(...runTasks.map(task => task.end)) : run.release;
+      return {
+        runIndex: run.runIndex,
+        protocolId: run.protocol.id,
+        protocolName: run.protocol.name,
+        protocolVersion: run.protocol.version,
+        startTime: new Date(start),
+        endTime: new Date(end),
+        duration: Math.round((end - start) / 1000),
+        standaloneDuration: run.timeline.totalDuration,
+        deadline: run.deadline ? new Date(run.deadline) : null,
+        deadlineMet: run.deadline ? end <= run.deadline : true,
+        lateBy: run.deadline && end > run.deadline ? Math.round((end - run.deadline) / 1000) : 0
+      };
+    });
+
+    const plan = {
+      feasible: true,
+      startTime: new Date(batchStart),
+      endTime: new Date(batchEnd),
+      makespan,
+      // What running the protocols one after another would take, for comparison
+      sequentialMakespan: prepared.reduce((sum, run) => sum + run.timeline.totalDuration, 0),
+      deadlinesMet: runSummaries.every(run => run.deadlineMet),
+      runs: runSummaries,
+      resources: Array.from(instruments.values())
+        .filter(entry => entry.taskIds.length > 0)
+        .map(entry => {
+          const busySeconds = entry.taskIds.reduce((sum, id) => sum + tasks.get(id).duration, 0);
+          return {
+            instrumentId: entry.instrument.id,
+            instrumentName: entry.instrument.name,
+            taskIds: entry.taskIds,
+            utilization: makespan > 0 ? Math.round(busySeconds / makespan * 1000) / 10 : 0
+          };
+        }),
+      tasks: allTasks.map(task => ({ ...task, start: new Date(task.start), end: new Date(task.end) })),
+      booked: false,
+      reservations: []
+    };
+
+    if (book && !plan.deadlinesMet) {
+      plan.reason = 'deadlines_missed';
+    } else if (book) {
+      const batchId = crypto.randomUUID();
+      const slots = plan.tasks
+        .filter(task => task.instrumentId)
+        .map(task => {
+          const run = prepared[task.runIndex];
+          return {
+            instrumentId: task.instrumentId,
+            protocolId: run.protocol.id,
+            seriesId: batchId,
+            purpose: `Batch run: ${run.protocol.name || run.protocol.id}`,
+            notes: `Step: ${task.label} (${task.blockId})`,
+            startTime: task.start,
+            endTime: task.end
+          };
+        });
+
+      if (slots.length > 0) {
+        plan.reservations = await reservationService.bookSlots(slots, userId);
+        plan.booked = true;
+      }
+      plan.batchId = batchId;
+      logger.info(`Booked ${slots.length} instrument slot(s) for a batch of ${runs.length} protocol runs`);
+    }
+
+    return plan;
+  }
+}
+
+module.exports = new SchedulingService();
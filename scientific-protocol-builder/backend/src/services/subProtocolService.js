@@ -0,0 +1,252 @@
+const Protocol = require('../models/Protocol');
+const {
+  getTopBlocks,
+  getStatementBlocks,
+  getFieldValue,
+  getInputBlock,
+  isFieldChecked,
+  getLibraryLink,
+  getProtocolCalls
+} = require('../utils/blocklyWorkspace');
+
+/**
+ * Sub-Protocol Service
+ * Resolves protocol_call blocks against the library of saved protocols. A call names the
+ * library protocol by id and the version it was written against; the callee's interface is
+ * read from the protocol_input and protocol_output blocks of its protocol_definition, and the
+ * call's protocol_parameter blocks are checked against it. The reverse lookup, where a
+ * protocol is used, shows the impact of changing a shared sub-protocol.
+ */
+
+// Value blocks that can fill each protocol_input type; variables are checked when the run binds them
+const INPUT_VALUE_TYPES = {
+  SAMPLE: ['sample_variable', 'text'],
+  REAGENT: ['reagent_variable', 'text'],
+  EQUIPMENT: ['equipment_variable', 'text'],
+  NUMBER: ['math_number', 'quantity', 'math_arithmetic'],
+  TEXT: ['text'],
+  BOOLEAN: ['logic_boolean', 'logic_compare', 'logic_operation']
+};
+
+const UNTYPED_VALUE_TYPES = ['get_variable', 'parameter_variable'];
+
+// How far calls are followed when looking for a protocol that ends up calling itself
+const MAX_CALL_DEPTH = 10;
+
+// Issues that make a call unrunnable; the rest are warnings
+const ERROR_ISSUES = ['not_found', 'retired', 'no_definition', 'unknown_parameter', 'missing_input', 'type_mismatch', 'recursive_call'];
+
+class SubProtocolService {
+  /**
+   * Interface of a library protocol: its definition's inputs and outputs, or null when the
+   * workspace has no protocol_definition block
+   */
+  getInterface(workspaceJson) {
+    const definition = getTopBlocks(workspaceJson).find(block => block.type === 'protocol_definition');
+    if (!definition) return null;
+
+    return {
+      name: getFieldValue(definition, 'PROTOCOL_NAME'),
+      description: getFieldValue(definition, 'DESCRIPTION') || '',
+      inputs: getStatementBlocks(definition, 'INPUTS')
+        .filter(block => block.type === 'protocol_input')
+        .map(block => ({
+          name: getFieldValue(block, 'INPUT_NAME'),
+          type: getFieldValue(block, 'INPUT_TYPE', 'TEXT'),
+          required: isFieldChecked(block, 'REQUIRED'),
+          hasDefault: Boolean(getInputBlock(block, 'DEFAULT_VALUE')),
+          description: getFieldValue(block, 'DESCRIPTION') || ''
+        })),
+      outputs: getStatementBlocks(definition, 'OUTPUTS')
+        .filter(block => block.type === 'protocol_output')
+        .map(block => ({
+          name: getFieldValue(block, 'OUTPUT_NAME'),
+          type: getFieldValue(block, 'OUTPUT_TYPE', 'TEXT'),
+          description: getFieldValue(block, 'DESCRIPTION') || ''
+        }))
+    };
+  }
+
+  describeLibraryProtocol(protocol) {
+    return {
+      id: protocol.id,
+      name: protocol.name,
+      version: protocol.version,
+      status: protocol.status,
+      description: protocol.description,
+      createdBy: protocol.createdBy,
+      isPublic: protocol.isPublic,
+      interface: this.getInterface(protocol.workspaceJson)
+    };
+  }
+
+  async getLibrary(userId, options = {}) {
+    const protocols = await Protocol.findLibrary(userId, options);
+    return protocols.map(protocol => this.describeLibraryProtocol(protocol));
+  }
+
+  /**
+   * Resolve every linked call in a protocol, keyed by the protocol_call block id. Each
+   * resolution carries the callee's interface, the version pinned by the call and any later
+   * versions, and the chain of calls if the callee leads back to the caller.
+   */
+  async resolveCalls(protocol, userId) {
+    const resolutions = {};
+
+    for (const call of getProtocolCalls(protocol.workspaceJson)) {
+      const callee = await Protocol.findById(call.protocolId, userId);
+      if (!callee) {
+        resolutions[call.blockId] = { ...call, found: false };
+        continue;
+      }
+
+      const laterVersions = await callee.getLaterVersions();
+      resolutions[call.blockId] = {
+        ...call,
+        found: true,
+        callee: this.describeLibraryProtocol(callee),
+        laterVersions: laterVersions.map(later => ({ id: later.id, version: later.version, status: later.status })),
+        cycle: await this.findCycle(protocol, callee, userId)
+      };
+    }
+
+    return resolutions;
+  }
+
+  // Names along a chain of calls from the callee back to the caller, or null
+  async findCycle(caller, callee, userId) {
+    const search = async (current, path) => {
+      if (current.id === caller.id) return path;
+      if (path.length > MAX_CALL_DEPTH) return null;
+
+      for (const call of getProtocolCalls(current.workspaceJson)) {
+        if (path.some(step => step.id === call.protocolId)) continue;
+        const next = call.protocolId === caller.id ? caller : await Protocol.findById(call.protocolId, userId);
+        if (!next) continue;
+
+        const cycle = await search(next, [...path, { id: next.id, name: next.name }]);
+        if (cycle) return cycle;
+      }
+      return null;
+    };
+
+    const cycle = await search(callee, [{ id: callee.id, name: callee.name }]);
+    return cycle ? cycle.map(step => step.name) : null;
+  }
+
+  // protocol_parameter blocks plugged into a call, from the flattened block list
+  getCallParameters(callBlock, blocks) {
+    return blocks
+      .filter(block => block.parent === callBlock.id && block.type === 'protocol_parameter')
+      .map(block => ({
+        blockId: block.id,
+        name: block.fields.NAME,
+        valueType: block.inputs.VALUE ? block.inputs.VALUE.type : null
+      }));
+  }
+
+  /**
+   * Check one protocol_call block against its resolution. Without a resolution only the
+   * link itself is checked.
+   */
+  checkCall(callBlock, blocks, resolution) {
+    const issues = [];
+    const name = callBlock.fields.PROTOCOL_NAME || 'protocol';
+    const add = (type, message, blockId = callBlock.id) => issues.push({
+      type,
+      severity: ERROR_ISSUES.includes(type) ? 'error' : 'warning',
+      blockId,
+      message
+    });
+
+    if (!resolution) {
+      if (!getLibraryLink(callBlock)) {
+        add('unlinked', `Call to "${name}" is not linked to a library protocol`);
+      }
+      return issues;
+    }
+
+    if (!resolution.found) {
+      add('not_found', `Library protocol for "${name}" was not found or is not shared with you`);
+      return issues;
+    }
+
+    const { callee } = resolution;
+    if (!callee.interface) {
+      add('no_definition', `${callee.name} v${callee.version} has no protocol definition to call`);
+      return issues;
+    }
+    if (callee.status === 'retired') {
+      add('retired', `${callee.name} v${callee.version} is retired`);
+    } else if (callee.status !== 'approved') {
+      add('unapproved', `${callee.name} v${callee.version} is ${callee.status.replace('_', ' ')}, not approved`);
+    }
+    if (resolution.version && resolution.version !== callee.version) {
+      add('version_mismatch', `Call was written against v${resolution.version} but the linked protocol is now v${callee.version}`);
+    }
+    const approvedLater = resolution.laterVersions.filter(later => later.status === 'approved');
+    if (approvedLater.length > 0) {
+      add('newer_version', `${callee.name} v${approvedLater[0].version} is approved; this call still uses v${callee.version}`);
+    }
+    if (resolution.cycle) {
+      add('recursive_call', `Calling ${callee.name} leads back to this protocol: ${resolution.cycle.join(' → ')}`);
+    }
+
+    const inputs = new Map(callee.interface.inputs.map(input => [input.name, input]));
+    const provided = new Set();
+    this.getCallParameters(callBlock, blocks).forEach(parameter => {
+      const input = inputs.get(parameter.name);
+      if (!input) {
+        add('unknown_parameter', `${callee.name} has no input "${parameter.name}"`, parameter.blockId);
+        return;
+      }
+      if (provided.has(parameter.name)) {
+        add('duplicate_parameter', `Input "${parameter.name}" is given more than once`, parameter.blockId);
+      }
+      provided.add(parameter.name);
+
+      const accepted = INPUT_VALUE_TYPES[input.type];
+      if (parameter.valueType && accepted && !accepted.includes(parameter.valueType) &&
+          !UNTYPED_VALUE_TYPES.includes(parameter.valueType)) {
+        add('type_mismatch', `Input "${parameter.name}" expects ${input.type.toLowerCase()}, not ${parameter.valueType}`, parameter.blockId);
+      }
+    });
+
+    callee.interface.inputs
+      .filter(input => input.required && !input.hasDefault && !provided.has(input.name))
+      .forEach(input => add('missing_input', `Required input "${input.name}" of ${callee.name} is not given`));
+
+    return issues;
+  }
+
+  /**
+   * Where a protocol is used: protocols calling it directly, and those reaching it through
+   * other sub-protocols. Callers the user cannot see are only counted.
+   */
+  async whereUsed(protocol, user) {
+    const callers = await Protocol.findCallers(protocol.id);
+    const visible = callers.filter(caller => caller.callerIsPublic || caller.callerCreatedBy === user.id);
+    const hidden = new Set(callers.filter(caller => !visible.includes(caller)).map(caller => caller.callerId));
+
+    const describe = caller => ({
+      protocolId: caller.callerId,
+      name: caller.callerName,
+      version: caller.callerVersion,
+      status: caller.callerStatus,
+      blockId: caller.blockId,
+      calls: caller.calleeId,
+      pinnedVersion: caller.pinnedVersion,
+      depth: caller.depth
+    });
+
+    return {
+      protocol: { id: protocol.id, name: protocol.name, version: protocol.version, status: protocol.status },
+      direct: visible.filter(caller => caller.depth === 1).map(describe),
+      indirect: visible.filter(caller => caller.depth > 1).map(describe),
+      hiddenCallers: hidden.size,
+      totalCallers: new Set(callers.map(caller => caller.callerId)).size
+    };
+  }
+}
+
+module.exports = new SubProtocolService();
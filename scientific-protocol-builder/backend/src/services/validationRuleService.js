@@ -0,0 +1,518 @@
+const ValidationRule = require('../models/ValidationRule');
+const quantity = require('../utils/quantity');
+const { precedingBlocks, followingBlocks, enclosingBlocks } = require('../utils/blocklyWorkspace');
+
+/**
+ * Validation Rule Service
+ * Compiles and evaluates the declarative validation rules each organization authors,
+ * so lab managers can add checks without a code change. A rule definition is JSON:
+ *
+ *   {
+ *     "select": { "type": "centrifuge_step", "where": "SPEED > 15000 rpm" },
+ *     "require": { "precededBy": { "type": "checkpoint", "where": "MANUAL_CONFIRM = TRUE" } },
+ *     "message": "Fast spins need a confirmed checkpoint first",
+ *     "suggestion": "Add a checkpoint with manual confirmation before the spin"
+ *   }
+ *
+ * Every block matching select must satisfy require; without require, matching blocks are
+ * not allowed at all. A rule may instead count blocks across the protocol with
+ * { "contains": <selector>, "min": 1, "max": 3 }.
+ *
+ * Selectors are { type, where }, where type is a block type, a prefix ending in * or a
+ * list of them. Conditions are written in a small expression language:
+ *   SPEED > 15000 rpm and (METHOD = PIPETTE or VOLUME <= 10 μL)
+ *   not SAMPLE contains 'blood'    TIP_TYPE in (FILTER, LOW_RETENTION)    EXPECTED missing
+ * or as JSON ({ field, op, value }, { all }, { any }, { not }). Quantities are compared in
+ * the rule's unit; bare numbers on the block are read in that unit.
+ *
+ * Requirements are { where }, { precededBy }, { followedBy }, { inside } (a selector the
+ * block must run after, before or within), and { all }, { any }, { not } to combine them.
+ */
+
+const CATEGORIES = ['structural', 'safety', 'efficiency', 'compliance', 'resource', 'quality'];
+const SEVERITIES = ['error', 'warning', 'info'];
+
+const OPERATORS = ['=', '!=', '>', '>=', '<', '<=', 'contains', 'matches', 'in', 'exists', 'missing'];
+const OPERATOR_ALIASES = { '==': '=' };
+const KEYWORDS = ['and', 'or', 'not', 'in', 'contains', 'matches', 'exists', 'missing'];
+
+const REQUIREMENTS = ['where', 'precededBy', 'followedBy', 'inside'];
+
+const FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const TOKEN_PATTERN = /\s*(>=|<=|!=|==|[=<>(),]|'[^']*'|"[^"]*"|[^\s=<>!(),]+)/;
+
+const MAX_RULE_DEPTH = 10;
+
+class ValidationRuleService {
+  /**
+   * Check a rule definition and turn it into its normalized form, with where
+   * expressions parsed. Throws 'Invalid rule: ...' describing the first problem.
+   */
+  compile(definition) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new Error('Invalid rule: definition must be an object');
+    }
+    if (definition.select && definition.contains) {
+      throw new Error('Invalid rule: use either select or contains, not both');
+    }
+
+    const compiled = {
+      message: definition.message ? String(definition.message) : null,
+      suggestion: definition.suggestion ? String(definition.suggestion) : null
+    };
+
+    if (definition.contains) {
+      compiled.contains = this.compileSelector(definition.contains, 'contains');
+      compiled.min = definition.min === undefined ? 1 : this.compileCount(definition.min, 'min');
+      compiled.max = definition.max === undefined ? null : this.compileCount(definition.max, 'max');
+      if (compiled.max !== null && compiled.max < compiled.min) {
+        throw new Error('Invalid rule: max must not be less than min');
+      }
+      return compiled;
+    }
+
+    if (!definition.select) {
+      throw new Error('Invalid rule: select or contains is required');
+    }
+    compiled.select = this.compileSelector(definition.select, 'select');
+    compiled.require = definition.require ? this.compileRequirement(definition.require, 'require', 0) : null;
+    return compiled;
+  }
+
+  compileCount(value, path) {
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error(`Invalid rule: ${path} must be a whole number`);
+    }
+    return count;
+  }
+
+  compileSelector(selector, path) {
+    if (typeof selector === 'string' || Array.isArray(selector)) {
+      selector = { type: selector };
+    }
+    if (!selector || typeof selector !== 'object') {
+      throw new Error(`Invalid rule: ${path} must be a block type or { type, where }`);
+    }
+
+    const types = [].concat(selector.type || []);
+    if (types.length === 0 && !selector.where) {
+      throw new Error(`Invalid rule: ${path} needs a type or a where condition`);
+    }
+    types.forEach(type => {
+      if (typeof type !== 'string' || !/^[a-z0-9_]+\*?$/.test(type)) {
+        throw new Error(`Invalid rule: ${path}.type "${type}" is not a block type`);
+      }
+    });
+
+    return {
+      types,
+      where: selector.where ? this.compileCondition(selector.where, `${path}.where`, 0) : null
+    };
+  }
+
+  compileRequirement(requirement, path, depth) {
+    if (depth > MAX_RULE_DEPTH) {
+      throw new Error(`Invalid rule: ${path} is nested too deeply`);
+    }
+    if (!requirement || typeof requirement !== 'object' || Array.isArray(requirement)) {
+      throw new Error(`Invalid rule: ${path} must be an object`);
+    }
+
+    const keys = Object.keys(requirement);
+    if (keys.length !== 1) {
+      throw new Error(`Invalid rule: ${path} must have exactly one of ${[...REQUIREMENTS, 'all', 'any', 'not'].join(', ')}`);
+    }
+    const [key] = keys;
+    const value = requirement[key];
+
+    if (key === 'all' || key === 'any') {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw new Error(`Invalid rule: ${path}.${key} must be a non-empty list`);
+      }
+      return { [key]: value.map((item, index) => this.compileRequirement(item, `${path}.${key}[${index}]`, depth + 1)) };
+    }
+    if (key === 'not') {
+      return { not: this.compileRequirement(value, `${path}.not`, depth + 1) };
+    }
+    if (key === 'where') {
+      return { where: this.compileCondition(value, `${path}.where`, 0) };
+    }
+    if (REQUIREMENTS.includes(key)) {
+      return { [key]: this.compileSelector(value, `${path}.${key}`) };
+    }
+
+    throw new Error(`Invalid rule: ${path} has unknown requirement "${key}"`);
+  }
+
+  compileCondition(condition, path, depth) {
+    if (typeof condition === 'string') {
+      return this.parseExpression(condition, path);
+    }
+    if (depth > MAX_RULE_DEPTH) {
+      throw new Error(`Invalid rule: ${path} is nested too deeply`);
+    }
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+      throw new Error(`Invalid rule: ${path} must be an expression or a condition object`);
+    }
+
+    if (condition.all || condition.any) {
+      const key = condition.all ? 'all' : 'any';
+      if (!Array.isArray(condition[key]) || condition[key].length === 0) {
+        throw new Error(`Invalid rule: ${path}.${key} must be a non-empty list`);
+      }
+      return { [key]: condition[key].map((item, index) => this.compileCondition(item, `${path}.${key}[${index}]`, depth + 1)) };
+    }
+    if (condition.not) {
+      return { not: this.compileCondition(condition.not, `${path}.not`, depth + 1) };
+    }
+
+    return this.compileComparison(condition.field, condition.op, condition.value, path);
+  }
+
+  compileComparison(field, op, value, path) {
+    const operator = OPERATOR_ALIASES[op] || op;
+    if (typeof field !== 'string' || !FIELD_PATTERN.test(field)) {
+      throw new Error(`Invalid rule: ${path} needs a field name`);
+    }
+    if (!OPERATORS.includes(operator)) {
+      throw new Error(`Invalid rule: ${path} has unknown operator "${op}"`);
+    }
+
+    if (operator === 'exists' || operator === 'missing') {
+      return { field, op: operator };
+    }
+    if (value === undefined || value === null) {
+      throw new Error(`Invalid rule: ${path} needs a value to compare ${field} with`);
+    }
+    if (operator === 'in') {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw new Error(`Invalid rule: ${path} needs a list of values for in`);
+      }
+      return { field, op: operator, value: value.map(String) };
+    }
+    if (operator === 'matches') {
+      try {
+        new RegExp(value, 'i');
+      } catch (error) {
+        throw new Error(`Invalid rule: ${path} has an invalid pattern: ${error.message}`);
+      }
+      return { field, op: operator, value: String(value) };
+    }
+    if (operator === 'contains') {
+      return { field, op: operator, value: String(value) };
+    }
+    if (['>', '>=', '<', '<='].includes(operator)) {
+      const amount = quantity.parse(value);
+      if (!amount) {
+        throw new Error(`Invalid rule: ${path} compares ${field} with "${value}", which is not a number or quantity`);
+      }
+      return { field, op: operator, value: amount };
+    }
+
+    // Equality keeps quantities as quantities so "2 h" equals "120 min"
+    const amount = typeof value === 'number' || (typeof value === 'string' && /^-?\d/.test(value)) ? quantity.parse(value) : null;
+    return { field, op: operator, value: amount || String(value) };
+  }
+
+  tokenize(expression, path) {
+    const pattern = new RegExp(TOKEN_PATTERN.source, 'y');
+    const tokens = [];
+    let position = 0;
+
+    while (expression.slice(position).trim()) {
+      pattern.lastIndex = position;
+      const match = pattern.exec(expression);
+      if (!match) {
+        throw new Error(`Invalid rule: ${path} cannot be read near "${expression.slice(position).trim()}"`);
+      }
+      tokens.push(match[1]);
+      position = pattern.lastIndex;
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Parse a where expression:
+   *   expression := term ('or' term)*
+   *   term       := factor ('and' factor)*
+   *   factor     := 'not' factor | '(' expression ')' | FIELD ('exists' | 'missing')
+   *               | FIELD 'in' '(' value (',' value)* ')' | FIELD operator value
+   * A number may be followed by its unit ("15000 rpm", "4 °C", "500 x g").
+   */
+  parseExpression(expression, path) {
+    const tokens = this.tokenize(expression, path);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const isKeyword = (token, keyword) => typeof token === 'string' && token.toLowerCase() === keyword;
+    const fail = (detail) => {
+      throw new Error(`Invalid rule: ${path} ${detail}${peek() !== undefined ? ` at "${peek()}"` : ' at the end'}`);
+    };
+    const expect = (token) => {
+      if (peek() !== token) fail(`expected "${token}"`);
+      position++;
+    };
+
+    const readValue = () => {
+      const token = peek();
+      if (token === undefined || ['(', ')', ','].includes(token)) fail('expected a value');
+      position++;
+      if (/^['"]/.test(token)) return token.slice(1, -1);
+      if (!/^-?\d/.test(token)) return token;
+
+      // Gather unit words after a number until the next keyword or bracket
+      const unitWords = [];
+      while (peek() !== undefined && !['(', ')', ','].includes(peek()) &&
+             !KEYWORDS.includes(peek().toLowerCase()) && !OPERATORS.includes(peek())) {
+        unitWords.push(tokens[position++]);
+      }
+      const text = [token, ...unitWords].join(' ');
+      if (!quantity.parse(text)) fail(`has an unknown unit in "${text}"`);
+      return text;
+    };
+
+    const parseFactor = () => {
+      if (isKeyword(peek(), 'not')) {
+        position++;
+        return { not: parseFactor() };
+      }
+      if (peek() === '(') {
+        position++;
+        const inner = parseOr();
+        expect(')');
+        return inner;
+      }
+
+      const field = peek();
+      if (field === undefined || !FIELD_PATTERN.test(field)) fail('expected a field name');
+      position++;
+
+      const op = (peek() || '').toLowerCase();
+      if (!OPERATORS.includes(op) && !OPERATOR_ALIASES[op]) fail('expected an operator');
+      position++;
+
+      if (op === 'exists' || op === 'missing') {
+        return this.compileComparison(field, op, null, path);
+      }
+      if (op === 'in') {
+        expect('(');
+        const values = [readValue()];
+        while (peek() === ',') {
+          position++;
+          values.push(readValue());
+        }
+        expect(')');
+        return this.compileComparison(field, op, values, path);
+      }
+      return this.compileComparison(field, op, readValue(), path);
+    };
+
+    const parseAnd = () => {
+      const terms = [parseFactor()];
+      while (isKeyword(peek(), 'and')) {
+        position++;
+        terms.push(parseFactor());
+      }
+      return terms.length === 1 ? terms[0] : { all: terms };
+    };
+
+    const parseOr = () => {
+      const terms = [parseAnd()];
+      while (isKeyword(peek(), 'or')) {
+        position++;
+        terms.push(parseAnd());
+      }
+      return terms.length === 1 ? terms[0] : { any: terms };
+    };
+
+    if (tokens.length === 0) fail('is empty');
+    const condition = parseOr();
+    if (position < tokens.length) fail('has unexpected text');
+    return condition;
+  }
+
+  // Value of a field: the field itself, a number or quantity plugged into the input, or the
+  // name of the variable, sample or text block plugged into it
+  readField(block, field, context) {
+    const value = block.fields?.[field];
+    if (value !== undefined && value !== null && value !== '') {
+      return typeof value === 'object' && value.id ? value.id : value;
+    }
+    const input = block.inputs?.[field];
+    if (!input) return null;
+    if (input.quantity) return input.quantity;
+    const child = context.byId.get(input.id);
+    return child?.fields?.VAR_NAME || child?.fields?.NAME || child?.fields?.TEXT || null;
+  }
+
+  matchesCondition(condition, block, context) {
+    if (condition.all) return condition.all.every(item => this.matchesCondition(item, block, context));
+    if (condition.any) return condition.any.some(item => this.matchesCondition(item, block, context));
+    if (condition.not) return !this.matchesCondition(condition.not, block, context);
+
+    const { field, op, value } = condition;
+    const actual = this.readField(block, field, context);
+    if (op === 'exists') return actual !== null;
+    if (op === 'missing') return actual === null;
+    if (actual === null) return op === '!=';
+
+    const text = typeof actual === 'object' ? quantity.format(actual) : String(actual);
+
+    if (op === 'contains') return text.toLowerCase().includes(String(value).toLowerCase());
+    if (op === 'matches') return new RegExp(value, 'i').test(text);
+    if (op === 'in') return value.some(item => item.toLowerCase() === text.toLowerCase());
+
+    if (typeof value === 'object') {
+      const measured = quantity.readBlockQuantity(block, field);
+      if (!measured) return op === '!=';
+      let amount;
+      try {
+        amount = value.unit ? quantity.convert(measured, value.unit, value.unit) : measured.value;
+      } catch (error) {
+        // A quantity of another dimension (x g against rpm) cannot satisfy the comparison
+        return op === '!=';
+      }
+      switch (op) {
+        case '=': return amount === value.value;
+        case '!=': return amount !== value.value;
+        case '>': return amount > value.value;
+        case '>=': return amount >= value.value;
+        case '<': return amount < value.value;
+        case '<=': return amount <= value.value;
+        default: return false;
+      }
+    }
+
+    const equal = text.toLowerCase() === value.toLowerCase();
+    return op === '=' ? equal : (op === '!=' ? !equal : false);
+  }
+
+  matchesSelector(selector, block, context) {
+    const typeMatches = selector.types.length === 0 || selector.types.some(type =>
+      type.endsWith('*') ? block.type.startsWith(type.slice(0, -1)) : block.type === type);
+    return typeMatches && (!selector.where || this.matchesCondition(selector.where, block, context));
+  }
+
+  satisfies(requirement, block, context) {
+    if (requirement.all) return requirement.all.every(item => this.satisfies(item, block, context));
+    if (requirement.any) return requirement.any.some(item => this.satisfies(item, block, context));
+    if (requirement.not) return !this.satisfies(requirement.not, block, context);
+    if (requirement.where) return this.matchesCondition(requirement.where, block, context);
+
+    const related = requirement.precededBy
+      ? precedingBlocks(block, context.blocks)
+      : (requirement.followedBy ? followingBlocks(block, context.blocks) : enclosingBlocks(block, context.blocks));
+    const selector = requirement.precededBy || requirement.followedBy || requirement.inside;
+    return related.some(other => this.matchesSelector(selector, other, context));
+  }
+
+  /**
+   * Evaluate a stored rule against a protocol's flattened blocks, returning a result in
+   * the shape of the built-in validation rules
+   */
+  evaluate(rule, protocol, blocks) {
+    const compiled = this.compile(rule.definition);
+    const context = { blocks, byId: new Map(blocks.map(block => [block.id, block])) };
+    const failureMessage = compiled.message || rule.description || (compiled.contains
+      ? 'number of matching blocks is out of range'
+      : (compiled.require ? 'requirement not met' : 'matching blocks are not allowed'));
+    const violations = [];
+
+    if (compiled.contains) {
+      const matches = blocks.filter(block => this.matchesSelector(compiled.contains, block, context));
+      if (matches.length < compiled.min || (compiled.max !== null && matches.length > compiled.max)) {
+        // Point at the first block over the limit, or at the first match when there are too few
+        const tooMany = compiled.max !== null && matches.length > compiled.max;
+        violations.push({
+          blockId: (tooMany ? matches[compiled.max] : matches[0])?.id || null,
+          count: matches.length,
+          message: `${failureMessage} (found ${matches.length}, expected ` +
+            (compiled.max === null ? `at least ${compiled.min}` : `${compiled.min}-${compiled.max}`) + ')'
+        });
+      }
+    } else {
+      blocks
+        .filter(block => this.matchesSelector(compiled.select, block, context))
+        .filter(block => !compiled.require || !this.satisfies(compiled.require, block, context))
+        .forEach(block => violations.push({ blockId: block.id, type: block.type, message: failureMessage }));
+    }
+
+    return {
+      passed: violations.length === 0,
+      severity: violations.length > 0 ? rule.severity : 'info',
+      category: rule.category,
+      message: violations.length === 0
+        ? `${rule.name}: satisfied`
+        : `${rule.name}: ` + (violations.length === 1 ? violations[0].message : `${failureMessage} (${violations.length} blocks)`),
+      location: violations.length > 0 ? violations[0].blockId : null,
+      data: { ruleId: rule.id, organization: rule.organization, violations },
+      suggestions: violations.length > 0 && compiled.suggestion ? [compiled.suggestion] : []
+    };
+  }
+
+  // Active rules of an organization, evaluated by the validation engine alongside its own rules
+  async getActiveRules(organization) {
+    return ValidationRule.findAll({ organization, active: true });
+  }
+
+  /**
+   * Validate rule fields from a request. Returns the normalized fields; throws
+   * 'Invalid rule: ...' for a bad definition, category or severity.
+   */
+  normalizeRule(ruleData, { partial = false } = {}) {
+    const normalized = {};
+
+    if (!partial || ruleData.name !== undefined) {
+      const name = String(ruleData.name || '').trim();
+      if (!/^[a-z0-9][a-z0-9_-]{0,99}$/i.test(name)) {
+        throw new Error('Invalid rule: name must be letters, digits, _ or - (at most 100)');
+      }
+      normalized.name = name;
+    }
+    if (ruleData.category !== undefined) {
+      if (!CATEGORIES.includes(ruleData.category)) {
+        throw new Error(`Invalid rule: category must be one of ${CATEGORIES.join(', ')}`);
+      }
+      normalized.category = ruleData.category;
+    }
+    if (ruleData.severity !== undefined) {
+      if (!SEVERITIES.includes(ruleData.severity)) {
+        throw new Error(`Invalid rule: severity must be one of ${SEVERITIES.join(', ')}`);
+      }
+      normalized.severity = ruleData.severity;
+    }
+    if (!partial || ruleData.definition !== undefined) {
+      this.compile(ruleData.definition);
+      normalized.definition = ruleData.definition;
+    }
+    if (ruleData.description !== undefined) normalized.description = ruleData.description;
+    if (ruleData.isActive !== undefined) normalized.isActive = Boolean(ruleData.isActive);
+
+    return normalized;
+  }
+
+  // Reference for rule authors, served by the rules API
+  getLanguageReference() {
+    return {
+      categories: CATEGORIES,
+      severities: SEVERITIES,
+      operators: OPERATORS,
+      requirements: [...REQUIREMENTS, 'all', 'any', 'not'],
+      example: {
+        name: 'fast-spin-checkpoint',
+        category: 'safety',
+        severity: 'error',
+        definition: {
+          select: { type: 'centrifuge_step', where: 'SPEED > 15000 rpm' },
+          require: { precededBy: { type: 'checkpoint', where: 'MANUAL_CONFIRM = TRUE' } },
+          message: 'Centrifugation above 15000 rpm must follow a confirmed checkpoint',
+          suggestion: 'Add a checkpoint with manual confirmation before the spin'
+        }
+      }
+    };
+  }
+}
+
+module.exports = new ValidationRuleService();
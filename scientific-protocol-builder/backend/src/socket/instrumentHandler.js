@@ -1,4 +1,5 @@
 const instrumentService = require('../services/instrumentService');
+const instrumentFeatureService = require('../services/instrumentFeatureService');
 const logger = require('../utils/logger');
 const jwt = require('jsonwebtoken');
 
@@ -171,15 +172,16 @@ class InstrumentHandler {
     // Send command to instrument
     socket.on('instrument-command', async (data) => {
       try {
-        const { instrumentId, command, parameters } = data;
+        const { instrumentId, command, parameters, simulate } = data;
         
         // Execute command through instrument service
-        const result = await this.executeInstrumentCommand(instrumentId, command, parameters);
+        const result = await this.executeInstrumentCommand(instrumentId, command, parameters, { simulate });
 
         socket.emit('instrument-command-result', {
           instrumentId,
           command,
           success: result.success,
+          simulated: result.simulated,
           data: result.data,
           message: result.message
         });
@@ -205,6 +207,47 @@ class InstrumentHandler {
       }
     });
 
+    // Request the instrument's feature declarations
+    socket.on('get-instrument-features', async (data) => {
+      try {
+        const { instrumentId } = data;
+        const features = await instrumentService.getInstrumentFeatures(instrumentId);
+
+        socket.emit('instrument-features', {
+          instrumentId,
+          features
+        });
+      } catch (error) {
+        logger.error('Error getting instrument features:', error);
+        socket.emit('error', { message: 'Failed to get instrument features' });
+      }
+    });
+
+    // Read a declared property
+    socket.on('read-instrument-property', async (data) => {
+      try {
+        const { instrumentId, property, simulate } = data;
+        const value = await instrumentService.readProperty(instrumentId, property, { simulate });
+
+        socket.emit('instrument-property', {
+          instrumentId,
+          ...value
+        });
+      } catch (error) {
+        logger.error('Error reading instrument property:', error);
+        socket.emit('error', { message: error.message });
+      }
+    });
+
+    // Get the progress of an observable command
+    socket.on('get-command-execution', (data) => {
+      const execution = instrumentFeatureService.getCommandExecution(data.commandExecutionId);
+      socket.emit('instrument-command-progress', execution || {
+        commandExecutionId: data.commandExecutionId,
+        status: 'unknown'
+      });
+    });
+
     // Request instrument status
     socket.on('get-instrument-status', async (data) => {
       try {
@@ -316,71 +359,59 @@ class InstrumentHandler {
     };
   }
 
-  async executeInstrumentCommand(instrumentId, command, parameters) {
+  /**
+   * Execute a command declared in the instrument's features.
+   * Observable commands return a commandExecutionId and report progress to subscribers,
+   * unless options.awaitCompletion is set. A disconnected instrument is only simulated when
+   * options.simulate is set; results say whether they came from a simulator.
+   */
+  async executeInstrumentCommand(instrumentId, command, parameters = {}, options = {}) {
     try {
-      // This would integrate with the actual instrument API
-      // For now, we'll simulate command execution
-      
       logger.info(`Executing command ${command} on instrument ${instrumentId} with parameters:`, parameters);
-      
-      // Simulate different command types
-      switch (command) {
-        case 'start':
-          return {
-            success: true,
-            data: { status: 'started', timestamp: new Date() },
-            message: 'Instrument started successfully'
-          };
-        
-        case 'stop':
-          return {
-            success: true,
-            data: { status: 'stopped', timestamp: new Date() },
-            message: 'Instrument stopped successfully'
-          };
-        
-        case 'calibrate':
-          return {
-            success: true,
-            data: { 
-              calibrationId: `cal_${Date.now()}`,
-              status: 'calibrating',
-              estimatedDuration: 300 // 5 minutes
-            },
-            message: 'Calibration started'
-          };
-        
-        case 'get_reading':
-          return {
-            success: true,
-            data: {
-              temperature: 25.5 + Math.random() * 5,
-              pressure: 1013.25 + Math.random() * 10,
-              humidity: 45 + Math.random() * 10,
-              timestamp: new Date()
-            },
-            message: 'Reading obtained successfully'
-          };
-        
-        case 'set_temperature':
-          const targetTemp = parameters.temperature || 25;
-          return {
-            success: true,
-            data: {
-              targetTemperature: targetTemp,
-              currentTemperature: 25.5,
-              status: 'heating',
-              estimatedTime: Math.abs(targetTemp - 25.5) * 60 // 1 minute per degree
-            },
-            message: `Temperature set to ${targetTemp}°C`
-          };
-        
-        default:
+
+      const features = await instrumentService.getInstrumentFeatures(instrumentId);
+      const { feature, command: definition } = instrumentFeatureService.resolveCommand(features, command);
+      const validated = instrumentFeatureService.validateParameters(definition, parameters);
+      const { simulated, transport, readProperties } = instrumentService.getCommandTransport(instrumentId, {
+        simulate: !!options.simulate
+      });
+
+      if (definition.observable) {
+        const execution = instrumentFeatureService.startObservableCommand(definition, validated, {
+          transport,
+          readProperties,
+          onUpdate: update => this.broadcastToInstrument(instrumentId, 'instrument-command-progress', {
+            instrumentId,
+            feature: feature.identifier,
+            ...update
+          })
+        });
+
+        if (options.awaitCompletion) {
+          const finished = await execution.promise;
           return {
-            success: false,
-            message: `Unknown command: ${command}`
+            success: finished.status === 'finished',
+            simulated,
+            data: finished.result,
+            message: finished.error || `${definition.displayName} finished`
           };
+        }
+
+        return {
+          success: true,
+          simulated,
+          data: instrumentFeatureService.getCommandExecution(execution.commandExecutionId),
+          message: `${definition.displayName} started`
+        };
       }
+
+      const data = await instrumentFeatureService.executeCommand(definition, validated, transport);
+      return {
+        success: true,
+        simulated,
+        data,
+        message: `${definition.displayName} executed`
+      };
     } catch (error) {
       logger.error('Error executing instrument command:', error);
       return {
@@ -0,0 +1,219 @@
+// Helpers for reading Blockly JSON workspaces (Blockly.serialization.workspaces.save)
+// on the server, where no Blockly runtime is available.
+
+const { quantityOfValueBlock } = require('./quantity');
+
+// Parse a workspace that may be stored as a JSON string or an object
+const parseWorkspace = (workspaceJson) => {
+    if (!workspaceJson) return null;
+    if (typeof workspaceJson === 'string') {
+        return JSON.parse(workspaceJson);
+    }
+    return workspaceJson;
+};
+
+// Get the top-level blocks of a workspace
+const getTopBlocks = (workspaceJson) => {
+    const workspace = parseWorkspace(workspaceJson);
+    if (!workspace) return [];
+    if (Array.isArray(workspace.blocks)) return workspace.blocks;
+    return (workspace.blocks && workspace.blocks.blocks) || [];
+};
+
+// Get the block connected to a value or statement input (real block wins over shadow)
+const getInputBlock = (block, inputName) => {
+    const input = block && block.inputs && block.inputs[inputName];
+    if (!input) return null;
+    return input.block || input.shadow || null;
+};
+
+// Get the block connected below a statement block
+const getNextBlock = (block) => {
+    if (!block || !block.next) return null;
+    return block.next.block || block.next.shadow || null;
+};
+
+// Get every block in a statement input, following the next chain
+const getStatementBlocks = (block, inputName) => {
+    const blocks = [];
+    let current = getInputBlock(block, inputName);
+    while (current) {
+        blocks.push(current);
+        current = getNextBlock(current);
+    }
+    return blocks;
+};
+
+// Get a field value, falling back to a default when the field is absent
+const getFieldValue = (block, fieldName, defaultValue = null) => {
+    if (!block || !block.fields || block.fields[fieldName] === undefined) {
+        return defaultValue;
+    }
+    const value = block.fields[fieldName];
+    // Variable fields serialize as { id }
+    if (value && typeof value === 'object' && value.id) {
+        return value.id;
+    }
+    return value;
+};
+
+// Checkbox fields serialize as 'TRUE'/'FALSE' but older exports store booleans
+const isFieldChecked = (block, fieldName) => {
+    const value = getFieldValue(block, fieldName, false);
+    return value === true || value === 'TRUE' || value === 'true';
+};
+
+// Parse the free-form data string Blockly stores on a block
+const getBlockData = (block) => {
+    if (!block || !block.data) return {};
+    if (typeof block.data === 'object') return block.data;
+    try {
+        return JSON.parse(block.data);
+    } catch (error) {
+        return { value: block.data };
+    }
+};
+
+// Depth-first walk over every block, including value and statement children
+const walkBlocks = (workspaceJson, visitor) => {
+    const visit = (block, parent) => {
+        let current = block;
+        while (current) {
+            visitor(current, parent);
+            Object.keys(current.inputs || {}).forEach(inputName => {
+                const child = getInputBlock(current, inputName);
+                if (child) visit(child, current);
+            });
+            current = getNextBlock(current);
+        }
+    };
+
+    getTopBlocks(workspaceJson).forEach(block => visit(block, null));
+};
+
+// Flatten a workspace into the block list used by the analysis services
+const flattenWorkspace = (workspaceJson) => {
+    const blocks = [];
+
+    walkBlocks(workspaceJson, (block, parent) => {
+        const inputs = {};
+        Object.keys(block.inputs || {}).forEach(inputName => {
+            const child = getInputBlock(block, inputName);
+            if (child) {
+                inputs[inputName] = { type: child.type, id: child.id };
+                // Keep number and quantity values so durations and temperatures can be read
+                const quantity = quantityOfValueBlock(child.type, child.fields || {});
+                if (quantity) inputs[inputName].quantity = quantity;
+            }
+        });
+
+        const next = getNextBlock(block);
+        blocks.push({
+            id: block.id,
+            type: block.type,
+            fields: { ...(block.fields || {}) },
+            inputs,
+            next: next ? next.id : null,
+            parent: parent ? parent.id : null,
+            data: getBlockData(block)
+        });
+    });
+
+    return blocks;
+};
+
+// The following helpers work on flattened blocks, where parent is the enclosing block of a chain
+
+// Blocks that run before a block: the earlier blocks in its chain, then each enclosing block and
+// the blocks before it
+const precedingBlocks = (block, blocks) => {
+    const byId = new Map(blocks.map(other => [other.id, other]));
+    const previous = new Map(blocks.filter(other => other.next).map(other => [other.next, other]));
+    const preceding = [];
+    const seen = new Set();
+
+    let current = block;
+    while (current && !seen.has(current.id)) {
+        seen.add(current.id);
+        current = previous.get(current.id) || byId.get(current.parent);
+        if (current) preceding.push(current);
+    }
+
+    return preceding;
+};
+
+// Blocks that run after a block: the later blocks in its chain, then those after each enclosing block
+const followingBlocks = (block, blocks) => {
+    const byId = new Map(blocks.map(other => [other.id, other]));
+    const following = [];
+    const seen = new Set();
+
+    let current = block;
+    while (current && !seen.has(current.id)) {
+        seen.add(current.id);
+        const next = byId.get(current.next);
+        if (next) following.push(next);
+        current = next || byId.get(current.parent);
+    }
+
+    return following;
+};
+
+// Blocks a block sits inside, innermost first
+const enclosingBlocks = (block, blocks) => {
+    const byId = new Map(blocks.map(other => [other.id, other]));
+    const enclosing = [];
+    const seen = new Set([block.id]);
+
+    let current = byId.get(block.parent);
+    while (current && !seen.has(current.id)) {
+        seen.add(current.id);
+        enclosing.push(current);
+        current = byId.get(current.parent);
+    }
+
+    return enclosing;
+};
+
+// Library protocol a protocol_call block is linked to: LIBRARY_ID holds its id, LIBRARY_VERSION
+// the version the call was written against. Unlinked calls ("NONE" or free text) give null.
+const LIBRARY_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const getLibraryLink = (block) => {
+    const protocolId = getFieldValue(block, 'LIBRARY_ID');
+    if (!protocolId || !LIBRARY_ID_PATTERN.test(protocolId)) return null;
+    return { protocolId, version: getFieldValue(block, 'LIBRARY_VERSION') || null };
+};
+
+// Linked protocol_call blocks of a workspace
+const getProtocolCalls = (workspaceJson) => {
+    const calls = [];
+
+    walkBlocks(workspaceJson, (block) => {
+        if (block.type !== 'protocol_call') return;
+        const link = getLibraryLink(block);
+        if (link) {
+            calls.push({ blockId: block.id, ...link, name: getFieldValue(block, 'PROTOCOL_NAME') });
+        }
+    });
+
+    return calls;
+};
+
+module.exports = {
+    parseWorkspace,
+    getTopBlocks,
+    getInputBlock,
+    getNextBlock,
+    getStatementBlocks,
+    getFieldValue,
+    isFieldChecked,
+    getBlockData,
+    walkBlocks,
+    flattenWorkspace,
+    precedingBlocks,
+    followingBlocks,
+    enclosingBlocks,
+    getLibraryLink,
+    getProtocolCalls
+};
@@ -0,0 +1,127 @@
+// Unit-aware quantities for the analysis services. The unit tables in units.js are shared with
+// quantity.js in the editor, so a "2 h" quantity block is read as the same duration as "120 min"
+// on both sides.
+
+const { UNITS, ALIASES } = require('./units');
+
+const findDimension = (canonical) => {
+    const entry = Object.entries(UNITS).find(([, units]) =>
+        Object.prototype.hasOwnProperty.call(units, canonical));
+    return entry ? entry[0] : null;
+};
+
+// Resolve a unit spelling to its canonical form, or null when the unit is unknown
+const normalizeUnit = (unit) => {
+    if (unit === null || unit === undefined) return null;
+    // Fold the micro sign (U+00B5) into the Greek mu used by the editor
+    const text = String(unit).trim().replace(/µ/g, 'μ').replace(/\s+/g, ' ');
+    if (!text) return null;
+    if (findDimension(text)) return text;
+    if (/^[pnμum]?M$/.test(text)) return text.replace(/^u/, 'μ');
+    return ALIASES[text.toLowerCase()] || null;
+};
+
+const dimensionOf = (unit) => {
+    const canonical = normalizeUnit(unit);
+    return canonical ? findDimension(canonical) : null;
+};
+
+// Parse "2 h", "37°C" or { value, unit } into { value, unit }; unit is null for bare numbers
+const parse = (quantity) => {
+    if (quantity === null || quantity === undefined || quantity === '') return null;
+    if (typeof quantity === 'number') {
+        return isNaN(quantity) ? null : { value: quantity, unit: null };
+    }
+    if (typeof quantity === 'object') {
+        const value = parseFloat(quantity.value);
+        if (isNaN(value)) return null;
+        return { value, unit: quantity.unit ? normalizeUnit(quantity.unit) || quantity.unit : null };
+    }
+    const match = String(quantity).trim().match(/^(-?\d+(?:\.\d+)?(?:e[+-]?\d+)?)\s*(.*)$/i);
+    if (!match) return null;
+    const value = parseFloat(match[1]);
+    if (!match[2]) return { value, unit: null };
+    const unit = normalizeUnit(match[2]);
+    return unit ? { value, unit } : null;
+};
+
+const round = (value) => parseFloat(value.toPrecision(12));
+
+// Convert a quantity into the given unit. Bare numbers are read in defaultUnit; throws when a
+// unit is unknown or the dimensions differ (e.g. a volume where a temperature is expected).
+const convert = (quantity, toUnit, defaultUnit = null) => {
+    const parsed = parse(quantity);
+    if (!parsed) throw new Error(`Not a quantity: ${JSON.stringify(quantity)}`);
+    const fromUnit = parsed.unit || defaultUnit;
+    if (!fromUnit) throw new Error(`Quantity ${parsed.value} has no unit`);
+
+    const from = normalizeUnit(fromUnit);
+    const to = normalizeUnit(toUnit);
+    if (!from) throw new Error(`Unknown unit "${fromUnit}"`);
+    if (!to) throw new Error(`Unknown unit "${toUnit}"`);
+
+    const fromDimension = findDimension(from);
+    const toDimension = findDimension(to);
+    if (fromDimension !== toDimension) {
+        throw new Error(`Cannot convert ${from} (${fromDimension.replace('_', ' ')}) to ` +
+            `${to} (${toDimension.replace('_', ' ')})`);
+    }
+
+    const source = UNITS[fromDimension][from];
+    const target = UNITS[toDimension][to];
+    const base = parsed.value * source.factor + (source.offset || 0);
+    return round((base - (target.offset || 0)) / target.factor);
+};
+
+// Whether two quantities are the same amount, e.g. "2 h" and "120 min"
+const equals = (a, b) => {
+    const left = parse(a);
+    const right = parse(b);
+    if (!left || !right || !left.unit || !right.unit) return false;
+    if (dimensionOf(left.unit) !== dimensionOf(right.unit)) return false;
+    return Math.abs(convert(left, right.unit) - right.value) <= 1e-9 * Math.max(1, Math.abs(right.value));
+};
+
+const format = (quantity) => {
+    const parsed = parse(quantity);
+    if (!parsed) return '';
+    return parsed.unit ? `${parsed.value} ${parsed.unit}` : `${parsed.value}`;
+};
+
+// Read a quantity from an analysis block: a quantity or number block plugged into the input
+// (flattened blocks carry it as inputs[name].quantity), or a field holding "2 h" or a number.
+const readBlockQuantity = (block, name) => {
+    if (!block) return null;
+    const input = block.inputs && block.inputs[name];
+    if (input) {
+        if (input.quantity) return parse(input.quantity);
+        const child = input.block || input.shadow;
+        if (child && child.fields) {
+            if (child.type === 'quantity') return parse({ value: child.fields.VALUE, unit: child.fields.UNIT });
+            if (child.type === 'math_number') return parse(Number(child.fields.NUM));
+        }
+    }
+    if (block.fields && block.fields[name] !== undefined && block.fields[name] !== '') {
+        return parse(block.fields[name]);
+    }
+    return null;
+};
+
+// Quantity of a value block as stored on flattened inputs, or null for other block types
+const quantityOfValueBlock = (type, fields) => {
+    if (type === 'quantity') return parse({ value: fields.VALUE, unit: fields.UNIT });
+    if (type === 'math_number') return parse(Number(fields.NUM));
+    return null;
+};
+
+module.exports = {
+    UNITS,
+    normalizeUnit,
+    dimensionOf,
+    parse,
+    convert,
+    equals,
+    format,
+    readBlockQuantity,
+    quantityOfValueBlock
+};
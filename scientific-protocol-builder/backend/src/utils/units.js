@@ -0,0 +1,114 @@
+// Unit tables shared by the editor's quantity.js and the analysis services' utils/quantity.js, so
+// a quantity block is read the same way on both sides. The editor pages load this file as a
+// script before quantity.js, which is why it does not assume a CommonJS module.
+
+const QuantityUnits = {
+    // Canonical units grouped by dimension. Each unit converts to the dimension's base unit as
+    // base = value * factor + offset (offsets are only needed for temperature scales).
+    UNITS: {
+        volume: {
+            'nL': { factor: 1e-9 },
+            'μL': { factor: 1e-6 },
+            'mL': { factor: 1e-3 },
+            'L': { factor: 1 }
+        },
+        time: {
+            's': { factor: 1 },
+            'min': { factor: 60 },
+            'h': { factor: 3600 },
+            'day': { factor: 86400 }
+        },
+        temperature: {
+            '°C': { factor: 1, offset: 0 },
+            'K': { factor: 1, offset: -273.15 },
+            '°F': { factor: 5 / 9, offset: -160 / 9 }
+        },
+        rotation: {
+            'rpm': { factor: 1 }
+        },
+        acceleration: {
+            'x g': { factor: 1 }
+        },
+        length: {
+            'nm': { factor: 1e-9 },
+            'μm': { factor: 1e-6 },
+            'mm': { factor: 1e-3 },
+            'cm': { factor: 1e-2 },
+            'm': { factor: 1 }
+        },
+        frequency: {
+            'Hz': { factor: 1 },
+            'kHz': { factor: 1e3 },
+            'MHz': { factor: 1e6 },
+            'GHz': { factor: 1e9 }
+        },
+        molarity: {
+            'pM': { factor: 1e-12 },
+            'nM': { factor: 1e-9 },
+            'μM': { factor: 1e-6 },
+            'mM': { factor: 1e-3 },
+            'M': { factor: 1 }
+        },
+        mass_concentration: {
+            'ng/mL': { factor: 1e-6 },
+            'μg/mL': { factor: 1e-3 },
+            'ng/μL': { factor: 1e-3 },
+            'mg/mL': { factor: 1 },
+            'g/L': { factor: 1 }
+        },
+        mass: {
+            'ng': { factor: 1e-9 },
+            'μg': { factor: 1e-6 },
+            'mg': { factor: 1e-3 },
+            'g': { factor: 1 },
+            'kg': { factor: 1e3 }
+        },
+        flow_rate: {
+            'μL/min': { factor: 1e-6 },
+            'mL/min': { factor: 1e-3 },
+            'mL/h': { factor: 1e-3 / 60 },
+            'L/min': { factor: 1 }
+        },
+        fraction: {
+            '%': { factor: 1 }
+        },
+        pressure: {
+            'Pa': { factor: 1 },
+            'kPa': { factor: 1e3 },
+            'MPa': { factor: 1e6 },
+            'mbar': { factor: 100 },
+            'bar': { factor: 1e5 },
+            'psi': { factor: 6894.757 },
+            'atm': { factor: 101325 }
+        }
+    },
+
+    // Spellings accepted by normalizeUnit, keyed in lower case. Molar units are deliberately
+    // absent: "mm" and "mM" differ only by case, so those must be written canonically. The same
+    // goes for megapascals, as "mpa" could as well be millipascals.
+    ALIASES: {
+        'nl': 'nL', 'ul': 'μL', 'μl': 'μL', 'microliter': 'μL', 'microliters': 'μL',
+        'ml': 'mL', 'milliliter': 'mL', 'milliliters': 'mL', 'l': 'L', 'liter': 'L', 'liters': 'L',
+        's': 's', 'sec': 's', 'secs': 's', 'second': 's', 'seconds': 's',
+        'min': 'min', 'mins': 'min', 'minute': 'min', 'minutes': 'min',
+        'h': 'h', 'hr': 'h', 'hrs': 'h', 'hour': 'h', 'hours': 'h',
+        'd': 'day', 'day': 'day', 'days': 'day',
+        '°c': '°C', 'c': '°C', 'degc': '°C', 'celsius': '°C',
+        'k': 'K', 'kelvin': 'K',
+        '°f': '°F', 'f': '°F', 'degf': '°F', 'fahrenheit': '°F',
+        'rpm': 'rpm',
+        'x g': 'x g', 'xg': 'x g', '×g': 'x g', '× g': 'x g', 'rcf': 'x g',
+        'nm': 'nm', 'μm': 'μm', 'um': 'μm', 'mm': 'mm', 'cm': 'cm', 'm': 'm',
+        'hz': 'Hz', 'khz': 'kHz', 'mhz': 'MHz', 'ghz': 'GHz',
+        'ng/ml': 'ng/mL', 'μg/ml': 'μg/mL', 'ug/ml': 'μg/mL', 'ng/μl': 'ng/μL', 'ng/ul': 'ng/μL',
+        'mg/ml': 'mg/mL', 'g/l': 'g/L',
+        'ng': 'ng', 'μg': 'μg', 'ug': 'μg', 'mg': 'mg', 'g': 'g', 'kg': 'kg',
+        'μl/min': 'μL/min', 'ul/min': 'μL/min', 'ml/min': 'mL/min', 'ml/h': 'mL/h', 'l/min': 'L/min',
+        '%': '%', 'percent': '%', 'percent_wv': '%', 'percent_vv': '%',
+        'pa': 'Pa', 'kpa': 'kPa', 'mbar': 'mbar', 'bar': 'bar', 'psi': 'psi', 'atm': 'atm'
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuantityUnits;
+}
@@ -0,0 +1,97 @@
+// Well locations, shared by the analysis services and labware.js in the editor: a location is
+// "labware", "labware:A1", "labware:A1,B1" or "labware:A1-H1", and ranges run down each column,
+// then across, on the layout of the labware_definition with that name (a 96-well plate when
+// the labware is not defined). The editor pages load this file as a script before labware.js,
+// which is why it does not assume a CommonJS module.
+
+const Wells = {
+    ROW_LETTERS: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+
+    DEFAULT_FORMAT: 'PLATE_96',
+
+    // Rows and columns of the racks and reservoirs; plates (PLATE_<wells>) are laid out 2:3
+    RACKS: {
+        TUBE_RACK_24: { label: '24-tube rack (1.5 mL)', rows: 4, columns: 6 },
+        TUBE_RACK_15: { label: '15-tube rack (15 mL)', rows: 3, columns: 5 },
+        RESERVOIR_12: { label: '12-channel reservoir', rows: 1, columns: 12 },
+        RESERVOIR_1: { label: 'single-well reservoir', rows: 1, columns: 1 }
+    },
+
+    // Layout of a plate with the given number of wells, e.g. 96 wells as 8 rows of 12
+    plateLayout: function(wells) {
+        const rows = Math.round(Math.sqrt(wells * 2 / 3));
+        return { label: `${wells}-well plate`, rows: rows, columns: Math.round(wells / rows) };
+    },
+
+    // Layout of a labware_definition FORMAT, or null when it is not known
+    getFormat: function(formatId) {
+        if (this.RACKS[formatId]) return { id: formatId, ...this.RACKS[formatId] };
+        const match = /^PLATE_(\d+)$/.exec(formatId || '');
+        return match ? { id: formatId, ...this.plateLayout(parseInt(match[1], 10)) } : null;
+    },
+
+    // Rows run A-Z, then AA-AF on 1536-well plates
+    rowName: function(index) {
+        return index < 26 ? this.ROW_LETTERS[index] : 'A' + this.ROW_LETTERS[index - 26];
+    },
+
+    // Row and column of a well; with a format, wells outside its layout are rejected
+    parseWell: function(well, format) {
+        const match = /^(A?[A-Z])(\d{1,2})$/.exec(String(well).trim().toUpperCase());
+        if (!match) throw new Error(`Invalid well "${well}"`);
+        const row = match[1].length === 2 ? 26 + match[1].charCodeAt(1) - 65 : match[1].charCodeAt(0) - 65;
+        const column = parseInt(match[2], 10) - 1;
+        if (format && (row >= format.rows || column < 0 || column >= format.columns)) {
+            throw new Error(`Well ${match[1]}${match[2]} is not on a ${format.label}`);
+        }
+        return { row: row, column: column };
+    },
+
+    normalizeWell: function(well, format) {
+        const { row, column } = this.parseWell(well, format);
+        return `${this.rowName(row)}${column + 1}`;
+    },
+
+    // Well names of a spec such as "A1,B1-H1"
+    expandWells: function(spec, format) {
+        const layout = format || this.getFormat(this.DEFAULT_FORMAT);
+        const wells = [];
+        String(spec).split(',').map(part => part.trim()).filter(part => part).forEach(part => {
+            const [start, end] = part.split('-');
+            if (!end) {
+                wells.push(this.normalizeWell(start, layout));
+                return;
+            }
+            const from = this.parseWell(start, layout);
+            const to = this.parseWell(end, layout);
+            const first = from.column * layout.rows + from.row;
+            const last = to.column * layout.rows + to.row;
+            if (last < first) throw new Error(`Well range ${part} runs backwards`);
+            for (let index = first; index <= last; index++) {
+                wells.push(`${this.rowName(index % layout.rows)}${Math.floor(index / layout.rows) + 1}`);
+            }
+        });
+        return wells;
+    },
+
+    // "plate1:A1-A3" as { labware: 'plate1', wells: 'A1-A3' }; wells is null without a colon
+    parseReference: function(text) {
+        const value = String(text).trim();
+        const separator = value.indexOf(':');
+        if (separator < 0) return { labware: value, wells: null };
+        return { labware: value.slice(0, separator).trim(), wells: value.slice(separator + 1).trim() || null };
+    },
+
+    // Source and destination of each movement: well to well, one to many, or many to one;
+    // null when the counts do not match up
+    pairWells: function(sources, destinations) {
+        if (sources.length === destinations.length) return sources.map((source, i) => [source, destinations[i]]);
+        if (sources.length === 1) return destinations.map(destination => [sources[0], destination]);
+        if (destinations.length === 1) return sources.map(source => [source, destinations[0]]);
+        return null;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Wells;
+}
@@ -0,0 +1,123 @@
+const { createDriver } = require('../../src/drivers');
+const { startHttpSimulator, startScpiSimulator, startSerialBridgeSimulator } = require('../../src/drivers/simulators');
+
+const identity = { manufacturer: 'Protocol Builder', model: 'SIM-1000', serialNumber: 'SIM0001', firmware: '1.0.0' };
+const commands = ['start', 'stop', 'set_temperature', 'calibrate', 'get_reading'];
+
+describe('TcpScpiDriver against the SCPI simulator', () => {
+  let simulator;
+  let driver;
+
+  beforeEach(async () => {
+    simulator = await startScpiSimulator();
+    driver = createDriver('scpi', {
+      host: '127.0.0.1',
+      port: simulator.port,
+      timeout: 1000,
+      commands: { set_temperature: 'SOUR:TEMP {temperature}' }
+    });
+  });
+  afterEach(async () => {
+    await driver.disconnect();
+    await simulator.close();
+  });
+
+  test('connects and discovers what the instrument is', async () => {
+    await driver.connect();
+
+    expect(driver.isConnected()).toBe(true);
+    expect(await driver.discoverCapabilities()).toEqual({
+      identity,
+      commands,
+      readings: ['temperature', 'pressure', 'status']
+    });
+  });
+
+  test('reads the live readings as numbers where they are numeric', async () => {
+    await driver.connect();
+
+    expect(await driver.read()).toEqual({
+      timestamp: expect.any(Date),
+      temperature: 25,
+      pressure: 1013.25,
+      status: 'idle'
+    });
+  });
+
+  test('runs commands from the command table and by name', async () => {
+    await driver.connect();
+
+    expect(await driver.command('set_temperature', { temperature: 37 })).toEqual({ command: 'SOUR:TEMP 37', response: null });
+    expect(await driver.command('start')).toEqual({ command: 'START', response: null });
+
+    expect(await driver.read()).toMatchObject({ status: 'operating' });
+    expect(simulator.instrument.setpoint).toBe(37);
+  });
+
+  test('refuses to send once disconnected', async () => {
+    await driver.connect();
+    await driver.disconnect();
+
+    await expect(driver.read()).rejects.toThrow('Instrument is not connected');
+  });
+});
+
+describe('SerialBridgeDriver against the serial bridge simulator', () => {
+  test('talks CR/LF framed SCPI and reports its line settings', async () => {
+    const simulator = await startSerialBridgeSimulator();
+    const driver = createDriver('serial', { host: '127.0.0.1', port: simulator.port, timeout: 1000, baudRate: 19200 });
+
+    try {
+      await driver.connect();
+
+      expect(await driver.discoverCapabilities()).toMatchObject({
+        identity,
+        commands,
+        serialSettings: { baudRate: 19200, dataBits: 8, parity: 'none', stopBits: 1 }
+      });
+      expect(await driver.read()).toMatchObject({ temperature: 25, status: 'idle' });
+    } finally {
+      await driver.disconnect();
+      await simulator.close();
+    }
+  });
+});
+
+describe('HttpDriver against the HTTP simulator', () => {
+  let simulator;
+  let driver;
+
+  beforeEach(async () => {
+    simulator = await startHttpSimulator();
+    driver = createDriver('http', { endpoint: `http://127.0.0.1:${simulator.port}/`, timeout: 1000 });
+  });
+  afterEach(async () => {
+    await driver.disconnect();
+    await simulator.close();
+  });
+
+  test('connects and discovers what the instrument is', async () => {
+    await driver.connect();
+
+    expect(driver.isConnected()).toBe(true);
+    expect(await driver.discoverCapabilities()).toEqual({
+      identity,
+      commands,
+      readings: ['temperature', 'pressure', 'status', 'setpoint']
+    });
+  });
+
+  test('reads the live readings', async () => {
+    await driver.connect();
+
+    expect(await driver.read()).toEqual({ temperature: 25, pressure: 1013.25, status: 'idle', setpoint: 25 });
+  });
+
+  test('runs commands and surfaces the errors the instrument reports', async () => {
+    await driver.connect();
+
+    expect(await driver.command('set_temperature', { temperature: 37 })).toMatchObject({ targetTemperature: 37 });
+    expect(await driver.command('start')).toEqual({ status: 'operating' });
+    await expect(driver.command('fly')).rejects.toThrow('Unknown command: fly');
+  });
+});
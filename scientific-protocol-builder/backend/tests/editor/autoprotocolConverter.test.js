@@ -0,0 +1,175 @@
+const { JSDOM } = require('jsdom');
+
+// The editor's browser scripts read these as globals
+global.DOMParser = new JSDOM().window.DOMParser;
+global.Quantity = require('../../../../quantity');
+global.Labware = require('../../../../labware');
+const { AutoprotocolConverter } = require('../../../../protocol_storage');
+
+// Workspace XML builders, in the shape Blockly.Xml.workspaceToDom writes
+const field = (name, value) => `<field name="${name}">${value}</field>`;
+const number = (name, value) => `<value name="${name}"><block type="math_number">${field('NUM', value)}</block></value>`;
+const quantity = (name, value, unit) =>
+  `<value name="${name}"><block type="quantity">${field('VALUE', value)}${field('UNIT', unit)}</block></value>`;
+const location = (name, text) => `<value name="${name}"><block type="text">${field('TEXT', text)}</block></value>`;
+const chain = (blocks) => blocks.reduceRight((next, block) =>
+  next ? block.replace(/<\/block>$/, () => `<next>${next}</next></block>`) : block, '');
+const workspace = (...blocks) =>
+  `<xml xmlns="https://developers.google.com/blockly/xml"><block type="protocol_sequence" id="seq">` +
+  `<statement name="STEPS">${chain(blocks)}</statement></block></xml>`;
+
+const transfer = (id, source, destination, volume = number('VOLUME', 50)) =>
+  `<block type="transfer_step" id="${id}">${field('METHOD', 'PIPETTE')}${field('TIP_TYPE', 'STANDARD')}` +
+  `${volume}${location('SOURCE', source)}${location('DESTINATION', destination)}</block>`;
+const labware = (name, format) =>
+  `<block type="labware_definition" id="lw_${name}">${field('NAME', name)}${field('FORMAT', format)}</block>`;
+
+describe('AutoprotocolConverter', () => {
+  test('declares refs by container name on first use', () => {
+    const { protocol, errors } = new AutoprotocolConverter().convert(workspace(
+      transfer('t1', 'buffer_reservoir:A1', 'assay_plate:A1'),
+      transfer('t2', 'sample_tube:A1', 'assay_plate:B1')
+    ));
+
+    expect(errors).toEqual([]);
+    expect(protocol.refs).toEqual({
+      buffer_reservoir: { new: 'res-sw96-hp', store: { where: 'cold_4' } },
+      assay_plate: { new: '96-flat', store: { where: 'cold_4' } },
+      sample_tube: { new: 'micro-1.5', store: { where: 'cold_4' } }
+    });
+  });
+
+  test('maps one-to-many, many-to-one and paired wells to distribute, consolidate and transfer', () => {
+    const { protocol, errors } = new AutoprotocolConverter().convert(workspace(
+      transfer('t1', 'reservoir:A1', 'plate:A1-C1'),
+      transfer('t2', 'plate:A1,B1', 'tube:A1', quantity('VOLUME', 0.02, 'mL')),
+      transfer('t3', 'plate:A1-B1', 'plate:A2-B2')
+    ));
+
+    expect(errors).toEqual([]);
+    expect(protocol.instructions).toEqual([
+      {
+        op: 'pipette',
+        groups: [{
+          distribute: {
+            from: 'reservoir/A1',
+            to: ['plate/A1', 'plate/B1', 'plate/C1'].map(well => ({ well, volume: '50:microliter' }))
+          }
+        }]
+      },
+      {
+        op: 'pipette',
+        groups: [{
+          consolidate: {
+            to: 'tube/A1',
+            from: ['plate/A1', 'plate/B1'].map(well => ({ well, volume: '20:microliter' }))
+          }
+        }]
+      },
+      {
+        op: 'pipette',
+        groups: [{
+          transfer: [
+            { from: 'plate/A1', to: 'plate/A2', volume: '50:microliter' },
+            { from: 'plate/B1', to: 'plate/B2', volume: '50:microliter' }
+          ]
+        }]
+      }
+    ]);
+  });
+
+  test('expands well ranges down the columns of the declared labware format', () => {
+    const { protocol, errors } = new AutoprotocolConverter().convert(workspace(
+      labware('rack', 'TUBE_RACK_24'),
+      transfer('t1', 'reservoir:A1', 'rack:C1-B2')
+    ));
+
+    expect(errors).toEqual([]);
+    expect(protocol.instructions[0].groups[0].distribute.to.map(entry => entry.well))
+      .toEqual(['rack/C1', 'rack/D1', 'rack/A2', 'rack/B2']);
+  });
+
+  test('incubates at a set point, converting the duration to minutes', () => {
+    const { protocol, errors } = new AutoprotocolConverter().convert(workspace(
+      `<block type="incubation_step" id="inc">${field('SAMPLE', 'culture_plate')}${number('TEMPERATURE', 37)}` +
+      `${quantity('TIME', 2, 'h')}${field('CONDITIONS', 'SHAKING')}</block>`
+    ));
+
+    expect(errors).toEqual([]);
+    expect(protocol.instructions).toEqual([
+      { op: 'incubate', object: 'culture_plate', where: 'warm_37', duration: '120:minute', shaking: true }
+    ]);
+  });
+
+  test('spins at the g the rotor radius gives for the rpm', () => {
+    const xml = workspace(
+      `<block type="centrifuge_step" id="spin">${location('SAMPLE', 'assay_plate')}${number('SPEED', 3000)}` +
+      `${number('TIME', 5)}${field('ACCELERATION', 'FAST')}</block>`
+    );
+
+    const { protocol, errors } = new AutoprotocolConverter({ rotorRadiusCm: 10 }).convert(xml);
+
+    expect(errors).toEqual([]);
+    expect(protocol.instructions).toEqual([
+      { op: 'spin', object: 'assay_plate', acceleration: '1006:g', duration: '5:minute' }
+    ]);
+    expect(new AutoprotocolConverter().convert(xml).errors).toEqual([
+      expect.objectContaining({ blockId: 'spin', field: 'SPEED', message: expect.stringContaining('rotorRadiusCm') })
+    ]);
+  });
+
+  test('seals the plate before a thermocycle that reads every annealing step', () => {
+    const { protocol, errors, warnings } = new AutoprotocolConverter().convert(workspace(
+      `<block type="qpcr_system" id="qpcr">${field('SYSTEM', 'QUANTSTUDIO')}${location('SAMPLE', 'pcr_plate:A1-C1')}` +
+      `${field('CHEMISTRY', 'SYBR')}${field('VOLUME', 20)}${number('CYCLES', 35)}${number('ANNEALING_TEMP', 58)}` +
+      `${field('MELT_CURVE', 'TRUE')}${field('RESULT_VAR', 'ct_values')}</block>`
+    ));
+
+    expect(errors).toEqual([]);
+    expect(protocol.refs.pcr_plate.new).toBe('96-pcr');
+    expect(protocol.instructions).toEqual([
+      { op: 'seal', object: 'pcr_plate', type: 'ultra-clear' },
+      {
+        op: 'thermocycle',
+        object: 'pcr_plate',
+        groups: [
+          { cycles: 1, steps: [{ temperature: '95:celsius', duration: '10:minute' }] },
+          {
+            cycles: 35,
+            steps: [
+              { temperature: '95:celsius', duration: '15:second' },
+              { temperature: '58:celsius', duration: '30:second', read: true },
+              { temperature: '72:celsius', duration: '30:second' }
+            ]
+          }
+        ],
+        volume: '20:microliter',
+        dataref: 'ct_values',
+        dyes: { SYBR: ['A1', 'B1', 'C1'] },
+        melting_start: '65:celsius',
+        melting_end: '95:celsius',
+        melting_increment: '0.5:celsius',
+        melting_rate: '5:second'
+      }
+    ]);
+    expect(warnings).toEqual(['qpcr_system (block qpcr): instrument QUANTSTUDIO is chosen by the lab']);
+  });
+
+  test('reports every block field that has no Autoprotocol equivalent', () => {
+    const { errors } = new AutoprotocolConverter().convert(workspace(
+      `<block type="incubation_step" id="inc">${field('SAMPLE', 'plate')}${number('TEMPERATURE', 42)}` +
+      `${quantity('TIME', 5, 'mL')}${field('CONDITIONS', 'ROTATING')}</block>`,
+      transfer('t1', 'plate:A1-C1', 'plate:A2-B2'),
+      '<block type="pcr_step" id="pcr"></block>'
+    ));
+
+    expect(AutoprotocolConverter.formatReport(errors)).toBe([
+      '5 block field(s) cannot be expressed in Autoprotocol:',
+      '- incubation_step (block inc), field TIME: Cannot convert mL (volume) to min (time)',
+      '- incubation_step (block inc), field TEMPERATURE: 42 °C is not an incubator set point (available: 4, 22, 30, 35, 37, -20, -80 °C)',
+      '- incubation_step (block inc), field CONDITIONS: rotating incubation is not available; use static or shaking',
+      '- transfer_step (block t1), field DESTINATION: 3 source wells cannot be paired with 2 destination wells',
+      '- pcr_step (block pcr): no Autoprotocol instruction for this block'
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,22 @@
+// The editor's browser scripts read Quantity as a global
+global.Quantity = require('../../../../quantity');
+const ExperimentDesign = require('../../../../experiment_design');
+
+const twoLevelFactors = (count) => Array.from({ length: count }, (_, index) => ({
+  name: `factor_${index + 1}`,
+  levels: [1, 2]
+}));
+
+describe('ExperimentDesign.expand', () => {
+  test('refuses a fractional design with more runs than the limit before expanding it', () => {
+    const design = { name: 'screen', design: 'FRACTIONAL', factors: twoLevelFactors(24), fraction: 1 };
+
+    expect(() => ExperimentDesign.expand(design)).toThrow('Design "screen" would need 8388608 runs; the limit is 1000');
+  });
+
+  test('expands a fractional design within the limit', () => {
+    const design = { name: 'screen', design: 'FRACTIONAL', factors: twoLevelFactors(5), fraction: 1 };
+
+    expect(ExperimentDesign.expand(design).runs).toHaveLength(16);
+  });
+});
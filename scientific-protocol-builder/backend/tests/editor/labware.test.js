@@ -0,0 +1,98 @@
+const Blockly = require('blockly');
+
+// The editor's browser scripts read these as globals
+global.Blockly = Blockly;
+global.Quantity = require('../../../../quantity');
+global.Labware = require('../../../../labware');
+require('../../../../blocks/experiment_blocks');
+require('../../../../blocks/labware_blocks');
+const Labware = require('../../../../labware');
+
+const chain = (blocks) => blocks.reduceRight((next, block) => (next ? { ...block, next: { block: next } } : block), null);
+const load = (...blocks) => {
+  const workspace = new Blockly.Workspace();
+  Blockly.serialization.workspaces.load({ blocks: { languageVersion: 0, blocks: [chain(blocks)] } }, workspace);
+  return workspace;
+};
+
+const labware = (name, format, ...assignments) => ({
+  type: 'labware_definition',
+  id: name,
+  fields: { NAME: name, FORMAT: format },
+  inputs: { CONTENTS: { block: chain(assignments) } }
+});
+const assign = (id, wells, role, content, volume = 0) =>
+  ({ type: 'well_assignment', id, fields: { WELLS: wells, ROLE: role, CONTENT: content, VOLUME: volume } });
+const wells = (name, spec) => ({ block: { type: 'well_reference', fields: { LABWARE: name, WELLS: spec } } });
+const transfer = (id, source, destination, volume) => ({
+  type: 'transfer_step',
+  id,
+  inputs: {
+    VOLUME: { block: { type: 'math_number', fields: { NUM: volume } } },
+    SOURCE: source,
+    DESTINATION: destination
+  }
+});
+
+describe('Labware.expandWells', () => {
+  const plate = Labware.getFormat('PLATE_96');
+
+  test('expands lists and ranges down each column, then across', () => {
+    expect(Labware.expandWells('A1, G1-B2', plate)).toEqual(['A1', 'G1', 'H1', 'A2', 'B2']);
+    expect(Labware.expandWells('*', Labware.getFormat('RESERVOIR_12'))).toHaveLength(12);
+    expect(Labware.expandWells('AE48-AF48', Labware.getFormat('PLATE_1536'))).toEqual(['AE48', 'AF48']);
+  });
+
+  test('rejects wells off the layout, backwards ranges and unreadable wells', () => {
+    expect(() => Labware.expandWells('I1', plate)).toThrow('Well I1 is not on a 96-well plate');
+    expect(() => Labware.expandWells('A1', Labware.getFormat('RESERVOIR_1'))).not.toThrow();
+    expect(() => Labware.expandWells('A2', Labware.getFormat('RESERVOIR_1'))).toThrow('Well A2 is not on a single-well reservoir');
+    expect(() => Labware.expandWells('B2-A2', plate)).toThrow('Well range B2-A2 runs backwards');
+    expect(() => Labware.expandWells('1A', plate)).toThrow('Invalid well "1A"');
+  });
+
+  test('compresses wells back into the shortest spec', () => {
+    expect(Labware.compressWells(['A2', 'C1', 'A1', 'B1', 'H1'], plate)).toBe('A1-C1,H1-A2');
+  });
+});
+
+describe('Labware.simulate', () => {
+  const layout = () => load(
+    labware('plate', 'PLATE_96',
+      assign('samples', 'A1-C1', 'SAMPLE', 's1'),
+      assign('control', 'C1-D1', 'CONTROL', 'ctrl', 50),
+      assign('standard', 'E1', 'STANDARD', 'std')),
+    labware('tubes', 'TUBE_RACK_24',
+      assign('stock', 'A1', 'SAMPLE', 's1', 200),
+      assign('second', 'B1', 'SAMPLE', 's2')),
+    transfer('fill', wells('tubes', 'A1'), wells('plate', 'A1-C1'), 50),
+    transfer('draw', wells('tubes', 'B1'), wells('plate', 'E1'), 20)
+  );
+
+  test('follows transfers to work out well volumes and what they draw', () => {
+    const result = Labware.simulate(layout());
+
+    const plate = result.labware.find(entry => entry.name === 'plate');
+    // E1 takes the volume of the transfer from the unfilled tube, but none of its contents
+    expect(plate.wells.map(state => [state.well, state.contents, state.volume])).toEqual([
+      ['A1', ['s1'], 50], ['B1', ['s1'], 50], ['C1', ['s1'], 50], ['D1', ['ctrl'], 50], ['E1', [], 20]
+    ]);
+    expect(result.labware.find(entry => entry.name === 'tubes').wells[0]).toMatchObject({ well: 'A1', volume: 50 });
+    expect(result.requirements).toEqual([{ content: 's1', volume: 150, wells: ['tubes:A1'] }]);
+  });
+
+  test('flags double-assigned wells, unfilled sources and wells that are never filled', () => {
+    const { issues } = Labware.simulate(layout());
+
+    expect(issues).toEqual([
+      { type: 'duplicate_assignment', severity: 'error', blockId: 'control',
+        message: 'Well C1 of plate is assigned twice (s1 and ctrl)' },
+      { type: 'unfilled_source', severity: 'error', blockId: 'draw',
+        message: 'Transfer draws from B1 of tubes, which is never filled before this step' },
+      { type: 'unfilled_well', severity: 'warning', blockId: 'standard',
+        message: 'E1 of plate is laid out for std but never filled' },
+      { type: 'unfilled_well', severity: 'warning', blockId: 'second',
+        message: 'B1 of tubes is laid out for s2 but never filled' }
+    ]);
+  });
+});
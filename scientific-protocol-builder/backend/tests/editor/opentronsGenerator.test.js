@@ -0,0 +1,95 @@
+const Blockly = require('blockly');
+
+// The editor's browser scripts read these as globals
+global.Blockly = Blockly;
+global.Quantity = require('../../../../quantity');
+global.ExperimentDesign = require('../../../../experiment_design');
+global.Labware = require('../../../../labware');
+require('../../../../blocks/experiment_blocks');
+require('../../../../blocks/variable_blocks');
+require('../../../../blocks/control_blocks');
+require('../../../../blocks/labware_blocks');
+require('../../../../blocks/specialized_equipment_blocks');
+const OpentronsGenerator = require('../../../../generators/opentrons_generator');
+const fixture = require('../../../../examples/opentrons_transfer_workspace.json');
+
+const generate = (state) => {
+  const workspace = new Blockly.Workspace();
+  Blockly.serialization.workspaces.load(state, workspace);
+  return OpentronsGenerator.workspaceToCode(workspace);
+};
+
+// Step lines of a generated run(), without their indentation
+const lines = (code) => code.split('\n').map(line => line.trim()).filter(line => line);
+
+const wells = (labware, names) => `[${labware}[w] for w in [${names.map(name => `'${name}'`).join(', ')}]]`;
+const column = ['A1', 'B1', 'C1', 'D1', 'E1', 'F1', 'G1', 'H1'];
+
+describe('OpentronsGenerator', () => {
+  test('generates the transfer fixture as an OT-2 run', () => {
+    const code = generate(fixture);
+
+    expect(code).toContain("'protocolName': 'Serial Plate Setup'");
+    expect(code).toContain('def run(protocol: protocol_api.ProtocolContext):');
+    expect(code).not.toContain('WARNING');
+    expect(lines(code.slice(code.indexOf('# Pipettes')))).toEqual([
+      '# Pipettes',
+      "p300 = protocol.load_instrument('p300_single_gen2', 'left', tip_racks=[tiprack_p300])",
+      "p20 = protocol.load_instrument('p20_single_gen2', 'right', tip_racks=[tiprack_p20])",
+      '# Steps',
+      `p300.distribute(100, buffer_reservoir['A1'], ${wells('assay_plate', column)}, new_tip='always')`,
+      "protocol.comment('Manual step: incubate samples at 4 C for 10 min')",
+      'p300.flow_rate.aspirate = 46.43',
+      `p300.transfer(10, ${wells('sample_plate', column)}, ${wells('assay_plate', column)}, new_tip='always', mix_after=(3, 10))`,
+      'p300.flow_rate.aspirate = 92.86',
+      `p20.consolidate(20, ${wells('assay_plate', ['A1', 'B1', 'C1', 'D1'])}, pool_tubes['A1'], new_tip='always')`,
+      "protocol.pause('Seal plate: Seal assay plate before reading')"
+    ]);
+    expect(code).toContain("buffer_reservoir = protocol.load_labware('nest_12_reservoir_15ml', 1)");
+    expect(code).toContain("pool_tubes = protocol.load_labware('opentrons_24_tuberack_eppendorf_1.5ml_safelock_snapcap', 5)");
+  });
+
+  test('moves up to 50 µL in one aspiration with 50 µL tips', () => {
+    const handler = fixture.blocks.blocks[0].inputs.STEPS.block.next.block.next.block;
+    const code = generate({
+      blocks: {
+        languageVersion: 0,
+        blocks: [{
+          ...handler,
+          next: undefined,
+          inputs: { ...handler.inputs, VOLUME_MAP: { block: { type: 'math_number', fields: { NUM: 40 } } } }
+        }]
+      }
+    });
+
+    expect(code).toContain("p300 = protocol.load_instrument('p300_single_gen2', 'left', tip_racks=[tiprack_p300])");
+    expect(code).toContain('p300.transfer(40, ');
+    expect(code).not.toContain('p20');
+  });
+
+  test('scales a computed wait in hours as a whole', () => {
+    const code = generate({
+      blocks: {
+        languageVersion: 0,
+        blocks: [{
+          type: 'wait_step',
+          fields: { TIME_UNITS: 'HOURS', REASON: 'overnight' },
+          inputs: {
+            TIME: {
+              block: {
+                type: 'math_arithmetic',
+                fields: { OP: 'ADD' },
+                inputs: {
+                  A: { block: { type: 'math_number', fields: { NUM: 1 } } },
+                  B: { block: { type: 'math_number', fields: { NUM: 2 } } }
+                }
+              }
+            }
+          }
+        }]
+      }
+    });
+
+    expect(code).toContain("protocol.delay(minutes=(1 + 2) * 60, msg='overnight')");
+  });
+});
@@ -0,0 +1,163 @@
+const Blockly = require('blockly');
+
+// The editor's browser scripts read these as globals
+global.Blockly = Blockly;
+global.Quantity = require('../../../../quantity');
+global.ExperimentDesign = require('../../../../experiment_design');
+global.Labware = require('../../../../labware');
+require('../../../../blocks/experiment_blocks');
+require('../../../../blocks/variable_blocks');
+require('../../../../blocks/control_blocks');
+require('../../../../blocks/labware_blocks');
+const ReadableGenerator = require('../../../../generators/readable_generator');
+const MarkdownProtocolParser = require('../../../../protocol_markdown_parser');
+
+// The first block of a given type in the generated workspace XML
+const blockXml = (xml, type) => {
+  const start = xml.indexOf(`<block type="${type}"`);
+  return start < 0 ? null : xml.slice(start);
+};
+
+const number = (value) => ({ block: { type: 'math_number', fields: { NUM: value } } });
+const quantity = (value, unit) => ({ block: { type: 'quantity', fields: { VALUE: value, UNIT: unit } } });
+const text = (value) => ({ block: { type: 'text', fields: { TEXT: value } } });
+const chain = (blocks) => blocks.reduceRight((next, block) => (next ? { ...block, next: { block: next } } : block), null);
+
+const protocol = (...steps) => ({
+  blocks: {
+    languageVersion: 0,
+    blocks: [{
+      type: 'protocol_definition',
+      fields: { PROTOCOL_NAME: 'Cell viability', DESCRIPTION: 'MTT assay on treated cells' },
+      inputs: { STEPS: { block: chain(steps) } }
+    }]
+  }
+});
+
+const load = (state) => {
+  const workspace = new Blockly.Workspace();
+  Blockly.serialization.workspaces.load(state, workspace);
+  return workspace;
+};
+
+// Step blocks of a workspace in the order they run, with their fields and constant inputs
+const steps = (workspace) => workspace.getTopBlocks(true)
+  .reduce((blocks, top) => blocks.concat(top.getDescendants(true)), [])
+  .filter(block => block.type.endsWith('_step'))
+  .map(block => ({
+    type: block.type,
+    fields: Object.fromEntries(block.inputList.flatMap(input => input.fieldRow)
+      .filter(field => field.name && field.EDITABLE)
+      .map(field => [field.name, field.getValue()])),
+    inputs: Object.fromEntries(block.inputList
+      .filter(input => input.connection && input.connection.targetBlock())
+      .map(input => [input.name, ReadableGenerator.valueToCode(block, input.name, ReadableGenerator.ORDER_NONE)]))
+  }));
+
+describe('MarkdownProtocolParser free-text steps', () => {
+  test('reads a volume after a material as its volume, not a molar concentration', () => {
+    const { xml } = MarkdownProtocolParser.parse('## Materials\n- E. coli culture (5 mL)\n- Tris-HCl, 50 mM\n');
+
+    const culture = xml.slice(xml.indexOf('E. coli culture'), xml.indexOf('Tris-HCl'));
+    expect(culture).toContain('<field name="UNITS">X</field>');
+    expect(culture).toContain('<value name="VOLUME"><block type="quantity"><field name="VALUE">5</field><field name="UNIT">mL</field>');
+    expect(culture).not.toContain('CONCENTRATION');
+    expect(xml.slice(xml.indexOf('Tris-HCl'))).toContain('<field name="UNITS">mM</field>');
+  });
+
+  test('maps "Wait" steps onto wait blocks in the unit they were written in', () => {
+    const { xml, warnings } = MarkdownProtocolParser.parse('1. Wait 5 minutes\n2. Wait 2 hours for the gel to set.\n');
+
+    expect(xml).not.toContain('observation_step');
+    expect(blockXml(xml, 'wait_step')).toContain(
+      '<field name="TIME_UNITS">MINUTES</field><field name="REASON"></field><value name="TIME"><block type="math_number"><field name="NUM">5<'
+    );
+    expect(xml).toContain('<field name="TIME_UNITS">HOURS</field><field name="REASON">the gel to set</field>');
+    expect(warnings).toEqual([]);
+  });
+
+  test('turns "If ...:" into a conditional around the steps indented below it', () => {
+    const { xml } = MarkdownProtocolParser.parse(
+      '1. If the lysate is cloudy:\n    - Centrifuge at 5000 rpm for 10 min\n2. Wait 1 minute\n'
+    );
+
+    const conditional = blockXml(xml, 'controls_if');
+    expect(conditional).toContain('<value name="IF0"><block type="text"><field name="TEXT">the lysate is cloudy<');
+    expect(conditional).toMatch(/<statement name="DO0"><block type="centrifuge_step">.*<\/statement><next><block type="wait_step">/);
+    expect(xml).not.toContain('observation_step');
+  });
+
+  test('leaves the source out of a transfer that only names its destination', () => {
+    const { xml } = MarkdownProtocolParser.parse('1. Transfer 500 µL to a new tube.\n');
+
+    const transfer = blockXml(xml, 'transfer_step');
+    expect(transfer).toContain('<value name="VOLUME"><block type="math_number"><field name="NUM">500</field>');
+    expect(transfer).not.toContain('name="SOURCE"');
+    expect(transfer).toContain('<value name="DESTINATION"><block type="text"><field name="TEXT">new tube</field>');
+  });
+
+  test('still reads the source of a transfer written as "<volume> of <source> to <destination>"', () => {
+    const { xml } = MarkdownProtocolParser.parse('1. Add 2 mL of buffer to the flask.\n');
+
+    const transfer = blockXml(xml, 'transfer_step');
+    expect(transfer).toContain('<field name="NUM">2000</field>');
+    expect(transfer).toContain('<value name="SOURCE"><block type="text"><field name="TEXT">buffer</field>');
+    expect(transfer).toContain('<value name="DESTINATION"><block type="text"><field name="TEXT">flask</field>');
+  });
+});
+
+describe('MarkdownProtocolParser on ReadableGenerator output', () => {
+  const original = load(protocol(
+    {
+      type: 'incubation_step',
+      fields: { SAMPLE: 'cell plate', CONDITIONS: 'SHAKING' },
+      inputs: { TEMPERATURE: number(37), TIME: quantity(2, 'h'), HUMIDITY: number(95) }
+    },
+    {
+      type: 'transfer_step',
+      fields: { METHOD: 'PIPETTE', TIP_TYPE: 'FILTER' },
+      inputs: { SOURCE: text('MTT reagent'), DESTINATION: text('cell plate'), VOLUME: quantity(0.01, 'mL') }
+    },
+    {
+      type: 'wait_step',
+      fields: { TIME_UNITS: 'HOURS', REASON: 'formazan to form' },
+      inputs: { TIME: number(4) }
+    },
+    {
+      type: 'centrifuge_step',
+      fields: { ACCELERATION: 'SLOW' },
+      inputs: { SAMPLE: text('cell plate'), SPEED: number(1500), TIME: number(5), TEMPERATURE: number(4) }
+    },
+    {
+      type: 'measurement_step',
+      fields: { MEASUREMENT_TYPE: 'ABSORBANCE', RESULT_VAR: 'od570' },
+      inputs: { SAMPLE: text('cell plate'), WAVELENGTH: number(570) }
+    }
+  ));
+
+  test('rebuilds the same steps, with quantities in the units the Markdown states them in', () => {
+    const markdown = ReadableGenerator.workspaceToCode(original);
+    const { xml, warnings } = MarkdownProtocolParser.parse(markdown);
+
+    expect(warnings).toEqual([]);
+    const parsed = new Blockly.Workspace();
+    Blockly.Xml.domToWorkspace(Blockly.utils.xml.textToDom(xml), parsed);
+
+    const top = parsed.getTopBlocks(true);
+    expect(top.map(block => block.type)).toEqual(['protocol_definition']);
+    expect(top[0].getFieldValue('PROTOCOL_NAME')).toBe('Cell viability');
+    expect(top[0].getFieldValue('DESCRIPTION')).toBe('MTT assay on treated cells');
+    expect(steps(parsed)).toHaveLength(5);
+    expect(steps(parsed)).toEqual(steps(original));
+    expect(steps(parsed)[0].inputs.TIME).toBe('120');
+    expect(steps(parsed)[1].inputs.VOLUME).toBe('10');
+  });
+
+  test('writes the rebuilt workspace out as the same Markdown', () => {
+    const markdown = ReadableGenerator.workspaceToCode(original);
+    const parsed = new Blockly.Workspace();
+    Blockly.Xml.domToWorkspace(Blockly.utils.xml.textToDom(MarkdownProtocolParser.parse(markdown).xml), parsed);
+
+    expect(ReadableGenerator.workspaceToCode(parsed)).toBe(markdown);
+  });
+});
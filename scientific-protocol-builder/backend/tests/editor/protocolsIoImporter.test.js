@@ -0,0 +1,116 @@
+const { JSDOM } = require('jsdom');
+
+const { ProtocolsIoImporter } = require('../../../../protocol_storage');
+
+const { DOMParser } = new JSDOM().window;
+
+// Blocks of the imported workspace in document order, with their fields and values
+const blocks = (xml) => {
+  const document = new DOMParser().parseFromString(xml, 'text/xml');
+  expect(document.getElementsByTagName('parsererror')).toHaveLength(0);
+  return Array.from(document.getElementsByTagName('block')).map(block => {
+    const own = (tag) => Array.from(block.children).filter(child => child.tagName === tag);
+    return {
+      type: block.getAttribute('type'),
+      fields: Object.fromEntries(own('field').map(field => [field.getAttribute('name'), field.textContent])),
+      values: Object.fromEntries(own('value').map(value => [value.getAttribute('name'), value.textContent]))
+    };
+  });
+};
+
+const steps = (...texts) => ({
+  protocol: {
+    title: 'Plasmid miniprep',
+    doi: 'dx.doi.org/10.17504/protocols.io.example',
+    materials: [{ name: 'Lysis buffer' }],
+    steps: texts.map(text => (typeof text === 'string' ? { description: text } : text))
+  }
+});
+
+describe('ProtocolsIoImporter text heuristics', () => {
+  const importer = new ProtocolsIoImporter();
+
+  test('reads durations in seconds, adding them up and taking the top of a range', () => {
+    expect(importer.parseDuration('Spin 10-15 min, then 30 s more')).toBe(15 * 60 + 30);
+    expect(importer.parseDuration('Grow for 2 hrs')).toBe(7200);
+    expect(importer.parseDuration('Leave o/n at 4 °C')).toBe(16 * 3600);
+    expect(importer.parseDuration('Label 5 samples')).toBeNull();
+  });
+
+  test('reads temperatures in °C from Fahrenheit and from room temperature or ice', () => {
+    expect(importer.parseTemperature('Heat to 95 °C')).toBe(95);
+    expect(importer.parseTemperature('Warm to 98.6 degrees F')).toBe(37);
+    expect(importer.parseTemperature('Let stand at RT')).toBe(22);
+    expect(importer.parseTemperature('Keep on ice')).toBe(4);
+    expect(importer.parseTemperature('Mix gently')).toBeNull();
+  });
+
+  test('finds known materials and "<volume> of <reagent>" phrases', () => {
+    importer.reagents = new Map([['lysis_buffer', 'Lysis buffer']]);
+
+    expect(importer.parseReagents('Add 250 µl of neutralization solution to the lysis buffer and invert'))
+      .toEqual(['Lysis buffer', 'neutralization solution']);
+  });
+});
+
+describe('ProtocolsIoImporter.convert', () => {
+  test('maps each step onto the block its text describes', () => {
+    const result = new ProtocolsIoImporter().convert(steps(
+      'Incubate at 37 °C for 1 h with shaking.',
+      'Wait 5 min.',
+      'Add 250 µl of Lysis buffer and resuspend the pellet.',
+      'Leave overnight.'
+    ));
+
+    expect(result.unmappedSteps).toBe(0);
+    expect(result.metadata).toMatchObject({ name: 'Plasmid miniprep', category: 'Imported', tags: ['protocols.io'] });
+    const imported = blocks(result.xml);
+    expect(imported.map(block => block.type)).toEqual([
+      'protocol_sequence', 'reagent_variable',
+      'incubation_step', 'math_number', 'math_number',
+      'wait_step', 'math_number',
+      'preparation_step', 'text',
+      'wait_step', 'math_number'
+    ]);
+    expect(imported[1].fields).toMatchObject({ NAME: 'lysis_buffer', DESCRIPTION: 'Lysis buffer' });
+    expect(imported[2].fields.CONDITIONS).toBe('SHAKING');
+    expect(imported[2].values).toEqual({ TEMPERATURE: '37', TIME: '60' });
+    expect(imported[5]).toMatchObject({ fields: { TIME_UNITS: 'MINUTES' }, values: { TIME: '5' } });
+    expect(imported[7].fields).toMatchObject({ WHAT: 'Lysis buffer', METHOD: 'add' });
+    expect(imported[9]).toMatchObject({ fields: { TIME_UNITS: 'HOURS' }, values: { TIME: '16' } });
+  });
+
+  test('prefers the duration and temperature protocols.io stores as components', () => {
+    const result = new ProtocolsIoImporter().convert(steps({
+      components: [
+        { type_id: 1, source: { description: '<p>Denature the template</p>' } },
+        { type_id: 4, source: { duration: 300 } },
+        { type_id: 24, source: { temperature: 203, unit: '°F' } }
+      ]
+    }));
+
+    const incubation = blocks(result.xml).find(block => block.type === 'incubation_step');
+    expect(incubation.values).toEqual({ TEMPERATURE: '95', TIME: '5' });
+  });
+
+  test('keeps a step it cannot map as an observation and counts it', () => {
+    const result = new ProtocolsIoImporter().convert(steps('Check that the lysate is clear.'));
+
+    expect(result.unmappedSteps).toBe(1);
+    expect(blocks(result.xml).find(block => block.type === 'observation_step')).toEqual({
+      type: 'observation_step',
+      fields: { SAMPLE: 'sample', OBSERVATION: 'Check that the lysate is clear.', RECORD_VAR: 'step_1' },
+      values: {}
+    });
+  });
+
+  test('keeps "$&" and "$\'" in step text as written', () => {
+    const result = new ProtocolsIoImporter().convert(steps(
+      'Note the tube labelled $& on the rack.',
+      "Record the $' reading."
+    ));
+
+    expect(blocks(result.xml).filter(block => block.type === 'observation_step').map(block => block.fields.OBSERVATION))
+      .toEqual(['Note the tube labelled $& on the rack.', "Record the $' reading."]);
+  });
+});
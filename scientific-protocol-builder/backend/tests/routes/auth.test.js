@@ -0,0 +1,51 @@
+jest.mock('../../src/config/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+jest.mock('../../src/models/User');
+jest.mock('../../src/middleware/auth', () => ({
+  authMiddleware: (req, res, next) => {
+    req.user = global.currentUser;
+    next();
+  },
+  authorize: () => (req, res, next) => next()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../../src/models/User');
+const authRoutes = require('../../src/routes/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+beforeAll(() => {
+  process.env.JWT_SECRET = 'test-secret';
+});
+
+describe('auth routes', () => {
+  test('registers every account as a researcher whatever role is asked for', async () => {
+    User.findByEmail.mockResolvedValue(null);
+    User.create.mockImplementation(async data => ({ id: 'u1', ...data, toJSON: () => data }));
+
+    const response = await request(app).post('/api/auth/register').send({
+      email: 'new@example.org',
+      password: 'long-enough',
+      firstName: 'Sam',
+      lastName: 'Lee',
+      role: 'lab_manager',
+      organization: 'acme'
+    });
+
+    expect(response.status).toBe(201);
+    expect(User.create).toHaveBeenCalledWith(expect.objectContaining({ role: 'researcher' }));
+  });
+
+  test('does not let users change their own organization', async () => {
+    const update = jest.fn().mockResolvedValue(undefined);
+    global.currentUser = { id: 'u1', role: 'lab_manager', organization: 'acme', update, toJSON: () => ({}) };
+
+    const response = await request(app).put('/api/auth/profile').send({ firstName: 'Sam', organization: 'rival' });
+
+    expect(response.status).toBe(200);
+    expect(update).toHaveBeenCalledWith({ first_name: 'Sam' }, 'u1');
+  });
+});
@@ -0,0 +1,39 @@
+jest.mock('../../src/config/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+jest.mock('../../src/models/User');
+jest.mock('../../src/models/Reservation');
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../../src/models/User');
+const Reservation = require('../../src/models/Reservation');
+const reservationFeedRoutes = require('../../src/routes/reservationFeeds');
+
+const app = express();
+app.use('/api/reservations', reservationFeedRoutes);
+
+describe('reservation calendar feeds', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Reservation.findAll.mockResolvedValue([]);
+  });
+
+  test('serves the feed to a calendar client holding a feed token', async () => {
+    User.findByCalendarFeedToken.mockResolvedValue({ id: 'u1', email: 'sam@example.org' });
+
+    const response = await request(app).get('/api/reservations/mine.ics?token=abc');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/calendar/);
+    expect(User.findByCalendarFeedToken).toHaveBeenCalledWith('abc');
+    expect(Reservation.findAll).toHaveBeenCalledWith(expect.objectContaining({ userId: 'u1' }));
+  });
+
+  test('rejects a revoked or unknown feed token', async () => {
+    User.findByCalendarFeedToken.mockResolvedValue(null);
+
+    const response = await request(app).get('/api/reservations/mine.ics?token=revoked');
+
+    expect(response.status).toBe(401);
+    expect(Reservation.findAll).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,146 @@
+jest.mock('../../src/config/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+jest.mock('../../src/models/User');
+jest.mock('../../src/models/Protocol');
+jest.mock('../../src/models/ProtocolReview');
+jest.mock('../../src/models/ProtocolComment');
+jest.mock('../../src/models/ProtocolSignature');
+
+const User = require('../../src/models/User');
+const Protocol = require('../../src/models/Protocol');
+const ProtocolReview = require('../../src/models/ProtocolReview');
+const ProtocolSignature = require('../../src/models/ProtocolSignature');
+const approvalWorkflowService = require('../../src/services/approvalWorkflowService');
+
+describe('approvalWorkflowService.review', () => {
+  let stored;
+  let decisions;
+
+  beforeEach(() => {
+    stored = { id: 'p1', name: 'Assay', version: '1.0', status: 'in_review' };
+    decisions = { r1: 'pending', r2: 'pending' };
+
+    User.findById.mockImplementation(async id => ({ id, email: `${id}@example.org`, validatePassword: async () => true }));
+    ProtocolSignature.create.mockResolvedValue({});
+    ProtocolReview.findOne.mockImplementation(async (protocolId, reviewerId) => ({
+      reviewerId,
+      decision: decisions[reviewerId],
+      decide: jest.fn(async function (decision) {
+        await new Promise(resolve => setImmediate(resolve));
+        decisions[reviewerId] = decision;
+        this.decision = decision;
+      })
+    }));
+    ProtocolReview.findByProtocol.mockImplementation(async () =>
+      Object.entries(decisions).map(([reviewerId, decision]) => ({ reviewerId, decision })));
+
+    // One holder of the row lock at a time, reading the protocol as last stored
+    let lock = Promise.resolve();
+    Protocol.withLock.mockImplementation((id, callback) => {
+      const run = lock.then(() => callback({
+        ...stored,
+        updateStatus: jest.fn(async function (status) {
+          stored.status = status;
+          this.status = status;
+        })
+      }, { query: jest.fn() }));
+      lock = run.catch(() => {});
+      return run;
+    });
+  });
+
+  test('approves the protocol when the last two reviewers approve at the same time', async () => {
+    await Promise.all(['r1', 'r2'].map(reviewerId => approvalWorkflowService.review(
+      { ...stored },
+      { id: reviewerId },
+      { decision: 'approve', password: 'secret' }
+    )));
+
+    expect(stored.status).toBe('approved');
+  });
+
+  test('refuses a review once a concurrent one has returned the protocol to draft', async () => {
+    const results = await Promise.allSettled([
+      approvalWorkflowService.review({ ...stored }, { id: 'r1' }, { decision: 'request_changes', comment: 'Fix step 2' }),
+      approvalWorkflowService.review({ ...stored }, { id: 'r2' }, { decision: 'approve', password: 'secret' })
+    ]);
+
+    expect(results[0].status).toBe('fulfilled');
+    expect(results[1].reason.message).toMatch(/^Protocol is draft/);
+    expect(stored.status).toBe('draft');
+  });
+});
+
+describe('approvalWorkflowService.submit and retire', () => {
+  let stored;
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stored = { id: 'p1', name: 'Assay', version: '1.0', status: 'draft', createdBy: 'author' };
+    client = { query: jest.fn() };
+
+    User.findById.mockImplementation(async id => ({ id, email: `${id}@example.org`, validatePassword: async () => true }));
+    ProtocolSignature.create.mockResolvedValue({});
+    ProtocolReview.findByProtocol.mockResolvedValue([{ reviewerId: 'r1', decision: 'approved' }]);
+
+    let lock = Promise.resolve();
+    Protocol.withLock.mockImplementation((id, callback) => {
+      const run = lock.then(() => callback({
+        ...stored,
+        updateStatus: jest.fn(async function (status) {
+          stored.status = status;
+          this.status = status;
+        })
+      }, client));
+      lock = run.catch(() => {});
+      return run;
+    });
+  });
+
+  test('submits under the row lock, signing and resetting decisions in its transaction', async () => {
+    const protocol = { ...stored };
+
+    await approvalWorkflowService.submit(protocol, { id: 'author' }, 'secret');
+
+    expect(Protocol.withLock).toHaveBeenCalledWith('p1', expect.any(Function));
+    expect(ProtocolReview.findByProtocol).toHaveBeenCalledWith('p1', client);
+    expect(ProtocolSignature.create).toHaveBeenCalledWith(expect.objectContaining({ meaning: 'authorship' }), client);
+    expect(ProtocolReview.resetDecisions).toHaveBeenCalledWith('p1', client);
+    expect(protocol.status).toBe('in_review');
+  });
+
+  test('refuses the second of two concurrent submissions', async () => {
+    const results = await Promise.allSettled([
+      approvalWorkflowService.submit({ ...stored }, { id: 'author' }, 'secret'),
+      approvalWorkflowService.submit({ ...stored }, { id: 'author' }, 'secret')
+    ]);
+
+    expect(results[0].status).toBe('fulfilled');
+    expect(results[1].reason.message).toMatch(/^Protocol is in_review/);
+    expect(ProtocolSignature.create).toHaveBeenCalledTimes(1);
+  });
+
+  test('retires under the row lock, signing in its transaction', async () => {
+    stored.status = 'approved';
+    const protocol = { ...stored };
+
+    await approvalWorkflowService.retire(protocol, { id: 'author' }, 'secret', 'Superseded');
+
+    expect(ProtocolSignature.create).toHaveBeenCalledWith(
+      expect.objectContaining({ meaning: 'retirement', reason: 'Superseded' }), client);
+    expect(protocol.status).toBe('retired');
+  });
+
+  test('refuses to retire a protocol a concurrent request already retired', async () => {
+    stored.status = 'approved';
+
+    const results = await Promise.allSettled([
+      approvalWorkflowService.retire({ ...stored }, { id: 'author' }, 'secret', 'Superseded'),
+      approvalWorkflowService.retire({ ...stored }, { id: 'author' }, 'secret', 'Superseded')
+    ]);
+
+    expect(results[0].status).toBe('fulfilled');
+    expect(results[1].reason.message).toMatch(/^Protocol is retired/);
+    expect(ProtocolSignature.create).toHaveBeenCalledTimes(1);
+  });
+});
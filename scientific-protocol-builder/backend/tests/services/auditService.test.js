@@ -0,0 +1,118 @@
+jest.mock('../../src/config/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+
+const AuditLog = require('../../src/models/AuditLog');
+const auditService = require('../../src/services/auditService');
+
+// Entry as read back from audit_log, hashed the way append() hashes it
+const entry = (sequence, previousHash, fields = {}) => {
+  const row = new AuditLog({
+    sequence,
+    entity_type: 'protocol',
+    entity_id: 'protocol-1',
+    action: 'update',
+    actor_id: 'user-1',
+    reason: null,
+    changes: { status: { before: 'draft', after: 'approved' } },
+    previous_hash: previousHash,
+    created_at: new Date(Date.UTC(2026, 0, sequence)),
+    ...fields
+  });
+  row.hash = AuditLog.computeHash(row);
+  return row;
+};
+
+const chainOf = (count) => {
+  const entries = [];
+  for (let sequence = 1; sequence <= count; sequence++) {
+    entries.push(entry(sequence, sequence === 1 ? AuditLog.GENESIS_HASH : entries[sequence - 2].hash));
+  }
+  return entries;
+};
+
+describe('AuditLog hashing', () => {
+  test('canonicalizes objects with their keys sorted at every level', () => {
+    expect(AuditLog.canonicalize({ b: 1, a: { d: [{ f: 2, e: 1 }], c: null }, skipped: undefined }))
+      .toBe('{"a":{"c":null,"d":[{"e":1,"f":2}]},"b":1}');
+  });
+
+  test('canonicalizes dates as ISO strings', () => {
+    expect(AuditLog.canonicalize({ at: new Date('2026-01-02T03:04:05Z') })).toBe('{"at":"2026-01-02T03:04:05.000Z"}');
+    expect(AuditLog.canonicalize(new Date('2026-01-02T03:04:05Z'))).toBe(AuditLog.canonicalize('2026-01-02T03:04:05.000Z'));
+  });
+
+  test('hashes an entry the same after JSONB reorders its keys and the date comes back as a string', () => {
+    const written = {
+      entityType: 'protocol',
+      entityId: 'protocol-1',
+      action: 'update',
+      actorId: 'user-1',
+      reason: undefined,
+      changes: { name: { before: 'A', after: 'B' }, status: { before: 'draft', after: 'approved' } },
+      previousHash: AuditLog.GENESIS_HASH,
+      createdAt: new Date('2026-01-02T03:04:05.678Z')
+    };
+    const readBack = {
+      ...written,
+      reason: null,
+      changes: { status: { after: 'approved', before: 'draft' }, name: { after: 'B', before: 'A' } },
+      createdAt: '2026-01-02T03:04:05.678Z'
+    };
+
+    expect(AuditLog.computeHash(readBack)).toBe(AuditLog.computeHash(written));
+    expect(AuditLog.computeHash({ ...readBack, changes: {} })).not.toBe(AuditLog.computeHash(written));
+  });
+
+  test('leaves unchanged and ignored fields out of a diff', () => {
+    const before = { name: 'A', settings: { b: 1, a: 2 }, updatedAt: new Date(1) };
+    const after = { name: 'B', settings: { a: 2, b: 1 }, updatedAt: new Date(2), status: 'draft' };
+
+    expect(AuditLog.diff(before, after)).toEqual({
+      name: { before: 'A', after: 'B' },
+      status: { before: null, after: 'draft' }
+    });
+  });
+});
+
+describe('auditService.verify', () => {
+  let entries;
+
+  beforeEach(() => {
+    jest.spyOn(AuditLog, 'findAfter').mockImplementation(async (sequence, limit) =>
+      entries.filter(row => row.sequence > sequence).slice(0, limit));
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test('accepts an intact chain and reports its head', async () => {
+    entries = chainOf(3);
+
+    const result = await auditService.verify();
+
+    expect(result).toMatchObject({
+      valid: true,
+      entriesChecked: 3,
+      head: { sequence: 3, hash: entries[2].hash },
+      problems: []
+    });
+  });
+
+  test('flags an entry whose content was changed after it was written', async () => {
+    entries = chainOf(3);
+    entries[1].changes = { status: { before: 'draft', after: 'retired' } };
+
+    const result = await auditService.verify();
+
+    expect(result.valid).toBe(false);
+    expect(result.problems).toEqual([expect.objectContaining({ sequence: 2, issue: 'content_modified' })]);
+  });
+
+  test('flags the entry after one that was removed as a broken link', async () => {
+    entries = chainOf(4);
+    entries.splice(1, 1);
+
+    const result = await auditService.verify();
+
+    expect(result.valid).toBe(false);
+    expect(result.entriesChecked).toBe(3);
+    expect(result.problems).toEqual([expect.objectContaining({ sequence: 3, issue: 'broken_link' })]);
+  });
+});
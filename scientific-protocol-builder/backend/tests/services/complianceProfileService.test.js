@@ -0,0 +1,38 @@
+const complianceProfileService = require('../../src/services/complianceProfileService');
+
+const validation = {
+  ruleResults: {},
+  errors: [],
+  warnings: [],
+  overallScore: 100
+};
+
+describe('complianceProfileService.reportOptions', () => {
+  test('keeps only the options the profile allows', () => {
+    const options = complianceProfileService.reportOptions('glp', {
+      sampleCount: 24,
+      maxSafePressure: 1e9,
+      maxSafeTemperature: 500,
+      availableSpaces: ['fume_hood']
+    });
+
+    expect(Object.keys(options).sort()).toEqual(['runDate', 'sampleCount']);
+    expect(options.sampleCount).toBe(24);
+  });
+
+  test('takes the run date from the server clock', () => {
+    const before = Date.now();
+    const options = complianceProfileService.reportOptions('iso_17025', { runDate: '2000-01-01' });
+
+    expect(new Date(options.runDate).getTime()).toBeGreaterThanOrEqual(before);
+  });
+
+  test('records the effective options in the report and its exports', () => {
+    const options = complianceProfileService.reportOptions('glp', { sampleCount: 12 });
+    const report = complianceProfileService.buildReport('glp', { id: 'p1', name: 'Assay' }, validation, null, options);
+
+    expect(report.options).toEqual(options);
+    expect(complianceProfileService.toMarkdown(report)).toContain('- Option sampleCount: 12');
+    expect(complianceProfileService.toCsv(report)).toContain('option,sampleCount,,,,12');
+  });
+});
@@ -0,0 +1,42 @@
+const instrumentFeatureService = require('../../src/services/instrumentFeatureService');
+
+describe('instrumentFeatureService.startObservableCommand', () => {
+  const command = {
+    identifier: 'Calibrate',
+    driverCommand: 'CAL',
+    estimatedDuration: 10,
+    completesWhen: { property: 'status', notEqual: 'calibrating' }
+  };
+
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test('fails a command that never completes once it runs past its timeout', async () => {
+    const execution = instrumentFeatureService.startObservableCommand(command, {}, {
+      transport: async () => ({}),
+      readProperties: async () => ({ status: 'calibrating' }),
+      onUpdate: () => {}
+    });
+
+    await jest.advanceTimersByTimeAsync(31 * 1000);
+    const finished = await execution.promise;
+
+    expect(finished.status).toBe('error');
+    expect(finished.error).toContain('did not complete within 30s');
+  });
+
+  test('drops a finished command after it has been kept for a while', async () => {
+    const execution = instrumentFeatureService.startObservableCommand(command, {}, {
+      transport: async () => ({}),
+      readProperties: async () => ({ status: 'idle' }),
+      onUpdate: () => {}
+    });
+    await execution.promise;
+
+    expect(instrumentFeatureService.getCommandExecution(execution.commandExecutionId).status).toBe('finished');
+
+    await jest.advanceTimersByTimeAsync(10 * 60 * 1000);
+
+    expect(instrumentFeatureService.getCommandExecution(execution.commandExecutionId)).toBeNull();
+  });
+});
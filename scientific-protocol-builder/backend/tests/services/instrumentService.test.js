@@ -0,0 +1,42 @@
+jest.mock('../../src/config/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+jest.mock('../../src/models/Instrument');
+
+const instrumentService = require('../../src/services/instrumentService');
+
+describe('instrumentService.generateCustomBlockCode', () => {
+  const instrument = { _id: 'reader-1', name: 'Plate reader', category: 'reader' };
+
+  test('runs the feature command the block declares', () => {
+    const [generated] = instrumentService.generateCustomBlockCode(instrument, [{
+      type: 'instrument_reader_read_absorbance',
+      args0: [{ type: 'field_number', name: 'WAVELENGTH' }],
+      data: { instrumentId: 'reader-1', command: 'AbsorbanceReader/ReadAbsorbance' }
+    }]);
+
+    expect(generated.generator).toContain(
+      "instrumentService.executeFeatureCommand('reader-1', 'AbsorbanceReader/ReadAbsorbance'"
+    );
+    expect(generated.generator).not.toContain('unknown');
+  });
+
+  test('leaves out blocks that have no command', () => {
+    const generated = instrumentService.generateCustomBlockCode(instrument, [
+      { type: 'instrument_reader_status', data: { instrumentId: 'reader-1', type: 'status' } }
+    ]);
+
+    expect(generated).toEqual([]);
+  });
+});
+
+describe('instrumentService.getCommandTransport', () => {
+  test('refuses a disconnected instrument unless simulation is requested', () => {
+    expect(() => instrumentService.getCommandTransport('offline-1')).toThrow('not connected');
+  });
+
+  test('simulates a disconnected instrument when asked to', () => {
+    const { simulated, transport } = instrumentService.getCommandTransport('offline-1', { simulate: true });
+
+    expect(simulated).toBe(true);
+    expect(typeof transport).toBe('function');
+  });
+});
@@ -0,0 +1,141 @@
+jest.mock('../../src/config/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+
+const InventoryItem = require('../../src/models/InventoryItem');
+const InventoryLot = require('../../src/models/InventoryLot');
+const inventoryService = require('../../src/services/inventoryService');
+
+const number = (value) => ({ block: { type: 'math_number', id: `n${value}`, fields: { NUM: value } } });
+const text = (value) => ({ block: { type: 'text', id: `t${value}`, fields: { TEXT: value } } });
+const chain = (blocks) => blocks.reduceRight((next, block) => (next ? { ...block, next: { block: next } } : block), null);
+const workspace = (...blocks) => ({ blocks: { languageVersion: 0, blocks: [chain(blocks)] } });
+
+const reagent = (name, inventoryItem = 'NONE') =>
+  ({ type: 'reagent_variable', id: `reagent_${name}`, fields: { NAME: name, INVENTORY_ITEM: inventoryItem } });
+const sample = (name) => ({ type: 'sample_variable', id: `sample_${name}`, fields: { NAME: name } });
+const transfer = (id, source, destination, volume = 50) => ({
+  type: 'transfer_step',
+  id,
+  fields: { METHOD: 'PIPETTE' },
+  inputs: { VOLUME: number(volume), SOURCE: text(source), DESTINATION: text(destination) }
+});
+const repeat = (times, ...body) => ({
+  type: 'controls_repeat_ext',
+  id: 'repeat',
+  inputs: { TIMES: number(times), DO: { block: chain(body) } }
+});
+
+const lot = (id, quantity, expiryDate, unit = 'mL') =>
+  new InventoryLot({ id, lot_number: id.toUpperCase(), quantity, unit, expiry_date: expiryDate, location: 'Fridge 1' });
+
+describe('inventoryService.computeRequirements', () => {
+  test('counts a transfer once per destination well', () => {
+    const { requirements } = inventoryService.computeRequirements(workspace(
+      reagent('buffer'),
+      transfer('fill', 'buffer', 'plate:A1-H1'),
+      transfer('top_up', 'buffer', 'plate:A2', 10)
+    ));
+
+    expect(requirements).toEqual([expect.objectContaining({
+      name: 'buffer',
+      declaredIn: 'reagent_buffer',
+      perRun: 8 * 50 + 10,
+      blockIds: ['fill', 'top_up']
+    })]);
+  });
+
+  test('counts source wells pooled into one well, on the declared labware layout', () => {
+    const { requirements } = inventoryService.computeRequirements(workspace(
+      { type: 'labware_definition', id: 'rack', fields: { NAME: 'buffer', FORMAT: 'TUBE_RACK_24' } },
+      reagent('buffer'),
+      transfer('pool', 'buffer:C1-B2', 'tube:A1', 20)
+    ));
+
+    expect(requirements[0].perRun).toBe(4 * 20);
+  });
+
+  test('reports wells that are not on the labware', () => {
+    const { requirements, issues } = inventoryService.computeRequirements(workspace(
+      reagent('buffer'),
+      transfer('fill', 'buffer', 'plate:A1-Z99')
+    ));
+
+    expect(requirements[0].perRun).toBe(50);
+    expect(issues).toEqual([expect.objectContaining({ type: 'invalid_wells', severity: 'error', blockId: 'fill' })]);
+  });
+
+  test('multiplies steps in a repeat by its count and the run by the sample count', () => {
+    const blocks = [
+      reagent('buffer'),
+      sample('s1'),
+      sample('s2'),
+      repeat(3, transfer('wash', 'buffer', 'plate:A1-B1', 100)),
+      transfer('sample', 's1', 'plate:A1')
+    ];
+
+    const declared = inventoryService.computeRequirements(workspace(...blocks));
+    expect(declared.sampleCount).toBe(2);
+    expect(declared.requirements).toEqual([expect.objectContaining({ name: 'buffer', perRun: 600, required: 1200 })]);
+
+    const given = inventoryService.computeRequirements(workspace(...blocks), { sampleCount: '5' });
+    expect(given.requirements[0].required).toBe(3000);
+  });
+});
+
+describe('inventoryService.checkAvailability', () => {
+  const requirement = {
+    name: 'buffer',
+    inventoryItemId: 'item-1',
+    declaredIn: 'reagent_buffer',
+    perRun: 1500,
+    required: 1500,
+    unit: 'μL',
+    blockIds: ['fill']
+  };
+
+  beforeEach(() => {
+    jest.spyOn(InventoryItem, 'findById').mockResolvedValue({ id: 'item-1', name: 'PBS' });
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test('allocates first-expired-first-out from unexpired lots', async () => {
+    jest.spyOn(InventoryLot, 'findByItem').mockResolvedValue([
+      lot('soon', 1, '2026-03-01'),
+      lot('later', 2, '2026-06-01'),
+      lot('latest', 5, '2027-01-01')
+    ]);
+
+    const { reagents, issues } = await inventoryService.checkAvailability([requirement], { runDate: '2026-02-01' });
+
+    expect(issues).toEqual([]);
+    expect(reagents[0].available).toBe(8000);
+    expect(reagents[0].allocation).toEqual([
+      expect.objectContaining({ lotId: 'soon', quantity: 1, unit: 'mL' }),
+      expect.objectContaining({ lotId: 'later', quantity: 0.5, unit: 'mL' })
+    ]);
+  });
+
+  test('leaves lots expired on the run date out and reports the shortfall', async () => {
+    jest.spyOn(InventoryLot, 'findByItem').mockResolvedValue([
+      lot('expired', 5, '2026-01-31'),
+      lot('usable', 1, '2026-06-01')
+    ]);
+
+    const { reagents, issues } = await inventoryService.checkAvailability([requirement], { runDate: '2026-02-01' });
+
+    expect(reagents[0].available).toBe(1000);
+    expect(reagents[0].allocation).toEqual([expect.objectContaining({ lotId: 'usable', quantity: 1 })]);
+    expect(issues).toEqual([
+      expect.objectContaining({ type: 'expired_lot', severity: 'warning', lots: [expect.objectContaining({ id: 'expired' })] }),
+      expect.objectContaining({ type: 'shortfall', severity: 'error', required: 1500, available: 1000 })
+    ]);
+  });
+
+  test('flags a reagent linked to an item that no longer exists', async () => {
+    InventoryItem.findById.mockResolvedValue(null);
+
+    const { reagents, issues } = await inventoryService.checkAvailability([requirement]);
+
+    expect(reagents[0]).toMatchObject({ item: null, available: null, allocation: [] });
+    expect(issues).toEqual([expect.objectContaining({ type: 'not_in_inventory', severity: 'error', blockId: 'reagent_buffer' })]);
+  });
+});
@@ -0,0 +1,160 @@
+const protocolDiffService = require('../../src/services/protocolDiffService');
+
+const block = (type, id, fields = {}, inputs = undefined) => ({ type, id, fields, ...(inputs ? { inputs } : {}) });
+const chain = (blocks) => blocks.reduceRight((next, current) => (next ? { ...current, next: { block: next } } : current), null);
+// A workspace holding one protocol_sequence with the given steps
+const sequence = (...steps) => ({
+  blocks: {
+    languageVersion: 0,
+    blocks: [block('protocol_sequence', 'seq', {}, steps.length > 0 ? { STEPS: { block: chain(steps) } } : undefined)]
+  }
+});
+
+const incubate = (conditions = 'STATIC') => block('incubation_step', 'inc', { SAMPLE: 'plate', CONDITIONS: conditions });
+const wash = (cycles = '3') => block('wash_step', 'wash', { CYCLES: cycles });
+const spin = () => block('centrifuge_step', 'spin', { SAMPLE: 'plate' });
+const mix = (id = 'mix') => block('mixing_step', id, { METHOD: 'VORTEX' });
+
+// Ids of the blocks in a statement input, following its chain
+const chainIds = (parent, input) => {
+  const ids = [];
+  let current = parent.inputs && parent.inputs[input] && parent.inputs[input].block;
+  while (current) {
+    ids.push(current.id);
+    current = current.next && current.next.block;
+  }
+  return ids;
+};
+const steps = (workspace) => chainIds(workspace.blocks.blocks[0], 'STEPS');
+
+describe('protocolDiffService.diff', () => {
+  test('reports a block inserted into a chain as added where it was inserted', () => {
+    const diff = protocolDiffService.diff(sequence(incubate(), wash()), sequence(incubate(), mix(), wash()));
+
+    expect(diff.summary).toMatchObject({ added: 1, removed: 0, moved: 0, changed: 0 });
+    expect(protocolDiffService.changelog(diff)).toEqual(['Added Mixing in protocol_sequence › STEPS']);
+  });
+});
+
+describe('protocolDiffService.merge', () => {
+  const base = sequence(incubate(), wash(), spin());
+
+  test('keeps a block inserted on one side at its place in the chain', () => {
+    const result = protocolDiffService.merge(base, sequence(incubate(), mix(), wash(), spin()), base);
+
+    expect(result.conflicts).toEqual([]);
+    expect(steps(result.workspaceJson)).toEqual(['inc', 'mix', 'wash', 'spin']);
+  });
+
+  test('takes each side\'s edits to different blocks without a conflict', () => {
+    const result = protocolDiffService.merge(base,
+      sequence(incubate('SHAKING'), wash(), spin()),
+      sequence(incubate(), wash('5'), spin()));
+
+    expect(result.conflicts).toEqual([]);
+    const merged = result.workspaceJson.blocks.blocks[0].inputs.STEPS.block;
+    expect(merged.fields.CONDITIONS).toBe('SHAKING');
+    expect(merged.next.block.fields.CYCLES).toBe('5');
+  });
+
+  describe('a field both sides changed', () => {
+    const ours = sequence(incubate('SHAKING'), wash(), spin());
+    const theirs = sequence(incubate('ROTATING'), wash(), spin());
+    const conditions = (result) => result.workspaceJson.blocks.blocks[0].inputs.STEPS.block.fields.CONDITIONS;
+
+    test('is an unresolved conflict that keeps ours by default', () => {
+      const result = protocolDiffService.merge(base, ours, theirs);
+
+      expect(result.conflicts).toEqual([{
+        id: 'inc:field:CONDITIONS',
+        blockId: 'inc',
+        label: 'Incubation "plate"',
+        property: 'field:CONDITIONS',
+        base: 'STATIC',
+        ours: 'SHAKING',
+        theirs: 'ROTATING',
+        resolution: 'ours',
+        resolved: false
+      }]);
+      expect(result.unresolved).toBe(1);
+      expect(conditions(result)).toBe('SHAKING');
+    });
+
+    test.each([
+      ['ours', 'SHAKING'],
+      ['theirs', 'ROTATING'],
+      ['base', 'STATIC']
+    ])('takes the %s value when resolved that way', (resolution, expected) => {
+      const result = protocolDiffService.merge(base, ours, theirs, { 'inc:field:CONDITIONS': resolution });
+
+      expect(result.conflicts).toEqual([expect.objectContaining({ resolution, resolved: true })]);
+      expect(result.unresolved).toBe(0);
+      expect(conditions(result)).toBe(expected);
+    });
+  });
+
+  describe('a block deleted on one side', () => {
+    const ours = sequence(incubate(), spin());
+
+    test('stays deleted when the other side left it unchanged', () => {
+      const result = protocolDiffService.merge(base, ours, base);
+
+      expect(result.conflicts).toEqual([]);
+      expect(steps(result.workspaceJson)).toEqual(['inc', 'spin']);
+    });
+
+    test('conflicts with an edit on the other side', () => {
+      const theirs = sequence(incubate(), wash('5'), spin());
+
+      const deleted = protocolDiffService.merge(base, ours, theirs);
+      expect(deleted.conflicts).toEqual([expect.objectContaining({
+        id: 'wash:block',
+        property: 'block',
+        ours: 'deleted',
+        theirs: 'modified',
+        resolution: 'ours',
+        resolved: false
+      })]);
+      expect(steps(deleted.workspaceJson)).toEqual(['inc', 'spin']);
+
+      const kept = protocolDiffService.merge(base, ours, theirs, { 'wash:block': 'theirs' });
+      expect(steps(kept.workspaceJson)).toEqual(['inc', 'wash', 'spin']);
+      expect(kept.workspaceJson.blocks.blocks[0].inputs.STEPS.block.next.block.fields.CYCLES).toBe('5');
+    });
+  });
+
+  test('brings back a deleted parent when the other side added a block inside it', () => {
+    const loop = (...body) => block('controls_repeat_ext', 'loop', {}, {
+      TIMES: { block: block('math_number', 'times', { NUM: 3 }) },
+      ...(body.length > 0 ? { DO: { block: chain(body) } } : {})
+    });
+    const loopBase = sequence(incubate(), loop(wash()));
+
+    const result = protocolDiffService.merge(loopBase, sequence(incubate()), sequence(incubate(), loop(wash(), mix())));
+
+    expect(result.conflicts).toEqual([expect.objectContaining({
+      id: 'loop:block',
+      ours: 'deleted',
+      theirs: 'present',
+      resolution: 'kept',
+      resolved: true
+    })]);
+    expect(steps(result.workspaceJson)).toEqual(['inc', 'loop']);
+    const restored = result.workspaceJson.blocks.blocks[0].inputs.STEPS.block.next.block;
+    expect(restored.inputs.TIMES.block.fields.NUM).toBe(3);
+    expect(chainIds(restored, 'DO')).toEqual(['mix']);
+  });
+
+  test('concatenates blocks both sides started an empty input with, ours first', () => {
+    const result = protocolDiffService.merge(sequence(), sequence(mix('ours_mix')), sequence(mix('theirs_mix')));
+
+    expect(steps(result.workspaceJson)).toEqual(['ours_mix', 'theirs_mix']);
+    expect(result.conflicts).toEqual([expect.objectContaining({
+      id: 'seq.STEPS:slot',
+      property: 'slot',
+      resolution: 'concatenated',
+      resolved: false
+    })]);
+    expect(result.unresolved).toBe(1);
+  });
+});
@@ -0,0 +1,265 @@
+jest.mock('../../src/config/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+jest.mock('../../src/models/Execution');
+jest.mock('../../src/models/ExecutionStep');
+
+const Execution = require('../../src/models/Execution');
+const ExecutionStep = require('../../src/models/ExecutionStep');
+const protocolExecutionEngine = require('../../src/services/protocolExecutionEngine');
+
+const run = () => ({
+  options: {},
+  parameters: {},
+  state: { variables: {}, waits: {} },
+  abortController: new AbortController()
+});
+
+const quantity = (value, unit) => ({ type: 'quantity', id: 'q', fields: { VALUE: value, UNIT: unit } });
+
+describe('protocolExecutionEngine quantities', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('waits for a quantity converted into the step units', async () => {
+    const sleep = jest.spyOn(protocolExecutionEngine, 'sleep').mockResolvedValue();
+    const block = {
+      type: 'wait_step',
+      id: 'wait',
+      fields: { TIME_UNITS: 'MINUTES' },
+      inputs: { TIME: { block: quantity(2, 'h') } }
+    };
+
+    const result = await protocolExecutionEngine.executeWaitStep(block, { run: run(), stepKey: 'wait' });
+
+    expect(sleep).toHaveBeenCalledWith(2 * 60 * 60 * 1000, expect.anything());
+    expect(result).toMatchObject({ duration: 120, units: 'MINUTES' });
+  });
+
+  test('fails a wait given a quantity that is not a time', async () => {
+    jest.spyOn(protocolExecutionEngine, 'sleep').mockResolvedValue();
+    const block = { type: 'wait_step', id: 'wait', fields: {}, inputs: { TIME: { block: quantity(5, 'mL') } } };
+
+    await expect(protocolExecutionEngine.executeWaitStep(block, { run: run(), stepKey: 'wait' }))
+      .rejects.toThrow('Cannot convert');
+  });
+
+  test('logs quantity parameters with their unit', () => {
+    const block = { type: 'transfer_step', id: 'transfer', fields: {}, inputs: { VOLUME: { block: quantity(500, 'µL') } } };
+
+    expect(protocolExecutionEngine.collectStepParameters(block, run())).toEqual({ VOLUME: { value: 500, unit: 'μL' } });
+  });
+});
+
+describe('protocolExecutionEngine state machine', () => {
+  const wait = (id, seconds) => ({
+    type: 'wait_step',
+    id,
+    fields: { TIME_UNITS: 'SECONDS', REASON: id },
+    inputs: { TIME: { block: { type: 'math_number', id: `${id}_time`, fields: { NUM: seconds } } } }
+  });
+  const checkpoint = (id, manualConfirm) => ({
+    type: 'checkpoint', id, fields: { NAME: id, MANUAL_CONFIRM: manualConfirm ? 'TRUE' : 'FALSE' }
+  });
+  // A protocol_sequence running its steps in order
+  const workspace = (...steps) => ({
+    blocks: {
+      languageVersion: 0,
+      blocks: [{
+        type: 'protocol_sequence',
+        id: 'sequence',
+        inputs: {
+          STEPS: {
+            block: steps.reduceRight((next, step) => (next ? { ...step, next: { block: next } } : step), null)
+          }
+        }
+      }]
+    }
+  });
+
+  // Execution record whose status and state changes are kept in memory, as the row would be
+  const execution = (fields = {}) => {
+    const record = {
+      id: 'exec-1',
+      status: 'pending',
+      workspaceJson: workspace(),
+      parameters: {},
+      state: protocolExecutionEngine.createInitialState(),
+      startedBy: 'user-1',
+      statuses: [],
+      ...fields
+    };
+    record.updateStatus = jest.fn(async (status, error = null) => {
+      record.status = status;
+      record.error = error;
+      record.statuses.push(status);
+      return record;
+    });
+    record.saveState = jest.fn(async (state) => {
+      record.state = state;
+      return record;
+    });
+    return record;
+  };
+
+  // Start a run and return its record along with a promise that settles with it
+  const start = async (steps, options = {}) => {
+    const record = execution({ workspaceJson: workspace(...steps) });
+    Execution.create.mockResolvedValue(record);
+    await protocolExecutionEngine.startExecution({ id: 'protocol-1', version: 1, workspaceJson: record.workspaceJson }, 'user-1', options);
+    return { record, settled: protocolExecutionEngine.activeRuns.get(record.id).promise };
+  };
+
+  // Resolves once the step with the given block id has started
+  const stepStarted = (blockId) => new Promise(resolve => {
+    const unsubscribe = protocolExecutionEngine.subscribe('exec-1', (event, data) => {
+      if (event === 'step_started' && data.blockId === blockId) {
+        unsubscribe();
+        resolve();
+      }
+    });
+  });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    ExecutionStep.start.mockResolvedValue({ finish: jest.fn() });
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test('runs a started execution through to completed', async () => {
+    const { record, settled } = await start([wait('first', 0), checkpoint('mid', false), wait('second', 0)]);
+    await settled;
+
+    expect(record.statuses).toEqual(['running', 'completed']);
+    expect(Object.keys(record.state.completedSteps)).toEqual(['first', 'mid', 'second']);
+    expect(record.state.checkpoints).toEqual([expect.objectContaining({ name: 'mid' })]);
+    expect(protocolExecutionEngine.activeRuns.has(record.id)).toBe(false);
+  });
+
+  test('pauses inside a wait and resumes with only the remainder of it', async () => {
+    const started = stepStarted('second');
+    const { record, settled } = await start([wait('first', 0), wait('second', 60)]);
+    await started;
+
+    await protocolExecutionEngine.pauseExecution(record.id);
+    await settled;
+
+    expect(record.status).toBe('paused');
+    expect(Object.keys(record.state.completedSteps)).toEqual(['first']);
+    expect(record.state.waits.second).toBeGreaterThan(55 * 1000);
+    expect(record.state.waits.second).toBeLessThanOrEqual(60 * 1000);
+
+    const sleep = jest.spyOn(protocolExecutionEngine, 'sleep').mockResolvedValue();
+    const remaining = record.state.waits.second;
+    Execution.findById.mockResolvedValue(record);
+    ExecutionStep.start.mockClear();
+
+    await protocolExecutionEngine.resumeExecution(record.id);
+    await protocolExecutionEngine.activeRuns.get(record.id).promise;
+
+    expect(record.statuses).toEqual(['running', 'paused', 'running', 'completed']);
+    expect(sleep).toHaveBeenCalledTimes(1);
+    expect(sleep).toHaveBeenCalledWith(remaining, expect.anything());
+    expect(ExecutionStep.start).toHaveBeenCalledTimes(1);
+    expect(ExecutionStep.start).toHaveBeenCalledWith(expect.objectContaining({ blockId: 'second' }));
+    expect(record.state.waits).toEqual({});
+  });
+
+  test('resumes from the state checkpointed in the executions row', async () => {
+    const state = JSON.parse(JSON.stringify({
+      ...protocolExecutionEngine.createInitialState(),
+      completedSteps: { first: { blockId: 'first', type: 'wait_step', result: { duration: 0 } } },
+      waits: { second: 5000 },
+      checkpoints: [{ name: 'mid', timestamp: new Date() }],
+      settings: { timeScale: 1, operatorId: 'operator-1' }
+    }));
+    const record = execution({ status: 'paused', workspaceJson: workspace(wait('first', 0), wait('second', 60)), state });
+    Execution.findById.mockResolvedValue(record);
+    const sleep = jest.spyOn(protocolExecutionEngine, 'sleep').mockResolvedValue();
+
+    await protocolExecutionEngine.resumeExecution(record.id);
+    await protocolExecutionEngine.activeRuns.get(record.id).promise;
+
+    expect(record.statuses).toEqual(['running', 'completed']);
+    expect(sleep).toHaveBeenCalledWith(5000, expect.anything());
+    expect(ExecutionStep.start).toHaveBeenCalledTimes(1);
+    expect(ExecutionStep.start).toHaveBeenCalledWith(expect.objectContaining({ blockId: 'second', operatorId: 'operator-1' }));
+    expect(Object.keys(record.state.completedSteps)).toEqual(['first', 'second']);
+  });
+
+  test('refuses to resume an execution that is not paused', async () => {
+    Execution.findById.mockResolvedValue(execution({ status: 'completed' }));
+
+    await expect(protocolExecutionEngine.resumeExecution('exec-1'))
+      .rejects.toThrow('Cannot resume execution in status completed');
+  });
+
+  test('stops at a checkpoint awaiting confirmation and continues past it on resume', async () => {
+    const { record, settled } = await start([checkpoint('confirm', true), wait('after', 0)]);
+    await settled;
+
+    expect(record.status).toBe('paused');
+    expect(record.state.awaitingConfirmation).toMatchObject({ stepKey: 'confirm', name: 'confirm' });
+    expect(record.state.completedSteps.after).toBeUndefined();
+
+    Execution.findById.mockResolvedValue(record);
+    await protocolExecutionEngine.resumeExecution(record.id);
+    await protocolExecutionEngine.activeRuns.get(record.id).promise;
+
+    expect(record.status).toBe('completed');
+    expect(record.state.awaitingConfirmation).toBeNull();
+    expect(record.state.checkpoints).toHaveLength(1);
+    expect(Object.keys(record.state.completedSteps)).toEqual(['confirm', 'after']);
+  });
+
+  test('checkpoints the state of a running execution on request', async () => {
+    const started = stepStarted('long');
+    const { record, settled } = await start([wait('long', 60)]);
+    await started;
+
+    await protocolExecutionEngine.checkpointExecution(record.id);
+
+    expect(record.saveState).toHaveBeenLastCalledWith(expect.objectContaining({
+      currentStep: expect.objectContaining({ blockId: 'long' }),
+      checkpoints: [expect.objectContaining({ name: null })]
+    }));
+
+    await protocolExecutionEngine.abortExecution(record.id);
+    await settled;
+    await expect(protocolExecutionEngine.checkpointExecution(record.id)).rejects.toThrow('Execution is not running');
+  });
+
+  test('aborts a running execution with the reason given', async () => {
+    const started = stepStarted('long');
+    const { record, settled } = await start([wait('long', 60), wait('never', 0)]);
+    await started;
+
+    await protocolExecutionEngine.abortExecution(record.id, 'Contaminated plate');
+    await settled;
+
+    expect(record.statuses).toEqual(['running', 'aborted']);
+    expect(record.updateStatus).toHaveBeenLastCalledWith('aborted', 'Contaminated plate');
+    expect(record.state.completedSteps.never).toBeUndefined();
+  });
+
+  test('aborts a paused execution but not a finished one', async () => {
+    const paused = execution({ status: 'paused' });
+    Execution.findById.mockResolvedValue(paused);
+
+    await protocolExecutionEngine.abortExecution(paused.id);
+    expect(paused.status).toBe('aborted');
+
+    await expect(protocolExecutionEngine.abortExecution(paused.id))
+      .rejects.toThrow('Invalid execution transition: aborted -> aborted');
+  });
+
+  test('pauses runs left running by a previous server process', async () => {
+    const interrupted = [execution({ id: 'exec-2', status: 'running' }), execution({ id: 'exec-3', status: 'running' })];
+    Execution.findByStatus.mockResolvedValue(interrupted);
+
+    const count = await protocolExecutionEngine.restoreInterruptedExecutions();
+
+    expect(Execution.findByStatus).toHaveBeenCalledWith(['running']);
+    expect(count).toBe(2);
+    interrupted.forEach(record => {
+      expect(record.updateStatus).toHaveBeenCalledWith('paused', 'Interrupted by server restart');
+    });
+  });
+});
@@ -0,0 +1,176 @@
+jest.mock('../../src/config/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+
+const protocolTemplateService = require('../../src/services/protocolTemplateService');
+
+const workspaceJson = {
+  blocks: {
+    languageVersion: 0,
+    blocks: [{
+      type: 'protocol_sequence',
+      id: 'seq',
+      fields: { NAME: 'elisa', DESCRIPTION: '' },
+      inputs: {
+        STEPS: {
+          block: {
+            type: 'incubation_step',
+            id: 'inc',
+            fields: { SAMPLE: 'plate', CONDITIONS: 'STATIC' },
+            inputs: { TEMPERATURE: { block: { type: 'quantity', id: 'temp', fields: { VALUE: 37, UNIT: '°C' } } } },
+            next: {
+              block: {
+                type: 'wash_step',
+                id: 'wash',
+                fields: { METHOD: 'ASPIRATION' },
+                inputs: { CYCLES: { block: { type: 'math_number', id: 'cycles', fields: { NUM: 3 } } } }
+              }
+            }
+          }
+        }
+      }
+    }]
+  }
+};
+
+// The same workspace as Blockly writes it, with the empty description as a self-closing field
+const workspaceXml = '<xml xmlns="https://developers.google.com/blockly/xml">' +
+  '<block type="protocol_sequence" id="seq"><field name="NAME">elisa</field><field name="DESCRIPTION"/>' +
+  '<statement name="STEPS"><block type="incubation_step" id="inc"><field name="SAMPLE">plate</field>' +
+  '<field name="CONDITIONS">STATIC</field><value name="TEMPERATURE"><block type="quantity" id="temp">' +
+  '<field name="VALUE">37</field><field name="UNIT">°C</field></block></value><next>' +
+  '<block type="wash_step" id="wash"><field name="METHOD">ASPIRATION</field><value name="CYCLES">' +
+  '<block type="math_number" id="cycles"><field name="NUM">3</field></block></value></block></next>' +
+  '</block></statement></block></xml>';
+
+const parameters = [
+  { name: 'temperature', label: 'Temperature', type: 'number', unit: '°C', min: 4, max: 95, default: 37,
+    targets: [{ blockId: 'temp', field: 'VALUE' }] },
+  { name: 'cycles', label: 'Wash cycles', type: 'integer', min: 1, max: 10, default: 3,
+    targets: [{ blockId: 'cycles', field: 'NUM' }] },
+  { name: 'conditions', type: 'choice', options: ['STATIC', 'SHAKING'], default: 'STATIC',
+    targets: [{ blockId: 'inc', field: 'CONDITIONS' }] },
+  { name: 'note', type: 'text', required: false, targets: [{ blockId: 'seq', field: 'DESCRIPTION' }] }
+];
+
+const template = { workspaceJson, workspaceXml, templateParameters: parameters };
+
+describe('protocolTemplateService.validateDefinitions', () => {
+  test('accepts parameters that each fill their own field', () => {
+    expect(protocolTemplateService.validateDefinitions(parameters, template)).toEqual([]);
+  });
+
+  test('rejects bad names, types, ranges, options and defaults', () => {
+    const errors = protocolTemplateService.validateDefinitions([
+      { name: '2nd', type: 'text', targets: [{ blockId: 'inc', field: 'SAMPLE' }] },
+      { name: 'speed', type: 'float', targets: [{ blockId: 'inc', field: 'SAMPLE' }] },
+      { name: 'range', type: 'number', min: 10, max: 5, targets: [{ blockId: 'temp', field: 'VALUE' }] },
+      { name: 'mode', type: 'choice', options: [], targets: [{ blockId: 'inc', field: 'CONDITIONS' }] },
+      { name: 'count', type: 'integer', max: 10, default: 2.5, targets: [{ blockId: 'cycles', field: 'NUM' }] }
+    ], template);
+
+    expect(errors).toEqual([
+      { parameter: '2nd', message: 'Parameter name must start with a letter or underscore and use only letters, digits and underscores' },
+      { parameter: 'speed', message: 'Unknown parameter type: float' },
+      { parameter: 'range', message: 'Minimum 10 is above maximum 5' },
+      { parameter: 'mode', message: 'Choice parameter needs at least one option' },
+      { parameter: 'count', message: 'Default must be a whole number' }
+    ]);
+  });
+
+  test('rejects targets that are missing, shared or only in one of JSON and XML', () => {
+    const errors = protocolTemplateService.validateDefinitions([
+      { name: 'missing', type: 'text', targets: [{ blockId: 'spin', field: 'SAMPLE' }] },
+      { name: 'nested', type: 'number', targets: [{ blockId: 'inc', field: 'VALUE' }] },
+      { name: 'sample', type: 'text', targets: [{ blockId: 'inc', field: 'SAMPLE' }] },
+      { name: 'again', type: 'text', targets: [{ blockId: 'inc', field: 'SAMPLE' }] },
+      { name: 'none', type: 'text', targets: [] }
+    ], { ...template, workspaceXml: workspaceXml.replace('<field name="SAMPLE">plate</field>', '') });
+
+    expect(errors).toEqual([
+      { parameter: 'missing', message: 'Block spin is not in the template' },
+      { parameter: 'nested', message: 'Block incubation_step has no field VALUE' },
+      { parameter: 'sample', message: 'Field SAMPLE of block inc is missing from the workspace XML; save the template again' },
+      { parameter: 'again', message: 'Field SAMPLE of block inc is missing from the workspace XML; save the template again' },
+      { parameter: 'none', message: 'Parameter does not fill any block field' }
+    ]);
+    expect(protocolTemplateService.validateDefinitions([
+      { name: 'sample', type: 'text', targets: [{ blockId: 'inc', field: 'SAMPLE' }] },
+      { name: 'again', type: 'text', targets: [{ blockId: 'inc', field: 'SAMPLE' }] }
+    ], template)).toEqual([
+      { parameter: 'again', message: 'Field SAMPLE of block inc is already filled by sample' }
+    ]);
+  });
+});
+
+describe('protocolTemplateService.resolveValues', () => {
+  test('fills defaults and coerces given values to the parameter type', () => {
+    expect(protocolTemplateService.resolveValues(parameters, { temperature: '42', conditions: 'SHAKING' })).toEqual({
+      values: { temperature: 42, cycles: 3, conditions: 'SHAKING' },
+      errors: []
+    });
+  });
+
+  test('reports values out of range, of the wrong type and for unknown parameters', () => {
+    const { errors } = protocolTemplateService.resolveValues(
+      [...parameters, { name: 'primer', type: 'text', pattern: '^[ACGT]+$', targets: [] }],
+      { temperature: 120, cycles: 'three', conditions: 'ROTATING', temprature: 37, primer: 'ACGU' }
+    );
+
+    expect(errors).toEqual([
+      { parameter: 'temprature', message: 'Template has no such parameter' },
+      { parameter: 'temperature', message: 'Temperature must be at most 95 °C' },
+      { parameter: 'cycles', message: 'Wash cycles must be a number' },
+      { parameter: 'conditions', message: 'conditions must be one of STATIC, SHAKING' },
+      { parameter: 'primer', message: 'primer must match ^[ACGT]+$' }
+    ]);
+    expect(protocolTemplateService.resolveValues([{ name: 'primer', type: 'text', targets: [] }]).errors)
+      .toEqual([{ parameter: 'primer', message: 'primer is required' }]);
+  });
+});
+
+describe('protocolTemplateService.instantiate', () => {
+  test('writes each value into its field in both the JSON and the XML', () => {
+    const result = protocolTemplateService.instantiate(template, {
+      temperature: 42,
+      conditions: 'SHAKING',
+      note: 'Use <fresh> buffer & plates'
+    });
+
+    expect(result.errors).toEqual([]);
+    const sequence = result.workspaceJson.blocks.blocks[0];
+    const incubation = sequence.inputs.STEPS.block;
+    expect(sequence.fields.DESCRIPTION).toBe('Use <fresh> buffer & plates');
+    expect(incubation.fields).toEqual({ SAMPLE: 'plate', CONDITIONS: 'SHAKING' });
+    expect(incubation.inputs.TEMPERATURE.block.fields).toEqual({ VALUE: 42, UNIT: '°C' });
+    expect(incubation.next.block.inputs.CYCLES.block.fields.NUM).toBe(3);
+    expect(workspaceJson.blocks.blocks[0].inputs.STEPS.block.fields.CONDITIONS).toBe('STATIC');
+
+    expect(result.workspaceXml).toBe(workspaceXml
+      .replace('<field name="DESCRIPTION"/>', '<field name="DESCRIPTION">Use &lt;fresh&gt; buffer &amp; plates</field>')
+      .replace('<field name="CONDITIONS">STATIC</field>', '<field name="CONDITIONS">SHAKING</field>')
+      .replace('<field name="VALUE">37</field>', '<field name="VALUE">42</field>'));
+  });
+
+  test('returns the errors and no workspace when a value is rejected', () => {
+    expect(protocolTemplateService.instantiate(template, { cycles: 0 })).toEqual({
+      errors: [{ parameter: 'cycles', message: 'Wash cycles must be at least 1' }]
+    });
+  });
+});
+
+describe('protocolTemplateService.findXmlField', () => {
+  test('stops at the block\'s inputs instead of reaching into nested blocks', () => {
+    expect(protocolTemplateService.findXmlField(workspaceXml, 'inc', 'VALUE')).toBeNull();
+    expect(protocolTemplateService.findXmlField(workspaceXml, 'seq', 'SAMPLE')).toBeNull();
+
+    const location = protocolTemplateService.findXmlField(workspaceXml, 'temp', 'VALUE');
+    expect(workspaceXml.slice(location.start, location.end)).toBe('37');
+  });
+
+  test('finds self-closing fields and block ids with regular expression characters', () => {
+    const xml = workspaceXml.replace('id="seq"', 'id="seq.(1)"');
+
+    expect(protocolTemplateService.findXmlField(xml, 'seq.(1)', 'DESCRIPTION'))
+      .toMatchObject({ selfClosing: true, tag: '<field name="DESCRIPTION"/>' });
+    expect(protocolTemplateService.findXmlField(xml, 'seq', 'DESCRIPTION')).toBeNull();
+  });
+});
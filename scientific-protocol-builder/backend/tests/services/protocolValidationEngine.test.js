@@ -0,0 +1,175 @@
+jest.mock('../../src/config/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+jest.mock('../../src/models/Instrument');
+
+const Instrument = require('../../src/models/Instrument');
+const protocolValidationEngine = require('../../src/services/protocolValidationEngine');
+
+// Flattened blocks, as flattenWorkspace gives them to the rules
+const block = (id, type, fields = {}, quantities = {}) => ({
+  id,
+  type,
+  fields,
+  inputs: Object.fromEntries(Object.entries(quantities).map(([name, [value, unit]]) =>
+    [name, { type: 'quantity', id: `${id}_${name}`, quantity: { value, unit } }])),
+  next: null,
+  parent: null,
+  data: {}
+});
+
+const centrifuge = (id, name, specifications) => ({ id, name, type: 'centrifuge', specifications });
+const reader = (id, name, type, min, max) => ({ id, name, type, specifications: { wavelengths: { min, max } } });
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  Instrument.findAll.mockResolvedValue([]);
+  Instrument.findById.mockResolvedValue(null);
+});
+
+describe('protocolValidationEngine rotor rating', () => {
+  const spin = (speed, unit, fields = {}) => block('spin', 'centrifuge_step', fields, { SPEED: [speed, unit] });
+
+  test('fails a speed above the rating of every registered centrifuge', async () => {
+    Instrument.findAll.mockResolvedValue([
+      centrifuge('c1', 'Microfuge', { maxSpeed: 15000 }),
+      centrifuge('c2', 'Benchtop', { maxRcf: 4000, rotorRadius: 15 })
+    ]);
+
+    const result = await protocolValidationEngine.validatePressureSafety({}, [spin(16000, 'rpm')], {});
+
+    expect(Instrument.findAll).toHaveBeenCalledWith({ type: 'centrifuge' });
+    expect(result).toMatchObject({ passed: false, severity: 'error', priority: 'high', location: 'spin' });
+    expect(result.data.issues).toEqual([expect.objectContaining({
+      blockId: 'spin',
+      issue: 'exceeds_rotor_rating',
+      message: '16000 rpm exceeds the rotor rating of Microfuge (15000 rpm), Benchtop (4000 x g)'
+    })]);
+    expect(result.suggestions).toEqual(['Lower the centrifuge speed or use a rotor rated for this force; an overloaded rotor can fail']);
+  });
+
+  test('passes a speed one registered centrifuge is rated for', async () => {
+    Instrument.findAll.mockResolvedValue([
+      centrifuge('c1', 'Microfuge', { maxSpeed: 15000 }),
+      centrifuge('c2', 'Ultracentrifuge', { maxSpeed: 60000 })
+    ]);
+
+    const result = await protocolValidationEngine.validatePressureSafety({}, [spin(16000, 'rpm')], {});
+
+    expect(result.passed).toBe(true);
+    expect(result.suggestions).toEqual([]);
+  });
+
+  test('converts x g to rpm with the rotor radius of the linked centrifuge', async () => {
+    Instrument.findById.mockResolvedValue(centrifuge('c1', 'Benchtop', { maxSpeed: 12000, rotorRadius: 10 }));
+    const linked = (force) => spin(force, 'x g', { INSTRUMENT_ID: 'c1' });
+
+    // 20000 x g on a 10 cm rotor is about 13400 rpm
+    const over = await protocolValidationEngine.validatePressureSafety({}, [linked(20000)], {});
+    expect(over.data.issues).toEqual([expect.objectContaining({ issue: 'exceeds_rotor_rating', speed: '20000 x g' })]);
+    expect(Instrument.findAll).not.toHaveBeenCalled();
+
+    const within = await protocolValidationEngine.validatePressureSafety({}, [linked(10000)], {});
+    expect(within.passed).toBe(true);
+  });
+
+  test('asks for ratings when no centrifuge has one', async () => {
+    Instrument.findAll.mockResolvedValue([centrifuge('c1', 'Microfuge', {})]);
+
+    const result = await protocolValidationEngine.validatePressureSafety({}, [spin(16000, 'rpm')], {});
+
+    expect(result.passed).toBe(true);
+    expect(result.data.unratedSteps).toEqual(['spin']);
+    expect(result.suggestions).toEqual(['Record maxSpeed, maxRcf and rotorRadius in the centrifuge specifications so speeds can be checked']);
+  });
+});
+
+describe('protocolValidationEngine controls', () => {
+  const assay = block('read', 'measurement_step', { MEASUREMENT_TYPE: 'ABSORBANCE', SAMPLE: 'treated cells' });
+  const sample = (id, name) => block(id, 'sample_variable', { NAME: name });
+
+  test('reports an assay run without a negative control at the assay', async () => {
+    const result = await protocolValidationEngine.validateQualityControls({}, [
+      sample('s1', 'treated cells'),
+      sample('s2', 'positive control'),
+      assay
+    ], {});
+
+    expect(result).toMatchObject({ passed: false, severity: 'warning', priority: 'high', location: 'read' });
+    expect(result.data.issues).toEqual([expect.objectContaining({
+      blockId: 'read',
+      issue: 'missing_negative_control',
+      message: 'Measurement has no negative control (blank, no-template or vehicle)'
+    })]);
+    expect(result.suggestions).toEqual(['Run a negative control (blank, no-template or vehicle sample) alongside the samples']);
+  });
+
+  test('accepts a blank as the negative control but not a dropdown value', async () => {
+    const withBlank = await protocolValidationEngine.validateQualityControls({}, [
+      sample('s1', 'Blank'),
+      sample('s2', 'reference standard'),
+      assay
+    ], {});
+    expect(withBlank.passed).toBe(true);
+
+    const withDropdown = await protocolValidationEngine.validateQualityControls({}, [
+      block('s1', 'sample_variable', { NAME: 'reference standard', ROLE: 'NEGATIVE' }),
+      assay
+    ], {});
+    expect(withDropdown.data.issues.map(issue => issue.issue)).toEqual(['missing_negative_control']);
+  });
+});
+
+describe('protocolValidationEngine measurement ranges', () => {
+  const absorbance = (id, value, unit) =>
+    block(id, 'measurement_step', { MEASUREMENT_TYPE: 'ABSORBANCE' }, { WAVELENGTH: [value, unit] });
+  const pipette = (id, value, unit) => block(id, 'transfer_step', { METHOD: 'PIPETTE' }, { VOLUME: [value, unit] });
+
+  beforeEach(() => {
+    Instrument.findAll.mockImplementation(async ({ type }) => (type === 'plate_reader'
+      ? [reader('r1', 'Plate reader', 'plate_reader', 230, 850)]
+      : [reader('r2', 'NanoDrop', 'spectrophotometer', 190, 850)]));
+  });
+
+  test('reports a wavelength no available reader covers', async () => {
+    const result = await protocolValidationEngine.validateMeasurementPrecision({}, [
+      absorbance('a600', 0.6, 'μm'),
+      absorbance('a900', 900, 'nm')
+    ], {});
+
+    expect(result).toMatchObject({ passed: false, severity: 'warning', location: 'a900' });
+    expect(result.data.issues).toEqual([expect.objectContaining({
+      blockId: 'a900',
+      wavelength: 900,
+      issue: 'wavelength_out_of_range',
+      message: 'No reader covers 900 nm (Plate reader: 230-850 nm, NanoDrop: 190-850 nm)'
+    })]);
+    expect(result.suggestions).toEqual(['Pick a wavelength the available readers cover, or a reader that covers it']);
+  });
+
+  test('reports a wavelength-based measurement without a wavelength', async () => {
+    const result = await protocolValidationEngine.validateMeasurementPrecision({}, [
+      block('od', 'measurement_step', { MEASUREMENT_TYPE: 'OD' })
+    ], {});
+
+    expect(result.data.issues).toEqual([expect.objectContaining({ blockId: 'od', issue: 'missing_wavelength' })]);
+    expect(result.suggestions).toEqual(['Set the wavelength for absorbance, fluorescence and OD measurements']);
+  });
+
+  test('reports pipetted volumes outside the range pipettes handle, in μL', async () => {
+    const result = await protocolValidationEngine.validateMeasurementPrecision({}, [
+      pipette('tiny', 0.1, 'μL'),
+      pipette('fine', 500, 'μL'),
+      pipette('large', 2, 'mL')
+    ], {});
+
+    expect(result.location).toBe('tiny');
+    expect(result.data.issues).toEqual([
+      expect.objectContaining({ blockId: 'tiny', volume: 0.1, issue: 'pipette_volume_out_of_range' }),
+      expect.objectContaining({
+        blockId: 'large',
+        volume: 2000,
+        message: 'Pipetting 2000 μL is outside the 0.2-1000 μL pipettes handle accurately'
+      })
+    ]);
+    expect(result.suggestions).toEqual(['Dilute to pipette small volumes, or use a dispenser or serological pipette for large ones']);
+  });
+});
@@ -0,0 +1,50 @@
+const sampleLineageService = require('../../src/services/sampleLineageService');
+
+const text = (id, value) => ({ id, type: 'text', fields: { TEXT: value }, inputs: {}, next: null });
+const transfer = (id, source, destination) => ({
+  id,
+  type: 'transfer_step',
+  fields: { METHOD: 'PIPETTE' },
+  inputs: { SOURCE: { type: 'block', id: `${id}-source` }, DESTINATION: { type: 'block', id: `${id}-destination` } },
+  next: null
+});
+
+describe('sampleLineageService.trace', () => {
+  const definition = {
+    id: 'reservoir-definition',
+    type: 'labware_definition',
+    fields: { NAME: 'reservoir', FORMAT: 'RESERVOIR_12' },
+    inputs: {},
+    next: null
+  };
+
+  test('reports wells outside the labware layout instead of tracing them', () => {
+    const lineage = sampleLineageService.trace([
+      definition,
+      transfer('t1', 'reservoir:A1', 'plate1:Z40'),
+      text('t1-source', 'reservoir:A1'),
+      text('t1-destination', 'plate1:Z40'),
+      transfer('t2', 'reservoir:B1', 'plate1:A1'),
+      text('t2-source', 'reservoir:B1'),
+      text('t2-destination', 'plate1:A1')
+    ]);
+
+    expect(lineage.issues).toEqual([
+      { blockId: 't1', message: 'Well Z40 is not on a 96-well plate' },
+      { blockId: 't2', message: 'Well B1 is not on a 12-channel reservoir' }
+    ]);
+    expect(Object.keys(lineage.locations)).toEqual([]);
+  });
+
+  test('traces wells that are on the layout', () => {
+    const lineage = sampleLineageService.trace([
+      definition,
+      transfer('t1', 'reservoir:A12', 'plate1:H12'),
+      text('t1-source', 'reservoir:A12'),
+      text('t1-destination', 'plate1:H12')
+    ]);
+
+    expect(lineage.issues).toEqual([]);
+    expect(Object.keys(lineage.locations)).toEqual(['reservoir:A12', 'plate1:H12']);
+  });
+});
@@ -0,0 +1,99 @@
+jest.mock('../../src/config/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+jest.mock('../../src/models/Instrument');
+jest.mock('../../src/models/Reservation');
+
+const Instrument = require('../../src/models/Instrument');
+const Reservation = require('../../src/models/Reservation');
+const dependencyAnalysisEngine = require('../../src/services/dependencyAnalysisEngine');
+const schedulingService = require('../../src/services/schedulingService');
+const { flattenWorkspace } = require('../../src/utils/blocklyWorkspace');
+
+const number = (id, value) => ({ block: { type: 'math_number', id, fields: { NUM: value } } });
+
+// Steps chained top to bottom in one stack
+const workspace = (...steps) => {
+  const top = steps.reduceRight((next, step) => ({ ...step, ...(next ? { next: { block: next } } : {}) }), null);
+  return { blocks: { languageVersion: 0, blocks: [top] } };
+};
+
+describe('schedulingService.buildTimeline', () => {
+  test('runs a measurement after the incubation before it', () => {
+    const timeline = schedulingService.buildTimeline(workspace(
+      { type: 'incubation_step', id: 'incubate', inputs: { TEMPERATURE: number('temp', 37), TIME: number('time', 30) } },
+      { type: 'measurement_step', id: 'measure', fields: { RESULT_VAR: 'od600' } }
+    ));
+
+    const [incubate, measure] = timeline.steps;
+    expect(incubate.blockId).toBe('incubate');
+    expect(measure.blockId).toBe('measure');
+    expect(measure.startOffset).toBe(incubate.endOffset);
+    expect(measure.dependsOn).toEqual(['incubate']);
+  });
+
+  test('does not make a measurement feed the numeric inputs of earlier steps', () => {
+    const blocks = flattenWorkspace(workspace(
+      { type: 'incubation_step', id: 'incubate', inputs: { TEMPERATURE: number('temp', 37), TIME: number('time', 30) } },
+      { type: 'measurement_step', id: 'measure', fields: { RESULT_VAR: 'od600' } },
+      { type: 'incubation_step', id: 'again', inputs: { TEMPERATURE: number('temp2', 4), TIME: number('time2', 10) } }
+    ));
+
+    const graph = dependencyAnalysisEngine.buildDependencyGraph(blocks);
+
+    expect(graph.nodes.get('incubate').dependencies).not.toContain('measure');
+    expect(graph.nodes.get('again').dependencies).toContain('measure');
+  });
+
+  test('links a stored result to the step that reads it', () => {
+    const blocks = flattenWorkspace(workspace(
+      { type: 'measurement_step', id: 'measure', fields: { RESULT_VAR: 'od600' } },
+      { type: 'wait_step', id: 'wait', inputs: { TIME: number('time', 5) } },
+      {
+        type: 'incubation_step',
+        id: 'incubate',
+        inputs: { TEMPERATURE: { block: { type: 'variables_get', id: 'read', fields: { VAR: 'od600' } } } }
+      }
+    ));
+
+    const graph = dependencyAnalysisEngine.buildDependencyGraph(blocks);
+    const edge = graph.edges.get('measure').find(entry => entry.to === 'incubate' && entry.data.dataType === 'variable');
+
+    expect(edge).toBeDefined();
+  });
+});
+
+describe('schedulingService.planProtocolRun', () => {
+  const spin = id => ({
+    type: 'instrument_centrifuge_run',
+    id,
+    fields: { INSTRUMENT_ID: 'centrifuge-1', DURATION: 10, DURATION_UNIT: 'min' }
+  });
+  const wait = minutes => ({ type: 'wait_step', id: 'wait', inputs: { TIME: number('time', minutes) } });
+
+  beforeEach(() => {
+    Instrument.findById.mockResolvedValue({ id: 'centrifuge-1', name: 'Centrifuge' });
+    Reservation.findAll.mockResolvedValue([]);
+  });
+
+  test('holds uses less than two buffers apart as one slot', async () => {
+    // 15 minutes between spins is 1.5 times the 10 minute buffer
+    const plan = await schedulingService.planProtocolRun(
+      { id: 'p1', name: 'Spin twice', workspaceJson: workspace(spin('first'), wait(15), spin('second')) },
+      { startTime: '2026-03-02T09:00:00Z', bufferMinutes: 10 }
+    );
+
+    expect(plan.feasible).toBe(true);
+    expect(plan.instrumentSlots).toHaveLength(1);
+    expect(plan.instrumentSlots[0].blockIds).toEqual(['first', 'second']);
+  });
+
+  test('books uses further apart as slots that do not overlap', async () => {
+    const plan = await schedulingService.planProtocolRun(
+      { id: 'p1', name: 'Spin twice', workspaceJson: workspace(spin('first'), wait(25), spin('second')) },
+      { startTime: '2026-03-02T09:00:00Z', bufferMinutes: 10 }
+    );
+
+    const [first, second] = plan.instrumentSlots;
+    expect(plan.instrumentSlots).toHaveLength(2);
+    expect(second.startTime.getTime()).toBeGreaterThanOrEqual(first.endTime.getTime());
+  });
+});
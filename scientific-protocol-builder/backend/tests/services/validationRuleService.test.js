@@ -0,0 +1,79 @@
+jest.mock('../../src/config/database', () => ({ query: jest.fn(), getClient: jest.fn() }));
+jest.mock('../../src/models/ValidationRule');
+
+const validationRuleService = require('../../src/services/validationRuleService');
+const protocolValidationEngine = require('../../src/services/protocolValidationEngine');
+
+const rule = (definition) => ({
+  id: 'rule-1',
+  organization: 'acme',
+  name: 'Replicate measurements',
+  category: 'quality',
+  severity: 'error',
+  definition
+});
+
+const measurements = (count) => Array.from({ length: count }, (_, i) => ({
+  id: `measure-${i + 1}`,
+  type: 'measurement_step',
+  fields: {},
+  inputs: {},
+  next: null,
+  parent: null
+}));
+
+describe('validationRuleService.evaluate', () => {
+  test('reports too few matches against the first match', () => {
+    const result = validationRuleService.evaluate(
+      rule({ contains: { type: 'measurement_step' }, min: 2, max: 3 }),
+      {},
+      measurements(1)
+    );
+
+    expect(result.passed).toBe(false);
+    expect(result.location).toBe('measure-1');
+    expect(result.data.violations[0]).toMatchObject({ count: 1 });
+  });
+
+  test('reports no matches without a location', () => {
+    const result = validationRuleService.evaluate(
+      rule({ contains: { type: 'measurement_step' }, min: 2, max: 3 }),
+      {},
+      []
+    );
+
+    expect(result.passed).toBe(false);
+    expect(result.location).toBeNull();
+  });
+
+  test('reports too many matches against the first block over the limit', () => {
+    const result = validationRuleService.evaluate(
+      rule({ contains: { type: 'measurement_step' }, min: 2, max: 3 }),
+      {},
+      measurements(5)
+    );
+
+    expect(result.passed).toBe(false);
+    expect(result.location).toBe('measure-4');
+  });
+});
+
+describe('protocolValidationEngine organization rules', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('records a rule that fails to evaluate as a violation', async () => {
+    jest.spyOn(validationRuleService, 'getActiveRules').mockResolvedValue([
+      rule({ contains: { type: 'measurement_step' }, min: 2 })
+    ]);
+    jest.spyOn(validationRuleService, 'evaluate').mockImplementation(() => {
+      throw new Error('boom');
+    });
+
+    const validation = await protocolValidationEngine.validateProtocol({}, measurements(1), { organization: 'acme' });
+    const result = validation.ruleResults['org_Replicate measurements'];
+
+    expect(result.passed).toBe(false);
+    expect(result.message).toContain('could not be evaluated');
+    expect(validation.errors.some(error => error.rule === 'org_Replicate measurements')).toBe(true);
+  });
+});
@@ -0,0 +1,25 @@
+const quantity = require('../../src/utils/quantity');
+
+describe('quantity.normalizeUnit', () => {
+  test('keeps megapascals and millipascals apart', () => {
+    expect(quantity.normalizeUnit('MPa')).toBe('MPa');
+    expect(quantity.normalizeUnit('mPa')).toBeNull();
+    expect(quantity.normalizeUnit('mpa')).toBeNull();
+  });
+
+  test('still accepts unambiguous pressure spellings in any case', () => {
+    expect(quantity.normalizeUnit('kpa')).toBe('kPa');
+    expect(quantity.normalizeUnit('PA')).toBe('Pa');
+    expect(quantity.convert('2 MPa', 'kPa')).toBe(2000);
+  });
+});
+
+describe('quantity unit tables', () => {
+  test('are the ones the editor reads', () => {
+    const Quantity = require('../../../../quantity');
+
+    expect(quantity.UNITS).toBe(Quantity.UNITS);
+    expect(quantity.normalizeUnit('µl')).toBe(Quantity.normalizeUnit('µl'));
+    expect(quantity.convert('2 h', 'min')).toBe(Quantity.convert('2 h', 'min'));
+  });
+});
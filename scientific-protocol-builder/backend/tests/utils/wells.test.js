@@ -0,0 +1,19 @@
+const wells = require('../../src/utils/wells');
+
+describe('wells layouts', () => {
+  test('are the ones the editor lays labware out with', () => {
+    const Labware = require('../../../../labware');
+
+    ['PLATE_96', 'PLATE_384', 'TUBE_RACK_24', 'RESERVOIR_12'].forEach(id => {
+      expect(Labware.getFormat(id)).toMatchObject(wells.getFormat(id));
+    });
+    expect(Labware.expandWells('C1-B2', Labware.getFormat('TUBE_RACK_24')))
+      .toEqual(wells.expandWells('C1-B2', wells.getFormat('TUBE_RACK_24')));
+  });
+
+  test('expand ranges down each column and reject wells off the layout', () => {
+    expect(wells.expandWells('G1-B2')).toEqual(['G1', 'H1', 'A2', 'B2']);
+    expect(() => wells.expandWells('E1', wells.getFormat('TUBE_RACK_24'))).toThrow('Well E1 is not on a 24-tube rack (1.5 mL)');
+    expect(() => wells.expandWells('B1-A1')).toThrow('Well range B1-A1 runs backwards');
+  });
+});
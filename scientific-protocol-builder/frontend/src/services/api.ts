@@ -121,7 +121,32 @@ export const protocolsAPI = {
     api.post(`/protocols/${id}/clone`, { name }),
   
   getVersions: (id: string) => api.get(`/protocols/${id}/versions`),
-  
+
+  diff: (id: string, against?: string) =>
+    api.get(`/protocols/${id}/diff`, { params: { against } }),
+
+  merge: (id: string, sourceId: string, resolutions?: Record<string, 'ours' | 'theirs' | 'base'>) =>
+    api.post(`/protocols/${id}/merge`, { sourceId, resolutions }),
+
+  getLibrary: (search?: string) =>
+    api.get('/protocols/meta/library', { params: { search } }),
+
+  getCalls: (id: string) => api.get(`/protocols/${id}/calls`),
+
+  getWhereUsed: (id: string) => api.get(`/protocols/${id}/where-used`),
+
+  getTemplates: (params?: { search?: string; category?: string }) =>
+    api.get('/protocols/meta/templates', { params }),
+
+  saveTemplate: (id: string, parameters: object[], isPublic?: boolean) =>
+    api.put(`/protocols/${id}/template`, { parameters, isPublic }),
+
+  instantiate: (id: string, values: Record<string, string | number | boolean>, name?: string) =>
+    api.post(`/protocols/${id}/instantiate`, { values, name }),
+
+  previewInstance: (id: string, values: Record<string, string | number | boolean>) =>
+    api.post(`/protocols/${id}/instantiate`, { values, preview: true }),
+
   getCategories: () => api.get('/protocols/meta/categories'),
   
   getTags: () => api.get('/protocols/meta/tags'),